@@ -41,10 +41,12 @@ import {
 	getFileTypeCategory,
 } from "../../../lib/api/assets";
 import { toast } from "react-toastify";
+import { usePermissions } from "../../../lib/hooks/usePermissions";
 import ConfirmationModal from "../../../lib/ui/ConfirmationModal";
 import AnimatedDropdown from "../../../lib/ui/AnimatedDropdown";
 
 const AssetsTab = ({ queryClient }) => {
+	const { can } = usePermissions("assets");
 	const [searchQuery, setSearchQuery] = useState("");
 	const [sortField, setSortField] = useState(null);
 	const [sortDirection, setSortDirection] = useState("desc");
@@ -300,15 +302,17 @@ const AssetsTab = ({ queryClient }) => {
 						Manage files, images, PDFs, and videos
 					</p>
 				</div>
-				<motion.button
-					whileHover={{ scale: 1.02 }}
-					whileTap={{ scale: 0.98 }}
-					onClick={() => setShowUploadModal(true)}
-					className="flex items-center gap-2 bg-zinc-900 text-white px-4 py-2 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
-				>
-					<Plus className="w-4 h-4" />
-					Add New File
-				</motion.button>
+				{can("create") && (
+					<motion.button
+						whileHover={{ scale: 1.02 }}
+						whileTap={{ scale: 0.98 }}
+						onClick={() => setShowUploadModal(true)}
+						className="flex items-center gap-2 bg-zinc-900 text-white px-4 py-2 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
+					>
+						<Plus className="w-4 h-4" />
+						Add New File
+					</motion.button>
+				)}
 			</div>
 
 			<div className="flex flex-col lg:flex-row gap-6 items-start">
@@ -450,16 +454,18 @@ const AssetsTab = ({ queryClient }) => {
 													{formatDate(asset.createdAt)}
 												</TableCell>
 												<TableCell>
-													<button
-														onClick={(e) => {
-															e.stopPropagation();
-															handleDelete(asset.id);
-														}}
-														className="p-1.5 text-zinc-400 hover:text-red-600 hover:bg-red-50 rounded-xl transition-colors"
-														title="Delete asset"
-													>
-														<Trash2 className="w-4 h-4" />
-													</button>
+													{can("delete") && (
+														<button
+															onClick={(e) => {
+																e.stopPropagation();
+																handleDelete(asset.id);
+															}}
+															className="p-1.5 text-zinc-400 hover:text-red-600 hover:bg-red-50 rounded-xl transition-colors"
+															title="Delete asset"
+														>
+															<Trash2 className="w-4 h-4" />
+														</button>
+													)}
 												</TableCell>
 											</TableRow>
 										))
@@ -886,16 +892,18 @@ const AssetsTab = ({ queryClient }) => {
 
 									{/* Footer Info */}
 									<div className="mt-auto pt-6">
-										<button
-											onClick={() => {
-												handleDelete(selectedAssetForView.id);
-												setSelectedAssetForView(null);
-											}}
-											className="w-full flex items-center justify-center gap-2 text-red-500 hover:text-red-700 font-medium text-xs p-2 hover:bg-red-50 rounded-xl transition-colors"
-										>
-											<Trash2 className="w-4 h-4" />
-											Delete Permanently
-										</button>
+										{can("delete") && (
+											<button
+												onClick={() => {
+													handleDelete(selectedAssetForView.id);
+													setSelectedAssetForView(null);
+												}}
+												className="w-full flex items-center justify-center gap-2 text-red-500 hover:text-red-700 font-medium text-xs p-2 hover:bg-red-50 rounded-xl transition-colors"
+											>
+												<Trash2 className="w-4 h-4" />
+												Delete Permanently
+											</button>
+										)}
 									</div>
 								</div>
 							</motion.div>
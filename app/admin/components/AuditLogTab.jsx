@@ -0,0 +1,391 @@
+import React, { useState } from "react";
+import { useInfiniteQuery } from "@tanstack/react-query";
+import {
+	Search,
+	Calendar,
+	ChevronDown,
+	ChevronRight,
+	User,
+	Bot,
+} from "lucide-react";
+import { getAuditLogs, AUDIT_ACTIONS } from "../../../lib/api/auditLog";
+import TableSkeleton from "../../../lib/ui/TableSkeleton";
+import {
+	Table,
+	TableHeader,
+	TableBody,
+	TableRow,
+	TableHead,
+	TableCell,
+	TableEmpty,
+} from "../../../lib/ui/Table";
+import AnimatedDropdown from "../../../lib/ui/AnimatedDropdown";
+import ExportDropdown from "../../../lib/ui/ExportDropdown";
+
+const ACTION_COLORS = {
+	[AUDIT_ACTIONS.CREATE]: "bg-green-100 text-green-800",
+	[AUDIT_ACTIONS.UPDATE]: "bg-zinc-100 text-zinc-800",
+	[AUDIT_ACTIONS.DELETE]: "bg-red-100 text-red-800",
+	[AUDIT_ACTIONS.PUBLISH]: "bg-blue-100 text-blue-800",
+	[AUDIT_ACTIONS.SEND]: "bg-orange-100 text-orange-800",
+};
+
+const RESOURCE_LABELS = {
+	blogs: "Blogs",
+	emails: "Emails",
+	segments: "Segments",
+	subscribers: "Subscribers",
+	products: "Products",
+	invoices: "Invoices",
+	teams: "Teams",
+	roles: "Roles",
+	forms: "Forms",
+};
+
+const toDate = (value) => {
+	if (!value) return null;
+	const d = value?.toDate ? value.toDate() : new Date(value);
+	return isNaN(d.getTime()) ? null : d;
+};
+
+const formatValue = (value) => {
+	if (value === null || value === undefined || value === "") return "—";
+	if (typeof value === "object") return JSON.stringify(value);
+	return String(value);
+};
+
+const AuditLogTab = () => {
+	const [searchQuery, setSearchQuery] = useState("");
+	const [resourceFilter, setResourceFilter] = useState(null);
+	const [actionFilter, setActionFilter] = useState(null);
+	const [isResourceDropdownOpen, setIsResourceDropdownOpen] = useState(false);
+	const [isActionDropdownOpen, setIsActionDropdownOpen] = useState(false);
+	const [startDate, setStartDate] = useState("");
+	const [endDate, setEndDate] = useState("");
+	const [expandedId, setExpandedId] = useState(null);
+
+	const filters = {
+		resource: resourceFilter,
+		action: actionFilter,
+		startDate: startDate ? new Date(`${startDate}T00:00:00`) : null,
+		endDate: endDate ? new Date(`${endDate}T23:59:59.999`) : null,
+	};
+
+	// Filters run in Firestore; each page holds the next matching entries
+	const {
+		data,
+		isLoading,
+		error,
+		fetchNextPage,
+		hasNextPage,
+		isFetchingNextPage,
+	} = useInfiniteQuery({
+		queryKey: ["auditLogs", resourceFilter, actionFilter, startDate, endDate],
+		queryFn: ({ pageParam }) =>
+			getAuditLogs({ ...filters, cursor: pageParam }),
+		initialPageParam: null,
+		getNextPageParam: (lastPage) =>
+			lastPage.hasMore ? lastPage.cursor : undefined,
+	});
+	const entries = data?.pages.flatMap((page) => page.entries) || [];
+
+	const resourceOptions = [
+		{ value: null, label: "All Resources" },
+		...Object.entries(RESOURCE_LABELS).map(([value, label]) => ({
+			value,
+			label,
+		})),
+	];
+
+	const actionOptions = [
+		{ value: null, label: "All Actions" },
+		...Object.values(AUDIT_ACTIONS).map((action) => ({
+			value: action,
+			label: action.charAt(0).toUpperCase() + action.slice(1),
+			color: ACTION_COLORS[action],
+		})),
+	];
+
+	// Search by actor, item name or document ID, within the loaded pages
+	const filteredEntries = entries.filter((entry) => {
+		const searchLower = searchQuery.toLowerCase();
+		return (
+			!searchLower ||
+			entry.actor?.email?.toLowerCase().includes(searchLower) ||
+			entry.label?.toLowerCase().includes(searchLower) ||
+			entry.resourceId?.toLowerCase().includes(searchLower)
+		);
+	});
+
+	// Flat rows for CSV/Excel/PDF export
+	const exportRows = filteredEntries.map((entry) => ({
+		id: entry.id,
+		timestamp: toDate(entry.timestamp)?.toISOString() || "",
+		actor: entry.actor?.email || "System",
+		action: entry.action,
+		resource: entry.resource,
+		resourceId: entry.resourceId || "",
+		label: entry.label || "",
+		changes: Object.entries(entry.changes || {})
+			.map(
+				([field, change]) =>
+					`${field}: ${formatValue(change.before)} → ${formatValue(
+						change.after
+					)}`
+			)
+			.join("; "),
+	}));
+
+	const formatDateTime = (value) => {
+		const d = toDate(value);
+		if (!d) return "";
+		return d.toLocaleString("en-US", {
+			year: "numeric",
+			month: "short",
+			day: "numeric",
+			hour: "numeric",
+			minute: "2-digit",
+		});
+	};
+
+	const hasFilters =
+		searchQuery ||
+		resourceFilter !== null ||
+		actionFilter !== null ||
+		startDate ||
+		endDate;
+
+	return (
+		<div className="space-y-4">
+			{/* Header */}
+			<div className="flex items-center justify-between">
+				<div>
+					<h1 className="text-2xl font-bold text-zinc-900">Audit Log</h1>
+					<p className="text-sm text-zinc-600 mt-1">
+						Who created, changed, published or sent what, and when
+					</p>
+				</div>
+				<ExportDropdown dataType="auditLogs" data={exportRows} />
+			</div>
+
+			{/* Search and Filters */}
+			<div className="flex flex-wrap gap-3">
+				<div className="relative flex-1 min-w-[240px]">
+					<Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-zinc-400" />
+					<input
+						type="text"
+						placeholder="Search by actor email, item name, or ID..."
+						value={searchQuery}
+						onChange={(e) => setSearchQuery(e.target.value)}
+						className="w-full pl-10 pr-4 py-2 border border-zinc-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
+					/>
+				</div>
+				<div className="w-44">
+					<AnimatedDropdown
+						isOpen={isResourceDropdownOpen}
+						onToggle={() => setIsResourceDropdownOpen(!isResourceDropdownOpen)}
+						onSelect={(value) => {
+							setResourceFilter(value);
+							setIsResourceDropdownOpen(false);
+						}}
+						options={resourceOptions}
+						value={resourceFilter}
+						placeholder="Filter by resource"
+						buttonClassName="text-sm"
+					/>
+				</div>
+				<div className="w-40">
+					<AnimatedDropdown
+						isOpen={isActionDropdownOpen}
+						onToggle={() => setIsActionDropdownOpen(!isActionDropdownOpen)}
+						onSelect={(value) => {
+							setActionFilter(value);
+							setIsActionDropdownOpen(false);
+						}}
+						options={actionOptions}
+						value={actionFilter}
+						placeholder="Filter by action"
+						buttonClassName="text-sm"
+					/>
+				</div>
+				<div className="flex items-center gap-2">
+					<input
+						type="date"
+						value={startDate}
+						onChange={(e) => setStartDate(e.target.value)}
+						className="px-3 py-2 border border-zinc-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
+						title="From"
+					/>
+					<span className="text-sm text-zinc-500">to</span>
+					<input
+						type="date"
+						value={endDate}
+						onChange={(e) => setEndDate(e.target.value)}
+						className="px-3 py-2 border border-zinc-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
+						title="To"
+					/>
+				</div>
+			</div>
+
+			{/* Table */}
+			<div className="overflow-x-auto">
+				{isLoading ? (
+					<TableSkeleton rows={5} columns={5} />
+				) : (
+					<Table>
+						<TableHeader>
+							<TableRow>
+								<TableHead className="min-w-[180px]">Time</TableHead>
+								<TableHead>Actor</TableHead>
+								<TableHead>Action</TableHead>
+								<TableHead className="min-w-[220px]">Item</TableHead>
+								<TableHead>Changes</TableHead>
+							</TableRow>
+						</TableHeader>
+						<TableBody>
+							{error ? (
+								<TableEmpty
+									colSpan={5}
+									message="Error loading audit log. Please try again."
+								/>
+							) : filteredEntries.length === 0 ? (
+								<TableEmpty
+									colSpan={5}
+									message={
+										hasFilters
+											? "No entries found matching your search or filters."
+											: "No activity yet. Changes made in the admin will appear here."
+									}
+								/>
+							) : (
+								filteredEntries.map((entry) => {
+									const changes = Object.entries(entry.changes || {});
+									const isExpanded = expandedId === entry.id;
+									return (
+										<React.Fragment key={entry.id}>
+											<TableRow
+												onClick={() =>
+													setExpandedId(isExpanded ? null : entry.id)
+												}
+											>
+												<TableCell>
+													<div className="text-xs text-zinc-600 flex items-center gap-1">
+														{isExpanded ? (
+															<ChevronDown className="w-3 h-3" />
+														) : (
+															<ChevronRight className="w-3 h-3" />
+														)}
+														<Calendar className="w-3 h-3" />
+														{formatDateTime(entry.timestamp)}
+													</div>
+												</TableCell>
+												<TableCell>
+													<div className="text-sm text-zinc-900 flex items-center gap-1.5">
+														{entry.actor?.type === "system" ? (
+															<>
+																<Bot className="w-3.5 h-3.5 text-zinc-400" />
+																System
+															</>
+														) : (
+															<>
+																<User className="w-3.5 h-3.5 text-zinc-400" />
+																{entry.actor?.email || entry.actor?.uid}
+															</>
+														)}
+													</div>
+												</TableCell>
+												<TableCell>
+													<span
+														className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${
+															ACTION_COLORS[entry.action] ||
+															"bg-zinc-100 text-zinc-800"
+														}`}
+													>
+														{entry.action}
+													</span>
+												</TableCell>
+												<TableCell>
+													<div className="font-medium text-sm text-zinc-900">
+														{entry.label || "Untitled"}
+													</div>
+													<div className="text-xs text-zinc-600 mt-1">
+														{RESOURCE_LABELS[entry.resource] || entry.resource}
+														{" · "}
+														<code className="font-mono">{entry.resourceId}</code>
+													</div>
+												</TableCell>
+												<TableCell>
+													<span className="text-xs text-zinc-600">
+														{changes.length === 0
+															? "—"
+															: `${changes.length} field${
+																	changes.length === 1 ? "" : "s"
+															  }`}
+													</span>
+												</TableCell>
+											</TableRow>
+											{isExpanded && (
+												<TableRow hover={false}>
+													<TableCell colSpan={5} className="bg-zinc-50">
+														{changes.length === 0 ? (
+															<p className="text-xs text-zinc-500">
+																No field changes recorded.
+															</p>
+														) : (
+															<table className="w-full text-xs">
+																<thead>
+																	<tr className="text-left text-zinc-500">
+																		<th className="py-1 pr-4 font-medium">
+																			Field
+																		</th>
+																		<th className="py-1 pr-4 font-medium">
+																			Before
+																		</th>
+																		<th className="py-1 font-medium">After</th>
+																	</tr>
+																</thead>
+																<tbody>
+																	{changes.map(([field, change]) => (
+																		<tr key={field} className="align-top">
+																			<td className="py-1 pr-4 font-mono text-zinc-700">
+																				{field}
+																			</td>
+																			<td className="py-1 pr-4 text-red-700 break-all">
+																				{formatValue(change.before)}
+																			</td>
+																			<td className="py-1 text-green-700 break-all">
+																				{formatValue(change.after)}
+																			</td>
+																		</tr>
+																	))}
+																</tbody>
+															</table>
+														)}
+													</TableCell>
+												</TableRow>
+											)}
+										</React.Fragment>
+									);
+								})
+							)}
+						</TableBody>
+					</Table>
+				)}
+			</div>
+
+			{hasNextPage && (
+				<div className="flex justify-center">
+					<button
+						onClick={() => fetchNextPage()}
+						disabled={isFetchingNextPage}
+						className="px-4 py-2 border border-zinc-200 rounded-xl text-sm font-medium text-zinc-700 hover:bg-zinc-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+					>
+						{isFetchingNextPage ? "Loading..." : "Load more"}
+					</button>
+				</div>
+			)}
+		</div>
+	);
+};
+
+export default AuditLogTab;
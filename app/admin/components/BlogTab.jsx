@@ -13,6 +13,7 @@ import {
 	ArrowUpDown,
 	ArrowUp,
 	ArrowDown,
+	Lock,
 } from "lucide-react";
 import TiptapEditor from "./TiptapEditor";
 import TableSkeleton from "../../../lib/ui/TableSkeleton";
@@ -36,7 +37,9 @@ import { htmlToMarkdown } from "../../../lib/utils/htmlToMarkdown";
 import {
 	hasPermission,
 	getAllowedActions,
+	canModifyContent,
 } from "../../../lib/config/roles-config";
+import { useCurrentUser } from "../../../lib/hooks/usePermissions";
 import { getCachedUserRole, getUserRole } from "../../../lib/utils/getUserRole";
 import { getCurrentUserEmail } from "../../../lib/utils/getCurrentUserEmail";
 import AnimatedDropdown from "../../../lib/ui/AnimatedDropdown";
@@ -101,6 +104,15 @@ const BlogTab = ({ queryClient }) => {
 
 	// Get allowed actions for blogs
 	const allowedActions = getAllowedActions(userRole, "blogs");
+	const canCreate = allowedActions.includes("create");
+	const canEdit = allowedActions.includes("edit");
+
+	// Roles limited to their own content can't open or delete other blogs
+	const { currentUser } = useCurrentUser();
+	const canEditBlog = (blog) =>
+		canModifyContent(userRole, "blogs", "edit", blog, currentUser);
+	const canDeleteBlog = (blog) =>
+		canModifyContent(userRole, "blogs", "delete", blog, currentUser);
 
 	// Fetch blogs with React Query
 	const {
@@ -226,7 +238,9 @@ const BlogTab = ({ queryClient }) => {
 		},
 		onError: (error) => {
 			console.error("Error updating blog:", error);
-			toast.error("Failed to update blog. Please try again.");
+			toast.error(
+				error.message || "Failed to update blog. Please try again."
+			);
 		},
 	});
 
@@ -239,7 +253,9 @@ const BlogTab = ({ queryClient }) => {
 		},
 		onError: (error) => {
 			console.error("Error deleting blog:", error);
-			toast.error("Failed to delete blog. Please try again.");
+			toast.error(
+				error.message || "Failed to delete blog. Please try again."
+			);
 		},
 	});
 
@@ -396,15 +412,17 @@ const BlogTab = ({ queryClient }) => {
 				<h2 className="text-xl font-semibold text-zinc-900">Blog Posts</h2>
 				<div className="flex items-center gap-2">
 					<ExportDropdown dataType="blogs" data={sortedBlogs} />
-					<motion.a
-						whileHover={{ scale: 1.02 }}
-						whileTap={{ scale: 0.98 }}
-						href="/admin/editor/blog"
-						className="flex items-center gap-1.5 bg-zinc-900 text-white px-3 py-1.5 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
-					>
-						<Plus className="w-3.5 h-3.5" />
-						Create New Blog
-					</motion.a>
+					{canCreate && (
+						<motion.a
+							whileHover={{ scale: 1.02 }}
+							whileTap={{ scale: 0.98 }}
+							href="/admin/editor/blog"
+							className="flex items-center gap-1.5 bg-zinc-900 text-white px-3 py-1.5 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
+						>
+							<Plus className="w-3.5 h-3.5" />
+							Create New Blog
+						</motion.a>
+					)}
 				</div>
 			</div>
 
@@ -487,12 +505,17 @@ const BlogTab = ({ queryClient }) => {
 								sortedBlogs.map((blog) => (
 									<TableRow
 										key={blog.id}
-										onClick={() => handleEditBlog(blog)}
-										className="cursor-pointer"
+										onClick={() => canEditBlog(blog) && handleEditBlog(blog)}
+										className={canEditBlog(blog) ? "cursor-pointer" : ""}
 									>
 										<TableCell>
-											<div className="font-medium text-zinc-900 hover:text-zinc-600 transition-colors">
+											<div className="flex items-center gap-1.5 font-medium text-zinc-900 hover:text-zinc-600 transition-colors">
 												{blog.title}
+												{canEdit && !canEditBlog(blog) && (
+													<span title="Created by someone else">
+														<Lock className="w-3.5 h-3.5 text-zinc-400" />
+													</span>
+												)}
 											</div>
 											<div className="text-sm text-zinc-500">{blog.slug}</div>
 										</TableCell>
@@ -545,19 +568,20 @@ const BlogTab = ({ queryClient }) => {
 									</TableCell>
 									<TableCell>
 										<div className="flex items-center gap-2">
-											{/* Always show delete button with confirmation modal */}
-											<motion.button
-												whileHover={{ scale: 1.05 }}
-												whileTap={{ scale: 0.95 }}
-												onClick={(e) => {
-													e.stopPropagation();
-													handleDeleteBlog(blog.id);
-												}}
-												className="p-2 text-zinc-400 hover:text-red-600 transition-colors"
-												title="Delete"
-											>
-												<Trash2 className="w-4 h-4" />
-											</motion.button>
+											{canDeleteBlog(blog) && (
+												<motion.button
+													whileHover={{ scale: 1.05 }}
+													whileTap={{ scale: 0.95 }}
+													onClick={(e) => {
+														e.stopPropagation();
+														handleDeleteBlog(blog.id);
+													}}
+													className="p-2 text-zinc-400 hover:text-red-600 transition-colors"
+													title="Delete"
+												>
+													<Trash2 className="w-4 h-4" />
+												</motion.button>
+											)}
 										</div>
 									</TableCell>
 								</TableRow>
@@ -11,6 +11,8 @@ import {
 	Tag,
 	Edit,
 	Eye,
+	EyeOff,
+	Globe,
 } from "lucide-react";
 import TiptapEditor from "./TiptapEditor";
 import TableSkeleton from "../../../lib/ui/TableSkeleton";
@@ -28,11 +30,15 @@ import {
 	createChangelog,
 	updateChangelog,
 	deleteChangelog,
+	publishChangelog,
+	unpublishChangelog,
 } from "../../../lib/api/changelog";
 import { toast } from "react-toastify";
+import { usePermissions } from "../../../lib/hooks/usePermissions";
 import ConfirmationModal from "../../../lib/ui/ConfirmationModal";
 
 const ChangelogTab = ({ queryClient }) => {
+	const { can } = usePermissions("changelog");
 	const [searchQuery, setSearchQuery] = useState("");
 	const [showChangelogModal, setShowChangelogModal] = useState(false);
 	const [editingChangelog, setEditingChangelog] = useState(null);
@@ -121,6 +127,26 @@ const ChangelogTab = ({ queryClient }) => {
 		},
 	});
 
+	// Publish / unpublish changelog mutation
+	const togglePublishMutation = useMutation({
+		mutationFn: (changelog) =>
+			changelog.status === "draft"
+				? publishChangelog(changelog.id)
+				: unpublishChangelog(changelog.id),
+		onSuccess: (_, changelog) => {
+			queryClient.invalidateQueries({ queryKey: ["changelog"] });
+			toast.success(
+				changelog.status === "draft"
+					? "Changelog published!"
+					: "Changelog moved to draft"
+			);
+		},
+		onError: (error) => {
+			console.error("Error updating changelog status:", error);
+			toast.error("Failed to update changelog status. Please try again.");
+		},
+	});
+
 	// Handle create new changelog
 	const handleCreateChangelog = () => {
 		setEditingChangelog(null);
@@ -379,15 +405,17 @@ const ChangelogTab = ({ queryClient }) => {
 						<Eye className="w-4 h-4" />
 						Preview
 					</motion.button>
-					<motion.button
-						whileHover={{ scale: 1.02 }}
-						whileTap={{ scale: 0.98 }}
-						onClick={handleCreateChangelog}
-						className="flex items-center gap-2 bg-zinc-900 text-white px-4 py-2 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
-					>
-						<Plus className="w-4 h-4" />
-						New Changelog
-					</motion.button>
+					{can("create") && (
+						<motion.button
+							whileHover={{ scale: 1.02 }}
+							whileTap={{ scale: 0.98 }}
+							onClick={handleCreateChangelog}
+							className="flex items-center gap-2 bg-zinc-900 text-white px-4 py-2 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
+						>
+							<Plus className="w-4 h-4" />
+							New Changelog
+						</motion.button>
+					)}
 				</div>
 			</div>
 
@@ -440,6 +468,11 @@ const ChangelogTab = ({ queryClient }) => {
 											<div className="font-medium text-sm text-zinc-900">
 												{changelog.title}
 											</div>
+											{changelog.status === "draft" && (
+												<span className="inline-flex items-center px-2 py-0.5 mt-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+													Draft
+												</span>
+											)}
 										</TableCell>
 										<TableCell className="text-zinc-600">
 											<div className="flex items-center gap-1">
@@ -473,20 +506,42 @@ const ChangelogTab = ({ queryClient }) => {
 										</TableCell>
 										<TableCell>
 										<div className="flex items-center gap-2">
-											<button
-												onClick={() => handleEditChangelog(changelog)}
-												className="p-1.5 text-zinc-400 hover:text-zinc-600 hover:bg-zinc-100 rounded-xl transition-colors"
-												title="Edit changelog"
-											>
-												<Edit className="w-4 h-4" />
-											</button>
-											<button
-												onClick={() => handleDeleteChangelog(changelog.id)}
-												className="p-1.5 text-zinc-400 hover:text-red-600 hover:bg-red-50 rounded-xl transition-colors"
-												title="Delete changelog"
-											>
-												<Trash2 className="w-4 h-4" />
-											</button>
+											{can("edit") && (
+												<button
+													onClick={() => handleEditChangelog(changelog)}
+													className="p-1.5 text-zinc-400 hover:text-zinc-600 hover:bg-zinc-100 rounded-xl transition-colors"
+													title="Edit changelog"
+												>
+													<Edit className="w-4 h-4" />
+												</button>
+											)}
+											{can("publish") && (
+												<button
+													onClick={() => togglePublishMutation.mutate(changelog)}
+													disabled={togglePublishMutation.isPending}
+													className="p-1.5 text-zinc-400 hover:text-zinc-600 hover:bg-zinc-100 rounded-xl transition-colors disabled:opacity-50"
+													title={
+														changelog.status === "draft"
+															? "Publish changelog"
+															: "Unpublish changelog"
+													}
+												>
+													{changelog.status === "draft" ? (
+														<Globe className="w-4 h-4" />
+													) : (
+														<EyeOff className="w-4 h-4" />
+													)}
+												</button>
+											)}
+											{can("delete") && (
+												<button
+													onClick={() => handleDeleteChangelog(changelog.id)}
+													className="p-1.5 text-zinc-400 hover:text-red-600 hover:bg-red-50 rounded-xl transition-colors"
+													title="Delete changelog"
+												>
+													<Trash2 className="w-4 h-4" />
+												</button>
+											)}
 										</div>
 										</TableCell>
 									</TableRow>
@@ -1,6 +1,6 @@
 import React, { useState, useMemo } from "react";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
-import { motion } from "framer-motion";
+import { motion, AnimatePresence } from "framer-motion";
 import Fuse from "fuse.js";
 import {
 	Clock,
@@ -14,8 +14,22 @@ import {
 	Play,
 	Trash2,
 	Search,
+	Pause,
+	Repeat,
+	History,
+	RotateCcw,
+	Plus,
+	ScrollText,
+	ClipboardList,
+	Receipt,
+	Webhook,
+	CreditCard,
+	CalendarSync,
+	Workflow,
 } from "lucide-react";
 import AnimatedDropdown from "../../../lib/ui/AnimatedDropdown";
+import RecurrenceFields from "../../../lib/ui/RecurrenceFields";
+import CreateCronJobModal from "../../../lib/ui/CreateCronJobModal";
 import {
 	Table,
 	TableHeader,
@@ -31,16 +45,68 @@ import {
 	cancelCronJob,
 	deleteCronJob,
 	syncScheduledItemsToCronJobs,
+	updateCronJobRecurrence,
+	pauseCronJob,
+	resumeCronJob,
+	getCronJobRuns,
+	retryCronJobNow,
+	updateCronJobRetryPolicy,
+	getRetryPolicy,
 } from "../../../lib/api/cronJobs";
+import {
+	validateRecurrence,
+	getUpcomingOccurrences,
+	describeRecurrence,
+	getDefaultTimezone,
+} from "../../../lib/utils/recurrence";
+import { getCronJobType } from "../../../lib/config/cron-job-types";
 import { getBlogById } from "../../../lib/api/blog";
 import { getEmailById } from "../../../lib/api/emails";
+import { getChangelogById } from "../../../lib/api/changelog";
+import { getFormById } from "../../../lib/api/forms";
 import { toast } from "react-toastify";
+import { usePermissions } from "../../../lib/hooks/usePermissions";
+import { authFetch } from "../../../lib/utils/authFetch";
+
+const JOB_TYPE_ICONS = {
+	blog: <FileText className="w-4 h-4 text-blue-600" />,
+	email: <Mail className="w-4 h-4 text-purple-600" />,
+	changelog: <ScrollText className="w-4 h-4 text-teal-600" />,
+	form: <ClipboardList className="w-4 h-4 text-orange-600" />,
+	invoiceReminder: <Receipt className="w-4 h-4 text-green-600" />,
+	recurringInvoices: <CalendarSync className="w-4 h-4 text-green-600" />,
+	billingReminders: <CreditCard className="w-4 h-4 text-red-600" />,
+	sequences: <Workflow className="w-4 h-4 text-purple-600" />,
+	webhook: <Webhook className="w-4 h-4 text-zinc-600" />,
+};
+
+const getJobTypeLabel = (type) => getCronJobType(type)?.label || type;
+
+// Title shown for a job: its target item, else what it does
+const getJobTitle = (job) => {
+	if (job.itemData?.title || job.itemData?.subject) {
+		return job.itemData.title || job.itemData.subject;
+	}
+	if (job.type === "webhook" && job.params?.url) {
+		return `${job.params.method || "POST"} ${job.params.url}`;
+	}
+	return getJobTypeLabel(job.type);
+};
 
 const CronJobsTab = ({ queryClient }) => {
+	const { can } = usePermissions("cronJobs");
 	const [selectedJob, setSelectedJob] = useState(null);
+	const [showCreateModal, setShowCreateModal] = useState(false);
 	const [showDetailsModal, setShowDetailsModal] = useState(false);
 	const [showEditModal, setShowEditModal] = useState(false);
 	const [editScheduledDate, setEditScheduledDate] = useState("");
+	const [editRepeatType, setEditRepeatType] = useState("none");
+	const [editExpression, setEditExpression] = useState("");
+	const [editTimezone, setEditTimezone] = useState(getDefaultTimezone());
+	const [editMaxRetries, setEditMaxRetries] = useState("");
+	const [editBackoffMinutes, setEditBackoffMinutes] = useState("");
+	const [runLogJob, setRunLogJob] = useState(null);
+	const [expandedRunId, setExpandedRunId] = useState(null);
 	const [searchQuery, setSearchQuery] = useState("");
 	const [statusFilter, setStatusFilter] = useState(null);
 	const [isStatusDropdownOpen, setIsStatusDropdownOpen] = useState(false);
@@ -61,15 +127,48 @@ const CronJobsTab = ({ queryClient }) => {
 				return await getBlogById(selectedJob.itemId);
 			} else if (selectedJob.type === "email") {
 				return await getEmailById(selectedJob.itemId);
+			} else if (selectedJob.type === "changelog") {
+				return await getChangelogById(selectedJob.itemId);
+			} else if (selectedJob.type === "form") {
+				return await getFormById(selectedJob.itemId);
 			}
 			return null;
 		},
 		enabled: !!selectedJob && showDetailsModal,
 	});
 
-	// Update schedule mutation
+	// Fetch run history when the run log drawer opens
+	const { data: jobRuns = [], isLoading: isLoadingRuns } = useQuery({
+		queryKey: ["cronJobRuns", runLogJob?.id],
+		queryFn: () => getCronJobRuns(runLogJob.id, 50),
+		enabled: !!runLogJob,
+	});
+
+	// Keep the drawer in sync with the latest job state (e.g. after a retry)
+	const runLogJobState = useMemo(
+		() => cronJobs.find((job) => job.id === runLogJob?.id) || runLogJob,
+		[cronJobs, runLogJob]
+	);
+
+	// Update schedule mutation (one-off date or recurrence, plus retry policy)
 	const updateScheduleMutation = useMutation({
-		mutationFn: async ({ id, scheduledDate }) => {
+		mutationFn: async ({
+			id,
+			scheduledDate,
+			recurrence,
+			hadRecurrence,
+			retryPolicy,
+		}) => {
+			if (retryPolicy) {
+				await updateCronJobRetryPolicy(id, retryPolicy);
+			}
+			if (recurrence || hadRecurrence) {
+				return await updateCronJobRecurrence(
+					id,
+					recurrence,
+					scheduledDate ? new Date(scheduledDate) : null
+				);
+			}
 			return await updateCronJobSchedule(id, new Date(scheduledDate));
 		},
 		onSuccess: () => {
@@ -96,6 +195,60 @@ const CronJobsTab = ({ queryClient }) => {
 		},
 	});
 
+	// Pause / resume series mutation
+	const togglePauseMutation = useMutation({
+		mutationFn: async (job) => {
+			if (job.status === "paused") {
+				return await resumeCronJob(job.id);
+			}
+			return await pauseCronJob(job.id);
+		},
+		onSuccess: (_, job) => {
+			queryClient.invalidateQueries({ queryKey: ["cronJobs"] });
+			toast.success(
+				job.status === "paused" ? "Series resumed" : "Series paused"
+			);
+		},
+		onError: (error) => {
+			toast.error(`Failed to update series: ${error.message}`);
+		},
+	});
+
+	// Retry now mutation: re-queue the job and run the executor immediately
+	const retryNowMutation = useMutation({
+		mutationFn: async (id) => {
+			await retryCronJobNow(id);
+			const response = await authFetch("/api/cron/execute", {
+				method: "POST",
+				headers: {
+					"Content-Type": "application/json",
+				},
+			});
+
+			if (!response.ok) {
+				const error = await response.json();
+				throw new Error(
+					error.error || error.message || "Failed to execute CRON jobs"
+				);
+			}
+
+			const data = await response.json();
+			return data.results.errors.find((item) => item.jobId === id) || null;
+		},
+		onSuccess: (jobError, id) => {
+			queryClient.invalidateQueries({ queryKey: ["cronJobs"] });
+			queryClient.invalidateQueries({ queryKey: ["cronJobRuns", id] });
+			if (jobError) {
+				toast.error(`Retry failed: ${jobError.error}`);
+			} else {
+				toast.success("CRON job retried successfully");
+			}
+		},
+		onError: (error) => {
+			toast.error(`Failed to retry job: ${error.message}`);
+		},
+	});
+
 	// Delete job mutation
 	const deleteJobMutation = useMutation({
 		mutationFn: async (id) => {
@@ -127,7 +280,7 @@ const CronJobsTab = ({ queryClient }) => {
 	// Execute CRON jobs mutation (only executes jobs that are due)
 	const executeCronMutation = useMutation({
 		mutationFn: async () => {
-			const response = await fetch("/api/cron/execute", {
+			const response = await authFetch("/api/cron/execute", {
 				method: "POST",
 				headers: {
 					"Content-Type": "application/json",
@@ -145,7 +298,11 @@ const CronJobsTab = ({ queryClient }) => {
 		},
 		onSuccess: (data) => {
 			queryClient.invalidateQueries({ queryKey: ["cronJobs"] });
-			if (data.results.processed === 0) {
+			if (data.results.processed === 0 && data.results.skipped > 0) {
+				toast.info(
+					"Due jobs are already being processed by another CRON run."
+				);
+			} else if (data.results.processed === 0) {
 				toast.info(
 					"No due CRON jobs found. Jobs will execute automatically at their scheduled time."
 				);
@@ -195,6 +352,21 @@ const CronJobsTab = ({ queryClient }) => {
 					Cancelled
 				</span>
 			),
+			running: (
+				<span className="px-2 py-1 bg-indigo-100 text-indigo-800 text-xs font-medium rounded-full">
+					Running
+				</span>
+			),
+			paused: (
+				<span className="px-2 py-1 bg-yellow-100 text-yellow-800 text-xs font-medium rounded-full">
+					Paused
+				</span>
+			),
+			dead: (
+				<span className="px-2 py-1 bg-red-200 text-red-900 text-xs font-medium rounded-full">
+					Dead
+				</span>
+			),
 		};
 		return badges[status] || badges.scheduled;
 	};
@@ -211,20 +383,88 @@ const CronJobsTab = ({ queryClient }) => {
 				? job.scheduledDate
 				: new Date(job.scheduledDate);
 		setEditScheduledDate(date.toISOString().slice(0, 16));
+		setEditRepeatType(job.recurrence?.type || "none");
+		setEditExpression(job.recurrence?.expression || "");
+		setEditTimezone(job.recurrence?.timezone || getDefaultTimezone());
+		const retryPolicy = getRetryPolicy(job);
+		setEditMaxRetries(String(retryPolicy.maxRetries));
+		setEditBackoffMinutes(String(retryPolicy.backoffMinutes));
 		setShowEditModal(true);
 	};
 
+	const editRecurrence = useMemo(() => {
+		if (editRepeatType === "none") return null;
+		return {
+			type: editRepeatType,
+			expression: editExpression,
+			timezone: editTimezone,
+		};
+	}, [editRepeatType, editExpression, editTimezone]);
+
 	const handleSaveSchedule = () => {
-		if (!selectedJob || !editScheduledDate) {
+		if (!selectedJob) return;
+		if (!editRecurrence && !editScheduledDate) {
 			toast.warning("Please select a date");
 			return;
 		}
+		if (editRecurrence) {
+			const { valid, error } = validateRecurrence(editRecurrence);
+			if (!valid) {
+				toast.warning(error);
+				return;
+			}
+		}
+		const currentPolicy = getRetryPolicy(selectedJob);
+		const retryPolicyChanged =
+			String(currentPolicy.maxRetries) !== editMaxRetries ||
+			String(currentPolicy.backoffMinutes) !== editBackoffMinutes;
 		updateScheduleMutation.mutate({
 			id: selectedJob.id,
 			scheduledDate: editScheduledDate,
+			recurrence: editRecurrence,
+			hadRecurrence: !!selectedJob.recurrence,
+			retryPolicy: retryPolicyChanged
+				? { maxRetries: editMaxRetries, backoffMinutes: editBackoffMinutes }
+				: null,
 		});
 	};
 
+	const handleTogglePause = (job) => {
+		togglePauseMutation.mutate(job);
+	};
+
+	const handleRetryNow = (job) => {
+		retryNowMutation.mutate(job.id);
+	};
+
+	const handleOpenRunLog = (job) => {
+		setExpandedRunId(null);
+		setRunLogJob(job);
+	};
+
+	const formatDuration = (durationMs) => {
+		if (durationMs === null || durationMs === undefined) return "N/A";
+		if (durationMs < 1000) return `${durationMs} ms`;
+		return `${(durationMs / 1000).toFixed(1)} s`;
+	};
+
+	const getRunOutcomeBadge = (status) => {
+		const styles = {
+			success: "bg-green-100 text-green-800",
+			failed: "bg-red-100 text-red-800",
+			dead: "bg-red-200 text-red-900",
+		};
+		return (
+			<span
+				className={`px-2 py-1 text-xs font-medium rounded-full capitalize ${
+					styles[status] || "bg-zinc-100 text-zinc-800"
+				}`}
+			>
+				{status}
+			</span>
+		);
+	};
+
 	const handleCancelJob = (job) => {
 		if (window.confirm("Are you sure you want to cancel this CRON job?")) {
 			cancelJobMutation.mutate(job.id);
@@ -247,6 +487,7 @@ const CronJobsTab = ({ queryClient }) => {
 			keys: [
 				{ name: "itemData.title", weight: 0.5 },
 				{ name: "itemData.subject", weight: 0.5 },
+				{ name: "params.url", weight: 0.4 },
 				{ name: "type", weight: 0.3 },
 				{ name: "status", weight: 0.2 },
 			],
@@ -297,9 +538,12 @@ const CronJobsTab = ({ queryClient }) => {
 	const statusFilterOptions = [
 		{ value: null, label: "All Statuses" },
 		{ value: "scheduled", label: "Scheduled" },
+		{ value: "running", label: "Running" },
 		{ value: "completed", label: "Completed" },
 		{ value: "failed", label: "Failed" },
 		{ value: "cancelled", label: "Cancelled" },
+		{ value: "paused", label: "Paused" },
+		{ value: "dead", label: "Dead" },
 	];
 
 	return (
@@ -309,15 +553,29 @@ const CronJobsTab = ({ queryClient }) => {
 				<div>
 					<h1 className="text-3xl font-bold text-zinc-900">CRON Jobs</h1>
 					<p className="text-sm text-zinc-600 mt-1">
-						Manage scheduled blog posts and email campaigns. Jobs execute
+						Manage scheduled blog posts, email campaigns, changelog entries,
+						forms, invoice reminders and webhooks. Jobs execute
 						automatically at their scheduled time via Vercel CRON (every 5
 						minutes).
 					</p>
 				</div>
 				<div className="flex items-center gap-2">
+					{can("create") && (
+						<button
+							onClick={() => setShowCreateModal(true)}
+							className="flex items-center gap-2 px-4 py-2 text-sm font-medium bg-white border border-zinc-200 text-zinc-900 rounded-xl hover:bg-zinc-50 transition-colors"
+						>
+							<Plus className="w-4 h-4" />
+							New Job
+						</button>
+					)}
 					<button
 						onClick={() => executeCronMutation.mutate()}
-						disabled={executeCronMutation.isPending || dueJobsCount === 0}
+						disabled={
+							executeCronMutation.isPending ||
+							dueJobsCount === 0 ||
+							!can("execute")
+						}
 						className="flex items-center gap-2 px-4 py-2 text-sm font-medium bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
 						title={
 							dueJobsCount === 0
@@ -336,7 +594,7 @@ const CronJobsTab = ({ queryClient }) => {
 					</button>
 					<button
 						onClick={() => syncMutation.mutate()}
-						disabled={syncMutation.isPending}
+						disabled={syncMutation.isPending || !can("create")}
 						className="flex items-center gap-2 px-4 py-2 text-sm font-medium bg-zinc-900 text-white rounded-xl hover:bg-zinc-800 transition-colors disabled:opacity-50"
 					>
 						<RefreshCw
@@ -355,7 +613,7 @@ const CronJobsTab = ({ queryClient }) => {
 					<Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-zinc-400" />
 					<input
 						type="text"
-						placeholder="Search CRON jobs by title, subject, type, or status..."
+						placeholder="Search CRON jobs by title, subject, URL, type, or status..."
 						value={searchQuery}
 						onChange={(e) => setSearchQuery(e.target.value)}
 						className="w-full pl-10 pr-4 py-2 border border-zinc-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
@@ -388,7 +646,8 @@ const CronJobsTab = ({ queryClient }) => {
 						<Clock className="w-12 h-12 text-zinc-400 mx-auto mb-2" />
 						<p>No CRON jobs found</p>
 						<p className="text-sm mt-1">
-							Click "Sync Scheduled Items" to import scheduled blogs and emails
+							Click "Sync Scheduled Items" to import scheduled blogs and emails,
+							or "New Job" to schedule something else
 						</p>
 					</div>
 				) : (
@@ -418,26 +677,40 @@ const CronJobsTab = ({ queryClient }) => {
 									<TableRow key={job.id}>
 										<TableCell>
 											<div className="flex items-center gap-2">
-												{job.type === "blog" ? (
-													<FileText className="w-4 h-4 text-blue-600" />
-												) : (
-													<Mail className="w-4 h-4 text-purple-600" />
+												{JOB_TYPE_ICONS[job.type] || (
+													<Clock className="w-4 h-4 text-zinc-600" />
 												)}
-												<span className="capitalize">{job.type}</span>
+												<span>{getJobTypeLabel(job.type)}</span>
 											</div>
 										</TableCell>
 										<TableCell>
-											<span className="font-medium">
-												{job.itemData?.title || job.itemData?.subject || "N/A"}
-											</span>
+											<span className="font-medium">{getJobTitle(job)}</span>
+											{job.params?.action && (
+												<p className="text-xs text-zinc-500 capitalize">
+													{job.params.action}
+												</p>
+											)}
 										</TableCell>
 										<TableCell>
 											<div className="flex items-center gap-2">
 												<Calendar className="w-4 h-4 text-zinc-500" />
 												<span>{formatDate(job.scheduledDate)}</span>
 											</div>
+											{job.recurrence && (
+												<div className="flex items-center gap-2 mt-1 text-xs text-zinc-500">
+													<Repeat className="w-3 h-3" />
+													<span>{describeRecurrence(job.recurrence)}</span>
+												</div>
+											)}
+										</TableCell>
+										<TableCell>
+											{getStatusBadge(job.status)}
+											{job.status === "scheduled" && job.attempts > 0 && (
+												<p className="text-xs text-orange-600 mt-1">
+													Retry {job.attempts}/{getRetryPolicy(job).maxRetries}
+												</p>
+											)}
 										</TableCell>
-										<TableCell>{getStatusBadge(job.status)}</TableCell>
 										<TableCell>
 											<div className="flex items-center gap-2">
 												<button
@@ -447,7 +720,29 @@ const CronJobsTab = ({ queryClient }) => {
 												>
 													<Eye className="w-4 h-4 text-zinc-600" />
 												</button>
-												{job.status === "scheduled" && (
+												<button
+													onClick={() => handleOpenRunLog(job)}
+													className="p-1.5 rounded-xl hover:bg-zinc-100 transition-colors"
+													title="Run Log"
+												>
+													<History className="w-4 h-4 text-zinc-600" />
+												</button>
+												{(job.status === "failed" || job.status === "dead") &&
+													can("execute") && (
+													<button
+														onClick={() => handleRetryNow(job)}
+														disabled={retryNowMutation.isPending}
+														className="p-1.5 rounded-xl hover:bg-zinc-100 transition-colors disabled:opacity-50"
+														title="Retry Now"
+													>
+														<RotateCcw
+															className={`w-4 h-4 text-orange-600 ${
+																retryNowMutation.isPending ? "animate-spin" : ""
+															}`}
+														/>
+													</button>
+												)}
+												{job.status === "scheduled" && can("edit") && (
 													<>
 														<button
 															onClick={() => handleEditSchedule(job)}
@@ -465,7 +760,28 @@ const CronJobsTab = ({ queryClient }) => {
 														</button>
 													</>
 												)}
-												{job.status === "completed" && (
+												{job.recurrence &&
+													can("edit") &&
+													(job.status === "scheduled" ||
+														job.status === "paused") && (
+														<button
+															onClick={() => handleTogglePause(job)}
+															disabled={togglePauseMutation.isPending}
+															className="p-1.5 rounded-xl hover:bg-zinc-100 transition-colors disabled:opacity-50"
+															title={
+																job.status === "paused"
+																	? "Resume Series"
+																	: "Pause Series"
+															}
+														>
+															{job.status === "paused" ? (
+																<Play className="w-4 h-4 text-green-600" />
+															) : (
+																<Pause className="w-4 h-4 text-yellow-600" />
+															)}
+														</button>
+													)}
+												{job.status === "completed" && can("delete") && (
 													<button
 														onClick={() => handleDeleteJob(job)}
 														className="p-1.5 rounded-xl hover:bg-zinc-100 transition-colors"
@@ -512,10 +828,20 @@ const CronJobsTab = ({ queryClient }) => {
 								<label className="text-sm font-medium text-zinc-600">
 									Type
 								</label>
-								<p className="text-base text-zinc-900 capitalize">
-									{selectedJob.type}
+								<p className="text-base text-zinc-900">
+									{getJobTypeLabel(selectedJob.type)}
 								</p>
 							</div>
+							{Object.keys(selectedJob.params || {}).length > 0 && (
+								<div>
+									<label className="text-sm font-medium text-zinc-600">
+										Parameters
+									</label>
+									<pre className="text-xs text-zinc-800 mt-1 bg-zinc-50 border border-zinc-200 rounded-xl p-3 overflow-x-auto">
+										{JSON.stringify(selectedJob.params, null, 2)}
+									</pre>
+								</div>
+							)}
 							<div>
 								<label className="text-sm font-medium text-zinc-600">
 									Scheduled Date
@@ -530,13 +856,98 @@ const CronJobsTab = ({ queryClient }) => {
 								</label>
 								<div className="mt-1">{getStatusBadge(selectedJob.status)}</div>
 							</div>
+							{selectedJob.recurrence && (
+								<>
+									<div>
+										<label className="text-sm font-medium text-zinc-600">
+											Repeats
+										</label>
+										<p className="text-base text-zinc-900">
+											{describeRecurrence(selectedJob.recurrence)}
+										</p>
+										<p className="text-xs text-zinc-500 mt-1">
+											{selectedJob.runCount || 0} run(s) so far
+											{selectedJob.lastRunAt &&
+												`, last at ${formatDate(selectedJob.lastRunAt)}`}
+										</p>
+									</div>
+									<div>
+										<label className="text-sm font-medium text-zinc-600">
+											Upcoming Occurrences
+										</label>
+										{selectedJob.status === "paused" ? (
+											<p className="text-sm text-zinc-500 mt-1">
+												Series is paused. Resume it to continue from the next
+												occurrence.
+											</p>
+										) : (
+											<ul className="mt-1 space-y-1">
+												{getUpcomingOccurrences(
+													selectedJob.recurrence,
+													5,
+													new Date(
+														new Date(selectedJob.scheduledDate).getTime() - 1
+													)
+												).map((date) => (
+													<li
+														key={date.toISOString()}
+														className="flex items-center gap-2 text-sm text-zinc-900"
+													>
+														<Calendar className="w-4 h-4 text-zinc-500" />
+														{formatDate(date)}
+													</li>
+												))}
+											</ul>
+										)}
+									</div>
+								</>
+							)}
 
 							{jobDetails && (
 								<div className="border-t border-zinc-200 pt-4">
 									<h3 className="text-lg font-semibold text-zinc-900 mb-3">
-										{selectedJob.type === "blog" ? "Blog" : "Email"} Details
+										<span className="capitalize">
+											{getCronJobType(selectedJob.type)?.itemType}
+										</span>{" "}
+										Details
 									</h3>
-									{selectedJob.type === "blog" ? (
+									{selectedJob.type === "changelog" ||
+									selectedJob.type === "form" ? (
+										<div className="space-y-3">
+											<div>
+												<label className="text-sm font-medium text-zinc-600">
+													Title
+												</label>
+												<p className="text-base text-zinc-900">
+													{jobDetails.title}
+												</p>
+											</div>
+											<div>
+												<label className="text-sm font-medium text-zinc-600">
+													Current Status
+												</label>
+												<p className="text-base text-zinc-900">
+													{selectedJob.type === "form"
+														? jobDetails.isPublished
+															? "Open"
+															: "Closed"
+														: jobDetails.status === "draft"
+														? "Draft"
+														: "Published"}
+												</p>
+											</div>
+											{jobDetails.description && (
+												<div>
+													<label className="text-sm font-medium text-zinc-600">
+														Description
+													</label>
+													<p className="text-sm text-zinc-700">
+														{jobDetails.description}
+													</p>
+												</div>
+											)}
+										</div>
+									) : selectedJob.type === "blog" ? (
 										<div className="space-y-3">
 											<div>
 												<label className="text-sm font-medium text-zinc-600">
@@ -620,16 +1031,47 @@ const CronJobsTab = ({ queryClient }) => {
 						</div>
 
 						<div className="space-y-4">
-							<div>
-								<label className="block text-sm font-medium text-zinc-700 mb-2">
-									New Scheduled Date & Time
-								</label>
-								<input
-									type="datetime-local"
-									value={editScheduledDate}
-									onChange={(e) => setEditScheduledDate(e.target.value)}
-									className="w-full px-4 py-2 border border-zinc-300 rounded-xl focus:ring-2 focus:ring-zinc-900 focus:border-transparent"
-								/>
+							<RecurrenceFields
+								repeatType={editRepeatType}
+								onRepeatTypeChange={setEditRepeatType}
+								expression={editExpression}
+								onExpressionChange={setEditExpression}
+								timezone={editTimezone}
+								onTimezoneChange={setEditTimezone}
+								scheduledDate={editScheduledDate}
+								onScheduledDateChange={setEditScheduledDate}
+								dateLabel="New Scheduled Date & Time"
+							/>
+
+							<div className="grid grid-cols-2 gap-3">
+								<div>
+									<label className="block text-sm font-medium text-zinc-700 mb-2">
+										Max Retries
+									</label>
+									<input
+										type="number"
+										min="0"
+										value={editMaxRetries}
+										onChange={(e) => setEditMaxRetries(e.target.value)}
+										className="w-full px-4 py-2 border border-zinc-300 rounded-xl focus:ring-2 focus:ring-zinc-900 focus:border-transparent text-sm"
+									/>
+								</div>
+								<div>
+									<label className="block text-sm font-medium text-zinc-700 mb-2">
+										Backoff (minutes)
+									</label>
+									<input
+										type="number"
+										min="1"
+										value={editBackoffMinutes}
+										onChange={(e) => setEditBackoffMinutes(e.target.value)}
+										className="w-full px-4 py-2 border border-zinc-300 rounded-xl focus:ring-2 focus:ring-zinc-900 focus:border-transparent text-sm"
+									/>
+								</div>
+								<p className="col-span-2 text-xs text-zinc-500">
+									Failed runs are retried after the backoff, doubling each time.
+									The job is marked dead once retries run out.
+								</p>
 							</div>
 
 							<div className="flex gap-3">
@@ -654,6 +1096,196 @@ const CronJobsTab = ({ queryClient }) => {
 					</motion.div>
 				</div>
 			)}
+
+			{/* Create Job Modal */}
+			<CreateCronJobModal
+				isOpen={showCreateModal}
+				onClose={() => setShowCreateModal(false)}
+				queryClient={queryClient}
+			/>
+
+			{/* Run Log Drawer */}
+			<AnimatePresence>
+				{runLogJobState && (
+					<>
+						{/* Backdrop */}
+						<motion.div
+							initial={{ opacity: 0 }}
+							animate={{ opacity: 1 }}
+							exit={{ opacity: 0 }}
+							onClick={() => setRunLogJob(null)}
+							className="fixed inset-0 bg-black bg-opacity-50 z-40"
+						/>
+
+						{/* Drawer */}
+						<motion.div
+							initial={{ x: "100%" }}
+							animate={{ x: 0 }}
+							exit={{ x: "100%" }}
+							transition={{ type: "spring", damping: 25, stiffness: 200 }}
+							className="fixed right-0 top-0 h-full w-full md:w-[600px] bg-white shadow-2xl z-50 flex flex-col"
+							onClick={(e) => e.stopPropagation()}
+						>
+							{/* Drawer Header */}
+							<div className="flex items-center justify-between p-2 border-b border-zinc-200">
+								<div>
+									<h3 className="text-sm font-semibold text-zinc-900">
+										Run Log
+									</h3>
+									<p className="text-xs text-zinc-500">
+										{getJobTitle(runLogJobState)}
+									</p>
+								</div>
+								<div className="flex items-center gap-2">
+									{(runLogJobState.status === "failed" ||
+										runLogJobState.status === "dead") &&
+										can("execute") && (
+										<button
+											onClick={() => handleRetryNow(runLogJobState)}
+											disabled={retryNowMutation.isPending}
+											className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium bg-zinc-900 text-white rounded-xl hover:bg-zinc-800 transition-colors disabled:opacity-50"
+										>
+											<RotateCcw className="w-3 h-3" />
+											{retryNowMutation.isPending ? "Retrying..." : "Retry Now"}
+										</button>
+									)}
+									<button
+										onClick={() => setRunLogJob(null)}
+										className="cursor-pointer p-1.5 text-zinc-400 hover:bg-zinc-100 hover:text-zinc-600 rounded-xl transition-colors"
+									>
+										<X className="w-4 h-4" />
+									</button>
+								</div>
+							</div>
+
+							{/* Drawer Content */}
+							<div className="flex-1 overflow-y-auto p-4 space-y-3">
+								{runLogJobState.error && (
+									<div className="p-3 bg-red-50 border border-red-200 rounded-xl text-sm text-red-800">
+										<p className="font-medium">Last error</p>
+										<p className="mt-1">{runLogJobState.error}</p>
+										{runLogJobState.nextRetryAt &&
+											runLogJobState.status === "scheduled" && (
+												<p className="mt-1 text-xs">
+													Next retry at{" "}
+													{formatDate(runLogJobState.nextRetryAt)}
+												</p>
+											)}
+									</div>
+								)}
+								{isLoadingRuns ? (
+									<div className="text-center py-8 text-zinc-500">Loading...</div>
+								) : jobRuns.length === 0 ? (
+									<div className="text-center py-8 text-zinc-500">
+										<History className="w-12 h-12 text-zinc-400 mx-auto mb-2" />
+										<p>No runs recorded yet</p>
+									</div>
+								) : (
+									jobRuns.map((run) => (
+										<div
+											key={run.id}
+											className="border border-zinc-200 rounded-xl p-3 space-y-2"
+										>
+											<div className="flex items-center justify-between">
+												<div className="flex items-center gap-2">
+													{getRunOutcomeBadge(run.status)}
+													<span className="text-xs text-zinc-500">
+														Attempt {run.attempt || 1}
+													</span>
+												</div>
+												<span className="text-xs text-zinc-500">
+													{formatDuration(run.durationMs)}
+												</span>
+											</div>
+											<div className="grid grid-cols-2 gap-2 text-xs text-zinc-600">
+												<div>
+													<span className="font-medium">Started:</span>{" "}
+													{formatDate(run.startedAt)}
+												</div>
+												<div>
+													<span className="font-medium">Finished:</span>{" "}
+													{formatDate(run.finishedAt)}
+												</div>
+												<div className="col-span-2">
+													<span className="font-medium">Occurrence:</span>{" "}
+													{formatDate(run.scheduledFor)}
+												</div>
+											</div>
+											{run.error && (
+												<p className="text-xs text-red-600">{run.error}</p>
+											)}
+											{run.details?.statusCode && (
+												<div className="text-xs text-zinc-600">
+													<span className="font-medium">Response:</span>{" "}
+													HTTP {run.details.statusCode}
+													{run.details.response && (
+														<pre className="mt-1 bg-zinc-50 rounded-lg p-2 overflow-x-auto whitespace-pre-wrap">
+															{run.details.response}
+														</pre>
+													)}
+												</div>
+											)}
+											{run.details?.reminders && (
+												<p className="text-xs text-zinc-600">
+													{
+														run.details.reminders.filter(
+															(item) => item.status === "sent"
+														).length
+													}
+													/{run.details.reminders.length} reminder(s) sent,{" "}
+													{run.details.checked} invoice(s) checked
+												</p>
+											)}
+											{run.details?.batches?.length > 0 && (
+												<div>
+													<button
+														onClick={() =>
+															setExpandedRunId(
+																expandedRunId === run.id ? null : run.id
+															)
+														}
+														className="text-xs font-medium text-zinc-700 hover:text-zinc-900"
+													>
+														{run.details.sentRecipients || 0}/
+														{run.details.totalRecipients || 0} recipients in{" "}
+														{run.details.batches.length} batch(es)
+														{expandedRunId === run.id ? " ▲" : " ▼"}
+													</button>
+													{expandedRunId === run.id && (
+														<ul className="mt-2 space-y-1">
+															{run.details.batches.map((batch) => (
+																<li
+																	key={batch.batchNumber}
+																	className="flex items-center justify-between text-xs bg-zinc-50 rounded-lg px-2 py-1"
+																>
+																	<span>
+																		Batch {batch.batchNumber} ·{" "}
+																		{batch.recipients} recipients
+																	</span>
+																	<span
+																		className={
+																			batch.status === "sent"
+																				? "text-green-700"
+																				: "text-red-700"
+																		}
+																		title={batch.error || batch.messageId || ""}
+																	>
+																		{batch.status}
+																	</span>
+																</li>
+															))}
+														</ul>
+													)}
+												</div>
+											)}
+										</div>
+									))
+								)}
+							</div>
+						</motion.div>
+					</>
+				)}
+			</AnimatePresence>
 		</div>
 	);
 };
@@ -10,6 +10,11 @@ import {
 	ArrowUp,
 	ArrowDown,
 	Ban,
+	Clock,
+	AlertTriangle,
+	ShieldOff,
+	Gift,
+	Users,
 } from "lucide-react";
 import { collection, getDocs, query, orderBy } from "firebase/firestore";
 import { db } from "../../../lib/config/firebase";
@@ -25,9 +30,90 @@ import {
 } from "../../../lib/ui/Table";
 import AnimatedDropdown from "../../../lib/ui/AnimatedDropdown";
 import ExportDropdown from "../../../lib/ui/ExportDropdown";
+import {
+	DUNNING,
+	PAST_DUE_STATUSES,
+} from "../../../lib/utils/polar/constants";
 
 const CUSTOMERS_COLLECTION = "customers";
 
+const STATUS_BADGES = {
+	active: {
+		label: "Active",
+		icon: CheckCircle2,
+		color: "bg-green-100 text-green-800",
+	},
+	trialing: { label: "Trialing", icon: Clock, color: "bg-blue-100 text-blue-800" },
+	past_due: {
+		label: "Past Due",
+		icon: AlertTriangle,
+		color: "bg-yellow-100 text-yellow-800",
+	},
+	unpaid: {
+		label: "Unpaid",
+		icon: AlertTriangle,
+		color: "bg-red-100 text-red-800",
+	},
+	canceled: {
+		label: "Cancelled",
+		icon: Ban,
+		color: "bg-orange-100 text-orange-800",
+	},
+	revoked: {
+		label: "Revoked",
+		icon: ShieldOff,
+		color: "bg-red-100 text-red-800",
+	},
+};
+
+// Polar writes "canceled", older records use "cancelled"
+const normalizeStatus = (status) =>
+	status?.toLowerCase() === "cancelled" ? "canceled" : status?.toLowerCase();
+
+const getStatusBadge = (status) => {
+	const badge = STATUS_BADGES[normalizeStatus(status)] || {
+		label: status || "Inactive",
+		icon: XCircle,
+		color: "bg-red-100 text-red-800",
+	};
+	const StatusIcon = badge.icon;
+	return (
+		<span
+			className={`inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium ${badge.color}`}
+		>
+			<StatusIcon className="w-3 h-3" />
+			{badge.label}
+		</span>
+	);
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trials ending within this many days count as at risk
+const TRIAL_AT_RISK_DAYS = 7;
+
+const toDate = (value) => {
+	if (!value) return null;
+	const date = value.toDate ? value.toDate() : new Date(value);
+	return isNaN(date.getTime()) ? null : date;
+};
+
+// Past due (in grace or already downgraded), or a trial that ends soon
+const isAtRisk = (customer) => {
+	const status = normalizeStatus(customer.status);
+	if (PAST_DUE_STATUSES.includes(status)) return true;
+	if (status !== "trialing") return false;
+
+	const trialEndsAt = toDate(customer.trialEndsAt);
+	return (
+		!!trialEndsAt && trialEndsAt - new Date() <= TRIAL_AT_RISK_DAYS * DAY_MS
+	);
+};
+
+const getActiveBenefitCount = (customer) =>
+	Object.values(customer.benefits || {}).filter((benefit) => benefit.granted)
+		.length;
+
 const getAllCustomers = async () => {
 	try {
 		const q = query(
@@ -51,8 +137,9 @@ const getAllCustomers = async () => {
 
 const CustomersTab = () => {
 	const [searchQuery, setSearchQuery] = useState("");
-	const [statusFilter, setStatusFilter] = useState(null); // null = all, 'active', 'inactive'
+	const [statusFilter, setStatusFilter] = useState(null); // null = all, or a status key ('active', 'revoked', ...)
 	const [isStatusDropdownOpen, setIsStatusDropdownOpen] = useState(false);
+	const [view, setView] = useState("all"); // 'all' or 'atRisk'
 	const [sortField, setSortField] = useState(null); // 'name', 'planName', 'status', 'amount', 'createdAt', 'customerId'
 	const [sortDirection, setSortDirection] = useState("asc"); // 'asc' or 'desc'
 
@@ -68,16 +155,19 @@ const CustomersTab = () => {
 	// Status filter options
 	const statusOptions = [
 		{ value: null, label: "All Statuses" },
-		{ value: "active", label: "Active", color: "bg-green-100 text-green-800" },
+		...Object.entries(STATUS_BADGES).map(([value, badge]) => ({
+			value,
+			label: badge.label,
+			color: badge.color,
+		})),
 		{ value: "inactive", label: "Inactive", color: "bg-red-100 text-red-800" },
-		{
-			value: "cancelled",
-			label: "Cancelled",
-			color: "bg-orange-100 text-orange-800",
-		},
 	];
 
+	const atRiskCount = customers.filter(isAtRisk).length;
+
 	const filteredCustomers = customers.filter((customer) => {
+		if (view === "atRisk" && !isAtRisk(customer)) return false;
+
 		// Search filter
 		const searchLower = searchQuery.toLowerCase();
 		const matchesSearch =
@@ -88,7 +178,8 @@ const CustomersTab = () => {
 		// Status filter
 		const matchesStatus =
 			statusFilter === null ||
-			customer.status?.toLowerCase() === statusFilter?.toLowerCase();
+			normalizeStatus(customer.status) === statusFilter ||
+			(statusFilter === "inactive" && !customer.status);
 
 		return matchesSearch && matchesStatus;
 	});
@@ -185,6 +276,51 @@ const CustomersTab = () => {
 		}).format(amount / 100);
 	};
 
+	// Dunning or trial state shown in the Billing column
+	const getBillingNote = (customer) => {
+		const status = normalizeStatus(customer.status);
+
+		if (PAST_DUE_STATUSES.includes(status) && customer.pastDueAt) {
+			const graceEndsAt = toDate(customer.graceEndsAt);
+			if (customer.downgradedAt || (graceEndsAt && graceEndsAt <= new Date())) {
+				return (
+					<span className="text-xs font-medium text-red-700">
+						Downgraded {formatDate(customer.downgradedAt || graceEndsAt)}
+					</span>
+				);
+			}
+			return (
+				<div className="text-xs">
+					<div className="font-medium text-yellow-800">
+						Grace ends {formatDate(graceEndsAt)}
+					</div>
+					<div className="text-zinc-600">
+						Failed {formatDate(customer.pastDueAt)} ·{" "}
+						{customer.dunningRemindersSent || 0}/{DUNNING.REMINDER_DAYS.length}{" "}
+						reminders
+					</div>
+				</div>
+			);
+		}
+
+		if (status === "trialing" && customer.trialEndsAt) {
+			return (
+				<div className="text-xs">
+					<div className="font-medium text-blue-800">
+						Trial ends {formatDate(customer.trialEndsAt)}
+					</div>
+					{customer.trialReminderSentAt && (
+						<div className="text-zinc-600">
+							Reminded {formatDate(customer.trialReminderSentAt)}
+						</div>
+					)}
+				</div>
+			);
+		}
+
+		return <span className="text-xs text-zinc-400">—</span>;
+	};
+
 	return (
 		<div className="space-y-4">
 			{/* Header */}
@@ -200,6 +336,35 @@ const CustomersTab = () => {
 
 			{/* Search and Status Filter */}
 			<div className="flex gap-3">
+				<div className="flex bg-zinc-100 p-1 rounded-xl">
+					<button
+						onClick={() => setView("all")}
+						className={`flex items-center gap-2 px-3 py-1 text-sm font-medium rounded-xl transition-all ${
+							view === "all"
+								? "bg-white text-zinc-900 shadow-sm"
+								: "text-zinc-500 hover:text-zinc-700"
+						}`}
+					>
+						<Users className="w-4 h-4" />
+						All
+					</button>
+					<button
+						onClick={() => setView("atRisk")}
+						className={`flex items-center gap-2 px-3 py-1 text-sm font-medium rounded-xl transition-all ${
+							view === "atRisk"
+								? "bg-white text-zinc-900 shadow-sm"
+								: "text-zinc-500 hover:text-zinc-700"
+						}`}
+					>
+						<AlertTriangle className="w-4 h-4" />
+						At Risk
+						{atRiskCount > 0 && (
+							<span className="px-1.5 rounded-full text-xs bg-yellow-100 text-yellow-800">
+								{atRiskCount}
+							</span>
+						)}
+					</button>
+				</div>
 				<div className="relative flex-1">
 					<Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-zinc-400" />
 					<input
@@ -229,7 +394,7 @@ const CustomersTab = () => {
 			{/* Table */}
 			<div className="overflow-x-auto">
 				{isLoading ? (
-					<TableSkeleton rows={5} columns={6} />
+					<TableSkeleton rows={5} columns={7} />
 				) : (
 					<Table>
 						<TableHeader>
@@ -256,6 +421,7 @@ const CustomersTab = () => {
 										{getSortIcon("status")}
 									</div>
 								</TableHead>
+								<TableHead>Billing</TableHead>
 								<TableHead sortable onClick={() => handleSort("amount")}>
 									<div className="flex items-center gap-2">
 										Amount
@@ -279,16 +445,18 @@ const CustomersTab = () => {
 						<TableBody>
 							{error ? (
 								<TableEmpty
-									colSpan={6}
+									colSpan={7}
 									message="Error loading customers. Please try again."
 								/>
 							) : sortedCustomers.length === 0 ? (
 								<TableEmpty
-									colSpan={6}
+									colSpan={7}
 									message={
-										searchQuery || statusFilter !== null
-											? "No customers found matching your search or filter."
-											: "No customers yet. Customers will appear here after they subscribe."
+										view === "atRisk" && !searchQuery && statusFilter === null
+											? "No customers at risk. Past-due customers and trials ending soon appear here."
+											: searchQuery || statusFilter !== null
+												? "No customers found matching your search or filter."
+												: "No customers yet. Customers will appear here after they subscribe."
 									}
 								/>
 							) : (
@@ -309,25 +477,23 @@ const CustomersTab = () => {
 											<span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-zinc-900 text-white">
 												{customer.planName || "Pro"}
 											</span>
+											{getActiveBenefitCount(customer) > 0 && (
+												<div className="text-xs text-zinc-600 flex items-center gap-1 mt-1">
+													<Gift className="w-3 h-3" />
+													{getActiveBenefitCount(customer)} benefit
+													{getActiveBenefitCount(customer) === 1 ? "" : "s"}
+												</div>
+											)}
 										</TableCell>
 										<TableCell>
-											{customer.status === "active" ? (
-												<span className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
-													<CheckCircle2 className="w-3 h-3" />
-													Active
-												</span>
-											) : customer.status === "cancelled" ? (
-												<span className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
-													<Ban className="w-3 h-3" />
-													Cancelled
-												</span>
-											) : (
-												<span className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
-													<XCircle className="w-3 h-3" />
-													{customer.status || "Inactive"}
-												</span>
+											{getStatusBadge(customer.status)}
+											{customer.revokedAt && (
+												<div className="text-xs text-zinc-600 mt-1">
+													Revoked {formatDate(customer.revokedAt)}
+												</div>
 											)}
 										</TableCell>
+										<TableCell>{getBillingNote(customer)}</TableCell>
 										<TableCell>
 											{customer.amount
 												? formatCurrency(customer.amount, customer.currency)
@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useMemo } from "react";
 import { useQuery, useMutation } from "@tanstack/react-query";
 import { motion, AnimatePresence } from "framer-motion";
 import {
@@ -12,6 +12,14 @@ import {
 	ArrowUpDown,
 	ArrowUp,
 	ArrowDown,
+	Lock,
+	Pencil,
+	ListFilter,
+	Send,
+	BarChart3,
+	Workflow,
+	Play,
+	Pause,
 } from "lucide-react";
 import TiptapEditor from "./TiptapEditor";
 import TableSkeleton from "../../../lib/ui/TableSkeleton";
@@ -30,14 +38,41 @@ import {
 	updateEmail,
 	deleteEmail,
 } from "../../../lib/api/emails";
-import { getAllowedActions } from "../../../lib/config/roles-config";
+import { getAllSegments, deleteSegment } from "../../../lib/api/segments";
+import {
+	getAllSequences,
+	updateSequence,
+	deleteSequence,
+} from "../../../lib/api/sequences";
+import { getAllSubscribers } from "../../../lib/api/subscribers";
+import { getAllUsers } from "../../../lib/api/users";
+import { getAllCustomers } from "../../../lib/api/customers";
+import {
+	describeSegmentRule,
+	getSegmentContacts,
+} from "../../../lib/utils/segments";
+import {
+	describeStepDelay,
+	getSequenceTriggerLabel,
+} from "../../../lib/utils/sequences";
+import SegmentModal from "../../../lib/ui/SegmentModal";
+import SequenceModal from "../../../lib/ui/SequenceModal";
+import EmailDeliveriesModal from "../../../lib/ui/EmailDeliveriesModal";
+import { getDeliveryRates } from "../../../lib/api/emailDeliveries";
+import {
+	getAllowedActions,
+	canModifyContent,
+} from "../../../lib/config/roles-config";
+import { useCurrentUser } from "../../../lib/hooks/usePermissions";
 import { getCachedUserRole, getUserRole } from "../../../lib/utils/getUserRole";
 import { getCurrentUserEmail } from "../../../lib/utils/getCurrentUserEmail";
 import ConfirmationModal from "../../../lib/ui/ConfirmationModal";
 import ExportDropdown from "../../../lib/ui/ExportDropdown";
 import { toast } from "react-toastify";
+import { authFetch } from "../../../lib/utils/authFetch";
 
 const EmailTab = ({ queryClient, onSendEmail }) => {
+	const [view, setView] = useState("campaigns"); // 'campaigns', 'segments' or 'sequences'
 	const [searchQuery, setSearchQuery] = useState("");
 	const [sortField, setSortField] = useState(null); // 'subject', 'status', 'recipients', 'createdAt'
 	const [sortDirection, setSortDirection] = useState("asc"); // 'asc' or 'desc'
@@ -55,6 +90,15 @@ const EmailTab = ({ queryClient, onSendEmail }) => {
 		name: "",
 	});
 
+	const [showSegmentModal, setShowSegmentModal] = useState(false);
+	const [editingSegment, setEditingSegment] = useState(null);
+	const [showSequenceModal, setShowSequenceModal] = useState(false);
+	const [editingSequence, setEditingSequence] = useState(null);
+	// Email waiting for an audience before it's sent
+	const [emailToSend, setEmailToSend] = useState(null);
+	const [audienceSegmentId, setAudienceSegmentId] = useState("");
+	const [deliveriesEmail, setDeliveriesEmail] = useState(null);
+
 	// Modal states
 	const [showConfirmModal, setShowConfirmModal] = useState(false);
 	const [confirmAction, setConfirmAction] = useState(null);
@@ -98,6 +142,16 @@ const EmailTab = ({ queryClient, onSendEmail }) => {
 
 	// Get allowed actions for emails
 	const allowedActions = getAllowedActions(userRole, "emails");
+	const canCreate = allowedActions.includes("create");
+	const canEdit = allowedActions.includes("edit");
+	const canDelete = allowedActions.includes("delete");
+
+	// Roles limited to their own content can't open or delete other emails
+	const { currentUser } = useCurrentUser();
+	const canEditEmail = (email) =>
+		canModifyContent(userRole, "emails", "edit", email, currentUser);
+	const canDeleteEmail = (email) =>
+		canModifyContent(userRole, "emails", "delete", email, currentUser);
 
 	// Fetch emails with React Query
 	const {
@@ -109,6 +163,87 @@ const EmailTab = ({ queryClient, onSendEmail }) => {
 		queryFn: () => getAllEmails(),
 	});
 
+	// Fetch segments, and the records their live counts are computed from
+	const {
+		data: segments = [],
+		isLoading: isLoadingSegments,
+		error: segmentsError,
+	} = useQuery({
+		queryKey: ["segments"],
+		queryFn: () => getAllSegments(),
+	});
+
+	// Fetch sequences
+	const {
+		data: sequences = [],
+		isLoading: isLoadingSequences,
+		error: sequencesError,
+	} = useQuery({
+		queryKey: ["sequences"],
+		queryFn: () => getAllSequences(),
+		enabled: view === "sequences",
+	});
+
+	const needsContacts = view === "segments" || !!emailToSend;
+	const { data: subscribers = [], isLoading: isLoadingSubscribers } = useQuery({
+		queryKey: ["subscribers"],
+		queryFn: () => getAllSubscribers(),
+		enabled: needsContacts,
+	});
+	const { data: users = [], isLoading: isLoadingUsers } = useQuery({
+		queryKey: ["users"],
+		queryFn: () => getAllUsers(),
+		enabled: needsContacts,
+	});
+	const { data: customers = [], isLoading: isLoadingCustomers } = useQuery({
+		queryKey: ["customers"],
+		queryFn: () => getAllCustomers(),
+		enabled: needsContacts,
+	});
+	const isLoadingContacts =
+		isLoadingSubscribers || isLoadingUsers || isLoadingCustomers;
+
+	// Contacts each segment matches right now, by segment ID
+	const segmentCounts = useMemo(() => {
+		if (!needsContacts || isLoadingContacts) return {};
+		const records = { subscribers, users, customers };
+		return Object.fromEntries(
+			segments.map((segment) => [
+				segment.id,
+				getSegmentContacts(segment, records).length,
+			])
+		);
+	}, [
+		needsContacts,
+		isLoadingContacts,
+		segments,
+		subscribers,
+		users,
+		customers,
+	]);
+	const activeSubscriberCount = subscribers.filter(
+		(subscriber) => subscriber.status === "active"
+	).length;
+
+	const filteredSegments = segments.filter((segment) => {
+		const searchLower = searchQuery.toLowerCase();
+		return (
+			segment.name?.toLowerCase().includes(searchLower) ||
+			segment.description?.toLowerCase().includes(searchLower)
+		);
+	});
+
+	const filteredSequences = sequences.filter((sequence) => {
+		const searchLower = searchQuery.toLowerCase();
+		return (
+			sequence.name?.toLowerCase().includes(searchLower) ||
+			sequence.description?.toLowerCase().includes(searchLower) ||
+			getSequenceTriggerLabel(sequence.trigger)
+				.toLowerCase()
+				.includes(searchLower)
+		);
+	});
+
 	const filteredEmails = emails.filter((email) => {
 		const searchLower = searchQuery.toLowerCase();
 		return (
@@ -209,7 +344,9 @@ const EmailTab = ({ queryClient, onSendEmail }) => {
 		},
 		onError: (error) => {
 			console.error("Error updating email:", error);
-			toast.error("Failed to update email. Please try again.");
+			toast.error(
+				error.message || "Failed to update email. Please try again."
+			);
 		},
 	});
 
@@ -222,7 +359,60 @@ const EmailTab = ({ queryClient, onSendEmail }) => {
 		},
 		onError: (error) => {
 			console.error("Error deleting email:", error);
-			toast.error("Failed to delete email. Please try again.");
+			toast.error(
+				error.message || "Failed to delete email. Please try again."
+			);
+		},
+	});
+
+	// Delete segment mutation
+	const deleteSegmentMutation = useMutation({
+		mutationFn: deleteSegment,
+		onSuccess: () => {
+			queryClient.invalidateQueries({ queryKey: ["segments"] });
+			toast.success("Segment deleted successfully!");
+		},
+		onError: (error) => {
+			console.error("Error deleting segment:", error);
+			toast.error(
+				error.message || "Failed to delete segment. Please try again."
+			);
+		},
+	});
+
+	// Delete sequence mutation
+	const deleteSequenceMutation = useMutation({
+		mutationFn: deleteSequence,
+		onSuccess: () => {
+			queryClient.invalidateQueries({ queryKey: ["sequences"] });
+			toast.success("Sequence deleted successfully!");
+		},
+		onError: (error) => {
+			console.error("Error deleting sequence:", error);
+			toast.error(
+				error.message || "Failed to delete sequence. Please try again."
+			);
+		},
+	});
+
+	// Pause or resume sequence mutation
+	const toggleSequenceMutation = useMutation({
+		mutationFn: (sequence) =>
+			updateSequence(sequence.id, {
+				...sequence,
+				status: sequence.status === "active" ? "paused" : "active",
+			}),
+		onSuccess: (_, sequence) => {
+			queryClient.invalidateQueries({ queryKey: ["sequences"] });
+			toast.success(
+				sequence.status === "active" ? "Sequence paused" : "Sequence resumed"
+			);
+		},
+		onError: (error) => {
+			console.error("Error updating sequence:", error);
+			toast.error(
+				error.message || "Failed to update sequence. Please try again."
+			);
 		},
 	});
 
@@ -272,11 +462,22 @@ const EmailTab = ({ queryClient, onSendEmail }) => {
 		setShowEmailPreview(true);
 	};
 
-	// Send email
-	const handleSendEmail = async (email) => {
+	// Send email: pick the audience first
+	const handleSendEmail = (email) => {
+		setAudienceSegmentId("");
+		setEmailToSend(email);
+	};
+
+	// Send the email to the chosen audience
+	const handleConfirmAudience = async () => {
+		const email = emailToSend;
+		const segment =
+			segments.find((segment) => segment.id === audienceSegmentId) || null;
+		setEmailToSend(null);
+
 		if (onSendEmail) {
 			try {
-				await onSendEmail(email);
+				await onSendEmail(email, segment);
 				queryClient.invalidateQueries({ queryKey: ["emails"] });
 			} catch (error) {
 				console.error("Error sending email:", error);
@@ -284,6 +485,40 @@ const EmailTab = ({ queryClient, onSendEmail }) => {
 		}
 	};
 
+	// Create or edit segment
+	const handleOpenSegmentModal = (segment = null) => {
+		setEditingSegment(segment);
+		setShowSegmentModal(true);
+	};
+
+	// Delete segment
+	const handleDeleteSegment = (segment) => {
+		setConfirmData({
+			title: "Delete Segment",
+			message: `Are you sure you want to delete "${segment.name}"? Scheduled CRON jobs sending to it will fail until they're changed.`,
+			variant: "danger",
+		});
+		setConfirmAction(() => () => deleteSegmentMutation.mutate(segment.id));
+		setShowConfirmModal(true);
+	};
+
+	// Create or edit sequence
+	const handleOpenSequenceModal = (sequence = null) => {
+		setEditingSequence(sequence);
+		setShowSequenceModal(true);
+	};
+
+	// Delete sequence
+	const handleDeleteSequence = (sequence) => {
+		setConfirmData({
+			title: "Delete Sequence",
+			message: `Are you sure you want to delete "${sequence.name}"? Contacts still in it won't get its remaining emails.`,
+			variant: "danger",
+		});
+		setConfirmAction(() => () => deleteSequenceMutation.mutate(sequence.id));
+		setShowConfirmModal(true);
+	};
+
 	// Handle single email form change
 	const handleSingleEmailFormChange = (e) => {
 		const { name, value } = e.target;
@@ -315,7 +550,7 @@ const EmailTab = ({ queryClient, onSendEmail }) => {
 		}
 
 		try {
-			const response = await fetch("/api/emails/send-single", {
+			const response = await authFetch("/api/emails/send-single", {
 				method: "POST",
 				headers: {
 					"Content-Type": "application/json",
@@ -362,6 +597,28 @@ const EmailTab = ({ queryClient, onSendEmail }) => {
 		return emailContent;
 	};
 
+	// Delivery, open and click rates from the Resend webhook, as % of emails sent
+	const renderDeliveryStats = (email) => {
+		const rates = getDeliveryRates(email.deliveryStats);
+		if (!rates) return "—";
+
+		const problems = rates.bounced.count + rates.complained.count;
+		return (
+			<div>
+				<div>
+					{rates.delivered.rate}% delivered · {rates.opened.rate}% opened ·{" "}
+					{rates.clicked.rate}% clicked
+				</div>
+				{problems > 0 && (
+					<div className="text-red-600 mt-0.5">
+						{rates.bounced.count} bounced · {rates.complained.count} complaint
+						{rates.complained.count !== 1 ? "s" : ""}
+					</div>
+				)}
+			</div>
+		);
+	};
+
 	// Format date
 	const formatDate = (dateString) => {
 		if (!dateString) return "";
@@ -378,187 +635,533 @@ const EmailTab = ({ queryClient, onSendEmail }) => {
 	return (
 		<div>
 			<div className="flex justify-between items-center mb-4">
-				<h2 className="text-xl font-semibold text-zinc-900">Email Campaigns</h2>
+				<h2 className="text-xl font-semibold text-zinc-900">
+					{view === "segments"
+						? "Audience Segments"
+						: view === "sequences"
+							? "Email Sequences"
+							: "Email Campaigns"}
+				</h2>
 				<div className="flex items-center gap-2">
-					<ExportDropdown dataType="emails" data={sortedEmails} />
-					<motion.a
-						whileHover={{ scale: 1.02 }}
-						whileTap={{ scale: 0.98 }}
-						href="/admin/editor/email"
-						className="flex items-center gap-1.5 bg-zinc-900 text-white px-3 py-1.5 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
-					>
-						<Plus className="w-3.5 h-3.5" />
-						Create New Email
-					</motion.a>
+					{view === "campaigns" && (
+						<ExportDropdown dataType="emails" data={sortedEmails} />
+					)}
+					{canCreate && view === "segments" && (
+						<motion.button
+							whileHover={{ scale: 1.02 }}
+							whileTap={{ scale: 0.98 }}
+							onClick={() => handleOpenSegmentModal()}
+							className="flex items-center gap-1.5 bg-zinc-900 text-white px-3 py-1.5 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
+						>
+							<Plus className="w-3.5 h-3.5" />
+							Create New Segment
+						</motion.button>
+					)}
+					{canCreate && view === "sequences" && (
+						<motion.button
+							whileHover={{ scale: 1.02 }}
+							whileTap={{ scale: 0.98 }}
+							onClick={() => handleOpenSequenceModal()}
+							className="flex items-center gap-1.5 bg-zinc-900 text-white px-3 py-1.5 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
+						>
+							<Plus className="w-3.5 h-3.5" />
+							Create New Sequence
+						</motion.button>
+					)}
+					{canCreate && view === "campaigns" && (
+						<motion.a
+							whileHover={{ scale: 1.02 }}
+							whileTap={{ scale: 0.98 }}
+							href="/admin/editor/email"
+							className="flex items-center gap-1.5 bg-zinc-900 text-white px-3 py-1.5 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
+						>
+							<Plus className="w-3.5 h-3.5" />
+							Create New Email
+						</motion.a>
+					)}
 				</div>
 			</div>
 
-			{/* Search */}
-			<div className="relative mb-4">
-				<Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-zinc-400" />
-				<input
-					type="text"
-					placeholder="Search emails by subject or status..."
-					value={searchQuery}
-					onChange={(e) => setSearchQuery(e.target.value)}
-					className="w-full pl-10 pr-4 py-2 border border-zinc-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
-				/>
+			{/* View and Search */}
+			<div className="flex items-center gap-4 mb-4">
+				<div className="flex bg-zinc-100 p-1 rounded-xl">
+					<button
+						onClick={() => setView("campaigns")}
+						className={`flex items-center gap-2 px-3 py-1 text-sm font-medium rounded-xl transition-all ${
+							view === "campaigns"
+								? "bg-white text-zinc-900 shadow-sm"
+								: "text-zinc-500 hover:text-zinc-700"
+						}`}
+					>
+						<Mail className="w-4 h-4" />
+						Campaigns
+					</button>
+					<button
+						onClick={() => setView("segments")}
+						className={`flex items-center gap-2 px-3 py-1 text-sm font-medium rounded-xl transition-all ${
+							view === "segments"
+								? "bg-white text-zinc-900 shadow-sm"
+								: "text-zinc-500 hover:text-zinc-700"
+						}`}
+					>
+						<ListFilter className="w-4 h-4" />
+						Segments
+					</button>
+					<button
+						onClick={() => setView("sequences")}
+						className={`flex items-center gap-2 px-3 py-1 text-sm font-medium rounded-xl transition-all ${
+							view === "sequences"
+								? "bg-white text-zinc-900 shadow-sm"
+								: "text-zinc-500 hover:text-zinc-700"
+						}`}
+					>
+						<Workflow className="w-4 h-4" />
+						Sequences
+					</button>
+				</div>
+				<div className="relative flex-1">
+					<Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-zinc-400" />
+					<input
+						type="text"
+						placeholder={
+							view === "segments"
+								? "Search segments by name or description..."
+								: view === "sequences"
+									? "Search sequences by name or trigger..."
+									: "Search emails by subject or status..."
+						}
+						value={searchQuery}
+						onChange={(e) => setSearchQuery(e.target.value)}
+						className="w-full pl-10 pr-4 py-2 border border-zinc-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
+					/>
+				</div>
 			</div>
 
-			<div className="overflow-x-auto">
-				{isLoading ? (
-					<TableSkeleton rows={5} columns={5} />
-				) : (
-					<Table>
-						<TableHeader>
-							<TableRow>
-								<TableHead
-									sortable
-									onClick={() => handleSort("subject")}
-									className="min-w-[250px]"
-								>
-									<div className="flex items-center gap-2">
-										Subject
-										{getSortIcon("subject")}
-									</div>
-								</TableHead>
-								<TableHead
-									sortable
-									onClick={() => handleSort("status")}
-								>
-									<div className="flex items-center gap-2">
-										Status
-										{getSortIcon("status")}
-									</div>
-								</TableHead>
-								<TableHead
-									sortable
-									onClick={() => handleSort("recipients")}
-								>
-									<div className="flex items-center gap-2">
-										Recipients
-										{getSortIcon("recipients")}
-									</div>
-								</TableHead>
-								<TableHead
-									sortable
-									onClick={() => handleSort("createdAt")}
-								>
-									<div className="flex items-center gap-2">
-										Created
-										{getSortIcon("createdAt")}
-									</div>
-								</TableHead>
-								<TableHead>Actions</TableHead>
-							</TableRow>
-						</TableHeader>
-						<TableBody>
-							{error ? (
-								<TableEmpty
-									colSpan={5}
-									message="Error loading emails. Please try again."
-								/>
-							) : sortedEmails.length === 0 ? (
-								<TableEmpty
-									colSpan={5}
-									message={
-										searchQuery
-											? "No emails found matching your search."
-											: "No emails found. Create your first email campaign!"
-									}
-								/>
-							) : (
-								sortedEmails.map((email) => (
-									<TableRow
-										key={email.id}
-										onClick={() => handleEditEmail(email)}
-										className="cursor-pointer"
-									>
-										<TableCell>
-											<div className="font-medium text-zinc-900 hover:text-zinc-600 transition-colors">
-												{email.subject}
-											</div>
-										</TableCell>
-										<TableCell>
-											<span
-												className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-													email.status === "published"
-														? "bg-green-100 text-green-800"
-														: email.status === "scheduled"
-															? "bg-blue-100 text-blue-800"
-															: "bg-yellow-100 text-yellow-800"
-												}`}
-											>
-												{email.status || "draft"}
-											</span>
-										</TableCell>
-										<TableCell className="text-zinc-600">
-											{email.recipients || 0}
-										</TableCell>
-										<TableCell className="text-zinc-600">
-											{formatDate(email.createdAt)}
-										</TableCell>
-										<TableCell>
-										<div className="flex items-center gap-2">
-											{allowedActions.map((action) => {
-												if (action === "send" && email.status === "draft") {
-													return (
+			{view === "sequences" ? (
+				<div className="overflow-x-auto">
+					{isLoadingSequences ? (
+						<TableSkeleton rows={5} columns={6} />
+					) : (
+						<Table>
+							<TableHeader>
+								<TableRow>
+									<TableHead className="min-w-[200px]">Name</TableHead>
+									<TableHead>Trigger</TableHead>
+									<TableHead className="min-w-[250px]">Steps</TableHead>
+									<TableHead>Status</TableHead>
+									<TableHead>Contacts</TableHead>
+									<TableHead>Actions</TableHead>
+								</TableRow>
+							</TableHeader>
+							<TableBody>
+								{sequencesError ? (
+									<TableEmpty
+										colSpan={6}
+										message="Error loading sequences. Please try again."
+									/>
+								) : filteredSequences.length === 0 ? (
+									<TableEmpty
+										colSpan={6}
+										message={
+											searchQuery
+												? "No sequences found matching your search."
+												: "No sequences yet. Create one to follow up automatically when someone subscribes, signs up or changes their subscription."
+										}
+									/>
+								) : (
+									filteredSequences.map((sequence) => (
+										<TableRow
+											key={sequence.id}
+											onClick={() =>
+												canEdit && handleOpenSequenceModal(sequence)
+											}
+											className={canEdit ? "cursor-pointer" : ""}
+										>
+											<TableCell>
+												<div className="font-medium text-zinc-900">
+													{sequence.name}
+												</div>
+												{sequence.description && (
+													<div className="text-xs text-zinc-500 mt-0.5">
+														{sequence.description}
+													</div>
+												)}
+											</TableCell>
+											<TableCell className="text-zinc-600">
+												{getSequenceTriggerLabel(sequence.trigger)}
+											</TableCell>
+											<TableCell className="text-zinc-600 text-sm">
+												<ol className="space-y-0.5">
+													{(sequence.steps || []).map((step, index) => (
+														<li key={index} className="truncate max-w-[320px]">
+															<span className="text-zinc-400">
+																{index + 1}. {describeStepDelay(step)}:
+															</span>{" "}
+															{step.subject}
+															{step.conditions?.length > 0 && (
+																<span className="text-zinc-400"> (conditional)</span>
+															)}
+														</li>
+													))}
+												</ol>
+											</TableCell>
+											<TableCell>
+												<span
+													className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+														sequence.status === "active"
+															? "bg-green-100 text-green-800"
+															: "bg-zinc-100 text-zinc-700"
+													}`}
+												>
+													{sequence.status}
+												</span>
+											</TableCell>
+											<TableCell className="text-zinc-600 text-sm whitespace-nowrap">
+												<div>{sequence.stats?.enrolled || 0} enrolled</div>
+												<div className="text-xs text-zinc-500">
+													{sequence.stats?.sent || 0} sent,{" "}
+													{sequence.stats?.completed || 0} completed
+													{sequence.stats?.failed > 0 &&
+														`, ${sequence.stats.failed} failed`}
+												</div>
+											</TableCell>
+											<TableCell>
+												<div className="flex items-center gap-2">
+													{canEdit && (
 														<motion.button
-															key="send"
 															whileHover={{ scale: 1.05 }}
 															whileTap={{ scale: 0.95 }}
 															onClick={(e) => {
 																e.stopPropagation();
-																handleSendEmail(email);
+																toggleSequenceMutation.mutate(sequence);
 															}}
-															className="p-2 text-zinc-400 hover:text-green-600 transition-colors"
-															title="Send to Subscribers"
+															disabled={toggleSequenceMutation.isPending}
+															className="p-2 text-zinc-400 hover:text-zinc-600 transition-colors disabled:opacity-50"
+															title={
+																sequence.status === "active" ? "Pause" : "Resume"
+															}
 														>
-															<Mail className="w-4 h-4" />
+															{sequence.status === "active" ? (
+																<Pause className="w-4 h-4" />
+															) : (
+																<Play className="w-4 h-4" />
+															)}
 														</motion.button>
-													);
-												}
-												if (action === "view") {
-													return (
+													)}
+													{canEdit && (
 														<motion.button
-															key="preview"
 															whileHover={{ scale: 1.05 }}
 															whileTap={{ scale: 0.95 }}
 															onClick={(e) => {
 																e.stopPropagation();
-																handlePreviewEmail(email);
+																handleOpenSequenceModal(sequence);
 															}}
 															className="p-2 text-zinc-400 hover:text-zinc-600 transition-colors"
-															title="Preview"
+															title="Edit"
 														>
-															<Eye className="w-4 h-4" />
+															<Pencil className="w-4 h-4" />
 														</motion.button>
-													);
-												}
-												return null;
-											})}
-											{/* Always show delete button with confirmation modal */}
-											<motion.button
-												whileHover={{ scale: 1.05 }}
-												whileTap={{ scale: 0.95 }}
-												onClick={(e) => {
-													e.stopPropagation();
-													handleDeleteEmail(email.id);
-												}}
-												className="p-2 text-zinc-400 hover:text-red-600 transition-colors"
-												title="Delete"
-											>
-												<Trash2 className="w-4 h-4" />
-											</motion.button>
+													)}
+													{canDelete && (
+														<motion.button
+															whileHover={{ scale: 1.05 }}
+															whileTap={{ scale: 0.95 }}
+															onClick={(e) => {
+																e.stopPropagation();
+																handleDeleteSequence(sequence);
+															}}
+															className="p-2 text-zinc-400 hover:text-red-600 transition-colors"
+															title="Delete"
+														>
+															<Trash2 className="w-4 h-4" />
+														</motion.button>
+													)}
+												</div>
+											</TableCell>
+										</TableRow>
+									))
+								)}
+							</TableBody>
+						</Table>
+					)}
+				</div>
+			) : view === "segments" ? (
+				<div className="overflow-x-auto">
+					{isLoadingSegments ? (
+						<TableSkeleton rows={5} columns={5} />
+					) : (
+						<Table>
+							<TableHeader>
+								<TableRow>
+									<TableHead className="min-w-[200px]">Name</TableHead>
+									<TableHead className="min-w-[250px]">Rules</TableHead>
+									<TableHead>Contacts</TableHead>
+									<TableHead>Created</TableHead>
+									<TableHead>Actions</TableHead>
+								</TableRow>
+							</TableHeader>
+							<TableBody>
+								{segmentsError ? (
+									<TableEmpty
+										colSpan={5}
+										message="Error loading segments. Please try again."
+									/>
+								) : filteredSegments.length === 0 ? (
+									<TableEmpty
+										colSpan={5}
+										message={
+											searchQuery
+												? "No segments found matching your search."
+												: "No segments yet. Create one to target campaigns at part of your audience."
+										}
+									/>
+								) : (
+									filteredSegments.map((segment) => (
+										<TableRow
+											key={segment.id}
+											onClick={() => canEdit && handleOpenSegmentModal(segment)}
+											className={canEdit ? "cursor-pointer" : ""}
+										>
+											<TableCell>
+												<div className="font-medium text-zinc-900">
+													{segment.name}
+												</div>
+												{segment.description && (
+													<div className="text-xs text-zinc-500 mt-0.5">
+														{segment.description}
+													</div>
+												)}
+											</TableCell>
+											<TableCell className="text-zinc-600 text-sm">
+												{(segment.rules || [])
+													.map(describeSegmentRule)
+													.join(segment.match === "any" ? " or " : " and ")}
+											</TableCell>
+											<TableCell className="text-zinc-600">
+												{isLoadingContacts ? "…" : segmentCounts[segment.id] ?? 0}
+											</TableCell>
+											<TableCell className="text-zinc-600">
+												{formatDate(segment.createdAt)}
+											</TableCell>
+											<TableCell>
+												<div className="flex items-center gap-2">
+													{canEdit && (
+														<motion.button
+															whileHover={{ scale: 1.05 }}
+															whileTap={{ scale: 0.95 }}
+															onClick={(e) => {
+																e.stopPropagation();
+																handleOpenSegmentModal(segment);
+															}}
+															className="p-2 text-zinc-400 hover:text-zinc-600 transition-colors"
+															title="Edit"
+														>
+															<Pencil className="w-4 h-4" />
+														</motion.button>
+													)}
+													{canDelete && (
+														<motion.button
+															whileHover={{ scale: 1.05 }}
+															whileTap={{ scale: 0.95 }}
+															onClick={(e) => {
+																e.stopPropagation();
+																handleDeleteSegment(segment);
+															}}
+															className="p-2 text-zinc-400 hover:text-red-600 transition-colors"
+															title="Delete"
+														>
+															<Trash2 className="w-4 h-4" />
+														</motion.button>
+													)}
+												</div>
+											</TableCell>
+										</TableRow>
+									))
+								)}
+							</TableBody>
+						</Table>
+					)}
+				</div>
+			) : (
+				<div className="overflow-x-auto">
+					{isLoading ? (
+						<TableSkeleton rows={5} columns={6} />
+					) : (
+						<Table>
+							<TableHeader>
+								<TableRow>
+									<TableHead
+										sortable
+										onClick={() => handleSort("subject")}
+										className="min-w-[250px]"
+									>
+										<div className="flex items-center gap-2">
+											Subject
+											{getSortIcon("subject")}
 										</div>
-										</TableCell>
-									</TableRow>
-								))
-							)}
-						</TableBody>
-					</Table>
-				)}
-			</div>
+									</TableHead>
+									<TableHead
+										sortable
+										onClick={() => handleSort("status")}
+									>
+										<div className="flex items-center gap-2">
+											Status
+											{getSortIcon("status")}
+										</div>
+									</TableHead>
+									<TableHead
+										sortable
+										onClick={() => handleSort("recipients")}
+									>
+										<div className="flex items-center gap-2">
+											Recipients
+											{getSortIcon("recipients")}
+										</div>
+									</TableHead>
+									<TableHead>Delivery</TableHead>
+									<TableHead
+										sortable
+										onClick={() => handleSort("createdAt")}
+									>
+										<div className="flex items-center gap-2">
+											Created
+											{getSortIcon("createdAt")}
+										</div>
+									</TableHead>
+									<TableHead>Actions</TableHead>
+								</TableRow>
+							</TableHeader>
+							<TableBody>
+								{error ? (
+									<TableEmpty
+										colSpan={6}
+										message="Error loading emails. Please try again."
+									/>
+								) : sortedEmails.length === 0 ? (
+									<TableEmpty
+										colSpan={6}
+										message={
+											searchQuery
+												? "No emails found matching your search."
+												: "No emails found. Create your first email campaign!"
+										}
+									/>
+								) : (
+									sortedEmails.map((email) => (
+										<TableRow
+											key={email.id}
+											onClick={() => canEditEmail(email) && handleEditEmail(email)}
+											className={canEditEmail(email) ? "cursor-pointer" : ""}
+										>
+											<TableCell>
+												<div className="flex items-center gap-1.5 font-medium text-zinc-900 hover:text-zinc-600 transition-colors">
+													{email.subject}
+													{canEdit && !canEditEmail(email) && (
+														<span title="Created by someone else">
+															<Lock className="w-3.5 h-3.5 text-zinc-400" />
+														</span>
+													)}
+												</div>
+											</TableCell>
+											<TableCell>
+												<span
+													className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+														email.status === "published"
+															? "bg-green-100 text-green-800"
+															: email.status === "scheduled"
+																? "bg-blue-100 text-blue-800"
+																: "bg-yellow-100 text-yellow-800"
+													}`}
+												>
+													{email.status || "draft"}
+												</span>
+											</TableCell>
+											<TableCell className="text-zinc-600">
+												{email.recipients || 0}
+											</TableCell>
+											<TableCell className="text-zinc-600 text-xs">
+												{renderDeliveryStats(email)}
+											</TableCell>
+											<TableCell className="text-zinc-600">
+												{formatDate(email.createdAt)}
+											</TableCell>
+											<TableCell>
+											<div className="flex items-center gap-2">
+												{allowedActions.map((action) => {
+													if (action === "send" && email.status === "draft") {
+														return (
+															<motion.button
+																key="send"
+																whileHover={{ scale: 1.05 }}
+																whileTap={{ scale: 0.95 }}
+																onClick={(e) => {
+																	e.stopPropagation();
+																	handleSendEmail(email);
+																}}
+																className="p-2 text-zinc-400 hover:text-green-600 transition-colors"
+																title="Send"
+															>
+																<Mail className="w-4 h-4" />
+															</motion.button>
+														);
+													}
+													if (action === "view") {
+														return (
+															<motion.button
+																key="preview"
+																whileHover={{ scale: 1.05 }}
+																whileTap={{ scale: 0.95 }}
+																onClick={(e) => {
+																	e.stopPropagation();
+																	handlePreviewEmail(email);
+																}}
+																className="p-2 text-zinc-400 hover:text-zinc-600 transition-colors"
+																title="Preview"
+															>
+																<Eye className="w-4 h-4" />
+															</motion.button>
+														);
+													}
+													return null;
+												})}
+												{email.deliveryStats?.sent > 0 && (
+													<motion.button
+														whileHover={{ scale: 1.05 }}
+														whileTap={{ scale: 0.95 }}
+														onClick={(e) => {
+															e.stopPropagation();
+															setDeliveriesEmail(email);
+														}}
+														className="p-2 text-zinc-400 hover:text-zinc-600 transition-colors"
+														title="Delivery Stats"
+													>
+														<BarChart3 className="w-4 h-4" />
+													</motion.button>
+												)}
+												{canDeleteEmail(email) && (
+													<motion.button
+														whileHover={{ scale: 1.05 }}
+														whileTap={{ scale: 0.95 }}
+														onClick={(e) => {
+															e.stopPropagation();
+															handleDeleteEmail(email.id);
+														}}
+														className="p-2 text-zinc-400 hover:text-red-600 transition-colors"
+														title="Delete"
+													>
+														<Trash2 className="w-4 h-4" />
+													</motion.button>
+												)}
+											</div>
+											</TableCell>
+										</TableRow>
+									))
+								)}
+							</TableBody>
+						</Table>
+					)}
+				</div>
+			)}
 
 			{/* Email Modal */}
 			<AnimatePresence>
@@ -691,29 +1294,15 @@ const EmailTab = ({ queryClient, onSendEmail }) => {
 												return;
 											}
 
-											setConfirmData({
-												title: "Send Email",
-												message: "Send this email to all active subscribers?",
-												variant: "info",
+											handleSendEmail({
+												id: editingEmail?.id || "",
+												subject: currentSubject,
+												content: currentContent,
 											});
-											setConfirmAction(() => async () => {
-												if (onSendEmail) {
-													const emailToSend = {
-														id: editingEmail?.id || "",
-														subject: currentSubject,
-														content: currentContent,
-													};
-													await onSendEmail(emailToSend);
-													queryClient.invalidateQueries({
-														queryKey: ["emails"],
-													});
-												}
-											});
-											setShowConfirmModal(true);
 										}}
 										className="px-4 py-1.5 text-sm bg-zinc-50 hover:bg-zinc-100 text-zinc-900 rounded-xl font-medium transition-colors border border-zinc-200"
 									>
-										Send to All Subscribers
+										Send to Subscribers
 									</motion.button>
 									<motion.button
 										whileHover={{ scale: 1.02 }}
@@ -843,6 +1432,120 @@ const EmailTab = ({ queryClient, onSendEmail }) => {
 				)}
 			</AnimatePresence>
 
+			{/* Audience Modal */}
+			<AnimatePresence>
+				{emailToSend && (
+					<motion.div
+						initial={{ opacity: 0 }}
+						animate={{ opacity: 1 }}
+						exit={{ opacity: 0 }}
+						className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+						onClick={() => setEmailToSend(null)}
+					>
+						<motion.div
+							initial={{ scale: 0.9, opacity: 0 }}
+							animate={{ scale: 1, opacity: 1 }}
+							exit={{ scale: 0.9, opacity: 0 }}
+							onClick={(e) => e.stopPropagation()}
+							className="bg-white rounded-2xl shadow-2xl w-full max-w-md overflow-hidden flex flex-col"
+						>
+							{/* Modal Header */}
+							<div className="flex items-center justify-between p-4 border-b border-zinc-200">
+								<h3 className="text-lg font-bold text-zinc-900">
+									Choose Audience
+								</h3>
+								<button
+									onClick={() => setEmailToSend(null)}
+									className="p-2 text-zinc-400 hover:text-zinc-600 transition-colors"
+								>
+									<X className="w-4 h-4" />
+								</button>
+							</div>
+
+							{/* Modal Body */}
+							<div className="p-4 space-y-4">
+								<div>
+									<label className="block text-sm font-medium text-zinc-700 mb-2">
+										Send To
+									</label>
+									<select
+										value={audienceSegmentId}
+										onChange={(e) => setAudienceSegmentId(e.target.value)}
+										className="w-full px-4 py-2 border border-zinc-300 rounded-xl focus:ring-2 focus:ring-zinc-500 focus:outline-none"
+									>
+										<option value="">
+											All active subscribers
+											{!isLoadingContacts && ` (${activeSubscriberCount})`}
+										</option>
+										{segments.map((segment) => (
+											<option key={segment.id} value={segment.id}>
+												{segment.name}
+												{!isLoadingContacts &&
+													` (${segmentCounts[segment.id] ?? 0})`}
+											</option>
+										))}
+									</select>
+									<p className="text-xs text-zinc-500 mt-1">
+										Segment contacts who never subscribed get the email
+										without an unsubscribe link
+									</p>
+								</div>
+								<div className="bg-zinc-50 p-3 rounded-xl border border-zinc-200">
+									<p className="text-xs text-zinc-600">
+										<strong>Subject:</strong>{" "}
+										{emailToSend.subject || "No subject"}
+									</p>
+								</div>
+							</div>
+
+							{/* Modal Footer */}
+							<div className="flex items-center justify-end gap-3 p-4 border-t border-zinc-200">
+								<button
+									onClick={() => setEmailToSend(null)}
+									className="px-4 py-2 text-sm font-medium text-zinc-700 hover:bg-zinc-100 rounded-xl transition-colors"
+								>
+									Cancel
+								</button>
+								<motion.button
+									whileHover={{ scale: 1.02 }}
+									whileTap={{ scale: 0.98 }}
+									onClick={handleConfirmAudience}
+									className="flex items-center gap-2 px-4 py-2 bg-zinc-900 hover:bg-zinc-800 text-white rounded-xl text-sm font-medium transition-colors"
+								>
+									<Send className="w-4 h-4" />
+									Continue
+								</motion.button>
+							</div>
+						</motion.div>
+					</motion.div>
+				)}
+			</AnimatePresence>
+
+			<EmailDeliveriesModal
+				email={deliveriesEmail}
+				onClose={() => setDeliveriesEmail(null)}
+			/>
+
+			<SegmentModal
+				isOpen={showSegmentModal}
+				onClose={() => {
+					setShowSegmentModal(false);
+					setEditingSegment(null);
+				}}
+				segmentToEdit={editingSegment}
+				queryClient={queryClient}
+			/>
+
+			<SequenceModal
+				isOpen={showSequenceModal}
+				onClose={() => {
+					setShowSequenceModal(false);
+					setEditingSequence(null);
+				}}
+				sequenceToEdit={editingSequence}
+				queryClient={queryClient}
+			/>
+
 			{/* Confirmation Modal */}
 			<ConfirmationModal
 				isOpen={showConfirmModal}
@@ -15,16 +15,18 @@ import {
 	CheckCircle2,
 	Star,
 	Upload,
+	Lock,
 } from "lucide-react";
+import Link from "next/link";
 import {
 	getAllForms,
-	createForm,
 	updateForm,
 	deleteForm,
 	getFormSubmissions,
 	deleteFormSubmission,
 } from "../../../lib/api/forms";
 import { toast } from "react-toastify";
+import { usePermissions } from "../../../lib/hooks/usePermissions";
 import ConfirmationModal from "../../../lib/ui/ConfirmationModal";
 import TableSkeleton from "../../../lib/ui/TableSkeleton";
 import {
@@ -37,6 +39,8 @@ import {
 	TableEmpty,
 } from "../../../lib/ui/Table";
 import AnimatedDropdown from "../../../lib/ui/AnimatedDropdown";
+import Gate from "../../../lib/ui/Gate";
+import { authFetch } from "../../../lib/utils/authFetch";
 import { getFormSubmissionCount } from "../../../lib/api/forms";
 
 // Component to display submission count
@@ -51,6 +55,7 @@ const FormSubmissionCount = ({ formId }) => {
 };
 
 const FormsTab = ({ queryClient }) => {
+	const { can } = usePermissions("forms");
 	const [searchQuery, setSearchQuery] = useState("");
 	const [selectedForm, setSelectedForm] = useState(null);
 	const [viewMode, setViewMode] = useState("list"); // 'list' or 'submissions'
@@ -91,9 +96,22 @@ const FormsTab = ({ queryClient }) => {
 		);
 	});
 
-	// Create form mutation
+	// Create form mutation (the API route enforces the plan's form limit)
 	const createFormMutation = useMutation({
-		mutationFn: createForm,
+		mutationFn: async (formData) => {
+			const response = await authFetch("/api/forms", {
+				method: "POST",
+				headers: {
+					"Content-Type": "application/json",
+				},
+				body: JSON.stringify(formData),
+			});
+			const data = await response.json();
+			if (!response.ok) {
+				throw new Error(data.message || data.error);
+			}
+			return data.formId;
+		},
 		onSuccess: () => {
 			queryClient.invalidateQueries({ queryKey: ["forms"] });
 			handleCloseModal();
@@ -101,7 +119,7 @@ const FormsTab = ({ queryClient }) => {
 		},
 		onError: (error) => {
 			console.error("Error creating form:", error);
-			toast.error("Failed to create form. Please try again.");
+			toast.error(error.message || "Failed to create form. Please try again.");
 		},
 	});
 
@@ -310,16 +328,31 @@ const FormsTab = ({ queryClient }) => {
 						Create forms, collect submissions, and manage responses
 					</p>
 				</div>
-				{viewMode === "list" && (
-					<motion.button
-						whileHover={{ scale: 1.02 }}
-						whileTap={{ scale: 0.98 }}
-						onClick={handleCreateForm}
-						className="flex items-center gap-2 bg-zinc-900 text-white px-4 py-2 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
+				{viewMode === "list" && can("create") && (
+					<Gate
+						feature="forms"
+						usage={forms.length}
+						fallback={
+							<Link
+								href="/pricing"
+								className="flex items-center gap-2 border border-zinc-300 text-zinc-700 px-4 py-2 rounded-xl hover:bg-zinc-100 transition-colors text-sm"
+								title="Your plan's form limit is reached"
+							>
+								<Lock className="w-4 h-4" />
+								Upgrade for more forms
+							</Link>
+						}
 					>
-						<Plus className="w-4 h-4" />
-						Create Form
-					</motion.button>
+						<motion.button
+							whileHover={{ scale: 1.02 }}
+							whileTap={{ scale: 0.98 }}
+							onClick={handleCreateForm}
+							className="flex items-center gap-2 bg-zinc-900 text-white px-4 py-2 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
+						>
+							<Plus className="w-4 h-4" />
+							Create Form
+						</motion.button>
+					</Gate>
 				)}
 				{viewMode === "submissions" && (
 					<button
@@ -426,13 +459,15 @@ const FormsTab = ({ queryClient }) => {
 														className="flex items-center gap-2"
 														onClick={(e) => e.stopPropagation()}
 													>
-														<button
-															onClick={() => handleEditForm(form)}
-															className="p-1.5 text-zinc-400 hover:text-zinc-600 hover:bg-zinc-100 rounded-xl transition-colors"
-															title="Edit form"
-														>
-															<FileText className="w-4 h-4" />
-														</button>
+														{can("edit") && (
+															<button
+																onClick={() => handleEditForm(form)}
+																className="p-1.5 text-zinc-400 hover:text-zinc-600 hover:bg-zinc-100 rounded-xl transition-colors"
+																title="Edit form"
+															>
+																<FileText className="w-4 h-4" />
+															</button>
+														)}
 														{form.isPublished && (
 															<button
 																onClick={() => handleCopyFormUrl(form)}
@@ -442,13 +477,15 @@ const FormsTab = ({ queryClient }) => {
 																<Copy className="w-4 h-4" />
 															</button>
 														)}
-														<button
-															onClick={() => handleDeleteForm(form.id)}
-															className="p-1.5 text-zinc-400 hover:text-red-600 hover:bg-red-50 rounded-xl transition-colors"
-															title="Delete form"
-														>
-															<Trash2 className="w-4 h-4" />
-														</button>
+														{can("delete") && (
+															<button
+																onClick={() => handleDeleteForm(form.id)}
+																className="p-1.5 text-zinc-400 hover:text-red-600 hover:bg-red-50 rounded-xl transition-colors"
+																title="Delete form"
+															>
+																<Trash2 className="w-4 h-4" />
+															</button>
+														)}
 													</div>
 													</TableCell>
 												</TableRow>
@@ -940,15 +977,17 @@ const FormsTab = ({ queryClient }) => {
 														</div>
 													</td>
 													<td className="py-3 px-4">
-														<button
-															onClick={() =>
-																handleDeleteSubmission(submission.id)
-															}
-															className="p-1.5 text-zinc-400 hover:text-red-600 hover:bg-red-50 rounded-xl transition-colors"
-															title="Delete submission"
-														>
-															<Trash2 className="w-4 h-4" />
-														</button>
+														{can("delete") && (
+															<button
+																onClick={() =>
+																	handleDeleteSubmission(submission.id)
+																}
+																className="p-1.5 text-zinc-400 hover:text-red-600 hover:bg-red-50 rounded-xl transition-colors"
+																title="Delete submission"
+															>
+																<Trash2 className="w-4 h-4" />
+															</button>
+														)}
 													</td>
 												</tr>
 											))
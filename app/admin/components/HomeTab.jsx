@@ -35,56 +35,72 @@ import { getAllBlogs } from "../../../lib/api/blog";
 import { getAllEmails } from "../../../lib/api/emails";
 import { getAllCustomers } from "../../../lib/api/customers";
 import { getAllPayments } from "../../../lib/api/payments";
-import { getAllInvoices } from "../../../lib/api/invoice";
+import {
+	getAllInvoices,
+	getInvoiceStatus,
+	isInvoiceOutstanding,
+} from "../../../lib/api/invoice";
 import { getAllMessages } from "../../../lib/api/messages";
 import { getAllSubscribers } from "../../../lib/api/subscribers";
 import { getAllUsers } from "../../../lib/api/users";
 import AnimatedDropdown from "../../../lib/ui/AnimatedDropdown";
+import { hasPermission, canAccessTab } from "../../../lib/config/roles-config";
+import { useUserRole } from "../../../lib/hooks/usePermissions";
 
 const HomeTab = ({ onNavigate }) => {
 	const [activeTab, setActiveTab] = useState("overview");
 	const [isQuickActionsDropdownOpen, setIsQuickActionsDropdownOpen] =
 		useState(false);
+	const { userRole } = useUserRole();
+	const canView = (resource) => hasPermission(userRole, resource, "view");
 
-	// Fetch all data
+	// Fetch all data the current role is allowed to see
 	const { data: blogs = [], isLoading: blogsLoading } = useQuery({
 		queryKey: ["blogs"],
 		queryFn: () => getAllBlogs(),
+		enabled: canView("blogs"),
 	});
 
 	const { data: emails = [], isLoading: emailsLoading } = useQuery({
 		queryKey: ["emails"],
 		queryFn: () => getAllEmails(),
+		enabled: canView("emails"),
 	});
 
 	const { data: customers = [], isLoading: customersLoading } = useQuery({
 		queryKey: ["customers"],
 		queryFn: () => getAllCustomers(),
+		enabled: canView("customers"),
 	});
 
 	const { data: payments = [], isLoading: paymentsLoading } = useQuery({
 		queryKey: ["payments"],
 		queryFn: () => getAllPayments(),
+		enabled: canView("payments"),
 	});
 
 	const { data: invoices = [], isLoading: invoicesLoading } = useQuery({
 		queryKey: ["invoices"],
 		queryFn: () => getAllInvoices(),
+		enabled: canView("invoices"),
 	});
 
 	const { data: messages = [], isLoading: messagesLoading } = useQuery({
 		queryKey: ["messages"],
 		queryFn: () => getAllMessages(),
+		enabled: canView("messages"),
 	});
 
 	const { data: subscribers = [], isLoading: subscribersLoading } = useQuery({
 		queryKey: ["subscribers"],
 		queryFn: () => getAllSubscribers(),
+		enabled: canView("subscribers"),
 	});
 
 	const { data: users = [], isLoading: usersLoading } = useQuery({
 		queryKey: ["users"],
 		queryFn: () => getAllUsers(),
+		enabled: canView("users"),
 	});
 
 	// Calculate statistics
@@ -120,13 +136,13 @@ const HomeTab = ({ onNavigate }) => {
 			.reduce((sum, p) => sum + (p.amount || 0), 0),
 		totalPayments: payments.filter((p) => p.status === "succeeded").length,
 		totalInvoices: invoices.length,
-		paidInvoices: invoices.filter((i) => i.status === "paid").length,
-		unpaidInvoices: invoices.filter((i) => i.status === "unpaid").length,
+		paidInvoices: invoices.filter((i) => getInvoiceStatus(i) === "paid").length,
+		unpaidInvoices: invoices.filter(isInvoiceOutstanding).length,
 		unpaidAmount: invoices
-			.filter((i) => i.status === "unpaid")
+			.filter(isInvoiceOutstanding)
 			.reduce((sum, i) => sum + (i.total || 0), 0),
 		invoiceRevenue: invoices
-			.filter((i) => i.status === "paid")
+			.filter((i) => getInvoiceStatus(i) === "paid")
 			.reduce((sum, i) => sum + (i.total || 0), 0),
 	};
 
@@ -232,7 +248,7 @@ const HomeTab = ({ onNavigate }) => {
 
 	// Priority alerts
 	const priorityAlerts = [
-		...(communicationStats.unreadMessages > 0
+		...(canView("messages") && communicationStats.unreadMessages > 0
 			? [
 				{
 					type: "message",
@@ -244,7 +260,7 @@ const HomeTab = ({ onNavigate }) => {
 				},
 			]
 			: []),
-		...(financialStats.unpaidInvoices > 0
+		...(canView("invoices") && financialStats.unpaidInvoices > 0
 			? [
 				{
 					type: "invoice",
@@ -263,16 +279,19 @@ const HomeTab = ({ onNavigate }) => {
 		{
 			value: "blog",
 			label: "New Blog Post",
+			resource: "blogs",
 		},
 		{
 			value: "email",
 			label: "New Email",
+			resource: "emails",
 		},
 		{
 			value: "invoice",
 			label: "Create Invoice",
+			resource: "invoices",
 		},
-	];
+	].filter((option) => hasPermission(userRole, option.resource, "create"));
 
 	const handleQuickActionSelect = (value) => {
 		setIsQuickActionsDropdownOpen(false);
@@ -353,39 +372,41 @@ const HomeTab = ({ onNavigate }) => {
 
 			{/* Key Metrics */}
 			<div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-				{metrics.map((metric, index) => (
-					<motion.div
-						key={index}
-						initial={{ opacity: 0, y: 20 }}
-						animate={{ opacity: 1, y: 0 }}
-						transition={{ delay: index * 0.1 }}
-						onClick={() => onNavigate?.(metric.tab)}
-						className="relative group p-6 rounded-3xl overflow-hidden bg-white border border-zinc-100 shadow-sm hover:shadow-xl hover:-translate-y-1 transition-all duration-300 cursor-pointer"
-					>
-						{/* Background Glow */}
-						<div className={`absolute -right-4 -top-4 w-24 h-24 bg-gradient-to-br ${metric.color} opacity-[0.03] rounded-full group-hover:scale-150 transition-transform duration-500`} />
-
-						<div className="relative flex items-center justify-between mb-4">
-							<div className={`p-3 rounded-2xl bg-gradient-to-br ${metric.color} shadow-lg shadow-indigo-500/10`}>
-								<metric.icon className="w-6 h-6 text-white" />
-							</div>
-							<div className="flex items-center gap-1.5 px-2 py-1 bg-zinc-50 rounded-full border border-zinc-100">
-								<TrendingUp className="w-3 h-3 text-emerald-500" />
-								<span className="text-[10px] font-bold text-zinc-600 uppercase tracking-wider">+12%</span>
+				{metrics
+					.filter((metric) => canAccessTab(userRole, metric.tab))
+					.map((metric, index) => (
+						<motion.div
+							key={index}
+							initial={{ opacity: 0, y: 20 }}
+							animate={{ opacity: 1, y: 0 }}
+							transition={{ delay: index * 0.1 }}
+							onClick={() => onNavigate?.(metric.tab)}
+							className="relative group p-6 rounded-3xl overflow-hidden bg-white border border-zinc-100 shadow-sm hover:shadow-xl hover:-translate-y-1 transition-all duration-300 cursor-pointer"
+						>
+							{/* Background Glow */}
+							<div className={`absolute -right-4 -top-4 w-24 h-24 bg-gradient-to-br ${metric.color} opacity-[0.03] rounded-full group-hover:scale-150 transition-transform duration-500`} />
+	
+							<div className="relative flex items-center justify-between mb-4">
+								<div className={`p-3 rounded-2xl bg-gradient-to-br ${metric.color} shadow-lg shadow-indigo-500/10`}>
+									<metric.icon className="w-6 h-6 text-white" />
+								</div>
+								<div className="flex items-center gap-1.5 px-2 py-1 bg-zinc-50 rounded-full border border-zinc-100">
+									<TrendingUp className="w-3 h-3 text-emerald-500" />
+									<span className="text-[10px] font-bold text-zinc-600 uppercase tracking-wider">+12%</span>
+								</div>
 							</div>
-						</div>
-
-						<div className="relative">
-							<p className="text-3xl font-black text-zinc-900 tracking-tight mb-1">
-								{metric.value}
-							</p>
-							<div className="flex items-center justify-between">
-								<p className="text-xs font-medium text-zinc-500 uppercase tracking-widest">{metric.title}</p>
-								<p className="text-[10px] font-medium text-zinc-400">{metric.subtitle}</p>
+	
+							<div className="relative">
+								<p className="text-3xl font-black text-zinc-900 tracking-tight mb-1">
+									{metric.value}
+								</p>
+								<div className="flex items-center justify-between">
+									<p className="text-xs font-medium text-zinc-500 uppercase tracking-widest">{metric.title}</p>
+									<p className="text-[10px] font-medium text-zinc-400">{metric.subtitle}</p>
+								</div>
 							</div>
-						</div>
-					</motion.div>
-				))}
+						</motion.div>
+					))}
 			</div>
 
 			{/* Quick Actions & Help */}
@@ -417,13 +438,15 @@ const HomeTab = ({ onNavigate }) => {
 						View Docs
 						<ExternalLink className="w-3 h-3" />
 					</a>
-					<button
-						onClick={() => onNavigate?.("teams")}
-						className="flex items-center gap-2 px-4 py-2 text-sm font-medium bg-zinc-900 text-white rounded-xl hover:bg-zinc-800 transition-colors"
-					>
-						<Settings className="w-4 h-4" />
-						Settings
-					</button>
+					{canAccessTab(userRole, "teams") && (
+						<button
+							onClick={() => onNavigate?.("teams")}
+							className="flex items-center gap-2 px-4 py-2 text-sm font-medium bg-zinc-900 text-white rounded-xl hover:bg-zinc-800 transition-colors"
+						>
+							<Settings className="w-4 h-4" />
+							Settings
+						</button>
+					)}
 				</div>
 			</div>
 
@@ -35,8 +35,10 @@ import { createTask } from "../../../lib/api/tasks";
 import AnimatedDropdown from "../../../lib/ui/AnimatedDropdown";
 import ConfirmationModal from "../../../lib/ui/ConfirmationModal";
 import { toast } from "react-toastify";
+import { usePermissions } from "../../../lib/hooks/usePermissions";
 
 const IdeaDatabaseTab = ({ queryClient, onNavigate }) => {
+	const { can } = usePermissions("ideas");
 	const [searchQuery, setSearchQuery] = useState("");
 	const [sortField, setSortField] = useState(null);
 	const [sortDirection, setSortDirection] = useState("asc");
@@ -393,15 +395,17 @@ const IdeaDatabaseTab = ({ queryClient, onNavigate }) => {
 					<h2 className="text-xl font-semibold text-zinc-900">Idea Database</h2>
 					<p className="text-sm text-zinc-600 mt-1">List of your Ideas/Notes/Features for SAAS application</p>
 				</div>
-				<motion.button
-					whileHover={{ scale: 1.02 }}
-					whileTap={{ scale: 0.98 }}
-					onClick={handleAddNew}
-					className="flex items-center gap-1.5 bg-zinc-900 text-white px-3 py-1.5 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
-				>
-					<Plus className="w-3.5 h-3.5" />
-					Add New Idea
-				</motion.button>
+				{can("create") && (
+					<motion.button
+						whileHover={{ scale: 1.02 }}
+						whileTap={{ scale: 0.98 }}
+						onClick={handleAddNew}
+						className="flex items-center gap-1.5 bg-zinc-900 text-white px-3 py-1.5 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
+					>
+						<Plus className="w-3.5 h-3.5" />
+						Add New Idea
+					</motion.button>
+				)}
 			</div>
 
 			{/* Search and Filter */}
@@ -589,18 +593,20 @@ const IdeaDatabaseTab = ({ queryClient, onNavigate }) => {
 										</TableCell>
 										<TableCell>
 											<div className="flex items-center gap-2">
-												<motion.button
-													whileHover={{ scale: 1.05 }}
-													whileTap={{ scale: 0.95 }}
-													onClick={(e) => {
-														e.stopPropagation();
-														handleDelete(idea.id);
-													}}
-													className="p-2 text-zinc-400 hover:text-red-600 transition-colors"
-													title="Delete"
-												>
-													<Trash2 className="w-4 h-4" />
-												</motion.button>
+												{can("delete") && (
+													<motion.button
+														whileHover={{ scale: 1.05 }}
+														whileTap={{ scale: 0.95 }}
+														onClick={(e) => {
+															e.stopPropagation();
+															handleDelete(idea.id);
+														}}
+														className="p-2 text-zinc-400 hover:text-red-600 transition-colors"
+														title="Delete"
+													>
+														<Trash2 className="w-4 h-4" />
+													</motion.button>
+												)}
 											</div>
 										</TableCell>
 									</TableRow>
@@ -734,15 +740,17 @@ const IdeaDatabaseTab = ({ queryClient, onNavigate }) => {
 
 							{/* Drawer Footer */}
 							<div className="flex items-center gap-2 p-4 border-t border-zinc-200">
-								<motion.button
-									whileHover={{ scale: 1.02 }}
-									whileTap={{ scale: 0.98 }}
-									onClick={handleSave}
-									className="flex items-center justify-center gap-2 px-4 py-2 bg-zinc-900 text-white rounded-xl hover:bg-zinc-800 transition-colors font-medium text-sm"
-								>
-									<Save className="w-4 h-4" />
-									{selectedIdea ? "Update" : "Create"} Idea
-								</motion.button>
+								{(selectedIdea ? can("edit") : can("create")) && (
+									<motion.button
+										whileHover={{ scale: 1.02 }}
+										whileTap={{ scale: 0.98 }}
+										onClick={handleSave}
+										className="flex items-center justify-center gap-2 px-4 py-2 bg-zinc-900 text-white rounded-xl hover:bg-zinc-800 transition-colors font-medium text-sm"
+									>
+										<Save className="w-4 h-4" />
+										{selectedIdea ? "Update" : "Create"} Idea
+									</motion.button>
+								)}
 							</div>
 						</motion.div>
 					</>
@@ -7,6 +7,9 @@ import {
 	Calendar,
 	CheckCircle2,
 	XCircle,
+	Clock,
+	Ban,
+	FilePen,
 	ArrowUpDown,
 	ArrowUp,
 	ArrowDown,
@@ -15,13 +18,36 @@ import {
 	Eye,
 	Plus,
 	Send,
+	Link2,
+	Loader2,
+	Repeat,
+	Pause,
+	Play,
+	CalendarSync,
 } from "lucide-react";
 import { getAllInvoices } from "../../../lib/api/invoice";
 import {
 	deleteInvoice,
+	markInvoiceAsSent,
 	markInvoiceAsPaid,
 	markInvoiceAsUnpaid,
+	voidInvoice,
+	sendInvoice,
+	getInvoiceStatus,
+	canDeleteInvoice,
+	getInvoicePublicUrl,
 } from "../../../lib/api/invoice";
+import {
+	getAllRecurringInvoices,
+	pauseRecurringInvoice,
+	resumeRecurringInvoice,
+	deleteRecurringInvoice,
+	getRecurringIntervalLabel,
+} from "../../../lib/api/recurringInvoices";
+import { getCronJobsByType } from "../../../lib/api/cronJobs";
+import { getCronJobType } from "../../../lib/config/cron-job-types";
+import { describeRecurrence } from "../../../lib/utils/recurrence";
+import { formatInvoiceAmount } from "../../../lib/utils/invoiceTotals";
 import TableSkeleton from "../../../lib/ui/TableSkeleton";
 import {
 	Table,
@@ -38,10 +64,93 @@ import CreateInvoiceModal from "../../../lib/ui/CreateInvoiceModal";
 import InvoiceModal from "../../../lib/ui/InvoiceModal";
 import ExportDropdown from "../../../lib/ui/ExportDropdown";
 import { toast } from "react-toastify";
+import { usePermissions } from "../../../lib/hooks/usePermissions";
+
+// Clicking the status badge moves an invoice on: draft -> sent, sent or
+// overdue -> paid, paid -> back to sent. Void invoices stay void.
+const STATUS_TOGGLE_TITLES = {
+	draft: "Mark as sent",
+	sent: "Mark as paid",
+	overdue: "Mark as paid",
+	paid: "Mark as unpaid",
+};
+
+// CRON jobs that issue recurring invoices and send payment reminders
+const INVOICE_JOB_TYPES = [
+	{ type: "recurringInvoices", title: "Recurring invoices", icon: CalendarSync },
+	{ type: "invoiceReminder", title: "Payment reminders", icon: Clock },
+];
+
+// Jobs that will still run; finished, cancelled and dead ones are left out
+const INACTIVE_JOB_STATUSES = ["completed", "cancelled", "dead"];
+
+const formatDateTime = (date) => {
+	if (!date) return "";
+	const d = date?.toDate ? date.toDate() : new Date(date);
+	if (isNaN(d.getTime())) return "";
+	return d.toLocaleString("en-US", {
+		month: "short",
+		day: "numeric",
+		hour: "numeric",
+		minute: "2-digit",
+	});
+};
+
+// When an invoice reminder job emails, from its params
+const describeReminderCadence = (params = {}) => {
+	const beforeDue = `${params.daysBeforeDue ?? 3} days before due`;
+	if (params.includeOverdue === false) return `${beforeDue}; overdue off`;
+	return params.overdueReminderDays
+		? `${beforeDue}; overdue ${params.overdueReminderDays.join(", ")} days after`
+		: `${beforeDue}; overdue daily`;
+};
+
+// Schedule of an invoice CRON job type, as set up in the CRON Jobs tab
+const InvoiceScheduleCard = ({ jobType, jobs }) => {
+	const Icon = jobType.icon;
+	const label = getCronJobType(jobType.type)?.label || jobType.type;
+
+	return (
+		<div className="p-4 rounded-xl border border-zinc-200 bg-white">
+			<div className="flex items-center gap-2 mb-2">
+				<Icon className="w-4 h-4 text-zinc-500" />
+				<h3 className="text-sm font-semibold text-zinc-900">
+					{jobType.title}
+				</h3>
+			</div>
+			{jobs.length === 0 ? (
+				<p className="text-xs text-zinc-500">
+					Not scheduled. Add a &ldquo;{label}&rdquo; job in the CRON Jobs tab.
+				</p>
+			) : (
+				<div className="space-y-2">
+					{jobs.map((job) => (
+						<div key={job.id} className="text-xs text-zinc-600 space-y-0.5">
+							<p className="font-medium text-zinc-900">
+								{job.status === "paused"
+									? "Paused"
+									: `Next run ${formatDateTime(job.scheduledDate)}`}
+							</p>
+							<p>
+								{job.recurrence
+									? describeRecurrence(job.recurrence)
+									: "Runs once"}
+							</p>
+							{job.type === "invoiceReminder" && (
+								<p>Reminds {describeReminderCadence(job.params)}</p>
+							)}
+						</div>
+					))}
+				</div>
+			)}
+		</div>
+	);
+};
 
 const InvoiceTab = ({ queryClient }) => {
+	const { can } = usePermissions("invoices");
 	const [searchQuery, setSearchQuery] = useState("");
-	const [statusFilter, setStatusFilter] = useState("all"); // all, paid, unpaid
+	const [statusFilter, setStatusFilter] = useState("all"); // all, draft, sent, overdue, paid, void
 	const [isStatusFilterDropdownOpen, setIsStatusFilterDropdownOpen] =
 		useState(false);
 	const [sortField, setSortField] = useState(null); // 'invoiceNumber', 'toName', 'total', 'status', 'createdAt', 'dueDate'
@@ -50,8 +159,14 @@ const InvoiceTab = ({ queryClient }) => {
 	const [isInvoiceModalOpen, setIsInvoiceModalOpen] = useState(false);
 	const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
 	const [invoiceToEdit, setInvoiceToEdit] = useState(null);
+	const [sendingInvoiceId, setSendingInvoiceId] = useState(null);
 	const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
 	const [invoiceToDelete, setInvoiceToDelete] = useState(null);
+	const [invoiceToVoid, setInvoiceToVoid] = useState(null);
+	const [view, setView] = useState("invoices"); // 'invoices' or 'recurring'
+	const [isRecurringModalOpen, setIsRecurringModalOpen] = useState(false);
+	const [recurringToEdit, setRecurringToEdit] = useState(null);
+	const [recurringToDelete, setRecurringToDelete] = useState(null);
 
 	const {
 		data: invoices = [],
@@ -62,6 +177,32 @@ const InvoiceTab = ({ queryClient }) => {
 		queryFn: () => getAllInvoices(),
 	});
 
+	const { data: recurringInvoices = [], isLoading: isLoadingRecurring } =
+		useQuery({
+			queryKey: ["recurringInvoices"],
+			queryFn: () => getAllRecurringInvoices(),
+		});
+
+	const { data: invoiceJobs = [] } = useQuery({
+		queryKey: ["cronJobs", "invoices"],
+		queryFn: async () =>
+			(
+				await Promise.all(
+					INVOICE_JOB_TYPES.map((jobType) => getCronJobsByType(jobType.type))
+				)
+			)
+				.flat()
+				.filter((job) => !INACTIVE_JOB_STATUSES.includes(job.status)),
+	});
+
+	const filteredRecurringInvoices = recurringInvoices.filter((template) => {
+		const searchLower = searchQuery.toLowerCase();
+		return (
+			template.to?.name?.toLowerCase().includes(searchLower) ||
+			template.to?.email?.toLowerCase().includes(searchLower)
+		);
+	});
+
 	const filteredInvoices = invoices.filter((invoice) => {
 		const searchLower = searchQuery.toLowerCase();
 		const matchesSearch =
@@ -70,7 +211,7 @@ const InvoiceTab = ({ queryClient }) => {
 			invoice.to?.email?.toLowerCase().includes(searchLower);
 
 		const matchesStatus =
-			statusFilter === "all" || invoice.status === statusFilter;
+			statusFilter === "all" || getInvoiceStatus(invoice) === statusFilter;
 
 		return matchesSearch && matchesStatus;
 	});
@@ -90,7 +231,8 @@ const InvoiceTab = ({ queryClient }) => {
 			return sortDirection === "asc" ? dateA - dateB : dateB - dateA;
 		}
 
-		// Handle numeric comparison for total
+		// Handle numeric comparison for total (amounts in different
+		// currencies are compared as numbers)
 		if (sortField === "total") {
 			const totalA = a.total || 0;
 			const totalB = b.total || 0;
@@ -110,8 +252,8 @@ const InvoiceTab = ({ queryClient }) => {
 				bValue = (b.to?.name || "").toLowerCase();
 				break;
 			case "status":
-				aValue = (a.status || "").toLowerCase();
-				bValue = (b.status || "").toLowerCase();
+				aValue = getInvoiceStatus(a);
+				bValue = getInvoiceStatus(b);
 				break;
 			default:
 				return 0;
@@ -156,15 +298,29 @@ const InvoiceTab = ({ queryClient }) => {
 		});
 	};
 
-	const formatCurrency = (amount) => {
-		return new Intl.NumberFormat("en-US", {
-			style: "currency",
-			currency: "USD",
-		}).format(amount || 0);
-	};
-
 	const getStatusBadge = (status) => {
 		switch (status) {
+			case "draft":
+				return (
+					<span className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-zinc-100 text-zinc-700">
+						<FilePen className="w-3 h-3" />
+						Draft
+					</span>
+				);
+			case "sent":
+				return (
+					<span className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+						<Send className="w-3 h-3" />
+						Sent
+					</span>
+				);
+			case "overdue":
+				return (
+					<span className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+						<Clock className="w-3 h-3" />
+						Overdue
+					</span>
+				);
 			case "paid":
 				return (
 					<span className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
@@ -172,11 +328,11 @@ const InvoiceTab = ({ queryClient }) => {
 						Paid
 					</span>
 				);
-			case "unpaid":
+			case "void":
 				return (
-					<span className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
-						<XCircle className="w-3 h-3" />
-						Unpaid
+					<span className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-zinc-100 text-zinc-500 line-through">
+						<Ban className="w-3 h-3" />
+						Void
 					</span>
 				);
 			default:
@@ -188,14 +344,25 @@ const InvoiceTab = ({ queryClient }) => {
 		}
 	};
 
+	// Invoiced amounts per currency, drafts and void invoices left out
+	const amountsByCurrency = invoices
+		.filter((i) => !["draft", "void"].includes(getInvoiceStatus(i)))
+		.reduce((sums, i) => {
+			const currency = i.currency || "usd";
+			sums[currency] = (sums[currency] || 0) + (i.total || 0);
+			return sums;
+		}, {});
+
 	const stats = {
 		total: invoices.length,
-		paid: invoices.filter((i) => i.status === "paid").length,
-		unpaid: invoices.filter((i) => i.status === "unpaid").length,
-		totalAmount: invoices.reduce((sum, i) => sum + (i.total || 0), 0),
-		paidAmount: invoices
-			.filter((i) => i.status === "paid")
-			.reduce((sum, i) => sum + (i.total || 0), 0),
+		paid: invoices.filter((i) => getInvoiceStatus(i) === "paid").length,
+		outstanding: invoices.filter((i) =>
+			["sent", "overdue"].includes(getInvoiceStatus(i))
+		).length,
+		overdue: invoices.filter((i) => getInvoiceStatus(i) === "overdue").length,
+		totalAmount: Object.entries(amountsByCurrency)
+			.map(([currency, amount]) => formatInvoiceAmount(amount, currency))
+			.join(" + "),
 	};
 
 	const handleDeleteClick = (invoice) => {
@@ -219,20 +386,23 @@ const InvoiceTab = ({ queryClient }) => {
 		}
 	};
 
+	const handleVoidConfirm = async () => {
+		if (!invoiceToVoid) return;
+
+		try {
+			await voidInvoice(invoiceToVoid.id);
+			toast.success("Invoice voided");
+			queryClient.invalidateQueries({ queryKey: ["invoices"] });
+		} catch (error) {
+			console.error("Error voiding invoice:", error);
+			toast.error("Failed to void invoice. Please try again.");
+		} finally {
+			setInvoiceToVoid(null);
+		}
+	};
+
 	const handleViewClick = (invoice) => {
-		// Convert invoice to payment-like format for InvoiceModal
-		const paymentFormat = {
-			id: invoice.id,
-			paymentId: invoice.invoiceNumber,
-			customerName: invoice.to?.name || "",
-			customerEmail: invoice.to?.email || "",
-			amount: invoice.total * 100, // Convert to cents
-			currency: "usd",
-			status: invoice.status === "paid" ? "succeeded" : "pending",
-			createdAt: invoice.createdAt || invoice.invoiceDate,
-			planName: "Invoice",
-		};
-		setSelectedInvoice(paymentFormat);
+		setSelectedInvoice(invoice);
 		setIsInvoiceModalOpen(true);
 	};
 
@@ -252,23 +422,46 @@ const InvoiceTab = ({ queryClient }) => {
 			return;
 		}
 
+		if (getInvoiceStatus(invoice) === "void") {
+			toast.error("Void invoices can't be sent");
+			return;
+		}
+
+		setSendingInvoiceId(invoice.id);
 		try {
-			// TODO: Implement email sending API
-			toast.info("Sending invoice email...");
-			// await sendInvoiceEmail(invoice.id, invoice.to.email);
-			toast.success("Invoice sent successfully");
+			const { invoiceNumber } = await sendInvoice(invoice.id);
+			toast.success(`Invoice ${invoiceNumber} sent to ${invoice.to.email}`);
+			queryClient.invalidateQueries({ queryKey: ["invoices"] });
 		} catch (error) {
 			console.error("Error sending invoice:", error);
-			toast.error("Failed to send invoice. Please try again.");
+			toast.error(error.message || "Failed to send invoice. Please try again.");
+		} finally {
+			setSendingInvoiceId(null);
+		}
+	};
+
+	const handleCopyPayLink = async (invoice) => {
+		try {
+			await navigator.clipboard.writeText(
+				getInvoicePublicUrl(invoice, window.location.origin)
+			);
+			toast.success("Payment link copied");
+		} catch (error) {
+			console.error("Error copying payment link:", error);
+			toast.error("Failed to copy payment link");
 		}
 	};
 
 	const handleStatusToggle = async (invoice) => {
+		const status = getInvoiceStatus(invoice);
 		try {
-			if (invoice.status === "paid") {
+			if (status === "draft") {
+				await markInvoiceAsSent(invoice.id);
+				toast.success("Invoice marked as sent");
+			} else if (status === "paid") {
 				await markInvoiceAsUnpaid(invoice.id);
 				toast.success("Invoice marked as unpaid");
-			} else {
+			} else if (status !== "void") {
 				await markInvoiceAsPaid(invoice.id);
 				toast.success("Invoice marked as paid");
 			}
@@ -279,11 +472,54 @@ const InvoiceTab = ({ queryClient }) => {
 		}
 	};
 
+	const handleCreateRecurringClick = () => {
+		setRecurringToEdit(null);
+		setIsRecurringModalOpen(true);
+	};
+
+	const handleEditRecurringClick = (template) => {
+		setRecurringToEdit(template);
+		setIsRecurringModalOpen(true);
+	};
+
+	const handleRecurringToggle = async (template) => {
+		try {
+			if (template.status === "paused") {
+				await resumeRecurringInvoice(template.id);
+				toast.success("Recurring invoice resumed");
+			} else {
+				await pauseRecurringInvoice(template.id);
+				toast.success("Recurring invoice paused");
+			}
+			queryClient.invalidateQueries({ queryKey: ["recurringInvoices"] });
+		} catch (error) {
+			console.error("Error updating recurring invoice:", error);
+			toast.error("Failed to update recurring invoice. Please try again.");
+		}
+	};
+
+	const handleDeleteRecurringConfirm = async () => {
+		if (!recurringToDelete) return;
+
+		try {
+			await deleteRecurringInvoice(recurringToDelete.id);
+			toast.success("Recurring invoice deleted");
+			queryClient.invalidateQueries({ queryKey: ["recurringInvoices"] });
+			setRecurringToDelete(null);
+		} catch (error) {
+			console.error("Error deleting recurring invoice:", error);
+			toast.error("Failed to delete recurring invoice. Please try again.");
+		}
+	};
+
 	// Status filter options
 	const statusFilterOptions = [
 		{ value: "all", label: "All Status" },
+		{ value: "draft", label: "Draft", color: "bg-zinc-100 text-zinc-700" },
+		{ value: "sent", label: "Sent", color: "bg-blue-100 text-blue-800" },
+		{ value: "overdue", label: "Overdue", color: "bg-red-100 text-red-800" },
 		{ value: "paid", label: "Paid", color: "bg-green-100 text-green-800" },
-		{ value: "unpaid", label: "Unpaid", color: "bg-red-100 text-red-800" },
+		{ value: "void", label: "Void", color: "bg-zinc-100 text-zinc-500" },
 	];
 
 	return (
@@ -298,15 +534,23 @@ const InvoiceTab = ({ queryClient }) => {
 				</div>
 				<div className="flex items-center gap-2">
 					<ExportDropdown dataType="invoices" data={sortedInvoices} />
-					<motion.button
-						whileHover={{ scale: 1.02 }}
-						whileTap={{ scale: 0.98 }}
-						onClick={handleCreateClick}
-						className="flex items-center gap-2 px-4 py-2 text-sm text-white bg-zinc-900 hover:bg-zinc-800 rounded-xl font-medium transition-colors"
-					>
-						<Plus className="w-4 h-4" />
-						Create New Invoice
-					</motion.button>
+					{can("create") && (
+						<motion.button
+							whileHover={{ scale: 1.02 }}
+							whileTap={{ scale: 0.98 }}
+							onClick={
+								view === "recurring"
+									? handleCreateRecurringClick
+									: handleCreateClick
+							}
+							className="flex items-center gap-2 px-4 py-2 text-sm text-white bg-zinc-900 hover:bg-zinc-800 rounded-xl font-medium transition-colors"
+						>
+							<Plus className="w-4 h-4" />
+							{view === "recurring"
+								? "New Recurring Invoice"
+								: "Create New Invoice"}
+						</motion.button>
+					)}
 				</div>
 			</div>
 
@@ -349,8 +593,17 @@ const InvoiceTab = ({ queryClient }) => {
 				>
 					<div className="flex items-center justify-between">
 						<div>
-							<p className="text-xs font-medium text-red-600 mb-1">Unpaid</p>
-							<p className="text-2xl font-bold text-red-900">{stats.unpaid}</p>
+							<p className="text-xs font-medium text-red-600 mb-1">
+								Outstanding
+							</p>
+							<p className="text-2xl font-bold text-red-900">
+								{stats.outstanding}
+							</p>
+							{stats.overdue > 0 && (
+								<p className="text-xs text-red-600 mt-1">
+									{stats.overdue} overdue
+								</p>
+							)}
 						</div>
 						<XCircle className="w-8 h-8 text-red-400" />
 					</div>
@@ -367,7 +620,7 @@ const InvoiceTab = ({ queryClient }) => {
 								Total Amount
 							</p>
 							<p className="text-2xl font-bold text-yellow-900">
-								{formatCurrency(stats.totalAmount)}
+								{stats.totalAmount || formatInvoiceAmount(0)}
 							</p>
 						</div>
 						<FileText className="w-8 h-8 text-yellow-400" />
@@ -375,205 +628,437 @@ const InvoiceTab = ({ queryClient }) => {
 				</motion.div>
 			</div>
 
-			{/* Filters */}
+			{/* View and Filters */}
 			<div className="flex items-center gap-4">
+				<div className="flex bg-zinc-100 p-1 rounded-xl">
+					<button
+						onClick={() => setView("invoices")}
+						className={`flex items-center gap-2 px-3 py-1 text-sm font-medium rounded-xl transition-all ${
+							view === "invoices"
+								? "bg-white text-zinc-900 shadow-sm"
+								: "text-zinc-500 hover:text-zinc-700"
+						}`}
+					>
+						<FileText className="w-4 h-4" />
+						Invoices
+					</button>
+					<button
+						onClick={() => setView("recurring")}
+						className={`flex items-center gap-2 px-3 py-1 text-sm font-medium rounded-xl transition-all ${
+							view === "recurring"
+								? "bg-white text-zinc-900 shadow-sm"
+								: "text-zinc-500 hover:text-zinc-700"
+						}`}
+					>
+						<Repeat className="w-4 h-4" />
+						Recurring
+					</button>
+				</div>
 				<div className="relative flex-1">
 					<Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-zinc-400" />
 					<input
 						type="text"
-						placeholder="Search invoices by number, client name, or email..."
+						placeholder={
+							view === "recurring"
+								? "Search recurring invoices by client name or email..."
+								: "Search invoices by number, client name, or email..."
+						}
 						value={searchQuery}
 						onChange={(e) => setSearchQuery(e.target.value)}
 						className="w-full pl-10 pr-4 py-2 border border-zinc-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
 					/>
 				</div>
-				<div className="w-48">
-					<AnimatedDropdown
-						isOpen={isStatusFilterDropdownOpen}
-						onToggle={() =>
-							setIsStatusFilterDropdownOpen(!isStatusFilterDropdownOpen)
-						}
-						onSelect={(value) => {
-							setStatusFilter(value);
-							setIsStatusFilterDropdownOpen(false);
-						}}
-						options={statusFilterOptions}
-						value={statusFilter}
-						placeholder="All Status"
-						buttonClassName="text-sm"
-					/>
-				</div>
+				{view === "invoices" && (
+					<div className="w-48">
+						<AnimatedDropdown
+							isOpen={isStatusFilterDropdownOpen}
+							onToggle={() =>
+								setIsStatusFilterDropdownOpen(!isStatusFilterDropdownOpen)
+							}
+							onSelect={(value) => {
+								setStatusFilter(value);
+								setIsStatusFilterDropdownOpen(false);
+							}}
+							options={statusFilterOptions}
+							value={statusFilter}
+							placeholder="All Status"
+							buttonClassName="text-sm"
+						/>
+					</div>
+				)}
 			</div>
 
 			{/* Table */}
-			<div className="overflow-x-auto">
-				{isLoading ? (
-					<TableSkeleton rows={5} columns={7} />
-				) : (
-					<Table>
-						<TableHeader>
-							<TableRow>
-								<TableHead
-									sortable
-									onClick={() => handleSort("invoiceNumber")}
-								>
-									<div className="flex items-center gap-2">
-										Invoice #{getSortIcon("invoiceNumber")}
-									</div>
-								</TableHead>
-								<TableHead
-									sortable
-									onClick={() => handleSort("toName")}
-									className="min-w-[200px]"
-								>
-									<div className="flex items-center gap-2">
-										Client
-										{getSortIcon("toName")}
-									</div>
-								</TableHead>
-								<TableHead
-									sortable
-									onClick={() => handleSort("total")}
-								>
-									<div className="flex items-center gap-2">
-										Amount
-										{getSortIcon("total")}
-									</div>
-								</TableHead>
-								<TableHead
-									sortable
-									onClick={() => handleSort("status")}
-								>
-									<div className="flex items-center gap-2">
-										Status
-										{getSortIcon("status")}
-									</div>
-								</TableHead>
-								<TableHead
-									sortable
-									onClick={() => handleSort("createdAt")}
-								>
-									<div className="flex items-center gap-2">
-										Date
-										{getSortIcon("createdAt")}
-									</div>
-								</TableHead>
-								<TableHead
-									sortable
-									onClick={() => handleSort("dueDate")}
-								>
-									<div className="flex items-center gap-2">
-										Due Date
-										{getSortIcon("dueDate")}
-									</div>
-								</TableHead>
-								<TableHead>Actions</TableHead>
-							</TableRow>
-						</TableHeader>
-						<TableBody>
-							{error ? (
-								<TableEmpty
-									colSpan={7}
-									message="Error loading invoices. Please try again."
-								/>
-							) : sortedInvoices.length === 0 ? (
-								<TableEmpty
-									colSpan={7}
-									message={
-										searchQuery || statusFilter !== "all"
-											? "No invoices found matching your filters."
-											: "No invoices yet. Click 'Create New Invoice' to get started."
-									}
-								/>
-							) : (
-								sortedInvoices.map((invoice) => (
-									<TableRow key={invoice.id}>
-										<TableCell>
-											<code className="text-xs text-zinc-600 font-mono">
-												{invoice.invoiceNumber || invoice.id}
-											</code>
-										</TableCell>
-										<TableCell>
-											<div>
-												<div className="font-medium text-sm text-zinc-900">
-													{invoice.to?.name || ""}
+			{view === "invoices" ? (
+				<div className="overflow-x-auto">
+					{isLoading ? (
+						<TableSkeleton rows={5} columns={7} />
+					) : (
+						<Table>
+							<TableHeader>
+								<TableRow>
+									<TableHead
+										sortable
+										onClick={() => handleSort("invoiceNumber")}
+									>
+										<div className="flex items-center gap-2">
+											Invoice #{getSortIcon("invoiceNumber")}
+										</div>
+									</TableHead>
+									<TableHead
+										sortable
+										onClick={() => handleSort("toName")}
+										className="min-w-[200px]"
+									>
+										<div className="flex items-center gap-2">
+											Client
+											{getSortIcon("toName")}
+										</div>
+									</TableHead>
+									<TableHead
+										sortable
+										onClick={() => handleSort("total")}
+									>
+										<div className="flex items-center gap-2">
+											Amount
+											{getSortIcon("total")}
+										</div>
+									</TableHead>
+									<TableHead
+										sortable
+										onClick={() => handleSort("status")}
+									>
+										<div className="flex items-center gap-2">
+											Status
+											{getSortIcon("status")}
+										</div>
+									</TableHead>
+									<TableHead
+										sortable
+										onClick={() => handleSort("createdAt")}
+									>
+										<div className="flex items-center gap-2">
+											Date
+											{getSortIcon("createdAt")}
+										</div>
+									</TableHead>
+									<TableHead
+										sortable
+										onClick={() => handleSort("dueDate")}
+									>
+										<div className="flex items-center gap-2">
+											Due Date
+											{getSortIcon("dueDate")}
+										</div>
+									</TableHead>
+									<TableHead>Actions</TableHead>
+								</TableRow>
+							</TableHeader>
+							<TableBody>
+								{error ? (
+									<TableEmpty
+										colSpan={7}
+										message="Error loading invoices. Please try again."
+									/>
+								) : sortedInvoices.length === 0 ? (
+									<TableEmpty
+										colSpan={7}
+										message={
+											searchQuery || statusFilter !== "all"
+												? "No invoices found matching your filters."
+												: "No invoices yet. Click 'Create New Invoice' to get started."
+										}
+									/>
+								) : (
+									sortedInvoices.map((invoice) => (
+										<TableRow key={invoice.id}>
+											<TableCell>
+												<div className="flex items-center gap-1">
+													<code className="text-xs text-zinc-600 font-mono">
+														{invoice.invoiceNumber || invoice.id}
+													</code>
+													{invoice.recurringInvoiceId && (
+														<span title="Issued by a recurring invoice">
+															<Repeat className="w-3 h-3 text-zinc-400" />
+														</span>
+													)}
+												</div>
+											</TableCell>
+											<TableCell>
+												<div>
+													<div className="font-medium text-sm text-zinc-900">
+														{invoice.to?.name || ""}
+													</div>
+													<div className="text-xs text-zinc-600">
+														{invoice.to?.email || ""}
+													</div>
 												</div>
-												<div className="text-xs text-zinc-600">
-													{invoice.to?.email || ""}
+											</TableCell>
+											<TableCell>
+												<span className="font-semibold text-sm text-zinc-900">
+													{formatInvoiceAmount(invoice.total, invoice.currency)}
+												</span>
+											</TableCell>
+											<TableCell>
+												<button
+													onClick={() => handleStatusToggle(invoice)}
+													disabled={
+														!can("edit") || getInvoiceStatus(invoice) === "void"
+													}
+													title={
+														can("edit")
+															? STATUS_TOGGLE_TITLES[getInvoiceStatus(invoice)]
+															: undefined
+													}
+													className="cursor-pointer disabled:cursor-default"
+												>
+													{getStatusBadge(getInvoiceStatus(invoice))}
+												</button>
+											</TableCell>
+											<TableCell>
+												<div className="text-xs text-zinc-600 flex items-center gap-1">
+													<Calendar className="w-3 h-3" />
+													{formatDate(invoice.invoiceDate || invoice.createdAt)}
 												</div>
+											</TableCell>
+											<TableCell>
+											<div className="text-xs text-zinc-600">
+												{formatDate(invoice.dueDate)}
 											</div>
 										</TableCell>
 										<TableCell>
-											<span className="font-semibold text-sm text-zinc-900">
-												{formatCurrency(invoice.total)}
-											</span>
-										</TableCell>
-										<TableCell>
-											<button
-												onClick={() => handleStatusToggle(invoice)}
-												className="cursor-pointer"
-											>
-												{getStatusBadge(invoice.status)}
-											</button>
-										</TableCell>
-										<TableCell>
-											<div className="text-xs text-zinc-600 flex items-center gap-1">
-												<Calendar className="w-3 h-3" />
-												{formatDate(invoice.invoiceDate || invoice.createdAt)}
+											<div className="flex items-center gap-2">
+												<motion.button
+													whileHover={{ scale: 1.1 }}
+													whileTap={{ scale: 0.9 }}
+													onClick={() => handleViewClick(invoice)}
+													className="p-2 text-zinc-600 hover:text-zinc-900 hover:bg-zinc-100 rounded-xl transition-colors"
+													title="View Invoice"
+												>
+													<Eye className="w-4 h-4" />
+												</motion.button>
+												{can("edit") && (
+													<motion.button
+														whileHover={{ scale: 1.1 }}
+														whileTap={{ scale: 0.9 }}
+														onClick={() => handleEditClick(invoice)}
+														className="p-2 text-blue-600 hover:text-blue-700 hover:bg-blue-50 rounded-xl transition-colors"
+														title="Edit Invoice"
+													>
+														<Edit className="w-4 h-4" />
+													</motion.button>
+												)}
+												{can("send") && getInvoiceStatus(invoice) !== "void" && (
+													<motion.button
+														whileHover={{ scale: 1.1 }}
+														whileTap={{ scale: 0.9 }}
+														onClick={() => handleSendInvoice(invoice)}
+														disabled={sendingInvoiceId === invoice.id}
+														className="p-2 text-green-600 hover:text-green-700 hover:bg-green-50 rounded-xl transition-colors disabled:opacity-50"
+														title={invoice.lastSentAt ? "Resend Invoice" : "Send Invoice"}
+													>
+														{sendingInvoiceId === invoice.id ? (
+															<Loader2 className="w-4 h-4 animate-spin" />
+														) : (
+															<Send className="w-4 h-4" />
+														)}
+													</motion.button>
+												)}
+												{invoice.publicToken && (
+													<motion.button
+														whileHover={{ scale: 1.1 }}
+														whileTap={{ scale: 0.9 }}
+														onClick={() => handleCopyPayLink(invoice)}
+														className="p-2 text-zinc-600 hover:text-zinc-900 hover:bg-zinc-100 rounded-xl transition-colors"
+														title="Copy Payment Link"
+													>
+														<Link2 className="w-4 h-4" />
+													</motion.button>
+												)}
+												{can("edit") &&
+													invoice.invoiceNumber &&
+													getInvoiceStatus(invoice) !== "void" && (
+														<motion.button
+															whileHover={{ scale: 1.1 }}
+															whileTap={{ scale: 0.9 }}
+															onClick={() => setInvoiceToVoid(invoice)}
+															className="p-2 text-zinc-600 hover:text-zinc-900 hover:bg-zinc-100 rounded-xl transition-colors"
+															title="Void Invoice"
+														>
+															<Ban className="w-4 h-4" />
+														</motion.button>
+													)}
+												{can("delete") && canDeleteInvoice(invoice) && (
+													<motion.button
+														whileHover={{ scale: 1.1 }}
+														whileTap={{ scale: 0.9 }}
+														onClick={() => handleDeleteClick(invoice)}
+														className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50 rounded-xl transition-colors"
+														title="Delete Invoice"
+													>
+														<Trash2 className="w-4 h-4" />
+													</motion.button>
+												)}
 											</div>
 										</TableCell>
-										<TableCell>
-										<div className="text-xs text-zinc-600">
-											{formatDate(invoice.dueDate)}
-										</div>
-									</TableCell>
-									<TableCell>
-										<div className="flex items-center gap-2">
-											<motion.button
-												whileHover={{ scale: 1.1 }}
-												whileTap={{ scale: 0.9 }}
-												onClick={() => handleViewClick(invoice)}
-												className="p-2 text-zinc-600 hover:text-zinc-900 hover:bg-zinc-100 rounded-xl transition-colors"
-												title="View Invoice"
-											>
-												<Eye className="w-4 h-4" />
-											</motion.button>
-											<motion.button
-												whileHover={{ scale: 1.1 }}
-												whileTap={{ scale: 0.9 }}
-												onClick={() => handleEditClick(invoice)}
-												className="p-2 text-blue-600 hover:text-blue-700 hover:bg-blue-50 rounded-xl transition-colors"
-												title="Edit Invoice"
-											>
-												<Edit className="w-4 h-4" />
-											</motion.button>
-											<motion.button
-												whileHover={{ scale: 1.1 }}
-												whileTap={{ scale: 0.9 }}
-												onClick={() => handleSendInvoice(invoice)}
-												className="p-2 text-green-600 hover:text-green-700 hover:bg-green-50 rounded-xl transition-colors"
-												title="Send Invoice"
-											>
-												<Send className="w-4 h-4" />
-											</motion.button>
-											<motion.button
-												whileHover={{ scale: 1.1 }}
-												whileTap={{ scale: 0.9 }}
-												onClick={() => handleDeleteClick(invoice)}
-												className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50 rounded-xl transition-colors"
-												title="Delete Invoice"
-											>
-												<Trash2 className="w-4 h-4" />
-											</motion.button>
-										</div>
-									</TableCell>
-								</TableRow>
-							))
+									</TableRow>
+								))
+							)}
+						</TableBody>
+					</Table>
+					)}
+				</div>
+			) : (
+				<div className="space-y-4">
+					{/* Schedules */}
+					<div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+						{INVOICE_JOB_TYPES.map((jobType) => (
+							<InvoiceScheduleCard
+								key={jobType.type}
+								jobType={jobType}
+								jobs={invoiceJobs.filter((job) => job.type === jobType.type)}
+							/>
+						))}
+					</div>
+
+					{/* Recurring Invoices Table */}
+					<div className="overflow-x-auto">
+						{isLoadingRecurring ? (
+							<TableSkeleton rows={5} columns={7} />
+						) : (
+							<Table>
+								<TableHeader>
+									<TableRow>
+										<TableHead className="min-w-[200px]">Client</TableHead>
+										<TableHead>Amount</TableHead>
+										<TableHead>Repeats</TableHead>
+										<TableHead>Next Invoice</TableHead>
+										<TableHead>Issued</TableHead>
+										<TableHead>Status</TableHead>
+										<TableHead>Actions</TableHead>
+									</TableRow>
+								</TableHeader>
+								<TableBody>
+									{filteredRecurringInvoices.length === 0 ? (
+										<TableEmpty
+											colSpan={7}
+											message={
+												searchQuery
+													? "No recurring invoices found matching your search."
+													: "No recurring invoices yet. Click 'New Recurring Invoice' to bill a client every month or quarter."
+											}
+										/>
+									) : (
+										filteredRecurringInvoices.map((template) => (
+											<TableRow key={template.id}>
+												<TableCell>
+													<div>
+														<div className="font-medium text-sm text-zinc-900">
+															{template.to?.name || ""}
+														</div>
+														<div className="text-xs text-zinc-600">
+															{template.to?.email || ""}
+														</div>
+													</div>
+												</TableCell>
+												<TableCell>
+													<span className="font-semibold text-sm text-zinc-900">
+														{formatInvoiceAmount(template.total, template.currency)}
+													</span>
+												</TableCell>
+												<TableCell>
+													<div className="text-sm text-zinc-900">
+														{getRecurringIntervalLabel(template.interval)}
+													</div>
+													<div className="text-xs text-zinc-600">
+														{template.autoSend ? "Emailed to client" : "Saved as draft"}
+													</div>
+												</TableCell>
+												<TableCell>
+													<div
+														className={`text-xs flex items-center gap-1 ${
+															template.status === "paused"
+																? "text-zinc-400 line-through"
+																: "text-zinc-600"
+														}`}
+													>
+														<Calendar className="w-3 h-3" />
+														{formatDate(template.nextIssueDate)}
+													</div>
+												</TableCell>
+												<TableCell>
+													<div className="text-sm text-zinc-900">
+														{template.issuedCount || 0}
+													</div>
+													{template.lastIssuedAt && (
+														<div className="text-xs text-zinc-600">
+															Last {formatDate(template.lastIssuedAt)}
+														</div>
+													)}
+												</TableCell>
+												<TableCell>
+													{template.status === "paused" ? (
+														<span className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-zinc-100 text-zinc-700">
+															<Pause className="w-3 h-3" />
+															Paused
+														</span>
+													) : (
+														<span className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+															<Repeat className="w-3 h-3" />
+															Active
+														</span>
+													)}
+												</TableCell>
+												<TableCell>
+													<div className="flex items-center gap-2">
+														{can("edit") && (
+															<>
+																<motion.button
+																	whileHover={{ scale: 1.1 }}
+																	whileTap={{ scale: 0.9 }}
+																	onClick={() => handleEditRecurringClick(template)}
+																	className="p-2 text-blue-600 hover:text-blue-700 hover:bg-blue-50 rounded-xl transition-colors"
+																	title="Edit Recurring Invoice"
+																>
+																	<Edit className="w-4 h-4" />
+																</motion.button>
+																<motion.button
+																	whileHover={{ scale: 1.1 }}
+																	whileTap={{ scale: 0.9 }}
+																	onClick={() => handleRecurringToggle(template)}
+																	className="p-2 text-zinc-600 hover:text-zinc-900 hover:bg-zinc-100 rounded-xl transition-colors"
+																	title={template.status === "paused" ? "Resume" : "Pause"}
+																>
+																	{template.status === "paused" ? (
+																		<Play className="w-4 h-4" />
+																	) : (
+																		<Pause className="w-4 h-4" />
+																	)}
+																</motion.button>
+															</>
+														)}
+														{can("delete") && (
+															<motion.button
+																whileHover={{ scale: 1.1 }}
+																whileTap={{ scale: 0.9 }}
+																onClick={() => setRecurringToDelete(template)}
+																className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50 rounded-xl transition-colors"
+																title="Delete Recurring Invoice"
+															>
+																<Trash2 className="w-4 h-4" />
+															</motion.button>
+														)}
+													</div>
+												</TableCell>
+											</TableRow>
+										))
+									)}
+								</TableBody>
+							</Table>
 						)}
-					</TableBody>
-				</Table>
-				)}
-			</div>
+					</div>
+				</div>
+			)}
 
 			{/* Delete Confirmation Modal */}
 			<ConfirmationModal
@@ -594,6 +1079,50 @@ const InvoiceTab = ({ queryClient }) => {
 				variant="danger"
 			/>
 
+			{/* Void Confirmation Modal */}
+			<ConfirmationModal
+				isOpen={!!invoiceToVoid}
+				onClose={() => setInvoiceToVoid(null)}
+				onConfirm={handleVoidConfirm}
+				title="Void Invoice"
+				message={
+					invoiceToVoid
+						? `Void invoice ${invoiceToVoid.invoiceNumber}? It keeps its number but can no longer be paid.`
+						: "Void this invoice?"
+				}
+				confirmText="Void"
+				cancelText="Cancel"
+				variant="danger"
+			/>
+
+			{/* Delete Recurring Invoice Confirmation Modal */}
+			<ConfirmationModal
+				isOpen={!!recurringToDelete}
+				onClose={() => setRecurringToDelete(null)}
+				onConfirm={handleDeleteRecurringConfirm}
+				title="Delete Recurring Invoice"
+				message={
+					recurringToDelete
+						? `Stop billing ${recurringToDelete.to?.name || recurringToDelete.to?.email} and delete this recurring invoice? Invoices it already issued are kept.`
+						: "Delete this recurring invoice?"
+				}
+				confirmText="Delete"
+				cancelText="Cancel"
+				variant="danger"
+			/>
+
+			{/* Create/Edit Recurring Invoice Modal */}
+			<CreateInvoiceModal
+				isOpen={isRecurringModalOpen}
+				onClose={() => {
+					setIsRecurringModalOpen(false);
+					setRecurringToEdit(null);
+					queryClient.invalidateQueries({ queryKey: ["recurringInvoices"] });
+				}}
+				invoiceToEdit={recurringToEdit}
+				recurring
+			/>
+
 			{/* Create/Edit Invoice Modal */}
 			<CreateInvoiceModal
 				isOpen={isCreateModalOpen}
@@ -612,7 +1141,7 @@ const InvoiceTab = ({ queryClient }) => {
 					setIsInvoiceModalOpen(false);
 					setSelectedInvoice(null);
 				}}
-				payment={selectedInvoice}
+				invoice={selectedInvoice}
 			/>
 		</div>
 	);
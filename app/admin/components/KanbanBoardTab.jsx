@@ -50,6 +50,7 @@ import {
 } from "../../../lib/api/tasks";
 import { getAllTeamMembers } from "../../../lib/api/teams";
 import { toast } from "react-toastify";
+import { usePermissions } from "../../../lib/hooks/usePermissions";
 import ConfirmationModal from "../../../lib/ui/ConfirmationModal";
 
 // Sortable Task Card Component
@@ -71,6 +72,8 @@ const SortableTaskCard = ({
 		isDragging,
 	} = useSortable({
 		id: task.id,
+		// Tasks can only be moved between columns by roles that can edit them
+		disabled: !onEdit,
 	});
 
 	const style = {
@@ -135,22 +138,26 @@ const SortableTaskCard = ({
 					>
 						<GripVertical className="w-3 h-3" />
 					</div>
-					<motion.button
-						whileHover={{ scale: 1.1 }}
-						whileTap={{ scale: 0.9 }}
-						onClick={() => onEdit(task)}
-						className="p-1 text-zinc-400 hover:text-zinc-600 rounded-xl hover:bg-zinc-100"
-					>
-						<Edit className="w-3 h-3" />
-					</motion.button>
-					<motion.button
-						whileHover={{ scale: 1.1 }}
-						whileTap={{ scale: 0.9 }}
-						onClick={() => onDelete(task.id)}
-						className="p-1 text-zinc-400 hover:text-red-600 rounded-xl hover:bg-red-50"
-					>
-						<Trash2 className="w-3 h-3" />
-					</motion.button>
+					{onEdit && (
+						<motion.button
+							whileHover={{ scale: 1.1 }}
+							whileTap={{ scale: 0.9 }}
+							onClick={() => onEdit(task)}
+							className="p-1 text-zinc-400 hover:text-zinc-600 rounded-xl hover:bg-zinc-100"
+						>
+							<Edit className="w-3 h-3" />
+						</motion.button>
+					)}
+					{onDelete && (
+						<motion.button
+							whileHover={{ scale: 1.1 }}
+							whileTap={{ scale: 0.9 }}
+							onClick={() => onDelete(task.id)}
+							className="p-1 text-zinc-400 hover:text-red-600 rounded-xl hover:bg-red-50"
+						>
+							<Trash2 className="w-3 h-3" />
+						</motion.button>
+					)}
 				</div>
 			</div>
 
@@ -182,14 +189,16 @@ const SortableTaskCard = ({
 						</div>
 					))}
 				</div>
-				<motion.button
-					whileHover={{ scale: 1.1 }}
-					whileTap={{ scale: 0.9 }}
-					onClick={() => onAddAssignee(task.id)}
-					className="w-6 h-6 rounded-full bg-zinc-100 border-2 border-dashed border-zinc-300 flex items-center justify-center text-xs font-medium text-zinc-500 hover:bg-zinc-200"
-				>
-					<Plus className="w-3 h-3" />
-				</motion.button>
+				{onAddAssignee && (
+					<motion.button
+						whileHover={{ scale: 1.1 }}
+						whileTap={{ scale: 0.9 }}
+						onClick={() => onAddAssignee(task.id)}
+						className="w-6 h-6 rounded-full bg-zinc-100 border-2 border-dashed border-zinc-300 flex items-center justify-center text-xs font-medium text-zinc-500 hover:bg-zinc-200"
+					>
+						<Plus className="w-3 h-3" />
+					</motion.button>
+				)}
 			</div>
 
 			{/* Priority and Progress */}
@@ -267,6 +276,7 @@ const DroppableColumn = ({ id, children }) => {
 };
 
 const KanbanBoardTab = ({ queryClient }) => {
+	const { can } = usePermissions("kanban");
 	const [searchQuery, setSearchQuery] = useState("");
 	const [viewMode, setViewMode] = useState("board"); // board, list, table
 	const [showAddModal, setShowAddModal] = useState(false);
@@ -691,7 +701,7 @@ const KanbanBoardTab = ({ queryClient }) => {
 		const { active, over } = event;
 		setActiveId(null);
 
-		if (!over || !active) return;
+		if (!over || !active || !can("edit")) return;
 
 		const taskId = active.id;
 		const task = tasks.find((t) => t.id === taskId);
@@ -967,26 +977,28 @@ const KanbanBoardTab = ({ queryClient }) => {
 							)}
 						</AnimatePresence>
 					</div>
-					<motion.button
-						whileHover={{ scale: 1.02 }}
-						whileTap={{ scale: 0.98 }}
-						onClick={() => {
-							setEditingTask(null);
-							setFormData({
-								title: "",
-								description: "",
-								type: "task",
-								priority: "Medium",
-								status: "backlog",
-								category: "",
-							});
-							setShowAddModal(true);
-						}}
-						className="flex items-center gap-2 px-4 py-2 bg-zinc-900 text-white rounded-xl text-sm font-medium hover:bg-zinc-800"
-					>
-						<Plus className="w-4 h-4" />
-						Add Task
-					</motion.button>
+					{can("create") && (
+						<motion.button
+							whileHover={{ scale: 1.02 }}
+							whileTap={{ scale: 0.98 }}
+							onClick={() => {
+								setEditingTask(null);
+								setFormData({
+									title: "",
+									description: "",
+									type: "task",
+									priority: "Medium",
+									status: "backlog",
+									category: "",
+								});
+								setShowAddModal(true);
+							}}
+							className="flex items-center gap-2 px-4 py-2 bg-zinc-900 text-white rounded-xl text-sm font-medium hover:bg-zinc-800"
+						>
+							<Plus className="w-4 h-4" />
+							Add Task
+						</motion.button>
+					)}
 					<div className="flex items-center gap-2">
 						<div className="flex -space-x-2">
 							{allAssignees.slice(0, 3).map((assignee, idx) => (
@@ -1069,9 +1081,11 @@ const KanbanBoardTab = ({ queryClient }) => {
 													<SortableTaskCard
 														key={task.id}
 														task={task}
-														onEdit={handleEdit}
-														onDelete={handleDelete}
-														onAddAssignee={handleAddAssignee}
+														onEdit={can("edit") ? handleEdit : null}
+														onDelete={can("delete") ? handleDelete : null}
+														onAddAssignee={
+															can("edit") ? handleAddAssignee : null
+														}
 														getPriorityColor={getPriorityColor}
 														getTypeColor={getTypeColor}
 														teamMembers={teamMembers}
@@ -1134,9 +1148,9 @@ const KanbanBoardTab = ({ queryClient }) => {
 									return (
 										<SortableTaskCard
 											task={task}
-											onEdit={handleEdit}
-											onDelete={handleDelete}
-											onAddAssignee={handleAddAssignee}
+											onEdit={can("edit") ? handleEdit : null}
+											onDelete={can("delete") ? handleDelete : null}
+											onAddAssignee={can("edit") ? handleAddAssignee : null}
 											getPriorityColor={getPriorityColor}
 											getTypeColor={getTypeColor}
 											teamMembers={teamMembers}
@@ -1194,14 +1208,16 @@ const KanbanBoardTab = ({ queryClient }) => {
 													{getAssigneeInitials(assignee)}
 												</div>
 											))}
-											<motion.button
-												whileHover={{ scale: 1.1 }}
-												whileTap={{ scale: 0.9 }}
-												onClick={() => handleAddAssignee(task.id)}
-												className="w-8 h-8 rounded-full bg-zinc-100 border-2 border-dashed border-zinc-300 flex items-center justify-center text-xs font-medium text-zinc-500 hover:bg-zinc-200"
-											>
-												<Plus className="w-4 h-4" />
-											</motion.button>
+											{can("edit") && (
+												<motion.button
+													whileHover={{ scale: 1.1 }}
+													whileTap={{ scale: 0.9 }}
+													onClick={() => handleAddAssignee(task.id)}
+													className="w-8 h-8 rounded-full bg-zinc-100 border-2 border-dashed border-zinc-300 flex items-center justify-center text-xs font-medium text-zinc-500 hover:bg-zinc-200"
+												>
+													<Plus className="w-4 h-4" />
+												</motion.button>
+											)}
 										</div>
 										<span
 											className={`px-2 py-1 rounded-xl text-xs font-medium flex-shrink-0 ${getPriorityColor(
@@ -1225,22 +1241,26 @@ const KanbanBoardTab = ({ queryClient }) => {
 											{task.status}
 										</span>
 										<div className="flex items-center gap-2 flex-shrink-0">
-											<motion.button
-												whileHover={{ scale: 1.1 }}
-												whileTap={{ scale: 0.9 }}
-												onClick={() => handleEdit(task)}
-												className="p-2 text-zinc-400 hover:text-zinc-600 rounded-xl hover:bg-zinc-100"
-											>
-												<Edit className="w-4 h-4" />
-											</motion.button>
-											<motion.button
-												whileHover={{ scale: 1.1 }}
-												whileTap={{ scale: 0.9 }}
-												onClick={() => handleDelete(task.id)}
-												className="p-2 text-zinc-400 hover:text-red-600 rounded-xl hover:bg-red-50"
-											>
-												<Trash2 className="w-4 h-4" />
-											</motion.button>
+											{can("edit") && (
+												<motion.button
+													whileHover={{ scale: 1.1 }}
+													whileTap={{ scale: 0.9 }}
+													onClick={() => handleEdit(task)}
+													className="p-2 text-zinc-400 hover:text-zinc-600 rounded-xl hover:bg-zinc-100"
+												>
+													<Edit className="w-4 h-4" />
+												</motion.button>
+											)}
+											{can("delete") && (
+												<motion.button
+													whileHover={{ scale: 1.1 }}
+													whileTap={{ scale: 0.9 }}
+													onClick={() => handleDelete(task.id)}
+													className="p-2 text-zinc-400 hover:text-red-600 rounded-xl hover:bg-red-50"
+												>
+													<Trash2 className="w-4 h-4" />
+												</motion.button>
+											)}
 										</div>
 									</div>
 								</motion.div>
@@ -1326,14 +1346,16 @@ const KanbanBoardTab = ({ queryClient }) => {
 														</div>
 													))}
 												</div>
-												<motion.button
-													whileHover={{ scale: 1.1 }}
-													whileTap={{ scale: 0.9 }}
-													onClick={() => handleAddAssignee(task.id)}
-													className="w-8 h-8 rounded-full bg-zinc-100 border-2 border-dashed border-zinc-300 flex items-center justify-center text-xs font-medium text-zinc-500 hover:bg-zinc-200"
-												>
-													<Plus className="w-4 h-4" />
-												</motion.button>
+												{can("edit") && (
+													<motion.button
+														whileHover={{ scale: 1.1 }}
+														whileTap={{ scale: 0.9 }}
+														onClick={() => handleAddAssignee(task.id)}
+														className="w-8 h-8 rounded-full bg-zinc-100 border-2 border-dashed border-zinc-300 flex items-center justify-center text-xs font-medium text-zinc-500 hover:bg-zinc-200"
+													>
+														<Plus className="w-4 h-4" />
+													</motion.button>
+												)}
 											</div>
 										</td>
 										<td className="py-3 px-4">
@@ -1373,22 +1395,26 @@ const KanbanBoardTab = ({ queryClient }) => {
 										</td>
 										<td className="py-3 px-4">
 											<div className="flex items-center gap-2">
-												<motion.button
-													whileHover={{ scale: 1.1 }}
-													whileTap={{ scale: 0.9 }}
-													onClick={() => handleEdit(task)}
-													className="p-2 text-zinc-400 hover:text-zinc-600 rounded-xl hover:bg-zinc-100"
-												>
-													<Edit className="w-4 h-4" />
-												</motion.button>
-												<motion.button
-													whileHover={{ scale: 1.1 }}
-													whileTap={{ scale: 0.9 }}
-													onClick={() => handleDelete(task.id)}
-													className="p-2 text-zinc-400 hover:text-red-600 rounded-xl hover:bg-red-50"
-												>
-													<Trash2 className="w-4 h-4" />
-												</motion.button>
+												{can("edit") && (
+													<motion.button
+														whileHover={{ scale: 1.1 }}
+														whileTap={{ scale: 0.9 }}
+														onClick={() => handleEdit(task)}
+														className="p-2 text-zinc-400 hover:text-zinc-600 rounded-xl hover:bg-zinc-100"
+													>
+														<Edit className="w-4 h-4" />
+													</motion.button>
+												)}
+												{can("delete") && (
+													<motion.button
+														whileHover={{ scale: 1.1 }}
+														whileTap={{ scale: 0.9 }}
+														onClick={() => handleDelete(task.id)}
+														className="p-2 text-zinc-400 hover:text-red-600 rounded-xl hover:bg-red-50"
+													>
+														<Trash2 className="w-4 h-4" />
+													</motion.button>
+												)}
 											</div>
 										</td>
 									</tr>
@@ -31,8 +31,11 @@ import {
 import AnimatedDropdown from "../../../lib/ui/AnimatedDropdown";
 import ExportDropdown from "../../../lib/ui/ExportDropdown";
 import { toast } from "react-toastify";
+import { usePermissions } from "../../../lib/hooks/usePermissions";
+import { authFetch } from "../../../lib/utils/authFetch";
 
 const MessagesTab = ({ queryClient }) => {
+	const { can } = usePermissions("messages");
 	const [searchQuery, setSearchQuery] = useState("");
 	const [readFilter, setReadFilter] = useState("all"); // all, read, unread
 	const [repliedFilter, setRepliedFilter] = useState("all"); // all, replied, unreplied
@@ -92,7 +95,7 @@ const MessagesTab = ({ queryClient }) => {
 
 		setIsSendingReply(true);
 		try {
-			const response = await fetch("/api/messages/reply", {
+			const response = await authFetch("/api/messages/reply", {
 				method: "POST",
 				headers: {
 					"Content-Type": "application/json",
@@ -330,14 +333,16 @@ const MessagesTab = ({ queryClient }) => {
 										</TableCell>
 										<TableCell>
 										<div className="flex items-center gap-2">
-											<button
-												onClick={() => handleReplyClick(message)}
-												className="p-1.5 text-blue-600 hover:text-blue-900 hover:bg-blue-50 rounded-xl transition-colors"
-												title="Reply to message"
-											>
-												<Send className="w-4 h-4" />
-											</button>
-											{!message.read && (
+											{can("send") && (
+												<button
+													onClick={() => handleReplyClick(message)}
+													className="p-1.5 text-blue-600 hover:text-blue-900 hover:bg-blue-50 rounded-xl transition-colors"
+													title="Reply to message"
+												>
+													<Send className="w-4 h-4" />
+												</button>
+											)}
+											{!message.read && can("edit") && (
 												<button
 													onClick={() => markAsReadMutation.mutate(message.id)}
 													className="p-1.5 text-zinc-600 hover:text-zinc-900 hover:bg-zinc-100 rounded-xl transition-colors"
@@ -346,21 +351,23 @@ const MessagesTab = ({ queryClient }) => {
 													<Eye className="w-4 h-4" />
 												</button>
 											)}
-											<button
-												onClick={() => {
-													if (
-														confirm(
-															"Are you sure you want to delete this message?"
-														)
-													) {
-														deleteMessageMutation.mutate(message.id);
-													}
-												}}
-												className="p-1.5 text-red-600 hover:text-red-900 hover:bg-red-50 rounded-xl transition-colors"
-												title="Delete message"
-											>
-												<Trash2 className="w-4 h-4" />
-											</button>
+											{can("delete") && (
+												<button
+													onClick={() => {
+														if (
+															confirm(
+																"Are you sure you want to delete this message?"
+															)
+														) {
+															deleteMessageMutation.mutate(message.id);
+														}
+													}}
+													className="p-1.5 text-red-600 hover:text-red-900 hover:bg-red-50 rounded-xl transition-colors"
+													title="Delete message"
+												>
+													<Trash2 className="w-4 h-4" />
+												</button>
+											)}
 										</div>
 										</TableCell>
 									</TableRow>
@@ -13,6 +13,7 @@ import {
 	ArrowDown,
 	Trash2,
 	FileText,
+	RotateCcw,
 } from "lucide-react";
 import { collection, getDocs, query, orderBy } from "firebase/firestore";
 import { db } from "../../../lib/config/firebase";
@@ -32,6 +33,7 @@ import InvoiceModal from "../../../lib/ui/InvoiceModal";
 import ExportDropdown from "../../../lib/ui/ExportDropdown";
 import { deletePayment } from "../../../lib/api/payments";
 import { toast } from "react-toastify";
+import { usePermissions } from "../../../lib/hooks/usePermissions";
 
 const PAYMENTS_COLLECTION = "payments";
 
@@ -105,8 +107,9 @@ const getAllPayments = async () => {
 };
 
 const PaymentsTab = ({ queryClient }) => {
+	const { can } = usePermissions("payments");
 	const [searchQuery, setSearchQuery] = useState("");
-	const [statusFilter, setStatusFilter] = useState("all"); // all, succeeded, failed, pending
+	const [statusFilter, setStatusFilter] = useState("all"); // all, succeeded, failed, pending, refunded, partially_refunded
 	const [isStatusFilterDropdownOpen, setIsStatusFilterDropdownOpen] =
 		useState(false);
 	const [sortField, setSortField] = useState(null); // 'paymentId', 'customerName', 'amount', 'status', 'createdAt', 'planName'
@@ -279,6 +282,20 @@ const PaymentsTab = ({ queryClient }) => {
 						Pending
 					</span>
 				);
+			case "refunded":
+				return (
+					<span className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+						<RotateCcw className="w-3 h-3" />
+						Refunded
+					</span>
+				);
+			case "partially_refunded":
+				return (
+					<span className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+						<RotateCcw className="w-3 h-3" />
+						Partially Refunded
+					</span>
+				);
 			default:
 				return (
 					<span className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-zinc-100 text-zinc-800">
@@ -293,9 +310,15 @@ const PaymentsTab = ({ queryClient }) => {
 		succeeded: payments.filter((p) => p.status === "succeeded").length,
 		failed: payments.filter((p) => p.status === "failed").length,
 		pending: payments.filter((p) => p.status === "pending").length,
+		// Net of refunds: refunded payments were paid, then (partly) returned
 		totalRevenue: payments
-			.filter((p) => p.status === "succeeded")
-			.reduce((sum, p) => sum + (p.amount || 0), 0),
+			.filter((p) =>
+				["succeeded", "refunded", "partially_refunded"].includes(p.status)
+			)
+			.reduce(
+				(sum, p) => sum + Math.max((p.amount || 0) - (p.refundedAmount || 0), 0),
+				0
+			),
 	};
 
 	const handleDeleteClick = (payment) => {
@@ -338,6 +361,16 @@ const PaymentsTab = ({ queryClient }) => {
 			label: "Pending",
 			color: "bg-yellow-100 text-yellow-800",
 		},
+		{
+			value: "refunded",
+			label: "Refunded",
+			color: "bg-purple-100 text-purple-800",
+		},
+		{
+			value: "partially_refunded",
+			label: "Partially Refunded",
+			color: "bg-purple-100 text-purple-800",
+		},
 	];
 
 	return (
@@ -543,6 +576,12 @@ const PaymentsTab = ({ queryClient }) => {
 													? formatCurrency(payment.amount, payment.currency)
 													: "$0"}
 											</span>
+											{payment.refundedAmount > 0 && (
+												<div className="text-xs text-purple-700">
+													-{formatCurrency(payment.refundedAmount, payment.currency)}{" "}
+													refunded
+												</div>
+											)}
 										</TableCell>
 										<TableCell>{getStatusBadge(payment.status)}</TableCell>
 										<TableCell>
@@ -569,15 +608,17 @@ const PaymentsTab = ({ queryClient }) => {
 										</TableCell>
 										<TableCell>
 											<div className="flex items-center gap-2">
-												<motion.button
-													whileHover={{ scale: 1.1 }}
-													whileTap={{ scale: 0.9 }}
-													onClick={() => handleDeleteClick(payment)}
-													className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50 rounded-xl transition-colors"
-													title="Delete Payment"
-												>
-													<Trash2 className="w-4 h-4" />
-												</motion.button>
+												{can("delete") && (
+													<motion.button
+														whileHover={{ scale: 1.1 }}
+														whileTap={{ scale: 0.9 }}
+														onClick={() => handleDeleteClick(payment)}
+														className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50 rounded-xl transition-colors"
+														title="Delete Payment"
+													>
+														<Trash2 className="w-4 h-4" />
+													</motion.button>
+												)}
 											</div>
 										</TableCell>
 									</TableRow>
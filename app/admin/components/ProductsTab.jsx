@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, Fragment } from "react";
 import { useQuery, useMutation } from "@tanstack/react-query";
 import { motion } from "framer-motion";
 import {
@@ -12,8 +12,19 @@ import {
 	Plus,
 	ExternalLink,
 	Image as ImageIcon,
+	Ticket,
+	ChevronDown,
+	ChevronRight,
+	Power,
 } from "lucide-react";
 import { getAllProducts, deleteProduct } from "../../../lib/api/products";
+import {
+	getAllCoupons,
+	getCouponRedemptions,
+	updateCoupon,
+	deleteCoupon,
+	formatCouponDiscount,
+} from "../../../lib/api/coupons";
 import TableSkeleton from "../../../lib/ui/TableSkeleton";
 import {
 	Table,
@@ -26,10 +37,89 @@ import {
 } from "../../../lib/ui/Table";
 import ProductModal from "../../../lib/ui/ProductModal";
 import ProductDetailsModal from "../../../lib/ui/ProductDetailsModal";
+import CouponModal from "../../../lib/ui/CouponModal";
 import ConfirmationModal from "../../../lib/ui/ConfirmationModal";
 import { toast } from "react-toastify";
+import { usePermissions } from "../../../lib/hooks/usePermissions";
+
+const formatDate = (date) => {
+	if (!date) return "";
+	const d = date?.toDate ? date.toDate() : new Date(date);
+	if (isNaN(d.getTime())) return "";
+	return d.toLocaleDateString("en-US", {
+		year: "numeric",
+		month: "short",
+		day: "numeric",
+	});
+};
+
+const getCouponStatus = (coupon) => {
+	const expiresAt = coupon.expiresAt?.toDate
+		? coupon.expiresAt.toDate()
+		: coupon.expiresAt
+			? new Date(coupon.expiresAt)
+			: null;
+
+	if (coupon.active === false) {
+		return { label: "Inactive", className: "bg-zinc-100 text-zinc-600" };
+	}
+	if (expiresAt && expiresAt <= new Date()) {
+		return { label: "Expired", className: "bg-red-100 text-red-700" };
+	}
+	if (
+		coupon.maxRedemptions &&
+		(coupon.redemptionsCount || 0) >= coupon.maxRedemptions
+	) {
+		return { label: "Used Up", className: "bg-yellow-100 text-yellow-800" };
+	}
+	return { label: "Active", className: "bg-green-100 text-green-700" };
+};
+
+// Customers who used a coupon, loaded when its row is expanded
+const CouponRedemptions = ({ couponId }) => {
+	const { data: redemptions = [], isLoading } = useQuery({
+		queryKey: ["couponRedemptions", couponId],
+		queryFn: () => getCouponRedemptions(couponId),
+	});
+
+	if (isLoading) {
+		return <p className="text-sm text-zinc-500">Loading redemptions...</p>;
+	}
+
+	if (redemptions.length === 0) {
+		return <p className="text-sm text-zinc-500">Not redeemed yet</p>;
+	}
+
+	return (
+		<div className="space-y-1">
+			{redemptions.map((redemption) => (
+				<div
+					key={redemption.id}
+					className="flex items-center justify-between gap-4 text-sm"
+				>
+					<span className="text-zinc-900">
+						{redemption.customerEmail || redemption.customerId}
+					</span>
+					<span className="text-zinc-500">
+						{new Intl.NumberFormat("en-US", {
+							style: "currency",
+							currency: (redemption.currency || "usd").toUpperCase(),
+						}).format((redemption.discountAmount || 0) / 100)}{" "}
+						off · {formatDate(redemption.createdAt)}
+					</span>
+				</div>
+			))}
+		</div>
+	);
+};
 
 const ProductsTab = ({ queryClient }) => {
+	const { can } = usePermissions("products");
+	const [view, setView] = useState("products"); // 'products' or 'coupons'
+	const [isCouponModalOpen, setIsCouponModalOpen] = useState(false);
+	const [couponToEdit, setCouponToEdit] = useState(null);
+	const [couponToDelete, setCouponToDelete] = useState(null);
+	const [expandedCouponId, setExpandedCouponId] = useState(null);
 	const [searchQuery, setSearchQuery] = useState("");
 	const [sortField, setSortField] = useState(null);
 	const [sortDirection, setSortDirection] = useState("asc");
@@ -50,6 +140,38 @@ const ProductsTab = ({ queryClient }) => {
 		queryFn: () => getAllProducts(),
 	});
 
+	const { data: coupons = [], isLoading: isLoadingCoupons } = useQuery({
+		queryKey: ["coupons"],
+		queryFn: () => getAllCoupons(),
+	});
+
+	const toggleCouponMutation = useMutation({
+		mutationFn: (coupon) =>
+			updateCoupon(coupon.id, { active: coupon.active === false }),
+		onSuccess: (coupon) => {
+			toast.success(
+				coupon.active ? "Coupon activated" : "Coupon deactivated"
+			);
+			queryClient.invalidateQueries({ queryKey: ["coupons"] });
+		},
+		onError: (error) => {
+			console.error("Error updating coupon:", error);
+			toast.error(error.message || "Failed to update coupon");
+		},
+	});
+
+	const deleteCouponMutation = useMutation({
+		mutationFn: (couponId) => deleteCoupon(couponId),
+		onSuccess: () => {
+			toast.success("Coupon deleted successfully");
+			queryClient.invalidateQueries({ queryKey: ["coupons"] });
+		},
+		onError: (error) => {
+			console.error("Error deleting coupon:", error);
+			toast.error(error.message || "Failed to delete coupon");
+		},
+	});
+
 	// Delete mutation
 	const deleteProductMutation = useMutation({
 		mutationFn: (productId) => deleteProduct(productId),
@@ -65,6 +187,25 @@ const ProductsTab = ({ queryClient }) => {
 		},
 	});
 
+	const filteredCoupons = coupons.filter((coupon) => {
+		const searchLower = searchQuery.toLowerCase();
+		return (
+			coupon.code?.toLowerCase().includes(searchLower) ||
+			coupon.name?.toLowerCase().includes(searchLower)
+		);
+	});
+
+	const getProductNames = (productIds = []) => {
+		if (productIds.length === 0) return "All products";
+		return productIds
+			.map(
+				(polarProductId) =>
+					products.find((product) => product.polarProductId === polarProductId)
+						?.name || "Deleted product"
+			)
+			.join(", ");
+	};
+
 	const filteredProducts = products.filter((product) => {
 		const searchLower = searchQuery.toLowerCase();
 		return (
@@ -150,17 +291,6 @@ const ProductsTab = ({ queryClient }) => {
 		);
 	};
 
-	const formatDate = (date) => {
-		if (!date) return "";
-		const d = new Date(date);
-		if (isNaN(d.getTime())) return "";
-		return d.toLocaleDateString("en-US", {
-			year: "numeric",
-			month: "short",
-			day: "numeric",
-		});
-	};
-
 	const formatPrice = (product) => {
 		if (!product.prices || product.prices.length === 0) return "$0";
 		const price = product.prices[0];
@@ -276,27 +406,69 @@ const ProductsTab = ({ queryClient }) => {
 				<div>
 					<h1 className="text-2xl font-bold text-zinc-900">Products</h1>
 					<p className="text-sm text-zinc-600 mt-1">
-						Manage your digital products and checkout links
+						Manage your digital products, checkout links and coupons
 					</p>
 				</div>
-				<motion.button
-					whileHover={{ scale: 1.02 }}
-					whileTap={{ scale: 0.98 }}
-					onClick={handleCreateClick}
-					className="flex items-center gap-2 px-4 py-2 text-sm text-white bg-zinc-900 hover:bg-zinc-800 rounded-xl font-medium transition-colors"
-				>
-					<Plus className="w-4 h-4" />
-					Create New Product
-				</motion.button>
+				{can("create") && view === "coupons" && (
+					<motion.button
+						whileHover={{ scale: 1.02 }}
+						whileTap={{ scale: 0.98 }}
+						onClick={() => {
+							setCouponToEdit(null);
+							setIsCouponModalOpen(true);
+						}}
+						className="flex items-center gap-2 px-4 py-2 text-sm text-white bg-zinc-900 hover:bg-zinc-800 rounded-xl font-medium transition-colors"
+					>
+						<Plus className="w-4 h-4" />
+						Create New Coupon
+					</motion.button>
+				)}
+				{can("create") && view === "products" && (
+					<motion.button
+						whileHover={{ scale: 1.02 }}
+						whileTap={{ scale: 0.98 }}
+						onClick={handleCreateClick}
+						className="flex items-center gap-2 px-4 py-2 text-sm text-white bg-zinc-900 hover:bg-zinc-800 rounded-xl font-medium transition-colors"
+					>
+						<Plus className="w-4 h-4" />
+						Create New Product
+					</motion.button>
+				)}
 			</div>
 
-			{/* Search */}
+			{/* View and Search */}
 			<div className="flex items-center gap-4">
+				<div className="flex bg-zinc-100 p-1 rounded-xl">
+					<button
+						onClick={() => setView("products")}
+						className={`flex items-center gap-2 px-3 py-1 text-sm font-medium rounded-xl transition-all ${
+							view === "products"
+								? "bg-white text-zinc-900 shadow-sm"
+								: "text-zinc-500 hover:text-zinc-700"
+						}`}
+					>
+						<ShoppingBag className="w-4 h-4" />
+						Products
+					</button>
+					<button
+						onClick={() => setView("coupons")}
+						className={`flex items-center gap-2 px-3 py-1 text-sm font-medium rounded-xl transition-all ${
+							view === "coupons"
+								? "bg-white text-zinc-900 shadow-sm"
+								: "text-zinc-500 hover:text-zinc-700"
+						}`}
+					>
+						<Ticket className="w-4 h-4" />
+						Coupons
+					</button>
+				</div>
 				<div className="relative flex-1 max-w-md">
 					<Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-zinc-400" />
 					<input
 						type="text"
-						placeholder="Search products..."
+						placeholder={
+							view === "coupons" ? "Search coupons..." : "Search products..."
+						}
 						value={searchQuery}
 						onChange={(e) => setSearchQuery(e.target.value)}
 						className="w-full pl-10 pr-4 py-2 border border-zinc-300 rounded-xl focus:ring-2 focus:ring-zinc-900 focus:outline-none text-sm"
@@ -306,7 +478,151 @@ const ProductsTab = ({ queryClient }) => {
 
 			{/* Table */}
 			<div className="overflow-x-auto">
-				{isLoading ? (
+				{view === "coupons" ? (
+					isLoadingCoupons ? (
+						<TableSkeleton columns={7} rows={5} />
+					) : filteredCoupons.length === 0 ? (
+						<div className="p-8 text-center border border-zinc-200 rounded-xl">
+							<Ticket className="w-12 h-12 text-zinc-400 mx-auto mb-3" />
+							<p className="text-sm text-zinc-600">
+								{searchQuery
+									? "No coupons found matching your search"
+									: "No coupons yet. Create a discount code customers can enter on the pricing page."}
+							</p>
+						</div>
+					) : (
+						<Table>
+							<TableHeader>
+								<TableRow>
+									<TableHead>Code</TableHead>
+									<TableHead>Discount</TableHead>
+									<TableHead>Applies To</TableHead>
+									<TableHead>Redemptions</TableHead>
+									<TableHead>Expires</TableHead>
+									<TableHead>Status</TableHead>
+									<TableHead className="text-right">Actions</TableHead>
+								</TableRow>
+							</TableHeader>
+							<TableBody>
+								{filteredCoupons.map((coupon) => {
+									const status = getCouponStatus(coupon);
+									const isExpanded = expandedCouponId === coupon.id;
+									return (
+										<Fragment key={coupon.id}>
+											<TableRow>
+												<TableCell>
+													<button
+														onClick={() =>
+															setExpandedCouponId(isExpanded ? null : coupon.id)
+														}
+														className="flex items-center gap-1.5 text-left"
+														title="Show redemptions"
+													>
+														{isExpanded ? (
+															<ChevronDown className="w-4 h-4 text-zinc-400" />
+														) : (
+															<ChevronRight className="w-4 h-4 text-zinc-400" />
+														)}
+														<div>
+															<div className="text-sm font-mono font-medium text-zinc-900">
+																{coupon.code}
+															</div>
+															{coupon.name && coupon.name !== coupon.code && (
+																<div className="text-xs text-zinc-500 mt-0.5">
+																	{coupon.name}
+																</div>
+															)}
+														</div>
+													</button>
+												</TableCell>
+												<TableCell>
+													<div className="text-sm text-zinc-900">
+														{formatCouponDiscount(coupon)}
+													</div>
+												</TableCell>
+												<TableCell>
+													<div className="text-sm text-zinc-600 max-w-xs truncate">
+														{getProductNames(coupon.productIds)}
+													</div>
+												</TableCell>
+												<TableCell>
+													<div className="text-sm text-zinc-900">
+														{coupon.redemptionsCount || 0}
+														{coupon.maxRedemptions
+															? ` / ${coupon.maxRedemptions}`
+															: ""}
+													</div>
+												</TableCell>
+												<TableCell>
+													<div className="text-sm text-zinc-600">
+														{coupon.expiresAt ? formatDate(coupon.expiresAt) : "Never"}
+													</div>
+												</TableCell>
+												<TableCell>
+													<span
+														className={`px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}
+													>
+														{status.label}
+													</span>
+												</TableCell>
+												<TableCell className="text-right">
+													<div className="flex items-center justify-end gap-2">
+														{can("edit") && (
+															<>
+																<motion.button
+																	whileHover={{ scale: 1.1 }}
+																	whileTap={{ scale: 0.9 }}
+																	onClick={() => toggleCouponMutation.mutate(coupon)}
+																	disabled={toggleCouponMutation.isPending}
+																	className="p-1.5 text-zinc-600 hover:text-zinc-900 hover:bg-zinc-100 rounded-xl transition-colors"
+																	title={
+																		coupon.active === false ? "Activate" : "Deactivate"
+																	}
+																>
+																	<Power className="w-4 h-4" />
+																</motion.button>
+																<motion.button
+																	whileHover={{ scale: 1.1 }}
+																	whileTap={{ scale: 0.9 }}
+																	onClick={() => {
+																		setCouponToEdit(coupon);
+																		setIsCouponModalOpen(true);
+																	}}
+																	className="p-1.5 text-zinc-600 hover:text-blue-600 hover:bg-blue-50 rounded-xl transition-colors"
+																	title="Edit"
+																>
+																	<Edit className="w-4 h-4" />
+																</motion.button>
+															</>
+														)}
+														{can("delete") && (
+															<motion.button
+																whileHover={{ scale: 1.1 }}
+																whileTap={{ scale: 0.9 }}
+																onClick={() => setCouponToDelete(coupon)}
+																className="p-1.5 text-zinc-600 hover:text-red-600 hover:bg-red-50 rounded-xl transition-colors"
+																title="Delete"
+															>
+																<Trash2 className="w-4 h-4" />
+															</motion.button>
+														)}
+													</div>
+												</TableCell>
+											</TableRow>
+											{isExpanded && (
+												<TableRow>
+													<TableCell colSpan={7} className="bg-zinc-50">
+														<CouponRedemptions couponId={coupon.id} />
+													</TableCell>
+												</TableRow>
+											)}
+										</Fragment>
+									);
+								})}
+							</TableBody>
+						</Table>
+					)
+				) : isLoading ? (
 					<TableSkeleton columns={8} rows={5} />
 				) : sortedProducts.length === 0 ? (
 					<div className="p-8 text-center border border-zinc-200 rounded-xl">
@@ -471,24 +787,28 @@ const ProductsTab = ({ queryClient }) => {
 										</TableCell>
 										<TableCell className="text-right">
 											<div className="flex items-center justify-end gap-2">
-												<motion.button
-													whileHover={{ scale: 1.1 }}
-													whileTap={{ scale: 0.9 }}
-													onClick={() => handleEditClick(product)}
-													className="p-1.5 text-zinc-600 hover:text-blue-600 hover:bg-blue-50 rounded-xl transition-colors"
-													title="Edit"
-												>
-													<Edit className="w-4 h-4" />
-												</motion.button>
-												<motion.button
-													whileHover={{ scale: 1.1 }}
-													whileTap={{ scale: 0.9 }}
-													onClick={() => handleDeleteClick(product)}
-													className="p-1.5 text-zinc-600 hover:text-red-600 hover:bg-red-50 rounded-xl transition-colors"
-													title="Delete"
-												>
-													<Trash2 className="w-4 h-4" />
-												</motion.button>
+												{can("edit") && (
+													<motion.button
+														whileHover={{ scale: 1.1 }}
+														whileTap={{ scale: 0.9 }}
+														onClick={() => handleEditClick(product)}
+														className="p-1.5 text-zinc-600 hover:text-blue-600 hover:bg-blue-50 rounded-xl transition-colors"
+														title="Edit"
+													>
+														<Edit className="w-4 h-4" />
+													</motion.button>
+												)}
+												{can("delete") && (
+													<motion.button
+														whileHover={{ scale: 1.1 }}
+														whileTap={{ scale: 0.9 }}
+														onClick={() => handleDeleteClick(product)}
+														className="p-1.5 text-zinc-600 hover:text-red-600 hover:bg-red-50 rounded-xl transition-colors"
+														title="Delete"
+													>
+														<Trash2 className="w-4 h-4" />
+													</motion.button>
+												)}
 											</div>
 										</TableCell>
 									</TableRow>
@@ -516,6 +836,33 @@ const ProductsTab = ({ queryClient }) => {
 				product={selectedProduct}
 			/>
 
+			<CouponModal
+				isOpen={isCouponModalOpen}
+				onClose={() => {
+					setIsCouponModalOpen(false);
+					setCouponToEdit(null);
+				}}
+				couponToEdit={couponToEdit}
+				products={products}
+				queryClient={queryClient}
+			/>
+
+			<ConfirmationModal
+				isOpen={!!couponToDelete}
+				onClose={() => setCouponToDelete(null)}
+				onConfirm={async () => {
+					try {
+						await deleteCouponMutation.mutateAsync(couponToDelete.id);
+					} finally {
+						setCouponToDelete(null);
+					}
+				}}
+				title="Delete Coupon"
+				message={`Are you sure you want to delete coupon "${couponToDelete?.code}"? Customers won't be able to use it anymore. Past redemptions are kept.`}
+				variant="danger"
+				confirmText="Delete"
+			/>
+
 			<ConfirmationModal
 				isOpen={isDeleteModalOpen}
 				onClose={() => {
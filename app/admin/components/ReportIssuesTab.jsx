@@ -32,8 +32,10 @@ import {
 import AnimatedDropdown from "../../../lib/ui/AnimatedDropdown";
 import ConfirmationModal from "../../../lib/ui/ConfirmationModal";
 import { toast } from "react-toastify";
+import { usePermissions } from "../../../lib/hooks/usePermissions";
 
 const ReportIssuesTab = ({ queryClient }) => {
+	const { can } = usePermissions("issues");
 	const [searchQuery, setSearchQuery] = useState("");
 	const [statusFilter, setStatusFilter] = useState("all"); // all, pending, fixed
 	const [isStatusFilterDropdownOpen, setIsStatusFilterDropdownOpen] =
@@ -381,7 +383,8 @@ const ReportIssuesTab = ({ queryClient }) => {
 										<TableCell>
 											<button
 												onClick={() => handleStatusToggle(issue)}
-												className="cursor-pointer"
+												disabled={!can("edit")}
+												className="cursor-pointer disabled:cursor-default"
 											>
 												{getStatusBadge(issue.status)}
 											</button>
@@ -394,15 +397,17 @@ const ReportIssuesTab = ({ queryClient }) => {
 										</TableCell>
 										<TableCell>
 											<div className="flex items-center gap-2">
-												<motion.button
-													whileHover={{ scale: 1.1 }}
-													whileTap={{ scale: 0.9 }}
-													onClick={() => handleDeleteClick(issue)}
-													className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50 rounded-xl transition-colors"
-													title="Remove"
-												>
-													<Trash2 className="w-4 h-4" />
-												</motion.button>
+												{can("delete") && (
+													<motion.button
+														whileHover={{ scale: 1.1 }}
+														whileTap={{ scale: 0.9 }}
+														onClick={() => handleDeleteClick(issue)}
+														className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50 rounded-xl transition-colors"
+														title="Remove"
+													>
+														<Trash2 className="w-4 h-4" />
+													</motion.button>
+												)}
 											</div>
 										</TableCell>
 									</TableRow>
@@ -0,0 +1,454 @@
+import React, { useState, useMemo } from "react";
+import { useQuery } from "@tanstack/react-query";
+import {
+	AreaChart,
+	Area,
+	BarChart,
+	Bar,
+	LineChart,
+	Line,
+	XAxis,
+	YAxis,
+	CartesianGrid,
+	Tooltip,
+	Legend,
+	ResponsiveContainer,
+} from "recharts";
+import { getAllCustomers } from "../../../lib/api/customers";
+import { getAllPayments } from "../../../lib/api/payments";
+import { getAllProducts } from "../../../lib/api/products";
+import { computeRevenueMetrics } from "../../../lib/utils/revenueMetrics";
+import TableSkeleton from "../../../lib/ui/TableSkeleton";
+import AnimatedDropdown from "../../../lib/ui/AnimatedDropdown";
+
+const AXIS_TICK = { fill: "#6b7280", fontSize: 12 };
+
+const TOOLTIP_STYLE = {
+	borderRadius: "8px",
+	border: "1px solid #e5e7eb",
+	boxShadow: "0 4px 6px -1px rgba(0, 0, 0, 0.1)",
+};
+
+const formatPercent = (value) =>
+	value === null || value === undefined ? "—" : `${(value * 100).toFixed(1)}%`;
+
+const StatCard = ({ title, value, subtitle }) => (
+	<div className="bg-white p-6 rounded-xl border border-zinc-200 shadow-sm">
+		<div className="flex justify-between items-start mb-4">
+			<h3 className="text-sm font-medium text-zinc-500">{title}</h3>
+		</div>
+		<div className="text-3xl font-bold text-zinc-900">{value}</div>
+		{subtitle && <p className="text-xs text-zinc-500 mt-2">{subtitle}</p>}
+	</div>
+);
+
+const ChartCard = ({ title, description, children }) => (
+	<div className="bg-white p-6 rounded-xl border border-zinc-200 shadow-sm">
+		<h3 className="text-sm font-semibold text-zinc-900">{title}</h3>
+		{description && (
+			<p className="text-xs text-zinc-500 mt-1">{description}</p>
+		)}
+		<div className="h-[300px] w-full mt-4">
+			<ResponsiveContainer width="100%" height="100%">
+				{children}
+			</ResponsiveContainer>
+		</div>
+	</div>
+);
+
+// Cohort cell shade, darker for higher retention
+const getRetentionClass = (value) => {
+	if (value === null) return "bg-zinc-50 text-zinc-300";
+	if (value >= 0.8) return "bg-green-600 text-white";
+	if (value >= 0.6) return "bg-green-400 text-white";
+	if (value >= 0.4) return "bg-green-200 text-green-900";
+	if (value >= 0.2) return "bg-green-100 text-green-900";
+	return "bg-zinc-100 text-zinc-700";
+};
+
+const RevenueTab = () => {
+	const [range, setRange] = useState("12");
+	const [isRangeDropdownOpen, setIsRangeDropdownOpen] = useState(false);
+
+	const {
+		data: customers = [],
+		isLoading: customersLoading,
+		error: customersError,
+	} = useQuery({
+		queryKey: ["customers"],
+		queryFn: () => getAllCustomers(),
+	});
+
+	const {
+		data: payments = [],
+		isLoading: paymentsLoading,
+		error: paymentsError,
+	} = useQuery({
+		queryKey: ["payments"],
+		queryFn: () => getAllPayments(),
+	});
+
+	const { data: products = [], isLoading: productsLoading } = useQuery({
+		queryKey: ["products"],
+		queryFn: () => getAllProducts(),
+	});
+
+	const metrics = useMemo(
+		() =>
+			computeRevenueMetrics({
+				customers,
+				payments,
+				products,
+				months: Number(range),
+			}),
+		[customers, payments, products, range]
+	);
+
+	const formatCurrency = (amount) => {
+		if (amount === null || amount === undefined) return "—";
+		return new Intl.NumberFormat("en-US", {
+			style: "currency",
+			currency: metrics.currency.toUpperCase(),
+			maximumFractionDigits: 0,
+		}).format(amount / 100);
+	};
+
+	// Chart values in major units (e.g. dollars); churn shown as negative bars
+	const chartData = useMemo(
+		() =>
+			metrics.months.map((month) => ({
+				label: month.label,
+				mrr: month.mrr / 100,
+				arr: month.arr / 100,
+				new: month.newMrr / 100,
+				expansion: month.expansionMrr / 100,
+				contraction: -month.contractionMrr / 100,
+				churned: -month.churnedMrr / 100,
+				logoChurn:
+					month.logoChurnRate === null ? null : month.logoChurnRate * 100,
+				revenueChurn:
+					month.revenueChurnRate === null ? null : month.revenueChurnRate * 100,
+				netRevenueChurn:
+					month.netRevenueChurnRate === null
+						? null
+						: month.netRevenueChurnRate * 100,
+			})),
+		[metrics]
+	);
+
+	if (customersLoading || paymentsLoading || productsLoading) {
+		return <TableSkeleton />;
+	}
+
+	if (customersError || paymentsError) {
+		return (
+			<div className="p-8 text-center bg-red-50 rounded-xl border border-red-100">
+				<p className="text-red-600">Failed to load revenue data.</p>
+			</div>
+		);
+	}
+
+	const rangeOptions = [
+		{ value: "6", label: "Last 6 Months" },
+		{ value: "12", label: "Last 12 Months" },
+		{ value: "24", label: "Last 24 Months" },
+	];
+
+	const { current, trials, cohorts } = metrics;
+	const latestMonth = metrics.months[metrics.months.length - 1];
+	const maxCohortLength = Math.max(
+		0,
+		...cohorts.map((cohort) => cohort.retention.length)
+	);
+	const formatAxisCurrency = (value) =>
+		new Intl.NumberFormat("en-US", {
+			style: "currency",
+			currency: metrics.currency.toUpperCase(),
+			notation: "compact",
+		}).format(value);
+
+	return (
+		<div className="max-w-6xl mx-auto space-y-6">
+			{/* Header */}
+			<div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+				<div>
+					<h2 className="text-2xl font-bold text-zinc-900">Revenue</h2>
+					<p className="text-sm text-zinc-500 mt-1">
+						Subscription metrics from customers and payments, in{" "}
+						{metrics.currency.toUpperCase()}
+					</p>
+				</div>
+				<div className="w-40">
+					<AnimatedDropdown
+						isOpen={isRangeDropdownOpen}
+						onToggle={() => setIsRangeDropdownOpen(!isRangeDropdownOpen)}
+						onSelect={(val) => setRange(val)}
+						options={rangeOptions}
+						value={range}
+						placeholder="Time Range"
+						buttonClassName="!rounded-xl !py-1 !px-2 font-medium text-xs text-zinc-700 h-[32px]"
+					/>
+				</div>
+			</div>
+
+			{/* KPI Cards */}
+			<div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4">
+				<StatCard
+					title="MRR"
+					value={formatCurrency(current.mrr)}
+					subtitle={
+						latestMonth
+							? `${latestMonth.netNewMrr >= 0 ? "+" : "-"}${formatCurrency(
+									Math.abs(latestMonth.netNewMrr)
+							  )} net new this month`
+							: null
+					}
+				/>
+				<StatCard title="ARR" value={formatCurrency(current.arr)} />
+				<StatCard
+					title="ARPU"
+					value={formatCurrency(current.arpu)}
+					subtitle={`${current.customers} paying customer${current.customers !== 1 ? "s" : ""}`}
+				/>
+				<StatCard
+					title="LTV"
+					value={formatCurrency(current.ltv)}
+					subtitle="ARPU ÷ monthly logo churn"
+				/>
+				<StatCard
+					title="Churn"
+					value={formatPercent(current.logoChurnRate)}
+					subtitle={`Revenue churn ${formatPercent(current.revenueChurnRate)} (3-month avg)`}
+				/>
+			</div>
+
+			{/* MRR and ARR */}
+			<ChartCard title="MRR and ARR" description="Recurring revenue at each month end">
+				<AreaChart data={chartData}>
+					<defs>
+						<linearGradient id="colorMrr" x1="0" y1="0" x2="0" y2="1">
+							<stop offset="5%" stopColor="#3b82f6" stopOpacity={0.1} />
+							<stop offset="95%" stopColor="#3b82f6" stopOpacity={0} />
+						</linearGradient>
+					</defs>
+					<CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e5e7eb" />
+					<XAxis
+						dataKey="label"
+						axisLine={false}
+						tickLine={false}
+						tick={AXIS_TICK}
+						dy={10}
+					/>
+					<YAxis
+						yAxisId="mrr"
+						axisLine={false}
+						tickLine={false}
+						tick={AXIS_TICK}
+						tickFormatter={formatAxisCurrency}
+					/>
+					<YAxis
+						yAxisId="arr"
+						orientation="right"
+						axisLine={false}
+						tickLine={false}
+						tick={AXIS_TICK}
+						tickFormatter={formatAxisCurrency}
+					/>
+					<Tooltip
+						contentStyle={TOOLTIP_STYLE}
+						formatter={(value) => formatCurrency(value * 100)}
+					/>
+					<Legend />
+					<Area
+						yAxisId="mrr"
+						type="monotone"
+						dataKey="mrr"
+						name="MRR"
+						stroke="#3b82f6"
+						strokeWidth={2}
+						fillOpacity={1}
+						fill="url(#colorMrr)"
+					/>
+					<Area
+						yAxisId="arr"
+						type="monotone"
+						dataKey="arr"
+						name="ARR"
+						stroke="#18181b"
+						strokeWidth={2}
+						strokeDasharray="4 4"
+						fill="none"
+					/>
+				</AreaChart>
+			</ChartCard>
+
+			{/* MRR movements */}
+			<ChartCard
+				title="MRR Movements"
+				description="New, expansion, contraction and churned MRR per month"
+			>
+				<BarChart data={chartData} stackOffset="sign">
+					<CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e5e7eb" />
+					<XAxis
+						dataKey="label"
+						axisLine={false}
+						tickLine={false}
+						tick={AXIS_TICK}
+						dy={10}
+					/>
+					<YAxis
+						axisLine={false}
+						tickLine={false}
+						tick={AXIS_TICK}
+						tickFormatter={formatAxisCurrency}
+					/>
+					<Tooltip
+						contentStyle={TOOLTIP_STYLE}
+						formatter={(value) => formatCurrency(value * 100)}
+					/>
+					<Legend />
+					<Bar dataKey="new" name="New" stackId="mrr" fill="#22c55e" />
+					<Bar dataKey="expansion" name="Expansion" stackId="mrr" fill="#3b82f6" />
+					<Bar dataKey="contraction" name="Contraction" stackId="mrr" fill="#f59e0b" />
+					<Bar dataKey="churned" name="Churned" stackId="mrr" fill="#ef4444" />
+				</BarChart>
+			</ChartCard>
+
+			{/* Churn rates */}
+			<ChartCard
+				title="Churn"
+				description="Logo churn counts customers lost; revenue churn counts MRR lost, net of expansion for net revenue churn"
+			>
+				<LineChart data={chartData}>
+					<CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e5e7eb" />
+					<XAxis
+						dataKey="label"
+						axisLine={false}
+						tickLine={false}
+						tick={AXIS_TICK}
+						dy={10}
+					/>
+					<YAxis
+						axisLine={false}
+						tickLine={false}
+						tick={AXIS_TICK}
+						tickFormatter={(value) => `${value}%`}
+					/>
+					<Tooltip
+						contentStyle={TOOLTIP_STYLE}
+						formatter={(value) =>
+							value === null ? "—" : `${Number(value).toFixed(1)}%`
+						}
+					/>
+					<Legend />
+					<Line
+						type="monotone"
+						dataKey="logoChurn"
+						name="Logo churn"
+						stroke="#ef4444"
+						strokeWidth={2}
+						connectNulls
+					/>
+					<Line
+						type="monotone"
+						dataKey="revenueChurn"
+						name="Revenue churn"
+						stroke="#f59e0b"
+						strokeWidth={2}
+						connectNulls
+					/>
+					<Line
+						type="monotone"
+						dataKey="netRevenueChurn"
+						name="Net revenue churn"
+						stroke="#18181b"
+						strokeWidth={2}
+						strokeDasharray="4 4"
+						connectNulls
+					/>
+				</LineChart>
+			</ChartCard>
+
+			{/* Trial conversion */}
+			<div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+				<StatCard
+					title="Trial Conversion"
+					value={formatPercent(trials.conversionRate)}
+					subtitle="Ended trials that went on to pay"
+				/>
+				<StatCard title="Trials Started" value={trials.started} />
+				<StatCard title="In Trial" value={trials.inTrial} />
+				<StatCard
+					title="Converted"
+					value={trials.converted}
+					subtitle={`of ${trials.ended} ended trial${trials.ended !== 1 ? "s" : ""}`}
+				/>
+			</div>
+
+			{/* Cohort retention */}
+			<div className="bg-white rounded-xl border border-zinc-200 shadow-sm overflow-hidden">
+				<div className="p-6 border-b border-zinc-200">
+					<h3 className="text-sm font-semibold text-zinc-900">
+						Cohort Retention
+					</h3>
+					<p className="text-xs text-zinc-500 mt-1">
+						Customers grouped by their first paid month, and the share still
+						paying in each month after
+					</p>
+				</div>
+				{cohorts.length === 0 ? (
+					<div className="p-8 text-center text-sm text-zinc-500">
+						No paying customers in this period
+					</div>
+				) : (
+					<div className="overflow-x-auto">
+						<table className="w-full text-xs">
+							<thead>
+								<tr className="bg-zinc-50 text-zinc-500">
+									<th className="px-4 py-2 text-left font-medium">Cohort</th>
+									<th className="px-4 py-2 text-right font-medium">
+										Customers
+									</th>
+									{Array.from({ length: maxCohortLength }, (_, i) => (
+										<th key={i} className="px-2 py-2 text-center font-medium">
+											M{i}
+										</th>
+									))}
+								</tr>
+							</thead>
+							<tbody className="divide-y divide-zinc-100">
+								{cohorts.map((cohort) => (
+									<tr key={cohort.key}>
+										<td className="px-4 py-2 font-medium text-zinc-900 whitespace-nowrap">
+											{cohort.label}
+										</td>
+										<td className="px-4 py-2 text-right text-zinc-700">
+											{cohort.size}
+										</td>
+										{Array.from({ length: maxCohortLength }, (_, i) => {
+											const value =
+												i < cohort.retention.length
+													? cohort.retention[i]
+													: null;
+											return (
+												<td key={i} className="px-1 py-1">
+													<div
+														className={`rounded-md px-2 py-1 text-center ${getRetentionClass(value)}`}
+													>
+														{value === null ? "" : `${Math.round(value * 100)}%`}
+													</div>
+												</td>
+											);
+										})}
+									</tr>
+								))}
+							</tbody>
+						</table>
+					</div>
+				)}
+			</div>
+		</div>
+	);
+};
+
+export default RevenueTab;
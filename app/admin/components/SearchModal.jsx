@@ -19,35 +19,44 @@ import {
 import { getAllBlogs } from "../../../lib/api/blog";
 import { getAllEmails } from "../../../lib/api/emails";
 import { getAllSubscribers } from "../../../lib/api/subscribers";
+import { hasPermission } from "../../../lib/config/roles-config";
+import { useUserRole } from "../../../lib/hooks/usePermissions";
 
 const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 	const [searchQuery, setSearchQuery] = useState("");
 	const [selectedCategory, setSelectedCategory] = useState("all"); // all, blogs, emails, subscribers
+	const { userRole } = useUserRole();
+	const canViewBlogs = hasPermission(userRole, "blogs", "view");
+	const canViewEmails = hasPermission(userRole, "emails", "view");
+	const canViewSubscribers = hasPermission(userRole, "subscribers", "view");
 
 	// Fetch all data
 	const { data: blogs = [] } = useQuery({
 		queryKey: ["blogs"],
 		queryFn: () => getAllBlogs(),
-		enabled: isOpen,
+		enabled: isOpen && canViewBlogs,
 	});
 
 	const { data: emails = [] } = useQuery({
 		queryKey: ["emails"],
 		queryFn: () => getAllEmails(),
-		enabled: isOpen,
+		enabled: isOpen && canViewEmails,
 	});
 
 	const { data: subscribers = [] } = useQuery({
 		queryKey: ["subscribers"],
 		queryFn: () => getAllSubscribers(),
-		enabled: isOpen,
+		enabled: isOpen && canViewSubscribers,
 	});
 
 	// Prepare search data
 	const searchData = useMemo(() => {
 		const data = [];
 
-		if (selectedCategory === "all" || selectedCategory === "blogs") {
+		if (
+			canViewBlogs &&
+			(selectedCategory === "all" || selectedCategory === "blogs")
+		) {
 			blogs.forEach((blog) => {
 				data.push({
 					type: "blog",
@@ -60,7 +69,10 @@ const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 			});
 		}
 
-		if (selectedCategory === "all" || selectedCategory === "emails") {
+		if (
+			canViewEmails &&
+			(selectedCategory === "all" || selectedCategory === "emails")
+		) {
 			emails.forEach((email) => {
 				data.push({
 					type: "email",
@@ -73,7 +85,10 @@ const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 			});
 		}
 
-		if (selectedCategory === "all" || selectedCategory === "subscribers") {
+		if (
+			canViewSubscribers &&
+			(selectedCategory === "all" || selectedCategory === "subscribers")
+		) {
 			subscribers.forEach((subscriber) => {
 				data.push({
 					type: "subscriber",
@@ -87,7 +102,15 @@ const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 		}
 
 		return data;
-	}, [blogs, emails, subscribers, selectedCategory]);
+	}, [
+		blogs,
+		emails,
+		subscribers,
+		selectedCategory,
+		canViewBlogs,
+		canViewEmails,
+		canViewSubscribers,
+	]);
 
 	// Configure Fuse.js
 	const fuse = useMemo(() => {
@@ -135,10 +158,14 @@ const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 	const handleResultClick = (result) => {
 		if (result.type === "blog") {
 			onNavigate("blogs");
-			window.location.href = `/admin/editor/blog?id=${result.id}`;
+			if (hasPermission(userRole, "blogs", "edit")) {
+				window.location.href = `/admin/editor/blog?id=${result.id}`;
+			}
 		} else if (result.type === "email") {
 			onNavigate("emails");
-			window.location.href = `/admin/editor/email?id=${result.id}`;
+			if (hasPermission(userRole, "emails", "edit")) {
+				window.location.href = `/admin/editor/email?id=${result.id}`;
+			}
 		} else if (result.type === "subscriber") {
 			onNavigate("subscribers");
 		}
@@ -150,6 +177,8 @@ const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 		{
 			icon: FileText,
 			label: "Create New Blog",
+			resource: "blogs",
+			permission: "create",
 			action: () => {
 				onNavigate("blogs");
 				window.location.href = "/admin/editor/blog";
@@ -159,6 +188,8 @@ const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 		{
 			icon: Mail,
 			label: "Create New Email",
+			resource: "emails",
+			permission: "create",
 			action: () => {
 				onNavigate("emails");
 				window.location.href = "/admin/editor/email";
@@ -168,6 +199,8 @@ const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 		{
 			icon: Shield,
 			label: "Add Team Member",
+			resource: "teams",
+			permission: "create",
 			action: () => {
 				onNavigate("teams");
 				onClose();
@@ -176,6 +209,8 @@ const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 		{
 			icon: Users,
 			label: "Check Subscribers",
+			resource: "subscribers",
+			permission: "view",
 			action: () => {
 				onNavigate("subscribers");
 				onClose();
@@ -184,6 +219,8 @@ const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 		{
 			icon: Mail,
 			label: "Send Email to Subscriber",
+			resource: "emails",
+			permission: "send",
 			action: () => {
 				onNavigate("subscribers");
 				onClose();
@@ -192,6 +229,8 @@ const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 		{
 			icon: Receipt,
 			label: "Create New Invoice",
+			resource: "invoices",
+			permission: "create",
 			action: () => {
 				onNavigate("invoices");
 				onClose();
@@ -200,6 +239,8 @@ const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 		{
 			icon: LayoutGrid,
 			label: "Open Kanban Board",
+			resource: "kanban",
+			permission: "view",
 			action: () => {
 				onNavigate("kanban-board");
 				onClose();
@@ -208,6 +249,8 @@ const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 		{
 			icon: Receipt,
 			label: "View Invoices",
+			resource: "invoices",
+			permission: "view",
 			action: () => {
 				onNavigate("invoices");
 				onClose();
@@ -216,6 +259,8 @@ const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 		{
 			icon: UsersRound,
 			label: "Manage Waitlist",
+			resource: "waitlist",
+			permission: "view",
 			action: () => {
 				onNavigate("waitlist");
 				onClose();
@@ -224,6 +269,8 @@ const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 		{
 			icon: AlertCircle,
 			label: "Report Issues",
+			resource: "issues",
+			permission: "view",
 			action: () => {
 				onNavigate("reportIssues");
 				onClose();
@@ -231,6 +278,11 @@ const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 		},
 	];
 
+	// Only offer actions the current role is allowed to perform
+	const allowedGuidanceActions = guidanceActions.filter((action) =>
+		hasPermission(userRole, action.resource, action.permission)
+	);
+
 	const getTypeIcon = (type) => {
 		switch (type) {
 			case "blog":
@@ -366,7 +418,7 @@ const SearchModal = ({ isOpen, onClose, onNavigate }) => {
 										</h3>
 									</div>
 									<div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
-										{guidanceActions.map((action, index) => {
+										{allowedGuidanceActions.map((action, index) => {
 											const Icon = action.icon;
 											return (
 												<motion.button
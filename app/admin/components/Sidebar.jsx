@@ -5,6 +5,8 @@ import {
 	Mail,
 	Users,
 	Shield,
+	History,
+	Webhook,
 	Eye,
 	ShoppingBag,
 	X,
@@ -31,6 +33,7 @@ import {
 	Clock,
 	GripVertical,
 	Lightbulb,
+	TrendingUp,
 } from "lucide-react";
 import {
 	DndContext,
@@ -51,6 +54,7 @@ import {
 import { CSS } from "@dnd-kit/utilities";
 import { toast } from "react-toastify";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { canAccessTab } from "../../../lib/config/roles-config";
 
 const ICON_MAP = {
 	Home,
@@ -72,7 +76,10 @@ const ICON_MAP = {
 	AlertCircle,
 	GitBranch,
 	Shield,
+	History,
+	Webhook,
 	Lightbulb,
+	TrendingUp,
 };
 
 const DEFAULT_NAV_STRUCTURE = [
@@ -109,8 +116,10 @@ const DEFAULT_NAV_STRUCTURE = [
 		title: "Financial",
 		items: [
 			{ id: "payments", label: "Payments", icon: "CreditCard" },
+			{ id: "revenue", label: "Revenue", icon: "TrendingUp" },
 			{ id: "invoices", label: "Invoices", icon: "Receipt" },
 			{ id: "products", label: "Products", icon: "ShoppingBag" },
+			{ id: "webhooks", label: "Webhooks", icon: "Webhook" },
 		],
 	},
 	{
@@ -136,7 +145,10 @@ const DEFAULT_NAV_STRUCTURE = [
 	{
 		id: "settings",
 		title: "Settings",
-		items: [{ id: "teams", label: "Teams", icon: "Shield" }],
+		items: [
+			{ id: "teams", label: "Teams", icon: "Shield" },
+			{ id: "audit-log", label: "Audit Log", icon: "History" },
+		],
 	},
 ];
 
@@ -258,6 +270,7 @@ const Sidebar = ({
 	setShowSearchModal,
 	setShowLoginModal,
 	user,
+	userRole,
 }) => {
 	const queryClient = useQueryClient();
 	const queryKey = ["admin_nav_structure"];
@@ -430,8 +443,16 @@ const Sidebar = ({
 		setActiveId(null);
 	};
 
+	// Hide tabs the current role can't view, and categories left empty
+	const visibleNavStructure = navStructure
+		.map((category) => ({
+			...category,
+			items: category.items.filter((item) => canAccessTab(userRole, item.id)),
+		}))
+		.filter((category) => category.items.length > 0);
+
 	const activeItem = activeId
-		? navStructure
+		? visibleNavStructure
 				.flatMap((cat) => [cat, ...cat.items])
 				.find((item) => item.id === activeId)
 		: null;
@@ -521,10 +542,10 @@ const Sidebar = ({
 					onDragCancel={handleDragCancel}
 				>
 					<SortableContext
-						items={navStructure.map((cat) => cat.id)}
+						items={visibleNavStructure.map((cat) => cat.id)}
 						strategy={verticalListSortingStrategy}
 					>
-						{navStructure.map((category) => (
+						{visibleNavStructure.map((category) => (
 							<SortableCategory
 								key={category.id}
 								category={category}
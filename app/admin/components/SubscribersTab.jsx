@@ -85,6 +85,8 @@ const SubscribersTab = ({ queryClient, onSendEmail }) => {
 
 	// Get allowed actions for subscribers
 	const allowedActions = getAllowedActions(userRole, "subscribers");
+	const canCreate = allowedActions.includes("create");
+	const canDelete = allowedActions.includes("delete");
 
 	// Fetch subscribers with React Query
 	const {
@@ -253,15 +255,17 @@ const SubscribersTab = ({ queryClient, onSendEmail }) => {
 				</h2>
 				<div className="flex items-center gap-2">
 					<ExportDropdown dataType="subscribers" data={sortedSubscribers} />
-					<motion.button
-						whileHover={{ scale: 1.02 }}
-						whileTap={{ scale: 0.98 }}
-						onClick={() => setShowAddModal(true)}
-						className="flex items-center gap-1.5 bg-zinc-900 text-white px-3 py-1.5 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
-					>
-						<Plus className="w-3.5 h-3.5" />
-						Add Subscriber
-					</motion.button>
+					{canCreate && (
+						<motion.button
+							whileHover={{ scale: 1.02 }}
+							whileTap={{ scale: 0.98 }}
+							onClick={() => setShowAddModal(true)}
+							className="flex items-center gap-1.5 bg-zinc-900 text-white px-3 py-1.5 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
+						>
+							<Plus className="w-3.5 h-3.5" />
+							Add Subscriber
+						</motion.button>
+					)}
 				</div>
 			</div>
 
@@ -357,6 +361,15 @@ const SubscribersTab = ({ queryClient, onSendEmail }) => {
 														? "bg-green-100 text-green-800"
 														: "bg-red-100 text-red-800"
 												}`}
+												title={
+													subscriber.status === "suppressed"
+														? `Suppressed automatically: ${
+																subscriber.suppressionReason === "complained"
+																	? "marked an email as spam"
+																	: "address hard-bounced"
+														  }`
+														: undefined
+												}
 											>
 												{subscriber.status}
 											</span>
@@ -366,15 +379,17 @@ const SubscribersTab = ({ queryClient, onSendEmail }) => {
 										</TableCell>
 										<TableCell>
 											<div className="flex items-center gap-2">
-												<motion.button
-													whileHover={{ scale: 1.05 }}
-													whileTap={{ scale: 0.95 }}
-													onClick={() => handleDeleteSubscriber(subscriber.id)}
-													className="p-2 text-zinc-400 hover:text-red-600 hover:bg-red-50 rounded-xl transition-colors"
-													title="Delete subscriber"
-												>
-													<Trash2 className="w-4 h-4" />
-												</motion.button>
+												{canDelete && (
+													<motion.button
+														whileHover={{ scale: 1.05 }}
+														whileTap={{ scale: 0.95 }}
+														onClick={() => handleDeleteSubscriber(subscriber.id)}
+														className="p-2 text-zinc-400 hover:text-red-600 hover:bg-red-50 rounded-xl transition-colors"
+														title="Delete subscriber"
+													>
+														<Trash2 className="w-4 h-4" />
+													</motion.button>
+												)}
 											</div>
 										</TableCell>
 									</TableRow>
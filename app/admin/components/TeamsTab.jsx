@@ -12,7 +12,10 @@ import {
 	ArrowDown,
 	X,
 	Save,
+	Shield,
+	Lock,
 } from "lucide-react";
+import Link from "next/link";
 import TableSkeleton from "../../../lib/ui/TableSkeleton";
 import {
 	Table,
@@ -25,10 +28,15 @@ import {
 } from "../../../lib/ui/Table";
 import {
 	getAllTeamMembers,
-	addTeamMember,
 	updateTeamMember,
 	deleteTeamMember,
 } from "../../../lib/api/teams";
+import {
+	loadRoles,
+	createRole,
+	updateRole,
+	deleteRole,
+} from "../../../lib/api/roles";
 import {
 	hasPermission,
 	getAllowedActions,
@@ -37,8 +45,11 @@ import { getCachedUserRole, getUserRole } from "../../../lib/utils/getUserRole";
 import { getCurrentUserEmail } from "../../../lib/utils/getCurrentUserEmail";
 import AnimatedDropdown from "../../../lib/ui/AnimatedDropdown";
 import ConfirmationModal from "../../../lib/ui/ConfirmationModal";
+import RoleEditorModal from "../../../lib/ui/RoleEditorModal";
+import Gate from "../../../lib/ui/Gate";
+import { authFetch } from "../../../lib/utils/authFetch";
 import { toast } from "react-toastify";
-import { ROLE_LABELS } from "../../../lib/config/roles-config";
+import { ROLE_LABELS, ROLES } from "../../../lib/config/roles-config";
 
 const TeamsTab = ({ queryClient }) => {
 	const [searchQuery, setSearchQuery] = useState("");
@@ -57,6 +68,11 @@ const TeamsTab = ({ queryClient }) => {
 	const [showConfirmModal, setShowConfirmModal] = useState(false);
 	const [confirmAction, setConfirmAction] = useState(null);
 
+	// Role editor states
+	const [showRoleModal, setShowRoleModal] = useState(false);
+	const [editingRole, setEditingRole] = useState(null);
+	const [roleToDelete, setRoleToDelete] = useState(null);
+
 	// Fetch user role with React Query
 	const fetchUserRole = async () => {
 		try {
@@ -141,6 +157,28 @@ const TeamsTab = ({ queryClient }) => {
 		queryFn: () => getAllTeamMembers(),
 	});
 
+	// Fetch roles (built-in ones are seeded on first load)
+	const { data: roles = [], isLoading: isLoadingRoles } = useQuery({
+		queryKey: ["roles"],
+		queryFn: loadRoles,
+	});
+
+	// Label and color of each role, falling back to the built-in labels
+	const getRoleBadge = (roleId) => {
+		const role = roles.find((r) => r.id === roleId);
+		return {
+			label: role?.name || ROLE_LABELS[roleId]?.label || roleId,
+			color:
+				role?.color || ROLE_LABELS[roleId]?.color || "bg-zinc-100 text-zinc-800",
+		};
+	};
+
+	// Number of team members holding each role
+	const memberCountByRole = teamMembers.reduce((counts, member) => {
+		counts[member.role] = (counts[member.role] || 0) + 1;
+		return counts;
+	}, {});
+
 	// Check if current user exists in teams collection
 	const [currentUserEmail, setCurrentUserEmail] = useState(null);
 	const [currentUserInTeams, setCurrentUserInTeams] = useState(false);
@@ -245,9 +283,22 @@ const TeamsTab = ({ queryClient }) => {
 		);
 	};
 
-	// Create team member mutation
+	// Create team member mutation (the API route enforces the plan's member limit)
 	const createTeamMemberMutation = useMutation({
-		mutationFn: addTeamMember,
+		mutationFn: async (memberData) => {
+			const response = await authFetch("/api/teams", {
+				method: "POST",
+				headers: {
+					"Content-Type": "application/json",
+				},
+				body: JSON.stringify(memberData),
+			});
+			const data = await response.json();
+			if (!response.ok) {
+				throw new Error(data.message || data.error);
+			}
+			return data.memberId;
+		},
 		onSuccess: () => {
 			queryClient.invalidateQueries({ queryKey: ["teamMembers"] });
 			handleCloseModal();
@@ -293,6 +344,75 @@ const TeamsTab = ({ queryClient }) => {
 		},
 	});
 
+	// Role changes affect everyone's permissions, so refresh the role cache too
+	const invalidateRoles = () => {
+		queryClient.invalidateQueries({ queryKey: ["roles"] });
+		queryClient.invalidateQueries({ queryKey: ["userRole"] });
+	};
+
+	// Create role mutation
+	const createRoleMutation = useMutation({
+		mutationFn: createRole,
+		onSuccess: () => {
+			invalidateRoles();
+			handleCloseRoleModal();
+			toast.success("Role created successfully!");
+		},
+		onError: (error) => {
+			toast.error(error.message || "Failed to create role. Please try again.");
+		},
+	});
+
+	// Update role mutation
+	const updateRoleMutation = useMutation({
+		mutationFn: ({ id, data }) => updateRole(id, data),
+		onSuccess: () => {
+			invalidateRoles();
+			handleCloseRoleModal();
+			toast.success("Role updated successfully!");
+		},
+		onError: (error) => {
+			toast.error(error.message || "Failed to update role. Please try again.");
+		},
+	});
+
+	// Delete role mutation
+	const deleteRoleMutation = useMutation({
+		mutationFn: deleteRole,
+		onSuccess: () => {
+			invalidateRoles();
+			toast.success("Role deleted successfully!");
+		},
+		onError: (error) => {
+			toast.error(error.message || "Failed to delete role. Please try again.");
+		},
+	});
+
+	// Open role editor (null creates a new role)
+	const handleOpenRoleModal = (role = null) => {
+		setEditingRole(role);
+		setShowRoleModal(true);
+	};
+
+	// Close role editor
+	const handleCloseRoleModal = () => {
+		setShowRoleModal(false);
+		setEditingRole(null);
+	};
+
+	// Save role from the editor
+	const handleSaveRole = (data) => {
+		if (!data.name?.trim()) {
+			toast.warning("Role name is required");
+			return;
+		}
+		if (editingRole) {
+			updateRoleMutation.mutate({ id: editingRole.id, data });
+		} else {
+			createRoleMutation.mutate(data);
+		}
+	};
+
 	// Handle form input change
 	const handleInputChange = (e) => {
 		const { name, value } = e.target;
@@ -391,12 +511,18 @@ const TeamsTab = ({ queryClient }) => {
 	};
 
 	// Role options for AnimatedDropdown
-	const roleOptions = [
-		{ value: "admin", label: "Admin", color: ROLE_LABELS.admin?.color },
-		{ value: "editor", label: "Editor", color: ROLE_LABELS.editor?.color },
-		{ value: "author", label: "Author", color: ROLE_LABELS.author?.color },
-		{ value: "viewer", label: "Viewer", color: ROLE_LABELS.viewer?.color },
-	];
+	const roleOptions =
+		roles.length > 0
+			? roles.map((role) => ({
+					value: role.id,
+					label: role.name || role.id,
+					color: role.color,
+				}))
+			: Object.entries(ROLE_LABELS).map(([value, { label, color }]) => ({
+					value,
+					label,
+					color,
+				}));
 
 	return (
 		<div>
@@ -417,15 +543,30 @@ const TeamsTab = ({ queryClient }) => {
 				</div>
 				{(hasPermission(effectiveUserRole, "teams", "create") ||
 					canAddSelf) && (
-					<motion.button
-						whileHover={{ scale: 1.02 }}
-						whileTap={{ scale: 0.98 }}
-						onClick={handleCreateTeamMember}
-						className="flex items-center gap-1.5 bg-zinc-900 text-white px-3 py-1.5 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
+					<Gate
+						feature="teamMembers"
+						usage={teamMembers.length}
+						fallback={
+							<Link
+								href="/pricing"
+								className="flex items-center gap-1.5 border border-zinc-300 text-zinc-700 px-3 py-1.5 rounded-xl hover:bg-zinc-100 transition-colors text-sm"
+								title="Your plan's team member limit is reached"
+							>
+								<Lock className="w-3.5 h-3.5" />
+								Upgrade for more members
+							</Link>
+						}
 					>
-						<Plus className="w-3.5 h-3.5" />
-						Add Team Member
-					</motion.button>
+						<motion.button
+							whileHover={{ scale: 1.02 }}
+							whileTap={{ scale: 0.98 }}
+							onClick={handleCreateTeamMember}
+							className="flex items-center gap-1.5 bg-zinc-900 text-white px-3 py-1.5 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
+						>
+							<Plus className="w-3.5 h-3.5" />
+							Add Team Member
+						</motion.button>
+					</Gate>
 				)}
 			</div>
 
@@ -527,11 +668,10 @@ const TeamsTab = ({ queryClient }) => {
 										<TableCell>
 											<span
 												className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-													ROLE_LABELS[member.role]?.color ||
-													"bg-zinc-100 text-zinc-800"
+													getRoleBadge(member.role).color
 												}`}
 											>
-												{ROLE_LABELS[member.role]?.label || member.role}
+												{getRoleBadge(member.role).label}
 											</span>
 										</TableCell>
 										<TableCell className="text-zinc-600">
@@ -594,6 +734,132 @@ const TeamsTab = ({ queryClient }) => {
 				)}
 			</div>
 
+			{/* Roles */}
+			<div className="flex justify-between items-center mt-8 mb-4">
+				<div>
+					<h2 className="text-xl font-semibold text-zinc-900">Roles</h2>
+					<p className="text-sm text-zinc-600">
+						Choose what each role can do across the admin panel
+					</p>
+				</div>
+				{hasPermission(effectiveUserRole, "teams", "create") && (
+					<motion.button
+						whileHover={{ scale: 1.02 }}
+						whileTap={{ scale: 0.98 }}
+						onClick={() => handleOpenRoleModal()}
+						className="flex items-center gap-1.5 bg-zinc-900 text-white px-3 py-1.5 rounded-xl hover:bg-zinc-800 transition-colors text-sm"
+					>
+						<Plus className="w-3.5 h-3.5" />
+						New Role
+					</motion.button>
+				)}
+			</div>
+
+			<div className="overflow-x-auto">
+				{isLoadingRoles ? (
+					<TableSkeleton rows={4} columns={4} />
+				) : (
+					<Table>
+						<TableHeader>
+							<TableRow>
+								<TableHead className="min-w-[160px]">Role</TableHead>
+								<TableHead>Description</TableHead>
+								<TableHead>Members</TableHead>
+								<TableHead>Actions</TableHead>
+							</TableRow>
+						</TableHeader>
+						<TableBody>
+							{roles.length === 0 ? (
+								<TableEmpty colSpan={4} message="No roles found." />
+							) : (
+								roles.map((role) => (
+									<TableRow key={role.id}>
+										<TableCell>
+											<div className="flex items-center gap-2">
+												<span
+													className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+														role.color || "bg-zinc-100 text-zinc-800"
+													}`}
+												>
+													{role.name || role.id}
+												</span>
+												{role.isBuiltIn && (
+													<span
+														className="text-zinc-400"
+														title="Built-in role"
+													>
+														{role.id === ROLES.ADMIN ? (
+															<Lock className="w-3.5 h-3.5" />
+														) : (
+															<Shield className="w-3.5 h-3.5" />
+														)}
+													</span>
+												)}
+											</div>
+										</TableCell>
+										<TableCell className="text-zinc-600">
+											{role.description || ""}
+										</TableCell>
+										<TableCell className="text-zinc-600">
+											{memberCountByRole[role.id] || 0}
+										</TableCell>
+										<TableCell>
+											<div className="flex items-center gap-2">
+												{hasPermission(effectiveUserRole, "teams", "edit") ? (
+													<motion.button
+														whileHover={{ scale: 1.05 }}
+														whileTap={{ scale: 0.95 }}
+														onClick={() => handleOpenRoleModal(role)}
+														className="p-2 text-zinc-400 hover:text-zinc-600 transition-colors"
+														title="Edit"
+													>
+														<Edit2 className="w-4 h-4" />
+													</motion.button>
+												) : (
+													<motion.button
+														whileHover={{ scale: 1.05 }}
+														whileTap={{ scale: 0.95 }}
+														onClick={() => handleOpenRoleModal(role)}
+														className="p-2 text-zinc-400 hover:text-blue-600 transition-colors"
+														title="View"
+													>
+														<Eye className="w-4 h-4" />
+													</motion.button>
+												)}
+												{!role.isBuiltIn &&
+													hasPermission(effectiveUserRole, "teams", "delete") && (
+														<motion.button
+															whileHover={{ scale: 1.05 }}
+															whileTap={{ scale: 0.95 }}
+															onClick={() => setRoleToDelete(role)}
+															className="p-2 text-zinc-400 hover:text-red-600 transition-colors"
+															title="Delete"
+														>
+															<Trash2 className="w-4 h-4" />
+														</motion.button>
+													)}
+											</div>
+										</TableCell>
+									</TableRow>
+								))
+							)}
+						</TableBody>
+					</Table>
+				)}
+			</div>
+
+			{/* Role Editor Modal */}
+			<RoleEditorModal
+				isOpen={showRoleModal}
+				onClose={handleCloseRoleModal}
+				role={editingRole}
+				readOnly={
+					!!editingRole && !hasPermission(effectiveUserRole, "teams", "edit")
+				}
+				onSave={handleSaveRole}
+				isSaving={createRoleMutation.isPending || updateRoleMutation.isPending}
+			/>
+
 			{/* Team Member Modal */}
 			<AnimatePresence>
 				{showTeamModal && (
@@ -702,7 +968,7 @@ const TeamsTab = ({ queryClient }) => {
 										</div>
 									) : (
 										<div className="w-full px-3 py-2 border border-zinc-200 rounded-xl bg-zinc-100 text-sm">
-											{ROLE_LABELS[teamForm.role]?.label || teamForm.role}
+											{getRoleBadge(teamForm.role).label}
 										</div>
 									)}
 								</div>
@@ -763,6 +1029,25 @@ const TeamsTab = ({ queryClient }) => {
 				cancelText="Cancel"
 				variant="danger"
 			/>
+
+			{/* Delete Role Confirmation */}
+			<ConfirmationModal
+				isOpen={!!roleToDelete}
+				onClose={() => setRoleToDelete(null)}
+				onConfirm={() => {
+					if (roleToDelete) {
+						deleteRoleMutation.mutate(roleToDelete.id);
+					}
+					setRoleToDelete(null);
+				}}
+				title="Delete Role"
+				message={`Are you sure you want to delete the "${
+					roleToDelete?.name || ""
+				}" role? This action cannot be undone.`}
+				confirmText="Delete"
+				cancelText="Cancel"
+				variant="danger"
+			/>
 		</div>
 	);
 };
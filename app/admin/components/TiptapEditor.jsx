@@ -80,6 +80,7 @@ const TiptapEditor = ({
 	onImageUpload,
 	showPreview,
 	onPreview,
+	onEditorReady,
 }) => {
 	const fileInputRef = useRef(null);
 
@@ -149,6 +150,13 @@ const TiptapEditor = ({
 		},
 	});
 
+	// Let the parent insert content at the cursor, e.g. merge tags
+	React.useEffect(() => {
+		if (editor && onEditorReady) {
+			onEditorReady(editor);
+		}
+	}, [editor]);
+
 	// Update content when prop changes
 	React.useEffect(() => {
 		if (!editor) return;
@@ -32,8 +32,11 @@ import {
 import ConfirmationModal from "../../../lib/ui/ConfirmationModal";
 import ExportDropdown from "../../../lib/ui/ExportDropdown";
 import { toast } from "react-toastify";
+import { usePermissions } from "../../../lib/hooks/usePermissions";
+import { authFetch } from "../../../lib/utils/authFetch";
 
 const WaitlistTab = ({ queryClient }) => {
+	const { can } = usePermissions("waitlist");
 	const [searchQuery, setSearchQuery] = useState("");
 	const [sortField, setSortField] = useState(null); // 'name', 'email', 'createdAt'
 	const [sortDirection, setSortDirection] = useState("asc"); // 'asc' or 'desc'
@@ -202,7 +205,7 @@ const WaitlistTab = ({ queryClient }) => {
 		setIsSendingMessage(true);
 		try {
 			// TODO: Implement email sending API
-			const response = await fetch("/api/emails/send-single", {
+			const response = await authFetch("/api/emails/send-single", {
 				method: "POST",
 				headers: {
 					"Content-Type": "application/json",
@@ -283,15 +286,17 @@ const WaitlistTab = ({ queryClient }) => {
 				</div>
 				<div className="flex items-center gap-2">
 					<ExportDropdown dataType="waitlist" data={sortedWaitlist} />
-					<motion.button
-						whileHover={{ scale: 1.02 }}
-						whileTap={{ scale: 0.98 }}
-						onClick={() => setShowAddModal(true)}
-						className="flex items-center gap-2 px-4 py-2 text-sm text-white bg-zinc-900 hover:bg-zinc-800 rounded-xl font-medium transition-colors"
-					>
-						<Plus className="w-4 h-4" />
-						Add New Member
-					</motion.button>
+					{can("create") && (
+						<motion.button
+							whileHover={{ scale: 1.02 }}
+							whileTap={{ scale: 0.98 }}
+							onClick={() => setShowAddModal(true)}
+							className="flex items-center gap-2 px-4 py-2 text-sm text-white bg-zinc-900 hover:bg-zinc-800 rounded-xl font-medium transition-colors"
+						>
+							<Plus className="w-4 h-4" />
+							Add New Member
+						</motion.button>
+					)}
 				</div>
 			</div>
 
@@ -373,24 +378,28 @@ const WaitlistTab = ({ queryClient }) => {
 										</TableCell>
 										<TableCell>
 											<div className="flex items-center gap-2">
-												<motion.button
-													whileHover={{ scale: 1.1 }}
-													whileTap={{ scale: 0.9 }}
-													onClick={() => handleSendMessageClick(entry)}
-													className="p-2 text-green-600 hover:text-green-700 hover:bg-green-50 rounded-xl transition-colors"
-													title="Send Message"
-												>
-													<Send className="w-4 h-4" />
-												</motion.button>
-												<motion.button
-													whileHover={{ scale: 1.1 }}
-													whileTap={{ scale: 0.9 }}
-													onClick={() => handleDeleteClick(entry)}
-													className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50 rounded-xl transition-colors"
-													title="Remove"
-												>
-													<Trash2 className="w-4 h-4" />
-												</motion.button>
+												{can("send") && (
+													<motion.button
+														whileHover={{ scale: 1.1 }}
+														whileTap={{ scale: 0.9 }}
+														onClick={() => handleSendMessageClick(entry)}
+														className="p-2 text-green-600 hover:text-green-700 hover:bg-green-50 rounded-xl transition-colors"
+														title="Send Message"
+													>
+														<Send className="w-4 h-4" />
+													</motion.button>
+												)}
+												{can("delete") && (
+													<motion.button
+														whileHover={{ scale: 1.1 }}
+														whileTap={{ scale: 0.9 }}
+														onClick={() => handleDeleteClick(entry)}
+														className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50 rounded-xl transition-colors"
+														title="Remove"
+													>
+														<Trash2 className="w-4 h-4" />
+													</motion.button>
+												)}
 											</div>
 										</TableCell>
 									</TableRow>
@@ -0,0 +1,353 @@
+import React, { useState } from "react";
+import { useQuery, useMutation } from "@tanstack/react-query";
+import { motion } from "framer-motion";
+import {
+	Search,
+	Calendar,
+	ChevronDown,
+	ChevronRight,
+	RotateCcw,
+	CheckCircle2,
+	XCircle,
+	Loader2,
+	MinusCircle,
+} from "lucide-react";
+import { toast } from "react-toastify";
+import {
+	getWebhookEvents,
+	replayWebhookEvent,
+} from "../../../lib/api/webhookEvents";
+import TableSkeleton from "../../../lib/ui/TableSkeleton";
+import {
+	Table,
+	TableHeader,
+	TableBody,
+	TableRow,
+	TableHead,
+	TableCell,
+	TableEmpty,
+} from "../../../lib/ui/Table";
+import AnimatedDropdown from "../../../lib/ui/AnimatedDropdown";
+import ConfirmationModal from "../../../lib/ui/ConfirmationModal";
+import { usePermissions } from "../../../lib/hooks/usePermissions";
+
+const STATUS_BADGES = {
+	processed: {
+		label: "Processed",
+		icon: CheckCircle2,
+		color: "bg-green-100 text-green-800",
+	},
+	ignored: {
+		label: "Ignored",
+		icon: MinusCircle,
+		color: "bg-zinc-100 text-zinc-800",
+	},
+	processing: {
+		label: "Processing",
+		icon: Loader2,
+		color: "bg-blue-100 text-blue-800",
+	},
+	failed: { label: "Failed", icon: XCircle, color: "bg-red-100 text-red-800" },
+};
+
+const formatPayload = (payload) => {
+	try {
+		return JSON.stringify(JSON.parse(payload), null, 2);
+	} catch (error) {
+		return payload || "";
+	}
+};
+
+const WebhooksTab = ({ queryClient }) => {
+	const { can } = usePermissions("webhooks");
+	const [searchQuery, setSearchQuery] = useState("");
+	const [statusFilter, setStatusFilter] = useState(null);
+	const [isStatusDropdownOpen, setIsStatusDropdownOpen] = useState(false);
+	const [expandedId, setExpandedId] = useState(null);
+	const [eventToReplay, setEventToReplay] = useState(null);
+
+	const {
+		data: events = [],
+		isLoading,
+		error,
+	} = useQuery({
+		queryKey: ["webhookEvents"],
+		queryFn: () => getWebhookEvents(),
+	});
+
+	const replayMutation = useMutation({
+		mutationFn: replayWebhookEvent,
+		onSuccess: (data) => {
+			toast.success(
+				data.handled
+					? "Event replayed successfully"
+					: "Event replayed, but its type isn't handled"
+			);
+			queryClient.invalidateQueries({ queryKey: ["webhookEvents"] });
+			queryClient.invalidateQueries({ queryKey: ["customers"] });
+			queryClient.invalidateQueries({ queryKey: ["payments"] });
+		},
+		onError: (error) => {
+			toast.error(error.message || "Failed to replay event");
+			queryClient.invalidateQueries({ queryKey: ["webhookEvents"] });
+		},
+	});
+
+	const statusOptions = [
+		{ value: null, label: "All Statuses" },
+		...Object.entries(STATUS_BADGES).map(([value, badge]) => ({
+			value,
+			label: badge.label,
+			color: badge.color,
+		})),
+	];
+
+	const filteredEvents = events.filter((event) => {
+		const searchLower = searchQuery.toLowerCase();
+		const matchesSearch =
+			event.eventId?.toLowerCase().includes(searchLower) ||
+			event.type?.toLowerCase().includes(searchLower);
+		const matchesStatus = statusFilter === null || event.status === statusFilter;
+		return matchesSearch && matchesStatus;
+	});
+
+	const formatDateTime = (date) => {
+		if (!date) return "";
+		const d = date?.toDate ? date.toDate() : new Date(date);
+		if (isNaN(d.getTime())) return "";
+		return d.toLocaleString("en-US", {
+			year: "numeric",
+			month: "short",
+			day: "numeric",
+			hour: "numeric",
+			minute: "2-digit",
+			second: "2-digit",
+		});
+	};
+
+	const handleReplayConfirm = () => {
+		if (!eventToReplay) return;
+		replayMutation.mutate(eventToReplay.id);
+		setEventToReplay(null);
+	};
+
+	return (
+		<div className="space-y-4">
+			{/* Header */}
+			<div>
+				<h1 className="text-2xl font-bold text-zinc-900">Webhooks</h1>
+				<p className="text-sm text-zinc-600 mt-1">
+					Polar webhook deliveries, their processing outcome and retries
+				</p>
+			</div>
+
+			{/* Search and Status Filter */}
+			<div className="flex gap-3">
+				<div className="relative flex-1">
+					<Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-zinc-400" />
+					<input
+						type="text"
+						placeholder="Search by event ID or type..."
+						value={searchQuery}
+						onChange={(e) => setSearchQuery(e.target.value)}
+						className="w-full pl-10 pr-4 py-2 border border-zinc-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
+					/>
+				</div>
+				<div className="w-48">
+					<AnimatedDropdown
+						isOpen={isStatusDropdownOpen}
+						onToggle={() => setIsStatusDropdownOpen(!isStatusDropdownOpen)}
+						onSelect={(value) => {
+							setStatusFilter(value);
+							setIsStatusDropdownOpen(false);
+						}}
+						options={statusOptions}
+						value={statusFilter}
+						placeholder="Filter by status"
+						buttonClassName="text-sm"
+					/>
+				</div>
+			</div>
+
+			{/* Table */}
+			<div className="overflow-x-auto">
+				{isLoading ? (
+					<TableSkeleton rows={5} columns={6} />
+				) : (
+					<Table>
+						<TableHeader>
+							<TableRow>
+								<TableHead className="min-w-[180px]">Received</TableHead>
+								<TableHead>Event</TableHead>
+								<TableHead>Status</TableHead>
+								<TableHead>Deliveries</TableHead>
+								<TableHead>Attempts</TableHead>
+								<TableHead>Actions</TableHead>
+							</TableRow>
+						</TableHeader>
+						<TableBody>
+							{error ? (
+								<TableEmpty
+									colSpan={6}
+									message="Error loading webhook events. Please try again."
+								/>
+							) : filteredEvents.length === 0 ? (
+								<TableEmpty
+									colSpan={6}
+									message={
+										searchQuery || statusFilter !== null
+											? "No webhook events found matching your search or filter."
+											: "No webhook events yet. Deliveries from Polar will appear here."
+									}
+								/>
+							) : (
+								filteredEvents.map((event) => {
+									const badge = STATUS_BADGES[event.status] || {
+										label: event.status,
+										icon: MinusCircle,
+										color: "bg-zinc-100 text-zinc-800",
+									};
+									const StatusIcon = badge.icon;
+									const isExpanded = expandedId === event.id;
+									const isReplaying =
+										replayMutation.isPending &&
+										replayMutation.variables === event.id;
+
+									return (
+										<React.Fragment key={event.id}>
+											<TableRow
+												onClick={() =>
+													setExpandedId(isExpanded ? null : event.id)
+												}
+											>
+												<TableCell>
+													<div className="text-xs text-zinc-600 flex items-center gap-1">
+														{isExpanded ? (
+															<ChevronDown className="w-3 h-3" />
+														) : (
+															<ChevronRight className="w-3 h-3" />
+														)}
+														<Calendar className="w-3 h-3" />
+														{formatDateTime(event.receivedAt)}
+													</div>
+												</TableCell>
+												<TableCell>
+													<div className="font-medium text-sm text-zinc-900">
+														{event.type}
+													</div>
+													<code className="text-xs text-zinc-600 font-mono">
+														{event.eventId || event.id}
+													</code>
+												</TableCell>
+												<TableCell>
+													<span
+														className={`inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium ${badge.color}`}
+													>
+														<StatusIcon className="w-3 h-3" />
+														{badge.label}
+													</span>
+												</TableCell>
+												<TableCell>
+													<span className="text-sm text-zinc-900">
+														{event.deliveries || 1}
+													</span>
+													{event.replays > 0 && (
+														<span className="text-xs text-zinc-500 ml-1">
+															+ {event.replays} replay
+															{event.replays === 1 ? "" : "s"}
+														</span>
+													)}
+												</TableCell>
+												<TableCell>{event.attempts || 0}</TableCell>
+												<TableCell>
+													{can("execute") && (
+														<motion.button
+															whileHover={{ scale: 1.1 }}
+															whileTap={{ scale: 0.9 }}
+															onClick={(e) => {
+																e.stopPropagation();
+																setEventToReplay(event);
+															}}
+															disabled={
+																isReplaying || event.status === "processing"
+															}
+															className="p-2 text-zinc-600 hover:text-zinc-900 hover:bg-zinc-100 rounded-xl transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+															title="Replay Event"
+														>
+															<RotateCcw
+																className={`w-4 h-4 ${
+																	isReplaying ? "animate-spin" : ""
+																}`}
+															/>
+														</motion.button>
+													)}
+												</TableCell>
+											</TableRow>
+											{isExpanded && (
+												<TableRow hover={false}>
+													<TableCell colSpan={6} className="bg-zinc-50 space-y-3">
+														{event.error && (
+															<div className="text-xs text-red-700 bg-red-50 border border-red-200 rounded-xl p-3">
+																{event.error}
+															</div>
+														)}
+														<div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-xs text-zinc-600">
+															<div>
+																Last delivery:{" "}
+																{formatDateTime(event.lastDeliveredAt) || "—"}
+															</div>
+															<div>
+																Processed:{" "}
+																{formatDateTime(event.processedAt) || "—"}
+															</div>
+															<div>
+																Duration:{" "}
+																{event.durationMs !== undefined
+																	? `${event.durationMs} ms`
+																	: "—"}
+															</div>
+															<div>
+																Last replay:{" "}
+																{event.lastReplayedAt
+																	? `${formatDateTime(event.lastReplayedAt)}${
+																			event.lastReplayedBy
+																				? ` by ${event.lastReplayedBy}`
+																				: ""
+																	  }`
+																	: "—"}
+															</div>
+														</div>
+														<pre className="text-xs bg-white border border-zinc-200 rounded-xl p-3 overflow-x-auto max-h-96">
+															{formatPayload(event.payload)}
+														</pre>
+													</TableCell>
+												</TableRow>
+											)}
+										</React.Fragment>
+									);
+								})
+							)}
+						</TableBody>
+					</Table>
+				)}
+			</div>
+
+			{/* Replay Confirmation Modal */}
+			<ConfirmationModal
+				isOpen={!!eventToReplay}
+				onClose={() => setEventToReplay(null)}
+				onConfirm={handleReplayConfirm}
+				title="Replay Webhook Event"
+				message={
+					eventToReplay
+						? `Run ${eventToReplay.type} (${eventToReplay.eventId}) through the webhook handlers again? Customer records are updated and emails for this event may be sent again.`
+						: ""
+				}
+				confirmText="Replay"
+				variant="warning"
+			/>
+		</div>
+	);
+};
+
+export default WebhooksTab;
@@ -31,6 +31,7 @@ import {
 	GitBranch,
 	FolderOpen,
 	Clock,
+	Lock,
 } from "lucide-react";
 import HomeTab from "./components/HomeTab";
 import BlogTab from "./components/BlogTab";
@@ -46,18 +47,20 @@ import InvoiceTab from "./components/InvoiceTab";
 import WaitlistTab from "./components/WaitlistTab";
 import ReportIssuesTab from "./components/ReportIssuesTab";
 import ProductsTab from "./components/ProductsTab";
+import WebhooksTab from "./components/WebhooksTab";
 import TeamsTab from "./components/TeamsTab";
+import AuditLogTab from "./components/AuditLogTab";
 import FormsTab from "./components/FormsTab";
 import ChangelogTab from "./components/ChangelogTab";
 import AssetsTab from "./components/AssetsTab";
 import AnalyticsTab from "./components/AnalyticsTab";
 import CronJobsTab from "./components/CronJobsTab";
+import RevenueTab from "./components/RevenueTab";
 import SearchModal from "./components/SearchModal";
 import Sidebar from "./components/Sidebar";
-import { markEmailAsSent } from "../../lib/api/emails";
 import { onAuthStateChange } from "../../lib/api/auth";
 import { getCachedUserRole } from "../../lib/utils/getUserRole";
-import { ROLES } from "../../lib/config/roles-config";
+import { ROLES, canAccessTab } from "../../lib/config/roles-config";
 import { getUserRole } from "../../lib/utils/getUserRole";
 import { getCurrentUserEmail } from "../../lib/utils/getCurrentUserEmail";
 import ConfirmationModal from "../../lib/ui/ConfirmationModal";
@@ -69,6 +72,7 @@ import {
 } from "../../lib/utils/cookies";
 import { toast } from "react-toastify";
 import { useAppQueryClient } from "../../lib/hooks/useQueryClient";
+import { authFetch } from "../../lib/utils/authFetch";
 
 const Admin = () => {
 	const queryClient = useAppQueryClient();
@@ -125,6 +129,9 @@ const Admin = () => {
 	// Check if user is admin
 	const isAdmin = userRole === ROLES.ADMIN;
 
+	// Tabs the current role can't view are hidden and never rendered
+	const canViewActiveTab = canAccessTab(userRole, activeTab);
+
 	// Check for existing user in cookie on mount
 	useEffect(() => {
 		const cookieUser = getUserCookie();
@@ -138,6 +145,7 @@ const Admin = () => {
 		const unsubscribe = onAuthStateChange(async (firebaseUser) => {
 			// Invalidate userRole query when auth state changes
 			queryClient.invalidateQueries({ queryKey: ["userRole"] });
+			queryClient.invalidateQueries({ queryKey: ["contentOwner"] });
 
 			// Update user state and cookie
 			if (firebaseUser) {
@@ -196,7 +204,7 @@ const Admin = () => {
 	}, [isProjectDropdownOpen]);
 
 	// Send email to subscribers
-	const handleSendEmail = async (email) => {
+	const handleSendEmail = async (email, segment = null) => {
 		if (!email.subject || !email.content) {
 			toast.warning("Email must have subject and content");
 			return;
@@ -204,12 +212,14 @@ const Admin = () => {
 
 		setConfirmData({
 			title: "Send Email",
-			message: "Send this email to all active subscribers?",
+			message: segment
+				? `Send this email to the contacts in "${segment.name}"?`
+				: "Send this email to all active subscribers?",
 			variant: "info",
 		});
 		setConfirmAction(() => async () => {
 			try {
-				const response = await fetch("/api/emails/send", {
+				const response = await authFetch("/api/emails/send", {
 					method: "POST",
 					headers: {
 						"Content-Type": "application/json",
@@ -218,6 +228,7 @@ const Admin = () => {
 						emailId: email.id,
 						subject: email.subject,
 						content: email.content,
+						segmentId: segment?.id,
 					}),
 				});
 
@@ -225,10 +236,12 @@ const Admin = () => {
 
 				if (response.ok) {
 					toast.success(
-						`Email sent successfully to ${data.stats.successCount} subscribers!`
+						segment
+							? `Email sent successfully to ${data.stats.successCount} contacts in "${segment.name}"!`
+							: `Email sent successfully to ${data.stats.successCount} subscribers!`
 					);
-					// Update email in Firestore
-					await markEmailAsSent(email.id, data.stats.successCount);
+					// The API route marks the email as sent
+					queryClient.invalidateQueries({ queryKey: ["emails"] });
 				} else {
 					toast.error(data.error || "Failed to send email");
 				}
@@ -255,7 +268,7 @@ const Admin = () => {
 		});
 		setConfirmAction(() => async () => {
 			try {
-				const response = await fetch("/api/emails/send-to-users", {
+				const response = await authFetch("/api/emails/send-to-users", {
 					method: "POST",
 					headers: {
 						"Content-Type": "application/json",
@@ -273,8 +286,8 @@ const Admin = () => {
 					toast.success(
 						`Email sent successfully to ${data.stats.successCount} users!`
 					);
-					// Update email in Firestore
-					await markEmailAsSent(email.id, data.stats.successCount);
+					// The API route marks the email as sent
+					queryClient.invalidateQueries({ queryKey: ["emails"] });
 				} else {
 					toast.error(data.error || "Failed to send email");
 				}
@@ -314,6 +327,7 @@ const Admin = () => {
 					setShowSearchModal={setShowSearchModal}
 					setShowLoginModal={setShowLoginModal}
 					user={user}
+					userRole={userRole}
 					selectedProject={selectedProject}
 				/>
 
@@ -336,60 +350,84 @@ const Admin = () => {
 				<main className="flex-1 w-full h-full overflow-y-auto">
 					<div className="h-full w-full md:p-2">
 						<div className="h-full w-full bg-white rounded-2xl py-6 px-4 overflow-y-auto">
-							{activeTab === "home" && <HomeTab onNavigate={setActiveTab} />}
-							{activeTab === "blogs" && <BlogTab queryClient={queryClient} />}
-							{activeTab === "emails" && (
-								<EmailTab
-									queryClient={queryClient}
-									onSendEmail={handleSendEmail}
-								/>
-							)}
-							{activeTab === "kanban-board" && (
-								<KanbanBoardTab queryClient={queryClient} />
-							)}
-							{activeTab === "idea-database" && (
-								<IdeaDatabaseTab queryClient={queryClient} />
-							)}
-							{activeTab === "assets" && (
-								<AssetsTab queryClient={queryClient} />
-							)}
-							{activeTab === "cron-jobs" && (
-								<CronJobsTab queryClient={queryClient} />
-							)}
-							{activeTab === "subscribers" && (
-								<SubscribersTab
-									queryClient={queryClient}
-									onSendEmail={handleSendEmail}
-								/>
-							)}
-							{activeTab === "users" && (
-								<UsersTab onSendEmailToUsers={handleSendEmailToUsers} />
-							)}
-							{activeTab === "customers" && <CustomersTab />}
-							{activeTab === "payments" && (
-								<PaymentsTab queryClient={queryClient} />
-							)}
-							{activeTab === "invoices" && (
-								<InvoiceTab queryClient={queryClient} />
-							)}
-							{activeTab === "products" && (
-								<ProductsTab queryClient={queryClient} />
-							)}
-							{activeTab === "messages" && (
-								<MessagesTab queryClient={queryClient} />
-							)}
-							{activeTab === "forms" && <FormsTab queryClient={queryClient} />}
-							{activeTab === "changelog" && (
-								<ChangelogTab queryClient={queryClient} />
-							)}
-							{activeTab === "waitlist" && (
-								<WaitlistTab queryClient={queryClient} />
+							{!canViewActiveTab && (
+								<div className="flex flex-col items-center justify-center h-full text-center text-zinc-500">
+									<Lock className="w-12 h-12 text-zinc-400 mb-2" />
+									<p className="font-medium text-zinc-900">Access restricted</p>
+									<p className="text-sm mt-1">
+										Your role doesn't have permission to view this section.
+									</p>
+									<button
+										onClick={() => setActiveTab("home")}
+										className="mt-4 px-4 py-2 text-sm font-medium bg-zinc-900 text-white rounded-xl hover:bg-zinc-800 transition-colors"
+									>
+										Back to Home
+									</button>
+								</div>
 							)}
-							{activeTab === "analytics" && <AnalyticsTab />}
-							{activeTab === "reportIssues" && (
-								<ReportIssuesTab queryClient={queryClient} />
+							{canViewActiveTab && (
+								<>
+									{activeTab === "home" && <HomeTab onNavigate={setActiveTab} />}
+									{activeTab === "blogs" && <BlogTab queryClient={queryClient} />}
+									{activeTab === "emails" && (
+										<EmailTab
+											queryClient={queryClient}
+											onSendEmail={handleSendEmail}
+										/>
+									)}
+									{activeTab === "kanban-board" && (
+										<KanbanBoardTab queryClient={queryClient} />
+									)}
+									{activeTab === "idea-database" && (
+										<IdeaDatabaseTab queryClient={queryClient} />
+									)}
+									{activeTab === "assets" && (
+										<AssetsTab queryClient={queryClient} />
+									)}
+									{activeTab === "cron-jobs" && (
+										<CronJobsTab queryClient={queryClient} />
+									)}
+									{activeTab === "subscribers" && (
+										<SubscribersTab
+											queryClient={queryClient}
+											onSendEmail={handleSendEmail}
+										/>
+									)}
+									{activeTab === "users" && (
+										<UsersTab onSendEmailToUsers={handleSendEmailToUsers} />
+									)}
+									{activeTab === "customers" && <CustomersTab />}
+									{activeTab === "payments" && (
+										<PaymentsTab queryClient={queryClient} />
+									)}
+									{activeTab === "revenue" && <RevenueTab />}
+									{activeTab === "invoices" && (
+										<InvoiceTab queryClient={queryClient} />
+									)}
+									{activeTab === "products" && (
+										<ProductsTab queryClient={queryClient} />
+									)}
+									{activeTab === "webhooks" && (
+										<WebhooksTab queryClient={queryClient} />
+									)}
+									{activeTab === "messages" && (
+										<MessagesTab queryClient={queryClient} />
+									)}
+									{activeTab === "forms" && <FormsTab queryClient={queryClient} />}
+									{activeTab === "changelog" && (
+										<ChangelogTab queryClient={queryClient} />
+									)}
+									{activeTab === "waitlist" && (
+										<WaitlistTab queryClient={queryClient} />
+									)}
+									{activeTab === "analytics" && <AnalyticsTab />}
+									{activeTab === "reportIssues" && (
+										<ReportIssuesTab queryClient={queryClient} />
+									)}
+									{activeTab === "teams" && <TeamsTab queryClient={queryClient} />}
+									{activeTab === "audit-log" && <AuditLogTab />}
+								</>
 							)}
-							{activeTab === "teams" && <TeamsTab queryClient={queryClient} />}
 						</div>
 					</div>
 				</main>
@@ -2,7 +2,15 @@ import React, { useState, useEffect, useRef } from "react";
 import Link from "next/link";
 import { useRouter } from "next/router";
 import { motion, AnimatePresence } from "framer-motion";
-import { Menu, X, LogIn, User, ChevronDown, LogOut } from "lucide-react";
+import {
+	Menu,
+	X,
+	LogIn,
+	User,
+	ChevronDown,
+	LogOut,
+	CreditCard,
+} from "lucide-react";
 import { useQuery } from "@tanstack/react-query";
 import { useAppQueryClient } from "../../lib/hooks/useQueryClient";
 import { useSubscription } from "../../lib/hooks/useSubscription";
@@ -246,6 +254,16 @@ const Navbar = () => {
 													)}
 												</div>
 
+												{/* Billing Link */}
+												<Link
+													href="/account/billing"
+													onClick={() => setIsDropdownOpen(false)}
+													className="w-full p-4 flex items-center gap-2 text-sm text-zinc-700 hover:bg-zinc-50 border-b border-zinc-200 transition-colors"
+												>
+													<CreditCard className="w-4 h-4" />
+													Billing
+												</Link>
+
 												{/* Logout Button */}
 												<button
 													onClick={handleLogout}
@@ -0,0 +1,261 @@
+import crypto from "crypto";
+import { getTeamMemberByEmail } from "./teams";
+import { loadRoles } from "./roles";
+import { hasPermission } from "../config/roles-config";
+import {
+	ENTITLEMENT_DEFINITIONS,
+	getEntitlementsByEmail,
+	checkEntitlement,
+} from "./products";
+
+// Public certificates Firebase signs ID tokens with, rotated by Google
+const FIREBASE_CERTS_URL =
+	"https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com";
+
+// Allowed clock difference between Google and this server, in seconds
+const CLOCK_SKEW_SECONDS = 60;
+
+let certsCache = { certs: null, expiresAt: 0 };
+
+/**
+ * Fetch Firebase signing certificates, cached for as long as Google allows
+ * @returns {Promise<Object>} Map of key id -> PEM certificate
+ */
+const getFirebaseCerts = async () => {
+	if (certsCache.certs && Date.now() < certsCache.expiresAt) {
+		return certsCache.certs;
+	}
+
+	const response = await fetch(FIREBASE_CERTS_URL);
+	if (!response.ok) {
+		throw new Error(`Failed to fetch Firebase certificates: ${response.status}`);
+	}
+
+	const certs = await response.json();
+	const maxAge = Number(
+		/max-age=(\d+)/.exec(response.headers.get("cache-control") || "")?.[1] || 0
+	);
+	certsCache = { certs, expiresAt: Date.now() + maxAge * 1000 };
+	return certs;
+};
+
+const decodeSegment = (segment) =>
+	JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+
+/**
+ * Verify a Firebase ID token (RS256 JWT) and return its user
+ * Follows Firebase's rules for verifying ID tokens without the Admin SDK.
+ * @param {string} idToken - ID token from user.getIdToken()
+ * @returns {Promise<{ uid: string, email: string|null, emailVerified: boolean }>}
+ * @throws {Error} When the token is malformed, expired or not signed by Firebase
+ */
+export const verifyFirebaseIdToken = async (idToken) => {
+	const projectId = process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID;
+	if (!projectId) {
+		throw new Error("Firebase project ID not configured");
+	}
+
+	const segments = (idToken || "").split(".");
+	if (segments.length !== 3) {
+		throw new Error("Malformed ID token");
+	}
+
+	const [encodedHeader, encodedPayload, encodedSignature] = segments;
+	const header = decodeSegment(encodedHeader);
+	const payload = decodeSegment(encodedPayload);
+
+	if (header.alg !== "RS256") {
+		throw new Error("Invalid ID token algorithm");
+	}
+
+	const certs = await getFirebaseCerts();
+	const cert = certs[header.kid];
+	if (!cert) {
+		throw new Error("ID token signed with an unknown key");
+	}
+
+	const isValidSignature = crypto
+		.createVerify("RSA-SHA256")
+		.update(`${encodedHeader}.${encodedPayload}`)
+		.verify(cert, Buffer.from(encodedSignature, "base64url"));
+	if (!isValidSignature) {
+		throw new Error("Invalid ID token signature");
+	}
+
+	const now = Math.floor(Date.now() / 1000);
+	if (payload.aud !== projectId) {
+		throw new Error("ID token has the wrong audience");
+	}
+	if (payload.iss !== `https://securetoken.google.com/${projectId}`) {
+		throw new Error("ID token has the wrong issuer");
+	}
+	if (!payload.sub || typeof payload.sub !== "string") {
+		throw new Error("ID token has no subject");
+	}
+	if (payload.exp <= now - CLOCK_SKEW_SECONDS) {
+		throw new Error("ID token has expired");
+	}
+	if (
+		payload.iat > now + CLOCK_SKEW_SECONDS ||
+		payload.auth_time > now + CLOCK_SKEW_SECONDS
+	) {
+		throw new Error("ID token issued in the future");
+	}
+
+	return {
+		uid: payload.sub,
+		email: payload.email?.toLowerCase().trim() || null,
+		emailVerified: payload.email_verified === true,
+	};
+};
+
+/**
+ * Read the bearer token from a request's Authorization header
+ * @param {Object} req - Next.js API request
+ * @returns {string|null} Token or null
+ */
+export const getBearerToken = (req) => {
+	const header = req.headers.authorization || "";
+	return header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+};
+
+/**
+ * Resolve a user's team role, loading stored roles first so custom roles
+ * are checked against their saved permissions
+ * @param {string} email - User email
+ * @returns {Promise<string>} Role id, "viewer" when not a team member
+ */
+export const getTeamRole = async (email) => {
+	if (!email) return "viewer";
+
+	try {
+		await loadRoles();
+	} catch (error) {
+		console.error("apiAuth: Failed to load roles, using defaults:", error);
+	}
+
+	const member = await getTeamMemberByEmail(email);
+	return member?.role || "viewer";
+};
+
+/**
+ * Authenticate the caller of an API route from its Firebase ID token.
+ * Roles and customers are looked up by email, so tokens whose email isn't
+ * verified are rejected: anyone can sign up with someone else's address.
+ * @param {Object} req - Next.js API request
+ * @returns {Promise<Object|null>} { uid, email, emailVerified, role } or null
+ */
+export const authenticateRequest = async (req) => {
+	const token = getBearerToken(req);
+	if (!token) return null;
+
+	try {
+		const user = await verifyFirebaseIdToken(token);
+		if (user.emailVerified !== true) {
+			console.warn("apiAuth: Rejected ID token with an unverified email");
+			return null;
+		}
+		const role = await getTeamRole(user.email);
+		return { ...user, role };
+	} catch (error) {
+		console.warn("apiAuth: Rejected ID token:", error.message);
+		return null;
+	}
+};
+
+/**
+ * Wrap an API route so it only runs for signed-in callers whose team role
+ * grants the required permission. The caller is available as req.user.
+ * @param {Function} handler - Next.js API route handler
+ * @param {Object} options - Access requirements
+ * @param {string} options.resource - Resource name (see ROLE_PERMISSIONS)
+ * @param {string} options.action - Action name
+ * @param {Array<{resource: string, action: string}>} options.anyOf - Alternatives; any one grants access
+ * @returns {Function} Wrapped handler
+ *
+ * @example
+ * export default withAuth(handler, { resource: "emails", action: "send" });
+ * // Any signed-in user
+ * export default withAuth(handler);
+ */
+export const withAuth = (handler, { resource, action, anyOf } = {}) => {
+	const requirements = anyOf || (resource ? [{ resource, action }] : []);
+
+	return async (req, res) => {
+		const user = await authenticateRequest(req);
+		if (!user) {
+			return res.status(401).json({ error: "Unauthorized" });
+		}
+
+		const allowed =
+			requirements.length === 0 ||
+			requirements.some((requirement) =>
+				hasPermission(user.role, requirement.resource, requirement.action)
+			);
+		if (!allowed) {
+			return res.status(403).json({
+				error: "Forbidden",
+				message: "Your role doesn't allow this action",
+			});
+		}
+
+		req.user = user;
+		return handler(req, res);
+	};
+};
+
+/**
+ * Wrap an API route so it only runs for signed-in callers whose plan
+ * grants a feature, or is still under a limit. Enforces on the server what
+ * <Gate> hides in the UI. The caller is available as req.user and their
+ * entitlements as req.entitlements.
+ * @param {Function} handler - Next.js API route handler
+ * @param {string} feature - Entitlement key (see ENTITLEMENT_DEFINITIONS)
+ * @param {Object} options
+ * @param {Function} options.getUsage - async (req) => current usage, for limits
+ * @param {string} options.resource - Optional permission resource, as in withAuth
+ * @param {string} options.action - Optional permission action, as in withAuth
+ * @returns {Function} Wrapped handler
+ *
+ * @example
+ * export default withEntitlement(handler, "forms", {
+ *   getUsage: () => countForms(),
+ *   resource: "forms",
+ *   action: "create",
+ * });
+ */
+export const withEntitlement = (
+	handler,
+	feature,
+	{ getUsage, ...access } = {}
+) =>
+	withAuth(async (req, res) => {
+		try {
+			const { entitlements, planName } = await getEntitlementsByEmail(
+				req.user.email
+			);
+			const usage = getUsage ? await getUsage(req) : 0;
+			const result = checkEntitlement(entitlements, feature, usage);
+
+			if (!result.allowed) {
+				const label = ENTITLEMENT_DEFINITIONS[feature]?.label || feature;
+				return res.status(403).json({
+					error: "Upgrade required",
+					message:
+						result.limit !== null
+							? `Your plan allows ${result.limit} ${label.toLowerCase()}`
+							: `${label} isn't included in your plan`,
+					feature,
+					limit: result.limit,
+					planName: planName || "Free",
+				});
+			}
+
+			req.entitlements = entitlements;
+		} catch (error) {
+			console.error("apiAuth: Failed to check entitlement:", error);
+			return res.status(500).json({ error: "Failed to check plan limits" });
+		}
+
+		return handler(req, res);
+	}, access);
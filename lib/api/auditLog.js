@@ -0,0 +1,209 @@
+import {
+	collection,
+	getDocs,
+	addDoc,
+	query,
+	where,
+	orderBy,
+	limit,
+	startAfter,
+	serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { getCurrentUser } from "./auth";
+
+const AUDIT_LOGS_COLLECTION = "auditLogs";
+
+// Longer strings (e.g. HTML content) are cut so entries stay small
+const MAX_VALUE_LENGTH = 1000;
+
+// Bookkeeping fields that change on every write and aren't worth diffing
+const IGNORED_FIELDS = ["createdAt", "updatedAt"];
+
+export const AUDIT_ACTIONS = {
+	CREATE: "create",
+	UPDATE: "update",
+	DELETE: "delete",
+	PUBLISH: "publish",
+	SEND: "send",
+};
+
+/**
+ * Turn a field value into something Firestore can store and people can read
+ * @param {any} value - Field value
+ * @returns {any} Serializable value
+ */
+const serializeValue = (value) => {
+	if (value === undefined || value === null) return null;
+	if (value?.toDate && typeof value.toDate === "function") {
+		return value.toDate().toISOString();
+	}
+	if (value instanceof Date) return value.toISOString();
+	if (typeof value === "string" && value.length > MAX_VALUE_LENGTH) {
+		return `${value.slice(0, MAX_VALUE_LENGTH)}…`;
+	}
+	if (typeof value === "object") {
+		const json = JSON.stringify(value);
+		return json.length > MAX_VALUE_LENGTH
+			? `${json.slice(0, MAX_VALUE_LENGTH)}…`
+			: JSON.parse(json);
+	}
+	return value;
+};
+
+/**
+ * Compare two versions of a document field by field
+ * @param {Object|null} before - Document before the change
+ * @param {Object|null} after - Document after the change
+ * @returns {Object} Map of field -> { before, after } for fields that changed
+ */
+export const getAuditDiff = (before, after) => {
+	const diff = {};
+	const fields = new Set([
+		...Object.keys(before || {}),
+		...Object.keys(after || {}),
+	]);
+
+	fields.forEach((field) => {
+		if (field === "id" || IGNORED_FIELDS.includes(field)) return;
+		const oldValue = serializeValue(before?.[field]);
+		const newValue = serializeValue(after?.[field]);
+		if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+			diff[field] = { before: oldValue, after: newValue };
+		}
+	});
+
+	return diff;
+};
+
+/**
+ * Resolve who is making a change: the given actor, the signed-in user,
+ * or "system" for scheduled jobs and webhooks. Emails are lowercased so
+ * entries can be filtered by actor.
+ * @param {Object|null} actor - Optional { uid, email }
+ * @returns {Promise<Object>} { uid, email, type }
+ */
+const resolveActor = async (actor) => {
+	if (actor?.email || actor?.uid) {
+		return {
+			uid: actor.uid || null,
+			email: actor.email?.toLowerCase() || null,
+			type: "user",
+		};
+	}
+
+	try {
+		const user = await getCurrentUser();
+		if (user) {
+			return {
+				uid: user.uid,
+				email: user.email?.toLowerCase() || null,
+				type: "user",
+			};
+		}
+	} catch (error) {
+		console.error("Error resolving audit actor:", error);
+	}
+	return { uid: null, email: null, type: "system" };
+};
+
+/**
+ * Record an admin action in the audit log. Never throws: a failed audit
+ * write is logged but doesn't undo or block the action itself.
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} entry.resource - Resource name (blogs, emails, invoices, ...)
+ * @param {string} entry.resourceId - Document ID
+ * @param {Object} entry.before - Document before the change (null on create)
+ * @param {Object} entry.after - Document or fields after the change (null on delete)
+ * @param {Object} entry.actor - Optional { uid, email }, defaults to the signed-in user
+ * @param {string} entry.label - Optional human-readable name of the item
+ * @returns {Promise<string|null>} Document ID of the audit entry
+ */
+export const recordAuditLog = async ({
+	action,
+	resource,
+	resourceId,
+	before = null,
+	after = null,
+	actor = null,
+	label = "",
+}) => {
+	try {
+		const docRef = await addDoc(collection(db, AUDIT_LOGS_COLLECTION), {
+			action,
+			resource,
+			resourceId: resourceId || null,
+			label: label || "",
+			actor: await resolveActor(actor),
+			changes: getAuditDiff(before, after),
+			timestamp: serverTimestamp(),
+		});
+		return docRef.id;
+	} catch (error) {
+		console.error("Error recording audit log:", error);
+		return null;
+	}
+};
+
+/**
+ * Get a page of audit log entries, newest first. Filters run in the
+ * Firestore query, so a page holds matching entries only; pass the returned
+ * cursor to get the next page.
+ * Combining filters with the timestamp order needs composite indexes (see
+ * the auditLogs collection in the database docs).
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.resource - Only this resource
+ * @param {string} filters.action - Only this action
+ * @param {string} filters.actorEmail - Only this actor (emails are stored lowercase)
+ * @param {Date} filters.startDate - Only entries at or after this date
+ * @param {Date} filters.endDate - Only entries at or before this date
+ * @param {number} filters.pageSize - Entries per page (default: 100)
+ * @param {Object} filters.cursor - Cursor from the previous page, null for the first
+ * @returns {Promise<{ entries: Array, cursor: Object|null, hasMore: boolean }>} Page of entries
+ */
+export const getAuditLogs = async ({
+	resource = null,
+	action = null,
+	actorEmail = null,
+	startDate = null,
+	endDate = null,
+	pageSize = 100,
+	cursor = null,
+} = {}) => {
+	try {
+		const constraints = [];
+		if (resource) constraints.push(where("resource", "==", resource));
+		if (action) constraints.push(where("action", "==", action));
+		if (actorEmail?.trim()) {
+			constraints.push(
+				where("actor.email", "==", actorEmail.toLowerCase().trim())
+			);
+		}
+		if (startDate) constraints.push(where("timestamp", ">=", startDate));
+		if (endDate) constraints.push(where("timestamp", "<=", endDate));
+
+		const q = query(
+			collection(db, AUDIT_LOGS_COLLECTION),
+			...constraints,
+			orderBy("timestamp", "desc"),
+			...(cursor ? [startAfter(cursor)] : []),
+			limit(pageSize)
+		);
+
+		const querySnapshot = await getDocs(q);
+		const entries = querySnapshot.docs.map((doc) => ({
+			id: doc.id,
+			...doc.data(),
+		}));
+
+		return {
+			entries,
+			cursor: querySnapshot.docs[querySnapshot.docs.length - 1] || null,
+			hasMore: querySnapshot.docs.length === pageSize,
+		};
+	} catch (error) {
+		console.error("Error getting audit logs:", error);
+		throw error;
+	}
+};
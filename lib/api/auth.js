@@ -20,6 +20,7 @@ import {
 } from "firebase/firestore";
 import { auth, db } from "../config/firebase";
 import { identifyUser, resetUser, trackEvent } from "../utils/posthog";
+import { enrollInSequences } from "./sequences";
 
 const USERS_COLLECTION = "users";
 
@@ -228,6 +229,7 @@ export const saveUserToFirestore = async (user, provider) => {
 				createdAt: serverTimestamp(),
 				updatedAt: serverTimestamp(),
 			});
+			await enrollInSequences("user_created", userData);
 		}
 	} catch (error) {
 		console.error("Error saving user to Firestore:", error);
@@ -0,0 +1,216 @@
+import { collection, getDocs, query, where } from "firebase/firestore";
+import { db } from "../config/firebase";
+import { authFetch } from "../utils/authFetch";
+import { getCustomerByEmail, isCustomerEntitled } from "./customers";
+import { getAllProducts } from "./products";
+
+const PAYMENTS_COLLECTION = "payments";
+const INVOICES_COLLECTION = "invoices";
+
+/**
+ * Convert a document's top-level Firestore Timestamps to ISO strings, so it
+ * can be sent as JSON
+ * @param {Object} data - Document data
+ * @returns {Object} Copy with dates as ISO strings
+ */
+const serializeDates = (data) =>
+	Object.fromEntries(
+		Object.entries(data).map(([key, value]) => [
+			key,
+			value?.toDate && typeof value.toDate === "function"
+				? value.toDate().toISOString()
+				: value instanceof Date
+					? value.toISOString()
+					: value,
+		])
+	);
+
+const sortByCreatedAtDesc = (items) =>
+	items.sort(
+		(a, b) =>
+			new Date(b.createdAt || 0).getTime() -
+			new Date(a.createdAt || 0).getTime()
+	);
+
+const getDocuments = async (q) => {
+	const querySnapshot = await getDocs(q);
+	const documents = [];
+
+	querySnapshot.forEach((doc) => {
+		documents.push(serializeDates({ id: doc.id, ...doc.data() }));
+	});
+
+	return sortByCreatedAtDesc(documents);
+};
+
+/**
+ * Get a customer's payments, newest first
+ * @param {string} customerId - Polar customer ID
+ * @returns {Promise<Array>} Array of payment documents
+ */
+export const getPaymentsByCustomerId = async (customerId) => {
+	if (!customerId) return [];
+
+	try {
+		return await getDocuments(
+			query(
+				collection(db, PAYMENTS_COLLECTION),
+				where("customerId", "==", customerId)
+			)
+		);
+	} catch (error) {
+		console.error("Error getting customer payments:", error);
+		throw error;
+	}
+};
+
+/**
+ * Get the issued invoices addressed to an email, newest first
+ * @param {string} email - Recipient email (the invoice's to.email)
+ * @returns {Promise<Array>} Array of invoice documents
+ */
+export const getInvoicesByEmail = async (email) => {
+	if (!email) return [];
+
+	try {
+		const invoices = await getDocuments(
+			query(collection(db, INVOICES_COLLECTION), where("to.email", "==", email))
+		);
+		// Drafts aren't issued yet
+		return invoices.filter((invoice) => invoice.status !== "draft");
+	} catch (error) {
+		console.error("Error getting customer invoices:", error);
+		throw error;
+	}
+};
+
+/**
+ * Get the plans a subscriber can switch to: products with a recurring price
+ * @returns {Promise<Array>} [{ planId, name, description, amount, currency, interval }]
+ */
+export const getSwitchablePlans = async () => {
+	const products = await getAllProducts();
+
+	return products
+		.map((product) => {
+			const price = (product.prices || []).find(
+				(p) => p.recurring_interval && p.recurring_interval !== "one_time"
+			);
+			if (!product.polarProductId || !price) return null;
+
+			return {
+				planId: product.polarProductId,
+				name: product.name,
+				description: product.description || "",
+				amount: price.price_amount ?? null,
+				currency: price.price_currency || "usd",
+				interval: price.recurring_interval,
+			};
+		})
+		.filter(Boolean);
+};
+
+/**
+ * Everything the billing page shows for one account. Server-side only,
+ * used by /api/account/billing for the signed-in user's email.
+ * @param {string} email - Account email
+ * @returns {Promise<Object>} { subscription, payments, invoices, plans }
+ */
+export const getBillingOverview = async (email) => {
+	const customer = await getCustomerByEmail(email);
+
+	const [payments, invoices, plans] = await Promise.all([
+		getPaymentsByCustomerId(customer?.customerId),
+		getInvoicesByEmail(email),
+		getSwitchablePlans(),
+	]);
+
+	const subscription = customer
+		? serializeDates({
+				customerId: customer.customerId || null,
+				subscriptionId: customer.subscriptionId || null,
+				planId: customer.planId || null,
+				planName: customer.planName || null,
+				status: customer.status || null,
+				amount: customer.amount || 0,
+				currency: customer.currency || "usd",
+				expiresAt: customer.expiresAt || null,
+				canceledAt: customer.canceledAt || null,
+				trialEndsAt: customer.trialEndsAt || null,
+				graceEndsAt: customer.graceEndsAt || null,
+				isEntitled: isCustomerEntitled(customer),
+		  })
+		: null;
+
+	return { subscription, payments, invoices, plans };
+};
+
+/**
+ * Call a billing API route as the signed-in user
+ * @param {string} url - API route URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Response body
+ */
+const billingRequest = async (url, options = {}) => {
+	const response = await authFetch(url, {
+		...options,
+		headers: {
+			"Content-Type": "application/json",
+			...(options.headers || {}),
+		},
+	});
+
+	const data = await response.json();
+	if (!response.ok) {
+		throw new Error(data.message || data.error || "Billing request failed");
+	}
+	return data;
+};
+
+/**
+ * Get the signed-in user's subscription, payments, invoices and plans
+ * @returns {Promise<Object>} { subscription, payments, invoices, plans }
+ */
+export const getAccountBilling = () => billingRequest("/api/account/billing");
+
+/**
+ * Switch the signed-in user's subscription to another plan, prorated
+ * @param {string} planId - Polar product ID of the new plan
+ * @returns {Promise<Object>} { success, message }
+ */
+export const changeSubscriptionPlan = (planId) =>
+	billingRequest("/api/polar/change-plan", {
+		method: "POST",
+		body: JSON.stringify({ planId }),
+	});
+
+/**
+ * Cancel the signed-in user's subscription at the end of the billing period
+ * @returns {Promise<Object>} { success, message }
+ */
+export const cancelSubscription = () =>
+	billingRequest("/api/polar/cancel-subscription", {
+		method: "POST",
+		body: JSON.stringify({}),
+	});
+
+/**
+ * Undo a pending cancellation, so the subscription renews again
+ * @returns {Promise<Object>} { success, message }
+ */
+export const resumeSubscription = () =>
+	billingRequest("/api/polar/resume-subscription", {
+		method: "POST",
+		body: JSON.stringify({}),
+	});
+
+/**
+ * Get a short-lived Polar customer portal link, where the signed-in user
+ * can update their payment method
+ * @returns {Promise<Object>} { url }
+ */
+export const getCustomerPortalUrl = () =>
+	billingRequest("/api/polar/customer-portal", {
+		method: "POST",
+		body: JSON.stringify({}),
+	});
@@ -12,6 +12,11 @@ import {
 	Timestamp,
 } from "firebase/firestore";
 import { db } from "../config/firebase";
+import {
+	getContentOwner,
+	assertContentOwnership,
+} from "../utils/contentOwnership";
+import { recordAuditLog, AUDIT_ACTIONS } from "./auditLog";
 
 const BLOGS_COLLECTION = "blogs";
 
@@ -89,6 +94,7 @@ export const createBlog = async (blogData) => {
 	try {
 		const dataToSave = {
 			...blogData,
+			createdBy: await getContentOwner(),
 			createdAt: serverTimestamp(),
 			updatedAt: serverTimestamp(),
 		};
@@ -100,6 +106,14 @@ export const createBlog = async (blogData) => {
 
 		const docRef = await addDoc(collection(db, BLOGS_COLLECTION), dataToSave);
 
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.CREATE,
+			resource: "blogs",
+			resourceId: docRef.id,
+			label: blogData.title,
+			after: blogData,
+		});
+
 		return docRef.id;
 	} catch (error) {
 		console.error("Error creating blog:", error);
@@ -109,14 +123,20 @@ export const createBlog = async (blogData) => {
 
 /**
  * Update an existing blog
+ * Only the creator can do this when their role is limited to own content
  * @param {string} id - Blog document ID
  * @param {Object} blogData - Updated blog data
  * @returns {Promise<void>}
  */
 export const updateBlog = async (id, blogData) => {
 	try {
+		const existing = await getBlogById(id);
+		await assertContentOwnership("blogs", "edit", existing);
+
+		// The creator is set once at creation and never changes
+		const { createdBy, ...fields } = blogData;
 		const dataToUpdate = {
-			...blogData,
+			...fields,
 			updatedAt: serverTimestamp(),
 		};
 
@@ -127,6 +147,15 @@ export const updateBlog = async (id, blogData) => {
 
 		const docRef = doc(db, BLOGS_COLLECTION, id);
 		await updateDoc(docRef, dataToUpdate);
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.UPDATE,
+			resource: "blogs",
+			resourceId: id,
+			label: fields.title || existing.title,
+			before: existing,
+			after: { ...existing, ...fields },
+		});
 	} catch (error) {
 		console.error("Error updating blog:", error);
 		throw error;
@@ -135,13 +164,25 @@ export const updateBlog = async (id, blogData) => {
 
 /**
  * Delete a blog
+ * Only the creator can do this when their role is limited to own content
  * @param {string} id - Blog document ID
  * @returns {Promise<void>}
  */
 export const deleteBlog = async (id) => {
 	try {
+		const existing = await getBlogById(id);
+		await assertContentOwnership("blogs", "delete", existing);
+
 		const docRef = doc(db, BLOGS_COLLECTION, id);
 		await deleteDoc(docRef);
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.DELETE,
+			resource: "blogs",
+			resourceId: id,
+			label: existing.title,
+			before: existing,
+		});
 	} catch (error) {
 		console.error("Error deleting blog:", error);
 		throw error;
@@ -155,12 +196,22 @@ export const deleteBlog = async (id) => {
  */
 export const publishBlog = async (id) => {
 	try {
+		const existing = await getBlogById(id);
 		const docRef = doc(db, BLOGS_COLLECTION, id);
 		await updateDoc(docRef, {
 			status: "published",
 			publishedAt: serverTimestamp(),
 			updatedAt: serverTimestamp(),
 		});
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.PUBLISH,
+			resource: "blogs",
+			resourceId: id,
+			label: existing.title,
+			before: { status: existing.status },
+			after: { status: "published" },
+		});
 	} catch (error) {
 		console.error("Error publishing blog:", error);
 		throw error;
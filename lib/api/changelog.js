@@ -76,6 +76,7 @@ export const getChangelogById = async (id) => {
  * @param {string} changelogData.content - Changelog content (HTML/markdown)
  * @param {Date|string} changelogData.date - Changelog date
  * @param {Array<string>} changelogData.categories - Array of categories (e.g., ["New releases", "Improvements"])
+ * @param {string} changelogData.status - 'draft' or 'published' (default: 'published')
  * @returns {Promise<string>} Document ID of created changelog
  */
 export const createChangelog = async (changelogData) => {
@@ -86,6 +87,7 @@ export const createChangelog = async (changelogData) => {
 			content: changelogData.content || "",
 			date: changelogData.date || serverTimestamp(),
 			categories: changelogData.categories || [],
+			status: changelogData.status || "published",
 			createdAt: serverTimestamp(),
 			updatedAt: serverTimestamp(),
 		};
@@ -158,3 +160,40 @@ export const deleteChangelog = async (id) => {
 		throw error;
 	}
 };
+
+/**
+ * Publish a changelog entry
+ * @param {string} id - Changelog document ID
+ * @returns {Promise<void>}
+ */
+export const publishChangelog = async (id) => {
+	try {
+		const docRef = doc(db, CHANGELOG_COLLECTION, id);
+		await updateDoc(docRef, {
+			status: "published",
+			publishedAt: serverTimestamp(),
+			updatedAt: serverTimestamp(),
+		});
+	} catch (error) {
+		console.error("Error publishing changelog:", error);
+		throw error;
+	}
+};
+
+/**
+ * Unpublish a changelog entry (back to draft)
+ * @param {string} id - Changelog document ID
+ * @returns {Promise<void>}
+ */
+export const unpublishChangelog = async (id) => {
+	try {
+		const docRef = doc(db, CHANGELOG_COLLECTION, id);
+		await updateDoc(docRef, {
+			status: "draft",
+			updatedAt: serverTimestamp(),
+		});
+	} catch (error) {
+		console.error("Error unpublishing changelog:", error);
+		throw error;
+	}
+};
@@ -0,0 +1,612 @@
+/**
+ * Coupons API
+ * Discount codes created in Polar and stored in Firestore, with one
+ * redemption per customer tracked from order webhooks.
+ * All Polar API calls are handled server-side via API routes
+ */
+
+import {
+	collection,
+	doc,
+	getDoc,
+	getDocs,
+	addDoc,
+	updateDoc,
+	deleteDoc,
+	query,
+	where,
+	limit,
+	runTransaction,
+	increment,
+	serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { authFetch } from "../utils/authFetch";
+import { recordAuditLog, AUDIT_ACTIONS } from "./auditLog";
+
+const COUPONS_COLLECTION = "coupons";
+const REDEMPTIONS_COLLECTION = "couponRedemptions";
+
+// Polar codes are alphanumeric; stored and matched uppercase
+const COUPON_CODE_PATTERN = /^[A-Z0-9]{3,32}$/;
+
+export const COUPON_TYPES = ["percentage", "fixed"];
+export const COUPON_DURATIONS = ["once", "repeating", "forever"];
+
+/**
+ * Normalize a code as typed by a customer or admin
+ * @param {string} code - Coupon code
+ * @returns {string} Trimmed, uppercase code
+ */
+export const normalizeCouponCode = (code) =>
+	String(code || "")
+		.trim()
+		.toUpperCase();
+
+const toDate = (value) => {
+	if (!value) return null;
+	const date = value?.toDate ? value.toDate() : new Date(value);
+	return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Human-readable discount, e.g. "20% off for 3 months" or "$10.00 off once"
+ * @param {Object} coupon - Coupon document
+ * @returns {string} Discount description
+ */
+export const formatCouponDiscount = (coupon) => {
+	if (!coupon) return "";
+
+	const amount =
+		coupon.type === "percentage"
+			? `${coupon.amount}%`
+			: new Intl.NumberFormat("en-US", {
+					style: "currency",
+					currency: (coupon.currency || "usd").toUpperCase(),
+			  }).format((coupon.amount || 0) / 100);
+
+	const duration =
+		coupon.duration === "forever"
+			? "forever"
+			: coupon.duration === "repeating"
+				? `for ${coupon.durationInMonths} month${coupon.durationInMonths !== 1 ? "s" : ""}`
+				: "once";
+
+	return `${amount} off ${duration}`;
+};
+
+/**
+ * Why a coupon can't be used for a plan right now
+ * @param {Object|null} coupon - Coupon document
+ * @param {Object} options
+ * @param {string} options.planId - Polar product ID being bought
+ * @param {Date} options.now - Current time (default: new Date())
+ * @returns {string|null} Error message, null when the coupon is usable
+ */
+export const getCouponError = (coupon, { planId, now = new Date() } = {}) => {
+	if (!coupon) return "Invalid coupon code";
+	if (coupon.active === false) return "This coupon is no longer active";
+
+	const expiresAt = toDate(coupon.expiresAt);
+	if (expiresAt && expiresAt <= now) return "This coupon has expired";
+
+	if (
+		coupon.maxRedemptions &&
+		(coupon.redemptionsCount || 0) >= coupon.maxRedemptions
+	) {
+		return "This coupon has reached its redemption limit";
+	}
+
+	if (coupon.productIds?.length && !coupon.productIds.includes(planId)) {
+		return "This coupon doesn't apply to this plan";
+	}
+
+	return null;
+};
+
+/**
+ * Validate the fields of a new or edited coupon
+ * @param {Object} couponData - Coupon fields from the admin form
+ * @returns {string|null} Error message, null when valid
+ */
+export const validateCouponData = (couponData) => {
+	if (!COUPON_CODE_PATTERN.test(normalizeCouponCode(couponData.code))) {
+		return "Code must be 3-32 letters or numbers";
+	}
+	if (!COUPON_TYPES.includes(couponData.type)) {
+		return "Discount type must be percentage or fixed";
+	}
+	if (couponData.type === "percentage") {
+		if (!(couponData.amount > 0 && couponData.amount <= 100)) {
+			return "Percentage must be between 1 and 100";
+		}
+	} else if (!(Number.isInteger(couponData.amount) && couponData.amount > 0)) {
+		return "Fixed amount must be greater than 0";
+	}
+	if (!COUPON_DURATIONS.includes(couponData.duration)) {
+		return "Duration must be once, repeating or forever";
+	}
+	if (
+		couponData.duration === "repeating" &&
+		!(
+			Number.isInteger(couponData.durationInMonths) &&
+			couponData.durationInMonths > 0
+		)
+	) {
+		return "Repeating coupons need a number of months";
+	}
+	if (
+		couponData.maxRedemptions !== null &&
+		couponData.maxRedemptions !== undefined &&
+		!(
+			Number.isInteger(couponData.maxRedemptions) &&
+			couponData.maxRedemptions > 0
+		)
+	) {
+		return "Max redemptions must be a positive number";
+	}
+	return null;
+};
+
+const getDocuments = async (q) => {
+	const querySnapshot = await getDocs(q);
+	const documents = [];
+
+	querySnapshot.forEach((doc) => {
+		documents.push({
+			id: doc.id,
+			...doc.data(),
+		});
+	});
+
+	return documents;
+};
+
+const sortByCreatedAtDesc = (items) =>
+	items.sort(
+		(a, b) =>
+			(toDate(b.createdAt)?.getTime() || 0) -
+			(toDate(a.createdAt)?.getTime() || 0)
+	);
+
+/**
+ * Get all coupons from Firestore, newest first
+ * @returns {Promise<Array>} Array of coupon documents
+ */
+export async function getAllCoupons() {
+	try {
+		return sortByCreatedAtDesc(
+			await getDocuments(query(collection(db, COUPONS_COLLECTION)))
+		);
+	} catch (error) {
+		console.error("Error getting coupons:", error);
+		throw error;
+	}
+}
+
+/**
+ * Get a coupon by its code
+ * @param {string} code - Coupon code (any case)
+ * @returns {Promise<Object|null>} Coupon document or null
+ */
+export async function getCouponByCode(code) {
+	const normalizedCode = normalizeCouponCode(code);
+	if (!normalizedCode) return null;
+
+	try {
+		const [coupon] = await getDocuments(
+			query(
+				collection(db, COUPONS_COLLECTION),
+				where("code", "==", normalizedCode),
+				limit(1)
+			)
+		);
+		return coupon || null;
+	} catch (error) {
+		console.error("Error getting coupon by code:", error);
+		throw error;
+	}
+}
+
+/**
+ * Get a coupon by its Polar discount ID (the discount_id on orders)
+ * @param {string} polarDiscountId - Polar discount ID
+ * @returns {Promise<Object|null>} Coupon document or null
+ */
+export async function getCouponByPolarId(polarDiscountId) {
+	if (!polarDiscountId) return null;
+
+	try {
+		const [coupon] = await getDocuments(
+			query(
+				collection(db, COUPONS_COLLECTION),
+				where("polarDiscountId", "==", polarDiscountId),
+				limit(1)
+			)
+		);
+		return coupon || null;
+	} catch (error) {
+		console.error("Error getting coupon by Polar ID:", error);
+		throw error;
+	}
+}
+
+/**
+ * Get a coupon's redemptions, newest first
+ * @param {string} couponId - Firestore coupon document ID
+ * @returns {Promise<Array>} Array of redemption documents
+ */
+export async function getCouponRedemptions(couponId) {
+	try {
+		return sortByCreatedAtDesc(
+			await getDocuments(
+				query(
+					collection(db, REDEMPTIONS_COLLECTION),
+					where("couponId", "==", couponId)
+				)
+			)
+		);
+	} catch (error) {
+		console.error("Error getting coupon redemptions:", error);
+		throw error;
+	}
+}
+
+/**
+ * Check whether a customer already used a coupon
+ * @param {string} couponId - Firestore coupon document ID
+ * @param {Object} customer
+ * @param {string} customer.customerId - Polar customer ID, if known
+ * @param {string} customer.email - Customer email
+ * @returns {Promise<boolean>} True if redeemed before
+ */
+export async function hasRedeemedCoupon(couponId, { customerId, email }) {
+	if (customerId) {
+		const redemptionDoc = await getDoc(
+			doc(db, REDEMPTIONS_COLLECTION, `${couponId}_${customerId}`)
+		);
+		if (redemptionDoc.exists()) return true;
+	}
+
+	if (!email) return false;
+
+	const redemptions = await getDocuments(
+		query(
+			collection(db, REDEMPTIONS_COLLECTION),
+			where("couponId", "==", couponId),
+			where("customerEmail", "==", email),
+			limit(1)
+		)
+	);
+	return redemptions.length > 0;
+}
+
+/**
+ * Look up a code and check that this customer can use it on this plan.
+ * Server-side, used by the checkout and validate-coupon routes.
+ * @param {string} code - Coupon code as entered
+ * @param {Object} options
+ * @param {string} options.planId - Polar product ID being bought
+ * @param {string} options.customerId - Caller's Polar customer ID, if any
+ * @param {string} options.email - Caller's email
+ * @returns {Promise<{ coupon: Object|null, error: string|null }>}
+ */
+export async function resolveCouponForCheckout(
+	code,
+	{ planId, customerId = null, email = null }
+) {
+	const coupon = await getCouponByCode(code);
+
+	const couponError = getCouponError(coupon, { planId });
+	if (couponError) return { coupon: null, error: couponError };
+
+	if (await hasRedeemedCoupon(coupon.id, { customerId, email })) {
+		return { coupon: null, error: "You have already used this coupon" };
+	}
+
+	return { coupon, error: null };
+}
+
+/**
+ * Record that a customer used a coupon, once per customer. Called from the
+ * order webhook for orders with a discount_id.
+ * @param {Object} redemption
+ * @param {string} redemption.polarDiscountId - Polar discount ID from the order
+ * @param {string} redemption.customerId - Polar customer ID
+ * @param {string} redemption.customerEmail - Customer email
+ * @param {string} redemption.orderId - Polar order ID
+ * @param {string} redemption.subscriptionId - Polar subscription ID, if any
+ * @param {string} redemption.planId - Polar product ID
+ * @param {number} redemption.discountAmount - Discount on the order, in cents
+ * @param {string} redemption.currency - Order currency
+ * @returns {Promise<boolean>} True if this was a new redemption
+ */
+export async function recordCouponRedemption({
+	polarDiscountId,
+	customerId,
+	customerEmail = null,
+	orderId = null,
+	subscriptionId = null,
+	planId = null,
+	discountAmount = 0,
+	currency = "usd",
+}) {
+	const coupon = await getCouponByPolarId(polarDiscountId);
+	if (!coupon || !customerId) return false;
+
+	const couponRef = doc(db, COUPONS_COLLECTION, coupon.id);
+	const redemptionRef = doc(
+		db,
+		REDEMPTIONS_COLLECTION,
+		`${coupon.id}_${customerId}`
+	);
+
+	// Renewals of a repeating discount and duplicate order events carry the
+	// same discount, only the first one counts
+	return runTransaction(db, async (transaction) => {
+		const redemptionDoc = await transaction.get(redemptionRef);
+		if (redemptionDoc.exists()) return false;
+
+		transaction.set(redemptionRef, {
+			couponId: coupon.id,
+			code: coupon.code,
+			polarDiscountId,
+			customerId,
+			customerEmail,
+			orderId,
+			subscriptionId,
+			planId,
+			discountAmount,
+			currency,
+			createdAt: serverTimestamp(),
+		});
+		transaction.update(couponRef, {
+			redemptionsCount: increment(1),
+			lastRedeemedAt: serverTimestamp(),
+		});
+		return true;
+	});
+}
+
+/**
+ * Call a coupon API route as the signed-in admin
+ * @param {string} url - API route URL
+ * @param {string} method - HTTP method
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Response body
+ */
+const couponRequest = async (url, method, body) => {
+	const response = await authFetch(url, {
+		method,
+		headers: {
+			"Content-Type": "application/json",
+		},
+		body: JSON.stringify(body),
+	});
+
+	const data = await response.json();
+	if (!response.ok) {
+		throw new Error(data.error || "Coupon request failed");
+	}
+	return data;
+};
+
+/**
+ * Create a coupon as a Polar discount and store it in Firestore
+ * @param {Object} couponData - Coupon data
+ * @param {string} couponData.code - Code customers enter (letters and numbers)
+ * @param {string} couponData.name - Internal name, shown on Polar invoices
+ * @param {string} couponData.type - "percentage" or "fixed"
+ * @param {number} couponData.amount - Percent off (1-100), or cents off for fixed
+ * @param {string} couponData.currency - Currency of a fixed discount
+ * @param {string} couponData.duration - "once", "repeating" or "forever"
+ * @param {number} couponData.durationInMonths - Months, for repeating coupons
+ * @param {number|null} couponData.maxRedemptions - Limit, null for unlimited
+ * @param {Date|null} couponData.expiresAt - Last moment the code works
+ * @param {Array<string>} couponData.productIds - Polar product IDs, empty for all
+ * @returns {Promise<Object>} Created coupon from Firestore
+ */
+export async function createCoupon(couponData) {
+	try {
+		const code = normalizeCouponCode(couponData.code);
+		const validationError = validateCouponData({ ...couponData, code });
+		if (validationError) {
+			throw new Error(validationError);
+		}
+
+		if (await getCouponByCode(code)) {
+			throw new Error(`A coupon with code ${code} already exists`);
+		}
+
+		const firestoreData = {
+			code,
+			name: couponData.name?.trim() || code,
+			type: couponData.type,
+			amount: couponData.amount,
+			currency:
+				couponData.type === "fixed" ? couponData.currency || "usd" : null,
+			duration: couponData.duration,
+			durationInMonths:
+				couponData.duration === "repeating" ? couponData.durationInMonths : null,
+			maxRedemptions: couponData.maxRedemptions || null,
+			expiresAt: couponData.expiresAt || null,
+			productIds: couponData.productIds || [],
+		};
+
+		// Step 1: Create the discount in Polar (server-side)
+		const { discount } = await couponRequest(
+			"/api/polar/discounts/create",
+			"POST",
+			{
+				...firestoreData,
+				expiresAt: firestoreData.expiresAt
+					? new Date(firestoreData.expiresAt).toISOString()
+					: null,
+			}
+		);
+
+		// Step 2: Store in Firestore
+		const couponDoc = {
+			...firestoreData,
+			polarDiscountId: discount.id,
+			active: true,
+			redemptionsCount: 0,
+			createdAt: serverTimestamp(),
+			updatedAt: serverTimestamp(),
+		};
+
+		const docRef = await addDoc(collection(db, COUPONS_COLLECTION), couponDoc);
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.CREATE,
+			resource: "products",
+			resourceId: docRef.id,
+			label: `Coupon ${code}`,
+			after: couponDoc,
+		});
+
+		return {
+			id: docRef.id,
+			...couponDoc,
+		};
+	} catch (error) {
+		console.error("Error creating coupon:", error);
+		throw error;
+	}
+}
+
+/**
+ * Update a coupon's name, limits and expiry, or turn it on and off.
+ * Code, discount and duration can't change once customers may have used it.
+ * @param {string} couponId - Firestore coupon document ID
+ * @param {Object} updates - { name?, maxRedemptions?, expiresAt?, active? }
+ * @returns {Promise<Object>} Updated coupon
+ */
+export async function updateCoupon(couponId, updates) {
+	try {
+		const docRef = doc(db, COUPONS_COLLECTION, couponId);
+		const existingDoc = await getDoc(docRef);
+		if (!existingDoc.exists()) {
+			throw new Error("Coupon not found");
+		}
+		const existingCoupon = { id: existingDoc.id, ...existingDoc.data() };
+
+		const updateData = {};
+		if (updates.name !== undefined) {
+			updateData.name = updates.name.trim() || existingCoupon.code;
+		}
+		if (updates.maxRedemptions !== undefined) {
+			updateData.maxRedemptions = updates.maxRedemptions || null;
+		}
+		if (updates.expiresAt !== undefined) {
+			updateData.expiresAt = updates.expiresAt || null;
+		}
+		if (updates.active !== undefined) {
+			updateData.active = !!updates.active;
+		}
+
+		const validationError = validateCouponData({
+			...existingCoupon,
+			...updateData,
+		});
+		if (validationError) {
+			throw new Error(validationError);
+		}
+
+		// Step 1: Update the discount in Polar (server-side). Turning a coupon
+		// off is local only, checkout refuses inactive coupons.
+		if (
+			existingCoupon.polarDiscountId &&
+			(updateData.name !== undefined ||
+				updateData.maxRedemptions !== undefined ||
+				updateData.expiresAt !== undefined)
+		) {
+			await couponRequest("/api/polar/discounts/update", "PATCH", {
+				polarDiscountId: existingCoupon.polarDiscountId,
+				name: updateData.name,
+				maxRedemptions: updateData.maxRedemptions,
+				expiresAt:
+					updateData.expiresAt === undefined
+						? undefined
+						: updateData.expiresAt
+							? new Date(updateData.expiresAt).toISOString()
+							: null,
+			});
+		}
+
+		// Step 2: Update in Firestore
+		const firestoreUpdateData = {
+			...updateData,
+			updatedAt: serverTimestamp(),
+		};
+		await updateDoc(docRef, firestoreUpdateData);
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.UPDATE,
+			resource: "products",
+			resourceId: couponId,
+			label: `Coupon ${existingCoupon.code}`,
+			before: existingCoupon,
+			after: { ...existingCoupon, ...firestoreUpdateData },
+		});
+
+		return {
+			...existingCoupon,
+			...firestoreUpdateData,
+		};
+	} catch (error) {
+		console.error("Error updating coupon:", error);
+		throw error;
+	}
+}
+
+/**
+ * Delete a coupon from Polar and Firestore. Its redemptions are kept.
+ * @param {string} couponId - Firestore coupon document ID
+ * @returns {Promise<void>}
+ */
+export async function deleteCoupon(couponId) {
+	try {
+		const docRef = doc(db, COUPONS_COLLECTION, couponId);
+		const existingDoc = await getDoc(docRef);
+		if (!existingDoc.exists()) {
+			throw new Error("Coupon not found");
+		}
+		const existingCoupon = { id: existingDoc.id, ...existingDoc.data() };
+
+		// Step 1: Delete from Polar (server-side)
+		if (existingCoupon.polarDiscountId) {
+			try {
+				await couponRequest("/api/polar/discounts/delete", "DELETE", {
+					polarDiscountId: existingCoupon.polarDiscountId,
+				});
+			} catch (polarError) {
+				console.warn("Error deleting discount from Polar:", polarError);
+				// Continue to delete from Firestore
+			}
+		}
+
+		// Step 2: Delete from Firestore
+		await deleteDoc(docRef);
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.DELETE,
+			resource: "products",
+			resourceId: couponId,
+			label: `Coupon ${existingCoupon.code}`,
+			before: existingCoupon,
+		});
+	} catch (error) {
+		console.error("Error deleting coupon:", error);
+		throw error;
+	}
+}
+
+/**
+ * Check a coupon code for a plan before checkout, as the signed-in user
+ * @param {string} code - Coupon code
+ * @param {string} planId - Polar product ID
+ * @returns {Promise<Object>} { code, discount } on success
+ */
+export const previewCoupon = (code, planId) =>
+	couponRequest("/api/polar/validate-coupon", "POST", { code, planId });
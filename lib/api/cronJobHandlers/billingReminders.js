@@ -0,0 +1,128 @@
+import { getAllCustomers, updateCustomer } from "../customers";
+import {
+	sendPaymentFailedEmail,
+	sendAccessDowngradedEmail,
+	sendTrialEndingEmail,
+} from "../subscriptionEmails";
+import { getDueDunningReminder } from "../../utils/polar/dunningUtils";
+import { DUNNING, PAST_DUE_STATUSES } from "../../utils/polar/constants";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => {
+	if (!value) return null;
+	const date = value.toDate ? value.toDate() : new Date(value);
+	return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Work through the billing lifecycle of every customer:
+ * - past due: send the next dunning reminder once it is due, and when the
+ *   grace period has ended, send the downgrade notice (entitlements stop
+ *   applying at graceEndsAt on their own)
+ * - trialing: remind params.trialReminderDays days before the trial ends
+ * At most one email per customer per run.
+ * @param {Object} job - CRON job ({ params: { trialReminderDays } })
+ * @returns {Promise<Object>} Run details with per-customer results
+ */
+export const executeBillingRemindersJob = async (job) => {
+	const trialReminderDays = Number(job.params.trialReminderDays);
+	const now = new Date();
+
+	const customers = await getAllCustomers();
+	const details = { checked: customers.length, reminders: [] };
+
+	const send = async (customer, type, sendEmail, update) => {
+		try {
+			await sendEmail();
+			await updateCustomer(customer.id, update);
+			details.reminders.push({
+				customerId: customer.id,
+				email: customer.email,
+				type,
+				status: "sent",
+			});
+		} catch (error) {
+			details.reminders.push({
+				customerId: customer.id,
+				email: customer.email,
+				type,
+				status: "failed",
+				error: error.message,
+			});
+		}
+	};
+
+	for (const customer of customers) {
+		if (!customer.email) continue;
+
+		const emailParams = {
+			customerEmail: customer.email,
+			customerName: customer.name,
+			planName: customer.planName,
+			amount: customer.amount,
+			currency: customer.currency,
+		};
+
+		if (PAST_DUE_STATUSES.includes(customer.status) && customer.pastDueAt) {
+			const graceEndsAt = toDate(customer.graceEndsAt);
+
+			if (graceEndsAt && graceEndsAt <= now) {
+				if (!customer.downgradedAt) {
+					await send(
+						customer,
+						"access_downgraded",
+						() => sendAccessDowngradedEmail({ ...emailParams, graceEndsAt }),
+						{ downgradedAt: now }
+					);
+				}
+				continue;
+			}
+
+			const reminderIndex = getDueDunningReminder(customer, now);
+			if (reminderIndex !== null) {
+				await send(
+					customer,
+					"payment_failed",
+					() =>
+						sendPaymentFailedEmail({
+							...emailParams,
+							graceEndsAt,
+							reminderNumber: reminderIndex + 1,
+							isFinal: reminderIndex === DUNNING.REMINDER_DAYS.length - 1,
+						}),
+					{
+						dunningRemindersSent: reminderIndex + 1,
+						lastDunningReminderAt: now,
+					}
+				);
+			}
+			continue;
+		}
+
+		if (customer.status === "trialing" && !customer.trialReminderSentAt) {
+			const trialEndsAt = toDate(customer.trialEndsAt);
+			if (
+				trialEndsAt &&
+				trialEndsAt > now &&
+				trialEndsAt - now <= trialReminderDays * DAY_MS
+			) {
+				await send(
+					customer,
+					"trial_ending",
+					() => sendTrialEndingEmail({ ...emailParams, trialEndsAt }),
+					{ trialReminderSentAt: now }
+				);
+			}
+		}
+	}
+
+	const failed = details.reminders.filter((item) => item.status === "failed");
+	if (failed.length > 0 && failed.length === details.reminders.length) {
+		const error = new Error(`Failed to send ${failed.length} billing email(s)`);
+		error.details = details;
+		throw error;
+	}
+
+	return details;
+};
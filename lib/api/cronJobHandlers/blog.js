@@ -0,0 +1,11 @@
+import { publishBlog } from "../blog";
+
+/**
+ * Publish the blog post targeted by a CRON job
+ * @param {Object} job - CRON job ({ itemId })
+ * @returns {Promise<Object>} Run details
+ */
+export const executeBlogJob = async (job) => {
+	await publishBlog(job.itemId);
+	return { blogId: job.itemId, action: "publish" };
+};
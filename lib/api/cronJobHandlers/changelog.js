@@ -0,0 +1,18 @@
+import { publishChangelog, unpublishChangelog } from "../changelog";
+
+/**
+ * Publish or unpublish the changelog entry targeted by a CRON job
+ * @param {Object} job - CRON job ({ itemId, params: { action } })
+ * @returns {Promise<Object>} Run details
+ */
+export const executeChangelogJob = async (job) => {
+	const { action } = job.params;
+
+	if (action === "publish") {
+		await publishChangelog(job.itemId);
+	} else {
+		await unpublishChangelog(job.itemId);
+	}
+
+	return { changelogId: job.itemId, action };
+};
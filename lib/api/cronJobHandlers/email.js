@@ -0,0 +1,57 @@
+import { getEmailById, markEmailAsSent } from "../emails";
+import { getCampaignAudience, sendCampaignEmails } from "../newsletterEmails";
+import { renewCronJobLease } from "../cronJobs";
+
+/**
+ * Send the email campaign targeted by a CRON job to all active subscribers,
+ * or to the contacts of params.segmentId, one email each with a personal
+ * unsubscribe link for subscribers
+ * @param {Object} job - CRON job ({ itemId, params: { segmentId? } })
+ * @returns {Promise<Object>} Run details with per-batch results
+ */
+export const executeEmailJob = async (job) => {
+	const email = await getEmailById(job.itemId);
+
+	if (!email || !email.subject || !email.content) {
+		throw new Error("Email data incomplete");
+	}
+
+	const { recipients, records, segment } = await getCampaignAudience(
+		job.params?.segmentId
+	);
+
+	if (recipients.length === 0) {
+		throw new Error(
+			segment
+				? `No contacts match the segment "${segment.name}"`
+				: "No active subscribers found"
+		);
+	}
+
+	const { successCount, batches } = await sendCampaignEmails({
+		subject: email.subject,
+		content: email.content,
+		recipients,
+		records,
+		campaignId: job.itemId,
+		// A large campaign can outlive the lease; keep it so the job isn't resent
+		beforeBatch: () => renewCronJobLease(job),
+	});
+	const details = {
+		totalRecipients: recipients.length,
+		batches,
+		sentRecipients: successCount,
+	};
+
+	if (successCount === 0) {
+		const error = new Error("Failed to send email to any recipients");
+		error.details = details;
+		throw error;
+	}
+
+	await markEmailAsSent(job.itemId, successCount);
+	console.log(
+		`[CRON] Successfully sent email ${job.itemId} to ${successCount} recipients`
+	);
+	return details;
+};
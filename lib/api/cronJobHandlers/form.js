@@ -0,0 +1,16 @@
+import { getFormById, updateForm } from "../forms";
+
+/**
+ * Open or close the form targeted by a CRON job
+ * @param {Object} job - CRON job ({ itemId, params: { action } })
+ * @returns {Promise<Object>} Run details
+ */
+export const executeFormJob = async (job) => {
+	const { action } = job.params;
+
+	// Fails the run if the form was deleted after scheduling
+	await getFormById(job.itemId);
+	await updateForm(job.itemId, { isPublished: action === "open" });
+
+	return { formId: job.itemId, action };
+};
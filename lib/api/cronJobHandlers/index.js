@@ -0,0 +1,63 @@
+/**
+ * CRON job handlers
+ * Server-side execution for each job type registered in
+ * lib/config/cron-job-types.js. Only use these from API routes.
+ */
+
+import { validateCronJobData } from "../../config/cron-job-types";
+import { executeBlogJob } from "./blog";
+import { executeEmailJob } from "./email";
+import { executeChangelogJob } from "./changelog";
+import { executeFormJob } from "./form";
+import { executeInvoiceReminderJob } from "./invoiceReminder";
+import { executeRecurringInvoicesJob } from "./recurringInvoices";
+import { executeBillingRemindersJob } from "./billingReminders";
+import { executeSequencesJob } from "./sequences";
+import { executeWebhookJob } from "./webhook";
+
+const cronJobHandlers = {};
+
+/**
+ * Register the handler for a CRON job type
+ * @param {string} type - Job type key (must be registered in cron-job-types)
+ * @param {Function} handler - async (job) => details; throw to fail the run.
+ *   Errors may carry a `details` property that is stored on the run record.
+ */
+export const registerCronJobHandler = (type, handler) => {
+	cronJobHandlers[type] = handler;
+};
+
+/**
+ * Get the handler for a CRON job type
+ * @param {string} type - Job type key
+ * @returns {Function|null} Handler
+ */
+export const getCronJobHandler = (type) => {
+	return cronJobHandlers[type] || null;
+};
+
+/**
+ * Validate and execute a CRON job with its registered handler
+ * @param {Object} job - CRON job
+ * @returns {Promise<Object|null>} Type-specific run details
+ */
+export const executeCronJob = async (job) => {
+	validateCronJobData(job);
+
+	const handler = getCronJobHandler(job.type);
+	if (!handler) {
+		throw new Error(`No handler registered for CRON job type: ${job.type}`);
+	}
+
+	return (await handler(job)) || null;
+};
+
+registerCronJobHandler("blog", executeBlogJob);
+registerCronJobHandler("email", executeEmailJob);
+registerCronJobHandler("changelog", executeChangelogJob);
+registerCronJobHandler("form", executeFormJob);
+registerCronJobHandler("invoiceReminder", executeInvoiceReminderJob);
+registerCronJobHandler("recurringInvoices", executeRecurringInvoicesJob);
+registerCronJobHandler("billingReminders", executeBillingRemindersJob);
+registerCronJobHandler("sequences", executeSequencesJob);
+registerCronJobHandler("webhook", executeWebhookJob);
@@ -0,0 +1,115 @@
+import { increment } from "firebase/firestore";
+import {
+	getAllInvoices,
+	updateInvoice,
+	isInvoiceOutstanding,
+	getInvoicePublicUrl,
+} from "../invoice";
+import { sendInvoiceReminderEmail } from "../invoiceEmails";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => {
+	if (!value) return null;
+	const date = value.toDate ? value.toDate() : new Date(value);
+	return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Number of overdue reminders an invoice should have had by now: one for
+ * each day of the cadence that has passed since its due date. Reminders
+ * missed while the job didn't run are caught up with a single email.
+ */
+const getOverdueRemindersDue = (dueDate, cadence, now) =>
+	cadence.filter((days) => now.getTime() >= dueDate.getTime() + days * DAY_MS)
+		.length;
+
+/**
+ * Email payment reminders for sent invoices that are due within
+ * params.daysBeforeDue days, and for overdue ones when
+ * params.includeOverdue is set. Overdue invoices are reminded on each day
+ * after the due date listed in params.overdueReminderDays (e.g. [1, 7, 14]),
+ * or daily for jobs without a cadence. Each invoice is reminded at most
+ * once per day.
+ * @param {Object} job - CRON job ({ params: { daysBeforeDue, includeOverdue, overdueReminderDays } })
+ * @returns {Promise<Object>} Run details with per-invoice results
+ */
+export const executeInvoiceReminderJob = async (job) => {
+	const daysBeforeDue = Number(job.params.daysBeforeDue);
+	const includeOverdue = job.params.includeOverdue !== false;
+	const cadence = job.params.overdueReminderDays || null;
+	const now = new Date();
+
+	const invoices = await getAllInvoices();
+	const dueInvoices = invoices.filter((invoice) => {
+		if (!isInvoiceOutstanding(invoice)) return false;
+		if (!invoice.to?.email) return false;
+
+		const dueDate = toDate(invoice.dueDate);
+		if (!dueDate) return false;
+
+		const lastReminderAt = toDate(invoice.lastReminderAt);
+		if (lastReminderAt && now - lastReminderAt < DAY_MS) return false;
+
+		const msUntilDue = dueDate - now;
+		if (msUntilDue < 0) {
+			if (!includeOverdue) return false;
+			return (
+				!cadence ||
+				getOverdueRemindersDue(dueDate, cadence, now) >
+					(invoice.overdueRemindersSent || 0)
+			);
+		}
+		return msUntilDue <= daysBeforeDue * DAY_MS;
+	});
+
+	const details = { checked: invoices.length, reminders: [] };
+
+	for (const invoice of dueInvoices) {
+		const dueDate = toDate(invoice.dueDate);
+		const isOverdue = dueDate < now;
+		try {
+			await sendInvoiceReminderEmail({
+				customerEmail: invoice.to.email,
+				customerName: invoice.to.name,
+				invoiceNumber: invoice.invoiceNumber,
+				amount: invoice.total,
+				currency: invoice.currency,
+				dueDate,
+				isOverdue,
+				payUrl: getInvoicePublicUrl(invoice),
+			});
+			await updateInvoice(invoice.id, {
+				lastReminderAt: now,
+				reminderCount: increment(1),
+				...(isOverdue &&
+					cadence && {
+						overdueRemindersSent: getOverdueRemindersDue(dueDate, cadence, now),
+					}),
+			});
+			details.reminders.push({
+				invoiceId: invoice.id,
+				invoiceNumber: invoice.invoiceNumber,
+				status: "sent",
+			});
+		} catch (error) {
+			details.reminders.push({
+				invoiceId: invoice.id,
+				invoiceNumber: invoice.invoiceNumber,
+				status: "failed",
+				error: error.message,
+			});
+		}
+	}
+
+	const failed = details.reminders.filter((item) => item.status === "failed");
+	if (failed.length > 0 && failed.length === details.reminders.length) {
+		const error = new Error(
+			`Failed to send ${failed.length} invoice reminder(s)`
+		);
+		error.details = details;
+		throw error;
+	}
+
+	return details;
+};
@@ -0,0 +1,89 @@
+import {
+	getDueRecurringInvoices,
+	issueRecurringInvoice,
+} from "../recurringInvoices";
+import { deliverInvoice } from "../invoiceEmails";
+
+// Periods issued per template and run, when the executor was not called
+// for a long time
+const MAX_PERIODS_PER_RUN = 12;
+
+const toDate = (value) => {
+	if (!value) return null;
+	const date = value.toDate ? value.toDate() : new Date(value);
+	return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Issue an invoice for every period of an active recurring invoice whose
+ * issue date has come, including periods missed since the last run. Each
+ * invoice is created as a draft and, when the template has autoSend, sent
+ * to the client with its PDF right away. A period already issued by an
+ * earlier or overlapping run is skipped, so it is never invoiced twice.
+ * @returns {Promise<Object>} Run details with per-invoice results
+ */
+export const executeRecurringInvoicesJob = async () => {
+	const now = new Date();
+	const templates = await getDueRecurringInvoices(now);
+	const details = { checked: templates.length, invoices: [] };
+
+	for (const template of templates) {
+		let issueDate = toDate(template.nextIssueDate);
+
+		for (
+			let period = 0;
+			issueDate <= now && period < MAX_PERIODS_PER_RUN;
+			period++
+		) {
+			const result = {
+				recurringInvoiceId: template.id,
+				issueDate: issueDate.toISOString(),
+			};
+			let issued;
+			try {
+				const issue = await issueRecurringInvoice(template, issueDate);
+				result.invoiceId = issue.invoiceId;
+				result.status = issue.issued ? "issued" : "skipped";
+				issued = issue.issued;
+				issueDate = issue.nextIssueDate;
+			} catch (error) {
+				details.invoices.push({
+					...result,
+					status: "failed",
+					error: error.message,
+				});
+				break;
+			}
+
+			if (!issued) {
+				details.invoices.push(result);
+				// Another run owns this template's periods from here
+				break;
+			}
+
+			if (template.autoSend) {
+				try {
+					const { invoice } = await deliverInvoice(result.invoiceId);
+					result.invoiceNumber = invoice.invoiceNumber;
+					result.status = "sent";
+				} catch (error) {
+					// The invoice exists; it can be sent from the Invoices tab
+					result.status = "failed";
+					result.error = `Issued but not sent: ${error.message}`;
+				}
+			}
+			details.invoices.push(result);
+		}
+	}
+
+	const failed = details.invoices.filter((item) => item.status === "failed");
+	if (failed.length > 0 && failed.length === details.invoices.length) {
+		const error = new Error(
+			`Failed to issue ${failed.length} recurring invoice(s)`
+		);
+		error.details = details;
+		throw error;
+	}
+
+	return details;
+};
@@ -0,0 +1,179 @@
+import {
+	getAllSequences,
+	getDueEnrollments,
+	advanceEnrollment,
+	exitEnrollment,
+	MAX_STEP_ATTEMPTS,
+} from "../sequences";
+import { getAllSubscribers } from "../subscribers";
+import { getAllUsers } from "../users";
+import { getAllCustomers } from "../customers";
+import { sendCampaignEmails } from "../newsletterEmails";
+import { buildContacts, matchesSegment } from "../../utils/segments";
+import { renewCronJobLease } from "../cronJobs";
+
+/**
+ * Send the sequence steps that have come due. Per enrolment, at most one
+ * step per run:
+ * - contacts who unsubscribed or whose address was suppressed leave the
+ *   sequence, as do enrolments whose sequence was deleted
+ * - enrolments of paused sequences wait until it is active again
+ * - a step whose conditions the contact doesn't match is skipped
+ * - a step that fails to send is retried on the next run, and the
+ *   enrolment is marked failed after MAX_STEP_ATTEMPTS tries
+ * Failures are per contact, so they are reported in the details but don't
+ * fail the job (which would retry, then kill, the shared schedule).
+ * The job's lease is renewed between enrolments, as a run with many due
+ * steps can outlive it.
+ * @param {Object} job - Claimed CRON job
+ * @returns {Promise<Object>} Run details with per-enrolment results
+ */
+export const executeSequencesJob = async (job) => {
+	const now = new Date();
+	const enrollments = await getDueEnrollments(now);
+	const details = { due: enrollments.length, steps: [] };
+	if (enrollments.length === 0) return details;
+
+	const [sequences, subscribers, users, customers] = await Promise.all([
+		getAllSequences(),
+		getAllSubscribers(),
+		getAllUsers(),
+		getAllCustomers(),
+	]);
+	const records = { subscribers, users, customers };
+	const sequencesById = new Map(
+		sequences.map((sequence) => [sequence.id, sequence])
+	);
+	const contactsByEmail = new Map(
+		buildContacts(records).map((contact) => [
+			contact.email.toLowerCase(),
+			contact,
+		])
+	);
+
+	for (const enrollment of enrollments) {
+		await renewCronJobLease(job);
+		const sequence = sequencesById.get(enrollment.sequenceId);
+		const result = {
+			enrollmentId: enrollment.id,
+			sequenceId: enrollment.sequenceId,
+			email: enrollment.email,
+			step: enrollment.currentStep + 1,
+		};
+
+		try {
+			if (sequence?.status === "paused") continue;
+
+			// A contact with no records left still gets the emails of their trigger
+			const contact = contactsByEmail.get(
+				enrollment.email.toLowerCase()
+			) || {
+				email: enrollment.email,
+				name: enrollment.name,
+				subscriber: null,
+				user: null,
+				customer: null,
+			};
+			const exitReason = !sequence
+				? "sequence deleted"
+				: ["unsubscribed", "suppressed"].includes(contact.subscriber?.status)
+					? contact.subscriber.status
+					: null;
+			if (exitReason) {
+				await exitEnrollment(enrollment.id, exitReason);
+				details.steps.push({
+					...result,
+					status: "exited",
+					reason: exitReason,
+				});
+				continue;
+			}
+
+			const step = sequence.steps[enrollment.currentStep];
+			if (!step) {
+				// Steps were removed since the contact got this far
+				await advanceEnrollment(
+					enrollment,
+					sequence,
+					{ status: "skipped" },
+					now
+				);
+				details.steps.push({ ...result, status: "completed" });
+				continue;
+			}
+
+			if (
+				step.conditions?.length > 0 &&
+				!matchesSegment(
+					contact,
+					{ match: step.match, rules: step.conditions },
+					now
+				)
+			) {
+				await advanceEnrollment(
+					enrollment,
+					sequence,
+					{ status: "skipped" },
+					now
+				);
+				details.steps.push({ ...result, status: "skipped" });
+				continue;
+			}
+
+			const { successCount, batches } = await sendCampaignEmails({
+				subject: step.subject,
+				content: step.content,
+				recipients: [
+					{
+						email: enrollment.email,
+						name: contact.name || enrollment.name,
+						subscriberId:
+							contact.subscriber?.status === "active"
+								? contact.subscriber.id
+								: undefined,
+					},
+				],
+				records,
+			});
+			if (successCount === 0) {
+				throw new Error(batches[0]?.error || "Failed to send email");
+			}
+
+			await advanceEnrollment(enrollment, sequence, { status: "sent" }, now);
+			details.steps.push({ ...result, status: "sent" });
+		} catch (error) {
+			console.error(
+				`[CRON] Error running sequence enrollment ${enrollment.id}:`,
+				error
+			);
+			let enrollmentFailed = false;
+			try {
+				const changes = await advanceEnrollment(
+					enrollment,
+					sequence,
+					{ status: "failed", error: error.message },
+					now
+				);
+				enrollmentFailed = changes.status === "failed";
+			} catch (recordError) {
+				// Already logged; the step is retried either way
+			}
+			details.steps.push({
+				...result,
+				status: "failed",
+				error: error.message,
+				...(enrollmentFailed && {
+					enrollmentFailed: true,
+					reason: `failed ${MAX_STEP_ATTEMPTS} times`,
+				}),
+			});
+		}
+	}
+
+	const sent = details.steps.filter((item) => item.status === "sent");
+	const failed = details.steps.filter((item) => item.status === "failed");
+	console.log(
+		`[CRON] Sent ${sent.length} sequence email(s), ${failed.length} failed`
+	);
+	return details;
+};
@@ -0,0 +1,69 @@
+import crypto from "crypto";
+
+// Abort slow endpoints well before the executor's lease expires
+const WEBHOOK_TIMEOUT_MS = 15000;
+
+/**
+ * Call the outgoing webhook configured on a CRON job.
+ * When CRON_WEBHOOK_SECRET is set, the request body is signed with
+ * HMAC-SHA256 and sent in the X-Cron-Signature header.
+ * @param {Object} job - CRON job ({ params: { url, method, headers, body } })
+ * @returns {Promise<Object>} Run details (status code, duration, response excerpt)
+ */
+export const executeWebhookJob = async (job) => {
+	const { url, method, headers = {}, body = "" } = job.params;
+	const hasBody = method !== "GET" && body;
+
+	const requestHeaders = {
+		"User-Agent": "buildsaas-cron",
+		"X-Cron-Job-Id": job.id,
+		...(hasBody && { "Content-Type": "application/json" }),
+		...headers,
+	};
+
+	if (process.env.CRON_WEBHOOK_SECRET) {
+		requestHeaders["X-Cron-Signature"] = crypto
+			.createHmac("sha256", process.env.CRON_WEBHOOK_SECRET)
+			.update(hasBody ? body : "")
+			.digest("hex");
+	}
+
+	const controller = new AbortController();
+	const timeout = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+	const startedAt = Date.now();
+
+	let response;
+	try {
+		response = await fetch(url, {
+			method,
+			headers: requestHeaders,
+			body: hasBody ? body : undefined,
+			signal: controller.signal,
+		});
+	} catch (error) {
+		throw new Error(
+			error.name === "AbortError"
+				? `Webhook timed out after ${WEBHOOK_TIMEOUT_MS / 1000}s`
+				: `Webhook request failed: ${error.message}`
+		);
+	} finally {
+		clearTimeout(timeout);
+	}
+
+	const responseText = await response.text().catch(() => "");
+	const details = {
+		url,
+		method,
+		statusCode: response.status,
+		durationMs: Date.now() - startedAt,
+		response: responseText.slice(0, 500),
+	};
+
+	if (!response.ok) {
+		const error = new Error(`Webhook responded with ${response.status}`);
+		error.details = details;
+		throw error;
+	}
+
+	return details;
+};
@@ -9,14 +9,65 @@ import {
 	query,
 	orderBy,
 	where,
+	limit,
 	serverTimestamp,
+	increment,
+	runTransaction,
 	Timestamp,
 } from "firebase/firestore";
 import { db } from "../config/firebase";
 import { getAllBlogs } from "./blog";
 import { getAllEmails } from "./emails";
+import {
+	normalizeRecurrence,
+	getNextOccurrence,
+} from "../utils/recurrence";
+import { validateCronJobData } from "../config/cron-job-types";
 
 const CRON_JOBS_COLLECTION = "cronJobs";
+const CRON_JOB_RUNS_SUBCOLLECTION = "runs";
+
+/**
+ * Default retry policy for failed CRON jobs.
+ * Retries wait backoffMinutes, then double each time up to maxBackoffMinutes.
+ */
+export const DEFAULT_RETRY_POLICY = {
+	maxRetries: 3,
+	backoffMinutes: 5,
+	maxBackoffMinutes: 24 * 60,
+};
+
+/**
+ * How long a claimed job may run before other executors treat it as abandoned
+ */
+export const CRON_JOB_LEASE_MS = 15 * 60 * 1000;
+
+const CRON_JOB_DATE_FIELDS = [
+	"scheduledDate",
+	"createdAt",
+	"updatedAt",
+	"lastRunAt",
+	"occurrenceDate",
+	"nextRetryAt",
+	"claimedAt",
+	"leaseExpiresAt",
+];
+
+/**
+ * Convert a CRON job document into a plain object with Date fields
+ * @param {string} id - CRON job document ID
+ * @param {Object} data - Raw Firestore data
+ * @returns {Object} CRON job
+ */
+const toCronJob = (id, data) => {
+	const cronJob = { id, ...data };
+	CRON_JOB_DATE_FIELDS.forEach((field) => {
+		if (data[field]?.toDate) {
+			cronJob[field] = data[field].toDate();
+		}
+	});
+	return cronJob;
+};
 
 /**
  * Get all CRON jobs
@@ -50,23 +101,7 @@ export const getAllCronJobs = async () => {
 		const cronJobs = [];
 
 		querySnapshot.forEach((doc) => {
-			const data = doc.data();
-			cronJobs.push({
-				id: doc.id,
-				...data,
-				scheduledDate: data.scheduledDate?.toDate
-					? data.scheduledDate.toDate()
-					: data.scheduledDate,
-				createdAt: data.createdAt?.toDate
-					? data.createdAt.toDate()
-					: data.createdAt,
-				updatedAt: data.updatedAt?.toDate
-					? data.updatedAt.toDate()
-					: data.updatedAt,
-				lastRunAt: data.lastRunAt?.toDate
-					? data.lastRunAt.toDate()
-					: data.lastRunAt,
-			});
+			cronJobs.push(toCronJob(doc.id, doc.data()));
 		});
 
 		// Sort client-side (always sort to ensure consistent ordering)
@@ -95,7 +130,7 @@ export const getAllCronJobs = async () => {
 
 /**
  * Get CRON jobs by type
- * @param {string} type - 'blog' or 'email'
+ * @param {string} type - Job type (e.g. 'blog', 'email', 'webhook')
  * @returns {Promise<Array>} Array of CRON job documents
  */
 export const getCronJobsByType = async (type) => {
@@ -130,14 +165,7 @@ export const getCronJobsByType = async (type) => {
 		const cronJobs = [];
 
 		querySnapshot.forEach((doc) => {
-			const data = doc.data();
-			cronJobs.push({
-				id: doc.id,
-				...data,
-				scheduledDate: data.scheduledDate?.toDate
-					? data.scheduledDate.toDate()
-					: data.scheduledDate,
-			});
+			cronJobs.push(toCronJob(doc.id, doc.data()));
 		});
 
 		// Sort client-side (always sort to ensure consistent ordering)
@@ -175,14 +203,7 @@ export const getCronJobById = async (id) => {
 		const docSnap = await getDoc(docRef);
 
 		if (docSnap.exists()) {
-			const data = docSnap.data();
-			return {
-				id: docSnap.id,
-				...data,
-				scheduledDate: data.scheduledDate?.toDate
-					? data.scheduledDate.toDate()
-					: data.scheduledDate,
-			};
+			return toCronJob(docSnap.id, docSnap.data());
 		} else {
 			throw new Error("CRON job not found");
 		}
@@ -193,25 +214,268 @@ export const getCronJobById = async (id) => {
 };
 
 /**
- * Create or update CRON job from scheduled blog/email
+ * Query jobs by status whose date field is at or before a cutoff.
+ * Falls back to a status-only query filtered client-side when the
+ * composite index (status + field) is missing.
+ * @param {string} status - Job status to match
+ * @param {string} field - Date field to compare
+ * @param {Date} cutoff - Upper bound (inclusive)
+ * @returns {Promise<Array>} Matching CRON jobs
+ */
+const queryCronJobsBefore = async (status, field, cutoff) => {
+	let querySnapshot;
+	let filterClientSide = false;
+
+	try {
+		const q = query(
+			collection(db, CRON_JOBS_COLLECTION),
+			where("status", "==", status),
+			where(field, "<=", Timestamp.fromDate(cutoff))
+		);
+		querySnapshot = await getDocs(q);
+	} catch (error) {
+		if (error.message && error.message.includes("index")) {
+			console.warn(
+				`Firestore composite index missing for status + ${field}. Using simple query and filtering client-side. ` +
+					`Create the index at: https://console.firebase.google.com/project/_/firestore/indexes`
+			);
+			const q = query(
+				collection(db, CRON_JOBS_COLLECTION),
+				where("status", "==", status)
+			);
+			querySnapshot = await getDocs(q);
+			filterClientSide = true;
+		} else {
+			throw error;
+		}
+	}
+
+	const cronJobs = [];
+	querySnapshot.forEach((doc) => {
+		const cronJob = toCronJob(doc.id, doc.data());
+		if (
+			!filterClientSide ||
+			(cronJob[field] instanceof Date && cronJob[field] <= cutoff)
+		) {
+			cronJobs.push(cronJob);
+		}
+	});
+
+	cronJobs.sort((a, b) => a[field] - b[field]);
+	return cronJobs;
+};
+
+/**
+ * Get scheduled CRON jobs that are due (oldest first)
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<Array>} Due CRON jobs
+ */
+export const getDueCronJobs = async (now = new Date()) => {
+	try {
+		return await queryCronJobsBefore("scheduled", "scheduledDate", now);
+	} catch (error) {
+		console.error("Error getting due CRON jobs:", error);
+		throw error;
+	}
+};
+
+/**
+ * Atomically claim a due CRON job for execution.
+ * Moves the job from 'scheduled' to 'running' with a lease inside a
+ * transaction, so overlapping executor invocations never run it twice.
+ * @param {string} id - CRON job document ID
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {Promise<Object|null>} The claimed job, or null if it was not claimable
+ */
+export const claimCronJob = async (id, leaseMs = CRON_JOB_LEASE_MS) => {
+	try {
+		const docRef = doc(db, CRON_JOBS_COLLECTION, id);
+
+		return await runTransaction(db, async (transaction) => {
+			const docSnap = await transaction.get(docRef);
+			if (!docSnap.exists()) return null;
+
+			const job = toCronJob(docSnap.id, docSnap.data());
+			const now = new Date();
+			if (
+				job.status !== "scheduled" ||
+				!(job.scheduledDate instanceof Date) ||
+				job.scheduledDate > now
+			) {
+				return null;
+			}
+
+			const claimId = `${now.getTime()}-${Math.random()
+				.toString(36)
+				.slice(2, 10)}`;
+			const leaseExpiresAt = new Date(now.getTime() + leaseMs);
+
+			transaction.update(docRef, {
+				status: "running",
+				claimId,
+				claimedAt: Timestamp.fromDate(now),
+				leaseExpiresAt: Timestamp.fromDate(leaseExpiresAt),
+				updatedAt: serverTimestamp(),
+			});
+
+			return { ...job, claimId, claimedAt: now, leaseExpiresAt };
+		});
+	} catch (error) {
+		console.error("Error claiming CRON job:", error);
+		throw error;
+	}
+};
+
+/**
+ * Recover jobs whose executor died mid-run (lease expired while 'running').
+ * Each abandoned run is re-claimed in a transaction and then counted as a
+ * failed attempt, so it goes through the normal retry/dead-letter flow.
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Promise<Array>} IDs of recovered jobs
+ */
+export const recoverExpiredCronJobLeases = async (now = new Date()) => {
+	try {
+		const expiredJobs = await queryCronJobsBefore(
+			"running",
+			"leaseExpiresAt",
+			now
+		);
+		const recovered = [];
+
+		for (const expiredJob of expiredJobs) {
+			const docRef = doc(db, CRON_JOBS_COLLECTION, expiredJob.id);
+			const job = await runTransaction(db, async (transaction) => {
+				const docSnap = await transaction.get(docRef);
+				if (!docSnap.exists()) return null;
+
+				const current = toCronJob(docSnap.id, docSnap.data());
+				if (
+					current.status !== "running" ||
+					current.claimId !== expiredJob.claimId ||
+					!(current.leaseExpiresAt instanceof Date) ||
+					current.leaseExpiresAt > new Date()
+				) {
+					return null;
+				}
+
+				// Take over the lease so concurrent recoveries skip this job
+				const claimId = `recovery-${Date.now()}`;
+				transaction.update(docRef, {
+					claimId,
+					leaseExpiresAt: Timestamp.fromDate(
+						new Date(Date.now() + CRON_JOB_LEASE_MS)
+					),
+					updatedAt: serverTimestamp(),
+				});
+				return { ...current, claimId };
+			});
+
+			if (job) {
+				await failCronJobRun(
+					job,
+					"Lease expired before the run finished",
+					job.claimedAt
+				);
+				recovered.push(job.id);
+			}
+		}
+
+		return recovered;
+	} catch (error) {
+		console.error("Error recovering expired CRON job leases:", error);
+		throw error;
+	}
+};
+
+/**
+ * Extend the lease of a running job, so a long run (e.g. a campaign sent in
+ * many batches) isn't recovered as abandoned and retried while it is still
+ * sending. Call it between units of work; it only writes once less than half
+ * of the lease is left. Jobs run outside the executor (no claimId) are ignored.
+ * @param {Object} job - Claimed CRON job (with claimId and leaseExpiresAt), updated in place
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {Promise<void>}
+ * @throws {Error} If the run lost its claim, so it must stop
+ */
+export const renewCronJobLease = async (job, leaseMs = CRON_JOB_LEASE_MS) => {
+	if (!job?.claimId) return;
+
+	const now = new Date();
+	if (
+		job.leaseExpiresAt instanceof Date &&
+		job.leaseExpiresAt.getTime() - now.getTime() > leaseMs / 2
+	) {
+		return;
+	}
+
+	const leaseExpiresAt = new Date(now.getTime() + leaseMs);
+	const docRef = doc(db, CRON_JOBS_COLLECTION, job.id);
+	const renewed = await runTransaction(db, async (transaction) => {
+		const docSnap = await transaction.get(docRef);
+		if (
+			!docSnap.exists() ||
+			docSnap.data().status !== "running" ||
+			docSnap.data().claimId !== job.claimId
+		) {
+			return false;
+		}
+		transaction.update(docRef, {
+			leaseExpiresAt: Timestamp.fromDate(leaseExpiresAt),
+			updatedAt: serverTimestamp(),
+		});
+		return true;
+	});
+
+	if (!renewed) {
+		throw new Error(
+			`CRON job ${job.id} was claimed again during the run, stopping it`
+		);
+	}
+	job.leaseExpiresAt = leaseExpiresAt;
+};
+
+/**
+ * Create a CRON job
  * @param {Object} cronData - CRON job data
- * @param {string} cronData.type - 'blog' or 'email'
- * @param {string} cronData.itemId - Blog or email document ID
- * @param {Date} cronData.scheduledDate - Scheduled execution date
- * @param {Object} cronData.itemData - Blog or email data
+ * @param {string} cronData.type - Job type registered in lib/config/cron-job-types.js
+ * @param {string} cronData.itemId - Target document ID (blog, email, changelog, form), if the type needs one
+ * @param {Date} cronData.scheduledDate - Scheduled execution date (optional for recurring jobs)
+ * @param {Object} cronData.itemData - Display data of the target (title, subject, ...)
+ * @param {Object} cronData.params - Type-specific parameters (e.g. { action: 'publish' })
+ * @param {Object} cronData.recurrence - Optional: { type: 'cron' | 'rrule', expression, timezone }
  * @returns {Promise<string>} Document ID of created CRON job
  */
 export const createCronJob = async (cronData) => {
 	try {
+		validateCronJobData(cronData);
+
+		const recurrence = cronData.recurrence
+			? normalizeRecurrence(cronData.recurrence)
+			: null;
+
+		// Recurring jobs without an explicit date start at their first occurrence
+		let scheduledDate = cronData.scheduledDate;
+		if (!scheduledDate && recurrence) {
+			scheduledDate = getNextOccurrence(recurrence);
+			if (!scheduledDate) {
+				throw new Error("Recurrence has no upcoming occurrences");
+			}
+		}
+
 		const dataToSave = {
-			type: cronData.type, // 'blog' or 'email'
-			itemId: cronData.itemId,
+			type: cronData.type,
+			itemId: cronData.itemId || null,
 			scheduledDate:
-				cronData.scheduledDate instanceof Date
-					? Timestamp.fromDate(cronData.scheduledDate)
-					: cronData.scheduledDate,
-			status: "scheduled", // 'scheduled', 'completed', 'failed', 'cancelled'
+				scheduledDate instanceof Date
+					? Timestamp.fromDate(scheduledDate)
+					: scheduledDate,
+			status: "scheduled", // 'scheduled', 'paused', 'completed', 'failed', 'dead', 'cancelled'
 			itemData: cronData.itemData || {},
+			params: cronData.params || {},
+			recurrence,
+			retryPolicy: { ...DEFAULT_RETRY_POLICY, ...(cronData.retryPolicy || {}) },
+			attempts: 0,
+			runCount: 0,
 			createdAt: serverTimestamp(),
 			updatedAt: serverTimestamp(),
 		};
@@ -251,6 +515,462 @@ export const updateCronJobSchedule = async (id, scheduledDate) => {
 	}
 };
 
+/**
+ * Set or clear the recurrence of a CRON job.
+ * The next occurrence becomes the job's scheduled date.
+ * @param {string} id - CRON job document ID
+ * @param {Object|null} recurrence - { type: 'cron' | 'rrule', expression, timezone } or null for one-off
+ * @param {Date} scheduledDate - Required when clearing the recurrence
+ * @returns {Promise<Date>} The job's new scheduled date
+ */
+export const updateCronJobRecurrence = async (id, recurrence, scheduledDate) => {
+	try {
+		const normalized = recurrence ? normalizeRecurrence(recurrence) : null;
+		const nextDate = normalized
+			? getNextOccurrence(normalized)
+			: scheduledDate;
+
+		if (!nextDate) {
+			throw new Error(
+				normalized
+					? "Recurrence has no upcoming occurrences"
+					: "Scheduled date is required"
+			);
+		}
+
+		const docRef = doc(db, CRON_JOBS_COLLECTION, id);
+		await updateDoc(docRef, {
+			recurrence: normalized,
+			scheduledDate: Timestamp.fromDate(nextDate),
+			updatedAt: serverTimestamp(),
+		});
+		return nextDate;
+	} catch (error) {
+		console.error("Error updating CRON job recurrence:", error);
+		throw error;
+	}
+};
+
+/**
+ * Pause a recurring CRON job series.
+ * A running job can't be paused: the end of its run would overwrite the
+ * pause with the series' next state.
+ * @param {string} id - CRON job document ID
+ * @returns {Promise<void>}
+ */
+export const pauseCronJob = async (id) => {
+	try {
+		const docRef = doc(db, CRON_JOBS_COLLECTION, id);
+		await runTransaction(db, async (transaction) => {
+			const docSnap = await transaction.get(docRef);
+			if (!docSnap.exists()) {
+				throw new Error("CRON job not found");
+			}
+			if (docSnap.data().status === "running") {
+				throw new Error("The job is running, pause it once the run has finished");
+			}
+			transaction.update(docRef, {
+				status: "paused",
+				pausedAt: serverTimestamp(),
+				updatedAt: serverTimestamp(),
+			});
+		});
+	} catch (error) {
+		console.error("Error pausing CRON job:", error);
+		throw error;
+	}
+};
+
+/**
+ * Resume a paused CRON job series.
+ * Occurrences missed while paused are skipped; the series continues from now.
+ * @param {string} id - CRON job document ID
+ * @returns {Promise<void>}
+ */
+export const resumeCronJob = async (id) => {
+	try {
+		const job = await getCronJobById(id);
+		const dataToUpdate = {
+			status: "scheduled",
+			pausedAt: null,
+			updatedAt: serverTimestamp(),
+		};
+
+		if (job.recurrence) {
+			const nextDate = getNextOccurrence(job.recurrence);
+			if (!nextDate) {
+				throw new Error("Recurrence has no upcoming occurrences");
+			}
+			dataToUpdate.scheduledDate = Timestamp.fromDate(nextDate);
+		}
+
+		const docRef = doc(db, CRON_JOBS_COLLECTION, id);
+		await updateDoc(docRef, dataToUpdate);
+	} catch (error) {
+		console.error("Error resuming CRON job:", error);
+		throw error;
+	}
+};
+
+/**
+ * Record a single execution of a CRON job in its runs subcollection
+ * @param {string} id - CRON job document ID
+ * @param {Object} run - Run data
+ * @param {Date} run.scheduledFor - Occurrence the run was executed for
+ * @param {Date} run.startedAt - Execution start time
+ * @param {Date} run.finishedAt - Execution end time (default: now)
+ * @param {string} run.status - 'success', 'failed' or 'dead'
+ * @param {number} run.attempt - Attempt number for this occurrence (1 = first try)
+ * @param {string} run.error - Error message (failed runs only)
+ * @param {Object} run.details - Type-specific results (e.g. email batches)
+ * @returns {Promise<string>} Document ID of the run
+ */
+export const recordCronJobRun = async (id, run) => {
+	try {
+		const finishedAt = run.finishedAt || new Date();
+		const runsRef = collection(
+			db,
+			CRON_JOBS_COLLECTION,
+			id,
+			CRON_JOB_RUNS_SUBCOLLECTION
+		);
+		const docRef = await addDoc(runsRef, {
+			scheduledFor:
+				run.scheduledFor instanceof Date
+					? Timestamp.fromDate(run.scheduledFor)
+					: run.scheduledFor || null,
+			startedAt:
+				run.startedAt instanceof Date
+					? Timestamp.fromDate(run.startedAt)
+					: serverTimestamp(),
+			finishedAt: Timestamp.fromDate(finishedAt),
+			durationMs:
+				run.startedAt instanceof Date
+					? finishedAt.getTime() - run.startedAt.getTime()
+					: null,
+			status: run.status,
+			attempt: run.attempt || 1,
+			error: run.error || null,
+			details: run.details || null,
+		});
+		return docRef.id;
+	} catch (error) {
+		console.error("Error recording CRON job run:", error);
+		throw error;
+	}
+};
+
+/**
+ * Get the run history of a CRON job (newest first)
+ * @param {string} id - CRON job document ID
+ * @param {number} maxRuns - Maximum number of runs to return
+ * @returns {Promise<Array>} Array of run documents
+ */
+export const getCronJobRuns = async (id, maxRuns = 20) => {
+	try {
+		const q = query(
+			collection(db, CRON_JOBS_COLLECTION, id, CRON_JOB_RUNS_SUBCOLLECTION),
+			orderBy("startedAt", "desc"),
+			limit(maxRuns)
+		);
+		const querySnapshot = await getDocs(q);
+		const runs = [];
+
+		querySnapshot.forEach((doc) => {
+			const data = doc.data();
+			runs.push({
+				id: doc.id,
+				...data,
+				scheduledFor: data.scheduledFor?.toDate
+					? data.scheduledFor.toDate()
+					: data.scheduledFor,
+				startedAt: data.startedAt?.toDate
+					? data.startedAt.toDate()
+					: data.startedAt,
+				finishedAt: data.finishedAt?.toDate
+					? data.finishedAt.toDate()
+					: data.finishedAt,
+			});
+		});
+
+		return runs;
+	} catch (error) {
+		console.error("Error getting CRON job runs:", error);
+		throw error;
+	}
+};
+
+/**
+ * Resolve a job's retry policy, falling back to the defaults
+ * @param {Object} job - CRON job
+ * @returns {Object} { maxRetries, backoffMinutes, maxBackoffMinutes }
+ */
+export const getRetryPolicy = (job) => ({
+	...DEFAULT_RETRY_POLICY,
+	...(job?.retryPolicy || {}),
+});
+
+/**
+ * Delay before the given retry using exponential backoff
+ * (backoffMinutes, 2x, 4x, ... capped at maxBackoffMinutes)
+ * @param {Object} retryPolicy - Retry policy
+ * @param {number} retryNumber - 1 for the first retry
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelayMs = (retryPolicy, retryNumber) => {
+	const minutes = Math.min(
+		retryPolicy.backoffMinutes * Math.pow(2, retryNumber - 1),
+		retryPolicy.maxBackoffMinutes
+	);
+	return minutes * 60 * 1000;
+};
+
+/**
+ * Update the retry policy of a CRON job
+ * @param {string} id - CRON job document ID
+ * @param {Object} retryPolicy - { maxRetries, backoffMinutes, maxBackoffMinutes }
+ * @returns {Promise<void>}
+ */
+export const updateCronJobRetryPolicy = async (id, retryPolicy) => {
+	try {
+		const maxRetries = parseInt(retryPolicy.maxRetries, 10);
+		const backoffMinutes = parseFloat(retryPolicy.backoffMinutes);
+
+		if (isNaN(maxRetries) || maxRetries < 0) {
+			throw new Error("Max retries must be 0 or more");
+		}
+		if (isNaN(backoffMinutes) || backoffMinutes <= 0) {
+			throw new Error("Backoff must be greater than 0 minutes");
+		}
+
+		const docRef = doc(db, CRON_JOBS_COLLECTION, id);
+		await updateDoc(docRef, {
+			retryPolicy: {
+				...getRetryPolicy({ retryPolicy }),
+				maxRetries,
+				backoffMinutes,
+			},
+			updatedAt: serverTimestamp(),
+		});
+	} catch (error) {
+		console.error("Error updating CRON job retry policy:", error);
+		throw error;
+	}
+};
+
+/**
+ * Get the occurrence a job is currently executing for.
+ * Retries move scheduledDate forward, occurrenceDate keeps the original slot.
+ * @param {Object} job - CRON job
+ * @returns {Date} Occurrence date
+ */
+const getOccurrenceDate = (job) => {
+	const date = job.occurrenceDate || job.scheduledDate;
+	if (date?.toDate) return date.toDate();
+	return date instanceof Date ? date : new Date(date);
+};
+
+// Fields reset when a run finishes and the job gives up its lease
+const RELEASED_LEASE = {
+	claimId: null,
+	claimedAt: null,
+	leaseExpiresAt: null,
+};
+
+/**
+ * Update a job at the end of a run, only while the run still holds its
+ * claim. A run that outlived its lease may have been recovered and retried
+ * by another invocation, whose state its late result must not overwrite.
+ * @param {Object} job - Claimed CRON job (with claimId)
+ * @param {Object} fields - Fields to store on the job
+ * @returns {Promise<boolean>} True if the update was applied
+ */
+const updateClaimedCronJob = async (job, fields) => {
+	const docRef = doc(db, CRON_JOBS_COLLECTION, job.id);
+	const applied = await runTransaction(db, async (transaction) => {
+		const docSnap = await transaction.get(docRef);
+		if (!docSnap.exists() || docSnap.data().claimId !== job.claimId) {
+			return false;
+		}
+		transaction.update(docRef, fields);
+		return true;
+	});
+
+	if (!applied) {
+		console.warn(
+			`CRON job ${job.id} was claimed again during the run, dropping its result`
+		);
+	}
+	return applied;
+};
+
+/**
+ * Move a recurring CRON job to its next occurrence, or complete the series
+ * when the recurrence has no further occurrences.
+ * @param {Object} job - Claimed CRON job (with recurrence and scheduledDate)
+ * @param {Object} extraFields - Additional fields to store on the job
+ * @returns {Promise<Date|null>} Next scheduled date, or null if the series ended or the claim changed
+ */
+const advanceRecurringCronJob = async (job, extraFields = {}) => {
+	const occurrenceDate = getOccurrenceDate(job);
+	// Skip occurrences that were missed (e.g. executor downtime) instead of replaying them
+	const now = new Date();
+	const after = occurrenceDate > now ? occurrenceDate : now;
+	const nextDate = getNextOccurrence(job.recurrence, after);
+
+	const applied = await updateClaimedCronJob(job, {
+		...extraFields,
+		status: nextDate ? "scheduled" : "completed",
+		...(nextDate && { scheduledDate: Timestamp.fromDate(nextDate) }),
+		occurrenceDate: null,
+		...RELEASED_LEASE,
+		runCount: increment(1),
+		lastRunAt: serverTimestamp(),
+		updatedAt: serverTimestamp(),
+	});
+	return applied ? nextDate : null;
+};
+
+/**
+ * Finish a successful CRON job run: record it and either schedule the
+ * next occurrence (recurring jobs) or mark the job as completed. The run is
+ * always recorded; the job is only updated while the run holds its claim.
+ * @param {Object} job - Claimed CRON job (with claimId)
+ * @param {Date} startedAt - Execution start time
+ * @param {Object} details - Type-specific results to store on the run
+ * @returns {Promise<Date|null>} Next scheduled date, or null if nothing is scheduled
+ */
+export const completeCronJobRun = async (job, startedAt, details = null) => {
+	await recordCronJobRun(job.id, {
+		scheduledFor: getOccurrenceDate(job),
+		startedAt,
+		status: "success",
+		attempt: (job.attempts || 0) + 1,
+		details,
+	});
+
+	if (job.recurrence) {
+		return advanceRecurringCronJob(job, {
+			attempts: 0,
+			error: null,
+			nextRetryAt: null,
+		});
+	}
+
+	await updateClaimedCronJob(job, {
+		status: "completed",
+		error: null,
+		nextRetryAt: null,
+		...RELEASED_LEASE,
+		lastRunAt: serverTimestamp(),
+		updatedAt: serverTimestamp(),
+	});
+	return null;
+};
+
+/**
+ * Finish a failed CRON job run: record it and schedule a retry with
+ * exponential backoff. Once the retry policy is exhausted the job is
+ * moved to the 'dead' state and waits for a manual retry. The run is
+ * always recorded; the job is only updated while the run holds its claim.
+ * @param {Object} job - Claimed CRON job (with claimId)
+ * @param {string} errorMessage - Error message
+ * @param {Date} startedAt - Execution start time
+ * @param {Object} details - Type-specific results to store on the run
+ * @returns {Promise<Date|null>} Next retry date, or null if the job is dead or the claim changed
+ */
+export const failCronJobRun = async (
+	job,
+	errorMessage,
+	startedAt,
+	details = null
+) => {
+	const attempt = (job.attempts || 0) + 1;
+	const retryPolicy = getRetryPolicy(job);
+	const canRetry = attempt <= retryPolicy.maxRetries;
+
+	await recordCronJobRun(job.id, {
+		scheduledFor: getOccurrenceDate(job),
+		startedAt,
+		status: canRetry ? "failed" : "dead",
+		attempt,
+		error: errorMessage,
+		details,
+	});
+
+	if (canRetry) {
+		const nextRetryAt = new Date(
+			Date.now() + getRetryDelayMs(retryPolicy, attempt)
+		);
+		const applied = await updateClaimedCronJob(job, {
+			status: "scheduled",
+			attempts: attempt,
+			occurrenceDate: Timestamp.fromDate(getOccurrenceDate(job)),
+			scheduledDate: Timestamp.fromDate(nextRetryAt),
+			nextRetryAt: Timestamp.fromDate(nextRetryAt),
+			error: errorMessage,
+			...RELEASED_LEASE,
+			lastRunAt: serverTimestamp(),
+			updatedAt: serverTimestamp(),
+		});
+		return applied ? nextRetryAt : null;
+	}
+
+	await updateClaimedCronJob(job, {
+		status: "dead",
+		attempts: attempt,
+		occurrenceDate: Timestamp.fromDate(getOccurrenceDate(job)),
+		nextRetryAt: null,
+		error: errorMessage,
+		...RELEASED_LEASE,
+		lastRunAt: serverTimestamp(),
+		updatedAt: serverTimestamp(),
+	});
+	return null;
+};
+
+/**
+ * Re-queue a failed or dead CRON job so the next executor pass runs it
+ * immediately with a fresh retry budget. Runs in a transaction that only
+ * accepts failed or dead jobs, so a running job can't be queued (and run)
+ * a second time.
+ * @param {string} id - CRON job document ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the job doesn't exist or isn't failed or dead
+ */
+export const retryCronJobNow = async (id) => {
+	try {
+		const docRef = doc(db, CRON_JOBS_COLLECTION, id);
+		await runTransaction(db, async (transaction) => {
+			const docSnap = await transaction.get(docRef);
+			if (!docSnap.exists()) {
+				throw new Error("CRON job not found");
+			}
+
+			const job = toCronJob(docSnap.id, docSnap.data());
+			if (!["failed", "dead"].includes(job.status)) {
+				throw new Error(
+					`Only failed or dead jobs can be retried (this one is ${job.status})`
+				);
+			}
+
+			transaction.update(docRef, {
+				status: "scheduled",
+				attempts: 0,
+				nextRetryAt: null,
+				// Keep the original slot so the run log shows which occurrence was retried
+				occurrenceDate: Timestamp.fromDate(getOccurrenceDate(job)),
+				scheduledDate: Timestamp.fromDate(new Date()),
+				...RELEASED_LEASE,
+				updatedAt: serverTimestamp(),
+			});
+		});
+	} catch (error) {
+		console.error("Error retrying CRON job:", error);
+		throw error;
+	}
+};
+
 /**
  * Mark CRON job as completed
  * @param {string} id - CRON job document ID
@@ -261,6 +981,9 @@ export const markCronJobCompleted = async (id) => {
 		const docRef = doc(db, CRON_JOBS_COLLECTION, id);
 		await updateDoc(docRef, {
 			status: "completed",
+			error: null,
+			nextRetryAt: null,
+			...RELEASED_LEASE,
 			lastRunAt: serverTimestamp(),
 			updatedAt: serverTimestamp(),
 		});
@@ -282,6 +1005,7 @@ export const markCronJobFailed = async (id, errorMessage) => {
 		await updateDoc(docRef, {
 			status: "failed",
 			error: errorMessage,
+			...RELEASED_LEASE,
 			lastRunAt: serverTimestamp(),
 			updatedAt: serverTimestamp(),
 		});
@@ -6,11 +6,22 @@ import {
 	query,
 	where,
 	orderBy,
+	updateDoc,
+	serverTimestamp,
 } from "firebase/firestore";
 import { db } from "../config/firebase";
 
 const CUSTOMERS_COLLECTION = "customers";
 
+// Statuses that give access to the plan
+export const ENTITLED_STATUSES = ["active", "trialing"];
+
+// Past-due statuses, which keep access until the grace period ends
+export const GRACE_STATUSES = ["past_due", "unpaid"];
+
+// Canceled at period end, which keeps access until expiresAt
+export const CANCELED_STATUSES = ["canceled", "cancelled"];
+
 /**
  * Get customer by email
  * @param {string} email - Customer email
@@ -99,6 +110,48 @@ const convertTimestamp = (timestamp) => {
 	}
 };
 
+/**
+ * Whether a customer currently has access to their plan: active or
+ * trialing, past due and still within the grace period, or canceled and
+ * still within the paid period. Access ends on its own once graceEndsAt
+ * (or expiresAt) passes.
+ * @param {Object} customer - Customer document (or subscription state)
+ * @param {Date} now - Current time (default: new Date())
+ * @returns {boolean} True when the plan's entitlements apply
+ */
+export const isCustomerEntitled = (customer, now = new Date()) => {
+	if (!customer?.planId) return false;
+	if (ENTITLED_STATUSES.includes(customer.status)) return true;
+
+	if (CANCELED_STATUSES.includes(customer.status)) {
+		const expiresAt = convertTimestamp(customer.expiresAt);
+		return !!expiresAt && new Date(expiresAt) > now;
+	}
+
+	if (!GRACE_STATUSES.includes(customer.status)) return false;
+
+	const graceEndsAt = convertTimestamp(customer.graceEndsAt);
+	return !!graceEndsAt && new Date(graceEndsAt) > now;
+};
+
+/**
+ * Update a customer's document
+ * @param {string} id - Customer document ID (the Polar customer ID)
+ * @param {Object} data - Fields to update
+ * @returns {Promise<void>}
+ */
+export const updateCustomer = async (id, data) => {
+	try {
+		await updateDoc(doc(db, CUSTOMERS_COLLECTION, id), {
+			...data,
+			updatedAt: serverTimestamp(),
+		});
+	} catch (error) {
+		console.error("Error updating customer:", error);
+		throw error;
+	}
+};
+
 /**
  * Get all customers from Firestore
  * @returns {Promise<Array>} Array of customer documents
@@ -174,12 +227,14 @@ export const getCustomerSubscription = async (email) => {
 		}
 
 		return {
-			isSubscribed: customer.status === "active",
+			isSubscribed: isCustomerEntitled(customer),
 			planName: customer.planName || null,
 			planId: customer.planId || null,
 			customerId: customer.customerId || null,
 			status: customer.status || null,
 			expiresAt: convertTimestamp(customer.expiresAt),
+			graceEndsAt: convertTimestamp(customer.graceEndsAt),
+			trialEndsAt: convertTimestamp(customer.trialEndsAt),
 		};
 	} catch (error) {
 		console.error("Error getting customer subscription:", error);
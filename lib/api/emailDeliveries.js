@@ -0,0 +1,236 @@
+/**
+ * Email Deliveries API
+ * One document per campaign email sent, keyed by its Resend email ID,
+ * updated from Resend webhook events. Each campaign keeps running totals
+ * in `deliveryStats` so the admin can show them without reading every
+ * delivery.
+ */
+
+import {
+	collection,
+	doc,
+	getDocs,
+	updateDoc,
+	query,
+	where,
+	writeBatch,
+	runTransaction,
+	increment,
+	serverTimestamp,
+	Timestamp,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+
+const DELIVERIES_COLLECTION = "emailDeliveries";
+const EMAILS_COLLECTION = "emails";
+
+// Resend event type -> the status it records on the delivery. The first
+// event of each type also bumps the campaign's deliveryStats counter.
+const DELIVERY_EVENTS = {
+	"email.delivered": { status: "delivered", field: "deliveredAt" },
+	"email.opened": { status: "opened", field: "openedAt" },
+	"email.clicked": { status: "clicked", field: "clickedAt" },
+	"email.bounced": { status: "bounced", field: "bouncedAt" },
+	"email.complained": { status: "complained", field: "complainedAt" },
+};
+
+// Events can arrive out of order: a delivery only moves up this list
+export const DELIVERY_STATUSES = [
+	"sent",
+	"delivered",
+	"opened",
+	"clicked",
+	"bounced",
+	"complained",
+];
+
+// Resend tag marking campaign emails, so their events can be told apart
+// from other emails sent with the same account
+export const CAMPAIGN_TAG = "campaign_id";
+
+// Deliveries are recorded once Resend answers the batch send, which a fast
+// webhook can beat. Events for campaign emails younger than this whose
+// delivery isn't recorded yet are refused, so Resend retries them.
+const DELIVERY_RECORD_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Whether a Resend event type is tracked
+ * @param {string} type - Event type, e.g. "email.bounced"
+ * @returns {boolean}
+ */
+export const isDeliveryEvent = (type) => !!DELIVERY_EVENTS[type];
+
+/**
+ * Record the emails of a campaign batch as sent
+ * @param {string} campaignId - Email campaign document ID
+ * @param {Array} deliveries - [{ resendId, email, subscriberId? }]
+ * @returns {Promise<void>}
+ */
+export const recordEmailDeliveries = async (campaignId, deliveries) => {
+	const tracked = deliveries.filter((delivery) => delivery.resendId);
+	if (!campaignId || tracked.length === 0) return;
+
+	try {
+		const batch = writeBatch(db);
+		tracked.forEach((delivery) => {
+			batch.set(doc(db, DELIVERIES_COLLECTION, delivery.resendId), {
+				campaignId,
+				email: delivery.email,
+				subscriberId: delivery.subscriberId || null,
+				status: "sent",
+				sentAt: serverTimestamp(),
+				updatedAt: serverTimestamp(),
+			});
+		});
+		await batch.commit();
+
+		await updateDoc(doc(db, EMAILS_COLLECTION, campaignId), {
+			"deliveryStats.sent": increment(tracked.length),
+		});
+	} catch (error) {
+		console.error("Error recording email deliveries:", error);
+		throw error;
+	}
+};
+
+/**
+ * Apply a Resend webhook event to the delivery it's about. Re-delivered
+ * events don't change anything, so Resend's retries are safe.
+ * @param {Object} event - Resend webhook payload ({ type, created_at, data })
+ * @returns {Promise<Object|null>} Updated delivery, or null when the email isn't a tracked campaign email
+ */
+export const recordDeliveryEvent = async (event) => {
+	const definition = DELIVERY_EVENTS[event.type];
+	const resendId = event.data?.email_id;
+	if (!definition || !resendId) return null;
+
+	const deliveryRef = doc(db, DELIVERIES_COLLECTION, resendId);
+	const occurredAt = Timestamp.fromDate(
+		event.created_at ? new Date(event.created_at) : new Date()
+	);
+
+	try {
+		return await runTransaction(db, async (transaction) => {
+			const deliveryDoc = await transaction.get(deliveryRef);
+			if (!deliveryDoc.exists()) return null;
+
+			const delivery = deliveryDoc.data();
+			const emailRef = doc(db, EMAILS_COLLECTION, delivery.campaignId);
+			const emailDoc = await transaction.get(emailRef);
+
+			const isFirst = !delivery[definition.field];
+			const changes = {};
+			if (isFirst) {
+				changes[definition.field] = occurredAt;
+			}
+			if (
+				DELIVERY_STATUSES.indexOf(definition.status) >
+				DELIVERY_STATUSES.indexOf(delivery.status)
+			) {
+				changes.status = definition.status;
+			}
+			// Opens, clicks and complaints mean it was delivered, even if that
+			// event is late
+			const impliesDelivered = ["opened", "clicked", "complained"].includes(
+				definition.status
+			);
+			const countDelivered = impliesDelivered && !delivery.deliveredAt;
+			if (countDelivered) {
+				changes.deliveredAt = occurredAt;
+			}
+			if (event.type === "email.bounced") {
+				changes.bounceType = event.data.bounce?.type || null;
+				changes.bounceMessage = event.data.bounce?.message || null;
+			}
+			if (event.type === "email.clicked" && event.data.click?.link) {
+				changes.lastClickedLink = event.data.click.link;
+			}
+
+			if (Object.keys(changes).length === 0) {
+				return { id: resendId, ...delivery };
+			}
+
+			transaction.update(deliveryRef, {
+				...changes,
+				updatedAt: serverTimestamp(),
+			});
+
+			const statChanges = {};
+			if (isFirst) {
+				statChanges[`deliveryStats.${definition.status}`] = increment(1);
+			}
+			if (countDelivered) {
+				statChanges["deliveryStats.delivered"] = increment(1);
+			}
+			// The campaign may have been deleted since it was sent
+			if (emailDoc.exists() && Object.keys(statChanges).length > 0) {
+				transaction.update(emailRef, statChanges);
+			}
+
+			return { id: resendId, ...delivery, ...changes };
+		});
+	} catch (error) {
+		console.error("Error recording delivery event:", error);
+		throw error;
+	}
+};
+
+/**
+ * Whether an event with no recorded delivery may be for a campaign email
+ * whose delivery is still being recorded (see DELIVERY_RECORD_WINDOW_MS)
+ * @param {Object} event - Resend webhook payload ({ type, created_at, data })
+ * @param {Date} now - Current time (default: new Date())
+ * @returns {boolean} True if the webhook should ask Resend to retry the event
+ */
+export const isDeliveryPending = (event, now = new Date()) => {
+	// Resend sends tags as { name: value }; accept the [{ name, value }] form too
+	const tags = event.data?.tags;
+	const campaignId = Array.isArray(tags)
+		? tags.find((tag) => tag.name === CAMPAIGN_TAG)?.value
+		: tags?.[CAMPAIGN_TAG];
+	if (!campaignId) return false;
+
+	const sentAt = new Date(event.data?.created_at || event.created_at);
+	if (Number.isNaN(sentAt.getTime())) return false;
+	return now.getTime() - sentAt.getTime() < DELIVERY_RECORD_WINDOW_MS;
+};
+
+/**
+ * Get the per-recipient deliveries of a campaign
+ * @param {string} campaignId - Email campaign document ID
+ * @returns {Promise<Array>} Delivery documents, latest activity first
+ */
+export const getCampaignDeliveries = async (campaignId) => {
+	try {
+		const querySnapshot = await getDocs(
+			query(
+				collection(db, DELIVERIES_COLLECTION),
+				where("campaignId", "==", campaignId)
+			)
+		);
+		const toMillis = (value) => (value?.toMillis ? value.toMillis() : 0);
+		return querySnapshot.docs
+			.map((doc) => ({ id: doc.id, ...doc.data() }))
+			.sort((a, b) => toMillis(b.updatedAt) - toMillis(a.updatedAt));
+	} catch (error) {
+		console.error("Error getting campaign deliveries:", error);
+		throw error;
+	}
+};
+
+/**
+ * Delivery rates of a campaign, as percentages of emails sent
+ * @param {Object} deliveryStats - Campaign `deliveryStats`
+ * @returns {Object|null} { sent, delivered, opened, clicked, bounced, complained } with counts and rates, or null before anything was tracked
+ */
+export const getDeliveryRates = (deliveryStats) => {
+	const sent = deliveryStats?.sent || 0;
+	if (sent === 0) return null;
+
+	return Object.fromEntries(
+		DELIVERY_STATUSES.map((key) => {
+			const count = deliveryStats[key] || 0;
+			return [key, { count, rate: Math.round((count / sent) * 100) }];
+		})
+	);
+};
@@ -12,6 +12,11 @@ import {
 	Timestamp,
 } from "firebase/firestore";
 import { db } from "../config/firebase";
+import {
+	getContentOwner,
+	assertContentOwnership,
+} from "../utils/contentOwnership";
+import { recordAuditLog, AUDIT_ACTIONS } from "./auditLog";
 
 const EMAILS_COLLECTION = "emails";
 
@@ -79,6 +84,7 @@ export const createEmail = async (emailData) => {
 	try {
 		const dataToSave = {
 			...emailData,
+			createdBy: await getContentOwner(),
 			status: emailData.status || "draft",
 			recipients: 0,
 			createdAt: serverTimestamp(),
@@ -92,6 +98,14 @@ export const createEmail = async (emailData) => {
 
 		const docRef = await addDoc(collection(db, EMAILS_COLLECTION), dataToSave);
 
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.CREATE,
+			resource: "emails",
+			resourceId: docRef.id,
+			label: emailData.subject,
+			after: emailData,
+		});
+
 		return docRef.id;
 	} catch (error) {
 		console.error("Error creating email:", error);
@@ -101,14 +115,20 @@ export const createEmail = async (emailData) => {
 
 /**
  * Update an existing email
+ * Only the creator can do this when their role is limited to own content
  * @param {string} id - Email document ID
  * @param {Object} emailData - Updated email data
  * @returns {Promise<void>}
  */
 export const updateEmail = async (id, emailData) => {
 	try {
+		const existing = await getEmailById(id);
+		await assertContentOwnership("emails", "edit", existing);
+
+		// The creator is set once at creation and never changes
+		const { createdBy, ...fields } = emailData;
 		const dataToUpdate = {
-			...emailData,
+			...fields,
 			updatedAt: serverTimestamp(),
 		};
 
@@ -119,6 +139,15 @@ export const updateEmail = async (id, emailData) => {
 
 		const docRef = doc(db, EMAILS_COLLECTION, id);
 		await updateDoc(docRef, dataToUpdate);
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.UPDATE,
+			resource: "emails",
+			resourceId: id,
+			label: fields.subject || existing.subject,
+			before: existing,
+			after: { ...existing, ...fields },
+		});
 	} catch (error) {
 		console.error("Error updating email:", error);
 		throw error;
@@ -127,13 +156,25 @@ export const updateEmail = async (id, emailData) => {
 
 /**
  * Delete an email
+ * Only the creator can do this when their role is limited to own content
  * @param {string} id - Email document ID
  * @returns {Promise<void>}
  */
 export const deleteEmail = async (id) => {
 	try {
+		const existing = await getEmailById(id);
+		await assertContentOwnership("emails", "delete", existing);
+
 		const docRef = doc(db, EMAILS_COLLECTION, id);
 		await deleteDoc(docRef);
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.DELETE,
+			resource: "emails",
+			resourceId: id,
+			label: existing.subject,
+			before: existing,
+		});
 	} catch (error) {
 		console.error("Error deleting email:", error);
 		throw error;
@@ -144,10 +185,12 @@ export const deleteEmail = async (id) => {
  * Mark email as published (sent)
  * @param {string} id - Email document ID
  * @param {number} recipients - Number of recipients
+ * @param {Object} actor - Optional { uid, email } of who sent it, for the audit log
  * @returns {Promise<void>}
  */
-export const markEmailAsSent = async (id, recipients) => {
+export const markEmailAsSent = async (id, recipients, actor = null) => {
 	try {
+		const existing = await getEmailById(id);
 		const docRef = doc(db, EMAILS_COLLECTION, id);
 		await updateDoc(docRef, {
 			status: "published",
@@ -155,6 +198,16 @@ export const markEmailAsSent = async (id, recipients) => {
 			publishedAt: serverTimestamp(),
 			updatedAt: serverTimestamp(),
 		});
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.SEND,
+			resource: "emails",
+			resourceId: id,
+			label: existing.subject,
+			actor,
+			before: { status: existing.status, recipients: existing.recipients },
+			after: { status: "published", recipients },
+		});
 	} catch (error) {
 		console.error("Error marking email as sent:", error);
 		throw error;
@@ -155,6 +155,8 @@ export const exportDataToCSV = (dataType, data) => {
 			subscriptionId: "Subscription ID",
 			planName: "Plan Name",
 			status: "Status",
+			graceEndsAt: "Grace Ends At",
+			trialEndsAt: "Trial Ends At",
 			createdAt: "Created At",
 		},
 		payments: {
@@ -207,6 +209,16 @@ export const exportDataToCSV = (dataType, data) => {
 			lastVisit: "Last Visit",
 			visitCount: "Visit Count",
 		},
+		auditLogs: {
+			id: "ID",
+			timestamp: "Timestamp",
+			actor: "Actor",
+			action: "Action",
+			resource: "Resource",
+			resourceId: "Resource ID",
+			label: "Item",
+			changes: "Changes",
+		},
 	};
 
 	const fieldMap = fieldMappings[dataType] || {};
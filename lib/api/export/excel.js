@@ -136,6 +136,7 @@ export const exportDataToExcel = async (dataType, data) => {
 		messages: "Messages",
 		waitlist: "Waitlist",
 		analytics: "Analytics",
+		auditLogs: "Audit Log",
 	};
 
 	return exportToExcel(data, {
@@ -169,6 +169,7 @@ export const exportDataToPDF = (dataType, data) => {
 		messages: "Messages Export",
 		waitlist: "Waitlist Export",
 		analytics: "Analytics Export",
+		auditLogs: "Audit Log Export",
 	};
 
 	return exportToPDF(data, {
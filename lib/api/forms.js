@@ -10,8 +10,10 @@ import {
 	orderBy,
 	where,
 	serverTimestamp,
+	getCountFromServer,
 } from "firebase/firestore";
 import { db } from "../config/firebase";
+import { recordAuditLog, AUDIT_ACTIONS } from "./auditLog";
 
 const FORMS_COLLECTION = "forms";
 const FORM_SUBMISSIONS_COLLECTION = "formSubmissions";
@@ -92,15 +94,33 @@ export const getFormById = async (idOrSlug) => {
 };
 
 /**
- * Create a new form
+ * Count all forms, for the plan's form limit
+ * @returns {Promise<number>} Number of forms
+ */
+export const countForms = async () => {
+	try {
+		const snapshot = await getCountFromServer(
+			collection(db, FORMS_COLLECTION)
+		);
+		return snapshot.data().count;
+	} catch (error) {
+		console.error("Error counting forms:", error);
+		throw error;
+	}
+};
+
+/**
+ * Create a new form. The admin UI goes through POST /api/forms, which
+ * checks the plan's form limit first.
  * @param {Object} formData - Form data object
  * @param {string} formData.title - Form title
  * @param {string} formData.description - Form description
  * @param {Array} formData.fields - Array of form fields
  * @param {boolean} formData.isPublished - Whether form is published
+ * @param {Object} actor - Optional { uid, email } of who created it, for the audit log
  * @returns {Promise<string>} Document ID of created form
  */
-export const createForm = async (formData) => {
+export const createForm = async (formData, actor = null) => {
 	try {
 		const dataToSave = {
 			title: formData.title || "Untitled Form",
@@ -114,6 +134,15 @@ export const createForm = async (formData) => {
 
 		const docRef = await addDoc(collection(db, FORMS_COLLECTION), dataToSave);
 
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.CREATE,
+			resource: "forms",
+			resourceId: docRef.id,
+			label: dataToSave.title,
+			actor,
+			after: dataToSave,
+		});
+
 		return docRef.id;
 	} catch (error) {
 		console.error("Error creating form:", error);
@@ -140,8 +169,22 @@ export const updateForm = async (id, formData) => {
 			dataToUpdate.formSlug = generateSlug(formData.title);
 		}
 
+		const existing = await getFormById(id);
 		const docRef = doc(db, FORMS_COLLECTION, id);
 		await updateDoc(docRef, dataToUpdate);
+
+		const { updatedAt, ...changedFields } = dataToUpdate;
+		await recordAuditLog({
+			action:
+				changedFields.isPublished && !existing.isPublished
+					? AUDIT_ACTIONS.PUBLISH
+					: AUDIT_ACTIONS.UPDATE,
+			resource: "forms",
+			resourceId: id,
+			label: changedFields.title || existing.title,
+			before: existing,
+			after: { ...existing, ...changedFields },
+		});
 	} catch (error) {
 		console.error("Error updating form:", error);
 		throw error;
@@ -155,8 +198,17 @@ export const updateForm = async (id, formData) => {
  */
 export const deleteForm = async (id) => {
 	try {
+		const existing = await getFormById(id);
 		const docRef = doc(db, FORMS_COLLECTION, id);
 		await deleteDoc(docRef);
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.DELETE,
+			resource: "forms",
+			resourceId: id,
+			label: existing.title,
+			before: existing,
+		});
 	} catch (error) {
 		console.error("Error deleting form:", error);
 		throw error;
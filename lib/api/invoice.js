@@ -3,16 +3,151 @@ import {
 	doc,
 	getDoc,
 	getDocs,
-	addDoc,
-	updateDoc,
 	deleteDoc,
 	query,
+	where,
+	limit,
 	orderBy,
+	runTransaction,
 	serverTimestamp,
 } from "firebase/firestore";
 import { db } from "../config/firebase";
+import { recordAuditLog, AUDIT_ACTIONS } from "./auditLog";
+import { authFetch } from "../utils/authFetch";
 
 const INVOICES_COLLECTION = "invoices";
+// One document per year holding the last number used: { year, lastSequence }
+const INVOICE_COUNTERS_COLLECTION = "invoiceCounters";
+const INVOICE_NUMBER_PREFIX = "INV";
+// Public page of an invoice, /invoices/[publicToken]
+const INVOICE_PAGE_PATH = "/invoices";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Stored statuses are draft, sent, paid and void; overdue is derived from
+ * the due date of a sent invoice (see getInvoiceStatus)
+ */
+export const INVOICE_STATUSES = ["draft", "sent", "overdue", "paid", "void"];
+
+const toDate = (value) => {
+	if (!value) return null;
+	const date = value.toDate ? value.toDate() : new Date(value);
+	return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Effective status of an invoice. Invoices saved before drafts existed
+ * use "unpaid", which reads as sent.
+ * @param {Object} invoice - Invoice document
+ * @param {Date} now - Current time (default: new Date())
+ * @returns {string} One of INVOICE_STATUSES
+ */
+export const getInvoiceStatus = (invoice, now = new Date()) => {
+	const status =
+		!invoice.status || invoice.status === "unpaid" ? "sent" : invoice.status;
+	if (status !== "sent" && status !== "overdue") return status;
+
+	// Overdue once the whole due day has passed
+	const dueDate = toDate(invoice.dueDate);
+	return dueDate && now.getTime() >= dueDate.getTime() + DAY_MS
+		? "overdue"
+		: "sent";
+};
+
+/**
+ * Whether an invoice is issued and still waiting for payment
+ * @param {Object} invoice - Invoice document
+ * @returns {boolean} True when sent or overdue
+ */
+export const isInvoiceOutstanding = (invoice) =>
+	["sent", "overdue"].includes(getInvoiceStatus(invoice));
+
+/**
+ * Whether an invoice can be deleted. Numbered invoices are voided instead,
+ * so the numbering stays gapless.
+ * @param {Object} invoice - Invoice document
+ * @returns {boolean} True for drafts and invoices numbered by hand
+ */
+export const canDeleteInvoice = (invoice) => !invoice.numberSequence;
+
+/**
+ * Link to the public page of an invoice, where the client can view and pay
+ * it. Invoices get their token when they are first emailed.
+ * @param {Object} invoice - Invoice document
+ * @param {string} baseUrl - Site URL (default: NEXT_PUBLIC_SITE_URL)
+ * @returns {string|null} Absolute URL, or null without a token or base URL
+ */
+export const getInvoicePublicUrl = (
+	invoice,
+	baseUrl = process.env.NEXT_PUBLIC_SITE_URL
+) =>
+	invoice.publicToken && baseUrl
+		? `${baseUrl.replace(/\/$/, "")}${INVOICE_PAGE_PATH}/${invoice.publicToken}`
+		: null;
+
+/**
+ * Format a sequential invoice number, e.g. INV-2026-0042
+ * @param {number} year - Numbering year
+ * @param {number} sequence - Position in the year's sequence
+ * @returns {string} Invoice number
+ */
+export const formatInvoiceNumber = (year, sequence) =>
+	`${INVOICE_NUMBER_PREFIX}-${year}-${String(sequence).padStart(4, "0")}`;
+
+// Drafts get their number when they are issued (sent or paid)
+const needsInvoiceNumber = (invoice) =>
+	["sent", "paid"].includes(invoice.status) && !invoice.invoiceNumber;
+
+/**
+ * Take the next number of the invoice year's sequence. Runs in the
+ * transaction that saves the invoice, so a number is only used up when
+ * the invoice carrying it is written.
+ */
+const reserveInvoiceNumber = async (transaction, invoice) => {
+	const year = (toDate(invoice.invoiceDate) || new Date()).getFullYear();
+	const counterRef = doc(db, INVOICE_COUNTERS_COLLECTION, String(year));
+	const counterSnap = await transaction.get(counterRef);
+	const sequence =
+		(counterSnap.exists() ? counterSnap.data().lastSequence || 0 : 0) + 1;
+
+	transaction.set(counterRef, {
+		year,
+		lastSequence: sequence,
+		updatedAt: serverTimestamp(),
+	});
+
+	return {
+		invoiceNumber: formatInvoiceNumber(year, sequence),
+		numberYear: year,
+		numberSequence: sequence,
+	};
+};
+
+/**
+ * Apply changes to an invoice, numbering it if it leaves draft
+ * @returns {Promise<Object>} { existing, numbering }
+ */
+const applyInvoiceChanges = (id, changes) =>
+	runTransaction(db, async (transaction) => {
+		const docRef = doc(db, INVOICES_COLLECTION, id);
+		const docSnap = await transaction.get(docRef);
+		if (!docSnap.exists()) {
+			throw new Error("Invoice not found");
+		}
+
+		const existing = { id: docSnap.id, ...docSnap.data() };
+		const numbering = needsInvoiceNumber({ ...existing, ...changes })
+			? await reserveInvoiceNumber(transaction, { ...existing, ...changes })
+			: {};
+
+		transaction.update(docRef, {
+			...changes,
+			...numbering,
+			updatedAt: serverTimestamp(),
+		});
+
+		return { existing, numbering };
+	});
 
 /**
  * Get all invoices from Firestore
@@ -97,17 +232,65 @@ export const getInvoiceById = async (id) => {
 };
 
 /**
- * Create a new invoice
+ * Get the invoice behind a public link
+ * @param {string} token - The invoice's publicToken
+ * @returns {Promise<Object|null>} Invoice document, or null if not found
+ */
+export const getInvoiceByPublicToken = async (token) => {
+	if (!token) return null;
+
+	try {
+		const querySnapshot = await getDocs(
+			query(
+				collection(db, INVOICES_COLLECTION),
+				where("publicToken", "==", token),
+				limit(1)
+			)
+		);
+		if (querySnapshot.empty) return null;
+
+		const docSnap = querySnapshot.docs[0];
+		return { id: docSnap.id, ...docSnap.data() };
+	} catch (error) {
+		console.error("Error getting invoice by token:", error);
+		throw error;
+	}
+};
+
+/**
+ * Create a new invoice. Invoices created as anything but a draft get the
+ * next number of their year (INV-YYYY-NNNN).
  * @param {Object} invoiceData - Invoice data object
  * @returns {Promise<string>} Document ID of created invoice
  */
 export const createInvoice = async (invoiceData) => {
 	try {
-		const docRef = await addDoc(collection(db, INVOICES_COLLECTION), {
+		const docRef = doc(collection(db, INVOICES_COLLECTION));
+		const data = {
 			...invoiceData,
-			status: invoiceData.status || "unpaid",
-			createdAt: serverTimestamp(),
-			updatedAt: serverTimestamp(),
+			status: invoiceData.status || "draft",
+			currency: invoiceData.currency || "usd",
+		};
+
+		const numbering = await runTransaction(db, async (transaction) => {
+			const numbering = needsInvoiceNumber(data)
+				? await reserveInvoiceNumber(transaction, data)
+				: {};
+			transaction.set(docRef, {
+				...data,
+				...numbering,
+				createdAt: serverTimestamp(),
+				updatedAt: serverTimestamp(),
+			});
+			return numbering;
+		});
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.CREATE,
+			resource: "invoices",
+			resourceId: docRef.id,
+			label: numbering.invoiceNumber || data.invoiceNumber || "Draft invoice",
+			after: { ...data, ...numbering },
 		});
 
 		return docRef.id;
@@ -125,10 +308,21 @@ export const createInvoice = async (invoiceData) => {
  */
 export const updateInvoice = async (id, invoiceData) => {
 	try {
-		const docRef = doc(db, INVOICES_COLLECTION, id);
-		await updateDoc(docRef, {
-			...invoiceData,
-			updatedAt: serverTimestamp(),
+		const { existing, numbering } = await applyInvoiceChanges(
+			id,
+			invoiceData
+		);
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.UPDATE,
+			resource: "invoices",
+			resourceId: id,
+			label:
+				numbering.invoiceNumber ||
+				invoiceData.invoiceNumber ||
+				existing.invoiceNumber,
+			before: existing,
+			after: { ...existing, ...invoiceData, ...numbering },
 		});
 	} catch (error) {
 		console.error("Error updating invoice:", error);
@@ -137,31 +331,78 @@ export const updateInvoice = async (id, invoiceData) => {
 };
 
 /**
- * Delete an invoice
+ * Delete an invoice. Numbered invoices can only be voided.
  * @param {string} id - Invoice document ID
  * @returns {Promise<void>}
  */
 export const deleteInvoice = async (id) => {
 	try {
+		const existing = await getInvoiceById(id);
+		if (!canDeleteInvoice(existing)) {
+			throw new Error(
+				`Invoice ${existing.invoiceNumber} is numbered and can only be voided`
+			);
+		}
 		const docRef = doc(db, INVOICES_COLLECTION, id);
 		await deleteDoc(docRef);
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.DELETE,
+			resource: "invoices",
+			resourceId: id,
+			label: existing.invoiceNumber,
+			before: existing,
+		});
 	} catch (error) {
 		console.error("Error deleting invoice:", error);
 		throw error;
 	}
 };
 
+/**
+ * Move an invoice to a stored status, numbering it if it leaves draft
+ */
+const setInvoiceStatus = async (id, status, extra = {}) => {
+	const { existing, numbering } = await applyInvoiceChanges(id, {
+		status,
+		...extra,
+	});
+
+	await recordAuditLog({
+		action: AUDIT_ACTIONS.UPDATE,
+		resource: "invoices",
+		resourceId: id,
+		label: numbering.invoiceNumber || existing.invoiceNumber,
+		before: { status: existing.status },
+		after: { status, ...numbering },
+	});
+};
+
+/**
+ * Mark invoice as sent (issues a draft)
+ * @param {string} id - Invoice document ID
+ * @returns {Promise<void>}
+ */
+export const markInvoiceAsSent = async (id) => {
+	try {
+		await setInvoiceStatus(id, "sent", { sentAt: serverTimestamp() });
+	} catch (error) {
+		console.error("Error marking invoice as sent:", error);
+		throw error;
+	}
+};
+
 /**
  * Mark invoice as paid
  * @param {string} id - Invoice document ID
+ * @param {Object} payment - Optional { orderId } of the Polar order that paid it
  * @returns {Promise<void>}
  */
-export const markInvoiceAsPaid = async (id) => {
+export const markInvoiceAsPaid = async (id, payment = {}) => {
 	try {
-		const docRef = doc(db, INVOICES_COLLECTION, id);
-		await updateDoc(docRef, {
-			status: "paid",
-			updatedAt: serverTimestamp(),
+		await setInvoiceStatus(id, "paid", {
+			paidAt: serverTimestamp(),
+			...(payment.orderId && { paidOrderId: payment.orderId }),
 		});
 	} catch (error) {
 		console.error("Error marking invoice as paid:", error);
@@ -170,19 +411,79 @@ export const markInvoiceAsPaid = async (id) => {
 };
 
 /**
- * Mark invoice as unpaid
+ * Mark invoice as unpaid: back to sent (overdue once past its due date)
  * @param {string} id - Invoice document ID
  * @returns {Promise<void>}
  */
 export const markInvoiceAsUnpaid = async (id) => {
 	try {
-		const docRef = doc(db, INVOICES_COLLECTION, id);
-		await updateDoc(docRef, {
-			status: "unpaid",
-			updatedAt: serverTimestamp(),
-		});
+		await setInvoiceStatus(id, "sent", { paidAt: null });
 	} catch (error) {
 		console.error("Error marking invoice as unpaid:", error);
 		throw error;
 	}
 };
+
+/**
+ * Void an invoice. It keeps its number but is no longer payable.
+ * @param {string} id - Invoice document ID
+ * @returns {Promise<void>}
+ */
+export const voidInvoice = async (id) => {
+	try {
+		await setInvoiceStatus(id, "void", { voidedAt: serverTimestamp() });
+	} catch (error) {
+		console.error("Error voiding invoice:", error);
+		throw error;
+	}
+};
+
+/**
+ * Call an invoice API route and return its JSON, throwing its error message
+ */
+const invoiceRequest = async (url, options = {}, fetcher = fetch) => {
+	const response = await fetcher(url, {
+		...options,
+		headers: {
+			"Content-Type": "application/json",
+			...(options.headers || {}),
+		},
+	});
+
+	const data = await response.json();
+	if (!response.ok) {
+		throw new Error(data.error || "Invoice request failed");
+	}
+	return data;
+};
+
+/**
+ * Email an invoice with its PDF and pay link (issues drafts first)
+ * @param {string} id - Invoice document ID
+ * @returns {Promise<Object>} { success, invoiceNumber, payUrl }
+ */
+export const sendInvoice = (id) =>
+	invoiceRequest(
+		"/api/invoices/send",
+		{ method: "POST", body: JSON.stringify({ invoiceId: id }) },
+		authFetch
+	);
+
+/**
+ * Get the public view of an invoice from its link token
+ * @param {string} token - The invoice's publicToken
+ * @returns {Promise<Object>} Invoice as shown to its recipient
+ */
+export const getPublicInvoice = async (token) =>
+	(await invoiceRequest(`/api/invoices/public/${encodeURIComponent(token)}`))
+		.invoice;
+
+/**
+ * Start a Polar checkout for an invoice from its link token
+ * @param {string} token - The invoice's publicToken
+ * @returns {Promise<Object>} { checkoutUrl, checkoutId }
+ */
+export const payInvoice = (token) =>
+	invoiceRequest(`/api/invoices/public/${encodeURIComponent(token)}/pay`, {
+		method: "POST",
+	});
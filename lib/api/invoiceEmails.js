@@ -0,0 +1,257 @@
+import { Resend } from "resend";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { increment } from "firebase/firestore";
+import {
+	getInvoiceById,
+	getInvoiceStatus,
+	getInvoicePublicUrl,
+	markInvoiceAsSent,
+	updateInvoice,
+} from "./invoice";
+import { createInvoicePDF } from "../utils/invoicePdf";
+import { formatInvoiceAmount } from "../utils/invoiceTotals";
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+
+/**
+ * Fill the template's {{#if actionUrl}} button, or drop it without a URL
+ */
+const fillActionButton = (htmlContent, actionUrl, actionLabel) =>
+	htmlContent.replace(
+		/\{\{#if actionUrl\}\}([\s\S]*?)\{\{\/if\}\}/g,
+		(match, block) =>
+			actionUrl
+				? block
+						.replace(/\{\{actionUrl\}\}/g, actionUrl)
+						.replace(/\{\{actionLabel\}\}/g, actionLabel)
+				: ""
+	);
+
+const formatDueDate = (dueDate) => {
+	const date = dueDate instanceof Date ? dueDate : new Date(dueDate);
+	return date.toLocaleDateString("en-US", {
+		year: "numeric",
+		month: "long",
+		day: "numeric",
+	});
+};
+
+/**
+ * Email an invoice to its recipient with the PDF attached
+ * @param {Object} params - Email parameters
+ * @param {Object} params.invoice - Invoice document (issued, with a number)
+ * @param {Buffer} params.pdf - Invoice PDF
+ * @param {string} params.payUrl - Public invoice page, where it can be paid (optional)
+ * @returns {Promise<Object>} Resend API response
+ */
+export async function sendInvoiceEmail({ invoice, pdf, payUrl = null }) {
+	try {
+		const htmlPath = path.join(
+			process.cwd(),
+			"public",
+			"html",
+			"send-invoice-email.html"
+		);
+		let htmlContent = fs.readFileSync(htmlPath, "utf-8");
+
+		const currency = invoice.currency || "usd";
+		const dueDate = invoice.dueDate?.toDate
+			? invoice.dueDate.toDate()
+			: invoice.dueDate;
+		const from = invoice.from?.name ? ` from ${invoice.from.name}` : "";
+		const invoiceMessage = dueDate
+			? `Please find attached invoice ${invoice.invoiceNumber}${from}, due on ${formatDueDate(dueDate)}.`
+			: `Please find attached invoice ${invoice.invoiceNumber}${from}.`;
+
+		htmlContent = htmlContent.replace(
+			/\{\{invoiceMessage\}\}/g,
+			invoiceMessage
+		);
+		htmlContent = htmlContent.replace(
+			/\{\{customerName\}\}/g,
+			invoice.to?.name || "Customer"
+		);
+		htmlContent = htmlContent.replace(
+			/\{\{invoiceNumber\}\}/g,
+			invoice.invoiceNumber || "N/A"
+		);
+		htmlContent = htmlContent.replace(
+			/\{\{amount\}\}/g,
+			formatInvoiceAmount(invoice.total, currency)
+		);
+		htmlContent = htmlContent.replace(
+			/\{\{currency\}\}/g,
+			currency.toUpperCase()
+		);
+		htmlContent = htmlContent.replace(
+			/\{\{dueDate\}\}/g,
+			dueDate ? formatDueDate(dueDate) : "On receipt"
+		);
+		htmlContent = fillActionButton(
+			htmlContent,
+			payUrl,
+			"View and pay invoice"
+		);
+
+		// Remove any remaining placeholder syntax
+		htmlContent = htmlContent.replace(/\{\{[^}]+\}\}/g, "");
+
+		const { data, error } = await resend.emails.send({
+			from: process.env.RESEND_FROM_EMAIL || "connect@ihatereading.in",
+			to: [invoice.to.email],
+			subject: `Invoice ${invoice.invoiceNumber}${from}`,
+			html: htmlContent,
+			attachments: [
+				{
+					filename: `invoice-${invoice.invoiceNumber}.pdf`,
+					content: pdf,
+				},
+			],
+		});
+
+		if (error) {
+			throw new Error(error.message || "Failed to send invoice");
+		}
+
+		console.log("Invoice email sent:", data);
+		return data;
+	} catch (error) {
+		console.error("Error sending invoice email:", error);
+		throw error;
+	}
+}
+
+/**
+ * Send a payment reminder for a sent or overdue invoice
+ * @param {Object} params - Email parameters
+ * @param {string} params.customerEmail - Customer email address
+ * @param {string} params.customerName - Customer name
+ * @param {string} params.invoiceNumber - Invoice number
+ * @param {number} params.amount - Amount due (in major units, e.g. dollars)
+ * @param {string} params.currency - Invoice currency
+ * @param {Date|string} params.dueDate - Invoice due date
+ * @param {boolean} params.isOverdue - Whether the due date has passed
+ * @param {string} params.payUrl - Public invoice page, where it can be paid (optional)
+ * @returns {Promise<Object>} Resend API response
+ */
+export async function sendInvoiceReminderEmail({
+	customerEmail,
+	customerName = "Customer",
+	invoiceNumber,
+	amount,
+	currency = "usd",
+	dueDate,
+	isOverdue = false,
+	payUrl = null,
+}) {
+	try {
+		// Read HTML template
+		const htmlPath = path.join(
+			process.cwd(),
+			"public",
+			"html",
+			"send-invoice-reminder-email.html"
+		);
+		let htmlContent = fs.readFileSync(htmlPath, "utf-8");
+
+		const formattedDueDate = formatDueDate(dueDate);
+
+		const reminderTitle = isOverdue ? "Invoice Overdue" : "Payment Reminder";
+		const reminderMessage = isOverdue
+			? `Our records show that invoice ${invoiceNumber} was due on ${formattedDueDate} and is still unpaid. Please arrange payment at your earliest convenience.`
+			: `This is a friendly reminder that invoice ${invoiceNumber} is due on ${formattedDueDate}.`;
+
+		// Replace placeholders with actual values
+		htmlContent = htmlContent.replace(/\{\{reminderTitle\}\}/g, reminderTitle);
+		htmlContent = htmlContent.replace(
+			/\{\{reminderMessage\}\}/g,
+			reminderMessage
+		);
+		htmlContent = htmlContent.replace(
+			/\{\{customerName\}\}/g,
+			customerName || "Customer"
+		);
+		htmlContent = htmlContent.replace(
+			/\{\{invoiceNumber\}\}/g,
+			invoiceNumber || "N/A"
+		);
+		htmlContent = htmlContent.replace(
+			/\{\{amount\}\}/g,
+			formatInvoiceAmount(amount, currency)
+		);
+		htmlContent = htmlContent.replace(
+			/\{\{currency\}\}/g,
+			currency.toUpperCase()
+		);
+		htmlContent = htmlContent.replace(/\{\{dueDate\}\}/g, formattedDueDate);
+		htmlContent = fillActionButton(htmlContent, payUrl, "Pay invoice");
+
+		// Remove any remaining placeholder syntax
+		htmlContent = htmlContent.replace(/\{\{[^}]+\}\}/g, "");
+
+		// Send email using Resend
+		const { data, error } = await resend.emails.send({
+			from: process.env.RESEND_FROM_EMAIL || "connect@ihatereading.in",
+			to: [customerEmail],
+			subject: isOverdue
+				? `Overdue: Invoice ${invoiceNumber}`
+				: `Reminder: Invoice ${invoiceNumber} is due ${formattedDueDate}`,
+			html: htmlContent,
+		});
+
+		if (error) {
+			throw new Error(error.message || "Failed to send invoice reminder");
+		}
+
+		console.log("Invoice reminder email sent:", data);
+		return data;
+	} catch (error) {
+		console.error("Error sending invoice reminder email:", error);
+		throw error;
+	}
+}
+
+/**
+ * Email an invoice to its recipient with the PDF attached and a link to
+ * its public page. Drafts are issued (numbered and marked sent) first, and
+ * the invoice gets its public token the first time it is sent.
+ * @param {string} invoiceId - Invoice document ID
+ * @param {string} baseUrl - Site URL for the pay link (default: NEXT_PUBLIC_SITE_URL)
+ * @returns {Promise<Object>} { invoice, payUrl }
+ */
+export async function deliverInvoice(
+	invoiceId,
+	baseUrl = process.env.NEXT_PUBLIC_SITE_URL
+) {
+	let invoice = await getInvoiceById(invoiceId);
+	if (getInvoiceStatus(invoice) === "void") {
+		throw new Error("Void invoices can't be sent");
+	}
+	if (!invoice.to?.email) {
+		throw new Error("Invoice recipient email is missing");
+	}
+
+	if (getInvoiceStatus(invoice) === "draft") {
+		await markInvoiceAsSent(invoiceId);
+	}
+	if (!invoice.publicToken) {
+		await updateInvoice(invoiceId, {
+			publicToken: crypto.randomBytes(24).toString("base64url"),
+		});
+	}
+
+	// Read it back for the number and token assigned above
+	invoice = await getInvoiceById(invoiceId);
+	const pdf = Buffer.from(createInvoicePDF(invoice).output("arraybuffer"));
+	const payUrl = getInvoicePublicUrl(invoice, baseUrl);
+
+	await sendInvoiceEmail({ invoice, pdf, payUrl });
+	await updateInvoice(invoiceId, {
+		lastSentAt: new Date(),
+		sentCount: increment(1),
+	});
+
+	return { invoice, payUrl };
+}
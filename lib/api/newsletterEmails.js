@@ -0,0 +1,227 @@
+import { Resend } from "resend";
+import { createUnsubscribeToken } from "../utils/unsubscribeToken";
+import {
+	createMergeTagResolver,
+	hasMergeTag,
+	parseMergeTags,
+	renderMergeTags,
+	validateMergeTags,
+} from "../utils/mergeTags";
+import { getAllUsers } from "./users";
+import { getAllCustomers } from "./customers";
+import { getActiveSubscribers } from "./subscribers";
+import { getSegmentRecipients } from "./segments";
+import { recordEmailDeliveries, CAMPAIGN_TAG } from "./emailDeliveries";
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+
+// Resend accepts up to 100 separate emails per batch request
+const BATCH_SIZE = 100;
+// Public page where a subscriber confirms unsubscribing, /unsubscribe/[token]
+const UNSUBSCRIBE_PAGE_PATH = "/unsubscribe";
+// RFC 8058 one-click endpoint mail clients POST to
+const ONE_CLICK_UNSUBSCRIBE_PATH = "/api/emails/unsubscribe";
+
+/**
+ * Unsubscribe links of a subscriber
+ * @param {Object} subscriber - Subscriber document ({ id })
+ * @param {string} baseUrl - Site URL
+ * @returns {Object} { pageUrl, oneClickUrl }
+ */
+export const getUnsubscribeUrls = (subscriber, baseUrl) => {
+	const token = createUnsubscribeToken(subscriber.id);
+	const siteUrl = baseUrl.replace(/\/$/, "");
+	return {
+		pageUrl: `${siteUrl}${UNSUBSCRIBE_PAGE_PATH}/${token}`,
+		oneClickUrl: `${siteUrl}${ONE_CLICK_UNSUBSCRIBE_PATH}/${token}`,
+	};
+};
+
+/**
+ * Add the unsubscribe footer to a newsletter, inside <body> when the
+ * content is a full document
+ */
+const addUnsubscribeFooter = (html, unsubscribeUrl) => {
+	const footer = `<p style="margin-top: 32px; font-size: 12px; line-height: 18px; color: #71717a; text-align: center;">You're receiving this email because you subscribed to our newsletter. <a href="${unsubscribeUrl}" style="color: #71717a; text-decoration: underline;">Unsubscribe</a></p>`;
+	return /<\/body>/i.test(html)
+		? html.replace(/<\/body>/i, `${footer}</body>`)
+		: `${html}${footer}`;
+};
+
+/**
+ * Merge tag resolver for a campaign. Users and customers are only loaded
+ * when the campaign uses a tag that needs them and they weren't passed in.
+ */
+const loadMergeTagResolver = async (texts, records = {}) => {
+	const needsRecords = texts
+		.flatMap((text) => parseMergeTags(text))
+		.some((tag) => ["name", "plan"].includes(tag.key));
+	if (!needsRecords || (records.users && records.customers)) {
+		return createMergeTagResolver(records);
+	}
+
+	const [users, customers] = await Promise.all([
+		getAllUsers(),
+		getAllCustomers(),
+	]);
+	return createMergeTagResolver({ ...records, users, customers });
+};
+
+/**
+ * Send a campaign as one email per recipient, with its merge tags
+ * resolved for that recipient. Recipients with a subscriberId get their
+ * unsubscribe link: as {{unsubscribe_url}}, in a footer when the content
+ * doesn't use that tag, and in RFC 8058 List-Unsubscribe headers so mail
+ * clients can offer one-click unsubscribe. Others get the tag's fallback.
+ * With a campaignId, every email sent is recorded so Resend webhook events
+ * can update its delivery status (see lib/api/emailDeliveries.js).
+ * @param {Object} params - Campaign parameters
+ * @param {string} params.subject - Email subject
+ * @param {string} params.content - Email HTML
+ * @param {Array} params.recipients - [{ email, name?, subscriberId? }]
+ * @param {Object} params.records - { subscribers, users, customers } to resolve merge tags from (optional)
+ * @param {string} params.campaignId - Email campaign document ID to track deliveries for (optional)
+ * @param {string} params.baseUrl - Site URL for unsubscribe links (default: NEXT_PUBLIC_SITE_URL)
+ * @param {Function} params.beforeBatch - Optional: async () => void called before each batch; throwing stops the campaign
+ * @returns {Promise<Object>} { successCount, errorCount, batches: [{ batchNumber, recipients, status, error? }] }
+ * @throws {Error} When the campaign uses unknown merge tags
+ */
+export async function sendCampaignEmails({
+	subject,
+	content,
+	recipients,
+	records = {},
+	campaignId = null,
+	baseUrl = process.env.NEXT_PUBLIC_SITE_URL,
+	beforeBatch = null,
+}) {
+	const mergeTagError = validateMergeTags(subject, content);
+	if (mergeTagError) {
+		throw new Error(mergeTagError);
+	}
+	const targets = recipients.filter((recipient) => recipient.email);
+	if (!baseUrl && targets.some((recipient) => recipient.subscriberId)) {
+		throw new Error("NEXT_PUBLIC_SITE_URL is not configured");
+	}
+
+	const from = process.env.RESEND_FROM_EMAIL || "connect@ihatereading.in";
+	const resolveMergeTags = await loadMergeTagResolver(
+		[subject, content],
+		records
+	);
+	const hasUnsubscribeTag = hasMergeTag(content, "unsubscribe_url");
+	const result = { successCount: 0, errorCount: 0, batches: [] };
+
+	for (let i = 0; i < targets.length; i += BATCH_SIZE) {
+		const batch = targets.slice(i, i + BATCH_SIZE);
+		const batchNumber = Math.floor(i / BATCH_SIZE) + 1;
+		if (beforeBatch) {
+			await beforeBatch();
+		}
+
+		try {
+			const emails = batch.map((recipient) => {
+				const urls = recipient.subscriberId
+					? getUnsubscribeUrls({ id: recipient.subscriberId }, baseUrl)
+					: null;
+				const values = resolveMergeTags(recipient, urls?.pageUrl);
+				const html = renderMergeTags(content, values);
+
+				return {
+					from,
+					to: [recipient.email],
+					subject: renderMergeTags(subject, values, { html: false }),
+					html:
+						urls && !hasUnsubscribeTag
+							? addUnsubscribeFooter(html, urls.pageUrl)
+							: html,
+					...(urls && {
+						headers: {
+							"List-Unsubscribe": `<${urls.oneClickUrl}>`,
+							"List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+						},
+					}),
+					...(campaignId && {
+						tags: [{ name: CAMPAIGN_TAG, value: campaignId }],
+					}),
+				};
+			});
+
+			const { data, error } = await resend.batch.send(emails);
+			if (error) {
+				throw new Error(error.message || "Resend error");
+			}
+
+			// Tracking must not turn a sent batch into a failed one
+			try {
+				await recordEmailDeliveries(
+					campaignId,
+					batch.map((recipient, index) => ({
+						resendId: data?.data?.[index]?.id,
+						email: recipient.email,
+						subscriberId: recipient.subscriberId,
+					}))
+				);
+			} catch (error) {
+				console.error(
+					`Error tracking campaign batch ${batchNumber} deliveries:`,
+					error
+				);
+			}
+
+			result.successCount += batch.length;
+			result.batches.push({
+				batchNumber,
+				recipients: batch.length,
+				status: "sent",
+			});
+		} catch (error) {
+			console.error(`Error sending campaign batch ${batchNumber}:`, error);
+			result.errorCount += batch.length;
+			result.batches.push({
+				batchNumber,
+				recipients: batch.length,
+				status: "failed",
+				error: error.message,
+			});
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Recipients of a campaign: all active subscribers, or the contacts of a
+ * segment. Segment contacts who are active subscribers get their
+ * unsubscribe link; users and customers who never subscribed don't.
+ * @param {string} segmentId - Segment document ID (optional)
+ * @returns {Promise<Object>} { recipients: [{ email, name, subscriberId? }], records, segment }
+ */
+export const getCampaignAudience = async (segmentId) => {
+	if (!segmentId) {
+		const subscribers = await getActiveSubscribers();
+		return {
+			recipients: subscribers.map((subscriber) => ({
+				email: subscriber.email,
+				name: subscriber.name,
+				subscriberId: subscriber.id,
+			})),
+			records: { subscribers },
+			segment: null,
+		};
+	}
+
+	const { segment, contacts, records } = await getSegmentRecipients(segmentId);
+	return {
+		recipients: contacts.map((contact) => ({
+			email: contact.email,
+			name: contact.name,
+			subscriberId:
+				contact.subscriber?.status === "active"
+					? contact.subscriber.id
+					: undefined,
+		})),
+		records,
+		segment,
+	};
+};
@@ -13,13 +13,95 @@ import {
 	updateDoc,
 	deleteDoc,
 	query,
+	where,
+	limit,
 	orderBy,
 	serverTimestamp,
 } from "firebase/firestore";
 import { db } from "../config/firebase";
+import { authFetch } from "../utils/authFetch";
+import { recordAuditLog, AUDIT_ACTIONS } from "./auditLog";
+import { getCustomerByEmail, isCustomerEntitled } from "./customers";
 
 const PRODUCTS_COLLECTION = "products";
 
+/**
+ * Entitlements a product can grant, stored on the product as
+ * entitlements: { [key]: value }
+ * - "limit": maximum count, null for unlimited
+ * - "feature": on/off flag
+ * `free` applies to visitors without an active subscription, and to any
+ * key a product doesn't set.
+ */
+export const ENTITLEMENT_DEFINITIONS = {
+	forms: { type: "limit", label: "Forms", free: 1 },
+	teamMembers: { type: "limit", label: "Team members", free: 1 },
+	customDomain: { type: "feature", label: "Custom domain", free: false },
+	prioritySupport: { type: "feature", label: "Priority support", free: false },
+};
+
+/**
+ * Entitlements of the free plan
+ * @returns {Object} Map of entitlement key -> value
+ */
+export const getFreeEntitlements = () =>
+	Object.fromEntries(
+		Object.entries(ENTITLEMENT_DEFINITIONS).map(([key, definition]) => [
+			key,
+			definition.free,
+		])
+	);
+
+/**
+ * Entitlements granted by a product, falling back to the free plan for
+ * keys it doesn't set
+ * @param {Object|null} product - Product document, null for the free plan
+ * @returns {Object} Map of entitlement key -> value
+ */
+export const resolveEntitlements = (product) => {
+	const entitlements = getFreeEntitlements();
+	Object.entries(product?.entitlements || {}).forEach(([key, value]) => {
+		if (ENTITLEMENT_DEFINITIONS[key] && value !== undefined) {
+			entitlements[key] = value;
+		}
+	});
+	return entitlements;
+};
+
+/**
+ * Check one entitlement against current usage
+ * @param {Object} entitlements - Map from resolveEntitlements()
+ * @param {string} feature - Entitlement key (see ENTITLEMENT_DEFINITIONS)
+ * @param {number} usage - Amount already used, for limits (default: 0)
+ * @returns {{ allowed: boolean, limit: number|null, remaining: number|null }}
+ *
+ * @example
+ * checkEntitlement(entitlements, "forms", formCount).allowed
+ */
+export const checkEntitlement = (entitlements, feature, usage = 0) => {
+	const definition = ENTITLEMENT_DEFINITIONS[feature];
+	if (!definition) {
+		console.warn(`Unknown entitlement: ${feature}`);
+		return { allowed: false, limit: null, remaining: null };
+	}
+
+	const value = entitlements?.[feature] ?? definition.free;
+
+	if (definition.type === "feature") {
+		return { allowed: value === true, limit: null, remaining: null };
+	}
+
+	// Limits: null means unlimited
+	if (value === null) {
+		return { allowed: true, limit: null, remaining: null };
+	}
+	return {
+		allowed: usage < value,
+		limit: value,
+		remaining: Math.max(value - usage, 0),
+	};
+};
+
 /**
  * Get all products from Firestore ONLY
  * This function ONLY fetches from Firestore products collection, NOT from Polar API
@@ -104,18 +186,71 @@ export async function getProductById(productId) {
 	}
 }
 
+/**
+ * Get a product by its Polar product ID (the planId stored on customers)
+ * @param {string} polarProductId - Polar product ID
+ * @returns {Promise<Object|null>} Product object or null
+ */
+export async function getProductByPolarId(polarProductId) {
+	if (!polarProductId) return null;
+
+	try {
+		const q = query(
+			collection(db, PRODUCTS_COLLECTION),
+			where("polarProductId", "==", polarProductId),
+			limit(1)
+		);
+		const querySnapshot = await getDocs(q);
+
+		if (querySnapshot.empty) {
+			return null;
+		}
+
+		const productDoc = querySnapshot.docs[0];
+		return {
+			id: productDoc.id,
+			...productDoc.data(),
+		};
+	} catch (error) {
+		console.error("Error getting product by Polar ID:", error);
+		throw error;
+	}
+}
+
+/**
+ * Resolve a customer's entitlements from their subscription: the plan's
+ * product while the customer is entitled (see isCustomerEntitled), the
+ * free plan otherwise
+ * @param {string} email - Customer email
+ * @returns {Promise<Object>} { planId, planName, isFree, entitlements }
+ */
+export async function getEntitlementsByEmail(email) {
+	const customer = email ? await getCustomerByEmail(email) : null;
+	const product = isCustomerEntitled(customer)
+		? await getProductByPolarId(customer.planId)
+		: null;
+
+	return {
+		planId: product ? customer.planId : null,
+		planName: product ? customer.planName || product.name : null,
+		isFree: !product,
+		entitlements: resolveEntitlements(product),
+	};
+}
+
 /**
  * Create a new product in Polar and Firestore
  * @param {Object} productData - Product data
  * @param {string} productData.name - Product name
  * @param {string} productData.description - Product description
  * @param {Array} productData.prices - Pricing information array
+ * @param {Object} productData.entitlements - Limits and feature flags (see ENTITLEMENT_DEFINITIONS)
  * @returns {Promise<Object>} Created product from Firestore
  */
 export async function createProduct(productData) {
 	try {
 		// Step 1: Create product in Polar (server-side)
-		const createResponse = await fetch("/api/polar/products/create", {
+		const createResponse = await authFetch("/api/polar/products/create", {
 			method: "POST",
 			headers: {
 				"Content-Type": "application/json",
@@ -142,7 +277,7 @@ export async function createProduct(productData) {
 		// Step 2: Create checkout link with price ID (server-side)
 		let checkoutLink = "";
 		try {
-			const checkoutResponse = await fetch(
+			const checkoutResponse = await authFetch(
 				"/api/polar/products/checkout-link",
 				{
 					method: "POST",
@@ -174,6 +309,7 @@ export async function createProduct(productData) {
 			bannerImages: productData.bannerImages || [], // Store original banner image data
 			mediaFileIds: mediaFileIds, // Store Polar file IDs
 			prices: productData.prices,
+			entitlements: productData.entitlements || {},
 			checkoutLink: checkoutLink,
 			createdAt: serverTimestamp(),
 			updatedAt: serverTimestamp(),
@@ -184,6 +320,14 @@ export async function createProduct(productData) {
 			firestoreData
 		);
 
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.CREATE,
+			resource: "products",
+			resourceId: docRef.id,
+			label: firestoreData.name,
+			after: firestoreData,
+		});
+
 		// Return the Firestore document
 		return {
 			id: docRef.id,
@@ -212,7 +356,7 @@ export async function updateProduct(productId, productData) {
 		}
 
 		// Step 1: Update product in Polar (server-side)
-		const updateResponse = await fetch("/api/polar/products/update", {
+		const updateResponse = await authFetch("/api/polar/products/update", {
 			method: "PATCH",
 			headers: {
 				"Content-Type": "application/json",
@@ -238,7 +382,7 @@ export async function updateProduct(productId, productData) {
 		// Step 2: Regenerate checkout link with updated product and price ID
 		let checkoutLink = existingProduct.checkoutLink || "";
 		try {
-			const checkoutResponse = await fetch(
+			const checkoutResponse = await authFetch(
 				"/api/polar/products/checkout-link",
 				{
 					method: "POST",
@@ -268,7 +412,16 @@ export async function updateProduct(productId, productData) {
 			description: productData.description || "",
 			bannerImages:
 				productData.bannerImages || existingProduct.bannerImages || [],
-			prices: productData.prices,
+			// Polar doesn't change the billing interval on update, so keep the stored one
+			prices: (productData.prices || []).map((price, index) => ({
+				...price,
+				recurring_interval:
+					price.recurring_interval ||
+					existingProduct.prices?.[index]?.recurring_interval ||
+					null,
+			})),
+			entitlements:
+				productData.entitlements || existingProduct.entitlements || {},
 			checkoutLink: checkoutLink,
 			updatedAt: serverTimestamp(),
 		};
@@ -280,6 +433,15 @@ export async function updateProduct(productId, productData) {
 
 		await updateDoc(docRef, firestoreUpdateData);
 
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.UPDATE,
+			resource: "products",
+			resourceId: productId,
+			label: firestoreUpdateData.name || existingProduct.name,
+			before: existingProduct,
+			after: { ...existingProduct, ...firestoreUpdateData },
+		});
+
 		// Return updated product
 		return {
 			id: productId,
@@ -306,7 +468,7 @@ export async function deleteProduct(productId) {
 		// Step 1: Delete from Polar (server-side, if polarProductId exists)
 		if (polarProductId) {
 			try {
-				const deleteResponse = await fetch("/api/polar/products/delete", {
+				const deleteResponse = await authFetch("/api/polar/products/delete", {
 					method: "DELETE",
 					headers: {
 						"Content-Type": "application/json",
@@ -331,6 +493,14 @@ export async function deleteProduct(productId) {
 		const docRef = doc(db, PRODUCTS_COLLECTION, productId);
 		await deleteDoc(docRef);
 
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.DELETE,
+			resource: "products",
+			resourceId: productId,
+			label: existingProduct.name,
+			before: existingProduct,
+		});
+
 		return;
 	} catch (error) {
 		console.error("Error deleting product:", error);
@@ -0,0 +1,395 @@
+/**
+ * Recurring invoices API
+ * Invoice templates (retainers) that the recurringInvoices CRON job turns
+ * into a new invoice every month or quarter.
+ */
+
+import {
+	collection,
+	doc,
+	getDoc,
+	getDocs,
+	addDoc,
+	updateDoc,
+	deleteDoc,
+	query,
+	where,
+	orderBy,
+	increment,
+	runTransaction,
+	serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { recordAuditLog, AUDIT_ACTIONS } from "./auditLog";
+import { calculateInvoiceTotals } from "../utils/invoiceTotals";
+
+const RECURRING_INVOICES_COLLECTION = "recurringInvoices";
+const INVOICES_COLLECTION = "invoices";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RECURRING_INVOICE_INTERVALS = [
+	{ value: "month", label: "Monthly", months: 1 },
+	{ value: "quarter", label: "Quarterly", months: 3 },
+];
+
+// Invoice fields copied from the template onto every invoice it issues
+const TEMPLATE_FIELDS = [
+	"from",
+	"to",
+	"currency",
+	"items",
+	"discount",
+	"taxRate",
+	"notes",
+	"signature",
+	"clientType",
+	"clientId",
+];
+
+const toDate = (value) => {
+	if (!value) return null;
+	const date = value.toDate ? value.toDate() : new Date(value);
+	return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Label of a recurring interval, e.g. "Monthly"
+ * @param {string} interval - Interval value
+ * @returns {string} Label
+ */
+export const getRecurringIntervalLabel = (interval) =>
+	RECURRING_INVOICE_INTERVALS.find((option) => option.value === interval)
+		?.label || interval;
+
+/**
+ * Issue date of the period after `date`. Dates keep the template's day of
+ * the month (anchorDay), moved to the month's last day when it is shorter,
+ * so a template on the 31st issues on Feb 28 and Mar 31.
+ * @param {Date} date - Current issue date
+ * @param {string} interval - "month" or "quarter"
+ * @param {number} anchorDay - Day of the month invoices are issued on
+ * @returns {Date} Next issue date (UTC midnight)
+ */
+export const getFollowingIssueDate = (date, interval, anchorDay) => {
+	const months =
+		RECURRING_INVOICE_INTERVALS.find((option) => option.value === interval)
+			?.months || 1;
+	const year = date.getUTCFullYear();
+	const month = date.getUTCMonth() + months;
+	const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+	return new Date(
+		Date.UTC(year, month, Math.min(anchorDay || date.getUTCDate(), daysInMonth))
+	);
+};
+
+/**
+ * Invoice data for one period of a template: its content with freshly
+ * calculated totals, dated issueDate and due dueInDays later. Issued as a
+ * draft; templates with autoSend are sent right after.
+ * @param {Object} template - Recurring invoice document
+ * @param {Date} issueDate - Invoice date of the period
+ * @returns {Object} Data for createInvoice
+ */
+export const buildRecurringInvoice = (template, issueDate) => {
+	const content = {};
+	TEMPLATE_FIELDS.forEach((field) => {
+		if (template[field] !== undefined) content[field] = template[field];
+	});
+	const totals = calculateInvoiceTotals(content);
+
+	return {
+		...content,
+		items: totals.items,
+		subtotal: totals.subtotal,
+		discountTotal: totals.discountTotal,
+		taxTotal: totals.taxTotal,
+		taxes: totals.taxes,
+		total: totals.total,
+		invoiceDate: issueDate,
+		dueDate:
+			template.dueInDays !== null && template.dueInDays !== undefined
+				? new Date(issueDate.getTime() + template.dueInDays * DAY_MS)
+				: null,
+		status: "draft",
+		recurringInvoiceId: template.id,
+	};
+};
+
+/**
+ * Get all recurring invoices
+ * @returns {Promise<Array>} Array of recurring invoice documents
+ */
+export const getAllRecurringInvoices = async () => {
+	try {
+		const querySnapshot = await getDocs(
+			query(
+				collection(db, RECURRING_INVOICES_COLLECTION),
+				orderBy("createdAt", "desc")
+			)
+		);
+		return querySnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+	} catch (error) {
+		console.error("Error getting recurring invoices:", error);
+		throw error;
+	}
+};
+
+/**
+ * Get a single recurring invoice by ID
+ * @param {string} id - Recurring invoice document ID
+ * @returns {Promise<Object>} Recurring invoice document
+ */
+export const getRecurringInvoiceById = async (id) => {
+	try {
+		const docSnap = await getDoc(doc(db, RECURRING_INVOICES_COLLECTION, id));
+		if (!docSnap.exists()) {
+			throw new Error("Recurring invoice not found");
+		}
+		return { id: docSnap.id, ...docSnap.data() };
+	} catch (error) {
+		console.error("Error getting recurring invoice:", error);
+		throw error;
+	}
+};
+
+/**
+ * Active recurring invoices whose next issue date has come
+ * @param {Date} now - Current time (default: new Date())
+ * @returns {Promise<Array>} Recurring invoice documents
+ */
+export const getDueRecurringInvoices = async (now = new Date()) => {
+	try {
+		const querySnapshot = await getDocs(
+			query(
+				collection(db, RECURRING_INVOICES_COLLECTION),
+				where("status", "==", "active")
+			)
+		);
+		return querySnapshot.docs
+			.map((doc) => ({ id: doc.id, ...doc.data() }))
+			.filter((template) => {
+				const nextIssueDate = toDate(template.nextIssueDate);
+				return nextIssueDate && nextIssueDate <= now;
+			});
+	} catch (error) {
+		console.error("Error getting due recurring invoices:", error);
+		throw error;
+	}
+};
+
+/**
+ * Create a recurring invoice. The first invoice is issued on nextIssueDate
+ * and the following ones on the same day of the month.
+ * @param {Object} templateData - Invoice content plus { interval, nextIssueDate, dueInDays, autoSend }
+ * @returns {Promise<string>} Document ID of created recurring invoice
+ */
+export const createRecurringInvoice = async (templateData) => {
+	try {
+		const nextIssueDate = toDate(templateData.nextIssueDate);
+		const data = {
+			...templateData,
+			nextIssueDate,
+			anchorDay: nextIssueDate.getUTCDate(),
+			status: "active",
+			issuedCount: 0,
+			lastIssuedAt: null,
+			lastInvoiceId: null,
+		};
+		const docRef = await addDoc(
+			collection(db, RECURRING_INVOICES_COLLECTION),
+			{
+				...data,
+				createdAt: serverTimestamp(),
+				updatedAt: serverTimestamp(),
+			}
+		);
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.CREATE,
+			resource: "invoices",
+			resourceId: docRef.id,
+			label: `Recurring invoice for ${data.to?.name || data.to?.email}`,
+			after: data,
+		});
+
+		return docRef.id;
+	} catch (error) {
+		console.error("Error creating recurring invoice:", error);
+		throw error;
+	}
+};
+
+/**
+ * Update a recurring invoice. A new nextIssueDate also moves the day of
+ * the month later invoices are issued on.
+ * @param {string} id - Recurring invoice document ID
+ * @param {Object} templateData - Updated fields
+ * @returns {Promise<void>}
+ */
+export const updateRecurringInvoice = async (id, templateData) => {
+	try {
+		const existing = await getRecurringInvoiceById(id);
+		const changes = { ...templateData };
+		if (templateData.nextIssueDate) {
+			changes.nextIssueDate = toDate(templateData.nextIssueDate);
+			changes.anchorDay = changes.nextIssueDate.getUTCDate();
+		}
+
+		await updateDoc(doc(db, RECURRING_INVOICES_COLLECTION, id), {
+			...changes,
+			updatedAt: serverTimestamp(),
+		});
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.UPDATE,
+			resource: "invoices",
+			resourceId: id,
+			label: `Recurring invoice for ${existing.to?.name || existing.to?.email}`,
+			before: existing,
+			after: { ...existing, ...changes },
+		});
+	} catch (error) {
+		console.error("Error updating recurring invoice:", error);
+		throw error;
+	}
+};
+
+/**
+ * Stop issuing invoices from a recurring invoice until it is resumed
+ * @param {string} id - Recurring invoice document ID
+ * @returns {Promise<void>}
+ */
+export const pauseRecurringInvoice = (id) =>
+	updateRecurringInvoice(id, { status: "paused" });
+
+/**
+ * Resume a paused recurring invoice. Periods that passed while it was
+ * paused are skipped rather than invoiced late.
+ * @param {string} id - Recurring invoice document ID
+ * @returns {Promise<void>}
+ */
+export const resumeRecurringInvoice = async (id) => {
+	const template = await getRecurringInvoiceById(id);
+	const today = new Date();
+	today.setUTCHours(0, 0, 0, 0);
+
+	let nextIssueDate = toDate(template.nextIssueDate) || today;
+	while (nextIssueDate < today) {
+		nextIssueDate = getFollowingIssueDate(
+			nextIssueDate,
+			template.interval,
+			template.anchorDay
+		);
+	}
+
+	await updateDoc(doc(db, RECURRING_INVOICES_COLLECTION, id), {
+		status: "active",
+		nextIssueDate,
+		updatedAt: serverTimestamp(),
+	});
+
+	await recordAuditLog({
+		action: AUDIT_ACTIONS.UPDATE,
+		resource: "invoices",
+		resourceId: id,
+		label: `Recurring invoice for ${template.to?.name || template.to?.email}`,
+		before: { status: template.status },
+		after: { status: "active", nextIssueDate },
+	});
+};
+
+/**
+ * ID of the invoice issued for a period, so a period is only ever invoiced
+ * once however often the job runs
+ * @param {string} templateId - Recurring invoice document ID
+ * @param {Date} issueDate - Issue date of the period
+ * @returns {string} Invoice document ID
+ */
+export const getRecurringInvoicePeriodId = (templateId, issueDate) =>
+	`${templateId}_${issueDate.toISOString().slice(0, 10)}`;
+
+/**
+ * Issue the invoice of a period and move the template on to the next one,
+ * in one transaction. When another run already issued the period (the
+ * template moved on or the invoice exists), nothing is written.
+ * @param {Object} template - Recurring invoice document
+ * @param {Date} issueDate - Issue date of the period
+ * @returns {Promise<{ invoiceId: string, nextIssueDate: Date, issued: boolean }>} issued is false when the period was already invoiced
+ */
+export const issueRecurringInvoice = async (template, issueDate) => {
+	const templateRef = doc(db, RECURRING_INVOICES_COLLECTION, template.id);
+	const invoiceId = getRecurringInvoicePeriodId(template.id, issueDate);
+	const invoiceRef = doc(db, INVOICES_COLLECTION, invoiceId);
+	const invoice = buildRecurringInvoice(template, issueDate);
+
+	const result = await runTransaction(db, async (transaction) => {
+		const templateSnap = await transaction.get(templateRef);
+		const invoiceSnap = await transaction.get(invoiceRef);
+		if (!templateSnap.exists()) {
+			throw new Error("Recurring invoice not found");
+		}
+
+		const currentIssueDate = toDate(templateSnap.data().nextIssueDate);
+		if (
+			invoiceSnap.exists() ||
+			currentIssueDate?.getTime() !== issueDate.getTime()
+		) {
+			return { invoiceId, nextIssueDate: currentIssueDate, issued: false };
+		}
+
+		const nextIssueDate = getFollowingIssueDate(
+			issueDate,
+			template.interval,
+			template.anchorDay
+		);
+		// Drafts aren't numbered, so the invoice needs no invoice counter
+		transaction.set(invoiceRef, {
+			...invoice,
+			currency: invoice.currency || "usd",
+			createdAt: serverTimestamp(),
+			updatedAt: serverTimestamp(),
+		});
+		transaction.update(templateRef, {
+			nextIssueDate,
+			lastIssuedAt: serverTimestamp(),
+			lastInvoiceId: invoiceId,
+			issuedCount: increment(1),
+			updatedAt: serverTimestamp(),
+		});
+		return { invoiceId, nextIssueDate, issued: true };
+	});
+
+	if (result.issued) {
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.CREATE,
+			resource: "invoices",
+			resourceId: invoiceId,
+			label: "Draft invoice",
+			after: invoice,
+		});
+	}
+	return result;
+};
+
+/**
+ * Delete a recurring invoice. Invoices it already issued are kept.
+ * @param {string} id - Recurring invoice document ID
+ * @returns {Promise<void>}
+ */
+export const deleteRecurringInvoice = async (id) => {
+	try {
+		const existing = await getRecurringInvoiceById(id);
+		await deleteDoc(doc(db, RECURRING_INVOICES_COLLECTION, id));
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.DELETE,
+			resource: "invoices",
+			resourceId: id,
+			label: `Recurring invoice for ${existing.to?.name || existing.to?.email}`,
+			before: existing,
+		});
+	} catch (error) {
+		console.error("Error deleting recurring invoice:", error);
+		throw error;
+	}
+};
@@ -0,0 +1,261 @@
+import {
+	collection,
+	doc,
+	getDoc,
+	getDocs,
+	setDoc,
+	updateDoc,
+	deleteDoc,
+	query,
+	where,
+	serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { recordAuditLog, AUDIT_ACTIONS } from "./auditLog";
+import {
+	ROLES,
+	ROLE_PERMISSIONS,
+	ROLE_LABELS,
+	ROLE_OWN_CONTENT_ONLY,
+	OWNED_RESOURCES,
+	BUILT_IN_ROLES,
+	normalizePermissions,
+	registerRoles,
+} from "../config/roles-config";
+
+const ROLES_COLLECTION = "roles";
+const TEAMS_COLLECTION = "teams";
+
+const BUILT_IN_DESCRIPTIONS = {
+	[ROLES.ADMIN]: "Full access to everything, including team management",
+	[ROLES.EDITOR]: "Manages content and operations, read-only on billing",
+	[ROLES.AUTHOR]: "Creates and edits content, cannot publish or send",
+	[ROLES.VIEWER]: "Read-only access to every tab",
+};
+
+/**
+ * Turn a role name into its document id ("Finance Team" -> "finance-team")
+ * @param {string} name - Role name
+ * @returns {string} Role id
+ */
+export const getRoleId = (name = "") => {
+	return name
+		.toLowerCase()
+		.trim()
+		.replace(/[^a-z0-9]+/g, "-")
+		.replace(/^-+|-+$/g, "");
+};
+
+/**
+ * Write the built-in roles that are missing from the roles collection
+ * @param {Array<string>} existingIds - Role ids already stored
+ * @returns {Promise<Array>} Seeded role documents
+ */
+const seedBuiltInRoles = async (existingIds) => {
+	const missing = BUILT_IN_ROLES.filter((id) => !existingIds.includes(id));
+	const seeded = [];
+
+	for (const id of missing) {
+		const role = {
+			name: ROLE_LABELS[id].label,
+			description: BUILT_IN_DESCRIPTIONS[id],
+			color: ROLE_LABELS[id].color,
+			permissions: ROLE_PERMISSIONS[id],
+			ownContentOnly: ROLE_OWN_CONTENT_ONLY[id] || [],
+			isBuiltIn: true,
+		};
+		try {
+			await setDoc(doc(db, ROLES_COLLECTION, id), {
+				...role,
+				createdAt: serverTimestamp(),
+				updatedAt: serverTimestamp(),
+			});
+		} catch (error) {
+			// Users without write access still get the defaults in memory
+			console.error(`Error seeding role ${id}:`, error);
+		}
+		seeded.push({ id, ...role });
+	}
+
+	return seeded;
+};
+
+/**
+ * Get all roles, seeding the built-in ones on first use
+ * @returns {Promise<Array>} Array of role documents, built-in roles first
+ */
+export const getAllRoles = async () => {
+	try {
+		const querySnapshot = await getDocs(collection(db, ROLES_COLLECTION));
+		const roles = [];
+
+		querySnapshot.forEach((doc) => {
+			roles.push({
+				id: doc.id,
+				...doc.data(),
+			});
+		});
+
+		const seeded = await seedBuiltInRoles(roles.map((role) => role.id));
+		const allRoles = [...roles, ...seeded];
+
+		return [
+			...BUILT_IN_ROLES.map((id) => allRoles.find((role) => role.id === id)),
+			...allRoles
+				.filter((role) => !BUILT_IN_ROLES.includes(role.id))
+				.sort((a, b) => (a.name || "").localeCompare(b.name || "")),
+		];
+	} catch (error) {
+		console.error("Error getting roles:", error);
+		throw error;
+	}
+};
+
+// Keep only resources that record their creator
+const cleanOwnContentOnly = (resources = []) =>
+	resources.filter((resource) => OWNED_RESOURCES.includes(resource));
+
+/**
+ * Load all roles and register them for permission checks
+ * (hasPermission / getAllowedActions)
+ * @returns {Promise<Array>} Array of role documents
+ */
+export const loadRoles = async () => {
+	const roles = await getAllRoles();
+	registerRoles(roles);
+	return roles;
+};
+
+/**
+ * Create a custom role
+ * @param {Object} roleData - Role data object
+ * @param {string} roleData.name - Role name, also used to derive its id
+ * @param {string} roleData.description - Short description
+ * @param {string} roleData.color - Badge color classes
+ * @param {Object} roleData.permissions - Resource -> action -> boolean
+ * @param {Array<string>} roleData.ownContentOnly - Resources limited to the member's own items
+ * @returns {Promise<string>} Id of the created role
+ */
+export const createRole = async (roleData) => {
+	try {
+		const id = getRoleId(roleData.name);
+		if (!id) {
+			throw new Error("Role name is required");
+		}
+
+		const existing = await getDoc(doc(db, ROLES_COLLECTION, id));
+		if (existing.exists() || BUILT_IN_ROLES.includes(id)) {
+			throw new Error("A role with this name already exists");
+		}
+
+		const newRole = {
+			name: roleData.name.trim(),
+			description: roleData.description || "",
+			color: roleData.color || "",
+			permissions: normalizePermissions(roleData.permissions),
+			ownContentOnly: cleanOwnContentOnly(roleData.ownContentOnly),
+			isBuiltIn: false,
+		};
+		await setDoc(doc(db, ROLES_COLLECTION, id), {
+			...newRole,
+			createdAt: serverTimestamp(),
+			updatedAt: serverTimestamp(),
+		});
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.CREATE,
+			resource: "roles",
+			resourceId: id,
+			label: newRole.name,
+			after: newRole,
+		});
+
+		return id;
+	} catch (error) {
+		console.error("Error creating role:", error);
+		throw error;
+	}
+};
+
+/**
+ * Update a role. The admin role's permissions can't be changed so
+ * nobody can lock the team out of role management.
+ * @param {string} id - Role id
+ * @param {Object} roleData - Updated role data
+ * @returns {Promise<void>}
+ */
+export const updateRole = async (id, roleData) => {
+	try {
+		const updates = {
+			updatedAt: serverTimestamp(),
+		};
+		if (roleData.name !== undefined) updates.name = roleData.name.trim();
+		if (roleData.description !== undefined)
+			updates.description = roleData.description;
+		if (roleData.color !== undefined) updates.color = roleData.color;
+		if (roleData.permissions !== undefined) {
+			if (id === ROLES.ADMIN) {
+				throw new Error("Admin permissions cannot be changed");
+			}
+			updates.permissions = normalizePermissions(roleData.permissions);
+		}
+		if (roleData.ownContentOnly !== undefined && id !== ROLES.ADMIN) {
+			updates.ownContentOnly = cleanOwnContentOnly(roleData.ownContentOnly);
+		}
+
+		const existing = await getDoc(doc(db, ROLES_COLLECTION, id));
+		await updateDoc(doc(db, ROLES_COLLECTION, id), updates);
+
+		const { updatedAt, ...changedFields } = updates;
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.UPDATE,
+			resource: "roles",
+			resourceId: id,
+			label: changedFields.name || existing.data()?.name || id,
+			before: existing.data(),
+			after: { ...existing.data(), ...changedFields },
+		});
+	} catch (error) {
+		console.error("Error updating role:", error);
+		throw error;
+	}
+};
+
+/**
+ * Delete a custom role. Built-in roles and roles still assigned to team
+ * members can't be deleted.
+ * @param {string} id - Role id
+ * @returns {Promise<void>}
+ */
+export const deleteRole = async (id) => {
+	try {
+		if (BUILT_IN_ROLES.includes(id)) {
+			throw new Error("Built-in roles cannot be deleted");
+		}
+
+		const membersSnapshot = await getDocs(
+			query(collection(db, TEAMS_COLLECTION), where("role", "==", id))
+		);
+		if (!membersSnapshot.empty) {
+			throw new Error(
+				`This role is assigned to ${membersSnapshot.size} team member${
+					membersSnapshot.size === 1 ? "" : "s"
+				}. Reassign them first.`
+			);
+		}
+
+		const existing = await getDoc(doc(db, ROLES_COLLECTION, id));
+		await deleteDoc(doc(db, ROLES_COLLECTION, id));
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.DELETE,
+			resource: "roles",
+			resourceId: id,
+			label: existing.data()?.name || id,
+			before: existing.data(),
+		});
+	} catch (error) {
+		console.error("Error deleting role:", error);
+		throw error;
+	}
+};
@@ -0,0 +1,185 @@
+/**
+ * Segments API
+ * Saved audiences for email campaigns, built from rules across
+ * subscribers, users and customers (see lib/utils/segments.js).
+ */
+
+import {
+	collection,
+	doc,
+	getDoc,
+	getDocs,
+	addDoc,
+	updateDoc,
+	deleteDoc,
+	query,
+	orderBy,
+	serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { recordAuditLog, AUDIT_ACTIONS } from "./auditLog";
+import { getAllSubscribers } from "./subscribers";
+import { getAllUsers } from "./users";
+import { getAllCustomers } from "./customers";
+import { getSegmentContacts, validateSegment } from "../utils/segments";
+
+const SEGMENTS_COLLECTION = "segments";
+
+// Fields stored on a segment
+const pickSegmentFields = (segmentData) => ({
+	name: segmentData.name.trim(),
+	description: segmentData.description?.trim() || "",
+	match: segmentData.match,
+	rules: segmentData.rules.map((rule) => ({
+		field: rule.field,
+		operator: rule.operator,
+		value: rule.value ?? null,
+	})),
+});
+
+/**
+ * Get all segments
+ * @returns {Promise<Array>} Array of segment documents
+ */
+export const getAllSegments = async () => {
+	try {
+		const querySnapshot = await getDocs(
+			query(collection(db, SEGMENTS_COLLECTION), orderBy("createdAt", "desc"))
+		);
+		return querySnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+	} catch (error) {
+		console.error("Error getting segments:", error);
+		throw error;
+	}
+};
+
+/**
+ * Get a single segment by ID
+ * @param {string} id - Segment document ID
+ * @returns {Promise<Object>} Segment document
+ */
+export const getSegmentById = async (id) => {
+	try {
+		const docSnap = await getDoc(doc(db, SEGMENTS_COLLECTION, id));
+		if (!docSnap.exists()) {
+			throw new Error("Segment not found");
+		}
+		return { id: docSnap.id, ...docSnap.data() };
+	} catch (error) {
+		console.error("Error getting segment:", error);
+		throw error;
+	}
+};
+
+/**
+ * Create a segment
+ * @param {Object} segmentData - { name, description, match: "all" | "any", rules: [{ field, operator, value }] }
+ * @returns {Promise<string>} Document ID of created segment
+ */
+export const createSegment = async (segmentData) => {
+	try {
+		const error = validateSegment(segmentData);
+		if (error) {
+			throw new Error(error);
+		}
+
+		const data = pickSegmentFields(segmentData);
+		const docRef = await addDoc(collection(db, SEGMENTS_COLLECTION), {
+			...data,
+			createdAt: serverTimestamp(),
+			updatedAt: serverTimestamp(),
+		});
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.CREATE,
+			resource: "segments",
+			resourceId: docRef.id,
+			label: `Segment ${data.name}`,
+			after: data,
+		});
+
+		return docRef.id;
+	} catch (error) {
+		console.error("Error creating segment:", error);
+		throw error;
+	}
+};
+
+/**
+ * Update a segment
+ * @param {string} id - Segment document ID
+ * @param {Object} segmentData - { name, description, match, rules }
+ * @returns {Promise<void>}
+ */
+export const updateSegment = async (id, segmentData) => {
+	try {
+		const error = validateSegment(segmentData);
+		if (error) {
+			throw new Error(error);
+		}
+
+		const existing = await getSegmentById(id);
+		const data = pickSegmentFields(segmentData);
+		await updateDoc(doc(db, SEGMENTS_COLLECTION, id), {
+			...data,
+			updatedAt: serverTimestamp(),
+		});
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.UPDATE,
+			resource: "segments",
+			resourceId: id,
+			label: `Segment ${data.name}`,
+			before: existing,
+			after: { ...existing, ...data },
+		});
+	} catch (error) {
+		console.error("Error updating segment:", error);
+		throw error;
+	}
+};
+
+/**
+ * Delete a segment. CRON jobs still targeting it fail until they're
+ * pointed at another audience.
+ * @param {string} id - Segment document ID
+ * @returns {Promise<void>}
+ */
+export const deleteSegment = async (id) => {
+	try {
+		const existing = await getSegmentById(id);
+		await deleteDoc(doc(db, SEGMENTS_COLLECTION, id));
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.DELETE,
+			resource: "segments",
+			resourceId: id,
+			label: `Segment ${existing.name}`,
+			before: existing,
+		});
+	} catch (error) {
+		console.error("Error deleting segment:", error);
+		throw error;
+	}
+};
+
+/**
+ * Resolve a segment to the contacts it sends to right now
+ * @param {string} id - Segment document ID
+ * @returns {Promise<Object>} { segment, contacts, records: { subscribers, users, customers } }
+ */
+export const getSegmentRecipients = async (id) => {
+	const segment = await getSegmentById(id);
+	const [subscribers, users, customers] = await Promise.all([
+		getAllSubscribers(),
+		getAllUsers(),
+		getAllCustomers(),
+	]);
+	const records = { subscribers, users, customers };
+
+	return {
+		segment,
+		contacts: getSegmentContacts(segment, records),
+		records,
+	};
+};
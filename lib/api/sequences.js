@@ -0,0 +1,414 @@
+/**
+ * Sequences API
+ * Multi-step email sequences (see lib/utils/sequences.js) and the
+ * enrolment of contacts into them. An enrolment tracks one contact's
+ * progress through one sequence; the `sequences` CRON job sends its steps
+ * as they come due.
+ */
+
+import {
+	collection,
+	doc,
+	getDoc,
+	getDocs,
+	addDoc,
+	setDoc,
+	updateDoc,
+	deleteDoc,
+	query,
+	where,
+	orderBy,
+	writeBatch,
+	arrayUnion,
+	increment,
+	serverTimestamp,
+	Timestamp,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { recordAuditLog, AUDIT_ACTIONS } from "./auditLog";
+import { normalizeSegmentRules } from "../utils/segments";
+import { getStepDelayMs, validateSequence } from "../utils/sequences";
+
+const SEQUENCES_COLLECTION = "sequences";
+const ENROLLMENTS_COLLECTION = "sequenceEnrollments";
+
+// Firestore caps a write batch at 500 operations
+const DELETE_BATCH_SIZE = 500;
+
+// Times a step may fail to send before its enrolment is marked failed
+export const MAX_STEP_ATTEMPTS = 3;
+
+// Fields stored on a sequence
+const pickSequenceFields = (sequenceData) => ({
+	name: sequenceData.name.trim(),
+	description: sequenceData.description?.trim() || "",
+	trigger: sequenceData.trigger,
+	status: sequenceData.status,
+	steps: sequenceData.steps.map((step) => ({
+		delay: Number(step.delay),
+		delayUnit: step.delayUnit,
+		subject: step.subject.trim(),
+		content: step.content,
+		match: step.match || "all",
+		conditions: normalizeSegmentRules(step.conditions || []),
+	})),
+});
+
+// One enrolment per sequence and email address, so a contact goes through
+// a sequence once however often its trigger fires
+const getEnrollmentId = (sequenceId, email) =>
+	`${sequenceId}_${encodeURIComponent(email.trim().toLowerCase())}`;
+
+/**
+ * Get all sequences
+ * @returns {Promise<Array>} Array of sequence documents
+ */
+export const getAllSequences = async () => {
+	try {
+		const querySnapshot = await getDocs(
+			query(collection(db, SEQUENCES_COLLECTION), orderBy("createdAt", "desc"))
+		);
+		return querySnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+	} catch (error) {
+		console.error("Error getting sequences:", error);
+		throw error;
+	}
+};
+
+/**
+ * Get a single sequence by ID
+ * @param {string} id - Sequence document ID
+ * @returns {Promise<Object>} Sequence document
+ */
+export const getSequenceById = async (id) => {
+	try {
+		const docSnap = await getDoc(doc(db, SEQUENCES_COLLECTION, id));
+		if (!docSnap.exists()) {
+			throw new Error("Sequence not found");
+		}
+		return { id: docSnap.id, ...docSnap.data() };
+	} catch (error) {
+		console.error("Error getting sequence:", error);
+		throw error;
+	}
+};
+
+/**
+ * Create a sequence
+ * @param {Object} sequenceData - { name, description, trigger, status, steps }
+ * @returns {Promise<string>} Document ID of created sequence
+ */
+export const createSequence = async (sequenceData) => {
+	try {
+		const error = validateSequence(sequenceData);
+		if (error) {
+			throw new Error(error);
+		}
+
+		const data = pickSequenceFields(sequenceData);
+		const docRef = await addDoc(collection(db, SEQUENCES_COLLECTION), {
+			...data,
+			stats: { enrolled: 0, sent: 0, completed: 0, failed: 0 },
+			createdAt: serverTimestamp(),
+			updatedAt: serverTimestamp(),
+		});
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.CREATE,
+			resource: "emails",
+			resourceId: docRef.id,
+			label: `Sequence ${data.name}`,
+			after: data,
+		});
+
+		return docRef.id;
+	} catch (error) {
+		console.error("Error creating sequence:", error);
+		throw error;
+	}
+};
+
+/**
+ * Update a sequence. Contacts already enrolled continue from the step
+ * they are on, with the new steps.
+ * @param {string} id - Sequence document ID
+ * @param {Object} sequenceData - { name, description, trigger, status, steps }
+ * @returns {Promise<void>}
+ */
+export const updateSequence = async (id, sequenceData) => {
+	try {
+		const error = validateSequence(sequenceData);
+		if (error) {
+			throw new Error(error);
+		}
+
+		const existing = await getSequenceById(id);
+		const data = pickSequenceFields(sequenceData);
+		await updateDoc(doc(db, SEQUENCES_COLLECTION, id), {
+			...data,
+			updatedAt: serverTimestamp(),
+		});
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.UPDATE,
+			resource: "emails",
+			resourceId: id,
+			label: `Sequence ${data.name}`,
+			before: existing,
+			after: { ...existing, ...data },
+		});
+	} catch (error) {
+		console.error("Error updating sequence:", error);
+		throw error;
+	}
+};
+
+/**
+ * Delete a sequence and the enrolments in it
+ * @param {string} id - Sequence document ID
+ * @returns {Promise<void>}
+ */
+export const deleteSequence = async (id) => {
+	try {
+		const existing = await getSequenceById(id);
+		const enrollments = await getDocs(
+			query(
+				collection(db, ENROLLMENTS_COLLECTION),
+				where("sequenceId", "==", id)
+			)
+		);
+		for (let i = 0; i < enrollments.docs.length; i += DELETE_BATCH_SIZE) {
+			const batch = writeBatch(db);
+			enrollments.docs
+				.slice(i, i + DELETE_BATCH_SIZE)
+				.forEach((enrollment) => batch.delete(enrollment.ref));
+			await batch.commit();
+		}
+		await deleteDoc(doc(db, SEQUENCES_COLLECTION, id));
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.DELETE,
+			resource: "emails",
+			resourceId: id,
+			label: `Sequence ${existing.name}`,
+			before: existing,
+		});
+	} catch (error) {
+		console.error("Error deleting sequence:", error);
+		throw error;
+	}
+};
+
+/**
+ * Get the enrolments of a sequence
+ * @param {string} sequenceId - Sequence document ID
+ * @returns {Promise<Array>} Enrolment documents, latest first
+ */
+export const getSequenceEnrollments = async (sequenceId) => {
+	try {
+		const querySnapshot = await getDocs(
+			query(
+				collection(db, ENROLLMENTS_COLLECTION),
+				where("sequenceId", "==", sequenceId)
+			)
+		);
+		const toMillis = (value) => (value?.toMillis ? value.toMillis() : 0);
+		return querySnapshot.docs
+			.map((doc) => ({ id: doc.id, ...doc.data() }))
+			.sort((a, b) => toMillis(b.enrolledAt) - toMillis(a.enrolledAt));
+	} catch (error) {
+		console.error("Error getting sequence enrollments:", error);
+		throw error;
+	}
+};
+
+/**
+ * Enrol a contact into every active sequence started by a trigger. Errors
+ * are logged, not thrown, so a sequence never fails the signup, payment
+ * or waitlist entry that triggered it.
+ * @param {string} trigger - Trigger key (see SEQUENCE_TRIGGERS)
+ * @param {Object} contact - { email, name? }
+ * @returns {Promise<number>} Sequences the contact was enrolled into
+ */
+export const enrollInSequences = async (trigger, contact) => {
+	if (!contact?.email) return 0;
+
+	try {
+		const querySnapshot = await getDocs(
+			query(
+				collection(db, SEQUENCES_COLLECTION),
+				where("trigger", "==", trigger),
+				where("status", "==", "active")
+			)
+		);
+
+		let enrolled = 0;
+		const now = Date.now();
+		for (const sequenceDoc of querySnapshot.docs) {
+			const sequence = sequenceDoc.data();
+			if (!sequence.steps?.length) continue;
+
+			const enrollmentRef = doc(
+				db,
+				ENROLLMENTS_COLLECTION,
+				getEnrollmentId(sequenceDoc.id, contact.email)
+			);
+			const existing = await getDoc(enrollmentRef);
+			if (existing.exists()) continue;
+
+			await setDoc(enrollmentRef, {
+				sequenceId: sequenceDoc.id,
+				trigger,
+				email: contact.email.trim(),
+				name: contact.name || "",
+				status: "active",
+				currentStep: 0,
+				nextSendAt: Timestamp.fromMillis(
+					now + getStepDelayMs(sequence.steps[0])
+				),
+				history: [],
+				enrolledAt: serverTimestamp(),
+				updatedAt: serverTimestamp(),
+			});
+			await updateDoc(sequenceDoc.ref, { "stats.enrolled": increment(1) });
+			enrolled += 1;
+		}
+		return enrolled;
+	} catch (error) {
+		console.error(
+			`Error enrolling ${contact.email} in ${trigger} sequences:`,
+			error
+		);
+		return 0;
+	}
+};
+
+/**
+ * Get the active enrolments whose next step is due
+ * @param {Date} now - Current time (default: new Date())
+ * @returns {Promise<Array>} Enrolment documents, oldest due first
+ */
+export const getDueEnrollments = async (now = new Date()) => {
+	try {
+		// Finished enrolments have no nextSendAt, so this only finds active ones
+		const querySnapshot = await getDocs(
+			query(
+				collection(db, ENROLLMENTS_COLLECTION),
+				where("nextSendAt", "<=", Timestamp.fromDate(now)),
+				orderBy("nextSendAt", "asc")
+			)
+		);
+		return querySnapshot.docs
+			.map((doc) => ({ id: doc.id, ...doc.data() }))
+			.filter((enrollment) => enrollment.status === "active");
+	} catch (error) {
+		console.error("Error getting due sequence enrollments:", error);
+		throw error;
+	}
+};
+
+/**
+ * Record what happened to an enrolment's current step and move it on
+ * @param {Object} enrollment - Enrolment document
+ * @param {Object} sequence - Its sequence document
+ * @param {Object} result - { status: "sent" | "skipped" | "failed", error? }
+ * @param {Date} now - Current time (default: new Date())
+ * @returns {Promise<Object>} Changes made to the enrolment
+ */
+export const advanceEnrollment = async (
+	enrollment,
+	sequence,
+	result,
+	now = new Date()
+) => {
+	const entry = {
+		step: enrollment.currentStep,
+		status: result.status,
+		at: Timestamp.fromDate(now),
+		...(result.error && { error: result.error }),
+	};
+
+	let changes;
+	if (result.status === "failed") {
+		// A failed step stays current and is retried on the next run, until
+		// it has failed MAX_STEP_ATTEMPTS times
+		const failedAttempts = (enrollment.failedAttempts || 0) + 1;
+		changes =
+			failedAttempts < MAX_STEP_ATTEMPTS
+				? { failedAttempts, lastError: result.error || null }
+				: {
+						failedAttempts,
+						status: "failed",
+						nextSendAt: null,
+						failedAt: Timestamp.fromDate(now),
+						lastError: result.error || null,
+				  };
+	} else {
+		const nextStep = enrollment.currentStep + 1;
+		const step = sequence.steps[nextStep];
+		changes = step
+			? {
+					currentStep: nextStep,
+					nextSendAt: Timestamp.fromMillis(
+						now.getTime() + getStepDelayMs(step)
+					),
+					failedAttempts: 0,
+					lastError: null,
+			  }
+			: {
+					currentStep: nextStep,
+					status: "completed",
+					nextSendAt: null,
+					completedAt: Timestamp.fromDate(now),
+					failedAttempts: 0,
+					lastError: null,
+			  };
+	}
+
+	try {
+		await updateDoc(doc(db, ENROLLMENTS_COLLECTION, enrollment.id), {
+			...changes,
+			history: arrayUnion(entry),
+			updatedAt: serverTimestamp(),
+		});
+
+		const statChanges = {};
+		if (result.status === "sent") statChanges["stats.sent"] = increment(1);
+		if (changes.status === "completed") {
+			statChanges["stats.completed"] = increment(1);
+		}
+		if (changes.status === "failed") {
+			statChanges["stats.failed"] = increment(1);
+		}
+		// The sequence is gone when a deleted sequence's enrolment fails to exit
+		if (sequence && Object.keys(statChanges).length > 0) {
+			await updateDoc(doc(db, SEQUENCES_COLLECTION, sequence.id), statChanges);
+		}
+
+		return changes;
+	} catch (error) {
+		console.error("Error advancing sequence enrollment:", error);
+		throw error;
+	}
+};
+
+/**
+ * Take a contact out of a sequence before it finishes
+ * @param {string} id - Enrolment document ID
+ * @param {string} reason - Why, e.g. "unsubscribed"
+ * @returns {Promise<void>}
+ */
+export const exitEnrollment = async (id, reason) => {
+	try {
+		await updateDoc(doc(db, ENROLLMENTS_COLLECTION, id), {
+			status: "exited",
+			exitReason: reason,
+			nextSendAt: null,
+			exitedAt: serverTimestamp(),
+			updatedAt: serverTimestamp(),
+		});
+	} catch (error) {
+		console.error("Error exiting sequence enrollment:", error);
+		throw error;
+	}
+};
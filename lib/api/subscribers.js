@@ -12,6 +12,8 @@ import {
 	serverTimestamp,
 } from "firebase/firestore";
 import { db } from "../config/firebase";
+import { recordAuditLog, AUDIT_ACTIONS } from "./auditLog";
+import { enrollInSequences } from "./sequences";
 
 const SUBSCRIBERS_COLLECTION = "subscribers";
 
@@ -149,20 +151,34 @@ export const addSubscriber = async (subscriberData) => {
 					status: "active",
 					subscribedAt: serverTimestamp(),
 				});
+				await enrollInSequences("subscriber_created", existing);
 				return existing.id;
 			}
 			throw new Error("Subscriber already exists");
 		}
 
-		const docRef = await addDoc(collection(db, SUBSCRIBERS_COLLECTION), {
+		const newSubscriber = {
 			email: subscriberData.email,
 			name: subscriberData.name || subscriberData.email.split("@")[0],
 			status: "active",
+		};
+		const docRef = await addDoc(collection(db, SUBSCRIBERS_COLLECTION), {
+			...newSubscriber,
 			subscribedAt: serverTimestamp(),
 			createdAt: serverTimestamp(),
 			updatedAt: serverTimestamp(),
 		});
 
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.CREATE,
+			resource: "subscribers",
+			resourceId: docRef.id,
+			label: newSubscriber.email,
+			after: newSubscriber,
+		});
+
+		await enrollInSequences("subscriber_created", newSubscriber);
+
 		return docRef.id;
 	} catch (error) {
 		console.error("Error adding subscriber:", error);
@@ -178,11 +194,21 @@ export const addSubscriber = async (subscriberData) => {
  */
 export const updateSubscriber = async (id, subscriberData) => {
 	try {
+		const existing = await getSubscriberById(id);
 		const docRef = doc(db, SUBSCRIBERS_COLLECTION, id);
 		await updateDoc(docRef, {
 			...subscriberData,
 			updatedAt: serverTimestamp(),
 		});
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.UPDATE,
+			resource: "subscribers",
+			resourceId: id,
+			label: existing.email,
+			before: existing,
+			after: { ...existing, ...subscriberData },
+		});
 	} catch (error) {
 		console.error("Error updating subscriber:", error);
 		throw error;
@@ -196,8 +222,17 @@ export const updateSubscriber = async (id, subscriberData) => {
  */
 export const deleteSubscriber = async (id) => {
 	try {
+		const existing = await getSubscriberById(id);
 		const docRef = doc(db, SUBSCRIBERS_COLLECTION, id);
 		await deleteDoc(docRef);
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.DELETE,
+			resource: "subscribers",
+			resourceId: id,
+			label: existing.email,
+			before: existing,
+		});
 	} catch (error) {
 		console.error("Error deleting subscriber:", error);
 		throw error;
@@ -211,14 +246,84 @@ export const deleteSubscriber = async (id) => {
  */
 export const unsubscribeSubscriber = async (id) => {
 	try {
+		const existing = await getSubscriberById(id);
 		const docRef = doc(db, SUBSCRIBERS_COLLECTION, id);
 		await updateDoc(docRef, {
 			status: "unsubscribed",
 			unsubscribedAt: serverTimestamp(),
 			updatedAt: serverTimestamp(),
 		});
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.UPDATE,
+			resource: "subscribers",
+			resourceId: id,
+			label: existing.email,
+			before: { status: existing.status },
+			after: { status: "unsubscribed" },
+		});
 	} catch (error) {
 		console.error("Error unsubscribing subscriber:", error);
 		throw error;
 	}
 };
+
+/**
+ * Stop emailing a subscriber whose address hard-bounced or who marked a
+ * newsletter as spam. Suppressed subscribers are left out of every send.
+ * @param {string} id - Subscriber document ID
+ * @param {string} reason - "bounced" or "complained"
+ * @returns {Promise<void>}
+ */
+export const suppressSubscriber = async (id, reason) => {
+	try {
+		const existing = await getSubscriberById(id);
+		const docRef = doc(db, SUBSCRIBERS_COLLECTION, id);
+		await updateDoc(docRef, {
+			status: "suppressed",
+			suppressionReason: reason,
+			suppressedAt: serverTimestamp(),
+			updatedAt: serverTimestamp(),
+		});
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.UPDATE,
+			resource: "subscribers",
+			resourceId: id,
+			label: existing.email,
+			before: { status: existing.status },
+			after: { status: "suppressed", suppressionReason: reason },
+		});
+	} catch (error) {
+		console.error("Error suppressing subscriber:", error);
+		throw error;
+	}
+};
+
+const unsubscribeRequest = async (token, options = {}) => {
+	const response = await fetch(
+		`/api/emails/unsubscribe/${encodeURIComponent(token)}`,
+		options
+	);
+
+	const data = await response.json();
+	if (!response.ok) {
+		throw new Error(data.error || "Unsubscribe request failed");
+	}
+	return data;
+};
+
+/**
+ * Get the subscriber an unsubscribe link is for
+ * @param {string} token - Signed token from a newsletter's unsubscribe link
+ * @returns {Promise<Object>} { email, status }
+ */
+export const getUnsubscribeStatus = (token) => unsubscribeRequest(token);
+
+/**
+ * Unsubscribe the subscriber an unsubscribe link is for
+ * @param {string} token - Signed token from a newsletter's unsubscribe link
+ * @returns {Promise<Object>} { email, status }
+ */
+export const unsubscribeWithToken = (token) =>
+	unsubscribeRequest(token, { method: "POST" });
@@ -270,3 +270,244 @@ export async function sendSubscriptionUpgradeEmail({
 		throw error;
 	}
 }
+
+// Where reminder emails send customers to update their payment details
+const BILLING_PATH = "/account/billing";
+
+/**
+ * Fill and send the shared billing reminder template
+ * (public/html/send-billing-reminder-email.html)
+ * @param {Object} params - Email parameters
+ * @returns {Promise<Object>} Resend API response
+ */
+async function sendBillingReminderEmail({
+	customerEmail,
+	customerName = "Customer",
+	subject,
+	title,
+	message,
+	planName,
+	amount,
+	currency = "usd",
+	dateLabel,
+	date,
+	actionLabel,
+}) {
+	const htmlPath = path.join(
+		process.cwd(),
+		"public",
+		"html",
+		"send-billing-reminder-email.html"
+	);
+	let htmlContent = fs.readFileSync(htmlPath, "utf-8");
+
+	const formattedDate = (
+		date instanceof Date ? date : new Date(date)
+	).toLocaleDateString("en-US", {
+		year: "numeric",
+		month: "long",
+		day: "numeric",
+	});
+
+	// Replace placeholders with actual values
+	htmlContent = htmlContent.replace(/\{\{title\}\}/g, title);
+	htmlContent = htmlContent.replace(/\{\{message\}\}/g, message);
+	htmlContent = htmlContent.replace(
+		/\{\{customerName\}\}/g,
+		customerName || "Customer"
+	);
+	htmlContent = htmlContent.replace(/\{\{planName\}\}/g, planName || "Pro");
+	htmlContent = htmlContent.replace(
+		/\{\{amount\}\}/g,
+		((amount || 0) / 100).toFixed(2)
+	); // Convert cents to dollars
+	htmlContent = htmlContent.replace(
+		/\{\{currency\}\}/g,
+		currency.toUpperCase()
+	);
+	htmlContent = htmlContent.replace(/\{\{dateLabel\}\}/g, dateLabel);
+	htmlContent = htmlContent.replace(/\{\{date\}\}/g, formattedDate);
+
+	// The button needs an absolute URL, so it's left out without a site URL
+	const siteUrl = process.env.NEXT_PUBLIC_SITE_URL;
+	if (siteUrl && actionLabel) {
+		htmlContent = htmlContent.replace(
+			/\{\{#if actionUrl\}\}([\s\S]*?)\{\{\/if\}\}/g,
+			(match, block) =>
+				block
+					.replace(/\{\{actionUrl\}\}/g, `${siteUrl}${BILLING_PATH}`)
+					.replace(/\{\{actionLabel\}\}/g, actionLabel)
+		);
+	} else {
+		htmlContent = htmlContent.replace(
+			/\{\{#if actionUrl\}\}[\s\S]*?\{\{\/if\}\}/g,
+			""
+		);
+	}
+
+	// Remove any remaining placeholder syntax
+	htmlContent = htmlContent.replace(/\{\{[^}]+\}\}/g, "");
+
+	const { data, error } = await resend.emails.send({
+		from: process.env.RESEND_FROM_EMAIL || "connect@ihatereading.in",
+		to: [customerEmail],
+		subject,
+		html: htmlContent,
+	});
+
+	if (error) {
+		throw new Error(error.message || "Failed to send billing reminder");
+	}
+
+	return data;
+}
+
+/**
+ * Send a dunning reminder after a subscription payment failed
+ * @param {Object} params - Email parameters
+ * @param {string} params.customerEmail - Customer email address
+ * @param {string} params.customerName - Customer name
+ * @param {string} params.planName - Subscription plan name
+ * @param {number} params.amount - Subscription amount (in cents)
+ * @param {string} params.currency - Subscription currency
+ * @param {Date|string} params.graceEndsAt - When access ends if still unpaid
+ * @param {number} params.reminderNumber - 1-based position in the reminder sequence
+ * @param {boolean} params.isFinal - Whether this is the last reminder
+ * @returns {Promise<Object>} Resend API response
+ */
+export async function sendPaymentFailedEmail({
+	customerEmail,
+	customerName = "Customer",
+	planName,
+	amount,
+	currency = "usd",
+	graceEndsAt,
+	reminderNumber = 1,
+	isFinal = false,
+}) {
+	try {
+		const title = isFinal
+			? "Final Notice: Payment Failed"
+			: reminderNumber > 1
+				? "Payment Still Failing"
+				: "Payment Failed";
+		const message =
+			reminderNumber > 1
+				? `We still couldn't charge your payment method for your ${
+						planName || "Pro"
+				  } subscription. Please update your payment details to keep your access.`
+				: `We couldn't charge your payment method for your ${
+						planName || "Pro"
+				  } subscription. We'll retry automatically, but please check your payment details.`;
+
+		const data = await sendBillingReminderEmail({
+			customerEmail,
+			customerName,
+			subject: isFinal
+				? `Final notice: update your payment for ${planName}`
+				: `Action needed: payment failed for ${planName}`,
+			title,
+			message,
+			planName,
+			amount,
+			currency,
+			dateLabel: "Access Until",
+			date: graceEndsAt,
+			actionLabel: "Update Payment Method",
+		});
+
+		console.log("Payment failed email sent:", data);
+		return data;
+	} catch (error) {
+		console.error("Error sending payment failed email:", error);
+		throw error;
+	}
+}
+
+/**
+ * Send notice that access was downgraded after the grace period ended
+ * @param {Object} params - Email parameters
+ * @param {string} params.customerEmail - Customer email address
+ * @param {string} params.customerName - Customer name
+ * @param {string} params.planName - Subscription plan name
+ * @param {number} params.amount - Subscription amount (in cents)
+ * @param {string} params.currency - Subscription currency
+ * @param {Date|string} params.graceEndsAt - When access ended
+ * @returns {Promise<Object>} Resend API response
+ */
+export async function sendAccessDowngradedEmail({
+	customerEmail,
+	customerName = "Customer",
+	planName,
+	amount,
+	currency = "usd",
+	graceEndsAt,
+}) {
+	try {
+		const data = await sendBillingReminderEmail({
+			customerEmail,
+			customerName,
+			subject: `Your ${planName} features are paused`,
+			title: "Subscription Paused",
+			message: `We weren't able to collect payment for your ${
+				planName || "Pro"
+			} subscription, so your account has been moved to the free plan. Update your payment details to get your features back.`,
+			planName,
+			amount,
+			currency,
+			dateLabel: "Paused On",
+			date: graceEndsAt,
+			actionLabel: "Restore Subscription",
+		});
+
+		console.log("Access downgraded email sent:", data);
+		return data;
+	} catch (error) {
+		console.error("Error sending access downgraded email:", error);
+		throw error;
+	}
+}
+
+/**
+ * Send a reminder that a free trial is about to end
+ * @param {Object} params - Email parameters
+ * @param {string} params.customerEmail - Customer email address
+ * @param {string} params.customerName - Customer name
+ * @param {string} params.planName - Subscription plan name
+ * @param {number} params.amount - Amount charged when the trial ends (in cents)
+ * @param {string} params.currency - Subscription currency
+ * @param {Date|string} params.trialEndsAt - Trial end date
+ * @returns {Promise<Object>} Resend API response
+ */
+export async function sendTrialEndingEmail({
+	customerEmail,
+	customerName = "Customer",
+	planName,
+	amount,
+	currency = "usd",
+	trialEndsAt,
+}) {
+	try {
+		const data = await sendBillingReminderEmail({
+			customerEmail,
+			customerName,
+			subject: `Your ${planName} trial is ending soon`,
+			title: "Your Trial Is Ending",
+			message: `Your free trial of ${
+				planName || "Pro"
+			} ends soon. Your subscription will start automatically after that, so make sure your payment details are up to date.`,
+			planName,
+			amount,
+			currency,
+			dateLabel: "Trial Ends",
+			date: trialEndsAt,
+			actionLabel: "Manage Subscription",
+		});
+
+		console.log("Trial ending email sent:", data);
+		return data;
+	} catch (error) {
+		console.error("Error sending trial ending email:", error);
+		throw error;
+	}
+}
@@ -9,8 +9,10 @@ import {
 	query,
 	orderBy,
 	serverTimestamp,
+	getCountFromServer,
 } from "firebase/firestore";
 import { db } from "../config/firebase";
+import { recordAuditLog, AUDIT_ACTIONS } from "./auditLog";
 
 const TEAMS_COLLECTION = "teams";
 
@@ -107,14 +109,32 @@ export const getTeamMemberByEmail = async (email) => {
 };
 
 /**
- * Add a new team member
+ * Count team members, for the plan's team member limit
+ * @returns {Promise<number>} Number of team members
+ */
+export const countTeamMembers = async () => {
+	try {
+		const snapshot = await getCountFromServer(
+			collection(db, TEAMS_COLLECTION)
+		);
+		return snapshot.data().count;
+	} catch (error) {
+		console.error("Error counting team members:", error);
+		throw error;
+	}
+};
+
+/**
+ * Add a new team member. The admin UI goes through POST /api/teams, which
+ * checks the plan's team member limit first.
  * @param {Object} memberData - Team member data object
  * @param {string} memberData.email - Team member email
  * @param {string} memberData.username - Team member username
- * @param {string} memberData.role - Team member role (admin, editor, author, viewer)
+ * @param {string} memberData.role - Team member role id (built-in or custom role)
+ * @param {Object} actor - Optional { uid, email } of who added them, for the audit log
  * @returns {Promise<string>} Document ID of created team member
  */
-export const addTeamMember = async (memberData) => {
+export const addTeamMember = async (memberData, actor = null) => {
 	try {
 		// Check if member already exists
 		const existing = await getTeamMemberByEmail(memberData.email);
@@ -123,14 +143,26 @@ export const addTeamMember = async (memberData) => {
 			throw new Error("Team member with this email already exists");
 		}
 
-		const docRef = await addDoc(collection(db, TEAMS_COLLECTION), {
+		const newMember = {
 			email: memberData.email,
 			username: memberData.username || memberData.email.split("@")[0],
 			role: memberData.role || "viewer",
+		};
+		const docRef = await addDoc(collection(db, TEAMS_COLLECTION), {
+			...newMember,
 			createdAt: serverTimestamp(),
 			updatedAt: serverTimestamp(),
 		});
 
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.CREATE,
+			resource: "teams",
+			resourceId: docRef.id,
+			label: newMember.email,
+			actor,
+			after: newMember,
+		});
+
 		return docRef.id;
 	} catch (error) {
 		console.error("Error adding team member:", error);
@@ -146,11 +178,21 @@ export const addTeamMember = async (memberData) => {
  */
 export const updateTeamMember = async (id, memberData) => {
 	try {
+		const existing = await getTeamMemberById(id);
 		const docRef = doc(db, TEAMS_COLLECTION, id);
 		await updateDoc(docRef, {
 			...memberData,
 			updatedAt: serverTimestamp(),
 		});
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.UPDATE,
+			resource: "teams",
+			resourceId: id,
+			label: existing.email,
+			before: existing,
+			after: { ...existing, ...memberData },
+		});
 	} catch (error) {
 		console.error("Error updating team member:", error);
 		throw error;
@@ -165,11 +207,21 @@ export const updateTeamMember = async (id, memberData) => {
  */
 export const updateTeamMemberRole = async (id, role) => {
 	try {
+		const existing = await getTeamMemberById(id);
 		const docRef = doc(db, TEAMS_COLLECTION, id);
 		await updateDoc(docRef, {
 			role: role,
 			updatedAt: serverTimestamp(),
 		});
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.UPDATE,
+			resource: "teams",
+			resourceId: id,
+			label: existing.email,
+			before: { role: existing.role },
+			after: { role },
+		});
 	} catch (error) {
 		console.error("Error updating team member role:", error);
 		throw error;
@@ -183,8 +235,17 @@ export const updateTeamMemberRole = async (id, role) => {
  */
 export const deleteTeamMember = async (id) => {
 	try {
+		const existing = await getTeamMemberById(id);
 		const docRef = doc(db, TEAMS_COLLECTION, id);
 		await deleteDoc(docRef);
+
+		await recordAuditLog({
+			action: AUDIT_ACTIONS.DELETE,
+			resource: "teams",
+			resourceId: id,
+			label: existing.email,
+			before: existing,
+		});
 	} catch (error) {
 		console.error("Error deleting team member:", error);
 		throw error;
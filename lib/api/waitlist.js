@@ -11,6 +11,7 @@ import {
 	serverTimestamp,
 } from "firebase/firestore";
 import { db } from "../config/firebase";
+import { enrollInSequences } from "./sequences";
 
 const WAITLIST_COLLECTION = "waitlist";
 
@@ -109,6 +110,8 @@ export const addWaitlistEntry = async (waitlistData) => {
 			updatedAt: serverTimestamp(),
 		});
 
+		await enrollInSequences("waitlist_joined", waitlistData);
+
 		return docRef.id;
 	} catch (error) {
 		console.error("Error adding waitlist entry:", error);
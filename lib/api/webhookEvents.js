@@ -0,0 +1,61 @@
+import {
+	collection,
+	getDocs,
+	query,
+	orderBy,
+	limit,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { authFetch } from "../utils/authFetch";
+
+const WEBHOOK_EVENTS_COLLECTION = "webhookEvents";
+
+/**
+ * Get received Polar webhook deliveries, newest first
+ * @param {number} max - Maximum events to read (default: 200)
+ * @returns {Promise<Array>} Array of webhook event documents
+ */
+export const getWebhookEvents = async (max = 200) => {
+	try {
+		const q = query(
+			collection(db, WEBHOOK_EVENTS_COLLECTION),
+			orderBy("receivedAt", "desc"),
+			limit(max)
+		);
+		const querySnapshot = await getDocs(q);
+		const events = [];
+
+		querySnapshot.forEach((doc) => {
+			events.push({
+				id: doc.id,
+				...doc.data(),
+			});
+		});
+
+		return events;
+	} catch (error) {
+		console.error("Error getting webhook events:", error);
+		throw error;
+	}
+};
+
+/**
+ * Re-run a stored webhook event through the webhook handlers
+ * @param {string} eventId - Webhook event ID
+ * @returns {Promise<Object>} { success, eventId, handled }
+ */
+export const replayWebhookEvent = async (eventId) => {
+	const response = await authFetch("/api/polar/webhook-events/replay", {
+		method: "POST",
+		headers: {
+			"Content-Type": "application/json",
+		},
+		body: JSON.stringify({ eventId }),
+	});
+
+	const data = await response.json();
+	if (!response.ok) {
+		throw new Error(data.message || data.error || "Failed to replay event");
+	}
+	return data;
+};
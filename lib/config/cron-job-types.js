@@ -0,0 +1,218 @@
+/**
+ * CRON job type registry
+ * Defines the job types the scheduler understands, what each one targets
+ * and how its data is validated. Safe to import on the client; server-side
+ * handlers live in lib/api/cronJobHandlers.
+ */
+
+const cronJobTypes = {};
+
+/**
+ * Register a CRON job type
+ * @param {Object} definition - Job type definition
+ * @param {string} definition.type - Unique type key stored on the job
+ * @param {string} definition.label - Label shown in the admin panel
+ * @param {string} definition.description - Short description for the admin panel
+ * @param {string|null} definition.itemType - Collection the job targets ('blog', 'email', 'changelog', 'form') or null
+ * @param {Array} definition.actions - Optional: [{ value, label }] stored as params.action
+ * @param {Object} definition.defaultParams - Optional: default params for new jobs
+ * @param {Function} definition.validate - Optional: (cronData) => error message or null
+ */
+export const registerCronJobType = (definition) => {
+	if (!definition?.type) {
+		throw new Error("CRON job type definition requires a type");
+	}
+	cronJobTypes[definition.type] = {
+		itemType: null,
+		actions: [],
+		defaultParams: {},
+		...definition,
+	};
+};
+
+/**
+ * Get a registered CRON job type
+ * @param {string} type - Job type key
+ * @returns {Object|null} Job type definition
+ */
+export const getCronJobType = (type) => {
+	return cronJobTypes[type] || null;
+};
+
+/**
+ * Get all registered CRON job types
+ * @returns {Array} Job type definitions in registration order
+ */
+export const getCronJobTypes = () => {
+	return Object.values(cronJobTypes);
+};
+
+/**
+ * Validate CRON job data against its type definition
+ * @param {Object} cronData - CRON job data ({ type, itemId, params, ... })
+ * @throws {Error} If the type is unknown or the data is invalid
+ */
+export const validateCronJobData = (cronData) => {
+	const definition = getCronJobType(cronData?.type);
+	if (!definition) {
+		throw new Error(`Unknown CRON job type: ${cronData?.type}`);
+	}
+
+	if (definition.itemType && !cronData.itemId) {
+		throw new Error(
+			`${definition.label} requires a target ${definition.itemType}`
+		);
+	}
+
+	if (definition.actions.length > 0) {
+		const action = cronData.params?.action;
+		if (!definition.actions.some((option) => option.value === action)) {
+			throw new Error(`${definition.label} requires a valid action`);
+		}
+	}
+
+	const error = definition.validate ? definition.validate(cronData) : null;
+	if (error) {
+		throw new Error(error);
+	}
+};
+
+export const WEBHOOK_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+registerCronJobType({
+	type: "blog",
+	label: "Publish Blog",
+	description: "Publish a draft blog post",
+	itemType: "blog",
+});
+
+registerCronJobType({
+	type: "email",
+	label: "Send Email",
+	description:
+		"Send an email campaign to all active subscribers or to a saved segment",
+	itemType: "email",
+	defaultParams: { segmentId: "" },
+});
+
+registerCronJobType({
+	type: "changelog",
+	label: "Changelog Entry",
+	description: "Publish or unpublish a changelog entry",
+	itemType: "changelog",
+	actions: [
+		{ value: "publish", label: "Publish" },
+		{ value: "unpublish", label: "Unpublish" },
+	],
+	defaultParams: { action: "publish" },
+});
+
+registerCronJobType({
+	type: "form",
+	label: "Open/Close Form",
+	description: "Open a form for submissions or close it",
+	itemType: "form",
+	actions: [
+		{ value: "open", label: "Open" },
+		{ value: "close", label: "Close" },
+	],
+	defaultParams: { action: "open" },
+});
+
+registerCronJobType({
+	type: "invoiceReminder",
+	label: "Invoice Reminders",
+	description:
+		"Email payment reminders for unpaid invoices that are due soon or overdue",
+	defaultParams: {
+		daysBeforeDue: 3,
+		includeOverdue: true,
+		overdueReminderDays: [1, 7, 14, 30],
+	},
+	validate: ({ params = {} }) => {
+		const days = Number(params.daysBeforeDue);
+		if (!Number.isInteger(days) || days < 0) {
+			return "Days before due must be a whole number of 0 or more";
+		}
+		// Jobs created before the cadence existed remind overdue invoices daily
+		if (params.overdueReminderDays !== undefined) {
+			const cadence = params.overdueReminderDays;
+			if (
+				!Array.isArray(cadence) ||
+				cadence.length === 0 ||
+				cadence.some(
+					(day, index) =>
+						!Number.isInteger(day) || day < 1 || day <= (cadence[index - 1] ?? 0)
+				)
+			) {
+				return "Overdue reminder days must be increasing whole numbers of 1 or more";
+			}
+		}
+		return null;
+	},
+});
+
+registerCronJobType({
+	type: "recurringInvoices",
+	label: "Recurring Invoices",
+	description:
+		"Issue the next invoice of every recurring invoice whose date has come",
+});
+
+registerCronJobType({
+	type: "billingReminders",
+	label: "Billing Reminders",
+	description:
+		"Email past-due customers during their grace period, notify them when access is downgraded, and remind trials before they end",
+	defaultParams: { trialReminderDays: 3 },
+	validate: ({ params = {} }) => {
+		const days = Number(params.trialReminderDays);
+		if (!Number.isInteger(days) || days < 0) {
+			return "Trial reminder days must be a whole number of 0 or more";
+		}
+		return null;
+	},
+});
+
+registerCronJobType({
+	type: "sequences",
+	label: "Email Sequences",
+	description:
+		"Send the steps of email sequences that have come due for each enrolled contact",
+});
+
+registerCronJobType({
+	type: "webhook",
+	label: "Outgoing Webhook",
+	description: "Call an external URL",
+	defaultParams: { method: "POST", url: "", headers: {}, body: "" },
+	validate: ({ params = {} }) => {
+		let url;
+		try {
+			url = new URL(params.url);
+		} catch (error) {
+			return "Webhook URL is invalid";
+		}
+		if (url.protocol !== "https:" && url.protocol !== "http:") {
+			return "Webhook URL must use http or https";
+		}
+		if (!WEBHOOK_METHODS.includes(params.method)) {
+			return `Webhook method must be one of ${WEBHOOK_METHODS.join(", ")}`;
+		}
+		if (params.headers && typeof params.headers !== "object") {
+			return "Webhook headers must be an object";
+		}
+		// The handler sends the body as JSON for every method but GET
+		if (params.method !== "GET" && params.body) {
+			if (typeof params.body !== "string") {
+				return "Webhook body must be a JSON string";
+			}
+			try {
+				JSON.parse(params.body);
+			} catch (error) {
+				return `Webhook body is not valid JSON: ${error.message}`;
+			}
+		}
+		return null;
+	},
+});
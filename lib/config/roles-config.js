@@ -52,6 +52,110 @@ export const ROLE_PERMISSIONS = {
 			edit: true,
 			delete: true,
 		},
+		// Customers management
+		customers: {
+			view: true,
+		},
+		// Payments management
+		payments: {
+			view: true,
+			delete: true,
+		},
+		// Invoices management
+		invoices: {
+			view: true,
+			create: true,
+			edit: true,
+			delete: true,
+			send: true,
+		},
+		// Products management
+		products: {
+			view: true,
+			create: true,
+			edit: true,
+			delete: true,
+		},
+		// Forms management
+		forms: {
+			view: true,
+			create: true,
+			edit: true,
+			delete: true,
+		},
+		// Changelog management
+		changelog: {
+			view: true,
+			create: true,
+			edit: true,
+			delete: true,
+			publish: true,
+		},
+		// Assets management
+		assets: {
+			view: true,
+			create: true,
+			delete: true,
+		},
+		// CRON jobs management
+		cronJobs: {
+			view: true,
+			create: true,
+			edit: true,
+			delete: true,
+			execute: true,
+		},
+		// Kanban board management
+		kanban: {
+			view: true,
+			create: true,
+			edit: true,
+			delete: true,
+		},
+		// Idea database management
+		ideas: {
+			view: true,
+			create: true,
+			edit: true,
+			delete: true,
+		},
+		// Messages management
+		messages: {
+			view: true,
+			edit: true,
+			delete: true,
+			send: true,
+		},
+		// Waitlist management
+		waitlist: {
+			view: true,
+			create: true,
+			delete: true,
+			send: true,
+		},
+		// Analytics dashboard
+		analytics: {
+			view: true,
+		},
+		// Reported issues management
+		issues: {
+			view: true,
+			edit: true,
+			delete: true,
+		},
+		// Audit log of admin actions
+		auditLogs: {
+			view: true,
+		},
+		// Polar webhook deliveries
+		webhooks: {
+			view: true,
+			execute: true,
+		},
+		// Builder deployments, made with the server's Vercel token
+		deployments: {
+			execute: true,
+		},
 	},
 	[ROLES.EDITOR]: {
 		users: {
@@ -86,6 +190,93 @@ export const ROLE_PERMISSIONS = {
 			edit: true,
 			delete: true,
 		},
+		customers: {
+			view: true,
+		},
+		payments: {
+			view: true,
+			delete: false,
+		},
+		invoices: {
+			view: true,
+			create: false,
+			edit: false,
+			delete: false,
+			send: false,
+		},
+		products: {
+			view: true,
+			create: false,
+			edit: false,
+			delete: false,
+		},
+		forms: {
+			view: true,
+			create: true,
+			edit: true,
+			delete: true,
+		},
+		changelog: {
+			view: true,
+			create: true,
+			edit: true,
+			delete: true,
+			publish: true,
+		},
+		assets: {
+			view: true,
+			create: true,
+			delete: true,
+		},
+		cronJobs: {
+			view: true,
+			create: true,
+			edit: true,
+			delete: true,
+			execute: true,
+		},
+		kanban: {
+			view: true,
+			create: true,
+			edit: true,
+			delete: true,
+		},
+		ideas: {
+			view: true,
+			create: true,
+			edit: true,
+			delete: true,
+		},
+		messages: {
+			view: true,
+			edit: true,
+			delete: true,
+			send: true,
+		},
+		waitlist: {
+			view: true,
+			create: true,
+			delete: true,
+			send: true,
+		},
+		analytics: {
+			view: true,
+		},
+		issues: {
+			view: true,
+			edit: true,
+			delete: true,
+		},
+		auditLogs: {
+			view: false,
+		},
+		webhooks: {
+			view: true,
+			execute: false,
+		},
+		deployments: {
+			execute: false,
+		},
 	},
 	[ROLES.AUTHOR]: {
 		users: {
@@ -103,15 +294,15 @@ export const ROLE_PERMISSIONS = {
 		blogs: {
 			view: true,
 			create: true,
-			edit: true, // Only own content
-			delete: true, // Only own content
+			edit: true, // Only own content (see ROLE_OWN_CONTENT_ONLY)
+			delete: true, // Only own content (see ROLE_OWN_CONTENT_ONLY)
 			publish: false,
 		},
 		emails: {
 			view: true,
 			create: true,
-			edit: true, // Only own content
-			delete: true, // Only own content
+			edit: true, // Only own content (see ROLE_OWN_CONTENT_ONLY)
+			delete: true, // Only own content (see ROLE_OWN_CONTENT_ONLY)
 			send: false,
 		},
 		subscribers: {
@@ -120,6 +311,93 @@ export const ROLE_PERMISSIONS = {
 			edit: false,
 			delete: false,
 		},
+		customers: {
+			view: false,
+		},
+		payments: {
+			view: false,
+			delete: false,
+		},
+		invoices: {
+			view: false,
+			create: false,
+			edit: false,
+			delete: false,
+			send: false,
+		},
+		products: {
+			view: false,
+			create: false,
+			edit: false,
+			delete: false,
+		},
+		forms: {
+			view: true,
+			create: false,
+			edit: false,
+			delete: false,
+		},
+		changelog: {
+			view: true,
+			create: false,
+			edit: false,
+			delete: false,
+			publish: false,
+		},
+		assets: {
+			view: true,
+			create: true,
+			delete: false,
+		},
+		cronJobs: {
+			view: true,
+			create: false,
+			edit: false,
+			delete: false,
+			execute: false,
+		},
+		kanban: {
+			view: true,
+			create: true,
+			edit: true,
+			delete: false,
+		},
+		ideas: {
+			view: true,
+			create: true,
+			edit: true,
+			delete: false,
+		},
+		messages: {
+			view: false,
+			edit: false,
+			delete: false,
+			send: false,
+		},
+		waitlist: {
+			view: false,
+			create: false,
+			delete: false,
+			send: false,
+		},
+		analytics: {
+			view: false,
+		},
+		issues: {
+			view: true,
+			edit: false,
+			delete: false,
+		},
+		auditLogs: {
+			view: false,
+		},
+		webhooks: {
+			view: false,
+			execute: false,
+		},
+		deployments: {
+			execute: false,
+		},
 	},
 	[ROLES.VIEWER]: {
 		users: {
@@ -154,16 +432,200 @@ export const ROLE_PERMISSIONS = {
 			edit: false,
 			delete: false,
 		},
+		customers: {
+			view: true,
+		},
+		payments: {
+			view: true,
+			delete: false,
+		},
+		invoices: {
+			view: true,
+			create: false,
+			edit: false,
+			delete: false,
+			send: false,
+		},
+		products: {
+			view: true,
+			create: false,
+			edit: false,
+			delete: false,
+		},
+		forms: {
+			view: true,
+			create: false,
+			edit: false,
+			delete: false,
+		},
+		changelog: {
+			view: true,
+			create: false,
+			edit: false,
+			delete: false,
+			publish: false,
+		},
+		assets: {
+			view: true,
+			create: false,
+			delete: false,
+		},
+		cronJobs: {
+			view: true,
+			create: false,
+			edit: false,
+			delete: false,
+			execute: false,
+		},
+		kanban: {
+			view: true,
+			create: false,
+			edit: false,
+			delete: false,
+		},
+		ideas: {
+			view: true,
+			create: false,
+			edit: false,
+			delete: false,
+		},
+		messages: {
+			view: true,
+			edit: false,
+			delete: false,
+			send: false,
+		},
+		waitlist: {
+			view: true,
+			create: false,
+			delete: false,
+			send: false,
+		},
+		analytics: {
+			view: true,
+		},
+		issues: {
+			view: true,
+			edit: false,
+			delete: false,
+		},
+		auditLogs: {
+			view: false,
+		},
+		webhooks: {
+			view: true,
+			execute: false,
+		},
+		deployments: {
+			execute: false,
+		},
 	},
 };
 
+/**
+ * Resources whose items record their creator (createdBy) and can be
+ * restricted to the creator's own items
+ */
+export const OWNED_RESOURCES = ["blogs", "emails"];
+
+/**
+ * Resources where a role may only edit/delete items it created
+ */
+export const ROLE_OWN_CONTENT_ONLY = {
+	[ROLES.AUTHOR]: ["blogs", "emails"],
+};
+
+/**
+ * Built-in roles seeded into the roles collection
+ */
+export const BUILT_IN_ROLES = Object.values(ROLES);
+
+/**
+ * Every resource and the actions it supports, taken from the admin role
+ * which is granted everything
+ */
+export const PERMISSION_RESOURCES = Object.keys(
+	ROLE_PERMISSIONS[ROLES.ADMIN]
+).map((resource) => ({
+	resource,
+	actions: Object.keys(ROLE_PERMISSIONS[ROLES.ADMIN][resource]),
+}));
+
+/**
+ * Every action used by at least one resource, in display order
+ */
+export const PERMISSION_ACTIONS = [
+	...new Set(PERMISSION_RESOURCES.flatMap(({ actions }) => actions)),
+];
+
+// Roles loaded from Firestore, keyed by role id
+let storedRoles = {};
+
+/**
+ * Build a permissions object where every known action is explicitly set,
+ * layering the given grants over a base (defaults to nothing granted)
+ * @param {Object} grants - Partial permissions object
+ * @param {Object} base - Permissions object to start from
+ * @returns {Object} Complete permissions object
+ */
+export const normalizePermissions = (grants = {}, base = {}) => {
+	const permissions = {};
+	PERMISSION_RESOURCES.forEach(({ resource, actions }) => {
+		permissions[resource] = {};
+		actions.forEach((action) => {
+			const granted = grants[resource]?.[action];
+			permissions[resource][action] =
+				granted === undefined
+					? base[resource]?.[action] === true
+					: granted === true;
+		});
+	});
+	return permissions;
+};
+
+/**
+ * Register roles loaded from Firestore so permission checks resolve
+ * against them. Built-in roles keep their defaults for any resource the
+ * stored copy doesn't mention, and admin always keeps full access.
+ * @param {Array} roles - Role documents ({ id, permissions, ownContentOnly, ... })
+ */
+export const registerRoles = (roles = []) => {
+	storedRoles = {};
+	roles.forEach((role) => {
+		if (!role?.id) return;
+		const ownContentOnly =
+			role.ownContentOnly || ROLE_OWN_CONTENT_ONLY[role.id] || [];
+		storedRoles[role.id] = {
+			...role,
+			ownContentOnly:
+				role.id === ROLES.ADMIN
+					? []
+					: ownContentOnly.filter((resource) =>
+							OWNED_RESOURCES.includes(resource)
+						),
+			permissions:
+				role.id === ROLES.ADMIN
+					? ROLE_PERMISSIONS[ROLES.ADMIN]
+					: normalizePermissions(
+							role.permissions,
+							ROLE_PERMISSIONS[role.id]
+						),
+		};
+	});
+};
+
 /**
  * Get permissions for a specific role
  * @param {string} role - User role
  * @returns {Object} Permissions object
  */
 export const getRolePermissions = (role) => {
-	return ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS[ROLES.VIEWER];
+	return (
+		storedRoles[role]?.permissions ||
+		ROLE_PERMISSIONS[role] ||
+		storedRoles[ROLES.VIEWER]?.permissions ||
+		ROLE_PERMISSIONS[ROLES.VIEWER]
+	);
 };
 
 /**
@@ -192,6 +654,96 @@ export const getAllowedActions = (role, resource) => {
 	);
 };
 
+/**
+ * Check if a role is limited to its own items for a resource
+ * @param {string} role - User role
+ * @param {string} resource - Resource name (see OWNED_RESOURCES)
+ * @returns {boolean} True if only the creator's items can be edited/deleted
+ */
+export const isOwnContentOnly = (role, resource) => {
+	const ownContentOnly = storedRoles[role]
+		? storedRoles[role].ownContentOnly
+		: ROLE_OWN_CONTENT_ONLY[role] || [];
+	return ownContentOnly.includes(resource);
+};
+
+/**
+ * Check if a user created an item
+ * @param {Object} item - Item with a createdBy ({ uid, email }) field
+ * @param {Object} user - Current user ({ uid, email })
+ * @returns {boolean} True if the user is the item's creator
+ */
+export const isContentOwner = (item, user) => {
+	const owner = item?.createdBy;
+	if (!owner || !user) return false;
+	if (owner.uid && user.uid) return owner.uid === user.uid;
+	return (
+		!!owner.email &&
+		!!user.email &&
+		owner.email.toLowerCase().trim() === user.email.toLowerCase().trim()
+	);
+};
+
+/**
+ * Check if a user can perform an action on a specific item, taking
+ * "own content only" restrictions into account. Items without a
+ * createdBy are treated as someone else's.
+ * @param {string} role - User role
+ * @param {string} resource - Resource name
+ * @param {string} action - Action name (edit, delete, etc.)
+ * @param {Object} item - Item being acted on
+ * @param {Object} user - Current user ({ uid, email })
+ * @returns {boolean} True if user has permission for this item
+ */
+export const canModifyContent = (role, resource, action, item, user) => {
+	if (!hasPermission(role, resource, action)) return false;
+	if (!isOwnContentOnly(role, resource)) return true;
+	return isContentOwner(item, user);
+};
+
+/**
+ * Permission resource guarding each admin tab.
+ * Tabs mapped to null (home) are available to every role.
+ */
+export const TAB_RESOURCES = {
+	home: null,
+	blogs: "blogs",
+	emails: "emails",
+	"kanban-board": "kanban",
+	"idea-database": "ideas",
+	assets: "assets",
+	"cron-jobs": "cronJobs",
+	subscribers: "subscribers",
+	users: "users",
+	customers: "customers",
+	waitlist: "waitlist",
+	analytics: "analytics",
+	payments: "payments",
+	revenue: "payments",
+	invoices: "invoices",
+	products: "products",
+	webhooks: "webhooks",
+	messages: "messages",
+	forms: "forms",
+	reportIssues: "issues",
+	changelog: "changelog",
+	teams: "teams",
+	"audit-log": "auditLogs",
+};
+
+/**
+ * Check if a role can open an admin tab
+ * @param {string} role - User role
+ * @param {string} tabId - Admin tab id (see TAB_RESOURCES)
+ * @returns {boolean} True if the role can view the tab's resource
+ */
+export const canAccessTab = (role, tabId) => {
+	const resource = TAB_RESOURCES[tabId];
+	if (resource === undefined) return false;
+	if (resource === null) return true;
+	return hasPermission(role, resource, "view");
+};
+
 /**
  * Role labels and colors for UI
  */
@@ -213,3 +765,17 @@ export const ROLE_LABELS = {
 		color: "bg-zinc-100 text-zinc-800",
 	},
 };
+
+/**
+ * Badge colors available to custom roles
+ */
+export const ROLE_COLORS = [
+	"bg-zinc-100 text-zinc-800",
+	"bg-red-100 text-red-800",
+	"bg-orange-100 text-orange-800",
+	"bg-yellow-100 text-yellow-800",
+	"bg-green-100 text-green-800",
+	"bg-blue-100 text-blue-800",
+	"bg-purple-100 text-purple-800",
+	"bg-pink-100 text-pink-800",
+];
@@ -0,0 +1,40 @@
+import { useQuery } from "@tanstack/react-query";
+import { useSubscription } from "./useSubscription";
+import { isCustomerEntitled } from "../api/customers";
+import {
+	getProductByPolarId,
+	resolveEntitlements,
+	checkEntitlement,
+} from "../api/products";
+
+/**
+ * Current user's entitlement for one feature, resolved from their
+ * subscription's product (free plan when not subscribed)
+ * @param {string} feature - Entitlement key (see ENTITLEMENT_DEFINITIONS)
+ * @param {number} usage - Amount already used, for limits (default: 0)
+ * @returns {{ allowed: boolean, limit: number|null, remaining: number|null, value: any, entitlements: Object, isLoading: boolean }}
+ *
+ * @example
+ * const { allowed, remaining } = useEntitlement("forms", forms.length);
+ * {allowed && <button>New Form</button>}
+ */
+export const useEntitlement = (feature, usage = 0) => {
+	const subscription = useSubscription();
+	const planId = isCustomerEntitled(subscription) ? subscription.planId : null;
+
+	const { data: product = null, isLoading: isLoadingProduct } = useQuery({
+		queryKey: ["entitlements", planId],
+		queryFn: () => getProductByPolarId(planId),
+		enabled: !!planId,
+		staleTime: 5 * 60 * 1000, // 5 minutes
+	});
+
+	const entitlements = resolveEntitlements(product);
+
+	return {
+		...checkEntitlement(entitlements, feature, usage),
+		value: entitlements[feature],
+		entitlements,
+		isLoading: subscription.isLoading || (!!planId && isLoadingProduct),
+	};
+};
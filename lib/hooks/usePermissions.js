@@ -0,0 +1,83 @@
+import { useQuery } from "@tanstack/react-query";
+import {
+	hasPermission,
+	getAllowedActions,
+	canModifyContent,
+} from "../config/roles-config";
+import { getCachedUserRole, getUserRole } from "../utils/getUserRole";
+import { getCurrentUserEmail } from "../utils/getCurrentUserEmail";
+import { getContentOwner } from "../utils/contentOwnership";
+
+/**
+ * Fetch the current user's role from the teams collection,
+ * falling back to the cached role
+ * @returns {Promise<string>} User role
+ */
+const fetchUserRole = async () => {
+	try {
+		const userEmail = await getCurrentUserEmail();
+		if (!userEmail) {
+			return getCachedUserRole();
+		}
+		return await getUserRole(userEmail, false);
+	} catch (error) {
+		console.error("Error fetching user role:", error);
+		return getCachedUserRole();
+	}
+};
+
+/**
+ * Current user's role, shared with every admin tab through the
+ * ["userRole"] query
+ * @returns {{ userRole: string, isLoadingRole: boolean }}
+ */
+export const useUserRole = () => {
+	const { data: userRole = "viewer", isLoading } = useQuery({
+		queryKey: ["userRole"],
+		queryFn: fetchUserRole,
+		staleTime: 5 * 60 * 1000, // 5 minutes
+	});
+
+	return { userRole, isLoadingRole: isLoading };
+};
+
+/**
+ * Signed-in user as a content owner ({ uid, email }), used to match
+ * createdBy on owned items. Cached under ["contentOwner"]: the Navbar's
+ * ["currentUser"] query holds the full profile in a different shape.
+ * @returns {{ currentUser: Object|null }}
+ */
+export const useCurrentUser = () => {
+	const { data: currentUser = null } = useQuery({
+		queryKey: ["contentOwner"],
+		queryFn: getContentOwner,
+		staleTime: 5 * 60 * 1000, // 5 minutes
+	});
+
+	return { currentUser };
+};
+
+/**
+ * Permissions of the current user for one resource
+ * @param {string} resource - Resource name (see ROLE_PERMISSIONS)
+ * @returns {{ userRole: string, isLoadingRole: boolean, allowedActions: Array<string>, can: Function, canModify: Function }}
+ *
+ * @example
+ * const { can, canModify } = usePermissions("blogs");
+ * {can("create") && <button>New Blog</button>}
+ * {canModify("delete", blog) && <button>Delete</button>}
+ */
+export const usePermissions = (resource) => {
+	const { userRole, isLoadingRole } = useUserRole();
+	const { currentUser } = useCurrentUser();
+
+	return {
+		userRole,
+		isLoadingRole,
+		allowedActions: getAllowedActions(userRole, resource),
+		can: (action) => hasPermission(userRole, resource, action),
+		// Like can(), but also honours "own content only" for this item
+		canModify: (action, item) =>
+			canModifyContent(userRole, resource, action, item, currentUser),
+	};
+};
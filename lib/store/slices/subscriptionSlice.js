@@ -37,8 +37,10 @@ const initialState = {
 	planName: null,
 	planId: null,
 	customerId: null,
-	status: null, // active, canceled, expired
+	status: null, // active, trialing, past_due, canceled, revoked
 	expiresAt: null,
+	graceEndsAt: null, // End of the past-due grace period
+	trialEndsAt: null,
 	loading: false,
 	error: null,
 };
@@ -55,6 +57,8 @@ const subscriptionSlice = createSlice({
 			state.status = action.payload.status || null;
 			// Convert Timestamp to ISO string to ensure serializability
 			state.expiresAt = convertTimestamp(action.payload.expiresAt);
+			state.graceEndsAt = convertTimestamp(action.payload.graceEndsAt);
+			state.trialEndsAt = convertTimestamp(action.payload.trialEndsAt);
 			state.loading = false;
 			state.error = null;
 		},
@@ -65,6 +69,8 @@ const subscriptionSlice = createSlice({
 			state.customerId = null;
 			state.status = null;
 			state.expiresAt = null;
+			state.graceEndsAt = null;
+			state.trialEndsAt = null;
 			state.loading = false;
 			state.error = null;
 		},
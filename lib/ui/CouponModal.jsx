@@ -0,0 +1,423 @@
+import React, { useState, useEffect } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { X, Save, Info } from "lucide-react";
+import {
+	createCoupon,
+	updateCoupon,
+	normalizeCouponCode,
+	formatCouponDiscount,
+} from "../api/coupons";
+import DatePicker from "./DatePicker";
+import { toast } from "react-toastify";
+
+const inputClassName =
+	"w-full px-4 py-2.5 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 focus:border-transparent text-zinc-900 disabled:bg-zinc-100 disabled:cursor-not-allowed disabled:text-zinc-500";
+
+// "YYYY-MM-DD" for the date picker, from a Firestore Timestamp or date
+const toDateInputValue = (value) => {
+	if (!value) return "";
+	const date = value?.toDate ? value.toDate() : new Date(value);
+	if (isNaN(date.getTime())) return "";
+	return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+};
+
+const CouponModal = ({
+	isOpen,
+	onClose,
+	couponToEdit = null,
+	products = [],
+	queryClient,
+}) => {
+	const [code, setCode] = useState("");
+	const [name, setName] = useState("");
+	const [type, setType] = useState("percentage");
+	const [amount, setAmount] = useState("");
+	const [currency, setCurrency] = useState("usd");
+	const [duration, setDuration] = useState("once");
+	const [durationInMonths, setDurationInMonths] = useState("3");
+	const [maxRedemptions, setMaxRedemptions] = useState("");
+	const [expiresAt, setExpiresAt] = useState("");
+	const [productIds, setProductIds] = useState([]); // Empty = all products
+	const [isSaving, setIsSaving] = useState(false);
+
+	// Load coupon data when editing, reset when creating
+	useEffect(() => {
+		if (!isOpen) return;
+
+		setCode(couponToEdit?.code || "");
+		setName(couponToEdit?.name || "");
+		setType(couponToEdit?.type || "percentage");
+		setAmount(
+			couponToEdit
+				? String(
+						couponToEdit.type === "fixed"
+							? couponToEdit.amount / 100
+							: couponToEdit.amount
+				  )
+				: ""
+		);
+		setCurrency(couponToEdit?.currency || "usd");
+		setDuration(couponToEdit?.duration || "once");
+		setDurationInMonths(String(couponToEdit?.durationInMonths || 3));
+		setMaxRedemptions(
+			couponToEdit?.maxRedemptions ? String(couponToEdit.maxRedemptions) : ""
+		);
+		setExpiresAt(toDateInputValue(couponToEdit?.expiresAt));
+		setProductIds(couponToEdit?.productIds || []);
+	}, [isOpen, couponToEdit]);
+
+	// Products that can be bought through checkout
+	const polarProducts = products.filter((product) => product.polarProductId);
+
+	const toggleProduct = (polarProductId) => {
+		setProductIds((current) =>
+			current.includes(polarProductId)
+				? current.filter((id) => id !== polarProductId)
+				: [...current, polarProductId]
+		);
+	};
+
+	const handleSave = async () => {
+		const parsedAmount = parseFloat(amount);
+		if (!couponToEdit && !(parsedAmount > 0)) {
+			toast.error("Please enter a discount amount");
+			return;
+		}
+
+		// Codes stop working at the end of the expiry day
+		const expiryDate = expiresAt ? new Date(`${expiresAt}T23:59:59`) : null;
+		const redemptionLimit = maxRedemptions
+			? parseInt(maxRedemptions, 10)
+			: null;
+
+		setIsSaving(true);
+		try {
+			if (couponToEdit) {
+				await updateCoupon(couponToEdit.id, {
+					name,
+					maxRedemptions: redemptionLimit,
+					expiresAt: expiryDate,
+				});
+				toast.success("Coupon updated successfully");
+			} else {
+				await createCoupon({
+					code,
+					name,
+					type,
+					// Fixed discounts are stored in cents, like product prices
+					amount:
+						type === "fixed" ? Math.round(parsedAmount * 100) : parsedAmount,
+					currency,
+					duration,
+					durationInMonths: parseInt(durationInMonths, 10),
+					maxRedemptions: redemptionLimit,
+					expiresAt: expiryDate,
+					productIds,
+				});
+				toast.success("Coupon created successfully");
+			}
+
+			if (queryClient) {
+				queryClient.invalidateQueries({ queryKey: ["coupons"] });
+			}
+
+			onClose();
+		} catch (error) {
+			console.error("Error saving coupon:", error);
+			toast.error(error.message || "Failed to save coupon. Please try again.");
+		} finally {
+			setIsSaving(false);
+		}
+	};
+
+	// Live summary of the discount being configured
+	const preview =
+		parseFloat(amount) > 0
+			? formatCouponDiscount({
+					type,
+					amount:
+						type === "fixed"
+							? Math.round(parseFloat(amount) * 100)
+							: parseFloat(amount),
+					currency,
+					duration,
+					durationInMonths: parseInt(durationInMonths, 10) || 0,
+			  })
+			: null;
+
+	return (
+		<AnimatePresence>
+			{isOpen && (
+				<motion.div
+					initial={{ opacity: 0 }}
+					animate={{ opacity: 1 }}
+					exit={{ opacity: 0 }}
+					className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+					onClick={onClose}
+				>
+					<motion.div
+						initial={{ scale: 0.9, opacity: 0 }}
+						animate={{ scale: 1, opacity: 1 }}
+						exit={{ scale: 0.9, opacity: 0 }}
+						onClick={(e) => e.stopPropagation()}
+						className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl overflow-hidden max-h-[90vh] flex flex-col"
+					>
+						{/* Header */}
+						<div className="flex items-center justify-between p-3 border-b border-zinc-200">
+							<h3 className="text-xl font-bold text-zinc-900">
+								{couponToEdit ? "Edit Coupon" : "Create New Coupon"}
+							</h3>
+							<button
+								onClick={onClose}
+								className="p-2 text-zinc-400 hover:text-zinc-600 transition-colors rounded-xl hover:bg-zinc-100"
+							>
+								<X className="w-5 h-5" />
+							</button>
+						</div>
+
+						{/* Body */}
+						<div className="flex-1 overflow-y-auto p-6">
+							<div className="space-y-4">
+								{couponToEdit && (
+									<div className="flex items-start gap-2 p-3 bg-blue-50 border border-blue-200 rounded-xl">
+										<Info className="w-4 h-4 text-blue-600 flex-shrink-0 mt-0.5" />
+										<p className="text-xs text-blue-800">
+											Code, discount, duration and products can't be changed
+											after creation. To change these, create a new coupon.
+										</p>
+									</div>
+								)}
+
+								<div className="grid grid-cols-2 gap-4">
+									{/* Code */}
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											Code *
+										</label>
+										<input
+											type="text"
+											value={code}
+											onChange={(e) => setCode(normalizeCouponCode(e.target.value))}
+											placeholder="LAUNCH20"
+											disabled={!!couponToEdit}
+											className={`${inputClassName} font-mono`}
+										/>
+									</div>
+
+									{/* Name */}
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											Name
+										</label>
+										<input
+											type="text"
+											value={name}
+											onChange={(e) => setName(e.target.value)}
+											placeholder="Launch week"
+											className={inputClassName}
+										/>
+									</div>
+								</div>
+
+								{/* Discount */}
+								<div className="grid grid-cols-3 gap-4">
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											Type *
+										</label>
+										<select
+											value={type}
+											onChange={(e) => setType(e.target.value)}
+											disabled={!!couponToEdit}
+											className={inputClassName}
+										>
+											<option value="percentage">Percentage</option>
+											<option value="fixed">Fixed Amount</option>
+										</select>
+									</div>
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											{type === "percentage" ? "Percent Off *" : "Amount Off *"}
+										</label>
+										<input
+											type="number"
+											value={amount}
+											onChange={(e) => setAmount(e.target.value)}
+											placeholder={type === "percentage" ? "20" : "10.00"}
+											min="0"
+											max={type === "percentage" ? "100" : undefined}
+											step={type === "percentage" ? "1" : "0.01"}
+											disabled={!!couponToEdit}
+											className={inputClassName}
+										/>
+									</div>
+									{type === "fixed" && (
+										<div>
+											<label className="block text-sm font-medium text-zinc-700 mb-2">
+												Currency *
+											</label>
+											<select
+												value={currency}
+												onChange={(e) => setCurrency(e.target.value)}
+												disabled={!!couponToEdit}
+												className={inputClassName}
+											>
+												<option value="usd">USD ($)</option>
+												<option value="eur">EUR (€)</option>
+												<option value="gbp">GBP (£)</option>
+											</select>
+										</div>
+									)}
+								</div>
+
+								{/* Duration */}
+								<div className="grid grid-cols-2 gap-4">
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											Duration *
+										</label>
+										<select
+											value={duration}
+											onChange={(e) => setDuration(e.target.value)}
+											disabled={!!couponToEdit}
+											className={inputClassName}
+										>
+											<option value="once">Once (first payment)</option>
+											<option value="repeating">Repeating (number of months)</option>
+											<option value="forever">Forever</option>
+										</select>
+									</div>
+									{duration === "repeating" && (
+										<div>
+											<label className="block text-sm font-medium text-zinc-700 mb-2">
+												Months *
+											</label>
+											<input
+												type="number"
+												value={durationInMonths}
+												onChange={(e) => setDurationInMonths(e.target.value)}
+												min="1"
+												step="1"
+												disabled={!!couponToEdit}
+												className={inputClassName}
+											/>
+										</div>
+									)}
+								</div>
+
+								{/* Limits */}
+								<div className="grid grid-cols-2 gap-4">
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											Max Redemptions
+										</label>
+										<input
+											type="number"
+											value={maxRedemptions}
+											onChange={(e) => setMaxRedemptions(e.target.value)}
+											placeholder="Unlimited"
+											min="1"
+											step="1"
+											className={inputClassName}
+										/>
+									</div>
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											Expires On
+										</label>
+										<div className="flex items-center gap-2">
+											<DatePicker
+												value={expiresAt}
+												onChange={setExpiresAt}
+												placeholder="Never"
+												minDate={new Date(new Date().setHours(0, 0, 0, 0))}
+												className="flex-1"
+											/>
+											{expiresAt && (
+												<button
+													onClick={() => setExpiresAt("")}
+													className="p-2 text-zinc-400 hover:text-zinc-600 rounded-xl hover:bg-zinc-100"
+													title="Clear expiry"
+												>
+													<X className="w-4 h-4" />
+												</button>
+											)}
+										</div>
+									</div>
+								</div>
+
+								{/* Products */}
+								<div>
+									<label className="block text-sm font-medium text-zinc-700 mb-2">
+										Applies To
+									</label>
+									<p className="text-xs text-zinc-500 mb-2">
+										Leave all unchecked to allow the coupon on every product
+									</p>
+									<div className="space-y-2 max-h-40 overflow-y-auto">
+										{polarProducts.length === 0 ? (
+											<p className="text-sm text-zinc-500">No products yet</p>
+										) : (
+											polarProducts.map((product) => (
+												<label
+													key={product.id}
+													className="flex items-center gap-2 text-sm text-zinc-700"
+												>
+													<input
+														type="checkbox"
+														checked={productIds.includes(product.polarProductId)}
+														onChange={() => toggleProduct(product.polarProductId)}
+														disabled={!!couponToEdit}
+														className="rounded border-zinc-300"
+													/>
+													{product.name}
+												</label>
+											))
+										)}
+									</div>
+								</div>
+
+								{preview && (
+									<div className="p-3 bg-zinc-50 border border-zinc-200 rounded-xl text-sm text-zinc-700">
+										Customers get <strong>{preview}</strong>
+										{maxRedemptions &&
+											`, up to ${maxRedemptions} redemption${maxRedemptions !== "1" ? "s" : ""}`}
+										. Each customer can use a coupon once.
+									</div>
+								)}
+							</div>
+						</div>
+
+						{/* Footer */}
+						<div className="flex items-center justify-end gap-3 p-6 border-t border-zinc-200">
+							<button
+								onClick={onClose}
+								className="px-4 py-2 text-sm font-medium text-zinc-700 hover:bg-zinc-100 rounded-xl transition-colors"
+							>
+								Cancel
+							</button>
+							<motion.button
+								whileHover={{ scale: 1.02 }}
+								whileTap={{ scale: 0.98 }}
+								onClick={handleSave}
+								disabled={isSaving}
+								className="flex items-center gap-2 px-4 py-2 bg-zinc-900 hover:bg-zinc-800 text-white rounded-xl text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+							>
+								<Save className="w-4 h-4" />
+								{isSaving
+									? couponToEdit
+										? "Updating..."
+										: "Creating..."
+									: couponToEdit
+										? "Update Coupon"
+										: "Create Coupon"}
+							</motion.button>
+						</div>
+					</motion.div>
+				</motion.div>
+			)}
+		</AnimatePresence>
+	);
+};
+
+export default CouponModal;
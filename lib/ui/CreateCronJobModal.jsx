@@ -0,0 +1,473 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { useQuery, useMutation } from "@tanstack/react-query";
+import { motion, AnimatePresence } from "framer-motion";
+import { X, Save } from "lucide-react";
+import { toast } from "react-toastify";
+import { createCronJob } from "../api/cronJobs";
+import { getAllBlogs } from "../api/blog";
+import { getAllEmails } from "../api/emails";
+import { getAllChangelogs } from "../api/changelog";
+import { getAllForms } from "../api/forms";
+import { getAllSegments } from "../api/segments";
+import {
+	getCronJobTypes,
+	getCronJobType,
+	validateCronJobData,
+	WEBHOOK_METHODS,
+} from "../config/cron-job-types";
+import { validateRecurrence, getDefaultTimezone } from "../utils/recurrence";
+import RecurrenceFields from "./RecurrenceFields";
+import { validateMergeTags } from "../utils/mergeTags";
+
+// How to list and label the items each target collection offers
+const ITEM_SOURCES = {
+	blog: { fetch: () => getAllBlogs(), labelKey: "title" },
+	email: { fetch: () => getAllEmails(), labelKey: "subject" },
+	changelog: { fetch: () => getAllChangelogs(), labelKey: "title" },
+	form: { fetch: () => getAllForms(), labelKey: "title" },
+};
+
+const inputClassName =
+	"w-full px-4 py-2 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm";
+
+const CreateCronJobModal = ({ isOpen, onClose, queryClient }) => {
+	const jobTypes = getCronJobTypes();
+	const [type, setType] = useState(jobTypes[0].type);
+	const [itemId, setItemId] = useState("");
+	const [params, setParams] = useState({ ...jobTypes[0].defaultParams });
+	const [headersText, setHeadersText] = useState("{}");
+	const [repeatType, setRepeatType] = useState("none");
+	const [expression, setExpression] = useState("");
+	const [timezone, setTimezone] = useState(getDefaultTimezone());
+	const [scheduledDate, setScheduledDate] = useState("");
+
+	const definition = getCronJobType(type);
+	const itemSource = definition.itemType
+		? ITEM_SOURCES[definition.itemType]
+		: null;
+
+	// Reset the form whenever the modal opens
+	useEffect(() => {
+		if (!isOpen) return;
+		setType(jobTypes[0].type);
+		setItemId("");
+		setParams({ ...jobTypes[0].defaultParams });
+		setHeadersText("{}");
+		setRepeatType("none");
+		setExpression("");
+		setTimezone(getDefaultTimezone());
+		setScheduledDate("");
+	}, [isOpen]);
+
+	// Fetch the items the selected job type can target
+	const { data: items = [], isLoading: isLoadingItems } = useQuery({
+		queryKey: ["cronJobTargets", definition.itemType],
+		queryFn: () => itemSource.fetch(),
+		enabled: isOpen && !!itemSource,
+	});
+
+	// Saved segments an email job can send to instead of all subscribers
+	const { data: segments = [], isLoading: isLoadingSegments } = useQuery({
+		queryKey: ["segments"],
+		queryFn: getAllSegments,
+		enabled: isOpen && type === "email",
+	});
+
+	const selectedItem = useMemo(
+		() => items.find((item) => item.id === itemId) || null,
+		[items, itemId]
+	);
+
+	const createMutation = useMutation({
+		mutationFn: (cronData) => createCronJob(cronData),
+		onSuccess: () => {
+			queryClient.invalidateQueries({ queryKey: ["cronJobs"] });
+			toast.success("CRON job created");
+			onClose();
+		},
+		onError: (error) => {
+			toast.error(`Failed to create CRON job: ${error.message}`);
+		},
+	});
+
+	const handleTypeChange = (value) => {
+		setType(value);
+		setItemId("");
+		setParams({ ...getCronJobType(value).defaultParams });
+		setHeadersText("{}");
+	};
+
+	const updateParam = (key, value) => {
+		setParams((prev) => ({ ...prev, [key]: value }));
+	};
+
+	const handleSubmit = () => {
+		const recurrence =
+			repeatType === "none" ? null : { type: repeatType, expression, timezone };
+		if (!recurrence && !scheduledDate) {
+			toast.warning("Please select a date");
+			return;
+		}
+		if (recurrence) {
+			const { valid, error } = validateRecurrence(recurrence);
+			if (!valid) {
+				toast.warning(error);
+				return;
+			}
+		}
+
+		let jobParams = params;
+		if (type === "webhook") {
+			try {
+				jobParams = { ...params, headers: JSON.parse(headersText || "{}") };
+			} catch (error) {
+				toast.warning("Webhook headers must be valid JSON");
+				return;
+			}
+		}
+		if (type === "invoiceReminder") {
+			const cadence = Array.isArray(params.overdueReminderDays)
+				? params.overdueReminderDays
+				: String(params.overdueReminderDays || "")
+						.split(",")
+						.map((day) => day.trim())
+						.filter(Boolean)
+						.map(Number);
+			jobParams = {
+				...params,
+				daysBeforeDue: Number(params.daysBeforeDue),
+				overdueReminderDays: cadence,
+			};
+		}
+		if (type === "billingReminders") {
+			jobParams = {
+				...params,
+				trialReminderDays: Number(params.trialReminderDays),
+			};
+		}
+
+		const labelKey = itemSource?.labelKey;
+		const cronData = {
+			type,
+			itemId: itemId || null,
+			scheduledDate: scheduledDate ? new Date(scheduledDate) : null,
+			itemData:
+				selectedItem && labelKey
+					? { [labelKey]: selectedItem[labelKey] || "" }
+					: {},
+			params: jobParams,
+			recurrence,
+		};
+
+		try {
+			validateCronJobData(cronData);
+		} catch (error) {
+			toast.warning(error.message);
+			return;
+		}
+
+		// Campaigns with unknown merge tags would fail at send time
+		if (definition.itemType === "email" && selectedItem) {
+			const mergeTagError = validateMergeTags(
+				selectedItem.subject,
+				selectedItem.content
+			);
+			if (mergeTagError) {
+				toast.warning(mergeTagError);
+				return;
+			}
+		}
+
+		createMutation.mutate(cronData);
+	};
+
+	return (
+		<AnimatePresence>
+			{isOpen && (
+				<motion.div
+					initial={{ opacity: 0 }}
+					animate={{ opacity: 1 }}
+					exit={{ opacity: 0 }}
+					className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+					onClick={onClose}
+				>
+					<motion.div
+						initial={{ scale: 0.9, opacity: 0 }}
+						animate={{ scale: 1, opacity: 1 }}
+						exit={{ scale: 0.9, opacity: 0 }}
+						onClick={(e) => e.stopPropagation()}
+						className="bg-white rounded-2xl shadow-2xl w-full max-w-lg overflow-hidden max-h-[90vh] flex flex-col"
+					>
+						{/* Header */}
+						<div className="flex items-center justify-between p-4 border-b border-zinc-200">
+							<h3 className="text-lg font-bold text-zinc-900">New CRON Job</h3>
+							<button
+								onClick={onClose}
+								className="p-2 text-zinc-400 hover:text-zinc-600 transition-colors"
+							>
+								<X className="w-5 h-5" />
+							</button>
+						</div>
+
+						{/* Body */}
+						<div className="p-6 overflow-y-auto flex-1 space-y-4">
+							<div>
+								<label className="block text-sm font-medium text-zinc-700 mb-2">
+									Job Type
+								</label>
+								<select
+									value={type}
+									onChange={(e) => handleTypeChange(e.target.value)}
+									className={inputClassName}
+								>
+									{jobTypes.map((jobType) => (
+										<option key={jobType.type} value={jobType.type}>
+											{jobType.label}
+										</option>
+									))}
+								</select>
+								<p className="text-xs text-zinc-500 mt-1">
+									{definition.description}
+								</p>
+							</div>
+
+							{itemSource && (
+								<div>
+									<label className="block text-sm font-medium text-zinc-700 mb-2 capitalize">
+										{definition.itemType}
+									</label>
+									<select
+										value={itemId}
+										onChange={(e) => setItemId(e.target.value)}
+										disabled={isLoadingItems}
+										className={inputClassName}
+									>
+										<option value="">
+											{isLoadingItems
+												? "Loading..."
+												: `Select a ${definition.itemType}`}
+										</option>
+										{items.map((item) => (
+											<option key={item.id} value={item.id}>
+												{item[itemSource.labelKey] || item.id}
+											</option>
+										))}
+									</select>
+								</div>
+							)}
+
+							{type === "email" && (
+								<div>
+									<label className="block text-sm font-medium text-zinc-700 mb-2">
+										Audience
+									</label>
+									<select
+										value={params.segmentId || ""}
+										onChange={(e) => updateParam("segmentId", e.target.value)}
+										disabled={isLoadingSegments}
+										className={inputClassName}
+									>
+										<option value="">All active subscribers</option>
+										{segments.map((segment) => (
+											<option key={segment.id} value={segment.id}>
+												Segment: {segment.name}
+											</option>
+										))}
+									</select>
+									<p className="text-xs text-zinc-500 mt-1">
+										Segment contacts are resolved when the job runs
+									</p>
+								</div>
+							)}
+
+							{definition.actions.length > 0 && (
+								<div>
+									<label className="block text-sm font-medium text-zinc-700 mb-2">
+										Action
+									</label>
+									<select
+										value={params.action || ""}
+										onChange={(e) => updateParam("action", e.target.value)}
+										className={inputClassName}
+									>
+										{definition.actions.map((action) => (
+											<option key={action.value} value={action.value}>
+												{action.label}
+											</option>
+										))}
+									</select>
+								</div>
+							)}
+
+							{type === "invoiceReminder" && (
+								<>
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											Days Before Due
+										</label>
+										<input
+											type="number"
+											min="0"
+											value={params.daysBeforeDue}
+											onChange={(e) =>
+												updateParam("daysBeforeDue", e.target.value)
+											}
+											className={inputClassName}
+										/>
+									</div>
+									<div className="flex items-center gap-2">
+										<input
+											type="checkbox"
+											id="includeOverdue"
+											checked={!!params.includeOverdue}
+											onChange={(e) =>
+												updateParam("includeOverdue", e.target.checked)
+											}
+											className="w-4 h-4 text-zinc-900 border-zinc-300 rounded focus:ring-zinc-900"
+										/>
+										<label
+											htmlFor="includeOverdue"
+											className="text-sm font-medium text-zinc-700 cursor-pointer"
+										>
+											Also remind customers with overdue invoices
+										</label>
+									</div>
+									{params.includeOverdue && (
+										<div>
+											<label className="block text-sm font-medium text-zinc-700 mb-2">
+												Overdue Reminder Days
+											</label>
+											<input
+												type="text"
+												value={
+													Array.isArray(params.overdueReminderDays)
+														? params.overdueReminderDays.join(", ")
+														: params.overdueReminderDays || ""
+												}
+												onChange={(e) =>
+													updateParam("overdueReminderDays", e.target.value)
+												}
+												placeholder="1, 7, 14, 30"
+												className={inputClassName}
+											/>
+											<p className="text-xs text-zinc-500 mt-1">
+												Days after the due date to send a reminder on
+											</p>
+										</div>
+									)}
+								</>
+							)}
+
+							{type === "billingReminders" && (
+								<div>
+									<label className="block text-sm font-medium text-zinc-700 mb-2">
+										Days Before Trial Ends
+									</label>
+									<input
+										type="number"
+										min="0"
+										value={params.trialReminderDays}
+										onChange={(e) =>
+											updateParam("trialReminderDays", e.target.value)
+										}
+										className={inputClassName}
+									/>
+								</div>
+							)}
+
+							{type === "webhook" && (
+								<>
+									<div className="grid grid-cols-3 gap-3">
+										<div>
+											<label className="block text-sm font-medium text-zinc-700 mb-2">
+												Method
+											</label>
+											<select
+												value={params.method}
+												onChange={(e) => updateParam("method", e.target.value)}
+												className={inputClassName}
+											>
+												{WEBHOOK_METHODS.map((method) => (
+													<option key={method} value={method}>
+														{method}
+													</option>
+												))}
+											</select>
+										</div>
+										<div className="col-span-2">
+											<label className="block text-sm font-medium text-zinc-700 mb-2">
+												URL
+											</label>
+											<input
+												type="url"
+												value={params.url}
+												onChange={(e) => updateParam("url", e.target.value)}
+												placeholder="https://example.com/hooks/cron"
+												className={inputClassName}
+											/>
+										</div>
+									</div>
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											Headers (JSON)
+										</label>
+										<textarea
+											rows={3}
+											value={headersText}
+											onChange={(e) => setHeadersText(e.target.value)}
+											className={`${inputClassName} font-mono resize-none`}
+										/>
+									</div>
+									{params.method !== "GET" && (
+										<div>
+											<label className="block text-sm font-medium text-zinc-700 mb-2">
+												Body
+											</label>
+											<textarea
+												rows={4}
+												value={params.body}
+												onChange={(e) => updateParam("body", e.target.value)}
+												className={`${inputClassName} font-mono resize-none`}
+											/>
+										</div>
+									)}
+								</>
+							)}
+
+							<RecurrenceFields
+								repeatType={repeatType}
+								onRepeatTypeChange={setRepeatType}
+								expression={expression}
+								onExpressionChange={setExpression}
+								timezone={timezone}
+								onTimezoneChange={setTimezone}
+								scheduledDate={scheduledDate}
+								onScheduledDateChange={setScheduledDate}
+							/>
+						</div>
+
+						{/* Footer */}
+						<div className="flex gap-3 p-4 border-t border-zinc-200">
+							<button
+								onClick={onClose}
+								className="flex-1 px-4 py-2 text-sm font-medium bg-zinc-100 text-zinc-900 rounded-xl hover:bg-zinc-200 transition-colors"
+							>
+								Cancel
+							</button>
+							<button
+								onClick={handleSubmit}
+								disabled={createMutation.isPending}
+								className="flex-1 flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium bg-zinc-900 text-white rounded-xl hover:bg-zinc-800 transition-colors disabled:opacity-50"
+							>
+								<Save className="w-4 h-4" />
+								{createMutation.isPending ? "Creating..." : "Create Job"}
+							</button>
+						</div>
+					</motion.div>
+				</motion.div>
+			)}
+		</AnimatePresence>
+	);
+};
+
+export default CreateCronJobModal;
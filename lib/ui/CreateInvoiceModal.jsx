@@ -7,9 +7,45 @@ import { getAllUsers } from "../api/users";
 import { getAllCustomers } from "../api/customers";
 import { getAllSubscribers } from "../api/subscribers";
 import { createInvoice, updateInvoice } from "../api/invoice";
+import {
+	RECURRING_INVOICE_INTERVALS,
+	createRecurringInvoice,
+	updateRecurringInvoice,
+} from "../api/recurringInvoices";
+import {
+	INVOICE_CURRENCIES,
+	calculateInvoiceTotals,
+	formatInvoiceAmount,
+} from "../utils/invoiceTotals";
 import { toast } from "react-toastify";
 
-const CreateInvoiceModal = ({ isOpen, onClose, invoiceToEdit = null }) => {
+// Discount is a percentage; an empty tax rate falls back to the invoice's
+const EMPTY_ITEM = {
+	description: "",
+	quantity: 1,
+	price: 0,
+	discount: 0,
+	taxRate: "",
+	total: 0,
+};
+
+const toDateInputValue = (value) => {
+	if (!value) return "";
+	const date = value.toDate ? value.toDate() : new Date(value);
+	return isNaN(date.getTime()) ? "" : date.toISOString().split("T")[0];
+};
+
+/**
+ * Create or edit an invoice. With `recurring`, it edits a recurring
+ * invoice instead: the same content plus how often it repeats, when the
+ * next one is issued and how many days after that it is due.
+ */
+const CreateInvoiceModal = ({
+	isOpen,
+	onClose,
+	invoiceToEdit = null,
+	recurring = false,
+}) => {
 	const [selectedClientType, setSelectedClientType] = useState("users");
 	const [isClientTypeDropdownOpen, setIsClientTypeDropdownOpen] =
 		useState(false);
@@ -39,12 +75,16 @@ const CreateInvoiceModal = ({ isOpen, onClose, invoiceToEdit = null }) => {
 		new Date().toISOString().split("T")[0]
 	);
 	const [dueDate, setDueDate] = useState("");
-	const [items, setItems] = useState([
-		{ description: "", quantity: 1, price: 0, total: 0 },
-	]);
+	const [currency, setCurrency] = useState("usd");
+	const [items, setItems] = useState([{ ...EMPTY_ITEM }]);
+	const [discount, setDiscount] = useState({ type: "percent", value: "" });
+	const [taxRate, setTaxRate] = useState("");
 	const [notes, setNotes] = useState("");
 	const [signature, setSignature] = useState("");
-	const [status, setStatus] = useState("unpaid");
+	const [status, setStatus] = useState("draft");
+	const [repeatInterval, setRepeatInterval] = useState("month");
+	const [dueInDays, setDueInDays] = useState("");
+	const [autoSend, setAutoSend] = useState(true);
 	const [isSaving, setIsSaving] = useState(false);
 
 	// Fetch users, customers, and subscribers
@@ -108,33 +148,27 @@ const CreateInvoiceModal = ({ isOpen, onClose, invoiceToEdit = null }) => {
 		}
 	};
 
-	// Calculate total for an item
-	const calculateItemTotal = (item) => {
-		return (item.quantity || 0) * (item.price || 0);
-	};
+	// Line amounts, discounts, tax and grand total
+	const totals = calculateInvoiceTotals({ items, discount, taxRate, currency });
 
-	// Calculate grand total
-	const calculateGrandTotal = () => {
-		return items.reduce((sum, item) => sum + calculateItemTotal(item), 0);
-	};
+	const formatAmount = (amount) => formatInvoiceAmount(amount, currency);
 
-	// Update item total when quantity or price changes
+	// Update an item; an empty tax rate is kept so the line uses the invoice's
 	const updateItem = (index, field, value) => {
 		const newItems = [...items];
 		newItems[index] = {
 			...newItems[index],
 			[field]:
-				field === "quantity" || field === "price"
+				field === "quantity" || field === "price" || field === "discount"
 					? parseFloat(value) || 0
 					: value,
 		};
-		newItems[index].total = calculateItemTotal(newItems[index]);
 		setItems(newItems);
 	};
 
 	// Add new row
 	const addRow = () => {
-		setItems([...items, { description: "", quantity: 1, price: 0, total: 0 }]);
+		setItems([...items, { ...EMPTY_ITEM }]);
 	};
 
 	// Remove row
@@ -223,18 +257,40 @@ const CreateInvoiceModal = ({ isOpen, onClose, invoiceToEdit = null }) => {
 					country: "",
 				}
 			);
+			setCurrency(invoiceToEdit.currency || "usd");
 			setItems(
 				invoiceToEdit.items && invoiceToEdit.items.length > 0
-					? invoiceToEdit.items
-					: [{ description: "", quantity: 1, price: 0, total: 0 }]
+					? invoiceToEdit.items.map((item) => ({
+							...EMPTY_ITEM,
+							...item,
+							taxRate: item.taxRate ?? "",
+						}))
+					: [{ ...EMPTY_ITEM }]
 			);
+			setDiscount({
+				type: invoiceToEdit.discount?.type || "percent",
+				value: invoiceToEdit.discount?.value ?? "",
+			});
+			setTaxRate(invoiceToEdit.taxRate ?? "");
 			setNotes(invoiceToEdit.notes || "");
 			setSignature(invoiceToEdit.signature || "");
-			setStatus(invoiceToEdit.status || "unpaid");
+			// Invoices saved before drafts existed use "unpaid"
+			setStatus(
+				!invoiceToEdit.status || invoiceToEdit.status === "unpaid"
+					? "sent"
+					: invoiceToEdit.status
+			);
 			setSelectedClientType(invoiceToEdit.clientType || "users");
 			setSelectedClient(invoiceToEdit.clientId || null);
+
+			if (recurring) {
+				setInvoiceDate(toDateInputValue(invoiceToEdit.nextIssueDate));
+				setRepeatInterval(invoiceToEdit.interval || "month");
+				setDueInDays(invoiceToEdit.dueInDays ?? "");
+				setAutoSend(invoiceToEdit.autoSend !== false);
+			}
 		}
-	}, [invoiceToEdit]);
+	}, [invoiceToEdit, recurring]);
 
 	// Reset form when modal closes
 	useEffect(() => {
@@ -263,20 +319,21 @@ const CreateInvoiceModal = ({ isOpen, onClose, invoiceToEdit = null }) => {
 			setInvoiceNumber("");
 			setInvoiceDate(new Date().toISOString().split("T")[0]);
 			setDueDate("");
-			setItems([{ description: "", quantity: 1, price: 0, total: 0 }]);
+			setCurrency("usd");
+			setItems([{ ...EMPTY_ITEM }]);
+			setDiscount({ type: "percent", value: "" });
+			setTaxRate("");
 			setNotes("");
 			setSignature("");
-			setStatus("unpaid");
+			setStatus("draft");
+			setRepeatInterval("month");
+			setDueInDays("");
+			setAutoSend(true);
 		}
 	}, [isOpen]);
 
 	// Handle save
 	const handleSave = async () => {
-		if (!invoiceNumber.trim()) {
-			toast.error("Please enter an invoice number");
-			return;
-		}
-
 		if (!toDetails.name || !toDetails.email) {
 			toast.error("Please select a client or fill in 'To' details");
 			return;
@@ -287,26 +344,75 @@ const CreateInvoiceModal = ({ isOpen, onClose, invoiceToEdit = null }) => {
 			return;
 		}
 
+		if (!recurring && dueDate && dueDate < invoiceDate) {
+			toast.error("Due date cannot be before the invoice date");
+			return;
+		}
+
+		if (recurring && !invoiceDate) {
+			toast.error("Please pick the date of the next invoice");
+			return;
+		}
+
+		if (
+			recurring &&
+			!invoiceToEdit &&
+			invoiceDate < new Date().toISOString().split("T")[0]
+		) {
+			toast.error("The first invoice date cannot be in the past");
+			return;
+		}
+
 		setIsSaving(true);
 		try {
-			const invoiceData = {
-				invoiceNumber,
-				invoiceDate: new Date(invoiceDate),
-				dueDate: dueDate ? new Date(dueDate) : null,
+			const content = {
 				from: fromDetails,
 				to: toDetails,
-				items: items.map((item) => ({
-					...item,
-					total: calculateItemTotal(item),
-				})),
-				total: calculateGrandTotal(),
+				currency,
+				items: totals.items,
+				discount:
+					parseFloat(discount.value) > 0
+						? { type: discount.type, value: parseFloat(discount.value) }
+						: null,
+				taxRate: taxRate === "" ? null : parseFloat(taxRate) || 0,
+				subtotal: totals.subtotal,
+				discountTotal: totals.discountTotal,
+				taxTotal: totals.taxTotal,
+				taxes: totals.taxes,
+				total: totals.total,
 				notes,
 				signature,
-				status,
 				clientType: selectedClientType,
 				clientId: selectedClient,
 			};
 
+			if (recurring) {
+				const templateData = {
+					...content,
+					interval: repeatInterval,
+					nextIssueDate: new Date(invoiceDate),
+					dueInDays: dueInDays === "" ? null : parseInt(dueInDays, 10) || 0,
+					autoSend,
+				};
+				if (invoiceToEdit) {
+					await updateRecurringInvoice(invoiceToEdit.id, templateData);
+					toast.success("Recurring invoice updated successfully");
+				} else {
+					await createRecurringInvoice(templateData);
+					toast.success("Recurring invoice created successfully");
+				}
+				onClose();
+				return;
+			}
+
+			// The invoice number is assigned by createInvoice/updateInvoice
+			const invoiceData = {
+				...content,
+				invoiceDate: new Date(invoiceDate),
+				dueDate: dueDate ? new Date(dueDate) : null,
+				status,
+			};
+
 			if (invoiceToEdit) {
 				await updateInvoice(invoiceToEdit.id, invoiceData);
 				toast.success("Invoice updated successfully");
@@ -350,7 +456,13 @@ const CreateInvoiceModal = ({ isOpen, onClose, invoiceToEdit = null }) => {
 						{/* Header */}
 						<div className="flex items-center justify-between p-4 border-b border-zinc-200">
 							<h3 className="text-lg font-bold text-zinc-900">
-								{invoiceToEdit ? "Edit Invoice" : "Create New Invoice"}
+								{recurring
+									? invoiceToEdit
+										? "Edit Recurring Invoice"
+										: "New Recurring Invoice"
+									: invoiceToEdit
+										? "Edit Invoice"
+										: "Create New Invoice"}
 							</h3>
 							<button
 								onClick={onClose}
@@ -444,22 +556,45 @@ const CreateInvoiceModal = ({ isOpen, onClose, invoiceToEdit = null }) => {
 								</div>
 
 								{/* Invoice Details */}
-								<div className="grid grid-cols-3 gap-4">
-									<div>
-										<label className="block text-sm font-medium text-zinc-700 mb-2">
-											Invoice Number *
-										</label>
-										<input
-											type="text"
-											value={invoiceNumber}
-											onChange={(e) => setInvoiceNumber(e.target.value)}
-											className="w-full px-3 py-2 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
-											placeholder="INV-001"
-										/>
-									</div>
+								<div className="grid grid-cols-4 gap-4">
+									{recurring ? (
+										<div>
+											<label className="block text-sm font-medium text-zinc-700 mb-2">
+												Repeats
+											</label>
+											<select
+												value={repeatInterval}
+												onChange={(e) => setRepeatInterval(e.target.value)}
+												className="w-full px-3 py-2 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
+											>
+												{RECURRING_INVOICE_INTERVALS.map((option) => (
+													<option key={option.value} value={option.value}>
+														{option.label}
+													</option>
+												))}
+											</select>
+										</div>
+									) : (
+										<div>
+											<label className="block text-sm font-medium text-zinc-700 mb-2">
+												Invoice Number
+											</label>
+											<input
+												type="text"
+												value={invoiceNumber}
+												readOnly
+												className="w-full px-3 py-2 border border-zinc-300 rounded-xl bg-zinc-50 text-zinc-600 text-sm font-mono"
+												placeholder="Assigned when issued"
+											/>
+										</div>
+									)}
 									<div>
 										<label className="block text-sm font-medium text-zinc-700 mb-2">
-											Invoice Date
+											{recurring
+												? invoiceToEdit
+													? "Next Invoice Date"
+													: "First Invoice Date"
+												: "Invoice Date"}
 										</label>
 										<input
 											type="date"
@@ -468,16 +603,49 @@ const CreateInvoiceModal = ({ isOpen, onClose, invoiceToEdit = null }) => {
 											className="w-full px-3 py-2 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
 										/>
 									</div>
+									{recurring ? (
+										<div>
+											<label className="block text-sm font-medium text-zinc-700 mb-2">
+												Due After (days)
+											</label>
+											<input
+												type="number"
+												min="0"
+												value={dueInDays}
+												onChange={(e) => setDueInDays(e.target.value)}
+												className="w-full px-3 py-2 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
+												placeholder="No due date"
+											/>
+										</div>
+									) : (
+										<div>
+											<label className="block text-sm font-medium text-zinc-700 mb-2">
+												Due Date
+											</label>
+											<input
+												type="date"
+												value={dueDate}
+												min={invoiceDate}
+												onChange={(e) => setDueDate(e.target.value)}
+												className="w-full px-3 py-2 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
+											/>
+										</div>
+									)}
 									<div>
 										<label className="block text-sm font-medium text-zinc-700 mb-2">
-											Due Date
+											Currency
 										</label>
-										<input
-											type="date"
-											value={dueDate}
-											onChange={(e) => setDueDate(e.target.value)}
+										<select
+											value={currency}
+											onChange={(e) => setCurrency(e.target.value)}
 											className="w-full px-3 py-2 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
-										/>
+										>
+											{INVOICE_CURRENCIES.map((option) => (
+												<option key={option.value} value={option.value}>
+													{option.label}
+												</option>
+											))}
+										</select>
 									</div>
 								</div>
 
@@ -695,7 +863,13 @@ const CreateInvoiceModal = ({ isOpen, onClose, invoiceToEdit = null }) => {
 													Price
 												</th>
 												<th className="py-2 px-4 text-left text-xs font-semibold text-zinc-700">
-													Total
+													Discount %
+												</th>
+												<th className="py-2 px-4 text-left text-xs font-semibold text-zinc-700">
+													Tax %
+												</th>
+												<th className="py-2 px-4 text-left text-xs font-semibold text-zinc-700">
+													Amount
 												</th>
 												<th className="py-2 px-4 text-center text-xs font-semibold text-zinc-700">
 													Actions
@@ -747,9 +921,36 @@ const CreateInvoiceModal = ({ isOpen, onClose, invoiceToEdit = null }) => {
 															className="w-full px-2 py-1 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
 														/>
 													</td>
+													<td className="py-2 px-4">
+														<input
+															type="number"
+															min="0"
+															max="100"
+															step="0.01"
+															value={item.discount}
+															onChange={(e) =>
+																updateItem(index, "discount", e.target.value)
+															}
+															className="w-full px-2 py-1 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
+														/>
+													</td>
+													<td className="py-2 px-4">
+														<input
+															type="number"
+															min="0"
+															max="100"
+															step="0.01"
+															value={item.taxRate}
+															onChange={(e) =>
+																updateItem(index, "taxRate", e.target.value)
+															}
+															className="w-full px-2 py-1 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
+															placeholder={taxRate === "" ? "0" : String(taxRate)}
+														/>
+													</td>
 													<td className="py-2 px-4">
 														<span className="text-sm font-medium text-zinc-900">
-															${calculateItemTotal(item).toFixed(2)}
+															{formatAmount(totals.items[index]?.total)}
 														</span>
 													</td>
 													<td className="py-2 px-4 text-center">
@@ -770,13 +971,53 @@ const CreateInvoiceModal = ({ isOpen, onClose, invoiceToEdit = null }) => {
 										<tfoot className="bg-zinc-50 border-t-2 border-zinc-300">
 											<tr>
 												<td
-													colSpan={3}
-													className="py-3 px-4 text-sm font-semibold text-zinc-900 text-right"
+													colSpan={5}
+													className="pt-3 pb-1 px-4 text-sm text-zinc-600 text-right"
+												>
+													Subtotal:
+												</td>
+												<td className="pt-3 pb-1 px-4 text-sm text-zinc-900">
+													{formatAmount(totals.subtotal)}
+												</td>
+												<td></td>
+											</tr>
+											{totals.discountTotal > 0 && (
+												<tr>
+													<td
+														colSpan={5}
+														className="py-1 px-4 text-sm text-zinc-600 text-right"
+													>
+														Discount:
+													</td>
+													<td className="py-1 px-4 text-sm text-zinc-900">
+														-{formatAmount(totals.discountTotal)}
+													</td>
+													<td></td>
+												</tr>
+											)}
+											{totals.taxes.map((tax) => (
+												<tr key={tax.rate}>
+													<td
+														colSpan={5}
+														className="py-1 px-4 text-sm text-zinc-600 text-right"
+													>
+														Tax ({tax.rate}%):
+													</td>
+													<td className="py-1 px-4 text-sm text-zinc-900">
+														{formatAmount(tax.amount)}
+													</td>
+													<td></td>
+												</tr>
+											))}
+											<tr>
+												<td
+													colSpan={5}
+													className="pt-1 pb-3 px-4 text-sm font-semibold text-zinc-900 text-right"
 												>
 													Grand Total:
 												</td>
-												<td className="py-3 px-4 text-sm font-bold text-zinc-900">
-													${calculateGrandTotal().toFixed(2)}
+												<td className="pt-1 pb-3 px-4 text-sm font-bold text-zinc-900">
+													{formatAmount(totals.total)}
 												</td>
 												<td></td>
 											</tr>
@@ -784,6 +1025,62 @@ const CreateInvoiceModal = ({ isOpen, onClose, invoiceToEdit = null }) => {
 									</table>
 								</div>
 
+								{/* Invoice Discount & Tax */}
+								<div className="grid grid-cols-2 gap-4">
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											Invoice Discount
+										</label>
+										<div className="flex gap-2">
+											<select
+												value={discount.type}
+												onChange={(e) =>
+													setDiscount({ ...discount, type: e.target.value })
+												}
+												className="w-40 px-3 py-2 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
+											>
+												<option value="percent">Percent (%)</option>
+												<option value="fixed">
+													Fixed ({currency.toUpperCase()})
+												</option>
+											</select>
+											<input
+												type="number"
+												min="0"
+												max={discount.type === "percent" ? "100" : undefined}
+												step="0.01"
+												value={discount.value}
+												onChange={(e) =>
+													setDiscount({ ...discount, value: e.target.value })
+												}
+												className="flex-1 px-3 py-2 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
+												placeholder="0"
+											/>
+										</div>
+										<p className="text-xs text-zinc-500 mt-1">
+											Applied after line discounts, before tax
+										</p>
+									</div>
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											Tax Rate (%)
+										</label>
+										<input
+											type="number"
+											min="0"
+											max="100"
+											step="0.01"
+											value={taxRate}
+											onChange={(e) => setTaxRate(e.target.value)}
+											className="w-full px-3 py-2 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
+											placeholder="0"
+										/>
+										<p className="text-xs text-zinc-500 mt-1">
+											Used for lines without their own tax rate
+										</p>
+									</div>
+								</div>
+
 								{/* Notes */}
 								<div>
 									<label className="block text-sm font-medium text-zinc-700 mb-2">
@@ -819,19 +1116,51 @@ const CreateInvoiceModal = ({ isOpen, onClose, invoiceToEdit = null }) => {
 								</div>
 
 								{/* Status */}
-								<div>
-									<label className="block text-sm font-medium text-zinc-700 mb-2">
-										Status
-									</label>
-									<select
-										value={status}
-										onChange={(e) => setStatus(e.target.value)}
-										className="w-full px-3 py-2 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
-									>
-										<option value="unpaid">Unpaid</option>
-										<option value="paid">Paid</option>
-									</select>
-								</div>
+								{recurring ? (
+									<div>
+										<div className="flex items-center gap-2">
+											<input
+												type="checkbox"
+												id="autoSend"
+												checked={autoSend}
+												onChange={(e) => setAutoSend(e.target.checked)}
+												className="w-4 h-4 text-zinc-900 border-zinc-300 rounded focus:ring-zinc-900"
+											/>
+											<label
+												htmlFor="autoSend"
+												className="text-sm font-medium text-zinc-700 cursor-pointer"
+											>
+												Email each invoice to the client when it is issued
+											</label>
+										</div>
+										<p className="text-xs text-zinc-500 mt-1">
+											Otherwise invoices are created as drafts for you to review
+											and send. Issued by the Recurring Invoices CRON job.
+										</p>
+									</div>
+								) : (
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											Status
+										</label>
+										<select
+											value={status}
+											onChange={(e) => setStatus(e.target.value)}
+											className="w-full px-3 py-2 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
+										>
+											{/* Numbered invoices can't go back to draft */}
+											{!invoiceNumber && <option value="draft">Draft</option>}
+											<option value="sent">Sent</option>
+											<option value="paid">Paid</option>
+											{invoiceNumber && <option value="void">Void</option>}
+										</select>
+										<p className="text-xs text-zinc-500 mt-1">
+											{invoiceNumber
+												? "Sent invoices show as overdue once their due date has passed"
+												: "A number is assigned when the invoice is sent or paid"}
+										</p>
+									</div>
+								)}
 							</div>
 						</div>
 
@@ -855,9 +1184,13 @@ const CreateInvoiceModal = ({ isOpen, onClose, invoiceToEdit = null }) => {
 								<Save className="w-4 h-4" />
 								{isSaving
 									? "Saving..."
-									: invoiceToEdit
-										? "Update Invoice"
-										: "Save Invoice"}
+									: recurring
+										? invoiceToEdit
+											? "Update Recurring Invoice"
+											: "Save Recurring Invoice"
+										: invoiceToEdit
+											? "Update Invoice"
+											: "Save Invoice"}
 							</motion.button>
 						</div>
 					</motion.div>
@@ -0,0 +1,168 @@
+import React from "react";
+import { useQuery } from "@tanstack/react-query";
+import { motion, AnimatePresence } from "framer-motion";
+import { X } from "lucide-react";
+import {
+	getCampaignDeliveries,
+	getDeliveryRates,
+	DELIVERY_STATUSES,
+} from "../api/emailDeliveries";
+import {
+	Table,
+	TableHeader,
+	TableBody,
+	TableRow,
+	TableHead,
+	TableCell,
+	TableEmpty,
+} from "./Table";
+import TableSkeleton from "./TableSkeleton";
+
+const DELIVERY_STATUS_STYLES = {
+	sent: "bg-zinc-100 text-zinc-700",
+	delivered: "bg-blue-100 text-blue-800",
+	opened: "bg-green-100 text-green-800",
+	clicked: "bg-emerald-100 text-emerald-800",
+	bounced: "bg-red-100 text-red-800",
+	complained: "bg-orange-100 text-orange-800",
+};
+
+const STAT_LABELS = {
+	sent: "Sent",
+	delivered: "Delivered",
+	opened: "Opened",
+	clicked: "Clicked",
+	bounced: "Bounced",
+	complained: "Complaints",
+};
+
+const formatDateTime = (value) => {
+	if (!value) return "—";
+	const date = value?.toDate ? value.toDate() : new Date(value);
+	return date.toLocaleString("en-US", {
+		month: "short",
+		day: "numeric",
+		hour: "numeric",
+		minute: "2-digit",
+	});
+};
+
+const EmailDeliveriesModal = ({ email, onClose }) => {
+	const { data: deliveries = [], isLoading } = useQuery({
+		queryKey: ["emailDeliveries", email?.id],
+		queryFn: () => getCampaignDeliveries(email.id),
+		enabled: !!email?.id,
+	});
+
+	const rates = getDeliveryRates(email?.deliveryStats);
+
+	return (
+		<AnimatePresence>
+			{email && (
+				<motion.div
+					initial={{ opacity: 0 }}
+					animate={{ opacity: 1 }}
+					exit={{ opacity: 0 }}
+					className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+					onClick={onClose}
+				>
+					<motion.div
+						initial={{ scale: 0.9, opacity: 0 }}
+						animate={{ scale: 1, opacity: 1 }}
+						exit={{ scale: 0.9, opacity: 0 }}
+						onClick={(e) => e.stopPropagation()}
+						className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl overflow-hidden max-h-[90vh] flex flex-col"
+					>
+						{/* Header */}
+						<div className="flex items-center justify-between p-4 border-b border-zinc-200">
+							<div>
+								<h3 className="text-lg font-bold text-zinc-900">
+									Delivery Stats
+								</h3>
+								<p className="text-xs text-zinc-600 mt-1">{email.subject}</p>
+							</div>
+							<button
+								onClick={onClose}
+								className="p-2 text-zinc-400 hover:text-zinc-600 transition-colors"
+							>
+								<X className="w-4 h-4" />
+							</button>
+						</div>
+
+						{/* Body */}
+						<div className="flex-1 overflow-y-auto p-4 space-y-4">
+							<div className="grid grid-cols-3 md:grid-cols-6 gap-3">
+								{DELIVERY_STATUSES.map((key) => (
+									<div
+										key={key}
+										className="p-3 rounded-xl border border-zinc-200 bg-zinc-50"
+									>
+										<p className="text-xs font-medium text-zinc-500 mb-1">
+											{STAT_LABELS[key]}
+										</p>
+										<p className="text-xl font-bold text-zinc-900">
+											{rates?.[key].count ?? 0}
+										</p>
+										{rates && key !== "sent" && (
+											<p className="text-xs text-zinc-500">
+												{rates[key].rate}%
+											</p>
+										)}
+									</div>
+								))}
+							</div>
+
+							{isLoading ? (
+								<TableSkeleton rows={5} columns={3} />
+							) : (
+								<Table>
+									<TableHeader>
+										<TableRow>
+											<TableHead>Recipient</TableHead>
+											<TableHead>Status</TableHead>
+											<TableHead>Last Activity</TableHead>
+										</TableRow>
+									</TableHeader>
+									<TableBody>
+										{deliveries.length === 0 ? (
+											<TableEmpty
+												colSpan={3}
+												message="No tracked deliveries for this email yet."
+											/>
+										) : (
+											deliveries.map((delivery) => (
+												<TableRow key={delivery.id}>
+													<TableCell className="font-medium text-zinc-900">
+														{delivery.email}
+													</TableCell>
+													<TableCell>
+														<span
+															className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+																DELIVERY_STATUS_STYLES[delivery.status] ||
+																DELIVERY_STATUS_STYLES.sent
+															}`}
+															title={delivery.bounceMessage || undefined}
+														>
+															{delivery.status}
+															{delivery.bounceType &&
+																` (${delivery.bounceType.toLowerCase()})`}
+														</span>
+													</TableCell>
+													<TableCell className="text-zinc-600">
+														{formatDateTime(delivery.updatedAt)}
+													</TableCell>
+												</TableRow>
+											))
+										)}
+									</TableBody>
+								</Table>
+							)}
+						</div>
+					</motion.div>
+				</motion.div>
+			)}
+		</AnimatePresence>
+	);
+};
+
+export default EmailDeliveriesModal;
@@ -0,0 +1,59 @@
+import React from "react";
+import Link from "next/link";
+import { Lock, ArrowRight } from "lucide-react";
+import { useEntitlement } from "../hooks/useEntitlement";
+import { ENTITLEMENT_DEFINITIONS } from "../api/products";
+
+/**
+ * Render children only when the current user's plan includes a feature,
+ * or is still under a limit. Anything rendered here must also be checked
+ * server-side (withEntitlement), this only hides the UI.
+ *
+ * @example
+ * <Gate feature="customDomain">
+ *   <CustomDomainSettings />
+ * </Gate>
+ *
+ * <Gate feature="forms" usage={forms.length} fallback={<p>Form limit reached</p>}>
+ *   <button>New Form</button>
+ * </Gate>
+ */
+const Gate = ({
+	feature,
+	usage = 0,
+	fallback, // Rendered when not allowed, defaults to an upgrade prompt
+	loading = null, // Rendered while the subscription is loading
+	children,
+}) => {
+	const { allowed, limit, isLoading } = useEntitlement(feature, usage);
+
+	if (isLoading) return loading;
+	if (allowed) return children;
+	if (fallback !== undefined) return fallback;
+
+	const label = ENTITLEMENT_DEFINITIONS[feature]?.label || feature;
+
+	return (
+		<div className="flex items-center justify-between gap-4 p-4 rounded-xl border border-zinc-200 bg-zinc-50">
+			<div className="flex items-center gap-3">
+				<div className="p-2 rounded-full bg-zinc-100 text-zinc-600">
+					<Lock className="w-4 h-4" />
+				</div>
+				<p className="text-sm text-zinc-700">
+					{limit !== null
+						? `Your plan includes ${limit} ${label.toLowerCase()}. Upgrade to add more.`
+						: `${label} isn't included in your plan.`}
+				</p>
+			</div>
+			<Link
+				href="/pricing"
+				className="flex items-center gap-2 px-4 py-2 bg-zinc-900 hover:bg-zinc-800 text-white rounded-xl text-sm font-medium transition-colors whitespace-nowrap"
+			>
+				Upgrade
+				<ArrowRight className="w-4 h-4" />
+			</Link>
+		</div>
+	);
+};
+
+export default Gate;
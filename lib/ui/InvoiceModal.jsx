@@ -2,9 +2,205 @@ import React from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { X, Download, FileText } from "lucide-react";
 import { jsPDF } from "jspdf";
+import { getInvoiceStatus } from "../api/invoice";
+import { downloadInvoicePDF } from "../utils/invoicePdf";
+import {
+	formatInvoiceAmount,
+	getInvoiceTotals,
+} from "../utils/invoiceTotals";
 
-const InvoiceModal = ({ isOpen, onClose, payment }) => {
-	if (!isOpen || !payment) return null;
+const INVOICE_STATUS_COLORS = {
+	draft: "bg-zinc-100 text-zinc-700",
+	sent: "bg-blue-100 text-blue-800",
+	overdue: "bg-red-100 text-red-800",
+	paid: "bg-green-100 text-green-800",
+	void: "bg-zinc-100 text-zinc-500",
+};
+
+const formatParty = (party = {}) =>
+	[
+		party.name,
+		party.email,
+		party.address,
+		[party.city, party.state, party.zip].filter(Boolean).join(", "),
+		party.country,
+	].filter(Boolean);
+
+/**
+ * Body of the modal for a document from the invoices collection: line
+ * items with discounts and tax, and the totals breakdown
+ */
+const InvoiceDocument = ({ invoice, formatDate }) => {
+	const status = getInvoiceStatus(invoice);
+	const totals = getInvoiceTotals(invoice);
+	const formatAmount = (amount) =>
+		formatInvoiceAmount(amount, invoice.currency || "usd");
+
+	return (
+		<div className="space-y-6">
+			{/* Invoice Header */}
+			<div className="flex justify-between items-start border-b border-zinc-200 pb-4">
+				<div>
+					<h2 className="text-2xl font-bold text-zinc-900 mb-2">INVOICE</h2>
+					<p className="text-sm text-zinc-600">
+						Invoice #:{" "}
+						<span className="font-mono">
+							{invoice.invoiceNumber || "Draft"}
+						</span>
+					</p>
+					<p className="text-sm text-zinc-600">
+						Date: {formatDate(invoice.invoiceDate || invoice.createdAt)}
+					</p>
+					{invoice.dueDate && (
+						<p className="text-sm text-zinc-600">
+							Due: {formatDate(invoice.dueDate)}
+						</p>
+					)}
+				</div>
+				<div className="text-right">
+					<p className="text-sm text-zinc-600 mb-1">Status</p>
+					<span
+						className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium capitalize ${INVOICE_STATUS_COLORS[status]}`}
+					>
+						{status}
+					</span>
+				</div>
+			</div>
+
+			{/* From/To Section */}
+			<div className="grid grid-cols-2 gap-6">
+				{[
+					["From", invoice.from],
+					["To", invoice.to],
+				].map(([label, party]) => (
+					<div key={label}>
+						<h3 className="text-sm font-semibold text-zinc-900 mb-2">
+							{label}
+						</h3>
+						<div className="text-sm text-zinc-600 space-y-1">
+							{formatParty(party).map((line, index) => (
+								<p
+									key={index}
+									className={index === 0 ? "font-medium text-zinc-900" : ""}
+								>
+									{line}
+								</p>
+							))}
+						</div>
+					</div>
+				))}
+			</div>
+
+			{/* Items Table */}
+			<div className="border border-zinc-200 rounded-xl overflow-hidden">
+				<table className="w-full">
+					<thead className="bg-zinc-50">
+						<tr>
+							<th className="py-3 px-4 text-left text-xs font-semibold text-zinc-700">
+								Description
+							</th>
+							<th className="py-3 px-4 text-right text-xs font-semibold text-zinc-700">
+								Qty
+							</th>
+							<th className="py-3 px-4 text-right text-xs font-semibold text-zinc-700">
+								Price
+							</th>
+							<th className="py-3 px-4 text-right text-xs font-semibold text-zinc-700">
+								Amount
+							</th>
+						</tr>
+					</thead>
+					<tbody>
+						{totals.items.map((item, index) => (
+							<tr key={index} className="border-t border-zinc-200">
+								<td className="py-3 px-4 text-sm text-zinc-900">
+									{item.description}
+									{(item.discount > 0 || item.appliedTaxRate > 0) && (
+										<p className="text-xs text-zinc-500">
+											{[
+												item.discount > 0 && `${item.discount}% off`,
+												item.appliedTaxRate > 0 &&
+													`${item.appliedTaxRate}% tax`,
+											]
+												.filter(Boolean)
+												.join(" · ")}
+										</p>
+									)}
+								</td>
+								<td className="py-3 px-4 text-sm text-zinc-900 text-right">
+									{item.quantity}
+								</td>
+								<td className="py-3 px-4 text-sm text-zinc-900 text-right">
+									{formatAmount(item.price)}
+								</td>
+								<td className="py-3 px-4 text-sm font-semibold text-zinc-900 text-right">
+									{formatAmount(item.total)}
+								</td>
+							</tr>
+						))}
+					</tbody>
+					<tfoot className="bg-zinc-50 border-t-2 border-zinc-300 text-sm">
+						<tr>
+							<td colSpan={3} className="pt-3 pb-1 px-4 text-zinc-600">
+								Subtotal
+							</td>
+							<td className="pt-3 pb-1 px-4 text-zinc-900 text-right">
+								{formatAmount(totals.subtotal)}
+							</td>
+						</tr>
+						{totals.discountTotal > 0 && (
+							<tr>
+								<td colSpan={3} className="py-1 px-4 text-zinc-600">
+									Discount
+								</td>
+								<td className="py-1 px-4 text-zinc-900 text-right">
+									-{formatAmount(totals.discountTotal)}
+								</td>
+							</tr>
+						)}
+						{totals.taxes.map((tax) => (
+							<tr key={tax.rate}>
+								<td colSpan={3} className="py-1 px-4 text-zinc-600">
+									Tax ({tax.rate}%)
+								</td>
+								<td className="py-1 px-4 text-zinc-900 text-right">
+									{formatAmount(tax.amount)}
+								</td>
+							</tr>
+						))}
+						<tr>
+							<td
+								colSpan={3}
+								className="pt-1 pb-3 px-4 font-semibold text-zinc-900"
+							>
+								Total
+							</td>
+							<td className="pt-1 pb-3 px-4 font-bold text-zinc-900 text-right">
+								{formatAmount(totals.total)}
+							</td>
+						</tr>
+					</tfoot>
+				</table>
+			</div>
+
+			{invoice.notes && (
+				<div className="border-t border-zinc-200 pt-4">
+					<p className="text-sm text-zinc-600 mb-1">Notes</p>
+					<p className="text-sm text-zinc-900 whitespace-pre-line">
+						{invoice.notes}
+					</p>
+				</div>
+			)}
+		</div>
+	);
+};
+
+/**
+ * Receipt for a payment, or with `invoice` a document from the invoices
+ * collection
+ */
+const InvoiceModal = ({ isOpen, onClose, payment, invoice }) => {
+	if (!isOpen || (!payment && !invoice)) return null;
 
 	const formatDate = (date) => {
 		if (!date) return "";
@@ -41,7 +237,7 @@ const InvoiceModal = ({ isOpen, onClose, payment }) => {
 		}).format(amount / 100);
 	};
 
-	const downloadInvoicePDF = () => {
+	const downloadPaymentPDF = () => {
 		const doc = new jsPDF();
 		const pageWidth = doc.internal.pageSize.getWidth();
 		const pageHeight = doc.internal.pageSize.getHeight();
@@ -162,6 +358,9 @@ const InvoiceModal = ({ isOpen, onClose, payment }) => {
 		doc.save(fileName);
 	};
 
+	const handleDownload = () =>
+		invoice ? downloadInvoicePDF(invoice) : downloadPaymentPDF();
+
 	return (
 		<AnimatePresence>
 			{isOpen && (
@@ -191,7 +390,7 @@ const InvoiceModal = ({ isOpen, onClose, payment }) => {
 								<motion.button
 									whileHover={{ scale: 1.05 }}
 									whileTap={{ scale: 0.95 }}
-									onClick={downloadInvoicePDF}
+									onClick={handleDownload}
 									className="p-2 text-zinc-600 hover:text-zinc-900 hover:bg-zinc-100 rounded-xl transition-colors"
 									title="Download PDF"
 								>
@@ -208,135 +407,139 @@ const InvoiceModal = ({ isOpen, onClose, payment }) => {
 
 						{/* Body */}
 						<div className="p-6 overflow-y-auto flex-1">
-							<div className="space-y-6">
-								{/* Invoice Header */}
-								<div className="flex justify-between items-start border-b border-zinc-200 pb-4">
-									<div>
-										<h2 className="text-2xl font-bold text-zinc-900 mb-2">
-											INVOICE
-										</h2>
-										<p className="text-sm text-zinc-600">
-											Invoice #:{" "}
-											<span className="font-mono">
-												{payment.paymentId || payment.id}
-											</span>
-										</p>
-										<p className="text-sm text-zinc-600">
-											Date: {formatDate(payment.createdAt)}
-										</p>
-									</div>
-									<div className="text-right">
-										<p className="text-sm text-zinc-600 mb-1">Status</p>
-										<span
-											className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${
-												payment.status === "succeeded"
-													? "bg-green-100 text-green-800"
-													: payment.status === "failed"
-														? "bg-red-100 text-red-800"
-														: "bg-yellow-100 text-yellow-800"
-											}`}
-										>
-											{payment.status || ""}
-										</span>
-									</div>
-								</div>
-
-								{/* From/To Section */}
-								<div className="grid grid-cols-2 gap-6">
-									<div>
-										<h3 className="text-sm font-semibold text-zinc-900 mb-2">
-											From
-										</h3>
-										<div className="text-sm text-zinc-600 space-y-1">
-											<p>Your Company Name</p>
-											<p>Your Company Address</p>
-											<p>City, State, ZIP</p>
-										</div>
-									</div>
-									<div>
-										<h3 className="text-sm font-semibold text-zinc-900 mb-2">
-											To
-										</h3>
-										<div className="text-sm text-zinc-600 space-y-1">
-											<p className="font-medium text-zinc-900">
-												{payment.customerName || ""}
+							{invoice ? (
+								<InvoiceDocument invoice={invoice} formatDate={formatDate} />
+							) : (
+								<div className="space-y-6">
+									{/* Invoice Header */}
+									<div className="flex justify-between items-start border-b border-zinc-200 pb-4">
+										<div>
+											<h2 className="text-2xl font-bold text-zinc-900 mb-2">
+												INVOICE
+											</h2>
+											<p className="text-sm text-zinc-600">
+												Invoice #:{" "}
+												<span className="font-mono">
+													{payment.paymentId || payment.id}
+												</span>
+											</p>
+											<p className="text-sm text-zinc-600">
+												Date: {formatDate(payment.createdAt)}
 											</p>
-											<p>{payment.customerEmail || ""}</p>
+										</div>
+										<div className="text-right">
+											<p className="text-sm text-zinc-600 mb-1">Status</p>
+											<span
+												className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${
+													payment.status === "succeeded"
+														? "bg-green-100 text-green-800"
+														: payment.status === "failed"
+															? "bg-red-100 text-red-800"
+															: "bg-yellow-100 text-yellow-800"
+												}`}
+											>
+												{payment.status || ""}
+											</span>
 										</div>
 									</div>
-								</div>
 
-								{/* Items Table */}
-								<div className="border border-zinc-200 rounded-xl overflow-hidden">
-									<table className="w-full">
-										<thead className="bg-zinc-50">
-											<tr>
-												<th className="py-3 px-4 text-left text-xs font-semibold text-zinc-700">
-													Description
-												</th>
-												<th className="py-3 px-4 text-right text-xs font-semibold text-zinc-700">
-													Amount
-												</th>
-											</tr>
-										</thead>
-										<tbody>
-											<tr className="border-t border-zinc-200">
-												<td className="py-3 px-4 text-sm text-zinc-900">
-													{payment.planName || "Plan"} -{" "}
-													{payment.paymentType === "subscription"
-														? "Subscription"
-														: "Payment"}
-												</td>
-												<td className="py-3 px-4 text-sm font-semibold text-zinc-900 text-right">
-													{payment.amount
-														? formatCurrency(payment.amount, payment.currency)
-														: "$0"}
-												</td>
-											</tr>
-										</tbody>
-										<tfoot className="bg-zinc-50 border-t-2 border-zinc-300">
-											<tr>
-												<td className="py-3 px-4 text-sm font-semibold text-zinc-900">
-													Total
-												</td>
-												<td className="py-3 px-4 text-sm font-bold text-zinc-900 text-right">
-													{payment.amount
-														? formatCurrency(payment.amount, payment.currency)
-														: "$0"}
-												</td>
-											</tr>
-										</tfoot>
-									</table>
-								</div>
-
-								{/* Additional Info */}
-								<div className="border-t border-zinc-200 pt-4">
-									<div className="grid grid-cols-2 gap-4 text-sm">
+									{/* From/To Section */}
+									<div className="grid grid-cols-2 gap-6">
 										<div>
-											<p className="text-zinc-600 mb-1">Payment ID</p>
-											<p className="font-mono text-zinc-900">
-												{payment.paymentId || payment.id}
-											</p>
+											<h3 className="text-sm font-semibold text-zinc-900 mb-2">
+												From
+											</h3>
+											<div className="text-sm text-zinc-600 space-y-1">
+												<p>Your Company Name</p>
+												<p>Your Company Address</p>
+												<p>City, State, ZIP</p>
+											</div>
 										</div>
-										{payment.subscriptionId && (
-											<div>
-												<p className="text-zinc-600 mb-1">Subscription ID</p>
-												<p className="font-mono text-zinc-900">
-													{payment.subscriptionId}
+										<div>
+											<h3 className="text-sm font-semibold text-zinc-900 mb-2">
+												To
+											</h3>
+											<div className="text-sm text-zinc-600 space-y-1">
+												<p className="font-medium text-zinc-900">
+													{payment.customerName || ""}
 												</p>
+												<p>{payment.customerEmail || ""}</p>
 											</div>
-										)}
-										{payment.customerId && (
+										</div>
+									</div>
+
+									{/* Items Table */}
+									<div className="border border-zinc-200 rounded-xl overflow-hidden">
+										<table className="w-full">
+											<thead className="bg-zinc-50">
+												<tr>
+													<th className="py-3 px-4 text-left text-xs font-semibold text-zinc-700">
+														Description
+													</th>
+													<th className="py-3 px-4 text-right text-xs font-semibold text-zinc-700">
+														Amount
+													</th>
+												</tr>
+											</thead>
+											<tbody>
+												<tr className="border-t border-zinc-200">
+													<td className="py-3 px-4 text-sm text-zinc-900">
+														{payment.planName || "Plan"} -{" "}
+														{payment.paymentType === "subscription"
+															? "Subscription"
+															: "Payment"}
+													</td>
+													<td className="py-3 px-4 text-sm font-semibold text-zinc-900 text-right">
+														{payment.amount
+															? formatCurrency(payment.amount, payment.currency)
+															: "$0"}
+													</td>
+												</tr>
+											</tbody>
+											<tfoot className="bg-zinc-50 border-t-2 border-zinc-300">
+												<tr>
+													<td className="py-3 px-4 text-sm font-semibold text-zinc-900">
+														Total
+													</td>
+													<td className="py-3 px-4 text-sm font-bold text-zinc-900 text-right">
+														{payment.amount
+															? formatCurrency(payment.amount, payment.currency)
+															: "$0"}
+													</td>
+												</tr>
+											</tfoot>
+										</table>
+									</div>
+
+									{/* Additional Info */}
+									<div className="border-t border-zinc-200 pt-4">
+										<div className="grid grid-cols-2 gap-4 text-sm">
 											<div>
-												<p className="text-zinc-600 mb-1">Customer ID</p>
+												<p className="text-zinc-600 mb-1">Payment ID</p>
 												<p className="font-mono text-zinc-900">
-													{payment.customerId}
+													{payment.paymentId || payment.id}
 												</p>
 											</div>
-										)}
+											{payment.subscriptionId && (
+												<div>
+													<p className="text-zinc-600 mb-1">Subscription ID</p>
+													<p className="font-mono text-zinc-900">
+														{payment.subscriptionId}
+													</p>
+												</div>
+											)}
+											{payment.customerId && (
+												<div>
+													<p className="text-zinc-600 mb-1">Customer ID</p>
+													<p className="font-mono text-zinc-900">
+														{payment.customerId}
+													</p>
+												</div>
+											)}
+										</div>
 									</div>
 								</div>
-							</div>
+							)}
 						</div>
 
 						{/* Footer */}
@@ -344,7 +547,7 @@ const InvoiceModal = ({ isOpen, onClose, payment }) => {
 							<motion.button
 								whileHover={{ scale: 1.02 }}
 								whileTap={{ scale: 0.98 }}
-								onClick={downloadInvoicePDF}
+								onClick={handleDownload}
 								className="flex items-center gap-2 px-4 py-2 text-sm text-white bg-zinc-900 hover:bg-zinc-800 rounded-xl font-medium transition-colors"
 							>
 								<Download className="w-4 h-4" />
@@ -1,6 +1,10 @@
 import React from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { X, ExternalLink, Image as ImageIcon } from "lucide-react";
+import {
+	ENTITLEMENT_DEFINITIONS,
+	resolveEntitlements,
+} from "../api/products";
 
 const ProductDetailsModal = ({ isOpen, onClose, product }) => {
 	if (!product) return null;
@@ -231,6 +235,36 @@ const ProductDetailsModal = ({ isOpen, onClose, product }) => {
 									)}
 								</div>
 
+								{/* Entitlements */}
+								<div>
+									<label className="block text-xs font-semibold text-zinc-500 uppercase tracking-wide mb-2">
+										Entitlements
+									</label>
+									<div className="grid grid-cols-2 gap-2">
+										{Object.entries(resolveEntitlements(product)).map(
+											([key, value]) => (
+												<div
+													key={key}
+													className="flex items-center justify-between px-3 py-2 rounded-xl bg-zinc-50 text-sm"
+												>
+													<span className="text-zinc-600">
+														{ENTITLEMENT_DEFINITIONS[key].label}
+													</span>
+													<span className="font-medium text-zinc-900">
+														{ENTITLEMENT_DEFINITIONS[key].type === "limit"
+															? value === null
+																? "Unlimited"
+																: value
+															: value
+																? "Included"
+																: "—"}
+													</span>
+												</div>
+											)
+										)}
+									</div>
+								</div>
+
 								{/* Checkout Link */}
 								<div>
 									<label className="block text-xs font-semibold text-zinc-500 uppercase tracking-wide mb-2">
@@ -9,7 +9,12 @@ import {
 	ChevronDown,
 	Info,
 } from "lucide-react";
-import { createProduct, updateProduct } from "../api/products";
+import {
+	createProduct,
+	updateProduct,
+	ENTITLEMENT_DEFINITIONS,
+	resolveEntitlements,
+} from "../api/products";
 import AnimatedDropdown from "./AnimatedDropdown";
 import { toast } from "react-toastify";
 
@@ -32,6 +37,7 @@ const ProductModal = ({
 	const [maxAmount, setMaxAmount] = useState("");
 	const [currency, setCurrency] = useState("usd");
 	const [billingInterval, setBillingInterval] = useState("one_time");
+	const [entitlements, setEntitlements] = useState(resolveEntitlements(null)); // Limits (null = unlimited) and feature flags
 	const [isSaving, setIsSaving] = useState(false);
 
 	// Load product data when editing
@@ -127,6 +133,8 @@ const ProductModal = ({
 				setCurrency("usd");
 				setBillingInterval("one_time");
 			}
+
+			setEntitlements(resolveEntitlements(productToEdit));
 		} else {
 			// Reset form for new product
 			setName("");
@@ -138,6 +146,7 @@ const ProductModal = ({
 			setMaxAmount("");
 			setCurrency("usd");
 			setBillingInterval("one_time");
+			setEntitlements(resolveEntitlements(null));
 		}
 	}, [productToEdit]);
 
@@ -156,6 +165,7 @@ const ProductModal = ({
 			setMaxAmount("");
 			setCurrency("usd");
 			setBillingInterval("one_time");
+			setEntitlements(resolveEntitlements(null));
 		}
 	}, [isOpen]);
 
@@ -328,6 +338,7 @@ const ProductModal = ({
 				description: description.trim() || undefined,
 				bannerImages: validBannerImages,
 				prices: [priceObj],
+				entitlements: entitlements,
 			};
 
 			if (productToEdit) {
@@ -720,6 +731,70 @@ const ProductModal = ({
 										</p>
 									)}
 								</div>
+
+								{/* Entitlements */}
+								<div>
+									<label className="block text-sm font-medium text-zinc-700 mb-2">
+										Entitlements
+									</label>
+									<p className="text-xs text-zinc-500 mb-3">
+										What subscribers to this product can use. Leave a limit
+										empty for unlimited.
+									</p>
+									<div className="space-y-3">
+										{Object.entries(ENTITLEMENT_DEFINITIONS).map(
+											([key, definition]) =>
+												definition.type === "limit" ? (
+													<div
+														key={key}
+														className="flex items-center justify-between gap-4"
+													>
+														<span className="text-sm text-zinc-700">
+															{definition.label}
+														</span>
+														<input
+															type="number"
+															value={entitlements[key] ?? ""}
+															onChange={(e) =>
+																setEntitlements({
+																	...entitlements,
+																	[key]:
+																		e.target.value === ""
+																			? null
+																			: Math.max(parseInt(e.target.value, 10) || 0, 0),
+																})
+															}
+															placeholder="Unlimited"
+															min="0"
+															step="1"
+															className="w-32 px-4 py-2 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 focus:border-transparent text-zinc-900 text-sm"
+														/>
+													</div>
+												) : (
+													<div key={key} className="flex items-center gap-2">
+														<input
+															type="checkbox"
+															id={`entitlement-${key}`}
+															checked={entitlements[key] === true}
+															onChange={(e) =>
+																setEntitlements({
+																	...entitlements,
+																	[key]: e.target.checked,
+																})
+															}
+															className="w-4 h-4 rounded border-zinc-300 text-zinc-900 focus:ring-zinc-900"
+														/>
+														<label
+															htmlFor={`entitlement-${key}`}
+															className="text-sm text-zinc-700"
+														>
+															{definition.label}
+														</label>
+													</div>
+												)
+										)}
+									</div>
+								</div>
 							</div>
 						</div>
 
@@ -0,0 +1,128 @@
+import React, { useMemo } from "react";
+import {
+	RECURRENCE_TYPES,
+	validateRecurrence,
+	getUpcomingOccurrences,
+} from "../utils/recurrence";
+
+const formatDate = (date) => {
+	return date.toLocaleString("en-US", {
+		year: "numeric",
+		month: "short",
+		day: "numeric",
+		hour: "2-digit",
+		minute: "2-digit",
+	});
+};
+
+/**
+ * Schedule fields for CRON jobs: a one-off date or a cron/RRULE recurrence
+ * with a live preview of the next occurrences.
+ */
+const RecurrenceFields = ({
+	repeatType,
+	onRepeatTypeChange,
+	expression,
+	onExpressionChange,
+	timezone,
+	onTimezoneChange,
+	scheduledDate,
+	onScheduledDateChange,
+	dateLabel = "Scheduled Date & Time",
+}) => {
+	// Validate the recurrence being edited and preview its next occurrences
+	const preview = useMemo(() => {
+		if (repeatType === "none") return { error: null, occurrences: [] };
+		const recurrence = { type: repeatType, expression, timezone };
+		const { valid, error } = validateRecurrence(recurrence);
+		if (!valid) return { error, occurrences: [] };
+		return {
+			error: null,
+			occurrences: getUpcomingOccurrences(recurrence, 5),
+		};
+	}, [repeatType, expression, timezone]);
+
+	return (
+		<>
+			<div>
+				<label className="block text-sm font-medium text-zinc-700 mb-2">
+					Repeat
+				</label>
+				<select
+					value={repeatType}
+					onChange={(e) => onRepeatTypeChange(e.target.value)}
+					className="w-full px-4 py-2 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm"
+				>
+					<option value="none">Does not repeat</option>
+					<option value={RECURRENCE_TYPES.CRON}>Cron expression</option>
+					<option value={RECURRENCE_TYPES.RRULE}>Recurrence rule (RRULE)</option>
+				</select>
+			</div>
+
+			{repeatType === "none" ? (
+				<div>
+					<label className="block text-sm font-medium text-zinc-700 mb-2">
+						{dateLabel}
+					</label>
+					<input
+						type="datetime-local"
+						value={scheduledDate}
+						onChange={(e) => onScheduledDateChange(e.target.value)}
+						className="w-full px-4 py-2 border border-zinc-300 rounded-xl focus:ring-2 focus:ring-zinc-900 focus:border-transparent"
+					/>
+				</div>
+			) : (
+				<>
+					<div>
+						<label className="block text-sm font-medium text-zinc-700 mb-2">
+							{repeatType === RECURRENCE_TYPES.CRON ? "Cron Expression" : "RRULE"}
+						</label>
+						<textarea
+							rows={repeatType === RECURRENCE_TYPES.CRON ? 1 : 3}
+							value={expression}
+							onChange={(e) => onExpressionChange(e.target.value)}
+							placeholder={
+								repeatType === RECURRENCE_TYPES.CRON
+									? "0 9 * * 1"
+									: "FREQ=WEEKLY;BYDAY=MO;BYHOUR=9;BYMINUTE=0"
+							}
+							className="w-full px-4 py-2 border border-zinc-300 rounded-xl focus:ring-2 focus:ring-zinc-900 focus:border-transparent font-mono text-sm resize-none"
+						/>
+					</div>
+					<div>
+						<label className="block text-sm font-medium text-zinc-700 mb-2">
+							Timezone
+						</label>
+						<input
+							type="text"
+							value={timezone}
+							onChange={(e) => onTimezoneChange(e.target.value)}
+							placeholder="Europe/Berlin"
+							className="w-full px-4 py-2 border border-zinc-300 rounded-xl focus:ring-2 focus:ring-zinc-900 focus:border-transparent text-sm"
+						/>
+					</div>
+					<div className="border border-zinc-200 rounded-xl p-3">
+						<p className="text-sm font-medium text-zinc-700 mb-2">
+							Next Occurrences
+						</p>
+						{preview.error ? (
+							<p className="text-sm text-red-600">{preview.error}</p>
+						) : preview.occurrences.length === 0 ? (
+							<p className="text-sm text-zinc-500">No upcoming occurrences</p>
+						) : (
+							<ul className="space-y-1">
+								{preview.occurrences.map((date) => (
+									<li key={date.toISOString()} className="text-sm text-zinc-900">
+										{formatDate(date)}
+									</li>
+								))}
+							</ul>
+						)}
+					</div>
+				</>
+			)}
+		</>
+	);
+};
+
+export default RecurrenceFields;
@@ -0,0 +1,287 @@
+import React, { useState, useEffect } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { X, Save, Check } from "lucide-react";
+import {
+	PERMISSION_RESOURCES,
+	PERMISSION_ACTIONS,
+	ROLE_COLORS,
+	ROLES,
+	OWNED_RESOURCES,
+	normalizePermissions,
+} from "../config/roles-config";
+
+const inputClassName =
+	"w-full px-3 py-2 border border-zinc-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm disabled:bg-zinc-100 disabled:cursor-not-allowed";
+
+// "cronJobs" -> "Cron Jobs"
+const formatResource = (resource) => {
+	const spaced = resource.replace(/([A-Z])/g, " $1");
+	return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+};
+
+/**
+ * Create or edit a role: name, badge color and a resource × action
+ * permission matrix. Admin permissions are shown but never editable.
+ */
+const RoleEditorModal = ({
+	isOpen,
+	onClose,
+	role = null,
+	readOnly = false,
+	onSave,
+	isSaving = false,
+}) => {
+	const [name, setName] = useState("");
+	const [description, setDescription] = useState("");
+	const [color, setColor] = useState(ROLE_COLORS[0]);
+	const [permissions, setPermissions] = useState(normalizePermissions());
+	const [ownContentOnly, setOwnContentOnly] = useState([]);
+
+	const isAdminRole = role?.id === ROLES.ADMIN;
+	const canEditMatrix = !readOnly && !isAdminRole;
+
+	// Reset the form whenever the modal opens
+	useEffect(() => {
+		if (!isOpen) return;
+		setName(role?.name || "");
+		setDescription(role?.description || "");
+		setColor(role?.color || ROLE_COLORS[0]);
+		setPermissions(normalizePermissions(role?.permissions));
+		setOwnContentOnly(role?.ownContentOnly || []);
+	}, [isOpen, role]);
+
+	const toggleAction = (resource, action) => {
+		setPermissions((prev) => ({
+			...prev,
+			[resource]: {
+				...prev[resource],
+				[action]: !prev[resource][action],
+			},
+		}));
+	};
+
+	const toggleOwnContentOnly = (resource) => {
+		setOwnContentOnly((prev) =>
+			prev.includes(resource)
+				? prev.filter((r) => r !== resource)
+				: [...prev, resource]
+		);
+	};
+
+	// Grant every action of a resource, or clear them all if already granted
+	const toggleResource = (resource, actions) => {
+		const allGranted = actions.every(
+			(action) => permissions[resource][action]
+		);
+		setPermissions((prev) => ({
+			...prev,
+			[resource]: Object.fromEntries(
+				actions.map((action) => [action, !allGranted])
+			),
+		}));
+	};
+
+	const handleSave = () => {
+		onSave({
+			name,
+			description,
+			color,
+			...(isAdminRole ? {} : { permissions, ownContentOnly }),
+		});
+	};
+
+	return (
+		<AnimatePresence>
+			{isOpen && (
+				<motion.div
+					initial={{ opacity: 0 }}
+					animate={{ opacity: 1 }}
+					exit={{ opacity: 0 }}
+					className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+					onClick={onClose}
+				>
+					<motion.div
+						initial={{ scale: 0.9, opacity: 0 }}
+						animate={{ scale: 1, opacity: 1 }}
+						exit={{ scale: 0.9, opacity: 0 }}
+						onClick={(e) => e.stopPropagation()}
+						className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl overflow-hidden max-h-[90vh] flex flex-col"
+					>
+						{/* Header */}
+						<div className="flex items-center justify-between p-4 border-b border-zinc-200">
+							<h3 className="text-lg font-bold text-zinc-900">
+								{role ? (readOnly ? "View Role" : "Edit Role") : "New Role"}
+							</h3>
+							<button
+								onClick={onClose}
+								className="p-1.5 text-zinc-400 hover:text-zinc-600 transition-colors"
+							>
+								<X className="w-5 h-5" />
+							</button>
+						</div>
+
+						{/* Body */}
+						<div className="p-6 overflow-y-auto flex-1 space-y-4">
+							<div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+								<div>
+									<label className="block text-sm font-medium text-zinc-700 mb-1.5">
+										Name <span className="text-red-500">*</span>
+									</label>
+									<input
+										type="text"
+										value={name}
+										onChange={(e) => setName(e.target.value)}
+										disabled={readOnly}
+										placeholder="Support"
+										className={inputClassName}
+									/>
+								</div>
+								<div>
+									<label className="block text-sm font-medium text-zinc-700 mb-1.5">
+										Badge Color
+									</label>
+									<div className="flex flex-wrap items-center gap-2">
+										{ROLE_COLORS.map((option) => (
+											<button
+												key={option}
+												type="button"
+												onClick={() => setColor(option)}
+												disabled={readOnly}
+												className={`w-7 h-7 rounded-full flex items-center justify-center border ${option} ${
+													color === option
+														? "border-zinc-900"
+														: "border-transparent"
+												} disabled:cursor-not-allowed`}
+											>
+												{color === option && <Check className="w-3.5 h-3.5" />}
+											</button>
+										))}
+									</div>
+								</div>
+							</div>
+
+							<div>
+								<label className="block text-sm font-medium text-zinc-700 mb-1.5">
+									Description
+								</label>
+								<input
+									type="text"
+									value={description}
+									onChange={(e) => setDescription(e.target.value)}
+									disabled={readOnly}
+									placeholder="Handles messages and reported issues"
+									className={inputClassName}
+								/>
+							</div>
+
+							<div>
+								<div className="flex items-center justify-between mb-1.5">
+									<label className="block text-sm font-medium text-zinc-700">
+										Permissions
+									</label>
+									{isAdminRole && (
+										<span className="text-xs text-zinc-500">
+											Admin always has every permission
+										</span>
+									)}
+								</div>
+								<div className="overflow-x-auto border border-zinc-200 rounded-xl">
+									<table className="w-full text-sm">
+										<thead className="bg-zinc-50">
+											<tr>
+												<th className="text-left font-medium text-zinc-700 px-3 py-2">
+													Resource
+												</th>
+												{PERMISSION_ACTIONS.map((action) => (
+													<th
+														key={action}
+														className="font-medium text-zinc-700 px-3 py-2 capitalize text-center"
+													>
+														{action}
+													</th>
+												))}
+												<th
+													className="font-medium text-zinc-700 px-3 py-2 text-center"
+													title="Only edit and delete items they created"
+												>
+													Own only
+												</th>
+											</tr>
+										</thead>
+										<tbody>
+											{PERMISSION_RESOURCES.map(({ resource, actions }) => (
+												<tr key={resource} className="border-t border-zinc-100">
+													<td className="px-3 py-2">
+														<button
+															type="button"
+															onClick={() => toggleResource(resource, actions)}
+															disabled={!canEditMatrix}
+															className="text-zinc-900 hover:underline disabled:no-underline disabled:cursor-default"
+															title={canEditMatrix ? "Toggle all" : undefined}
+														>
+															{formatResource(resource)}
+														</button>
+													</td>
+													{PERMISSION_ACTIONS.map((action) => (
+														<td key={action} className="px-3 py-2 text-center">
+															{actions.includes(action) ? (
+																<input
+																	type="checkbox"
+																	checked={!!permissions[resource][action]}
+																	onChange={() => toggleAction(resource, action)}
+																	disabled={!canEditMatrix}
+																	className="w-4 h-4 text-zinc-900 border-zinc-300 rounded focus:ring-zinc-900 disabled:cursor-not-allowed"
+																/>
+															) : (
+																<span className="text-zinc-300">—</span>
+															)}
+														</td>
+													))}
+													<td className="px-3 py-2 text-center">
+														{OWNED_RESOURCES.includes(resource) ? (
+															<input
+																type="checkbox"
+																checked={ownContentOnly.includes(resource)}
+																onChange={() => toggleOwnContentOnly(resource)}
+																disabled={!canEditMatrix}
+																className="w-4 h-4 text-zinc-900 border-zinc-300 rounded focus:ring-zinc-900 disabled:cursor-not-allowed"
+															/>
+														) : (
+															<span className="text-zinc-300">—</span>
+														)}
+													</td>
+												</tr>
+											))}
+										</tbody>
+									</table>
+								</div>
+							</div>
+						</div>
+
+						{/* Footer */}
+						{!readOnly && (
+							<div className="flex items-center justify-end gap-3 p-4 border-t border-zinc-200">
+								<button
+									onClick={onClose}
+									className="px-4 py-1.5 text-sm text-zinc-700 bg-zinc-100 hover:bg-zinc-200 rounded-xl font-medium transition-colors"
+								>
+									Cancel
+								</button>
+								<button
+									onClick={handleSave}
+									disabled={isSaving || !name.trim()}
+									className="flex items-center gap-2 px-4 py-1.5 text-sm bg-zinc-900 hover:bg-zinc-800 text-white rounded-xl font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+								>
+									<Save className="w-4 h-4" />
+									{isSaving ? "Saving..." : role ? "Update Role" : "Create Role"}
+								</button>
+							</div>
+						)}
+					</motion.div>
+				</motion.div>
+			)}
+		</AnimatePresence>
+	);
+};
+
+export default RoleEditorModal;
@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { motion, AnimatePresence } from "framer-motion";
+import { X, Save, Users } from "lucide-react";
+import { toast } from "react-toastify";
+import { createSegment, updateSegment } from "../api/segments";
+import { getAllSubscribers } from "../api/subscribers";
+import { getAllUsers } from "../api/users";
+import { getAllCustomers } from "../api/customers";
+import {
+	SEGMENT_MATCH_OPTIONS,
+	getSegmentContacts,
+	normalizeSegmentRules,
+	validateSegment,
+} from "../utils/segments";
+import SegmentRulesEditor, { createSegmentRule } from "./SegmentRulesEditor";
+
+const inputClassName =
+	"w-full px-4 py-2.5 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 focus:border-transparent text-zinc-900 disabled:bg-zinc-100 disabled:cursor-not-allowed disabled:text-zinc-500";
+
+// How many matching emails the preview lists
+const PREVIEW_LIMIT = 5;
+
+const SegmentModal = ({ isOpen, onClose, segmentToEdit = null, queryClient }) => {
+	const [name, setName] = useState("");
+	const [description, setDescription] = useState("");
+	const [match, setMatch] = useState("all");
+	const [rules, setRules] = useState([]);
+	const [isSaving, setIsSaving] = useState(false);
+
+	// Load segment data when editing, reset when creating
+	useEffect(() => {
+		if (!isOpen) return;
+
+		setName(segmentToEdit?.name || "");
+		setDescription(segmentToEdit?.description || "");
+		setMatch(segmentToEdit?.match || "all");
+		setRules(
+			segmentToEdit?.rules?.length
+				? segmentToEdit.rules.map((rule) => ({
+						...rule,
+						value: rule.value ?? "",
+				  }))
+				: [createSegmentRule()]
+		);
+	}, [isOpen, segmentToEdit]);
+
+	// Records the live count is computed from
+	const { data: subscribers = [], isLoading: isLoadingSubscribers } = useQuery({
+		queryKey: ["subscribers"],
+		queryFn: () => getAllSubscribers(),
+		enabled: isOpen,
+	});
+	const { data: users = [], isLoading: isLoadingUsers } = useQuery({
+		queryKey: ["users"],
+		queryFn: () => getAllUsers(),
+		enabled: isOpen,
+	});
+	const { data: customers = [], isLoading: isLoadingCustomers } = useQuery({
+		queryKey: ["customers"],
+		queryFn: () => getAllCustomers(),
+		enabled: isOpen,
+	});
+	const isLoadingContacts =
+		isLoadingSubscribers || isLoadingUsers || isLoadingCustomers;
+
+	// Matching contacts, recomputed as rules change
+	const matchingContacts = useMemo(() => {
+		if (!isOpen || isLoadingContacts) return [];
+		return getSegmentContacts({ match, rules }, { subscribers, users, customers });
+	}, [
+		isOpen,
+		isLoadingContacts,
+		match,
+		rules,
+		subscribers,
+		users,
+		customers,
+	]);
+
+	const handleSave = async () => {
+		const segmentData = {
+			name,
+			description,
+			match,
+			rules: normalizeSegmentRules(rules),
+		};
+		const error = validateSegment(segmentData);
+		if (error) {
+			toast.error(error);
+			return;
+		}
+
+		setIsSaving(true);
+		try {
+			if (segmentToEdit) {
+				await updateSegment(segmentToEdit.id, segmentData);
+				toast.success("Segment updated successfully");
+			} else {
+				await createSegment(segmentData);
+				toast.success("Segment created successfully");
+			}
+
+			if (queryClient) {
+				queryClient.invalidateQueries({ queryKey: ["segments"] });
+			}
+
+			onClose();
+		} catch (error) {
+			console.error("Error saving segment:", error);
+			toast.error(error.message || "Failed to save segment. Please try again.");
+		} finally {
+			setIsSaving(false);
+		}
+	};
+
+	return (
+		<AnimatePresence>
+			{isOpen && (
+				<motion.div
+					initial={{ opacity: 0 }}
+					animate={{ opacity: 1 }}
+					exit={{ opacity: 0 }}
+					className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+					onClick={onClose}
+				>
+					<motion.div
+						initial={{ scale: 0.9, opacity: 0 }}
+						animate={{ scale: 1, opacity: 1 }}
+						exit={{ scale: 0.9, opacity: 0 }}
+						onClick={(e) => e.stopPropagation()}
+						className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl overflow-hidden max-h-[90vh] flex flex-col"
+					>
+						{/* Header */}
+						<div className="flex items-center justify-between p-3 border-b border-zinc-200">
+							<h3 className="text-xl font-bold text-zinc-900">
+								{segmentToEdit ? "Edit Segment" : "Create New Segment"}
+							</h3>
+							<button
+								onClick={onClose}
+								className="p-2 text-zinc-400 hover:text-zinc-600 transition-colors rounded-xl hover:bg-zinc-100"
+							>
+								<X className="w-5 h-5" />
+							</button>
+						</div>
+
+						{/* Body */}
+						<div className="flex-1 overflow-y-auto p-6">
+							<div className="space-y-4">
+								<div className="grid grid-cols-2 gap-4">
+									{/* Name */}
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											Name *
+										</label>
+										<input
+											type="text"
+											value={name}
+											onChange={(e) => setName(e.target.value)}
+											placeholder="Pro customers renewing soon"
+											className={inputClassName}
+										/>
+									</div>
+
+									{/* Match */}
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											Contacts Must Match *
+										</label>
+										<select
+											value={match}
+											onChange={(e) => setMatch(e.target.value)}
+											className={inputClassName}
+										>
+											{SEGMENT_MATCH_OPTIONS.map((option) => (
+												<option key={option.value} value={option.value}>
+													{option.label}
+												</option>
+											))}
+										</select>
+									</div>
+								</div>
+
+								{/* Description */}
+								<div>
+									<label className="block text-sm font-medium text-zinc-700 mb-2">
+										Description
+									</label>
+									<input
+										type="text"
+										value={description}
+										onChange={(e) => setDescription(e.target.value)}
+										placeholder="Who this segment is for"
+										className={inputClassName}
+									/>
+								</div>
+
+								{/* Rules */}
+								<div>
+									<label className="block text-sm font-medium text-zinc-700 mb-2">
+										Rules *
+									</label>
+									<SegmentRulesEditor rules={rules} onChange={setRules} />
+								</div>
+
+								{/* Live count */}
+								<div className="p-3 bg-zinc-50 border border-zinc-200 rounded-xl text-sm text-zinc-700">
+									<div className="flex items-center gap-2">
+										<Users className="w-4 h-4 text-zinc-500" />
+										{isLoadingContacts ? (
+											<span>Counting contacts...</span>
+										) : (
+											<span>
+												<strong>{matchingContacts.length}</strong> contact
+												{matchingContacts.length !== 1 ? "s" : ""} match
+												{matchingContacts.length === 1 ? "es" : ""} right now
+											</span>
+										)}
+									</div>
+									{!isLoadingContacts && matchingContacts.length > 0 && (
+										<p className="text-xs text-zinc-500 mt-1 truncate">
+											{matchingContacts
+												.slice(0, PREVIEW_LIMIT)
+												.map((contact) => contact.email)
+												.join(", ")}
+											{matchingContacts.length > PREVIEW_LIMIT &&
+												` and ${matchingContacts.length - PREVIEW_LIMIT} more`}
+										</p>
+									)}
+									<p className="text-xs text-zinc-500 mt-1">
+										Unsubscribed and suppressed contacts are never
+										included. Rules are checked again when a campaign is
+										sent.
+									</p>
+								</div>
+							</div>
+						</div>
+
+						{/* Footer */}
+						<div className="flex items-center justify-end gap-3 p-6 border-t border-zinc-200">
+							<button
+								onClick={onClose}
+								className="px-4 py-2 text-sm font-medium text-zinc-700 hover:bg-zinc-100 rounded-xl transition-colors"
+							>
+								Cancel
+							</button>
+							<motion.button
+								whileHover={{ scale: 1.02 }}
+								whileTap={{ scale: 0.98 }}
+								onClick={handleSave}
+								disabled={isSaving}
+								className="flex items-center gap-2 px-4 py-2 bg-zinc-900 hover:bg-zinc-800 text-white rounded-xl text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+							>
+								<Save className="w-4 h-4" />
+								{isSaving
+									? segmentToEdit
+										? "Updating..."
+										: "Creating..."
+									: segmentToEdit
+										? "Update Segment"
+										: "Create Segment"}
+							</motion.button>
+						</div>
+					</motion.div>
+				</motion.div>
+			)}
+		</AnimatePresence>
+	);
+};
+
+export default SegmentModal;
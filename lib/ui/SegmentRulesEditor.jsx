@@ -0,0 +1,194 @@
+import React from "react";
+import { Plus, Trash2 } from "lucide-react";
+import {
+	SEGMENT_FIELDS,
+	getSegmentField,
+	getSegmentOperators,
+} from "../utils/segments";
+import DatePicker from "./DatePicker";
+
+const inputClassName =
+	"w-full px-4 py-2.5 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 focus:border-transparent text-zinc-900 disabled:bg-zinc-100 disabled:cursor-not-allowed disabled:text-zinc-500";
+
+// Default value for an operator's input
+const getDefaultValue = (field, operator) => {
+	switch (operator?.input) {
+		case "option":
+			return field.options[0].value;
+		case "days":
+			return "7";
+		default:
+			return "";
+	}
+};
+
+/**
+ * New rule on a field, with its first operator
+ * @param {string} fieldValue - Field key (default: the first field)
+ * @returns {Object} { field, operator, value }
+ */
+export const createSegmentRule = (fieldValue = SEGMENT_FIELDS[0].value) => {
+	const field = getSegmentField(fieldValue);
+	const operator = getSegmentOperators(fieldValue)[0];
+	return {
+		field: field.value,
+		operator: operator.value,
+		value: getDefaultValue(field, operator),
+	};
+};
+
+/**
+ * Rows of segment rules (field, condition, value), as used by segments
+ * and the conditions of sequence steps
+ * @param {Array} rules - [{ field, operator, value }]
+ * @param {Function} onChange - (rules) => void
+ * @param {number} minRules - Rules that can't be removed (default: 1)
+ */
+const SegmentRulesEditor = ({ rules, onChange, minRules = 1 }) => {
+	const updateRule = (index, changes) => {
+		onChange(
+			rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule))
+		);
+	};
+
+	const handleFieldChange = (index, fieldValue) => {
+		onChange(
+			rules.map((rule, i) =>
+				i === index ? createSegmentRule(fieldValue) : rule
+			)
+		);
+	};
+
+	const handleOperatorChange = (index, operatorValue) => {
+		const rule = rules[index];
+		const field = getSegmentField(rule.field);
+		const current = getSegmentOperators(rule.field).find(
+			(operator) => operator.value === rule.operator
+		);
+		const next = getSegmentOperators(rule.field).find(
+			(operator) => operator.value === operatorValue
+		);
+		updateRule(index, {
+			operator: operatorValue,
+			// Keep the value while the kind of input stays the same
+			value:
+				current?.input === next?.input
+					? rule.value
+					: getDefaultValue(field, next),
+		});
+	};
+
+	const removeRule = (index) => {
+		onChange(rules.filter((_, i) => i !== index));
+	};
+
+	const renderValueInput = (rule, index) => {
+		const field = getSegmentField(rule.field);
+		const operator = getSegmentOperators(rule.field).find(
+			(option) => option.value === rule.operator
+		);
+
+		switch (operator?.input) {
+			case "option":
+				return (
+					<select
+						value={rule.value}
+						onChange={(e) => updateRule(index, { value: e.target.value })}
+						className={inputClassName}
+					>
+						{field.options.map((option) => (
+							<option key={option.value} value={option.value}>
+								{option.label}
+							</option>
+						))}
+					</select>
+				);
+			case "days":
+				return (
+					<input
+						type="number"
+						value={rule.value}
+						onChange={(e) => updateRule(index, { value: e.target.value })}
+						min="1"
+						step="1"
+						placeholder="7"
+						className={inputClassName}
+					/>
+				);
+			case "date":
+				return (
+					<DatePicker
+						value={rule.value}
+						onChange={(value) => updateRule(index, { value })}
+						placeholder="Select date"
+					/>
+				);
+			case "text":
+				return (
+					<input
+						type="text"
+						value={rule.value}
+						onChange={(e) => updateRule(index, { value: e.target.value })}
+						placeholder="Pro"
+						className={inputClassName}
+					/>
+				);
+			default:
+				return null;
+		}
+	};
+
+	return (
+		<div>
+			<div className="space-y-2">
+				{rules.map((rule, index) => (
+					<div
+						key={index}
+						className="grid grid-cols-[1fr_1fr_1fr_auto] gap-2 items-center"
+					>
+						<select
+							value={rule.field}
+							onChange={(e) => handleFieldChange(index, e.target.value)}
+							className={inputClassName}
+						>
+							{SEGMENT_FIELDS.map((field) => (
+								<option key={field.value} value={field.value}>
+									{field.label}
+								</option>
+							))}
+						</select>
+						<select
+							value={rule.operator}
+							onChange={(e) => handleOperatorChange(index, e.target.value)}
+							className={inputClassName}
+						>
+							{getSegmentOperators(rule.field).map((operator) => (
+								<option key={operator.value} value={operator.value}>
+									{operator.label}
+								</option>
+							))}
+						</select>
+						<div>{renderValueInput(rule, index)}</div>
+						<button
+							onClick={() => removeRule(index)}
+							disabled={rules.length <= minRules}
+							className="p-2 text-zinc-400 hover:text-red-600 rounded-xl hover:bg-zinc-100 transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+							title="Remove rule"
+						>
+							<Trash2 className="w-4 h-4" />
+						</button>
+					</div>
+				))}
+			</div>
+			<button
+				onClick={() => onChange([...rules, createSegmentRule()])}
+				className="mt-2 flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-zinc-700 hover:bg-zinc-100 rounded-xl transition-colors"
+			>
+				<Plus className="w-4 h-4" />
+				Add Rule
+			</button>
+		</div>
+	);
+};
+
+export default SegmentRulesEditor;
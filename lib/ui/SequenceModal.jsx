@@ -0,0 +1,486 @@
+import React, { useState, useEffect, useRef } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import {
+	X,
+	Save,
+	Plus,
+	Trash2,
+	ChevronUp,
+	ChevronDown,
+	Clock,
+	Zap,
+	Filter,
+	Mail,
+} from "lucide-react";
+import { toast } from "react-toastify";
+import { createSequence, updateSequence } from "../api/sequences";
+import { MERGE_TAGS } from "../utils/mergeTags";
+import {
+	SEGMENT_MATCH_OPTIONS,
+	normalizeSegmentRules,
+} from "../utils/segments";
+import {
+	SEQUENCE_TRIGGERS,
+	SEQUENCE_DELAY_UNITS,
+	describeStepDelay,
+	getSequenceTriggerLabel,
+	validateSequence,
+} from "../utils/sequences";
+import SegmentRulesEditor, { createSegmentRule } from "./SegmentRulesEditor";
+
+const inputClassName =
+	"w-full px-4 py-2.5 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 focus:border-transparent text-zinc-900 disabled:bg-zinc-100 disabled:cursor-not-allowed disabled:text-zinc-500";
+
+// New step; the first one goes out right away, later ones a few days apart
+const createStep = (isFirst = false) => ({
+	delay: isFirst ? 0 : 2,
+	delayUnit: "days",
+	subject: "",
+	content: "",
+	match: "all",
+	conditions: [],
+});
+
+const SequenceModal = ({
+	isOpen,
+	onClose,
+	sequenceToEdit = null,
+	queryClient,
+}) => {
+	const [name, setName] = useState("");
+	const [description, setDescription] = useState("");
+	const [trigger, setTrigger] = useState(SEQUENCE_TRIGGERS[0].value);
+	const [status, setStatus] = useState("active");
+	const [steps, setSteps] = useState([]);
+	const [isSaving, setIsSaving] = useState(false);
+	// Content textareas by step index, to insert merge tags at the cursor
+	const contentRefs = useRef({});
+
+	// Load sequence data when editing, reset when creating
+	useEffect(() => {
+		if (!isOpen) return;
+
+		setName(sequenceToEdit?.name || "");
+		setDescription(sequenceToEdit?.description || "");
+		setTrigger(sequenceToEdit?.trigger || SEQUENCE_TRIGGERS[0].value);
+		setStatus(sequenceToEdit?.status || "active");
+		setSteps(
+			sequenceToEdit?.steps?.length
+				? sequenceToEdit.steps.map((step) => ({
+						...step,
+						conditions: (step.conditions || []).map((rule) => ({
+							...rule,
+							value: rule.value ?? "",
+						})),
+				  }))
+				: [createStep(true)]
+		);
+	}, [isOpen, sequenceToEdit]);
+
+	const updateStep = (index, changes) => {
+		setSteps((current) =>
+			current.map((step, i) => (i === index ? { ...step, ...changes } : step))
+		);
+	};
+
+	const moveStep = (index, direction) => {
+		setSteps((current) => {
+			const next = [...current];
+			const [step] = next.splice(index, 1);
+			next.splice(index + direction, 0, step);
+			return next;
+		});
+	};
+
+	const removeStep = (index) => {
+		setSteps((current) => current.filter((_, i) => i !== index));
+	};
+
+	// Insert a merge tag at the cursor of a step's content
+	const insertMergeTag = (index, key) => {
+		const textarea = contentRefs.current[index];
+		const content = steps[index].content;
+		const tag = `{{${key}}}`;
+		const start = textarea ? textarea.selectionStart : content.length;
+		const end = textarea ? textarea.selectionEnd : content.length;
+		updateStep(index, {
+			content: content.slice(0, start) + tag + content.slice(end),
+		});
+	};
+
+	const handleSave = async () => {
+		const sequenceData = {
+			name,
+			description,
+			trigger,
+			status,
+			steps: steps.map((step) => ({
+				...step,
+				delay: step.delay === "" ? NaN : Number(step.delay),
+				conditions: normalizeSegmentRules(step.conditions),
+			})),
+		};
+		const error = validateSequence(sequenceData);
+		if (error) {
+			toast.error(error);
+			return;
+		}
+
+		setIsSaving(true);
+		try {
+			if (sequenceToEdit) {
+				await updateSequence(sequenceToEdit.id, sequenceData);
+				toast.success("Sequence updated successfully");
+			} else {
+				await createSequence(sequenceData);
+				toast.success("Sequence created successfully");
+			}
+
+			if (queryClient) {
+				queryClient.invalidateQueries({ queryKey: ["sequences"] });
+			}
+
+			onClose();
+		} catch (error) {
+			console.error("Error saving sequence:", error);
+			toast.error(
+				error.message || "Failed to save sequence. Please try again."
+			);
+		} finally {
+			setIsSaving(false);
+		}
+	};
+
+	return (
+		<AnimatePresence>
+			{isOpen && (
+				<motion.div
+					initial={{ opacity: 0 }}
+					animate={{ opacity: 1 }}
+					exit={{ opacity: 0 }}
+					className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+					onClick={onClose}
+				>
+					<motion.div
+						initial={{ scale: 0.9, opacity: 0 }}
+						animate={{ scale: 1, opacity: 1 }}
+						exit={{ scale: 0.9, opacity: 0 }}
+						onClick={(e) => e.stopPropagation()}
+						className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl overflow-hidden max-h-[90vh] flex flex-col"
+					>
+						{/* Header */}
+						<div className="flex items-center justify-between p-3 border-b border-zinc-200">
+							<h3 className="text-xl font-bold text-zinc-900">
+								{sequenceToEdit ? "Edit Sequence" : "Create New Sequence"}
+							</h3>
+							<button
+								onClick={onClose}
+								className="p-2 text-zinc-400 hover:text-zinc-600 transition-colors rounded-xl hover:bg-zinc-100"
+							>
+								<X className="w-5 h-5" />
+							</button>
+						</div>
+
+						{/* Body */}
+						<div className="flex-1 overflow-y-auto p-6">
+							<div className="space-y-4">
+								<div className="grid grid-cols-3 gap-4">
+									{/* Name */}
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											Name *
+										</label>
+										<input
+											type="text"
+											value={name}
+											onChange={(e) => setName(e.target.value)}
+											placeholder="Welcome series"
+											className={inputClassName}
+										/>
+									</div>
+
+									{/* Trigger */}
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											Starts On *
+										</label>
+										<select
+											value={trigger}
+											onChange={(e) => setTrigger(e.target.value)}
+											className={inputClassName}
+										>
+											{SEQUENCE_TRIGGERS.map((option) => (
+												<option key={option.value} value={option.value}>
+													{option.label}
+												</option>
+											))}
+										</select>
+									</div>
+
+									{/* Status */}
+									<div>
+										<label className="block text-sm font-medium text-zinc-700 mb-2">
+											Status *
+										</label>
+										<select
+											value={status}
+											onChange={(e) => setStatus(e.target.value)}
+											className={inputClassName}
+										>
+											<option value="active">Active</option>
+											<option value="paused">Paused</option>
+										</select>
+									</div>
+								</div>
+
+								{/* Description */}
+								<div>
+									<label className="block text-sm font-medium text-zinc-700 mb-2">
+										Description
+									</label>
+									<input
+										type="text"
+										value={description}
+										onChange={(e) => setDescription(e.target.value)}
+										placeholder="What this sequence is for"
+										className={inputClassName}
+									/>
+								</div>
+
+								{/* Steps, as a timeline from the trigger down */}
+								<div>
+									<label className="block text-sm font-medium text-zinc-700 mb-2">
+										Steps *
+									</label>
+									<div className="relative pl-8">
+										<div className="absolute left-3 top-3 bottom-3 w-px bg-zinc-200" />
+
+										<div className="relative mb-4">
+											<div className="absolute -left-8 top-0.5 w-6 h-6 rounded-full bg-zinc-900 flex items-center justify-center">
+												<Zap className="w-3.5 h-3.5 text-white" />
+											</div>
+											<p className="text-sm font-medium text-zinc-900">
+												{getSequenceTriggerLabel(trigger)}
+											</p>
+											<p className="text-xs text-zinc-500">
+												The contact is enrolled once; later triggers
+												don&apos;t restart the sequence.
+											</p>
+										</div>
+
+										{steps.map((step, index) => (
+											<div key={index} className="relative mb-4">
+												<div className="absolute -left-8 top-3 w-6 h-6 rounded-full bg-white border-2 border-zinc-300 flex items-center justify-center text-xs font-semibold text-zinc-700">
+													{index + 1}
+												</div>
+												<div className="p-4 rounded-xl border border-zinc-200 bg-zinc-50 space-y-3">
+													<div className="flex items-center justify-between">
+														<div className="flex items-center gap-2 text-sm font-medium text-zinc-900">
+															<Clock className="w-4 h-4 text-zinc-500" />
+															{describeStepDelay(step)}
+															<span className="text-xs font-normal text-zinc-500">
+																{index === 0
+																	? "after enrolment"
+																	: "after the previous step"}
+															</span>
+														</div>
+														<div className="flex items-center gap-1">
+															<button
+																onClick={() => moveStep(index, -1)}
+																disabled={index === 0}
+																className="p-1.5 text-zinc-400 hover:text-zinc-700 rounded-lg hover:bg-zinc-200 transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+																title="Move up"
+															>
+																<ChevronUp className="w-4 h-4" />
+															</button>
+															<button
+																onClick={() => moveStep(index, 1)}
+																disabled={index === steps.length - 1}
+																className="p-1.5 text-zinc-400 hover:text-zinc-700 rounded-lg hover:bg-zinc-200 transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+																title="Move down"
+															>
+																<ChevronDown className="w-4 h-4" />
+															</button>
+															<button
+																onClick={() => removeStep(index)}
+																disabled={steps.length === 1}
+																className="p-1.5 text-zinc-400 hover:text-red-600 rounded-lg hover:bg-zinc-200 transition-colors disabled:opacity-30 disabled:cursor-not-allowed"
+																title="Remove step"
+															>
+																<Trash2 className="w-4 h-4" />
+															</button>
+														</div>
+													</div>
+
+													{/* Delay */}
+													<div className="grid grid-cols-[auto_1fr_1fr] gap-2 items-center">
+														<span className="text-sm text-zinc-700">Wait</span>
+														<input
+															type="number"
+															value={step.delay}
+															onChange={(e) =>
+																updateStep(index, { delay: e.target.value })
+															}
+															min="0"
+															step="1"
+															className={inputClassName}
+														/>
+														<select
+															value={step.delayUnit}
+															onChange={(e) =>
+																updateStep(index, { delayUnit: e.target.value })
+															}
+															className={inputClassName}
+														>
+															{SEQUENCE_DELAY_UNITS.map((unit) => (
+																<option key={unit.value} value={unit.value}>
+																	{unit.label}
+																</option>
+															))}
+														</select>
+													</div>
+
+													{/* Email */}
+													<div className="flex items-center gap-2">
+														<Mail className="w-4 h-4 text-zinc-500 shrink-0" />
+														<input
+															type="text"
+															value={step.subject}
+															onChange={(e) =>
+																updateStep(index, { subject: e.target.value })
+															}
+															placeholder="Subject, e.g. Welcome aboard, {{name|there}}"
+															className={inputClassName}
+														/>
+													</div>
+													<div>
+														<textarea
+															ref={(element) => {
+																contentRefs.current[index] = element;
+															}}
+															value={step.content}
+															onChange={(e) =>
+																updateStep(index, { content: e.target.value })
+															}
+															rows={5}
+															placeholder="<p>Hi {{name|there}},</p>"
+															className={`${inputClassName} font-mono text-sm`}
+														/>
+														<div className="flex flex-wrap items-center gap-1.5 mt-1.5">
+															{MERGE_TAGS.map((tag) => (
+																<button
+																	key={tag.key}
+																	onClick={() => insertMergeTag(index, tag.key)}
+																	title={tag.description}
+																	className="px-2 py-1 text-xs font-mono bg-zinc-100 hover:bg-zinc-200 text-zinc-700 rounded-lg transition-colors"
+																>
+																	{`{{${tag.key}}}`}
+																</button>
+															))}
+															<span className="text-xs text-zinc-500">
+																HTML; subscribers also get an unsubscribe
+																link.
+															</span>
+														</div>
+													</div>
+
+													{/* Conditions */}
+													{step.conditions.length === 0 ? (
+														<button
+															onClick={() =>
+																updateStep(index, {
+																	conditions: [createSegmentRule()],
+																})
+															}
+															className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-zinc-700 hover:bg-zinc-200 rounded-xl transition-colors"
+														>
+															<Filter className="w-4 h-4" />
+															Add Conditions
+														</button>
+													) : (
+														<div className="p-3 rounded-xl border border-zinc-200 bg-white space-y-2">
+															<div className="flex items-center gap-2 text-sm text-zinc-700">
+																<Filter className="w-4 h-4 text-zinc-500" />
+																<span>Only send when the contact matches</span>
+																<select
+																	value={step.match}
+																	onChange={(e) =>
+																		updateStep(index, { match: e.target.value })
+																	}
+																	className="px-2 py-1 border border-zinc-300 rounded-lg text-sm text-zinc-900 focus:outline-none focus:ring-2 focus:ring-zinc-900"
+																>
+																	{SEGMENT_MATCH_OPTIONS.map((option) => (
+																		<option key={option.value} value={option.value}>
+																			{option.label.toLowerCase()}
+																		</option>
+																	))}
+																</select>
+																<span>; otherwise skip this step</span>
+															</div>
+															<SegmentRulesEditor
+																rules={step.conditions}
+																onChange={(conditions) =>
+																	updateStep(index, { conditions })
+																}
+																minRules={0}
+															/>
+														</div>
+													)}
+												</div>
+											</div>
+										))}
+
+										<button
+											onClick={() =>
+												setSteps((current) => [...current, createStep()])
+											}
+											className="flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-zinc-700 hover:bg-zinc-100 rounded-xl transition-colors"
+										>
+											<Plus className="w-4 h-4" />
+											Add Step
+										</button>
+									</div>
+								</div>
+
+								<p className="p-3 bg-zinc-50 border border-zinc-200 rounded-xl text-xs text-zinc-500">
+									Steps are sent by the &ldquo;Email Sequences&rdquo; CRON
+									job; schedule it to repeat, e.g. hourly, in the CRON Jobs
+									tab. Contacts who unsubscribe or whose address is
+									suppressed leave the sequence.
+								</p>
+							</div>
+						</div>
+
+						{/* Footer */}
+						<div className="flex items-center justify-end gap-3 p-6 border-t border-zinc-200">
+							<button
+								onClick={onClose}
+								className="px-4 py-2 text-sm font-medium text-zinc-700 hover:bg-zinc-100 rounded-xl transition-colors"
+							>
+								Cancel
+							</button>
+							<motion.button
+								whileHover={{ scale: 1.02 }}
+								whileTap={{ scale: 0.98 }}
+								onClick={handleSave}
+								disabled={isSaving}
+								className="flex items-center gap-2 px-4 py-2 bg-zinc-900 hover:bg-zinc-800 text-white rounded-xl text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+							>
+								<Save className="w-4 h-4" />
+								{isSaving
+									? sequenceToEdit
+										? "Updating..."
+										: "Creating..."
+									: sequenceToEdit
+										? "Update Sequence"
+										: "Create Sequence"}
+							</motion.button>
+						</div>
+					</motion.div>
+				</motion.div>
+			)}
+		</AnimatePresence>
+	);
+};
+
+export default SequenceModal;
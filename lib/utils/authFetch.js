@@ -0,0 +1,32 @@
+import { getCurrentUser } from "../api/auth";
+
+/**
+ * Authorization header carrying the signed-in user's Firebase ID token,
+ * as expected by API routes wrapped with withAuth
+ * @returns {Promise<Object>} Headers object (empty when signed out)
+ */
+export const getAuthHeaders = async () => {
+	const user = await getCurrentUser();
+	if (!user) return {};
+
+	const idToken = await user.getIdToken();
+	return { Authorization: `Bearer ${idToken}` };
+};
+
+/**
+ * fetch() for protected API routes: same arguments, plus the
+ * Authorization header of the signed-in user
+ * @param {string} url - API route URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} fetch response
+ */
+export const authFetch = async (url, options = {}) => {
+	const authHeaders = await getAuthHeaders();
+	return fetch(url, {
+		...options,
+		headers: {
+			...(options.headers || {}),
+			...authHeaders,
+		},
+	});
+};
@@ -0,0 +1,40 @@
+import { getCurrentUser } from "../api/auth";
+import { getUserRole } from "./getUserRole";
+import { isOwnContentOnly, isContentOwner } from "../config/roles-config";
+
+/**
+ * Get the signed-in user as a content owner, for createdBy fields
+ * @returns {Promise<Object|null>} { uid, email } or null when signed out
+ */
+export const getContentOwner = async () => {
+	try {
+		const user = await getCurrentUser();
+		if (!user) return null;
+		return {
+			uid: user.uid,
+			email: user.email?.toLowerCase().trim() || null,
+		};
+	} catch (error) {
+		console.error("Error getting content owner:", error);
+		return null;
+	}
+};
+
+/**
+ * Throw if the signed-in user's role is limited to its own items for a
+ * resource and they didn't create this one. Calls without a signed-in
+ * user (e.g. scheduled jobs) aren't restricted.
+ * @param {string} resource - Resource name (blogs, emails)
+ * @param {string} action - Action name, used in the error message
+ * @param {Object} item - Item being modified
+ * @returns {Promise<void>}
+ */
+export const assertContentOwnership = async (resource, action, item) => {
+	const owner = await getContentOwner();
+	if (!owner) return;
+
+	const role = await getUserRole(owner.email, false);
+	if (isOwnContentOnly(role, resource) && !isContentOwner(item, owner)) {
+		throw new Error(`You can only ${action} ${resource} you created`);
+	}
+};
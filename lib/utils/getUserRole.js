@@ -1,10 +1,23 @@
 import { getTeamMemberByEmail } from "../api/teams";
+import { loadRoles } from "../api/roles";
+
+/**
+ * Load stored roles so permission checks see custom roles and edits
+ * made in the roles editor. Falls back to the built-in defaults.
+ */
+const loadStoredRoles = async () => {
+	try {
+		await loadRoles();
+	} catch (error) {
+		console.error("getUserRole: Failed to load roles, using defaults:", error);
+	}
+};
 
 /**
  * Get current user's role from Firestore teams collection
  * Falls back to localStorage or default role
  * @param {string} userEmail - Current user's email
- * @returns {Promise<string>} User role (admin, editor, author, viewer)
+ * @returns {Promise<string>} User role id (admin, editor, author, viewer or a custom role)
  */
 export const getUserRole = async (userEmail, forceRefresh = false) => {
 	try {
@@ -14,6 +27,8 @@ export const getUserRole = async (userEmail, forceRefresh = false) => {
 			return "viewer";
 		}
 
+		await loadStoredRoles();
+
 		// Normalize email for comparison
 		const normalizedEmail = userEmail.toLowerCase().trim();
 		console.log("getUserRole: Fetching role for email:", normalizedEmail);
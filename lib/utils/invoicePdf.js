@@ -0,0 +1,224 @@
+import { jsPDF } from "jspdf";
+import { getInvoiceStatus } from "../api/invoice";
+import { formatInvoiceAmount, getInvoiceTotals } from "./invoiceTotals";
+
+const formatDate = (date) => {
+	if (!date) return "";
+	const d = date?.toDate ? date.toDate() : new Date(date);
+	if (isNaN(d.getTime())) return "";
+	return d.toLocaleDateString("en-US", {
+		year: "numeric",
+		month: "long",
+		day: "numeric",
+	});
+};
+
+// The built-in PDF fonts have no glyphs for symbols such as ₹ or ￥, so
+// amounts show the currency code (e.g. "1.234,56 EUR") in its locale
+const formatCurrency = (amount, currency = "usd") =>
+	formatInvoiceAmount(amount, currency, { currencyDisplay: "code" });
+
+const formatParty = (party = {}) =>
+	[
+		party.name,
+		party.email,
+		party.address,
+		[party.city, party.state, party.zip].filter(Boolean).join(", "),
+		party.country,
+	].filter(Boolean);
+
+/**
+ * Build the PDF of an invoice from the invoices collection
+ * @param {Object} invoice - Invoice document (amounts in major units, e.g. dollars)
+ * @returns {jsPDF} PDF document
+ */
+export const createInvoicePDF = (invoice) => {
+	const doc = new jsPDF();
+	const pageWidth = doc.internal.pageSize.getWidth();
+	const pageHeight = doc.internal.pageSize.getHeight();
+	const margin = 20;
+	const currency = invoice.currency || "usd";
+	const totals = getInvoiceTotals(invoice);
+	let yPos = margin;
+
+	// Brand band: sender name on the left, title on the right
+	doc.setFillColor(24, 24, 27);
+	doc.rect(0, 0, pageWidth, 32, "F");
+	doc.setTextColor(255, 255, 255);
+	doc.setFontSize(16);
+	doc.setFont("helvetica", "bold");
+	if (invoice.from?.name) {
+		doc.text(invoice.from.name, margin, yPos);
+	}
+	doc.setFontSize(24);
+	doc.text("INVOICE", pageWidth - margin, yPos, { align: "right" });
+	doc.setTextColor(0, 0, 0);
+	yPos += 27;
+
+	// Number and dates
+	doc.setFontSize(12);
+	doc.setFont("helvetica", "normal");
+	doc.text(
+		`Invoice #: ${invoice.invoiceNumber || "Draft"}`,
+		pageWidth - margin,
+		yPos,
+		{ align: "right" }
+	);
+	yPos += 8;
+	doc.text(
+		`Date: ${formatDate(invoice.invoiceDate || invoice.createdAt)}`,
+		pageWidth - margin,
+		yPos,
+		{ align: "right" }
+	);
+	yPos += 8;
+	if (invoice.dueDate) {
+		doc.text(`Due: ${formatDate(invoice.dueDate)}`, pageWidth - margin, yPos, {
+			align: "right",
+		});
+		yPos += 8;
+	}
+	yPos += 12;
+
+	// From / To
+	const partyTop = yPos;
+	[
+		["From:", invoice.from, margin],
+		["To:", invoice.to, pageWidth / 2],
+	].forEach(([label, party, x]) => {
+		let partyY = partyTop;
+		doc.setFontSize(14);
+		doc.setFont("helvetica", "bold");
+		doc.text(label, x, partyY);
+		partyY += 8;
+		doc.setFontSize(10);
+		doc.setFont("helvetica", "normal");
+		formatParty(party).forEach((line) => {
+			doc.text(line, x, partyY);
+			partyY += 5;
+		});
+		yPos = Math.max(yPos, partyY);
+	});
+	yPos += 10;
+
+	// Line items table header
+	doc.setFontSize(12);
+	doc.setFont("helvetica", "bold");
+	doc.text("Description", margin, yPos);
+	doc.text("Qty", pageWidth - margin - 70, yPos, { align: "right" });
+	doc.text("Price", pageWidth - margin - 35, yPos, { align: "right" });
+	doc.text("Amount", pageWidth - margin, yPos, { align: "right" });
+	yPos += 8;
+
+	doc.setLineWidth(0.5);
+	doc.line(margin, yPos, pageWidth - margin, yPos);
+	yPos += 8;
+
+	// Line items
+	doc.setFontSize(10);
+	doc.setFont("helvetica", "normal");
+	totals.items.forEach((item) => {
+		if (yPos > pageHeight - 40) {
+			doc.addPage();
+			yPos = margin;
+		}
+		const quantity = Number(item.quantity) || 0;
+		const price = Number(item.price) || 0;
+		// One line per item, long descriptions are cut to the column width
+		const [description = ""] = doc.splitTextToSize(
+			item.description || "",
+			pageWidth - margin * 2 - 90
+		);
+		doc.text(description, margin, yPos);
+		doc.text(String(quantity), pageWidth - margin - 70, yPos, {
+			align: "right",
+		});
+		doc.text(formatCurrency(price, currency), pageWidth - margin - 35, yPos, {
+			align: "right",
+		});
+		doc.text(
+			formatCurrency(item.total ?? quantity * price, currency),
+			pageWidth - margin,
+			yPos,
+			{ align: "right" }
+		);
+		yPos += 5;
+
+		// Line discount and tax under the description
+		const details = [
+			item.discount > 0 && `${item.discount}% off`,
+			item.appliedTaxRate > 0 && `${item.appliedTaxRate}% tax`,
+		].filter(Boolean);
+		if (details.length > 0) {
+			doc.setFontSize(8);
+			doc.text(details.join(", "), margin, yPos);
+			doc.setFontSize(10);
+			yPos += 4;
+		}
+		yPos += 3;
+	});
+
+	doc.line(margin, yPos, pageWidth - margin, yPos);
+	yPos += 10;
+
+	// Subtotal, discount and tax per rate
+	const breakdown = [
+		["Subtotal:", totals.subtotal],
+		totals.discountTotal > 0 && ["Discount:", -totals.discountTotal],
+		...totals.taxes.map((tax) => [`Tax (${tax.rate}%):`, tax.amount]),
+	].filter(Boolean);
+	doc.setFontSize(10);
+	doc.setFont("helvetica", "normal");
+	breakdown.forEach(([label, amount]) => {
+		doc.text(label, pageWidth - margin - 70, yPos);
+		doc.text(formatCurrency(amount, currency), pageWidth - margin, yPos, {
+			align: "right",
+		});
+		yPos += 6;
+	});
+	yPos += 2;
+
+	// Total
+	doc.setFontSize(12);
+	doc.setFont("helvetica", "bold");
+	doc.text("Total:", pageWidth - margin - 70, yPos);
+	doc.text(formatCurrency(totals.total, currency), pageWidth - margin, yPos, {
+		align: "right",
+	});
+	yPos += 15;
+
+	// Status
+	doc.setFontSize(10);
+	doc.setFont("helvetica", "normal");
+	doc.text(`Status: ${getInvoiceStatus(invoice)}`, margin, yPos);
+	yPos += 8;
+
+	// Notes
+	if (invoice.notes) {
+		doc.splitTextToSize(invoice.notes, pageWidth - margin * 2).forEach(
+			(line) => {
+				doc.text(line, margin, yPos);
+				yPos += 5;
+			}
+		);
+	}
+
+	// Footer
+	doc.setFontSize(8);
+	doc.setFont("helvetica", "italic");
+	doc.text("Thank you for your business!", pageWidth / 2, pageHeight - 20, {
+		align: "center",
+	});
+
+	return doc;
+};
+
+/**
+ * Download an invoice as a PDF file
+ * @param {Object} invoice - Invoice document
+ */
+export const downloadInvoicePDF = (invoice) => {
+	createInvoicePDF(invoice).save(
+		`invoice-${invoice.invoiceNumber || `draft-${invoice.id}`}.pdf`
+	);
+};
@@ -0,0 +1,190 @@
+/**
+ * Invoice money math: line and invoice-level discounts, tax and
+ * currency formatting. Amounts are in major units (e.g. dollars), rounded
+ * to the currency's minor units.
+ *
+ * Per line: quantity x price, minus the line discount (percent). The
+ * invoice discount (percent or fixed) then comes off what is left, spread
+ * over the lines by their share. Tax is charged on each discounted line at
+ * the line's tax rate, or the invoice tax rate when the line has none.
+ */
+
+// Currencies offered on invoices, each formatted in the locale that uses it
+export const INVOICE_CURRENCIES = [
+	{ value: "usd", label: "USD - US Dollar", locale: "en-US" },
+	{ value: "eur", label: "EUR - Euro", locale: "de-DE" },
+	{ value: "gbp", label: "GBP - British Pound", locale: "en-GB" },
+	{ value: "inr", label: "INR - Indian Rupee", locale: "en-IN" },
+	{ value: "cad", label: "CAD - Canadian Dollar", locale: "en-CA" },
+	{ value: "aud", label: "AUD - Australian Dollar", locale: "en-AU" },
+	{ value: "jpy", label: "JPY - Japanese Yen", locale: "ja-JP" },
+	{ value: "chf", label: "CHF - Swiss Franc", locale: "de-CH" },
+	{ value: "sgd", label: "SGD - Singapore Dollar", locale: "en-SG" },
+	{ value: "brl", label: "BRL - Brazilian Real", locale: "pt-BR" },
+];
+
+/**
+ * Locale an amount in this currency is formatted in
+ * @param {string} currency - ISO currency code
+ * @returns {string} BCP 47 locale
+ */
+export const getCurrencyLocale = (currency = "usd") =>
+	INVOICE_CURRENCIES.find((c) => c.value === currency.toLowerCase())
+		?.locale || "en-US";
+
+/**
+ * Number of minor-unit digits of a currency (2 for USD, 0 for JPY)
+ * @param {string} currency - ISO currency code
+ * @returns {number} Fraction digits
+ */
+export const getCurrencyDigits = (currency = "usd") => {
+	try {
+		return new Intl.NumberFormat("en-US", {
+			style: "currency",
+			currency: currency.toUpperCase(),
+		}).resolvedOptions().maximumFractionDigits;
+	} catch (error) {
+		return 2;
+	}
+};
+
+/**
+ * Format an invoice amount, e.g. $1,234.56 or 1.234,56 €
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO currency code (default: usd)
+ * @param {Object} options - Extra Intl.NumberFormat options
+ * @returns {string} Formatted amount
+ */
+export const formatInvoiceAmount = (amount, currency = "usd", options = {}) =>
+	new Intl.NumberFormat(getCurrencyLocale(currency), {
+		style: "currency",
+		currency: currency.toUpperCase(),
+		...options,
+	}).format(amount || 0);
+
+const roundTo = (value, digits) => {
+	const factor = 10 ** digits;
+	return Math.round((value + Number.EPSILON) * factor) / factor;
+};
+
+const toNumber = (value) => {
+	const number = parseFloat(value);
+	return isNaN(number) ? 0 : number;
+};
+
+const toRate = (value) =>
+	value === "" || value === null || value === undefined
+		? null
+		: Math.min(Math.max(toNumber(value), 0), 100);
+
+/**
+ * Calculate line amounts and totals of an invoice
+ * @param {Object} invoice
+ * @param {Array} invoice.items - [{ description, quantity, price, discount, taxRate }]
+ * @param {Object} invoice.discount - Invoice discount { type: "percent" | "fixed", value }
+ * @param {number} invoice.taxRate - Default tax rate (percent) for lines without one
+ * @param {string} invoice.currency - ISO currency code (default: usd)
+ * @returns {Object} { items, subtotal, discountTotal, taxTotal, taxes, total }
+ */
+export const calculateInvoiceTotals = ({
+	items = [],
+	discount = null,
+	taxRate = null,
+	currency = "usd",
+}) => {
+	const digits = getCurrencyDigits(currency);
+	const round = (value) => roundTo(value, digits);
+	const defaultTaxRate = toRate(taxRate);
+
+	const lines = items.map((item) => {
+		const amount = round(toNumber(item.quantity) * toNumber(item.price));
+		const lineDiscount = round((amount * (toRate(item.discount) || 0)) / 100);
+		return { item, amount, lineDiscount, net: amount - lineDiscount };
+	});
+
+	const subtotal = round(lines.reduce((sum, line) => sum + line.amount, 0));
+	const netTotal = round(lines.reduce((sum, line) => sum + line.net, 0));
+
+	// Invoice discount, capped at what is left after line discounts
+	const discountValue = Math.max(toNumber(discount?.value), 0);
+	const invoiceDiscount = Math.min(
+		round(
+			discount?.type === "fixed"
+				? discountValue
+				: (netTotal * Math.min(discountValue, 100)) / 100
+		),
+		netTotal
+	);
+
+	// Spread it over the lines by their share; the last line takes the
+	// rounding remainder so the parts add up exactly
+	let remainingDiscount = invoiceDiscount;
+	const lastIndex = lines.map((line) => line.net > 0).lastIndexOf(true);
+	const calculatedItems = lines.map((line, index) => {
+		let share = 0;
+		if (netTotal > 0 && line.net > 0) {
+			share =
+				index === lastIndex
+					? remainingDiscount
+					: round((invoiceDiscount * line.net) / netTotal);
+			remainingDiscount = round(remainingDiscount - share);
+		}
+
+		const rate = toRate(line.item.taxRate) ?? defaultTaxRate ?? 0;
+		const taxable = round(line.net - share);
+		return {
+			...line.item,
+			quantity: toNumber(line.item.quantity),
+			price: toNumber(line.item.price),
+			discount: toRate(line.item.discount) || 0,
+			taxRate: toRate(line.item.taxRate),
+			total: round(line.net),
+			appliedTaxRate: rate,
+			tax: round((taxable * rate) / 100),
+		};
+	});
+
+	// Tax per rate, for the totals breakdown
+	const taxesByRate = {};
+	calculatedItems.forEach((item) => {
+		if (item.tax === 0) return;
+		taxesByRate[item.appliedTaxRate] = round(
+			(taxesByRate[item.appliedTaxRate] || 0) + item.tax
+		);
+	});
+	const taxes = Object.entries(taxesByRate)
+		.map(([rate, amount]) => ({ rate: Number(rate), amount }))
+		.sort((a, b) => a.rate - b.rate);
+
+	const discountTotal = round(subtotal - netTotal + invoiceDiscount);
+	const taxTotal = round(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+
+	return {
+		items: calculatedItems,
+		subtotal,
+		discountTotal,
+		taxTotal,
+		taxes,
+		total: round(subtotal - discountTotal + taxTotal),
+	};
+};
+
+/**
+ * Totals of a saved invoice. Invoices saved before discounts and tax only
+ * store items and total, so their breakdown is calculated from the items.
+ * @param {Object} invoice - Invoice document
+ * @returns {Object} { items, subtotal, discountTotal, taxTotal, taxes, total }
+ */
+export const getInvoiceTotals = (invoice) => {
+	if (invoice.subtotal === undefined) {
+		return { ...calculateInvoiceTotals(invoice), total: invoice.total || 0 };
+	}
+	return {
+		items: invoice.items || [],
+		subtotal: invoice.subtotal || 0,
+		discountTotal: invoice.discountTotal || 0,
+		taxTotal: invoice.taxTotal || 0,
+		taxes: invoice.taxes || [],
+		total: invoice.total || 0,
+	};
+};
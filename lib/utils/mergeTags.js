@@ -0,0 +1,168 @@
+import { isCustomerEntitled } from "../api/customers";
+
+/**
+ * Merge tags for email campaigns: `{{name}}` in a subject or body is
+ * replaced with the recipient's value when the email is sent, and
+ * `{{name|there}}` falls back to "there" when the recipient has none.
+ * Values come from the recipient's subscriber, user and customer records.
+ */
+
+export const MERGE_TAGS = [
+	{
+		key: "name",
+		label: "Name",
+		description: "Subscriber, user or customer name",
+		sample: "Jane Doe",
+	},
+	{
+		key: "email",
+		label: "Email",
+		description: "Recipient email address",
+		sample: "jane@example.com",
+	},
+	{
+		key: "plan",
+		label: "Plan",
+		description: "Current plan, when the recipient is a paying customer",
+		sample: "Pro",
+	},
+	{
+		key: "unsubscribe_url",
+		label: "Unsubscribe URL",
+		description: "Personal newsletter unsubscribe link",
+		sample: "https://example.com/unsubscribe/preview",
+	},
+];
+
+// {{ key }} or {{ key | fallback }}. The editor saves markdown, which
+// escapes characters like "_" with a backslash, so keys may contain them.
+const MERGE_TAG_PATTERN = /\{\{\s*([\w\\]+)\s*(?:\|([^{}]*?))?\s*\}\}/g;
+
+const unescapeMarkdown = (value) =>
+	value.replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, "$1");
+
+const escapeHtml = (value) =>
+	String(value)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+
+/**
+ * Merge tags used in a text
+ * @param {string} text - Subject or content
+ * @returns {Array} [{ tag, key, fallback }], in order of appearance
+ */
+export const parseMergeTags = (text = "") =>
+	Array.from(String(text).matchAll(MERGE_TAG_PATTERN), (match) => ({
+		tag: match[0],
+		key: unescapeMarkdown(match[1]).toLowerCase(),
+		fallback:
+			match[2] !== undefined ? unescapeMarkdown(match[2]).trim() : null,
+	}));
+
+/**
+ * Tags that aren't merge tags, e.g. a misspelled {{nmae}}
+ * @param {...string} texts - Subject and content
+ * @returns {Array} Unknown tag keys, without duplicates
+ */
+export const getUnknownMergeTags = (...texts) => {
+	const unknown = texts
+		.flatMap((text) => parseMergeTags(text))
+		.map((tag) => tag.key)
+		.filter((key) => !MERGE_TAGS.some((mergeTag) => mergeTag.key === key));
+	return [...new Set(unknown)];
+};
+
+/**
+ * Error message for unknown merge tags, or null when all are known
+ * @param {...string} texts - Subject and content
+ * @returns {string|null} Error message
+ */
+export const validateMergeTags = (...texts) => {
+	const unknown = getUnknownMergeTags(...texts);
+	if (unknown.length === 0) return null;
+	return `Unknown merge tag${unknown.length > 1 ? "s" : ""}: ${unknown
+		.map((key) => `{{${key}}}`)
+		.join(", ")}`;
+};
+
+/**
+ * Whether a text uses a merge tag
+ * @param {string} text - Subject or content
+ * @param {string} key - Merge tag key
+ * @returns {boolean}
+ */
+export const hasMergeTag = (text, key) =>
+	parseMergeTags(text).some((tag) => tag.key === key);
+
+/**
+ * Replace merge tags with a recipient's values. Empty values use the tag's
+ * fallback, or nothing. Unknown tags are left as they are.
+ * @param {string} text - Subject or content
+ * @param {Object} values - Values by tag key (see getMergeTagValues)
+ * @param {Object} options
+ * @param {boolean} options.html - Escape values for HTML (default: true)
+ * @returns {string} Text for this recipient
+ */
+export const renderMergeTags = (text = "", values = {}, { html = true } = {}) =>
+	String(text).replace(MERGE_TAG_PATTERN, (tag, rawKey, rawFallback) => {
+		const key = unescapeMarkdown(rawKey).toLowerCase();
+		if (!MERGE_TAGS.some((mergeTag) => mergeTag.key === key)) return tag;
+
+		const fallback =
+			rawFallback !== undefined ? unescapeMarkdown(rawFallback).trim() : "";
+		const value = values[key] || fallback;
+		return html ? escapeHtml(value) : value;
+	});
+
+/**
+ * Resolver of merge tag values, looking recipients up by email in the
+ * subscriber, user and customer records
+ * @param {Object} records
+ * @param {Array} records.subscribers - Subscriber documents
+ * @param {Array} records.users - User documents
+ * @param {Array} records.customers - Customer documents
+ * @returns {Function} (recipient: { email, name? }, unsubscribeUrl?) => values by tag key
+ */
+export const createMergeTagResolver = ({
+	subscribers = [],
+	users = [],
+	customers = [],
+} = {}) => {
+	const indexByEmail = (records) =>
+		new Map(
+			records
+				.filter((record) => record.email)
+				.map((record) => [record.email.toLowerCase(), record])
+		);
+	const subscribersByEmail = indexByEmail(subscribers);
+	const usersByEmail = indexByEmail(users);
+	// A customer with several records keeps the one with access
+	const customersByEmail = indexByEmail(
+		[...customers].sort(
+			(a, b) => Number(isCustomerEntitled(a)) - Number(isCustomerEntitled(b))
+		)
+	);
+
+	return (recipient, unsubscribeUrl = "") => {
+		const email = (recipient.email || "").toLowerCase();
+		const subscriber = subscribersByEmail.get(email);
+		const user = usersByEmail.get(email);
+		const customer = customersByEmail.get(email);
+
+		return {
+			name:
+				recipient.name ||
+				subscriber?.name ||
+				user?.name ||
+				user?.displayName ||
+				customer?.name ||
+				"",
+			email: recipient.email || "",
+			plan: isCustomerEntitled(customer) ? customer.planName || "" : "",
+			unsubscribe_url: unsubscribeUrl,
+		};
+	};
+};
@@ -5,6 +5,7 @@
 export const COLLECTIONS = {
 	CUSTOMERS: "customers",
 	PAYMENTS: "payments",
+	WEBHOOK_EVENTS: "webhookEvents",
 };
 
 export const DEFAULTS = {
@@ -24,8 +25,36 @@ export const STATUS_MAPPING = {
 		canceled: "succeeded", // Past payments were successful
 		cancelled: "succeeded",
 	},
+	// Order status to payment status
+	ORDER_TO_PAYMENT: {
+		paid: "succeeded",
+		pending: "pending",
+		refunded: "refunded",
+		partially_refunded: "partially_refunded",
+	},
+};
+
+// Customer status once a subscription has ended and access is removed
+export const REVOKED_STATUS = "revoked";
+
+// Subscription statuses that start dunning (payment failed, Polar retrying)
+export const PAST_DUE_STATUSES = ["past_due", "unpaid"];
+
+export const DUNNING = {
+	GRACE_PERIOD_DAYS: 7, // Past-due customers keep access this long
+	REMINDER_DAYS: [0, 3, 6], // Reminder emails, in days after the payment failed
+};
+
+export const WEBHOOK_EVENT_STATUS = {
+	PROCESSING: "processing",
+	PROCESSED: "processed",
+	IGNORED: "ignored", // Event type we don't handle
+	FAILED: "failed",
 };
 
+// How long a delivery may stay "processing" before a retry is allowed to take over
+export const WEBHOOK_PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
 export const VALIDATION = {
 	REQUIRED_PAYMENT_FIELDS: ["id", "customer_id"],
 	INVALID_EMAIL_PATTERN: /@polar\.sh$/,
@@ -0,0 +1,77 @@
+import { DUNNING, PAST_DUE_STATUSES } from "./constants";
+import { normalizeDate } from "./dateUtils";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dunning fields reset once a customer is no longer past due
+const CLEARED_DUNNING_STATE = {
+	pastDueAt: null,
+	graceEndsAt: null,
+	dunningRemindersSent: 0,
+	lastDunningReminderAt: null,
+	downgradedAt: null,
+};
+
+/**
+ * Customer fields for a subscription status change. Going past due starts
+ * a grace period (kept as-is on later past-due events); any other status
+ * ends dunning.
+ *
+ * @param {Object} existingCustomer - Current customer document ({} if new)
+ * @param {string} status - New subscription status
+ * @param {Date} now - Current time (default: new Date())
+ * @returns {Object} Fields to merge into the customer document
+ */
+export function getDunningUpdate(existingCustomer, status, now = new Date()) {
+	if (PAST_DUE_STATUSES.includes(status)) {
+		if (existingCustomer.pastDueAt) return {};
+
+		return {
+			...CLEARED_DUNNING_STATE,
+			pastDueAt: now,
+			graceEndsAt: new Date(
+				now.getTime() + DUNNING.GRACE_PERIOD_DAYS * DAY_MS
+			),
+		};
+	}
+
+	return existingCustomer.pastDueAt ? CLEARED_DUNNING_STATE : {};
+}
+
+/**
+ * Customer fields for a subscription's trial. A new or moved trial end
+ * resets the trial-ending reminder.
+ *
+ * @param {Object} existingCustomer - Current customer document ({} if new)
+ * @param {Object} subscription - Polar subscription object
+ * @returns {Object} Fields to merge into the customer document
+ */
+export function getTrialUpdate(existingCustomer, subscription) {
+	const trialEndsAt = normalizeDate(subscription.trial_end);
+	if (!trialEndsAt) return {};
+
+	const previousTrialEnd = normalizeDate(existingCustomer.trialEndsAt);
+	if (previousTrialEnd?.getTime() === trialEndsAt.getTime()) {
+		return { trialEndsAt };
+	}
+	return { trialEndsAt, trialReminderSentAt: null };
+}
+
+/**
+ * Index of the dunning reminder that is due now, or null when none is due
+ * (or all have been sent)
+ *
+ * @param {Object} customer - Customer document in dunning
+ * @param {Date} now - Current time (default: new Date())
+ * @returns {number|null} Reminder index into DUNNING.REMINDER_DAYS
+ */
+export function getDueDunningReminder(customer, now = new Date()) {
+	const pastDueAt = normalizeDate(customer.pastDueAt);
+	if (!pastDueAt) return null;
+
+	const sent = customer.dunningRemindersSent || 0;
+	if (sent >= DUNNING.REMINDER_DAYS.length) return null;
+
+	const dueAt = pastDueAt.getTime() + DUNNING.REMINDER_DAYS[sent] * DAY_MS;
+	return now.getTime() >= dueAt ? sent : null;
+}
@@ -10,7 +10,12 @@ export {
 	COLLECTIONS,
 	DEFAULTS,
 	STATUS_MAPPING,
+	REVOKED_STATUS,
+	PAST_DUE_STATUSES,
+	DUNNING,
 	VALIDATION,
+	WEBHOOK_EVENT_STATUS,
+	WEBHOOK_PROCESSING_LEASE_MS,
 } from "./constants";
 
 // Date utilities
@@ -28,8 +33,38 @@ export { enrichPlanData } from "./planUtils";
 // Payment utilities
 export {
 	getPaymentStatusFromSubscription,
+	getPaymentStatusFromOrder,
+	getRefundedPaymentStatus,
+	getSubscriptionPaymentId,
+	findPaymentByOrderId,
 	verifyPaymentStatus,
 	validatePaymentData,
 	storePaymentRecord,
 } from "./paymentUtils";
 
+// Dunning and trials
+export {
+	getDunningUpdate,
+	getTrialUpdate,
+	getDueDunningReminder,
+} from "./dunningUtils";
+
+// Webhook event handling
+export { processPolarEvent } from "./webhookHandlers";
+export {
+	getWebhookEventId,
+	claimWebhookEvent,
+	getStoredWebhookEvent,
+	processWebhookEvent,
+} from "./webhookEventUtils";
+
+// Webhook signatures (Standard Webhooks)
+export {
+	WEBHOOK_TOLERANCE_SECONDS,
+	getWebhookSecretKey,
+	getPolarWebhookSecrets,
+	computeWebhookSignature,
+	signWebhookPayload,
+	verifyWebhookSignature,
+	readRawBody,
+} from "./webhookSignature";
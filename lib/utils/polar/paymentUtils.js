@@ -1,4 +1,14 @@
-import { doc, setDoc, serverTimestamp } from "firebase/firestore";
+import {
+	doc,
+	setDoc,
+	getDoc,
+	collection,
+	query,
+	where,
+	limit,
+	getDocs,
+	serverTimestamp,
+} from "firebase/firestore";
 import { db } from "../../../lib/config/firebase";
 import { COLLECTIONS, DEFAULTS, STATUS_MAPPING, VALIDATION } from "./constants";
 import { getFirestoreDate, normalizeDate } from "./dateUtils";
@@ -17,6 +27,81 @@ export function getPaymentStatusFromSubscription(subscriptionStatus) {
 	);
 }
 
+/**
+ * Determine payment status from order status
+ *
+ * @param {string} orderStatus - Polar order status
+ * @returns {string} Payment status
+ */
+export function getPaymentStatusFromOrder(orderStatus) {
+	return STATUS_MAPPING.ORDER_TO_PAYMENT[orderStatus] || DEFAULTS.STATUS;
+}
+
+/**
+ * Payment status after refunds: fully refunded once the refunded total
+ * reaches the paid amount (or when the paid amount isn't known yet)
+ *
+ * @param {number} amount - Paid amount in cents
+ * @param {number} refundedAmount - Refunded amount in cents
+ * @returns {string} "refunded" or "partially_refunded"
+ */
+export function getRefundedPaymentStatus(amount, refundedAmount) {
+	return !amount || refundedAmount >= amount
+		? "refunded"
+		: "partially_refunded";
+}
+
+/**
+ * ID of the payment record for a subscription billing period. Subscription
+ * events and the order Polar creates for the same period resolve to the
+ * same record, so a renewal is only counted once.
+ *
+ * @param {Object} subscription - Polar subscription object
+ * @returns {string} Payment document ID
+ */
+export function getSubscriptionPaymentId(subscription) {
+	const periodStart =
+		subscription.current_period_start || subscription.created_at;
+	return (
+		subscription.latest_invoice?.payment_intent?.id ||
+		subscription.latest_invoice?.id ||
+		`sub_${subscription.id}_${periodStart || Date.now()}`
+	);
+}
+
+/**
+ * Find the payment record for a Polar order: stored under the order ID,
+ * or under the subscription period ID with an orderId field
+ *
+ * @param {string} orderId - Polar order ID
+ * @returns {Promise<Object|null>} Payment data with id, or null
+ */
+export async function findPaymentByOrderId(orderId) {
+	if (!orderId) return null;
+
+	try {
+		const paymentDoc = await getDoc(doc(db, COLLECTIONS.PAYMENTS, orderId));
+		if (paymentDoc.exists()) {
+			return { id: paymentDoc.id, ...paymentDoc.data() };
+		}
+
+		const q = query(
+			collection(db, COLLECTIONS.PAYMENTS),
+			where("orderId", "==", orderId),
+			limit(1)
+		);
+		const querySnapshot = await getDocs(q);
+		if (!querySnapshot.empty) {
+			const match = querySnapshot.docs[0];
+			return { id: match.id, ...match.data() };
+		}
+		return null;
+	} catch (error) {
+		console.error(`Error finding payment for order ${orderId}:`, error);
+		return null;
+	}
+}
+
 /**
  * Verify payment status against subscription status for consistency
  *
@@ -134,6 +219,18 @@ export async function storePaymentRecord(paymentData) {
 		if (paymentData.eventType) {
 			paymentDoc.eventType = paymentData.eventType;
 		}
+		if (paymentData.orderId) {
+			paymentDoc.orderId = paymentData.orderId;
+		}
+		if (paymentData.billingReason) {
+			paymentDoc.billingReason = paymentData.billingReason;
+		}
+		if (paymentData.refundedAmount !== undefined) {
+			paymentDoc.refundedAmount = paymentData.refundedAmount;
+		}
+		if (paymentData.refundedAt) {
+			paymentDoc.refundedAt = getFirestoreDate(paymentData.refundedAt);
+		}
 
 		await setDoc(paymentRef, paymentDoc, { merge: true });
 		return true;
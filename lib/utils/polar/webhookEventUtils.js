@@ -0,0 +1,169 @@
+import crypto from "crypto";
+import { doc, getDoc, updateDoc, runTransaction } from "firebase/firestore";
+import { db } from "../../../lib/config/firebase";
+import {
+	COLLECTIONS,
+	WEBHOOK_EVENT_STATUS,
+	WEBHOOK_PROCESSING_LEASE_MS,
+} from "./constants";
+import { normalizeDate } from "./dateUtils";
+import { processPolarEvent } from "./webhookHandlers";
+
+/**
+ * Identify a webhook delivery. Polar sends a unique `webhook-id` header
+ * that stays the same across retries of one event; payloads without it
+ * fall back to a hash of the body.
+ *
+ * @param {Object} headers - Request headers
+ * @param {string} rawBody - Request body as received
+ * @returns {string} Event ID, safe to use as a Firestore document ID
+ */
+export function getWebhookEventId(headers, rawBody) {
+	const headerId = headers["webhook-id"];
+	if (headerId) {
+		return String(headerId).replace(/\//g, "_");
+	}
+
+	return `sha256_${crypto.createHash("sha256").update(rawBody).digest("hex")}`;
+}
+
+/**
+ * Claim a webhook event for processing, storing it on first delivery.
+ * Events that were already processed, or are being processed by another
+ * delivery, are not claimed unless this is a manual replay.
+ *
+ * @param {Object} options
+ * @param {string} options.eventId - Event ID (see getWebhookEventId)
+ * @param {Object} options.event - Parsed payload (ignored for replays)
+ * @param {string} options.rawBody - Raw payload (ignored for replays)
+ * @param {boolean} options.replay - Whether this is a manual replay
+ * @param {string} options.replayedBy - Email of the admin replaying the event
+ * @returns {Promise<{ claimed: boolean, status: string|null }>} status is the stored status when not claimed
+ */
+export async function claimWebhookEvent({
+	eventId,
+	event = null,
+	rawBody = "",
+	replay = false,
+	replayedBy = null,
+}) {
+	const eventRef = doc(db, COLLECTIONS.WEBHOOK_EVENTS, eventId);
+
+	return runTransaction(db, async (transaction) => {
+		const eventDoc = await transaction.get(eventRef);
+		const now = new Date();
+
+		if (!eventDoc.exists()) {
+			// Replays only work on stored events
+			if (replay) return { claimed: false, status: null };
+
+			transaction.set(eventRef, {
+				eventId,
+				type: event?.type || "unknown",
+				payload: rawBody,
+				status: WEBHOOK_EVENT_STATUS.PROCESSING,
+				attempts: 1,
+				deliveries: 1,
+				replays: 0,
+				error: null,
+				receivedAt: now,
+				lastDeliveredAt: now,
+				claimedAt: now,
+				processedAt: null,
+			});
+			return { claimed: true, status: null };
+		}
+
+		const stored = eventDoc.data();
+		const claimedAt = normalizeDate(stored.claimedAt);
+		const isLeaseActive =
+			stored.status === WEBHOOK_EVENT_STATUS.PROCESSING &&
+			claimedAt &&
+			now - claimedAt < WEBHOOK_PROCESSING_LEASE_MS;
+		const isDone =
+			stored.status === WEBHOOK_EVENT_STATUS.PROCESSED ||
+			stored.status === WEBHOOK_EVENT_STATUS.IGNORED;
+
+		const deliveryUpdate = replay
+			? {
+					replays: (stored.replays || 0) + 1,
+					lastReplayedAt: now,
+					lastReplayedBy: replayedBy,
+			  }
+			: {
+					deliveries: (stored.deliveries || 0) + 1,
+					lastDeliveredAt: now,
+			  };
+
+		if (isLeaseActive || (isDone && !replay)) {
+			// Still count the redelivery so the admin view shows retries
+			if (!replay) transaction.update(eventRef, deliveryUpdate);
+			return { claimed: false, status: stored.status };
+		}
+
+		transaction.update(eventRef, {
+			...deliveryUpdate,
+			status: WEBHOOK_EVENT_STATUS.PROCESSING,
+			attempts: (stored.attempts || 0) + 1,
+			claimedAt: now,
+		});
+		return { claimed: true, status: stored.status };
+	});
+}
+
+/**
+ * Get a stored webhook event with its payload parsed
+ *
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object|null>} Stored event with `event` (parsed payload), or null
+ */
+export async function getStoredWebhookEvent(eventId) {
+	const eventDoc = await getDoc(doc(db, COLLECTIONS.WEBHOOK_EVENTS, eventId));
+	if (!eventDoc.exists()) return null;
+
+	const stored = { id: eventDoc.id, ...eventDoc.data() };
+	try {
+		stored.event = JSON.parse(stored.payload);
+	} catch (error) {
+		stored.event = null;
+	}
+	return stored;
+}
+
+/**
+ * Process a claimed webhook event and record the outcome on its stored copy.
+ * Errors are recorded and re-thrown so the caller can report the failure.
+ *
+ * @param {string} eventId - Event ID
+ * @param {Object} event - Parsed payload
+ * @returns {Promise<{ handled: boolean }>} Result of processPolarEvent
+ */
+export async function processWebhookEvent(eventId, event) {
+	const eventRef = doc(db, COLLECTIONS.WEBHOOK_EVENTS, eventId);
+	const startedAt = Date.now();
+
+	try {
+		const result = await processPolarEvent(event);
+		await updateDoc(eventRef, {
+			status: result.handled
+				? WEBHOOK_EVENT_STATUS.PROCESSED
+				: WEBHOOK_EVENT_STATUS.IGNORED,
+			error: null,
+			processedAt: new Date(),
+			durationMs: Date.now() - startedAt,
+		});
+		return result;
+	} catch (error) {
+		try {
+			await updateDoc(eventRef, {
+				status: WEBHOOK_EVENT_STATUS.FAILED,
+				error: error.message || String(error),
+				failedAt: new Date(),
+				durationMs: Date.now() - startedAt,
+			});
+		} catch (updateError) {
+			console.error("Failed to record webhook event failure:", updateError);
+		}
+		throw error;
+	}
+}
@@ -0,0 +1,790 @@
+import { doc, setDoc, getDoc, serverTimestamp } from "firebase/firestore";
+import { db } from "../../../lib/config/firebase";
+import {
+	sendSubscriptionConfirmationEmail,
+	sendSubscriptionCancellationEmail,
+	sendSubscriptionUpgradeEmail,
+} from "../../api/subscriptionEmails";
+import { recordCouponRedemption } from "../../api/coupons";
+import { enrollInSequences } from "../../api/sequences";
+import {
+	getInvoiceById,
+	getInvoiceStatus,
+	markInvoiceAsPaid,
+} from "../../api/invoice";
+import { getCurrencyDigits } from "../invoiceTotals";
+import { COLLECTIONS, DEFAULTS, REVOKED_STATUS } from "./constants";
+import { normalizeDate, getFirestoreDate } from "./dateUtils";
+import { getCustomerFromFirestore, enrichCustomerData } from "./customerUtils";
+import { enrichPlanData } from "./planUtils";
+import {
+	getPaymentStatusFromSubscription,
+	getPaymentStatusFromOrder,
+	getRefundedPaymentStatus,
+	getSubscriptionPaymentId,
+	findPaymentByOrderId,
+	verifyPaymentStatus,
+	storePaymentRecord,
+} from "./paymentUtils";
+import { getDunningUpdate, getTrialUpdate } from "./dunningUtils";
+
+// Orders that pay for a whole subscription period, recorded on the same
+// payment document as the subscription events for that period
+const SUBSCRIPTION_PERIOD_BILLING_REASONS = [
+	"subscription_create",
+	"subscription_cycle",
+];
+
+// ============================================================================
+// EVENT DISPATCH
+// ============================================================================
+
+/**
+ * Apply a Polar webhook event to Firestore and send the matching emails.
+ * Used by the webhook route for new deliveries and by the replay route.
+ *
+ * @param {Object} event - Parsed webhook payload ({ type, data })
+ * @returns {Promise<{ handled: boolean }>} handled is false for unknown event types
+ */
+export async function processPolarEvent(event) {
+	switch (event.type) {
+		case "checkout.created":
+		case "subscription.created":
+		case "subscription.updated":
+		case "subscription.active":
+		case "subscription.past_due":
+			await handleSubscriptionEvent(event);
+			break;
+
+		case "subscription.canceled":
+			await handleSubscriptionCanceledEvent(event);
+			break;
+
+		case "subscription.uncanceled":
+			await handleSubscriptionUncanceledEvent(event);
+			break;
+
+		case "subscription.revoked":
+			await handleSubscriptionRevokedEvent(event);
+			break;
+
+		case "order.created":
+		case "order.paid":
+		case "order.updated":
+		case "order.refunded":
+			await handleOrderEvent(event);
+			break;
+
+		case "refund.created":
+		case "refund.updated":
+			await handleRefundEvent(event);
+			break;
+
+		case "payment.created":
+		case "payment.succeeded":
+		case "payment.failed":
+			await handlePaymentEvent(event);
+			break;
+
+		case "customer.created":
+		case "customer.updated":
+			await handleCustomerEvent(event);
+			break;
+
+		case "benefit_grant.created":
+		case "benefit_grant.updated":
+		case "benefit_grant.cycled":
+		case "benefit_grant.revoked":
+			await handleBenefitGrantEvent(event);
+			break;
+
+		default:
+			console.log("Unhandled event type:", event.type);
+			return { handled: false };
+	}
+
+	return { handled: true };
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+async function handleSubscriptionEvent(event) {
+	const subscription = event.data;
+	const customerId = subscription.customer_id;
+
+	if (!customerId) {
+		console.error("No customer ID in subscription event");
+		return;
+	}
+
+	// Enrich customer data
+	const customerData = await enrichCustomerData(
+		customerId,
+		subscription.customer
+	);
+
+	if (!customerData.isValid) {
+		console.warn(
+			`Skipping subscription event for invalid customer: ${customerId}`
+		);
+		return;
+	}
+
+	// Get existing customer data for comparison
+	const existingCustomer = await getCustomerFromFirestore(customerId);
+	const existingCustomerData = existingCustomer || {};
+
+	// Get plan information
+	const planData = await enrichPlanData(
+		customerId,
+		subscription.product,
+		subscription
+	);
+
+	const isUpgrade =
+		existingCustomerData.planId &&
+		existingCustomerData.planId !== planData.planId &&
+		existingCustomerData.planName !== planData.planName;
+
+	const isCancelled =
+		subscription.status === "canceled" || subscription.status === "cancelled";
+
+	// Update customer in Firestore
+	const customerRef = doc(db, COLLECTIONS.CUSTOMERS, customerId);
+	const customerDoc = await getDoc(customerRef);
+
+	const updatedCustomerData = {
+		customerId: customerId,
+		subscriptionId:
+			subscription.id || existingCustomerData.subscriptionId || null,
+		email: customerData.email,
+		name: customerData.name,
+		planId: planData.planId,
+		planName: planData.planName,
+		status: subscription.status || "active",
+		amount: subscription.price?.amount || existingCustomerData.amount || 0,
+		currency:
+			subscription.price?.currency ||
+			existingCustomerData.currency ||
+			DEFAULTS.CURRENCY,
+		expiresAt: subscription.current_period_end
+			? normalizeDate(subscription.current_period_end)
+			: existingCustomerData.expiresAt || null,
+		...getDunningUpdate(existingCustomerData, subscription.status || "active"),
+		...getTrialUpdate(existingCustomerData, subscription),
+		updatedAt: serverTimestamp(),
+	};
+
+	if (!customerDoc.exists()) {
+		updatedCustomerData.createdAt = serverTimestamp();
+	}
+
+	await setDoc(customerRef, updatedCustomerData, { merge: true });
+
+	// Store payment record for subscription events (nothing is charged during a trial)
+	if (
+		subscription.price?.amount &&
+		subscription.price.amount > 0 &&
+		subscription.status !== "trialing"
+	) {
+		const paymentId = getSubscriptionPaymentId(subscription);
+
+		const paymentStatus = await verifyPaymentStatus(
+			getPaymentStatusFromSubscription(subscription.status),
+			customerId,
+			subscription.id
+		);
+
+		await storePaymentRecord({
+			paymentId: paymentId,
+			customerId: customerId,
+			customerEmail: customerData.email,
+			customerName: customerData.name,
+			amount: subscription.price.amount,
+			currency: subscription.price.currency || DEFAULTS.CURRENCY,
+			status: paymentStatus,
+			planId: planData.planId,
+			planName: planData.planName,
+			subscriptionId: subscription.id,
+			createdAt: subscription.current_period_start || subscription.created_at,
+			paymentType: "subscription",
+			eventType: event.type,
+		});
+	}
+
+	// Send appropriate emails based on subscription status
+	if (customerData.isValid) {
+		try {
+			if (isCancelled) {
+				const expiresAtDate = normalizeDate(updatedCustomerData.expiresAt);
+				await sendSubscriptionCancellationEmail({
+					customerEmail: customerData.email,
+					customerName: customerData.name,
+					planName: planData.planName,
+					expiresAt: expiresAtDate,
+				});
+			} else if (isUpgrade && existingCustomerData.planName) {
+				const expiresAtDate = normalizeDate(updatedCustomerData.expiresAt);
+				await sendSubscriptionUpgradeEmail({
+					customerEmail: customerData.email,
+					customerName: customerData.name,
+					oldPlanName: existingCustomerData.planName,
+					newPlanName: planData.planName,
+					amount: subscription.price?.amount || 0,
+					currency: subscription.price?.currency || DEFAULTS.CURRENCY,
+					expiresAt: expiresAtDate,
+				});
+			}
+		} catch (error) {
+			console.error("Failed to send subscription email:", error);
+			// Don't throw - email failure shouldn't break the webhook
+		}
+
+		if (event.type === "subscription.created") {
+			await enrollInSequences("subscription_created", customerData);
+		}
+	}
+}
+
+async function handleSubscriptionCanceledEvent(event) {
+	const subscription = event.data;
+	const customerId = subscription.customer_id;
+
+	if (!customerId) {
+		console.error("No customer ID in subscription canceled event");
+		return;
+	}
+
+	// Enrich customer data
+	const customerData = await enrichCustomerData(
+		customerId,
+		subscription.customer
+	);
+
+	// Get existing customer data
+	const existingCustomer = await getCustomerFromFirestore(customerId);
+	if (!existingCustomer) {
+		console.error("Customer not found in Firestore for cancellation");
+		return;
+	}
+
+	// Get plan information
+	const planData = await enrichPlanData(
+		customerId,
+		subscription.product,
+		subscription
+	);
+
+	const expiresAt = subscription.current_period_end
+		? normalizeDate(subscription.current_period_end)
+		: normalizeDate(existingCustomer.expiresAt);
+
+	// Update customer status to canceled
+	const customerRef = doc(db, COLLECTIONS.CUSTOMERS, customerId);
+	const updatedCustomerData = {
+		customerId: customerId,
+		subscriptionId: subscription.id || existingCustomer.subscriptionId || null,
+		email: customerData.email || existingCustomer.email,
+		name: customerData.name || existingCustomer.name,
+		planId: planData.planId || existingCustomer.planId || null,
+		planName: planData.planName,
+		status: "canceled",
+		amount: subscription.price?.amount || existingCustomer.amount || 0,
+		currency:
+			subscription.price?.currency ||
+			existingCustomer.currency ||
+			DEFAULTS.CURRENCY,
+		expiresAt: expiresAt,
+		canceledAt: serverTimestamp(),
+		...getDunningUpdate(existingCustomer, "canceled"),
+		updatedAt: serverTimestamp(),
+	};
+
+	await setDoc(customerRef, updatedCustomerData, { merge: true });
+
+	// Send cancellation email
+	if (customerData.isValid) {
+		try {
+			const expiresAtDate = normalizeDate(expiresAt);
+			await sendSubscriptionCancellationEmail({
+				customerEmail: customerData.email,
+				customerName: customerData.name,
+				planName: planData.planName,
+				expiresAt: expiresAtDate,
+			});
+			console.log(
+				"Subscription cancellation email sent to:",
+				customerData.email
+			);
+		} catch (error) {
+			console.error("Failed to send subscription cancellation email:", error);
+			// Don't throw - email failure shouldn't break the webhook
+		}
+
+		await enrollInSequences("subscription_canceled", updatedCustomerData);
+	}
+
+	console.log("Subscription canceled for customer:", customerId);
+}
+
+async function handleSubscriptionUncanceledEvent(event) {
+	const subscription = event.data;
+	const customerId = subscription.customer_id;
+
+	if (!customerId) {
+		console.error("No customer ID in subscription uncanceled event");
+		return;
+	}
+
+	const existingCustomer = await getCustomerFromFirestore(customerId);
+	if (!existingCustomer) {
+		// Nothing to restore, record the subscription from scratch
+		await handleSubscriptionEvent(event);
+		return;
+	}
+
+	// Cancellation at period end was undone, the subscription renews again
+	const customerRef = doc(db, COLLECTIONS.CUSTOMERS, customerId);
+	await setDoc(
+		customerRef,
+		{
+			subscriptionId:
+				subscription.id || existingCustomer.subscriptionId || null,
+			status: subscription.status || "active",
+			expiresAt: subscription.current_period_end
+				? normalizeDate(subscription.current_period_end)
+				: existingCustomer.expiresAt || null,
+			canceledAt: null,
+			...getDunningUpdate(existingCustomer, subscription.status || "active"),
+			updatedAt: serverTimestamp(),
+		},
+		{ merge: true }
+	);
+
+	console.log("Subscription uncanceled for customer:", customerId);
+}
+
+async function handleSubscriptionRevokedEvent(event) {
+	const subscription = event.data;
+	const customerId = subscription.customer_id;
+
+	if (!customerId) {
+		console.error("No customer ID in subscription revoked event");
+		return;
+	}
+
+	const existingCustomer = await getCustomerFromFirestore(customerId);
+
+	// A revoke for an older subscription must not remove access granted by
+	// the customer's current one
+	if (
+		existingCustomer?.subscriptionId &&
+		subscription.id &&
+		existingCustomer.subscriptionId !== subscription.id
+	) {
+		console.log(
+			`Ignoring revoke of ${subscription.id}, customer ${customerId} is on ${existingCustomer.subscriptionId}`
+		);
+		return;
+	}
+
+	// Access ends now rather than at the end of the billing period
+	const revokedAt = normalizeDate(subscription.ended_at) || new Date();
+	const customerRef = doc(db, COLLECTIONS.CUSTOMERS, customerId);
+	const updatedCustomerData = {
+		customerId: customerId,
+		subscriptionId: subscription.id || existingCustomer?.subscriptionId || null,
+		status: REVOKED_STATUS,
+		expiresAt: revokedAt,
+		revokedAt: revokedAt,
+		...getDunningUpdate(existingCustomer || {}, REVOKED_STATUS),
+		updatedAt: serverTimestamp(),
+	};
+
+	if (!existingCustomer) {
+		const customerData = await enrichCustomerData(
+			customerId,
+			subscription.customer
+		);
+		updatedCustomerData.email = customerData.email;
+		updatedCustomerData.name = customerData.name;
+		updatedCustomerData.createdAt = serverTimestamp();
+	}
+
+	await setDoc(customerRef, updatedCustomerData, { merge: true });
+
+	console.log("Subscription revoked for customer:", customerId);
+}
+
+async function handlePaymentEvent(event) {
+	const payment = event.data;
+
+	// Validate required fields
+	if (!payment.id || !payment.customer_id) {
+		console.error("Payment event missing required fields:", {
+			id: payment.id,
+			customer_id: payment.customer_id,
+		});
+		return;
+	}
+
+	// Enrich customer data from multiple sources
+	const customerData = await enrichCustomerData(
+		payment.customer_id,
+		payment.customer
+	);
+
+	// Enrich plan data from multiple sources
+	const planData = await enrichPlanData(
+		payment.customer_id,
+		payment.product,
+		payment.subscription || {}
+	);
+
+	// Verify payment status against subscription if available
+	let paymentStatus = payment.status || DEFAULTS.STATUS;
+	if (payment.subscription_id) {
+		paymentStatus = await verifyPaymentStatus(
+			paymentStatus,
+			payment.customer_id,
+			payment.subscription_id
+		);
+	}
+
+	// Store payment record with all enriched data
+	await storePaymentRecord({
+		paymentId: payment.id,
+		customerId: payment.customer_id,
+		customerEmail: customerData.email,
+		customerName: customerData.name,
+		amount: payment.amount || 0,
+		currency: payment.currency || DEFAULTS.CURRENCY,
+		status: paymentStatus,
+		planId: planData.planId,
+		planName: planData.planName,
+		subscriptionId: payment.subscription_id || null,
+		createdAt: payment.created_at,
+		paymentType: "payment",
+		eventType: event.type,
+	});
+
+	// If payment succeeded, update customer subscription status
+	if (payment.status === "succeeded" && payment.customer_id) {
+		const existingCustomer =
+			(await getCustomerFromFirestore(payment.customer_id)) || {};
+		const customerRef = doc(db, COLLECTIONS.CUSTOMERS, payment.customer_id);
+		await setDoc(
+			customerRef,
+			{
+				status: "active",
+				// A successful retry ends dunning
+				...getDunningUpdate(existingCustomer, "active"),
+				updatedAt: serverTimestamp(),
+			},
+			{ merge: true }
+		);
+
+		// Get customer data for email (use enriched data)
+		const customerForEmail = await getCustomerFromFirestore(
+			payment.customer_id
+		);
+		const emailCustomerData = customerForEmail || {};
+
+		// Send payment confirmation email using enriched data
+		const emailToUse = customerData.email || emailCustomerData.email;
+		if (emailToUse && customerData.isValid) {
+			try {
+				const expiresAtDate = normalizeDate(emailCustomerData.expiresAt);
+				await sendSubscriptionConfirmationEmail({
+					customerEmail: emailToUse,
+					customerName:
+						customerData.name ||
+						emailCustomerData.name ||
+						DEFAULTS.CUSTOMER_NAME,
+					planName: planData.planName,
+					amount: payment.amount || 0,
+					currency: payment.currency || DEFAULTS.CURRENCY,
+					paymentId: payment.id,
+					expiresAt: expiresAtDate,
+				});
+			} catch (error) {
+				console.error("Failed to send payment confirmation email:", error);
+				// Don't throw - email failure shouldn't break the webhook
+			}
+		}
+	}
+}
+
+async function handleOrderEvent(event) {
+	const order = event.data;
+
+	// Validate required fields
+	if (!order.id || !order.customer_id) {
+		console.error("Order event missing required fields:", {
+			id: order.id,
+			customer_id: order.customer_id,
+		});
+		return;
+	}
+
+	const customerData = await enrichCustomerData(
+		order.customer_id,
+		order.customer
+	);
+
+	const planData = await enrichPlanData(
+		order.customer_id,
+		order.product,
+		order.subscription || {}
+	);
+
+	// Reuse the record a refund (or an earlier event for this order) wrote,
+	// otherwise share the subscription period's record for renewals
+	const existingPayment = await findPaymentByOrderId(order.id);
+	const paymentId =
+		existingPayment?.id ||
+		(order.subscription &&
+		SUBSCRIPTION_PERIOD_BILLING_REASONS.includes(order.billing_reason)
+			? getSubscriptionPaymentId(order.subscription)
+			: order.id);
+
+	const amount = order.total_amount ?? order.amount ?? 0;
+	const orderStatus = order.status || (order.paid ? "paid" : "pending");
+
+	// Refund events may have been applied before this (possibly older) order
+	// snapshot, never lower the refunded total
+	const refundedAmount = Math.max(
+		order.refunded_amount || 0,
+		existingPayment?.refundedAmount || 0
+	);
+
+	const paymentStatus =
+		refundedAmount > 0
+			? getRefundedPaymentStatus(amount, refundedAmount)
+			: getPaymentStatusFromOrder(orderStatus);
+
+	await storePaymentRecord({
+		paymentId: paymentId,
+		orderId: order.id,
+		customerId: order.customer_id,
+		customerEmail: customerData.email,
+		customerName: customerData.name,
+		amount: amount,
+		currency: order.currency || DEFAULTS.CURRENCY,
+		status: paymentStatus,
+		planId: planData.planId,
+		planName: planData.planName,
+		subscriptionId: order.subscription_id || null,
+		createdAt: order.created_at,
+		paymentType: "order",
+		eventType: event.type,
+		billingReason: order.billing_reason || null,
+		refundedAmount: refundedAmount,
+		refundedAt:
+			refundedAmount > 0
+				? existingPayment?.refundedAt || order.modified_at || new Date()
+				: null,
+	});
+
+	// Coupon redemptions count once the discounted order is paid. Recording
+	// is idempotent, so a failure here can fail the event and be retried.
+	if (order.discount_id && orderStatus !== "pending") {
+		await recordCouponRedemption({
+			polarDiscountId: order.discount_id,
+			customerId: order.customer_id,
+			customerEmail: customerData.email,
+			orderId: order.id,
+			subscriptionId: order.subscription_id || null,
+			planId: planData.planId,
+			discountAmount: order.discount_amount || 0,
+			currency: order.currency || DEFAULTS.CURRENCY,
+		});
+	}
+
+	// Orders from an invoice's pay link (see /api/invoices/public/[token]/pay)
+	if (order.metadata?.invoiceId && orderStatus === "paid") {
+		await settleInvoiceOrder(order);
+	}
+}
+
+/**
+ * Mark the invoice an order paid for as paid, once the order covers the
+ * invoice total in its currency. Redeliveries find it already paid.
+ */
+async function settleInvoiceOrder(order) {
+	let invoice;
+	try {
+		invoice = await getInvoiceById(order.metadata.invoiceId);
+	} catch (error) {
+		console.warn(
+			`Order ${order.id} references unknown invoice ${order.metadata.invoiceId}`
+		);
+		return;
+	}
+
+	const status = getInvoiceStatus(invoice);
+	if (status === "paid") return;
+	if (status === "void") {
+		console.warn(
+			`Order ${order.id} paid void invoice ${invoice.invoiceNumber}, refund it in Polar`
+		);
+		return;
+	}
+
+	// Before discounts and tax Polar may add
+	const currency = (invoice.currency || DEFAULTS.CURRENCY).toLowerCase();
+	const expected = Math.round(
+		(invoice.total || 0) * 10 ** getCurrencyDigits(currency)
+	);
+	const paid = order.subtotal_amount ?? order.amount ?? 0;
+	if ((order.currency || "").toLowerCase() !== currency || paid < expected) {
+		console.warn(
+			`Order ${order.id} does not cover invoice ${invoice.invoiceNumber}:`,
+			{ paid, currency: order.currency, expected, expectedCurrency: currency }
+		);
+		return;
+	}
+
+	await markInvoiceAsPaid(invoice.id, { orderId: order.id });
+}
+
+async function handleRefundEvent(event) {
+	const refund = event.data;
+
+	if (!refund.id || !refund.order_id) {
+		console.error("Refund event missing required fields:", {
+			id: refund.id,
+			order_id: refund.order_id,
+		});
+		return;
+	}
+
+	const existingPayment = await findPaymentByOrderId(refund.order_id);
+	const paymentId = existingPayment?.id || refund.order_id;
+	const paymentRef = doc(db, COLLECTIONS.PAYMENTS, paymentId);
+
+	// Keep every refund of the order, keyed by refund ID so redeliveries
+	// and refund.updated overwrite instead of adding up
+	const refunds = {
+		...(existingPayment?.refunds || {}),
+		[refund.id]: {
+			refundId: refund.id,
+			amount: refund.amount || 0,
+			currency: refund.currency || DEFAULTS.CURRENCY,
+			status: refund.status || DEFAULTS.STATUS,
+			reason: refund.reason || null,
+			createdAt: getFirestoreDate(refund.created_at),
+		},
+	};
+
+	const refundedAmount = Object.values(refunds)
+		.filter((item) => item.status === "succeeded")
+		.reduce((sum, item) => sum + (item.amount || 0), 0);
+
+	const paymentUpdate = {
+		paymentId: paymentId,
+		orderId: refund.order_id,
+		refunds: refunds,
+		refundedAmount: refundedAmount,
+		updatedAt: serverTimestamp(),
+	};
+
+	if (refundedAmount > 0) {
+		paymentUpdate.status = getRefundedPaymentStatus(
+			existingPayment?.amount,
+			refundedAmount
+		);
+		paymentUpdate.refundedAt =
+			existingPayment?.refundedAt || getFirestoreDate(refund.created_at);
+	}
+
+	if (!existingPayment) {
+		// Refund arrived before its order, the order event fills in the rest
+		paymentUpdate.customerId = refund.customer_id || null;
+		paymentUpdate.subscriptionId = refund.subscription_id || null;
+		paymentUpdate.currency = refund.currency || DEFAULTS.CURRENCY;
+		paymentUpdate.paymentType = "order";
+		paymentUpdate.createdAt = getFirestoreDate(refund.created_at);
+	}
+
+	await setDoc(paymentRef, paymentUpdate, { merge: true });
+
+	console.log(
+		`Refund ${refund.id} (${refund.status}) recorded for order:`,
+		refund.order_id
+	);
+}
+
+async function handleBenefitGrantEvent(event) {
+	const grant = event.data;
+	const customerId = grant.customer_id;
+	const benefitId = grant.benefit_id || grant.benefit?.id;
+
+	if (!customerId || !benefitId) {
+		console.error("Benefit grant event missing required fields:", {
+			customer_id: customerId,
+			benefit_id: benefitId,
+		});
+		return;
+	}
+
+	const isGranted =
+		event.type !== "benefit_grant.revoked" &&
+		grant.is_granted !== false &&
+		!grant.is_revoked;
+
+	// One entry per benefit, so the latest grant state replaces the old one
+	const customerRef = doc(db, COLLECTIONS.CUSTOMERS, customerId);
+	const customerDoc = await getDoc(customerRef);
+	const customerUpdate = {
+		customerId: customerId,
+		benefits: {
+			[benefitId]: {
+				grantId: grant.id || null,
+				benefitId: benefitId,
+				type: grant.benefit?.type || null,
+				description: grant.benefit?.description || null,
+				granted: isGranted,
+				grantedAt: normalizeDate(grant.granted_at),
+				revokedAt: isGranted
+					? null
+					: normalizeDate(grant.revoked_at) || new Date(),
+				subscriptionId: grant.subscription_id || null,
+				orderId: grant.order_id || null,
+			},
+		},
+		updatedAt: serverTimestamp(),
+	};
+
+	if (!customerDoc.exists()) {
+		const customerData = await enrichCustomerData(customerId, grant.customer);
+		customerUpdate.email = customerData.email;
+		customerUpdate.name = customerData.name;
+		customerUpdate.createdAt = serverTimestamp();
+	}
+
+	await setDoc(customerRef, customerUpdate, { merge: true });
+}
+
+async function handleCustomerEvent(event) {
+	const customer = event.data;
+
+	// Store customer in Firestore
+	const customerRef = doc(db, COLLECTIONS.CUSTOMERS, customer.id);
+	const customerDoc = await getDoc(customerRef);
+
+	const customerData = {
+		customerId: customer.id,
+		email: customer.email || null,
+		name: customer.name || customer.email || DEFAULTS.CUSTOMER_NAME,
+		updatedAt: serverTimestamp(),
+	};
+
+	if (!customerDoc.exists()) {
+		customerData.createdAt = serverTimestamp();
+	}
+
+	await setDoc(customerRef, customerData, { merge: true });
+}
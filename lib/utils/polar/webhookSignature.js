@@ -0,0 +1,168 @@
+import crypto from "crypto";
+
+/**
+ * Standard Webhooks (https://www.standardwebhooks.com) signing, as used by Polar.
+ * Each delivery carries three headers:
+ *   webhook-id         unique event ID, same across retries
+ *   webhook-timestamp  Unix seconds when the delivery was signed
+ *   webhook-signature  space-separated "v1,<base64 HMAC-SHA256>" entries
+ * The signed content is `${id}.${timestamp}.${rawBody}`.
+ */
+
+// Deliveries signed longer ago (or further ahead) than this are rejected
+export const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+const SECRET_PREFIX = "whsec_";
+const SIGNATURE_VERSION = "v1";
+
+/**
+ * Turn a webhook secret into its HMAC key. Standard Webhooks secrets are
+ * base64 with a "whsec_" prefix; secrets copied from the Polar dashboard
+ * are used as-is (the Polar SDK signs with their UTF-8 bytes).
+ *
+ * @param {string} secret - Webhook secret
+ * @returns {Buffer} HMAC key
+ */
+export function getWebhookSecretKey(secret) {
+	if (secret.startsWith(SECRET_PREFIX)) {
+		return Buffer.from(secret.slice(SECRET_PREFIX.length), "base64");
+	}
+	return Buffer.from(secret, "utf8");
+}
+
+/**
+ * Secrets accepted for incoming Polar webhooks: the current one plus any
+ * previous ones still valid while a secret is being rotated
+ *
+ * @returns {string[]} Secrets, empty when verification isn't configured
+ */
+export function getPolarWebhookSecrets() {
+	return [
+		process.env.POLAR_WEBHOOK_SECRET,
+		...(process.env.POLAR_WEBHOOK_PREVIOUS_SECRETS || "").split(","),
+	]
+		.map((secret) => secret?.trim())
+		.filter(Boolean);
+}
+
+/**
+ * Compute the base64 signature of a delivery
+ *
+ * @param {Object} options
+ * @param {string} options.id - webhook-id
+ * @param {number|string} options.timestamp - webhook-timestamp (Unix seconds)
+ * @param {string} options.payload - Raw request body
+ * @param {string} options.secret - Webhook secret
+ * @returns {string} Base64 HMAC-SHA256 signature
+ */
+export function computeWebhookSignature({ id, timestamp, payload, secret }) {
+	return crypto
+		.createHmac("sha256", getWebhookSecretKey(secret))
+		.update(`${id}.${timestamp}.${payload}`)
+		.digest("base64");
+}
+
+/**
+ * Sign a payload the way Polar does, e.g. to send fixture deliveries to a
+ * local server
+ *
+ * @param {Object} options
+ * @param {string} options.payload - Raw request body
+ * @param {string} options.secret - Webhook secret
+ * @param {string} options.id - webhook-id (default: random)
+ * @param {number} options.timestamp - Unix seconds (default: now)
+ * @returns {Object} Headers for the delivery
+ */
+export function signWebhookPayload({
+	payload,
+	secret,
+	id = `msg_${crypto.randomBytes(12).toString("hex")}`,
+	timestamp = Math.floor(Date.now() / 1000),
+}) {
+	const signature = computeWebhookSignature({ id, timestamp, payload, secret });
+	return {
+		"webhook-id": id,
+		"webhook-timestamp": String(timestamp),
+		"webhook-signature": `${SIGNATURE_VERSION},${signature}`,
+	};
+}
+
+/**
+ * Verify a delivery's Standard Webhooks signature against the raw body.
+ * Any of the given secrets may match, so deliveries signed with the old
+ * secret keep working while it is being rotated.
+ *
+ * @param {Object} options
+ * @param {Object} options.headers - Request headers
+ * @param {string} options.rawBody - Request body exactly as received
+ * @param {string[]} options.secrets - Accepted secrets
+ * @param {number} options.toleranceSeconds - Allowed clock difference (default: 5 minutes)
+ * @param {number} options.now - Current time in ms, for testing (default: Date.now())
+ * @returns {{ valid: boolean, error: string|null }}
+ */
+export function verifyWebhookSignature({
+	headers,
+	rawBody,
+	secrets,
+	toleranceSeconds = WEBHOOK_TOLERANCE_SECONDS,
+	now = Date.now(),
+}) {
+	const id = headers["webhook-id"];
+	const timestamp = headers["webhook-timestamp"];
+	const signatureHeader = headers["webhook-signature"];
+
+	if (!id || !timestamp || !signatureHeader) {
+		return { valid: false, error: "Missing webhook signature headers" };
+	}
+
+	const timestampSeconds = Number(timestamp);
+	if (!Number.isInteger(timestampSeconds)) {
+		return { valid: false, error: "Invalid webhook timestamp" };
+	}
+
+	const nowSeconds = Math.floor(now / 1000);
+	if (timestampSeconds < nowSeconds - toleranceSeconds) {
+		return { valid: false, error: "Webhook timestamp is too old" };
+	}
+	if (timestampSeconds > nowSeconds + toleranceSeconds) {
+		return { valid: false, error: "Webhook timestamp is in the future" };
+	}
+
+	// "v1,<sig> v1,<sig>": one entry per active signing secret on Polar's side
+	const signatures = String(signatureHeader)
+		.split(" ")
+		.map((entry) => entry.split(","))
+		.filter(([version, value]) => version === SIGNATURE_VERSION && value)
+		.map(([, value]) => Buffer.from(value, "base64"));
+
+	const isValid = secrets.some((secret) => {
+		const expected = Buffer.from(
+			computeWebhookSignature({ id, timestamp, payload: rawBody, secret }),
+			"base64"
+		);
+		return signatures.some(
+			(signature) =>
+				signature.length === expected.length &&
+				crypto.timingSafeEqual(signature, expected)
+		);
+	});
+
+	return isValid
+		? { valid: true, error: null }
+		: { valid: false, error: "Invalid webhook signature" };
+}
+
+/**
+ * Read a request body as a string. The webhook route disables Next.js body
+ * parsing so the signature can be checked against the exact bytes sent.
+ *
+ * @param {Object} req - Next.js API request
+ * @returns {Promise<string>} Raw body
+ */
+export async function readRawBody(req) {
+	const chunks = [];
+	for await (const chunk of req) {
+		chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+	}
+	return Buffer.concat(chunks).toString("utf8");
+}
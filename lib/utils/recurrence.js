@@ -0,0 +1,283 @@
+import { CronExpressionParser } from "cron-parser";
+import { rrulestr } from "rrule";
+
+/**
+ * Supported recurrence types for repeating CRON jobs
+ */
+export const RECURRENCE_TYPES = {
+	CRON: "cron",
+	RRULE: "rrule",
+};
+
+/**
+ * Get the runtime's default IANA timezone (falls back to UTC)
+ * @returns {string} Timezone name, e.g. "Europe/Berlin"
+ */
+export const getDefaultTimezone = () => {
+	try {
+		return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+	} catch (error) {
+		return "UTC";
+	}
+};
+
+/**
+ * Get a date's wall-clock fields in a timezone
+ * @param {Date} date - Date to read
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second } as numbers (month is 1-12)
+ */
+const getZonedParts = (date, timezone) => {
+	const parts = new Intl.DateTimeFormat("en-US", {
+		timeZone: timezone,
+		year: "numeric",
+		month: "2-digit",
+		day: "2-digit",
+		hour: "2-digit",
+		minute: "2-digit",
+		second: "2-digit",
+		hourCycle: "h23",
+	}).formatToParts(date);
+	const get = (type) =>
+		Number(parts.find((part) => part.type === type)?.value);
+	return {
+		year: get("year"),
+		month: get("month"),
+		day: get("day"),
+		hour: get("hour"),
+		minute: get("minute"),
+		second: get("second"),
+	};
+};
+
+/**
+ * Format a date as an iCalendar local date-time (YYYYMMDDTHHMMSS) in a timezone
+ * @param {Date} date - Date to format
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Local date-time string
+ */
+const toICalLocalDateTime = (date, timezone) => {
+	const { year, month, day, hour, minute } = getZonedParts(date, timezone);
+	const pad = (value) => String(value).padStart(2, "0");
+	return `${year}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}00`;
+};
+
+/**
+ * Express an instant as a "floating" date: its wall-clock time in a timezone,
+ * stored in the UTC fields. This is how rrule works with dates.
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Floating date
+ */
+const toFloatingDate = (date, timezone) => {
+	const { year, month, day, hour, minute, second } = getZonedParts(
+		date,
+		timezone
+	);
+	return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+/**
+ * Turn a floating date (wall-clock time in the UTC fields) back into the
+ * instant it names in a timezone
+ * @param {Date} floating - Floating date
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant
+ */
+const fromFloatingDate = (floating, timezone) => {
+	const offsetAt = (time) => {
+		const instant = new Date(time - (time % 1000));
+		return toFloatingDate(instant, timezone).getTime() - instant.getTime();
+	};
+	// Guess with the offset at the wall-clock time, then correct it for the
+	// offset at the guessed instant (they differ around DST changes)
+	let time = floating.getTime() - offsetAt(floating.getTime());
+	const offset = offsetAt(time);
+	if (floating.getTime() - offset !== time) time = floating.getTime() - offset;
+	return new Date(time);
+};
+
+/**
+ * Add a DTSTART to an RRULE expression that has none.
+ * Expressions without a DTSTART are anchored at the given start date so that
+ * BYHOUR/BYMINUTE defaults are stable between runs.
+ * @param {string} expression - RRULE expression
+ * @param {string} timezone - IANA timezone
+ * @param {Date} startDate - Anchor used when the expression has no DTSTART
+ * @returns {string} iCalendar source with a DTSTART
+ */
+const withDtstart = (expression, timezone, startDate = new Date()) => {
+	let source = expression.trim();
+	if (!/^RRULE:/im.test(source) && !/DTSTART/i.test(source)) {
+		source = `RRULE:${source}`;
+	}
+	if (!/DTSTART/i.test(source)) {
+		source = `DTSTART;TZID=${timezone}:${toICalLocalDateTime(
+			startDate,
+			timezone
+		)}\n${source}`;
+	}
+	return source;
+};
+
+/**
+ * Build an rrule set from an RRULE expression, for storing and describing it
+ * @param {string} expression - RRULE expression
+ * @param {string} timezone - IANA timezone
+ * @param {Date} startDate - Anchor used when the expression has no DTSTART
+ * @returns {Object} rrule instance
+ */
+const buildRRule = (expression, timezone, startDate = new Date()) => {
+	return rrulestr(withDtstart(expression, timezone, startDate), {
+		forceset: false,
+	});
+};
+
+/**
+ * Build an rrule set that works in floating dates, for computing occurrences.
+ * rrule converts TZID dates through the host's timezone, so the same rule
+ * gives different instants on differently configured servers. The TZIDs are
+ * dropped instead and the dates converted with the rule's timezone here.
+ * @param {string} expression - RRULE expression
+ * @param {string} timezone - IANA timezone
+ * @param {Date} startDate - Anchor used when the expression has no DTSTART
+ * @returns {{ rule: Object, timezone: string }} rrule instance and the timezone its dates are in
+ */
+const buildFloatingRRule = (expression, timezone, startDate = new Date()) => {
+	const source = withDtstart(expression, timezone, startDate);
+	const tzid = source.match(/DTSTART;TZID=([^:;]+)/i)?.[1];
+	const utc = /DTSTART:\d{8}T\d{6}Z/i.test(source);
+	return {
+		rule: rrulestr(source.replace(/;TZID=[^:;]+/gi, ""), { forceset: false }),
+		timezone: tzid || (utc ? "UTC" : timezone),
+	};
+};
+
+/**
+ * Normalize and validate a recurrence definition
+ * @param {Object} recurrence - Recurrence definition
+ * @param {string} recurrence.type - 'cron' or 'rrule'
+ * @param {string} recurrence.expression - Cron expression or RRULE
+ * @param {string} recurrence.timezone - IANA timezone (default: runtime timezone)
+ * @returns {Object} Normalized recurrence ({ type, expression, timezone })
+ * @throws {Error} If the recurrence is invalid
+ */
+export const normalizeRecurrence = (recurrence) => {
+	if (!recurrence || !recurrence.expression?.trim()) {
+		throw new Error("Recurrence expression is required");
+	}
+
+	const type = recurrence.type || RECURRENCE_TYPES.CRON;
+	if (!Object.values(RECURRENCE_TYPES).includes(type)) {
+		throw new Error(`Unsupported recurrence type: ${type}`);
+	}
+
+	const timezone = recurrence.timezone || getDefaultTimezone();
+	try {
+		new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+	} catch (error) {
+		throw new Error(`Invalid timezone: ${timezone}`);
+	}
+
+	let expression = recurrence.expression.trim();
+	try {
+		if (type === RECURRENCE_TYPES.CRON) {
+			CronExpressionParser.parse(expression, { tz: timezone });
+		} else {
+			// Pin the anchor into the stored expression so later runs share it
+			const rule = buildRRule(expression, timezone);
+			expression = rule.toString();
+		}
+	} catch (error) {
+		throw new Error(`Invalid ${type} expression: ${error.message}`);
+	}
+
+	return { type, expression, timezone };
+};
+
+/**
+ * Check whether a recurrence definition is valid
+ * @param {Object} recurrence - Recurrence definition
+ * @returns {{ valid: boolean, error: string|null }} Validation result
+ */
+export const validateRecurrence = (recurrence) => {
+	try {
+		normalizeRecurrence(recurrence);
+		return { valid: true, error: null };
+	} catch (error) {
+		return { valid: false, error: error.message };
+	}
+};
+
+/**
+ * Get the upcoming occurrences of a recurrence strictly after a date
+ * @param {Object} recurrence - Recurrence definition
+ * @param {number} count - Maximum number of occurrences to return
+ * @param {Date} after - Start searching after this date (default: now)
+ * @returns {Array<Date>} Upcoming occurrences (may be shorter than count)
+ */
+export const getUpcomingOccurrences = (
+	recurrence,
+	count = 5,
+	after = new Date()
+) => {
+	const { type, expression, timezone } = recurrence;
+	const occurrences = [];
+
+	if (type === RECURRENCE_TYPES.RRULE) {
+		const { rule, timezone: ruleTimezone } = buildFloatingRRule(
+			expression,
+			timezone,
+			after
+		);
+		let cursor = toFloatingDate(after, ruleTimezone);
+		while (occurrences.length < count) {
+			const next = rule.after(cursor, false);
+			if (!next) break;
+			const occurrence = fromFloatingDate(next, ruleTimezone);
+			// A repeated wall-clock hour (DST ending) can map to an earlier instant
+			if (occurrence > after) occurrences.push(occurrence);
+			cursor = next;
+		}
+		return occurrences;
+	}
+
+	const interval = CronExpressionParser.parse(expression, {
+		currentDate: after,
+		tz: timezone,
+	});
+	while (occurrences.length < count && interval.hasNext()) {
+		occurrences.push(interval.next().toDate());
+	}
+	return occurrences;
+};
+
+/**
+ * Get the next occurrence of a recurrence strictly after a date
+ * @param {Object} recurrence - Recurrence definition
+ * @param {Date} after - Start searching after this date (default: now)
+ * @returns {Date|null} Next occurrence, or null if the series has ended
+ */
+export const getNextOccurrence = (recurrence, after = new Date()) => {
+	return getUpcomingOccurrences(recurrence, 1, after)[0] || null;
+};
+
+/**
+ * Human-readable description of a recurrence for the admin UI
+ * @param {Object} recurrence - Recurrence definition
+ * @returns {string} Description
+ */
+export const describeRecurrence = (recurrence) => {
+	if (!recurrence) return "Does not repeat";
+	const { type, expression, timezone } = recurrence;
+
+	if (type === RECURRENCE_TYPES.RRULE) {
+		try {
+			return `${buildRRule(expression, timezone).toText()} (${timezone})`;
+		} catch (error) {
+			return `${expression} (${timezone})`;
+		}
+	}
+
+	return `${expression} (${timezone})`;
+};
@@ -0,0 +1,338 @@
+import { normalizeDate } from "./polar/dateUtils";
+
+/**
+ * Subscription revenue metrics (MRR, churn, ARPU, LTV, trial conversion,
+ * cohort retention) computed from the customers, payments and products
+ * collections.
+ *
+ * MRR is rebuilt from payment history: every successful payment with a
+ * subscriptionId (subscription events, and the orders Polar creates for
+ * each period) covers one billing period from its createdAt (the period start),
+ * and a customer counts towards a month's MRR when a payment covers the
+ * last moment of that month. Amounts are in cents.
+ */
+
+// Payment statuses that count as collected revenue
+const REVENUE_PAYMENT_STATUSES = ["succeeded", "partially_refunded"];
+
+// Billing interval -> length in months
+const INTERVAL_MONTHS = {
+	day: 1 / 30,
+	week: 7 / 30,
+	month: 1,
+	year: 12,
+};
+
+// Renewals are recorded when Polar reports them, which can be a little
+// after the period starts
+const RENEWAL_TOLERANCE_MS = 3 * 24 * 60 * 60 * 1000;
+
+const addMonths = (date, months) => {
+	const result = new Date(date);
+	if (months >= 1) {
+		result.setMonth(result.getMonth() + months);
+	} else {
+		result.setTime(result.getTime() + months * 30 * 24 * 60 * 60 * 1000);
+	}
+	return result;
+};
+
+const getMonthKey = (date) =>
+	`${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+
+const ratio = (part, whole) => (whole > 0 ? part / whole : null);
+
+/**
+ * Most common currency among payments; amounts in other currencies are
+ * left out rather than added up unconverted
+ */
+const getPrimaryCurrency = (payments) => {
+	const counts = {};
+	payments.forEach((payment) => {
+		const currency = (payment.currency || "usd").toLowerCase();
+		counts[currency] = (counts[currency] || 0) + 1;
+	});
+	return (
+		Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || "usd"
+	);
+};
+
+/**
+ * Turn successful subscription payments into billing periods per customer
+ * @returns {Object} customerId -> [{ subscriptionId, start, end, monthly }]
+ */
+const getBillingPeriods = (payments, products, currency) => {
+	const intervalByPlan = {};
+	products.forEach((product) => {
+		const interval = (product.prices || []).find(
+			(price) => price.recurring_interval
+		)?.recurring_interval;
+		if (product.polarProductId && interval) {
+			intervalByPlan[product.polarProductId] = interval;
+		}
+	});
+
+	const periods = {};
+	payments.forEach((payment) => {
+		const start = normalizeDate(payment.createdAt);
+		if (
+			!payment.subscriptionId ||
+			!REVENUE_PAYMENT_STATUSES.includes(payment.status) ||
+			(payment.currency || "usd").toLowerCase() !== currency ||
+			!payment.customerId ||
+			!start ||
+			isNaN(start.getTime())
+		) {
+			return;
+		}
+
+		const intervalMonths =
+			INTERVAL_MONTHS[intervalByPlan[payment.planId]] || INTERVAL_MONTHS.month;
+		const collected = (payment.amount || 0) - (payment.refundedAmount || 0);
+		if (collected <= 0) return;
+
+		if (!periods[payment.customerId]) periods[payment.customerId] = [];
+		periods[payment.customerId].push({
+			subscriptionId: payment.subscriptionId,
+			start,
+			end: new Date(addMonths(start, intervalMonths).getTime() + RENEWAL_TOLERANCE_MS),
+			monthly: collected / intervalMonths,
+		});
+	});
+
+	return periods;
+};
+
+/**
+ * A customer's MRR at a moment: the latest period of each of their
+ * subscriptions that covers it
+ */
+const getCustomerMrrAt = (customerPeriods, date) => {
+	const latestBySubscription = {};
+	customerPeriods.forEach((period) => {
+		if (period.start > date || period.end <= date) return;
+		const latest = latestBySubscription[period.subscriptionId];
+		if (!latest || period.start > latest.start) {
+			latestBySubscription[period.subscriptionId] = period;
+		}
+	});
+	return Object.values(latestBySubscription).reduce(
+		(sum, period) => sum + period.monthly,
+		0
+	);
+};
+
+/**
+ * Share of trials that turned into a paid subscription. A trial converted
+ * when a paid period starts after it ends (or the customer is active).
+ */
+const getTrialConversion = (customers, periods, now) => {
+	let ended = 0;
+	let converted = 0;
+	let inTrial = 0;
+
+	customers.forEach((customer) => {
+		const trialEndsAt = normalizeDate(customer.trialEndsAt);
+		if (!trialEndsAt) return;
+
+		if (trialEndsAt > now) {
+			inTrial++;
+			return;
+		}
+
+		ended++;
+		const paidAfterTrial = (periods[customer.customerId || customer.id] || []).some(
+			(period) =>
+				period.start.getTime() >= trialEndsAt.getTime() - RENEWAL_TOLERANCE_MS
+		);
+		if (paidAfterTrial || customer.status === "active") converted++;
+	});
+
+	return {
+		started: ended + inTrial,
+		inTrial,
+		ended,
+		converted,
+		conversionRate: ratio(converted, ended),
+	};
+};
+
+/**
+ * Compute revenue metrics for the last `months` calendar months
+ * @param {Object} data
+ * @param {Array} data.customers - customers documents
+ * @param {Array} data.payments - payments documents
+ * @param {Array} data.products - products documents (for billing intervals)
+ * @param {number} data.months - Months to report, including the current one (default: 12)
+ * @param {Date} data.now - Current time (default: new Date())
+ * @returns {Object} { currency, months, current, trials, cohorts }
+ */
+export const computeRevenueMetrics = ({
+	customers = [],
+	payments = [],
+	products = [],
+	months = 12,
+	now = new Date(),
+}) => {
+	const currency = getPrimaryCurrency(payments);
+	const periods = getBillingPeriods(payments, products, currency);
+	const customerIds = Object.keys(periods);
+
+	// Each month is measured at its last moment, the current one at `now`
+	const monthPoints = [];
+	for (let i = months; i >= 0; i--) {
+		const monthStart = new Date(now.getFullYear(), now.getMonth() - i, 1);
+		const monthEnd = new Date(
+			now.getFullYear(),
+			now.getMonth() - i + 1,
+			1,
+			0,
+			0,
+			0,
+			-1
+		);
+		monthPoints.push({
+			key: getMonthKey(monthStart),
+			label: monthStart.toLocaleDateString("en-US", {
+				month: "short",
+				year: "numeric",
+			}),
+			at: monthEnd < now ? monthEnd : now,
+		});
+	}
+
+	// customerId -> MRR per month point (the first point is only the
+	// baseline for the first reported month's movements)
+	const mrrByCustomer = {};
+	customerIds.forEach((customerId) => {
+		mrrByCustomer[customerId] = monthPoints.map((point) =>
+			getCustomerMrrAt(periods[customerId], point.at)
+		);
+	});
+
+	const series = monthPoints.slice(1).map((point, offset) => {
+		const index = offset + 1;
+		const month = {
+			key: point.key,
+			label: point.label,
+			mrr: 0,
+			startingMrr: 0,
+			newMrr: 0,
+			expansionMrr: 0,
+			contractionMrr: 0,
+			churnedMrr: 0,
+			customers: 0,
+			startingCustomers: 0,
+			newCustomers: 0,
+			churnedCustomers: 0,
+		};
+
+		customerIds.forEach((customerId) => {
+			const previous = mrrByCustomer[customerId][index - 1];
+			const current = mrrByCustomer[customerId][index];
+
+			month.mrr += current;
+			month.startingMrr += previous;
+			if (current > 0) month.customers++;
+			if (previous > 0) month.startingCustomers++;
+
+			if (previous === 0 && current > 0) {
+				month.newMrr += current;
+				month.newCustomers++;
+			} else if (previous > 0 && current === 0) {
+				month.churnedMrr += previous;
+				month.churnedCustomers++;
+			} else if (current > previous) {
+				month.expansionMrr += current - previous;
+			} else if (current < previous) {
+				month.contractionMrr += previous - current;
+			}
+		});
+
+		return {
+			...month,
+			arr: month.mrr * 12,
+			netNewMrr:
+				month.newMrr +
+				month.expansionMrr -
+				month.contractionMrr -
+				month.churnedMrr,
+			arpu: ratio(month.mrr, month.customers),
+			logoChurnRate: ratio(month.churnedCustomers, month.startingCustomers),
+			revenueChurnRate: ratio(
+				month.churnedMrr + month.contractionMrr,
+				month.startingMrr
+			),
+			netRevenueChurnRate: ratio(
+				month.churnedMrr + month.contractionMrr - month.expansionMrr,
+				month.startingMrr
+			),
+		};
+	});
+
+	// Churn averaged over the last three complete-or-current months, which
+	// is steadier than a single month for LTV
+	const recent = series.slice(-3);
+	const recentStarting = recent.reduce((sum, m) => sum + m.startingCustomers, 0);
+	const recentChurned = recent.reduce((sum, m) => sum + m.churnedCustomers, 0);
+	const recentStartingMrr = recent.reduce((sum, m) => sum + m.startingMrr, 0);
+	const recentLostMrr = recent.reduce(
+		(sum, m) => sum + m.churnedMrr + m.contractionMrr,
+		0
+	);
+	const logoChurnRate = ratio(recentChurned, recentStarting);
+	const latest = series[series.length - 1];
+
+	// Cohorts by the month of a customer's first paid period
+	const cohortMap = {};
+	customerIds.forEach((customerId) => {
+		const firstStart = periods[customerId].reduce(
+			(earliest, period) => (period.start < earliest ? period.start : earliest),
+			periods[customerId][0].start
+		);
+		const cohortIndex = monthPoints.findIndex(
+			(point, index) => index > 0 && getMonthKey(firstStart) === point.key
+		);
+		if (cohortIndex === -1) return;
+
+		if (!cohortMap[cohortIndex]) cohortMap[cohortIndex] = [];
+		cohortMap[cohortIndex].push(customerId);
+	});
+
+	const cohorts = Object.entries(cohortMap)
+		.map(([cohortIndex, members]) => {
+			const start = Number(cohortIndex);
+			return {
+				key: monthPoints[start].key,
+				label: monthPoints[start].label,
+				size: members.length,
+				retention: monthPoints.slice(start).map((point, offset) =>
+					ratio(
+						members.filter(
+							(customerId) => mrrByCustomer[customerId][start + offset] > 0
+						).length,
+						members.length
+					)
+				),
+			};
+		})
+		.sort((a, b) => a.key.localeCompare(b.key));
+
+	return {
+		currency,
+		months: series,
+		current: {
+			mrr: latest?.mrr || 0,
+			arr: latest?.arr || 0,
+			customers: latest?.customers || 0,
+			arpu: latest?.arpu ?? null,
+			logoChurnRate,
+			revenueChurnRate: ratio(recentLostMrr, recentStartingMrr),
+			// Expected revenue per customer: ARPU over monthly churn
+			ltv:
+				latest?.arpu && logoChurnRate ? latest.arpu / logoChurnRate : null,
+		},
+		trials: getTrialConversion(customers, periods, now),
+		cohorts,
+	};
+};
@@ -0,0 +1,329 @@
+import { isCustomerEntitled } from "../api/customers";
+
+/**
+ * Audience segments: saved rules matched against contacts, where a contact
+ * is everything known about one email address across the subscriber, user
+ * and customer records. E.g. "customers on Pro whose subscription renews
+ * in 7 days" is { customer.planName equals Pro, customer.expiresAt in the
+ * next 7 days }. Used for the live count in the admin and to resolve a
+ * campaign's recipients at send time, so both agree.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Operators each field type offers; `input` is the kind of value they take
+export const SEGMENT_OPERATORS = {
+	record: [
+		{ value: "exists", label: "is true", input: null },
+		{ value: "not_exists", label: "is false", input: null },
+	],
+	string: [
+		{ value: "equals", label: "is", input: "text" },
+		{ value: "not_equals", label: "is not", input: "text" },
+		{ value: "contains", label: "contains", input: "text" },
+	],
+	enum: [
+		{ value: "equals", label: "is", input: "option" },
+		{ value: "not_equals", label: "is not", input: "option" },
+	],
+	boolean: [
+		{ value: "is_true", label: "is yes", input: null },
+		{ value: "is_false", label: "is no", input: null },
+	],
+	date: [
+		{ value: "in_last_days", label: "in the last (days)", input: "days" },
+		{ value: "in_next_days", label: "in the next (days)", input: "days" },
+		{ value: "before", label: "before", input: "date" },
+		{ value: "after", label: "after", input: "date" },
+	],
+};
+
+export const SEGMENT_FIELDS = [
+	{ value: "subscriber", label: "Is a subscriber", type: "record" },
+	{ value: "subscriber.subscribedAt", label: "Subscribed", type: "date" },
+	{ value: "user", label: "Has an account", type: "record" },
+	{ value: "user.emailVerified", label: "Email verified", type: "boolean" },
+	{
+		value: "user.provider",
+		label: "Sign-in method",
+		type: "enum",
+		options: [
+			{ value: "google", label: "Google" },
+			{ value: "email", label: "Email" },
+		],
+	},
+	{ value: "user.createdAt", label: "Signed up", type: "date" },
+	{ value: "user.lastSignIn", label: "Last sign-in", type: "date" },
+	{ value: "customer", label: "Is a customer", type: "record" },
+	{ value: "customer.planName", label: "Plan", type: "string" },
+	{
+		value: "customer.status",
+		label: "Subscription status",
+		type: "enum",
+		options: [
+			{ value: "active", label: "Active" },
+			{ value: "trialing", label: "Trialing" },
+			{ value: "past_due", label: "Past due" },
+			{ value: "unpaid", label: "Unpaid" },
+			{ value: "canceled", label: "Canceled" },
+			{ value: "revoked", label: "Revoked" },
+		],
+	},
+	{ value: "customer.expiresAt", label: "Renews / expires", type: "date" },
+	{ value: "customer.createdAt", label: "Customer since", type: "date" },
+];
+
+export const SEGMENT_MATCH_OPTIONS = [
+	{ value: "all", label: "All rules" },
+	{ value: "any", label: "Any rule" },
+];
+
+/**
+ * Get a segment field definition
+ * @param {string} value - Field key, e.g. "customer.planName"
+ * @returns {Object|null} Field definition
+ */
+export const getSegmentField = (value) =>
+	SEGMENT_FIELDS.find((field) => field.value === value) || null;
+
+/**
+ * Get the operators a field offers
+ * @param {string} fieldValue - Field key
+ * @returns {Array} [{ value, label, input }]
+ */
+export const getSegmentOperators = (fieldValue) =>
+	SEGMENT_OPERATORS[getSegmentField(fieldValue)?.type] || [];
+
+const getOperator = (rule) =>
+	getSegmentOperators(rule.field).find(
+		(operator) => operator.value === rule.operator
+	) || null;
+
+const toDate = (value) => {
+	if (!value) return null;
+	const date = value.toDate ? value.toDate() : new Date(value);
+	return isNaN(date.getTime()) ? null : date;
+};
+
+// Start of a rule date ("YYYY-MM-DD") in UTC, so rules match the same
+// contacts whatever timezone the server or browser runs in
+const toDayStart = (value) => toDate(`${value}T00:00:00Z`);
+
+/**
+ * Merge subscriber, user and customer records into one contact per email
+ * address. Of several customer records, the one with access to its plan
+ * is kept.
+ * @param {Object} records - { subscribers, users, customers }
+ * @returns {Array} [{ email, name, subscriber, user, customer }]
+ */
+export const buildContacts = ({
+	subscribers = [],
+	users = [],
+	customers = [],
+} = {}) => {
+	const contacts = new Map();
+	const add = (source, record) => {
+		if (!record.email) return;
+		const key = record.email.toLowerCase();
+		const contact = contacts.get(key) || {
+			email: record.email,
+			subscriber: null,
+			user: null,
+			customer: null,
+		};
+		contact[source] = record;
+		contacts.set(key, contact);
+	};
+
+	subscribers.forEach((record) => add("subscriber", record));
+	users.forEach((record) => add("user", record));
+	[...customers]
+		.sort(
+			(a, b) => Number(isCustomerEntitled(a)) - Number(isCustomerEntitled(b))
+		)
+		.forEach((record) => add("customer", record));
+
+	return Array.from(contacts.values(), (contact) => ({
+		...contact,
+		name:
+			contact.subscriber?.name ||
+			contact.user?.name ||
+			contact.user?.displayName ||
+			contact.customer?.name ||
+			"",
+	}));
+};
+
+/**
+ * Whether a contact matches one rule. Rules on a record the contact
+ * doesn't have (e.g. a plan rule for a non-customer) don't match.
+ * @param {Object} contact - Contact from buildContacts
+ * @param {Object} rule - { field, operator, value }
+ * @param {Date} now - Current time (default: new Date())
+ * @returns {boolean}
+ */
+export const matchesSegmentRule = (contact, rule, now = new Date()) => {
+	const field = getSegmentField(rule.field);
+	if (!field) return false;
+
+	const [source, property] = field.value.split(".");
+	const record = contact[source];
+	if (field.type === "record") {
+		return rule.operator === "exists" ? !!record : !record;
+	}
+	if (!record) return false;
+
+	const value = record[property];
+	switch (rule.operator) {
+		case "equals":
+		case "not_equals": {
+			const isEqual =
+				String(value ?? "").toLowerCase() ===
+				String(rule.value ?? "").toLowerCase();
+			return rule.operator === "equals" ? isEqual : !isEqual;
+		}
+		case "contains":
+			return String(value ?? "")
+				.toLowerCase()
+				.includes(String(rule.value ?? "").toLowerCase());
+		case "is_true":
+			return value === true;
+		case "is_false":
+			return value !== true;
+		case "in_last_days":
+		case "in_next_days": {
+			const date = toDate(value);
+			const days = Number(rule.value);
+			if (!date || !(days > 0)) return false;
+			return rule.operator === "in_last_days"
+				? date <= now && date >= new Date(now.getTime() - days * DAY_MS)
+				: date >= now && date <= new Date(now.getTime() + days * DAY_MS);
+		}
+		case "before":
+		case "after": {
+			const date = toDate(value);
+			// Rule dates are days: "before" the start of it, "after" its end
+			const boundary = toDayStart(rule.value);
+			if (!date || !boundary) return false;
+			return rule.operator === "before"
+				? date < boundary
+				: date >= new Date(boundary.getTime() + DAY_MS);
+		}
+		default:
+			return false;
+	}
+};
+
+/**
+ * Whether a contact matches a segment
+ * @param {Object} contact - Contact from buildContacts
+ * @param {Object} segment - { match: "all" | "any", rules }
+ * @param {Date} now - Current time (default: new Date())
+ * @returns {boolean}
+ */
+export const matchesSegment = (contact, segment, now = new Date()) => {
+	const rules = segment.rules || [];
+	if (rules.length === 0) return false;
+	return segment.match === "any"
+		? rules.some((rule) => matchesSegmentRule(contact, rule, now))
+		: rules.every((rule) => matchesSegmentRule(contact, rule, now));
+};
+
+/**
+ * Contacts a segment sends to. Contacts who unsubscribed from the
+ * newsletter, or whose address bounced or complained, are left out of
+ * every segment.
+ * @param {Object} segment - { match, rules }
+ * @param {Object} records - { subscribers, users, customers }
+ * @param {Date} now - Current time (default: new Date())
+ * @returns {Array} Matching contacts
+ */
+export const getSegmentContacts = (segment, records, now = new Date()) =>
+	buildContacts(records).filter(
+		(contact) =>
+			!["unsubscribed", "suppressed"].includes(contact.subscriber?.status) &&
+			matchesSegment(contact, segment, now)
+	);
+
+/**
+ * Readable rule, e.g. "Plan is Pro"
+ * @param {Object} rule - { field, operator, value }
+ * @returns {string}
+ */
+export const describeSegmentRule = (rule) => {
+	const field = getSegmentField(rule.field);
+	const operator = getOperator(rule);
+	if (!field || !operator) return "Invalid rule";
+
+	let value = rule.value;
+	if (operator.input === "option") {
+		value =
+			field.options.find((option) => option.value === rule.value)?.label ||
+			rule.value;
+	}
+	if (operator.input === "days") {
+		return `${field.label} in the ${
+			rule.operator === "in_last_days" ? "last" : "next"
+		} ${value} day${Number(value) === 1 ? "" : "s"}`;
+	}
+	return [field.label, operator.label, operator.input ? value : null]
+		.filter(Boolean)
+		.join(" ");
+};
+
+/**
+ * Rules as they are saved: values trimmed, and null for operators that
+ * take none
+ * @param {Array} rules - [{ field, operator, value }]
+ * @returns {Array} Normalized rules
+ */
+export const normalizeSegmentRules = (rules) =>
+	rules.map((rule) => ({
+		...rule,
+		value: getOperator(rule)?.input ? String(rule.value ?? "").trim() : null,
+	}));
+
+/**
+ * Validate a segment before saving
+ * @param {Object} segment - { name, match, rules }
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateSegment = (segment) => {
+	if (!segment.name?.trim()) return "Segment name is required";
+	if (!SEGMENT_MATCH_OPTIONS.some((option) => option.value === segment.match)) {
+		return "Choose whether all or any rules must match";
+	}
+	if (!segment.rules?.length) return "Add at least one rule";
+	return validateSegmentRules(segment.rules);
+};
+
+/**
+ * Validate segment rules, e.g. the conditions of a sequence step
+ * @param {Array} rules - [{ field, operator, value }]
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateSegmentRules = (rules) => {
+	for (const rule of rules) {
+		const field = getSegmentField(rule.field);
+		const operator = getOperator(rule);
+		if (!field || !operator) return "Every rule needs a field and condition";
+
+		const days = Number(rule.value);
+		if (operator.input === "days" && !(Number.isInteger(days) && days > 0)) {
+			return `${field.label}: days must be a whole number of at least 1`;
+		}
+		if (operator.input === "date" && !toDayStart(rule.value)) {
+			return `${field.label}: choose a date`;
+		}
+		if (
+			operator.input === "option" &&
+			!field.options.some((option) => option.value === rule.value)
+		) {
+			return `${field.label}: choose a value`;
+		}
+		if (operator.input === "text" && !String(rule.value ?? "").trim()) {
+			return `${field.label}: enter a value`;
+		}
+	}
+	return null;
+};
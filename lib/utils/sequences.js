@@ -0,0 +1,103 @@
+import { validateMergeTags } from "./mergeTags";
+import { SEGMENT_MATCH_OPTIONS, validateSegmentRules } from "./segments";
+
+/**
+ * Email sequences: a series of emails a contact gets after something
+ * happens to them (they subscribe, sign up, join the waitlist, start or
+ * cancel a subscription). Each step waits its delay after the previous
+ * one, counted from enrolment for the first step, and can have conditions
+ * (segment rules) the contact must match when the step is due; otherwise
+ * the step is skipped.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Events that enrol a contact into the active sequences listening for them
+export const SEQUENCE_TRIGGERS = [
+	{ value: "subscriber_created", label: "New subscriber" },
+	{ value: "user_created", label: "New user" },
+	{ value: "waitlist_joined", label: "New waitlist entry" },
+	{ value: "subscription_created", label: "Subscription created" },
+	{ value: "subscription_canceled", label: "Subscription cancelled" },
+];
+
+export const SEQUENCE_DELAY_UNITS = [
+	{ value: "hours", label: "Hours", ms: HOUR_MS },
+	{ value: "days", label: "Days", ms: 24 * HOUR_MS },
+];
+
+export const SEQUENCE_STATUSES = ["active", "paused"];
+
+/**
+ * Get a trigger's label
+ * @param {string} value - Trigger key, e.g. "user_created"
+ * @returns {string}
+ */
+export const getSequenceTriggerLabel = (value) =>
+	SEQUENCE_TRIGGERS.find((trigger) => trigger.value === value)?.label ||
+	value;
+
+/**
+ * How long a step waits, in milliseconds
+ * @param {Object} step - { delay, delayUnit }
+ * @returns {number}
+ */
+export const getStepDelayMs = (step) => {
+	const unit = SEQUENCE_DELAY_UNITS.find(
+		(option) => option.value === step.delayUnit
+	);
+	return (Number(step.delay) || 0) * (unit?.ms || 0);
+};
+
+/**
+ * Readable step delay, e.g. "Wait 3 days" or "Send right away"
+ * @param {Object} step - { delay, delayUnit }
+ * @returns {string}
+ */
+export const describeStepDelay = (step) => {
+	const delay = Number(step.delay) || 0;
+	if (delay === 0) return "Send right away";
+	const unit = delay === 1 ? step.delayUnit.replace(/s$/, "") : step.delayUnit;
+	return `Wait ${delay} ${unit}`;
+};
+
+/**
+ * Validate a sequence before saving
+ * @param {Object} sequence - { name, trigger, status, steps: [{ delay, delayUnit, subject, content, match, conditions }] }
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateSequence = (sequence) => {
+	if (!sequence.name?.trim()) return "Sequence name is required";
+	if (!SEQUENCE_TRIGGERS.some((trigger) => trigger.value === sequence.trigger)) {
+		return "Choose what starts the sequence";
+	}
+	if (!SEQUENCE_STATUSES.includes(sequence.status)) {
+		return "Sequence status must be active or paused";
+	}
+	if (!sequence.steps?.length) return "Add at least one step";
+
+	for (const [index, step] of sequence.steps.entries()) {
+		const label = `Step ${index + 1}`;
+		const delay = Number(step.delay);
+		if (!Number.isInteger(delay) || delay < 0) {
+			return `${label}: delay must be a whole number of 0 or more`;
+		}
+		if (!SEQUENCE_DELAY_UNITS.some((unit) => unit.value === step.delayUnit)) {
+			return `${label}: choose hours or days`;
+		}
+		if (!step.subject?.trim()) return `${label}: subject is required`;
+		if (!step.content?.trim()) return `${label}: content is required`;
+
+		const mergeTagError = validateMergeTags(step.subject, step.content);
+		if (mergeTagError) return `${label}: ${mergeTagError}`;
+
+		if (step.conditions?.length) {
+			if (!SEGMENT_MATCH_OPTIONS.some((option) => option.value === step.match)) {
+				return `${label}: choose whether all or any conditions must match`;
+			}
+			const ruleError = validateSegmentRules(step.conditions);
+			if (ruleError) return `${label}: ${ruleError}`;
+		}
+	}
+	return null;
+};
@@ -0,0 +1,58 @@
+import crypto from "crypto";
+
+/**
+ * Signed unsubscribe tokens for newsletter links. A token is
+ * `<base64url subscriber ID>.<base64url HMAC-SHA256>`, signed with
+ * UNSUBSCRIBE_SECRET, so it can't be forged for another subscriber and
+ * doesn't need to be stored. Tokens don't expire: links in old newsletters
+ * keep working.
+ */
+
+const TOKEN_PURPOSE = "unsubscribe";
+
+const getUnsubscribeSecret = () => {
+	const secret = process.env.UNSUBSCRIBE_SECRET;
+	if (!secret) {
+		throw new Error("UNSUBSCRIBE_SECRET is not configured");
+	}
+	return secret;
+};
+
+const sign = (subscriberId, secret) =>
+	crypto
+		.createHmac("sha256", secret)
+		.update(`${TOKEN_PURPOSE}.${subscriberId}`)
+		.digest();
+
+/**
+ * Create the unsubscribe token of a subscriber
+ *
+ * @param {string} subscriberId - Subscriber document ID
+ * @returns {string} Token for the unsubscribe links
+ */
+export function createUnsubscribeToken(subscriberId) {
+	const signature = sign(subscriberId, getUnsubscribeSecret());
+	return `${Buffer.from(subscriberId, "utf8").toString("base64url")}.${signature.toString("base64url")}`;
+}
+
+/**
+ * Check an unsubscribe token and read the subscriber it was issued for
+ *
+ * @param {string} token - Token from an unsubscribe link
+ * @returns {string|null} Subscriber document ID, or null when the token is invalid
+ */
+export function verifyUnsubscribeToken(token) {
+	const [encodedId, encodedSignature, ...rest] = String(token || "").split(".");
+	if (!encodedId || !encodedSignature || rest.length > 0) {
+		return null;
+	}
+
+	const subscriberId = Buffer.from(encodedId, "base64url").toString("utf8");
+	const signature = Buffer.from(encodedSignature, "base64url");
+	const expected = sign(subscriberId, getUnsubscribeSecret());
+
+	return signature.length === expected.length &&
+		crypto.timingSafeEqual(signature, expected)
+		? subscriberId
+		: null;
+}
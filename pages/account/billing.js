@@ -0,0 +1,619 @@
+import React, { useState, useEffect } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import Navbar from "../../app/components/Navbar";
+import Footer from "../../app/components/Footer";
+import { motion } from "framer-motion";
+import {
+	CreditCard,
+	Calendar,
+	Download,
+	FileText,
+	ArrowRight,
+	RotateCcw,
+	X,
+	Loader2,
+	AlertTriangle,
+	LogIn,
+	Receipt,
+	ExternalLink,
+} from "lucide-react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "react-toastify";
+import { onAuthStateChange } from "../../lib/api/auth";
+import {
+	getAccountBilling,
+	changeSubscriptionPlan,
+	cancelSubscription,
+	resumeSubscription,
+	getCustomerPortalUrl,
+} from "../../lib/api/billing";
+import { CANCELED_STATUSES } from "../../lib/api/customers";
+import { downloadInvoicePDF } from "../../lib/utils/invoicePdf";
+import { formatInvoiceAmount } from "../../lib/utils/invoiceTotals";
+import { getInvoiceStatus } from "../../lib/api/invoice";
+import LoginModal from "../../lib/ui/LoginModal";
+import ConfirmationModal from "../../lib/ui/ConfirmationModal";
+import InvoiceModal from "../../lib/ui/InvoiceModal";
+import {
+	Table,
+	TableHeader,
+	TableBody,
+	TableRow,
+	TableHead,
+	TableCell,
+	TableEmpty,
+} from "../../lib/ui/Table";
+
+// Subscriptions in these states can move to another plan
+const SWITCHABLE_STATUSES = ["active", "trialing"];
+
+const PAYMENT_BADGES = {
+	succeeded: { label: "Paid", color: "bg-green-100 text-green-800" },
+	pending: { label: "Pending", color: "bg-yellow-100 text-yellow-800" },
+	failed: { label: "Failed", color: "bg-red-100 text-red-800" },
+	refunded: { label: "Refunded", color: "bg-purple-100 text-purple-800" },
+	partially_refunded: {
+		label: "Partially refunded",
+		color: "bg-purple-100 text-purple-800",
+	},
+};
+
+const INVOICE_BADGES = {
+	sent: { label: "Open", color: "bg-yellow-100 text-yellow-800" },
+	overdue: { label: "Overdue", color: "bg-red-100 text-red-800" },
+	paid: { label: "Paid", color: "bg-green-100 text-green-800" },
+	void: { label: "Void", color: "bg-zinc-100 text-zinc-500" },
+};
+
+const formatDate = (date) => {
+	if (!date) return "N/A";
+	const d = new Date(date);
+	if (isNaN(d.getTime())) return "N/A";
+	return d.toLocaleDateString("en-US", {
+		year: "numeric",
+		month: "long",
+		day: "numeric",
+	});
+};
+
+// Subscription and payment amounts are in cents; invoice totals are in
+// major units and use formatInvoiceAmount
+const formatCurrency = (amount, currency = "usd") =>
+	new Intl.NumberFormat("en-US", {
+		style: "currency",
+		currency: currency.toUpperCase(),
+	}).format((amount || 0) / 100);
+
+const Badge = ({ badge, fallback }) => (
+	<span
+		className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${
+			badge?.color || "bg-zinc-100 text-zinc-800"
+		}`}
+	>
+		{badge?.label || fallback}
+	</span>
+);
+
+/**
+ * Status line under the plan name, e.g. "Renews on ..." or "Access until ..."
+ */
+const getSubscriptionSummary = (subscription) => {
+	const { status, expiresAt, trialEndsAt, graceEndsAt, isEntitled } =
+		subscription;
+
+	if (status === "trialing") {
+		return {
+			label: "Trial",
+			color: "bg-blue-100 text-blue-800",
+			text: `Trial ends on ${formatDate(trialEndsAt || expiresAt)}`,
+		};
+	}
+	if (status === "past_due" || status === "unpaid") {
+		return {
+			label: "Payment failed",
+			color: "bg-red-100 text-red-800",
+			text: isEntitled
+				? `We couldn't charge your payment method. Access continues until ${formatDate(
+						graceEndsAt
+				  )}.`
+				: "We couldn't charge your payment method, so your plan features are paused.",
+		};
+	}
+	if (CANCELED_STATUSES.includes(status)) {
+		return isEntitled
+			? {
+					label: "Canceling",
+					color: "bg-yellow-100 text-yellow-800",
+					text: `Your plan ends on ${formatDate(expiresAt)} and won't renew.`,
+			  }
+			: {
+					label: "Canceled",
+					color: "bg-zinc-100 text-zinc-800",
+					text: `Your plan ended on ${formatDate(expiresAt)}.`,
+			  };
+	}
+	if (status === "revoked") {
+		return {
+			label: "Ended",
+			color: "bg-zinc-100 text-zinc-800",
+			text: "This subscription has ended.",
+		};
+	}
+	return {
+		label: "Active",
+		color: "bg-green-100 text-green-800",
+		text: `Renews on ${formatDate(expiresAt)}`,
+	};
+};
+
+const BillingPage = () => {
+	const queryClient = useQueryClient();
+	const [user, setUser] = useState(null);
+	const [isAuthResolved, setIsAuthResolved] = useState(false);
+	const [showLoginModal, setShowLoginModal] = useState(false);
+	const [planToSwitch, setPlanToSwitch] = useState(null);
+	const [showCancelModal, setShowCancelModal] = useState(false);
+	const [selectedPayment, setSelectedPayment] = useState(null);
+
+	useEffect(() => {
+		const unsubscribe = onAuthStateChange((firebaseUser) => {
+			setUser(firebaseUser);
+			setIsAuthResolved(true);
+		});
+		return () => unsubscribe();
+	}, []);
+
+	const {
+		data,
+		isLoading,
+		error,
+	} = useQuery({
+		queryKey: ["accountBilling", user?.uid],
+		queryFn: getAccountBilling,
+		enabled: !!user,
+	});
+
+	const { subscription = null, payments = [], invoices = [], plans = [] } =
+		data || {};
+
+	// Firestore catches up once Polar's webhook arrives
+	const refreshBilling = () => {
+		queryClient.invalidateQueries({ queryKey: ["accountBilling"] });
+		queryClient.invalidateQueries({ queryKey: ["subscription"] });
+		queryClient.invalidateQueries({ queryKey: ["entitlements"] });
+	};
+
+	const changePlanMutation = useMutation({
+		mutationFn: changeSubscriptionPlan,
+		onSuccess: (result) => {
+			toast.success(
+				`${result.message}. Your billing page updates in a moment.`
+			);
+			refreshBilling();
+		},
+		onError: (error) => {
+			toast.error(error.message || "Failed to change plan");
+		},
+	});
+
+	const cancelMutation = useMutation({
+		mutationFn: cancelSubscription,
+		onSuccess: () => {
+			toast.success(
+				"Subscription cancelled. You'll have access until the end of your billing period."
+			);
+			refreshBilling();
+		},
+		onError: (error) => {
+			toast.error(error.message || "Failed to cancel subscription");
+		},
+	});
+
+	const resumeMutation = useMutation({
+		mutationFn: resumeSubscription,
+		onSuccess: () => {
+			toast.success("Subscription resumed. It will renew as usual.");
+			refreshBilling();
+		},
+		onError: (error) => {
+			toast.error(error.message || "Failed to resume subscription");
+		},
+	});
+
+	const portalMutation = useMutation({
+		mutationFn: getCustomerPortalUrl,
+		onSuccess: ({ url }) => {
+			window.location.href = url;
+		},
+		onError: (error) => {
+			toast.error(error.message || "Failed to open the billing portal");
+		},
+	});
+
+	const summary = subscription ? getSubscriptionSummary(subscription) : null;
+	const canSwitch =
+		!!subscription && SWITCHABLE_STATUSES.includes(subscription.status);
+	const canResume =
+		!!subscription &&
+		CANCELED_STATUSES.includes(subscription.status) &&
+		subscription.isEntitled;
+	const isBusy =
+		changePlanMutation.isPending ||
+		cancelMutation.isPending ||
+		resumeMutation.isPending;
+
+	const handleSwitchConfirm = () => {
+		if (!planToSwitch) return;
+		changePlanMutation.mutate(planToSwitch.planId);
+		setPlanToSwitch(null);
+	};
+
+	const handleCancelConfirm = () => {
+		cancelMutation.mutate();
+		setShowCancelModal(false);
+	};
+
+	const renderContent = () => {
+		if (!isAuthResolved || (user && isLoading)) {
+			return (
+				<div className="flex items-center justify-center py-20 text-zinc-500">
+					<Loader2 className="w-6 h-6 animate-spin" />
+				</div>
+			);
+		}
+
+		if (!user) {
+			return (
+				<div className="text-center py-20 border border-zinc-200 rounded-xl">
+					<p className="text-zinc-600 mb-4">
+						Sign in to see your plan, payments and invoices.
+					</p>
+					<button
+						onClick={() => setShowLoginModal(true)}
+						className="inline-flex items-center gap-2 px-4 py-2 bg-zinc-900 text-white rounded-xl text-sm font-medium hover:bg-zinc-800 transition-colors"
+					>
+						<LogIn className="w-4 h-4" />
+						Sign In
+					</button>
+				</div>
+			);
+		}
+
+		if (error) {
+			return (
+				<div className="text-center py-20 border border-red-200 bg-red-50 rounded-xl text-sm text-red-700">
+					{error.message || "Failed to load billing details."}
+				</div>
+			);
+		}
+
+		return (
+			<div className="space-y-10">
+				{/* Current Plan */}
+				<section>
+					<h2 className="text-lg font-semibold text-zinc-900 mb-4">
+						Current Plan
+					</h2>
+					{subscription ? (
+						<motion.div
+							initial={{ opacity: 0, y: -10 }}
+							animate={{ opacity: 1, y: 0 }}
+							className="p-6 border border-zinc-200 rounded-xl"
+						>
+							<div className="flex items-start justify-between flex-wrap gap-4">
+								<div>
+									<div className="flex items-center gap-3 mb-2">
+										<CreditCard className="w-5 h-5 text-zinc-600" />
+										<h3 className="text-xl font-bold text-zinc-900">
+											{subscription.planName || "Subscription"}
+										</h3>
+										<Badge badge={summary} />
+									</div>
+									<p className="text-sm text-zinc-600">
+										{formatCurrency(subscription.amount, subscription.currency)}{" "}
+										per billing period
+									</p>
+									<p className="text-sm text-zinc-600 mt-1 flex items-center gap-2">
+										<Calendar className="w-4 h-4" />
+										{summary.text}
+									</p>
+									{(subscription.status === "past_due" ||
+										subscription.status === "unpaid") && (
+										<p className="text-sm text-red-700 mt-3 flex items-center gap-2">
+											<AlertTriangle className="w-4 h-4" />
+											Update your payment method to keep your plan.
+										</p>
+									)}
+								</div>
+								<div className="flex items-center gap-2 flex-wrap">
+									<button
+										onClick={() => portalMutation.mutate()}
+										disabled={portalMutation.isPending}
+										className="flex items-center gap-2 px-4 py-2 bg-white text-zinc-700 border border-zinc-300 hover:bg-zinc-100 rounded-xl text-sm font-medium transition-colors disabled:opacity-50"
+									>
+										{portalMutation.isPending ? (
+											<Loader2 className="w-4 h-4 animate-spin" />
+										) : (
+											<ExternalLink className="w-4 h-4" />
+										)}
+										Update Payment Method
+									</button>
+									{canResume && (
+										<button
+											onClick={() => resumeMutation.mutate()}
+											disabled={isBusy}
+											className="flex items-center gap-2 px-4 py-2 bg-zinc-900 hover:bg-zinc-800 text-white rounded-xl text-sm font-medium transition-colors disabled:opacity-50"
+										>
+											<RotateCcw
+												className={`w-4 h-4 ${
+													resumeMutation.isPending ? "animate-spin" : ""
+												}`}
+											/>
+											Resume Subscription
+										</button>
+									)}
+									{canSwitch && (
+										<button
+											onClick={() => setShowCancelModal(true)}
+											disabled={isBusy}
+											className="flex items-center gap-2 px-4 py-2 bg-red-50 text-red-700 border border-red-200 hover:bg-red-100 rounded-xl text-sm font-medium transition-colors disabled:opacity-50"
+										>
+											<X className="w-4 h-4" />
+											Cancel at Period End
+										</button>
+									)}
+								</div>
+							</div>
+						</motion.div>
+					) : (
+						<div className="p-6 border border-zinc-200 rounded-xl flex items-center justify-between flex-wrap gap-4">
+							<p className="text-sm text-zinc-600">
+								You're on the free plan.
+							</p>
+							<Link
+								href="/pricing"
+								className="flex items-center gap-2 px-4 py-2 bg-zinc-900 hover:bg-zinc-800 text-white rounded-xl text-sm font-medium transition-colors"
+							>
+								See Plans
+								<ArrowRight className="w-4 h-4" />
+							</Link>
+						</div>
+					)}
+				</section>
+
+				{/* Change Plan */}
+				{canSwitch && plans.length > 1 && (
+					<section>
+						<h2 className="text-lg font-semibold text-zinc-900 mb-1">
+							Change Plan
+						</h2>
+						<p className="text-sm text-zinc-600 mb-4">
+							The price difference is prorated on your next invoice.
+						</p>
+						<div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+							{plans.map((plan) => {
+								const isCurrent = plan.planId === subscription.planId;
+								return (
+									<div
+										key={plan.planId}
+										className={`p-5 rounded-xl border-2 ${
+											isCurrent ? "border-zinc-900" : "border-zinc-200"
+										}`}
+									>
+										<h3 className="font-semibold text-zinc-900">{plan.name}</h3>
+										<p className="text-2xl font-bold text-zinc-900 mt-2">
+											{plan.amount !== null
+												? formatCurrency(plan.amount, plan.currency)
+												: "Custom"}
+											<span className="text-sm font-normal text-zinc-600">
+												/{plan.interval}
+											</span>
+										</p>
+										{plan.description && (
+											<p className="text-sm text-zinc-600 mt-2 line-clamp-2">
+												{plan.description}
+											</p>
+										)}
+										<button
+											onClick={() => setPlanToSwitch(plan)}
+											disabled={isCurrent || isBusy}
+											className="w-full mt-4 py-2 rounded-xl text-sm font-medium transition-colors bg-zinc-100 text-zinc-900 hover:bg-zinc-200 disabled:opacity-50 disabled:cursor-not-allowed"
+										>
+											{isCurrent ? "Current Plan" : `Switch to ${plan.name}`}
+										</button>
+									</div>
+								);
+							})}
+						</div>
+					</section>
+				)}
+
+				{/* Payment History */}
+				<section>
+					<h2 className="text-lg font-semibold text-zinc-900 mb-4">
+						Payment History
+					</h2>
+					<div className="overflow-x-auto">
+						<Table>
+							<TableHeader>
+								<TableRow>
+									<TableHead>Date</TableHead>
+									<TableHead>Plan</TableHead>
+									<TableHead>Amount</TableHead>
+									<TableHead>Status</TableHead>
+									<TableHead>Receipt</TableHead>
+								</TableRow>
+							</TableHeader>
+							<TableBody>
+								{payments.length === 0 ? (
+									<TableEmpty colSpan={5} message="No payments yet." />
+								) : (
+									payments.map((payment) => (
+										<TableRow key={payment.id}>
+											<TableCell>{formatDate(payment.createdAt)}</TableCell>
+											<TableCell>{payment.planName || "—"}</TableCell>
+											<TableCell>
+												{formatCurrency(payment.amount, payment.currency)}
+												{payment.refundedAmount > 0 && (
+													<div className="text-xs text-purple-700">
+														{formatCurrency(
+															payment.refundedAmount,
+															payment.currency
+														)}{" "}
+														refunded
+													</div>
+												)}
+											</TableCell>
+											<TableCell>
+												<Badge
+													badge={PAYMENT_BADGES[payment.status]}
+													fallback={payment.status}
+												/>
+											</TableCell>
+											<TableCell>
+												<button
+													onClick={() => setSelectedPayment(payment)}
+													className="p-2 text-zinc-600 hover:text-zinc-900 hover:bg-zinc-100 rounded-xl transition-colors"
+													title="View Receipt"
+												>
+													<Receipt className="w-4 h-4" />
+												</button>
+											</TableCell>
+										</TableRow>
+									))
+								)}
+							</TableBody>
+						</Table>
+					</div>
+				</section>
+
+				{/* Invoices */}
+				<section>
+					<h2 className="text-lg font-semibold text-zinc-900 mb-4">Invoices</h2>
+					<div className="overflow-x-auto">
+						<Table>
+							<TableHeader>
+								<TableRow>
+									<TableHead>Invoice</TableHead>
+									<TableHead>Date</TableHead>
+									<TableHead>Total</TableHead>
+									<TableHead>Status</TableHead>
+									<TableHead>PDF</TableHead>
+								</TableRow>
+							</TableHeader>
+							<TableBody>
+								{invoices.length === 0 ? (
+									<TableEmpty colSpan={5} message="No invoices yet." />
+								) : (
+									invoices.map((invoice) => (
+										<TableRow key={invoice.id}>
+											<TableCell>
+												<div className="flex items-center gap-2 font-mono text-sm">
+													<FileText className="w-4 h-4 text-zinc-400" />
+													{invoice.invoiceNumber || invoice.id}
+												</div>
+											</TableCell>
+											<TableCell>
+												{formatDate(invoice.invoiceDate || invoice.createdAt)}
+											</TableCell>
+											<TableCell>
+												{formatInvoiceAmount(invoice.total, invoice.currency)}
+											</TableCell>
+											<TableCell>
+												<Badge
+													badge={INVOICE_BADGES[getInvoiceStatus(invoice)]}
+													fallback={getInvoiceStatus(invoice)}
+												/>
+											</TableCell>
+											<TableCell>
+												<button
+													onClick={() => downloadInvoicePDF(invoice)}
+													className="p-2 text-zinc-600 hover:text-zinc-900 hover:bg-zinc-100 rounded-xl transition-colors"
+													title="Download PDF"
+												>
+													<Download className="w-4 h-4" />
+												</button>
+											</TableCell>
+										</TableRow>
+									))
+								)}
+							</TableBody>
+						</Table>
+					</div>
+				</section>
+			</div>
+		);
+	};
+
+	return (
+		<>
+			<Head>
+				<title>Billing - YourApp</title>
+				<meta
+					name="description"
+					content="Manage your subscription, payments and invoices."
+				/>
+			</Head>
+			<div className="min-h-screen flex flex-col">
+				<Navbar />
+
+				<section className="flex-1 py-20 px-4 sm:px-6 lg:px-8">
+					<div className="max-w-5xl mx-auto">
+						<div className="mb-10">
+							<h1 className="text-3xl font-bold text-zinc-900 mb-2">Billing</h1>
+							<p className="text-zinc-600">
+								Your plan, payment history and invoices
+							</p>
+						</div>
+
+						{renderContent()}
+					</div>
+				</section>
+
+				<Footer />
+
+				<LoginModal
+					isOpen={showLoginModal}
+					onClose={() => setShowLoginModal(false)}
+				/>
+
+				<InvoiceModal
+					isOpen={!!selectedPayment}
+					onClose={() => setSelectedPayment(null)}
+					payment={selectedPayment}
+				/>
+
+				<ConfirmationModal
+					isOpen={!!planToSwitch}
+					onClose={() => setPlanToSwitch(null)}
+					onConfirm={handleSwitchConfirm}
+					title="Change Plan"
+					message={
+						planToSwitch
+							? `Switch from ${subscription?.planName || "your plan"} to ${
+									planToSwitch.name
+							  }? The price difference for the rest of this period is added to your next invoice.`
+							: ""
+					}
+					confirmText="Switch Plan"
+					variant="info"
+				/>
+
+				<ConfirmationModal
+					isOpen={showCancelModal}
+					onClose={() => setShowCancelModal(false)}
+					onConfirm={handleCancelConfirm}
+					title="Cancel Subscription"
+					message={`Your plan stays active until ${formatDate(
+						subscription?.expiresAt
+					)} and won't renew after that. You can resume it any time before then.`}
+					confirmText="Cancel Subscription"
+					variant="danger"
+				/>
+			</div>
+		</>
+	);
+};
+
+export default BillingPage;
@@ -154,7 +154,9 @@ const BlogEditorPage = () => {
 		},
 		onError: (error) => {
 			console.error("Error saving blog:", error);
-			toast.error("Failed to save blog. Please try again.");
+			toast.error(
+				error.message || "Failed to save blog. Please try again."
+			);
 			setIsSaving(false);
 		},
 	});
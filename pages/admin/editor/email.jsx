@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import { useRouter } from "next/router";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { motion, AnimatePresence } from "framer-motion";
@@ -14,6 +14,8 @@ import {
 	X,
 	Calendar,
 	Send,
+	Braces,
+	UserRound,
 } from "lucide-react";
 import TiptapEditor from "../../../app/admin/components/TiptapEditor";
 import {
@@ -24,9 +26,22 @@ import {
 } from "../../../lib/api/emails";
 import { getAllUsers } from "../../../lib/api/users";
 import { getAllCustomers } from "../../../lib/api/customers";
+import { getAllSubscribers } from "../../../lib/api/subscribers";
 import AnimatedDropdown from "../../../lib/ui/AnimatedDropdown";
 import { toast } from "react-toastify";
 import ReactMarkdown from "react-markdown";
+import { authFetch } from "../../../lib/utils/authFetch";
+import {
+	MERGE_TAGS,
+	createMergeTagResolver,
+	renderMergeTags,
+	validateMergeTags,
+} from "../../../lib/utils/mergeTags";
+
+// Merge tag values shown when previewing as the sample recipient
+const SAMPLE_MERGE_TAG_VALUES = Object.fromEntries(
+	MERGE_TAGS.map((tag) => [tag.key, tag.sample])
+);
 
 const EmailEditorPage = () => {
 	const router = useRouter();
@@ -86,6 +101,13 @@ const EmailEditorPage = () => {
 	const [customName, setCustomName] = useState("");
 	const [isSendingEmail, setIsSendingEmail] = useState(false);
 
+	// Merge tags: the editor instance to insert them into, and the
+	// recipient the preview resolves them for
+	const editorRef = useRef(null);
+	const [previewRecipient, setPreviewRecipient] = useState("sample");
+	const [isPreviewRecipientDropdownOpen, setIsPreviewRecipientDropdownOpen] =
+		useState(false);
+
 	// Fetch all emails for sidebar
 	const { data: emails = [], isLoading: isLoadingEmails } = useQuery({
 		queryKey: ["emails"],
@@ -103,6 +125,11 @@ const EmailEditorPage = () => {
 		queryFn: () => getAllCustomers(),
 	});
 
+	const { data: subscribers = [] } = useQuery({
+		queryKey: ["subscribers"],
+		queryFn: () => getAllSubscribers(),
+	});
+
 	// Filter emails based on search
 	const filteredEmails = emails.filter((email) =>
 		email.subject?.toLowerCase().includes(searchQuery.toLowerCase())
@@ -155,7 +182,9 @@ const EmailEditorPage = () => {
 		},
 		onError: (error) => {
 			console.error("Error saving email:", error);
-			toast.error("Failed to save email. Please try again.");
+			toast.error(
+				error.message || "Failed to save email. Please try again."
+			);
 			setIsSaving(false);
 		},
 	});
@@ -171,6 +200,58 @@ const EmailEditorPage = () => {
 		setEmailForm((prev) => ({ ...prev, status }));
 	};
 
+	// Unknown merge tags, e.g. a misspelled {{nmae}}
+	const mergeTagError = validateMergeTags(emailForm.subject, emailContent);
+
+	// Insert a merge tag at the editor's cursor
+	const handleInsertMergeTag = (key) => {
+		if (isPreviewMode || !editorRef.current) return;
+		editorRef.current.chain().focus().insertContent(`{{${key}}}`).run();
+	};
+
+	// Recipients the preview can resolve merge tags for
+	const previewRecipientOptions = [
+		{ value: "sample", label: "Sample recipient" },
+		...subscribers.map((subscriber) => ({
+			value: `subscriber:${subscriber.id}`,
+			label: `Subscriber: ${subscriber.name || subscriber.email}`,
+			data: subscriber,
+		})),
+		...users.map((user) => ({
+			value: `user:${user.id}`,
+			label: `User: ${user.name || user.displayName || user.email}`,
+			data: user,
+		})),
+		...customers.map((customer) => ({
+			value: `customer:${customer.id}`,
+			label: `Customer: ${customer.name || customer.email}`,
+			data: customer,
+		})),
+	];
+
+	const resolveMergeTags = useMemo(
+		() => createMergeTagResolver({ subscribers, users, customers }),
+		[subscribers, users, customers]
+	);
+
+	// Same values as at send time; only newsletter subscribers get an
+	// unsubscribe link, shown here as the sample one
+	const getPreviewValues = () => {
+		const selected = previewRecipientOptions.find(
+			(option) => option.value === previewRecipient
+		);
+		if (!selected?.data) return SAMPLE_MERGE_TAG_VALUES;
+		return resolveMergeTags(
+			{
+				email: selected.data.email,
+				name: selected.data.name || selected.data.displayName,
+			},
+			previewRecipient.startsWith("subscriber:")
+				? SAMPLE_MERGE_TAG_VALUES.unsubscribe_url
+				: ""
+		);
+	};
+
 	// Save handler
 	const handleSave = async () => {
 		setIsSaving(true);
@@ -179,6 +260,11 @@ const EmailEditorPage = () => {
 			setIsSaving(false);
 			return;
 		}
+		if (emailForm.status === "scheduled" && mergeTagError) {
+			toast.warning(`Fix merge tags before scheduling. ${mergeTagError}`);
+			setIsSaving(false);
+			return;
+		}
 		saveEmailMutation.mutate({
 			...emailForm,
 			content: emailContent,
@@ -307,7 +393,7 @@ const EmailEditorPage = () => {
 
 		setIsSendingEmail(true);
 		try {
-			const response = await fetch("/api/emails/send-single", {
+			const response = await authFetch("/api/emails/send-single", {
 				method: "POST",
 				headers: {
 					"Content-Type": "application/json",
@@ -545,11 +631,38 @@ const EmailEditorPage = () => {
 					{isPreviewMode ? (
 						/* Preview Mode */
 						<div className="w-full max-w-3xl bg-white rounded-xl shadow-sm border border-zinc-200 p-6 overflow-y-auto">
+							<div className="flex flex-wrap items-center justify-between gap-3 mb-4 pb-4 border-b border-zinc-200">
+								<span className="flex items-center gap-1.5 text-xs font-medium text-zinc-700">
+									<UserRound className="w-3.5 h-3.5" />
+									Preview as
+								</span>
+								<div className="w-72">
+									<AnimatedDropdown
+										isOpen={isPreviewRecipientDropdownOpen}
+										onToggle={() =>
+											setIsPreviewRecipientDropdownOpen(
+												!isPreviewRecipientDropdownOpen
+											)
+										}
+										onSelect={setPreviewRecipient}
+										options={previewRecipientOptions}
+										value={previewRecipient}
+										placeholder="Select recipient..."
+										buttonClassName="text-sm"
+									/>
+								</div>
+							</div>
 							<h1 className="text-3xl font-bold text-zinc-900 mb-4">
-								{emailForm.subject || "Email Preview"}
+								{renderMergeTags(emailForm.subject, getPreviewValues(), {
+									html: false,
+								}) || "Email Preview"}
 							</h1>
 							<div className="prose prose-zinc max-w-none prose-sm">
-								<ReactMarkdown>{emailContent || ""}</ReactMarkdown>
+								<ReactMarkdown>
+									{renderMergeTags(emailContent, getPreviewValues(), {
+										html: false,
+									})}
+								</ReactMarkdown>
 							</div>
 						</div>
 					) : (
@@ -559,6 +672,7 @@ const EmailEditorPage = () => {
 									placeholder="Start writing your email... Type / for commands"
 									content={emailContent}
 									onChange={setEmailContent}
+									onEditorReady={(editor) => (editorRef.current = editor)}
 									minHeight="100%"
 									maxHeight="none"
 								/>
@@ -605,6 +719,37 @@ const EmailEditorPage = () => {
 								/>
 							</div>
 
+							{/* Merge Tags */}
+							<div>
+								<label className="block text-xs font-medium text-zinc-700 mb-1.5 flex items-center gap-1.5">
+									<Braces className="w-3.5 h-3.5" />
+									Merge Tags
+								</label>
+								<div className="flex flex-wrap gap-1.5">
+									{MERGE_TAGS.map((tag) => (
+										<motion.button
+											key={tag.key}
+											whileHover={{ scale: 1.02 }}
+											whileTap={{ scale: 0.98 }}
+											onClick={() => handleInsertMergeTag(tag.key)}
+											disabled={isPreviewMode}
+											title={tag.description}
+											className="px-2 py-1 text-xs font-mono bg-zinc-100 hover:bg-zinc-200 text-zinc-700 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+										>
+											{`{{${tag.key}}}`}
+										</motion.button>
+									))}
+								</div>
+								<p className="mt-1.5 text-xs text-zinc-500">
+									Click to insert at the cursor. Replaced per recipient when
+									sent; add a fallback for missing values, e.g.{" "}
+									<span className="font-mono">{"{{name|there}}"}</span>.
+								</p>
+								{mergeTagError && (
+									<p className="mt-1.5 text-xs text-red-600">{mergeTagError}</p>
+								)}
+							</div>
+
 							{/* Status */}
 							<div>
 								<label className="block text-xs font-medium text-zinc-700 mb-1.5">
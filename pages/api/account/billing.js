@@ -0,0 +1,30 @@
+import { withAuth } from "../../../lib/api/apiAuth";
+import { getBillingOverview } from "../../../lib/api/billing";
+
+/**
+ * Billing overview of the signed-in user: subscription, payments, invoices
+ * and the plans they can switch to
+ * GET /api/account/billing
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (any signed-in user)
+ */
+async function handler(req, res) {
+	if (req.method !== "GET") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	if (!req.user.email) {
+		return res.status(400).json({ error: "Account has no email address" });
+	}
+
+	try {
+		const overview = await getBillingOverview(req.user.email);
+		return res.status(200).json(overview);
+	} catch (error) {
+		console.error("Error loading billing overview:", error);
+		return res.status(500).json({
+			error: "Failed to load billing details",
+		});
+	}
+}
+
+export default withAuth(handler);
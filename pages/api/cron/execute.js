@@ -1,28 +1,43 @@
 import {
-	getAllCronJobs,
-	markCronJobCompleted,
-	markCronJobFailed,
+	getDueCronJobs,
+	claimCronJob,
+	recoverExpiredCronJobLeases,
+	completeCronJobRun,
+	failCronJobRun,
 } from "../../../lib/api/cronJobs";
-import { publishBlog } from "../../../lib/api/blog";
-import { getEmailById, markEmailAsSent } from "../../../lib/api/emails";
-import { getActiveSubscribers } from "../../../lib/api/subscribers";
-import { Resend } from "resend";
-
-const resend = new Resend(process.env.RESEND_API_KEY);
+import { executeCronJob } from "../../../lib/api/cronJobHandlers";
+import {
+	getBearerToken,
+	authenticateRequest,
+} from "../../../lib/api/apiAuth";
+import { hasPermission } from "../../../lib/config/roles-config";
 
 /**
  * Execute scheduled CRON jobs
  * This endpoint should be called by an external CRON service
  * POST /api/cron/execute
  * Headers: { 'Authorization': 'Bearer YOUR_SECRET_TOKEN' }
+ * Admin users can also call it with 'Bearer <Firebase ID token>' (requires cronJobs:execute)
  */
 export default async function handler(req, res) {
 	// Verify authorization (use a secret token)
-	const authToken = req.headers.authorization?.replace("Bearer ", "");
+	const authToken = getBearerToken(req);
 	const expectedToken = process.env.CRON_SECRET_TOKEN;
 
-	// If CRON_SECRET_TOKEN is set, require it. Otherwise, allow without auth for development
-	if (expectedToken && authToken !== expectedToken) {
+	// If CRON_SECRET_TOKEN is set, require it or a team member allowed to run jobs.
+	// Otherwise, allow without auth for development
+	if (authToken && authToken !== expectedToken) {
+		const user = await authenticateRequest(req);
+		if (!user) {
+			return res.status(401).json({ error: "Unauthorized" });
+		}
+		if (!hasPermission(user.role, "cronJobs", "execute")) {
+			return res.status(403).json({
+				error: "Forbidden",
+				message: "Your role doesn't allow this action",
+			});
+		}
+	} else if (expectedToken && authToken !== expectedToken) {
 		return res.status(401).json({ error: "Unauthorized" });
 	}
 
@@ -33,90 +48,51 @@ export default async function handler(req, res) {
 
 	try {
 		const now = new Date();
-		const cronJobs = await getAllCronJobs();
 
-		// Filter jobs that are scheduled and due
-		const dueJobs = cronJobs.filter((job) => {
-			if (job.status !== "scheduled") return false;
-			const scheduledDate = job.scheduledDate?.toDate
-				? job.scheduledDate.toDate()
-				: new Date(job.scheduledDate);
-			return scheduledDate <= now;
-		});
+		// Jobs left 'running' by a crashed invocation go back through the retry flow
+		const recovered = await recoverExpiredCronJobLeases(now);
+
+		const dueJobs = await getDueCronJobs(now);
 
 		const results = {
 			processed: 0,
 			success: 0,
 			failed: 0,
+			skipped: 0,
+			recovered: recovered.length,
 			errors: [],
 		};
 
-		for (const job of dueJobs) {
-			try {
-				if (job.type === "blog") {
-					// Publish the blog
-					await publishBlog(job.itemId);
-					await markCronJobCompleted(job.id);
-					results.success++;
-					results.processed++;
-				} else if (job.type === "email") {
-					// Get email details and send
-					const email = await getEmailById(job.itemId);
-
-					if (email && email.subject && email.content) {
-						const subscribers = await getActiveSubscribers();
-
-						if (subscribers.length > 0) {
-							// Send email in batches
-							const BATCH_SIZE = 50;
-							let successCount = 0;
-
-							for (let i = 0; i < subscribers.length; i += BATCH_SIZE) {
-								const batch = subscribers.slice(i, i + BATCH_SIZE);
-								const to = batch.map((sub) => sub.email);
-
-								try {
-									await resend.emails.send({
-										from:
-											process.env.RESEND_FROM_EMAIL ||
-											"connect@ihatereading.in",
-										to: to,
-										subject: email.subject,
-										html: email.content,
-									});
-									successCount += batch.length;
-								} catch (error) {
-									console.error(`Error sending email batch:`, error);
-								}
-							}
+		for (const dueJob of dueJobs) {
+			// Another invocation may have claimed the job since the query ran
+			const job = await claimCronJob(dueJob.id);
+			if (!job) {
+				results.skipped++;
+				continue;
+			}
 
-							if (successCount > 0) {
-								await markEmailAsSent(job.itemId, successCount);
-								await markCronJobCompleted(job.id);
-								results.success++;
-								results.processed++;
-								console.log(
-									`[CRON] Successfully sent email ${job.itemId} to ${successCount} recipients`
-								);
-							} else {
-								throw new Error("Failed to send email to any recipients");
-							}
-						} else {
-							throw new Error("No active subscribers found");
-						}
-					} else {
-						throw new Error("Email data incomplete");
-					}
-				}
+			const startedAt = new Date();
+			try {
+				const details = await executeCronJob(job);
+				await completeCronJobRun(job, startedAt, details);
+				results.success++;
+				results.processed++;
 			} catch (error) {
 				console.error(`Error processing CRON job ${job.id}:`, error);
-				await markCronJobFailed(job.id, error.message);
+				const nextRetryAt = await failCronJobRun(
+					job,
+					error.message,
+					startedAt,
+					error.details || null
+				);
 				results.failed++;
 				results.processed++;
 				results.errors.push({
 					jobId: job.id,
 					type: job.type,
 					error: error.message,
+					nextRetryAt: nextRetryAt ? nextRetryAt.toISOString() : null,
+					dead: !nextRetryAt,
 				});
 			}
 		}
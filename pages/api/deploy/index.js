@@ -5,8 +5,9 @@ import {
 	pushToGitHub,
 	reconstructFilesFromAST,
 } from "../../../lib/github";
+import { withAuth } from "../../../lib/api/apiAuth";
 
-export default async function handler(req, res) {
+async function handler(req, res) {
 	if (req.method !== "POST") {
 		return res.status(405).json({ error: "Method not allowed" });
 	}
@@ -375,3 +376,6 @@ async function waitForDeployment(token, deploymentId, maxAttempts = 30) {
 
 	throw new Error("Deployment timeout - please check Vercel dashboard");
 }
+
+// Deploys use the server's Vercel token, so only roles allowed to deploy may run them
+export default withAuth(handler, { resource: "deployments", action: "execute" });
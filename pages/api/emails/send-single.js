@@ -1,15 +1,14 @@
-import { Resend } from "resend";
-
-const resend = new Resend(
-	process.env.RESEND_API_KEY || "re_V1pvhE6X_HbnDpnVWBhiATKSxtGrTmCTy"
-);
+import { withAuth } from "../../../lib/api/apiAuth";
+import { sendCampaignEmails } from "../../../lib/api/newsletterEmails";
+import { validateMergeTags } from "../../../lib/utils/mergeTags";
 
 /**
- * Send email to a single user
+ * Send email to a single user, with merge tags resolved for them
  * POST /api/emails/send-single
  * Body: { email: string, name?: string, subject: string, content: string }
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (requires emails:send or waitlist:send)
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
 	if (req.method !== "POST") {
 		return res.status(405).json({ error: "Method not allowed" });
 	}
@@ -30,22 +29,25 @@ export default async function handler(req, res) {
 			return res.status(400).json({ error: "Invalid email format" });
 		}
 
+		const mergeTagError = validateMergeTags(subject, content);
+		if (mergeTagError) {
+			return res.status(400).json({ error: mergeTagError });
+		}
+
 		console.log("Sending email to single user:", { email, name, subject });
 
-		// Send email using Resend
-		const emailData = await resend.emails.send({
-			from: process.env.RESEND_FROM_EMAIL || "connect@ihatereading.in",
-			to: [email],
-			subject: subject,
-			html: content,
+		const { successCount, batches } = await sendCampaignEmails({
+			subject,
+			content,
+			recipients: [{ email, name }],
 		});
-
-		console.log("Email sent successfully:", emailData);
+		if (successCount === 0) {
+			throw new Error(batches[0]?.error || "Failed to send email");
+		}
 
 		return res.status(200).json({
 			success: true,
 			message: "Email sent successfully",
-			data: emailData,
 		});
 	} catch (error) {
 		console.error("Error sending email:", error);
@@ -56,3 +58,9 @@ export default async function handler(req, res) {
 	}
 }
 
+export default withAuth(handler, {
+	anyOf: [
+		{ resource: "emails", action: "send" },
+		{ resource: "waitlist", action: "send" },
+	],
+});
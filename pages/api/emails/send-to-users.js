@@ -1,17 +1,17 @@
-import { Resend } from "resend";
 import { getUsersWithVerifiedEmails } from "../../../lib/api/users";
 import { markEmailAsSent } from "../../../lib/api/emails";
-
-const resend = new Resend(
-	process.env.RESEND_API_KEY || "re_V1pvhE6X_HbnDpnVWBhiATKSxtGrTmCTy"
-);
+import { sendCampaignEmails } from "../../../lib/api/newsletterEmails";
+import { withAuth } from "../../../lib/api/apiAuth";
+import { validateMergeTags } from "../../../lib/utils/mergeTags";
 
 /**
- * Send email to authenticated users in batches
+ * Send email to authenticated users, one email each with merge tags
+ * ({{name}}, {{email}}, {{plan}}) resolved per user
  * POST /api/emails/send-to-users
  * Body: { emailId: string, subject: string, content: string }
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (requires emails:send)
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
 	if (req.method !== "POST") {
 		return res.status(405).json({ error: "Method not allowed" });
 	}
@@ -25,6 +25,11 @@ export default async function handler(req, res) {
 			});
 		}
 
+		const mergeTagError = validateMergeTags(subject, content);
+		if (mergeTagError) {
+			return res.status(400).json({ error: mergeTagError });
+		}
+
 		// Get all users with verified emails
 		const users = await getUsersWithVerifiedEmails();
 
@@ -34,54 +39,23 @@ export default async function handler(req, res) {
 			});
 		}
 
-		// Prepare email data
-		const emailData = {
-			from: process.env.RESEND_FROM_EMAIL || "connect@ihatereading.in",
-			subject: subject,
-			html: content,
-		};
-
-		// Send emails in batches (Resend allows up to 50 recipients per batch)
-		const BATCH_SIZE = 50;
-		const batches = [];
-		let successCount = 0;
-		let errorCount = 0;
-		const errors = [];
-
-		for (let i = 0; i < users.length; i += BATCH_SIZE) {
-			const batch = users.slice(i, i + BATCH_SIZE);
-			const to = batch.map((user) => user.email).filter(Boolean);
-
-			if (to.length === 0) continue;
-
-			try {
-				const data = await resend.emails.send({
-					...emailData,
-					to: to,
-				});
-
-				successCount += to.length;
-				batches.push({
-					batchNumber: Math.floor(i / BATCH_SIZE) + 1,
-					recipients: to.length,
-					messageId: data.id,
-				});
-			} catch (error) {
-				errorCount += to.length;
-				errors.push({
-					batchNumber: Math.floor(i / BATCH_SIZE) + 1,
-					error: error.message,
-				});
-				console.error(
-					`Error sending batch ${Math.floor(i / BATCH_SIZE) + 1}:`,
-					error
-				);
-			}
-		}
+		// One email per user, with merge tags resolved for each
+		const { successCount, errorCount, batches } = await sendCampaignEmails({
+			subject,
+			content,
+			recipients: users.map((user) => ({
+				email: user.email,
+				name: user.name || user.displayName,
+			})),
+			campaignId: emailId,
+		});
+		const errors = batches
+			.filter((batch) => batch.status === "failed")
+			.map(({ batchNumber, error }) => ({ batchNumber, error }));
 
 		// Mark email as sent in Firestore
 		if (successCount > 0) {
-			await markEmailAsSent(emailId, successCount);
+			await markEmailAsSent(emailId, successCount, req.user);
 		}
 
 		return res.status(200).json({
@@ -104,3 +78,5 @@ export default async function handler(req, res) {
 		});
 	}
 }
+
+export default withAuth(handler, { resource: "emails", action: "send" });
@@ -1,23 +1,26 @@
-import { Resend } from "resend";
-import { getActiveSubscribers } from "../../../lib/api/subscribers";
 import { markEmailAsSent } from "../../../lib/api/emails";
-
-const resend = new Resend(
-	process.env.RESEND_API_KEY || "re_V1pvhE6X_HbnDpnVWBhiATKSxtGrTmCTy"
-);
+import {
+	getCampaignAudience,
+	sendCampaignEmails,
+} from "../../../lib/api/newsletterEmails";
+import { withAuth } from "../../../lib/api/apiAuth";
+import { validateMergeTags } from "../../../lib/utils/mergeTags";
 
 /**
- * Send email to subscribers in batches
+ * Send email to all active subscribers, or to the contacts of a segment,
+ * one email each with merge tags resolved for the recipient. Subscribers
+ * get a personal unsubscribe link and List-Unsubscribe headers.
  * POST /api/emails/send
- * Body: { emailId: string, subject: string, content: string }
+ * Body: { emailId: string, subject: string, content: string, segmentId?: string }
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (requires emails:send)
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
 	if (req.method !== "POST") {
 		return res.status(405).json({ error: "Method not allowed" });
 	}
 
 	try {
-		const { emailId, subject, content } = req.body;
+		const { emailId, subject, content, segmentId } = req.body;
 
 		if (!emailId || !subject || !content) {
 			return res.status(400).json({
@@ -25,68 +28,55 @@ export default async function handler(req, res) {
 			});
 		}
 
-		// Get all active subscribers
-		const subscribers = await getActiveSubscribers();
+		const mergeTagError = validateMergeTags(subject, content);
+		if (mergeTagError) {
+			return res.status(400).json({ error: mergeTagError });
+		}
 
-		if (subscribers.length === 0) {
+		let audience;
+		try {
+			audience = await getCampaignAudience(segmentId);
+		} catch (error) {
+			if (error.message === "Segment not found") {
+				return res.status(404).json({ error: error.message });
+			}
+			throw error;
+		}
+		const { recipients, records, segment } = audience;
+
+		if (recipients.length === 0) {
 			return res.status(400).json({
-				error: "No active subscribers found",
+				error: segment
+					? `No contacts match the segment "${segment.name}"`
+					: "No active subscribers found",
 			});
 		}
 
-		// Prepare email data
-		const emailData = {
-			from: process.env.RESEND_FROM_EMAIL || "connect@ihatereading.in",
-			subject: subject,
-			html: content,
-		};
-
-		// Send emails in batches (Resend allows up to 50 recipients per batch)
-		const BATCH_SIZE = 50;
-		const batches = [];
-		let successCount = 0;
-		let errorCount = 0;
-		const errors = [];
-
-		for (let i = 0; i < subscribers.length; i += BATCH_SIZE) {
-			const batch = subscribers.slice(i, i + BATCH_SIZE);
-			const to = batch.map((sub) => sub.email);
-
-			try {
-				const data = await resend.emails.send({
-					...emailData,
-					to: to,
-				});
-
-				successCount += batch.length;
-				batches.push({
-					batchNumber: Math.floor(i / BATCH_SIZE) + 1,
-					recipients: batch.length,
-					messageId: data.id,
-				});
-			} catch (error) {
-				errorCount += batch.length;
-				errors.push({
-					batchNumber: Math.floor(i / BATCH_SIZE) + 1,
-					error: error.message,
-				});
-				console.error(
-					`Error sending batch ${Math.floor(i / BATCH_SIZE) + 1}:`,
-					error
-				);
-			}
-		}
+		// One email per recipient, subscribers each with their own unsubscribe link
+		const { successCount, errorCount, batches } = await sendCampaignEmails({
+			subject,
+			content,
+			recipients,
+			records,
+			campaignId: emailId,
+			baseUrl: process.env.NEXT_PUBLIC_SITE_URL || req.headers.origin,
+		});
+		const errors = batches
+			.filter((batch) => batch.status === "failed")
+			.map(({ batchNumber, error }) => ({ batchNumber, error }));
 
 		// Mark email as sent in Firestore
 		if (successCount > 0) {
-			await markEmailAsSent(emailId, successCount);
+			await markEmailAsSent(emailId, successCount, req.user);
 		}
 
 		return res.status(200).json({
 			success: true,
-			message: `Email sent to ${successCount} subscribers`,
+			message: segment
+				? `Email sent to ${successCount} contacts in "${segment.name}"`
+				: `Email sent to ${successCount} subscribers`,
 			stats: {
-				totalSubscribers: subscribers.length,
+				totalSubscribers: recipients.length,
 				successCount,
 				errorCount,
 				batches: batches.length,
@@ -102,3 +92,5 @@ export default async function handler(req, res) {
 		});
 	}
 }
+
+export default withAuth(handler, { resource: "emails", action: "send" });
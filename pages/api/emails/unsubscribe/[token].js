@@ -0,0 +1,48 @@
+import {
+	getSubscriberById,
+	unsubscribeSubscriber,
+} from "../../../../lib/api/subscribers";
+import { verifyUnsubscribeToken } from "../../../../lib/utils/unsubscribeToken";
+
+const findSubscriber = async (token) => {
+	const subscriberId = verifyUnsubscribeToken(token);
+	if (!subscriberId) return null;
+	try {
+		return await getSubscriberById(subscriberId);
+	} catch (error) {
+		return null;
+	}
+};
+
+/**
+ * Unsubscribe from the newsletter with the signed token in a newsletter
+ * GET  /api/emails/unsubscribe/[token] - { email, status }, for the /unsubscribe/[token] page
+ * POST /api/emails/unsubscribe/[token] - Unsubscribe. Also the RFC 8058
+ *      one-click target of the List-Unsubscribe header, which mail clients
+ *      POST "List-Unsubscribe=One-Click" to.
+ * No auth: the signed token identifies the subscriber
+ */
+export default async function handler(req, res) {
+	if (!["GET", "POST"].includes(req.method)) {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	try {
+		const subscriber = await findSubscriber(req.query.token);
+		if (!subscriber) {
+			return res.status(404).json({ error: "Invalid unsubscribe link" });
+		}
+
+		if (req.method === "POST" && subscriber.status !== "unsubscribed") {
+			await unsubscribeSubscriber(subscriber.id);
+		}
+
+		return res.status(200).json({
+			email: subscriber.email,
+			status: req.method === "POST" ? "unsubscribed" : subscriber.status,
+		});
+	} catch (error) {
+		console.error("Error unsubscribing:", error);
+		return res.status(500).json({ error: "Failed to unsubscribe" });
+	}
+}
@@ -0,0 +1,119 @@
+import { Resend } from "resend";
+import { readRawBody } from "../../../lib/utils/polar/webhookSignature";
+import {
+	isDeliveryEvent,
+	isDeliveryPending,
+	recordDeliveryEvent,
+} from "../../../lib/api/emailDeliveries";
+import {
+	getSubscriberByEmail,
+	suppressSubscriber,
+} from "../../../lib/api/subscribers";
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+
+// Signatures are computed over the raw body, so Next.js must not parse it
+export const config = {
+	api: {
+		bodyParser: false,
+	},
+};
+
+/**
+ * Why an event's recipients should no longer be emailed: hard bounces
+ * (the address doesn't exist) and spam complaints. Soft bounces such as a
+ * full mailbox are only recorded.
+ */
+const getSuppressionReason = (event) => {
+	if (event.type === "email.complained") return "complained";
+	if (
+		event.type === "email.bounced" &&
+		event.data?.bounce?.type === "Permanent"
+	) {
+		return "bounced";
+	}
+	return null;
+};
+
+/**
+ * Suppress the subscribers an event's email was sent to
+ * @returns {Promise<Array>} Suppressed subscriber IDs
+ */
+const suppressRecipients = async (recipients, reason) => {
+	const suppressed = [];
+	for (const email of recipients) {
+		const subscriber = await getSubscriberByEmail(email);
+		if (subscriber && subscriber.status !== "suppressed") {
+			await suppressSubscriber(subscriber.id, reason);
+			suppressed.push(subscriber.id);
+		}
+	}
+	return suppressed;
+};
+
+/**
+ * Resend webhook for email events: delivered, bounced, complained, opened
+ * and clicked. Updates the per-recipient delivery of campaign emails and
+ * the campaign's delivery stats, and suppresses subscribers whose address
+ * hard-bounced or who complained.
+ * POST /api/emails/webhook
+ * Headers: svix-id, svix-timestamp, svix-signature (signed with RESEND_WEBHOOK_SECRET)
+ * No auth: deliveries are verified by their signature
+ */
+export default async function handler(req, res) {
+	if (req.method !== "POST") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	const secret = process.env.RESEND_WEBHOOK_SECRET;
+	if (!secret) {
+		console.error("RESEND_WEBHOOK_SECRET is not configured");
+		return res.status(500).json({ error: "Webhook is not configured" });
+	}
+
+	try {
+		const rawBody = await readRawBody(req);
+
+		let event;
+		try {
+			event = resend.webhooks.verify({
+				payload: rawBody,
+				headers: {
+					id: req.headers["svix-id"],
+					timestamp: req.headers["svix-timestamp"],
+					signature: req.headers["svix-signature"],
+				},
+				webhookSecret: secret,
+			});
+		} catch (error) {
+			console.warn("Rejected Resend webhook:", error.message);
+			return res.status(401).json({ error: "Invalid webhook signature" });
+		}
+
+		if (!isDeliveryEvent(event.type)) {
+			return res.status(200).json({ received: true, handled: false });
+		}
+
+		const delivery = await recordDeliveryEvent(event);
+		if (!delivery && isDeliveryPending(event)) {
+			// The campaign's send hasn't recorded this email yet; Resend retries
+			// non-2xx answers, by which time it has
+			return res.status(409).json({ error: "Delivery not recorded yet" });
+		}
+
+		const reason = getSuppressionReason(event);
+		const suppressed = reason
+			? await suppressRecipients(event.data?.to || [], reason)
+			: [];
+
+		return res.status(200).json({
+			received: true,
+			handled: true,
+			tracked: !!delivery,
+			suppressed: suppressed.length,
+		});
+	} catch (error) {
+		console.error("Resend webhook error:", error);
+		return res.status(500).json({ error: "Internal server error" });
+	}
+}
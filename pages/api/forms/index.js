@@ -0,0 +1,44 @@
+import { createForm, countForms } from "../../../lib/api/forms";
+import { withEntitlement } from "../../../lib/api/apiAuth";
+
+/**
+ * Create a form, within the plan's form limit
+ * POST /api/forms
+ * Body: { title: string, description?: string, fields: Array, isPublished?: boolean }
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (requires forms:create)
+ * Answers 403 "Upgrade required" once the plan's form limit is reached.
+ */
+async function handler(req, res) {
+	if (req.method !== "POST") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	try {
+		const { title, description, fields, isPublished } = req.body;
+
+		if (!title || !Array.isArray(fields) || fields.length === 0) {
+			return res.status(400).json({
+				error: "Missing required fields: title, fields",
+			});
+		}
+
+		const formId = await createForm(
+			{ title, description, fields, isPublished },
+			req.user
+		);
+
+		return res.status(200).json({ success: true, formId });
+	} catch (error) {
+		console.error("Error creating form:", error);
+		return res.status(500).json({
+			error: "Failed to create form",
+			message: error.message,
+		});
+	}
+}
+
+export default withEntitlement(handler, "forms", {
+	getUsage: () => countForms(),
+	resource: "forms",
+	action: "create",
+});
@@ -0,0 +1,66 @@
+import {
+	getInvoiceByPublicToken,
+	getInvoiceStatus,
+} from "../../../../../lib/api/invoice";
+import { getInvoiceTotals } from "../../../../../lib/utils/invoiceTotals";
+
+const toISOString = (value) => {
+	if (!value) return null;
+	const date = value.toDate ? value.toDate() : new Date(value);
+	return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * The parts of an invoice its recipient sees
+ */
+const toPublicInvoice = (invoice) => {
+	const totals = getInvoiceTotals(invoice);
+	return {
+		invoiceNumber: invoice.invoiceNumber,
+		invoiceDate: toISOString(invoice.invoiceDate || invoice.createdAt),
+		dueDate: toISOString(invoice.dueDate),
+		paidAt: toISOString(invoice.paidAt),
+		status: getInvoiceStatus(invoice),
+		currency: invoice.currency || "usd",
+		from: invoice.from || {},
+		to: invoice.to || {},
+		items: totals.items.map((item) => ({
+			description: item.description,
+			quantity: item.quantity,
+			price: item.price,
+			discount: item.discount || 0,
+			appliedTaxRate: item.appliedTaxRate || 0,
+			total: item.total,
+		})),
+		subtotal: totals.subtotal,
+		discountTotal: totals.discountTotal,
+		taxTotal: totals.taxTotal,
+		taxes: totals.taxes,
+		total: totals.total,
+		notes: invoice.notes || "",
+		signature: invoice.signature || "",
+	};
+};
+
+/**
+ * Public view of an invoice, for the /invoices/[token] page
+ * GET /api/invoices/public/[token]
+ * No auth: the unguessable token in the emailed link grants access
+ */
+export default async function handler(req, res) {
+	if (req.method !== "GET") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	try {
+		const invoice = await getInvoiceByPublicToken(req.query.token);
+		if (!invoice || getInvoiceStatus(invoice) === "draft") {
+			return res.status(404).json({ error: "Invoice not found" });
+		}
+
+		return res.status(200).json({ invoice: toPublicInvoice(invoice) });
+	} catch (error) {
+		console.error("Error loading public invoice:", error);
+		return res.status(500).json({ error: "Failed to load invoice" });
+	}
+}
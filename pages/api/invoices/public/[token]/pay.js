@@ -0,0 +1,96 @@
+import {
+	getInvoiceByPublicToken,
+	isInvoiceOutstanding,
+} from "../../../../../lib/api/invoice";
+import { getCurrencyDigits } from "../../../../../lib/utils/invoiceTotals";
+
+/**
+ * Start a Polar checkout for the amount due on an invoice. The checkout
+ * uses an ad-hoc price on the POLAR_INVOICE_PRODUCT_ID product and carries
+ * the invoice ID in its metadata, so the order webhook marks it paid.
+ * POST /api/invoices/public/[token]/pay
+ * No auth: the unguessable token in the emailed link grants access
+ */
+export default async function handler(req, res) {
+	if (req.method !== "POST") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	try {
+		const { token } = req.query;
+		const invoice = await getInvoiceByPublicToken(token);
+		if (!invoice) {
+			return res.status(404).json({ error: "Invoice not found" });
+		}
+		if (!isInvoiceOutstanding(invoice)) {
+			return res
+				.status(400)
+				.json({ error: "This invoice is not awaiting payment" });
+		}
+
+		const POLAR_ACCESS_TOKEN = process.env.POLAR_ACCESS_TOKEN;
+		const POLAR_API_URL = process.env.POLAR_API_URL || "https://api.polar.sh";
+		const POLAR_INVOICE_PRODUCT_ID = process.env.POLAR_INVOICE_PRODUCT_ID;
+
+		if (!POLAR_ACCESS_TOKEN || !POLAR_INVOICE_PRODUCT_ID) {
+			return res.status(500).json({
+				error: "Online invoice payments are not configured",
+			});
+		}
+
+		// Polar amounts are in the currency's minor units (cents)
+		const currency = invoice.currency || "usd";
+		const amount = Math.round(
+			(invoice.total || 0) * 10 ** getCurrencyDigits(currency)
+		);
+		if (amount <= 0) {
+			return res.status(400).json({ error: "Nothing to pay on this invoice" });
+		}
+
+		const checkoutResponse = await fetch(`${POLAR_API_URL}/v1/checkouts`, {
+			method: "POST",
+			headers: {
+				Authorization: `Bearer ${POLAR_ACCESS_TOKEN}`,
+				"Content-Type": "application/json",
+			},
+			body: JSON.stringify({
+				products: [POLAR_INVOICE_PRODUCT_ID],
+				prices: {
+					[POLAR_INVOICE_PRODUCT_ID]: [
+						{
+							amount_type: "fixed",
+							price_amount: amount,
+							price_currency: currency,
+						},
+					],
+				},
+				customer_email: invoice.to?.email || undefined,
+				customer_name: invoice.to?.name || undefined,
+				allow_discount_codes: false,
+				success_url: `${req.headers.origin}/invoices/${token}?paid=true`,
+				metadata: {
+					source: "saas-app",
+					invoiceId: invoice.id,
+					invoiceNumber: invoice.invoiceNumber,
+				},
+			}),
+		});
+
+		if (!checkoutResponse.ok) {
+			const errorData = await checkoutResponse.json();
+			console.error("Polar invoice checkout error:", errorData);
+			return res.status(checkoutResponse.status).json({
+				error: errorData.message || "Failed to create checkout",
+			});
+		}
+
+		const checkoutData = await checkoutResponse.json();
+		return res.status(200).json({
+			checkoutUrl: checkoutData.url || checkoutData.checkout_url,
+			checkoutId: checkoutData.id,
+		});
+	} catch (error) {
+		console.error("Error creating invoice checkout:", error);
+		return res.status(500).json({ error: "Internal server error" });
+	}
+}
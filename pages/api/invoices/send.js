@@ -0,0 +1,58 @@
+import { withAuth } from "../../../lib/api/apiAuth";
+import { getInvoiceById, getInvoiceStatus } from "../../../lib/api/invoice";
+import { deliverInvoice } from "../../../lib/api/invoiceEmails";
+
+/**
+ * Email an invoice to its recipient with the PDF attached and a link to
+ * its public page, where it can be paid. Drafts are issued (numbered and
+ * marked sent) first.
+ * POST /api/invoices/send
+ * Body: { invoiceId: string }
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (requires invoices:send)
+ */
+async function handler(req, res) {
+	if (req.method !== "POST") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	const { invoiceId } = req.body || {};
+	if (!invoiceId) {
+		return res.status(400).json({ error: "Invoice ID is required" });
+	}
+
+	try {
+		let invoice;
+		try {
+			invoice = await getInvoiceById(invoiceId);
+		} catch (error) {
+			return res.status(404).json({ error: "Invoice not found" });
+		}
+
+		if (getInvoiceStatus(invoice) === "void") {
+			return res.status(400).json({ error: "Void invoices can't be sent" });
+		}
+		if (!invoice.to?.email) {
+			return res
+				.status(400)
+				.json({ error: "Invoice recipient email is missing" });
+		}
+
+		const { invoice: sentInvoice, payUrl } = await deliverInvoice(
+			invoiceId,
+			process.env.NEXT_PUBLIC_SITE_URL || req.headers.origin
+		);
+
+		return res.status(200).json({
+			success: true,
+			invoiceNumber: sentInvoice.invoiceNumber,
+			payUrl,
+		});
+	} catch (error) {
+		console.error("Error sending invoice:", error);
+		return res.status(500).json({
+			error: error.message || "Failed to send invoice",
+		});
+	}
+}
+
+export default withAuth(handler, { resource: "invoices", action: "send" });
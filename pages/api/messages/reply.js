@@ -1,5 +1,6 @@
 import { Resend } from "resend";
 import { markMessageAsReplied } from "../../../lib/api/messages";
+import { withAuth } from "../../../lib/api/apiAuth";
 
 const resend = new Resend(
 	process.env.RESEND_API_KEY || "re_V1pvhE6X_HbnDpnVWBhiATKSxtGrTmCTy"
@@ -9,8 +10,9 @@ const resend = new Resend(
  * Reply to a message via email
  * POST /api/messages/reply
  * Body: { to: string, toName: string, subject: string, content: string, originalMessage?: string }
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (requires messages:send)
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
 	if (req.method !== "POST") {
 		return res.status(405).json({ error: "Method not allowed" });
 	}
@@ -81,3 +83,5 @@ export default async function handler(req, res) {
 		});
 	}
 }
+
+export default withAuth(handler, { resource: "messages", action: "send" });
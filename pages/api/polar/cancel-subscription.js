@@ -1,19 +1,21 @@
 import { doc, getDoc, updateDoc, serverTimestamp } from "firebase/firestore";
 import { db } from "../../../lib/config/firebase";
-
-export default async function handler(req, res) {
+import { withAuth } from "../../../lib/api/apiAuth";
+import { getCustomerByEmail } from "../../../lib/api/customers";
+
+/**
+ * Cancel the signed-in user's subscription at the end of the billing period
+ * POST /api/polar/cancel-subscription
+ * Body: { subscriptionId?: string } (must be the caller's own, when given)
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (any signed-in user)
+ */
+async function handler(req, res) {
 	if (req.method !== "POST") {
 		return res.status(405).json({ error: "Method not allowed" });
 	}
 
 	try {
-		const { subscriptionId, customerId } = req.body;
-
-		if (!subscriptionId && !customerId) {
-			return res.status(400).json({
-				error: "Subscription ID or Customer ID is required",
-			});
-		}
+		const { subscriptionId } = req.body || {};
 
 		// Get Polar API credentials from environment variables
 		const POLAR_ACCESS_TOKEN = process.env.POLAR_ACCESS_TOKEN;
@@ -25,67 +27,20 @@ export default async function handler(req, res) {
 			});
 		}
 
-		// If we only have customerId, get subscription from Firestore or Polar API
-		let actualSubscriptionId = subscriptionId;
-		if (!actualSubscriptionId && customerId) {
-			// First, try to get customer from Firestore (customerId is the document ID)
-			const customerRef = doc(db, "customers", customerId);
-			const customerDoc = await getDoc(customerRef);
-			
-			let customerData = null;
-			if (customerDoc.exists()) {
-				customerData = customerDoc.data();
-				// Check if subscription ID is stored in customer data
-				if (customerData.subscriptionId) {
-					actualSubscriptionId = customerData.subscriptionId;
-				}
-			}
-
-			// If we still don't have subscription ID, fetch from Polar API
-			if (!actualSubscriptionId) {
-				try {
-					const subscriptionsResponse = await fetch(
-						`${POLAR_API_URL}/v1/subscriptions?customer_id=${customerId}`,
-						{
-							method: "GET",
-							headers: {
-								Authorization: `Bearer ${POLAR_ACCESS_TOKEN}`,
-								"Content-Type": "application/json",
-							},
-						}
-					);
-
-					if (subscriptionsResponse.ok) {
-						const subscriptionsData = await subscriptionsResponse.json();
-						
-						if (subscriptionsData.items && subscriptionsData.items.length > 0) {
-							// Get the first active subscription
-							const activeSubscription = subscriptionsData.items.find(
-								(sub) => sub.status === "active" || sub.status === "trialing"
-							) || subscriptionsData.items[0]; // Fallback to first subscription if no active
-
-							if (activeSubscription) {
-								actualSubscriptionId = activeSubscription.id;
-							}
-						}
-					}
-				} catch (error) {
-					console.error("Error fetching subscriptions from Polar:", error);
-					// Continue - we'll try with what we have
-				}
-			}
+		// Only the caller's own subscription can be canceled
+		const customer = await getCustomerByEmail(req.user.email);
+		const actualSubscriptionId = customer?.subscriptionId;
+		const customerId = customer?.id;
 
-			if (!actualSubscriptionId) {
-				return res.status(404).json({ 
-					error: "No subscription found for this customer. Please contact support." 
-				});
-			}
+		if (!actualSubscriptionId) {
+			return res.status(404).json({
+				error: "No subscription found for this account. Please contact support.",
+			});
 		}
 
-		// Verify subscription exists before canceling
-		if (!actualSubscriptionId) {
-			return res.status(400).json({
-				error: "Subscription ID is required",
+		if (subscriptionId && subscriptionId !== actualSubscriptionId) {
+			return res.status(403).json({
+				error: "Subscription doesn't belong to this account",
 			});
 		}
 
@@ -203,3 +158,4 @@ export default async function handler(req, res) {
 	}
 }
 
+export default withAuth(handler);
@@ -0,0 +1,117 @@
+import { withAuth } from "../../../lib/api/apiAuth";
+import { getCustomerByEmail } from "../../../lib/api/customers";
+import { getProductByPolarId } from "../../../lib/api/products";
+
+// How Polar bills the price difference: "prorate" adds it to the next
+// invoice, "invoice" charges it right away
+const PRORATION_BEHAVIOR = "prorate";
+
+// Polar only moves subscriptions in these states to another product
+const SWITCHABLE_STATUSES = ["active", "trialing"];
+
+/**
+ * Switch the signed-in user's subscription to another plan
+ * POST /api/polar/change-plan
+ * Body: { planId: string } (Polar product ID)
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (any signed-in user)
+ *
+ * Firestore is updated by the subscription.updated webhook.
+ */
+async function handler(req, res) {
+	if (req.method !== "POST") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	try {
+		const { planId } = req.body || {};
+
+		if (!planId) {
+			return res.status(400).json({ error: "Plan ID is required" });
+		}
+
+		// Get Polar API credentials from environment variables
+		const POLAR_ACCESS_TOKEN = process.env.POLAR_ACCESS_TOKEN;
+		const POLAR_API_URL = process.env.POLAR_API_URL || "https://api.polar.sh";
+
+		if (!POLAR_ACCESS_TOKEN) {
+			return res.status(500).json({
+				error: "Polar API credentials not configured",
+			});
+		}
+
+		// Only the caller's own subscription can be changed
+		const customer = await getCustomerByEmail(req.user.email);
+		if (!customer?.subscriptionId) {
+			return res.status(404).json({
+				error: "No subscription found for this account",
+			});
+		}
+
+		if (!SWITCHABLE_STATUSES.includes(customer.status)) {
+			return res.status(409).json({
+				error: "Only active subscriptions can switch plans",
+			});
+		}
+
+		if (customer.planId === planId) {
+			return res.status(400).json({ error: "You're already on this plan" });
+		}
+
+		const product = await getProductByPolarId(planId);
+		if (!product) {
+			return res.status(404).json({ error: "Plan not found" });
+		}
+
+		const updateResponse = await fetch(
+			`${POLAR_API_URL}/v1/subscriptions/${customer.subscriptionId}`,
+			{
+				method: "PATCH",
+				headers: {
+					Authorization: `Bearer ${POLAR_ACCESS_TOKEN}`,
+					"Content-Type": "application/json",
+				},
+				body: JSON.stringify({
+					product_id: planId,
+					proration_behavior: PRORATION_BEHAVIOR,
+				}),
+			}
+		);
+
+		if (!updateResponse.ok) {
+			let errorData;
+			try {
+				errorData = await updateResponse.json();
+			} catch (e) {
+				errorData = { detail: updateResponse.statusText };
+			}
+
+			console.error("Polar change plan error:", {
+				status: updateResponse.status,
+				error: errorData,
+				subscriptionId: customer.subscriptionId,
+			});
+
+			return res.status(updateResponse.status).json({
+				error:
+					(typeof errorData.detail === "string" && errorData.detail) ||
+					errorData.message ||
+					"Failed to change plan",
+			});
+		}
+
+		const subscription = await updateResponse.json();
+
+		return res.status(200).json({
+			success: true,
+			message: `Switched to ${product.name}`,
+			subscription,
+		});
+	} catch (error) {
+		console.error("Error changing plan:", error);
+		return res.status(500).json({
+			error: "Internal server error",
+		});
+	}
+}
+
+export default withAuth(handler);
@@ -1,13 +1,22 @@
 import { collection, addDoc, serverTimestamp } from "firebase/firestore";
 import { db } from "../../../lib/config/firebase";
+import { withAuth } from "../../../lib/api/apiAuth";
+import { getCustomerByEmail } from "../../../lib/api/customers";
+import { resolveCouponForCheckout } from "../../../lib/api/coupons";
 
-export default async function handler(req, res) {
+/**
+ * Create a Polar checkout session for the signed-in user
+ * POST /api/polar/checkout
+ * Body: { planId: string, couponCode?: string } (Polar product ID)
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (any signed-in user)
+ */
+async function handler(req, res) {
 	if (req.method !== "POST") {
 		return res.status(405).json({ error: "Method not allowed" });
 	}
 
 	try {
-		const { planId, customerId } = req.body;
+		const { planId, couponCode } = req.body || {};
 
 		if (!planId) {
 			return res.status(400).json({ error: "Plan ID is required" });
@@ -23,6 +32,27 @@ export default async function handler(req, res) {
 			});
 		}
 
+		// Link the checkout to the caller's existing Polar customer, if any
+		const existingCustomer = req.user.email
+			? await getCustomerByEmail(req.user.email)
+			: null;
+		const customerId = existingCustomer?.customerId || null;
+
+		// Codes are checked here (active, expiry, limit, plan, one per
+		// customer) and passed to Polar as a discount ID
+		let coupon = null;
+		if (couponCode) {
+			const resolved = await resolveCouponForCheckout(couponCode, {
+				planId,
+				customerId,
+				email: req.user.email || null,
+			});
+			if (resolved.error) {
+				return res.status(400).json({ error: resolved.error });
+			}
+			coupon = resolved.coupon;
+		}
+
 		// Create checkout session with Polar
 		const checkoutResponse = await fetch(`${POLAR_API_URL}/v1/checkouts`, {
 			method: "POST",
@@ -33,9 +63,14 @@ export default async function handler(req, res) {
 			body: JSON.stringify({
 				product_id: planId,
 				customer_id: customerId || undefined,
+				customer_email: customerId ? undefined : req.user.email || undefined,
+				discount_id: coupon?.polarDiscountId || undefined,
+				// Codes typed on Polar's page would skip the checks above
+				allow_discount_codes: false,
 				success_url: `${req.headers.origin}/pricing?success=true`,
 				metadata: {
 					source: "saas-app",
+					couponCode: coupon?.code || undefined,
 				},
 			}),
 		});
@@ -57,6 +92,7 @@ export default async function handler(req, res) {
 					checkoutId: checkoutData.id,
 					planId: planId,
 					customerId: customerId || null,
+					couponCode: coupon?.code || null,
 					status: "pending",
 					createdAt: serverTimestamp(),
 				});
@@ -77,3 +113,5 @@ export default async function handler(req, res) {
 		});
 	}
 }
+
+export default withAuth(handler);
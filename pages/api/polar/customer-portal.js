@@ -0,0 +1,66 @@
+import { withAuth } from "../../../lib/api/apiAuth";
+import { getCustomerByEmail } from "../../../lib/api/customers";
+
+/**
+ * Create a Polar customer portal session for the signed-in user, where
+ * they can update their payment method
+ * POST /api/polar/customer-portal
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (any signed-in user)
+ * Returns: { url: string }
+ */
+async function handler(req, res) {
+	if (req.method !== "POST") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	try {
+		// Get Polar API credentials from environment variables
+		const POLAR_ACCESS_TOKEN = process.env.POLAR_ACCESS_TOKEN;
+		const POLAR_API_URL = process.env.POLAR_API_URL || "https://api.polar.sh";
+
+		if (!POLAR_ACCESS_TOKEN) {
+			return res.status(500).json({
+				error: "Polar API credentials not configured",
+			});
+		}
+
+		const customer = await getCustomerByEmail(req.user.email);
+		if (!customer?.customerId) {
+			return res.status(404).json({
+				error: "No billing account found for this user",
+			});
+		}
+
+		const sessionResponse = await fetch(`${POLAR_API_URL}/v1/customer-sessions/`, {
+			method: "POST",
+			headers: {
+				Authorization: `Bearer ${POLAR_ACCESS_TOKEN}`,
+				"Content-Type": "application/json",
+			},
+			body: JSON.stringify({
+				customer_id: customer.customerId,
+			}),
+		});
+
+		if (!sessionResponse.ok) {
+			const errorData = await sessionResponse.json().catch(() => ({}));
+			console.error("Polar customer session error:", errorData);
+			return res.status(sessionResponse.status).json({
+				error: "Failed to open the billing portal",
+			});
+		}
+
+		const session = await sessionResponse.json();
+
+		return res.status(200).json({
+			url: session.customer_portal_url,
+		});
+	} catch (error) {
+		console.error("Error creating customer portal session:", error);
+		return res.status(500).json({
+			error: "Internal server error",
+		});
+	}
+}
+
+export default withAuth(handler);
@@ -0,0 +1,100 @@
+import { withAuth } from "../../../../lib/api/apiAuth";
+import {
+	normalizeCouponCode,
+	validateCouponData,
+} from "../../../../lib/api/coupons";
+
+/**
+ * Create a discount in Polar API
+ * POST /api/polar/discounts/create
+ * Body: { code: string, name: string, type: "percentage"|"fixed", amount: number, currency?: string, duration: "once"|"repeating"|"forever", durationInMonths?: number, maxRedemptions?: number, expiresAt?: string, productIds?: Array<string> }
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (requires products:create)
+ */
+async function handler(req, res) {
+	if (req.method !== "POST") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	try {
+		const couponData = req.body || {};
+		const code = normalizeCouponCode(couponData.code);
+
+		const validationError = validateCouponData({ ...couponData, code });
+		if (validationError) {
+			return res.status(400).json({ error: validationError });
+		}
+
+		// Get Polar API credentials from environment variables
+		const POLAR_ACCESS_TOKEN = process.env.POLAR_ACCESS_TOKEN;
+		const POLAR_API_URL = process.env.POLAR_API_URL || "https://api.polar.sh";
+
+		if (!POLAR_ACCESS_TOKEN) {
+			return res.status(500).json({
+				error: "Polar API credentials not configured",
+			});
+		}
+
+		// Polar takes percentages in basis points and fixed amounts in cents
+		const requestBody = {
+			name: couponData.name || code,
+			code,
+			type: couponData.type,
+			duration: couponData.duration,
+		};
+
+		if (couponData.type === "percentage") {
+			requestBody.basis_points = Math.round(couponData.amount * 100);
+		} else {
+			requestBody.amount = couponData.amount;
+			requestBody.currency = couponData.currency || "usd";
+		}
+
+		if (couponData.duration === "repeating") {
+			requestBody.duration_in_months = couponData.durationInMonths;
+		}
+		if (couponData.maxRedemptions) {
+			requestBody.max_redemptions = couponData.maxRedemptions;
+		}
+		if (couponData.expiresAt) {
+			requestBody.ends_at = couponData.expiresAt;
+		}
+		if (couponData.productIds?.length) {
+			requestBody.products = couponData.productIds;
+		}
+
+		const polarResponse = await fetch(`${POLAR_API_URL}/v1/discounts/`, {
+			method: "POST",
+			headers: {
+				Authorization: `Bearer ${POLAR_ACCESS_TOKEN}`,
+				"Content-Type": "application/json",
+			},
+			body: JSON.stringify(requestBody),
+		});
+
+		if (!polarResponse.ok) {
+			const errorData = await polarResponse.json();
+			console.error("Polar create discount error:", errorData);
+			return res.status(polarResponse.status).json({
+				error:
+					errorData.message ||
+					errorData.error ||
+					"Failed to create discount in Polar",
+				details: errorData.detail || errorData,
+			});
+		}
+
+		const discount = await polarResponse.json();
+
+		return res.status(200).json({
+			success: true,
+			discount,
+		});
+	} catch (error) {
+		console.error("Error creating discount in Polar:", error);
+		return res.status(500).json({
+			error: "Internal server error",
+		});
+	}
+}
+
+export default withAuth(handler, { resource: "products", action: "create" });
@@ -0,0 +1,63 @@
+import { withAuth } from "../../../../lib/api/apiAuth";
+
+/**
+ * Delete a discount from Polar API
+ * DELETE /api/polar/discounts/delete
+ * Body: { polarDiscountId: string }
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (requires products:delete)
+ */
+async function handler(req, res) {
+	if (req.method !== "DELETE") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	try {
+		const { polarDiscountId } = req.body || {};
+
+		if (!polarDiscountId) {
+			return res.status(400).json({
+				error: "Polar discount ID is required",
+			});
+		}
+
+		// Get Polar API credentials from environment variables
+		const POLAR_ACCESS_TOKEN = process.env.POLAR_ACCESS_TOKEN;
+		const POLAR_API_URL = process.env.POLAR_API_URL || "https://api.polar.sh";
+
+		if (!POLAR_ACCESS_TOKEN) {
+			return res.status(500).json({
+				error: "Polar API credentials not configured",
+			});
+		}
+
+		const polarResponse = await fetch(
+			`${POLAR_API_URL}/v1/discounts/${polarDiscountId}`,
+			{
+				method: "DELETE",
+				headers: {
+					Authorization: `Bearer ${POLAR_ACCESS_TOKEN}`,
+				},
+			}
+		);
+
+		// Already gone in Polar counts as deleted
+		if (!polarResponse.ok && polarResponse.status !== 404) {
+			const errorData = await polarResponse.json().catch(() => ({}));
+			console.error("Polar delete discount error:", errorData);
+			return res.status(polarResponse.status).json({
+				error: errorData.message || "Failed to delete discount from Polar",
+			});
+		}
+
+		return res.status(200).json({
+			success: true,
+		});
+	} catch (error) {
+		console.error("Error deleting discount from Polar:", error);
+		return res.status(500).json({
+			error: "Internal server error",
+		});
+	}
+}
+
+export default withAuth(handler, { resource: "products", action: "delete" });
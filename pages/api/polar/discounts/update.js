@@ -0,0 +1,76 @@
+import { withAuth } from "../../../../lib/api/apiAuth";
+
+/**
+ * Update a discount's name, redemption limit or expiry in Polar API
+ * PATCH /api/polar/discounts/update
+ * Body: { polarDiscountId: string, name?: string, maxRedemptions?: number|null, expiresAt?: string|null }
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (requires products:edit)
+ */
+async function handler(req, res) {
+	if (req.method !== "PATCH") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	try {
+		const { polarDiscountId, name, maxRedemptions, expiresAt } =
+			req.body || {};
+
+		if (!polarDiscountId) {
+			return res.status(400).json({
+				error: "Polar discount ID is required",
+			});
+		}
+
+		// Get Polar API credentials from environment variables
+		const POLAR_ACCESS_TOKEN = process.env.POLAR_ACCESS_TOKEN;
+		const POLAR_API_URL = process.env.POLAR_API_URL || "https://api.polar.sh";
+
+		if (!POLAR_ACCESS_TOKEN) {
+			return res.status(500).json({
+				error: "Polar API credentials not configured",
+			});
+		}
+
+		// Only send the fields being changed; null clears a limit or expiry
+		const requestBody = {};
+		if (name !== undefined) requestBody.name = name;
+		if (maxRedemptions !== undefined) {
+			requestBody.max_redemptions = maxRedemptions || null;
+		}
+		if (expiresAt !== undefined) requestBody.ends_at = expiresAt || null;
+
+		const polarResponse = await fetch(
+			`${POLAR_API_URL}/v1/discounts/${polarDiscountId}`,
+			{
+				method: "PATCH",
+				headers: {
+					Authorization: `Bearer ${POLAR_ACCESS_TOKEN}`,
+					"Content-Type": "application/json",
+				},
+				body: JSON.stringify(requestBody),
+			}
+		);
+
+		if (!polarResponse.ok) {
+			const errorData = await polarResponse.json();
+			console.error("Polar update discount error:", errorData);
+			return res.status(polarResponse.status).json({
+				error: errorData.message || "Failed to update discount in Polar",
+			});
+		}
+
+		const discount = await polarResponse.json();
+
+		return res.status(200).json({
+			success: true,
+			discount,
+		});
+	} catch (error) {
+		console.error("Error updating discount in Polar:", error);
+		return res.status(500).json({
+			error: "Internal server error",
+		});
+	}
+}
+
+export default withAuth(handler, { resource: "products", action: "edit" });
@@ -1,9 +1,12 @@
+import { withAuth } from "../../../../lib/api/apiAuth";
+
 /**
  * Create checkout link for a product
  * POST /api/polar/products/checkout-link
  * Body: { productId: string (Polar product ID), priceId?: string (optional price ID) }
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (requires products:create or products:edit)
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
 	if (req.method !== "POST") {
 		return res.status(405).json({ error: "Method not allowed" });
 	}
@@ -100,3 +103,10 @@ export default async function handler(req, res) {
 		});
 	}
 }
+
+export default withAuth(handler, {
+	anyOf: [
+		{ resource: "products", action: "create" },
+		{ resource: "products", action: "edit" },
+	],
+});
@@ -1,11 +1,13 @@
 import { uploadFileToPolar, base64ToBuffer, getMimeType } from "./fileUpload";
+import { withAuth } from "../../../../lib/api/apiAuth";
 
 /**
  * Create product in Polar API
  * POST /api/polar/products/create
  * Body: { name: string, description?: string, prices: Array, bannerImages?: Array<{base64: string, fileName: string}> }
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (requires products:create)
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
 	if (req.method !== "POST") {
 		return res.status(405).json({ error: "Method not allowed" });
 	}
@@ -183,3 +185,5 @@ export default async function handler(req, res) {
 		});
 	}
 }
+
+export default withAuth(handler, { resource: "products", action: "create" });
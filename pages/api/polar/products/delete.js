@@ -1,9 +1,12 @@
+import { withAuth } from "../../../../lib/api/apiAuth";
+
 /**
  * Delete product from Polar API
  * DELETE /api/polar/products/delete
  * Body: { polarProductId: string }
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (requires products:delete)
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
 	if (req.method !== "DELETE") {
 		return res.status(405).json({ error: "Method not allowed" });
 	}
@@ -58,3 +61,4 @@ export default async function handler(req, res) {
 	}
 }
 
+export default withAuth(handler, { resource: "products", action: "delete" });
@@ -1,11 +1,13 @@
 import { uploadFileToPolar, base64ToBuffer, getMimeType } from "./fileUpload";
+import { withAuth } from "../../../../lib/api/apiAuth";
 
 /**
  * Update product in Polar API
  * PATCH /api/polar/products/update
  * Body: { polarProductId: string, name: string, description?: string, prices: Array, bannerImages?: Array<{base64: string, fileName: string}> }
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (requires products:edit)
  */
-export default async function handler(req, res) {
+async function handler(req, res) {
 	if (req.method !== "PATCH") {
 		return res.status(405).json({ error: "Method not allowed" });
 	}
@@ -177,3 +179,5 @@ export default async function handler(req, res) {
 		});
 	}
 }
+
+export default withAuth(handler, { resource: "products", action: "edit" });
@@ -0,0 +1,101 @@
+import { withAuth } from "../../../lib/api/apiAuth";
+import {
+	getCustomerByEmail,
+	isCustomerEntitled,
+	CANCELED_STATUSES,
+} from "../../../lib/api/customers";
+
+/**
+ * Undo the signed-in user's cancellation at period end, so the
+ * subscription renews again
+ * POST /api/polar/resume-subscription
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (any signed-in user)
+ *
+ * Firestore is updated by the subscription.uncanceled webhook.
+ */
+async function handler(req, res) {
+	if (req.method !== "POST") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	try {
+		// Get Polar API credentials from environment variables
+		const POLAR_ACCESS_TOKEN = process.env.POLAR_ACCESS_TOKEN;
+		const POLAR_API_URL = process.env.POLAR_API_URL || "https://api.polar.sh";
+
+		if (!POLAR_ACCESS_TOKEN) {
+			return res.status(500).json({
+				error: "Polar API credentials not configured",
+			});
+		}
+
+		const customer = await getCustomerByEmail(req.user.email);
+		if (!customer?.subscriptionId) {
+			return res.status(404).json({
+				error: "No subscription found for this account",
+			});
+		}
+
+		// Once the period has ended the subscription is gone, a new checkout
+		// is needed instead
+		if (
+			!CANCELED_STATUSES.includes(customer.status) ||
+			!isCustomerEntitled(customer)
+		) {
+			return res.status(409).json({
+				error: "There's no pending cancellation to undo",
+			});
+		}
+
+		const resumeResponse = await fetch(
+			`${POLAR_API_URL}/v1/subscriptions/${customer.subscriptionId}`,
+			{
+				method: "PATCH",
+				headers: {
+					Authorization: `Bearer ${POLAR_ACCESS_TOKEN}`,
+					"Content-Type": "application/json",
+				},
+				body: JSON.stringify({
+					cancel_at_period_end: false,
+				}),
+			}
+		);
+
+		if (!resumeResponse.ok) {
+			let errorData;
+			try {
+				errorData = await resumeResponse.json();
+			} catch (e) {
+				errorData = { detail: resumeResponse.statusText };
+			}
+
+			console.error("Polar resume subscription error:", {
+				status: resumeResponse.status,
+				error: errorData,
+				subscriptionId: customer.subscriptionId,
+			});
+
+			return res.status(resumeResponse.status).json({
+				error:
+					(typeof errorData.detail === "string" && errorData.detail) ||
+					errorData.message ||
+					"Failed to resume subscription",
+			});
+		}
+
+		const subscription = await resumeResponse.json();
+
+		return res.status(200).json({
+			success: true,
+			message: "Subscription resumed",
+			subscription,
+		});
+	} catch (error) {
+		console.error("Error resuming subscription:", error);
+		return res.status(500).json({
+			error: "Internal server error",
+		});
+	}
+}
+
+export default withAuth(handler);
@@ -0,0 +1,55 @@
+import { withAuth } from "../../../lib/api/apiAuth";
+import { getCustomerByEmail } from "../../../lib/api/customers";
+import {
+	resolveCouponForCheckout,
+	formatCouponDiscount,
+} from "../../../lib/api/coupons";
+
+/**
+ * Check a coupon code for a plan before checkout
+ * POST /api/polar/validate-coupon
+ * Body: { code: string, planId: string } (Polar product ID)
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (any signed-in user)
+ *
+ * Checkout validates the code again; this only lets the pricing page show
+ * the discount before redirecting.
+ */
+async function handler(req, res) {
+	if (req.method !== "POST") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	try {
+		const { code, planId } = req.body || {};
+
+		if (!code || !planId) {
+			return res.status(400).json({ error: "Code and plan ID are required" });
+		}
+
+		const customer = req.user.email
+			? await getCustomerByEmail(req.user.email)
+			: null;
+
+		const { coupon, error } = await resolveCouponForCheckout(code, {
+			planId,
+			customerId: customer?.customerId || null,
+			email: req.user.email || null,
+		});
+
+		if (error) {
+			return res.status(400).json({ error });
+		}
+
+		return res.status(200).json({
+			code: coupon.code,
+			discount: formatCouponDiscount(coupon),
+		});
+	} catch (error) {
+		console.error("Error validating coupon:", error);
+		return res.status(500).json({
+			error: "Internal server error",
+		});
+	}
+}
+
+export default withAuth(handler);
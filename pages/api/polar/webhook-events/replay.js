@@ -0,0 +1,60 @@
+import { withAuth } from "../../../../lib/api/apiAuth";
+import {
+	claimWebhookEvent,
+	getStoredWebhookEvent,
+	processWebhookEvent,
+} from "../../../../lib/utils/polar/webhookEventUtils";
+
+/**
+ * Re-run a stored Polar webhook event, even if it was already processed
+ * POST /api/polar/webhook-events/replay
+ * Body: { eventId: string }
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (requires webhooks:execute)
+ */
+async function handler(req, res) {
+	if (req.method !== "POST") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	const { eventId } = req.body || {};
+	if (!eventId) {
+		return res.status(400).json({ error: "Event ID is required" });
+	}
+
+	try {
+		const stored = await getStoredWebhookEvent(eventId);
+		if (!stored) {
+			return res.status(404).json({ error: "Webhook event not found" });
+		}
+		if (!stored.event) {
+			return res
+				.status(422)
+				.json({ error: "Stored payload is not valid JSON" });
+		}
+
+		const claim = await claimWebhookEvent({
+			eventId,
+			replay: true,
+			replayedBy: req.user.email,
+		});
+		if (!claim.claimed) {
+			return res.status(409).json({ error: "Event is being processed" });
+		}
+
+		const result = await processWebhookEvent(eventId, stored.event);
+
+		return res.status(200).json({
+			success: true,
+			eventId,
+			handled: result.handled,
+		});
+	} catch (error) {
+		console.error("Webhook replay error:", error);
+		return res.status(500).json({
+			error: "Replay failed",
+			message: error.message,
+		});
+	}
+}
+
+export default withAuth(handler, { resource: "webhooks", action: "execute" });
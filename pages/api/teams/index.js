@@ -0,0 +1,60 @@
+import {
+	addTeamMember,
+	countTeamMembers,
+	getTeamMemberByEmail,
+} from "../../../lib/api/teams";
+import { withEntitlement } from "../../../lib/api/apiAuth";
+import { hasPermission } from "../../../lib/config/roles-config";
+
+/**
+ * Add a team member, within the plan's team member limit
+ * POST /api/teams
+ * Body: { email: string, username?: string, role?: string }
+ * Headers: { 'Authorization': 'Bearer <Firebase ID token>' } (requires teams:create)
+ * While the team is empty, callers may add themselves without teams:create,
+ * so the first admin can be set up. Answers 403 "Upgrade required" once the
+ * plan's team member limit is reached.
+ */
+async function handler(req, res) {
+	if (req.method !== "POST") {
+		return res.status(405).json({ error: "Method not allowed" });
+	}
+
+	try {
+		const { email, username, role } = req.body;
+
+		if (!email) {
+			return res.status(400).json({ error: "Missing required field: email" });
+		}
+
+		const isFirstMember =
+			(await countTeamMembers()) === 0 &&
+			email.toLowerCase() === req.user.email?.toLowerCase();
+		if (!isFirstMember && !hasPermission(req.user.role, "teams", "create")) {
+			return res.status(403).json({
+				error: "Forbidden",
+				message: "Your role doesn't allow this action",
+			});
+		}
+
+		if (await getTeamMemberByEmail(email)) {
+			return res.status(409).json({
+				error: "Team member with this email already exists",
+			});
+		}
+
+		const memberId = await addTeamMember({ email, username, role }, req.user);
+
+		return res.status(200).json({ success: true, memberId });
+	} catch (error) {
+		console.error("Error adding team member:", error);
+		return res.status(500).json({
+			error: "Failed to add team member",
+			message: error.message,
+		});
+	}
+}
+
+export default withEntitlement(handler, "teamMembers", {
+	getUsage: () => countTeamMembers(),
+});
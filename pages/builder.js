@@ -20,6 +20,7 @@ import Footer from "../app/components/Footer";
 import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
 import { oneLight } from "react-syntax-highlighter/dist/cjs/styles/prism";
 import { astToToon, astToToonCompact } from "../lib/utils/astToToon";
+import { authFetch } from "../lib/utils/authFetch";
 
 // Build Form Component
 const BuildForm = () => {
@@ -265,7 +266,7 @@ const BuildForm = () => {
 				);
 			}
 
-			const response = await fetch("/api/deploy", {
+			const response = await authFetch("/api/deploy", {
 				method: "POST",
 				headers: {
 					"Content-Type": "application/json",
@@ -278,6 +279,13 @@ const BuildForm = () => {
 				}),
 			});
 
+			if (response.status === 401) {
+				throw new Error("Please sign in to deploy");
+			}
+			if (response.status === 403) {
+				throw new Error("Your role doesn't allow deployments");
+			}
+
 			const data = await response.json();
 
 			if (data.success) {
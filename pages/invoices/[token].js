@@ -0,0 +1,356 @@
+import React, { useState } from "react";
+import Head from "next/head";
+import { useRouter } from "next/router";
+import Navbar from "../../app/components/Navbar";
+import Footer from "../../app/components/Footer";
+import { motion } from "framer-motion";
+import {
+	CheckCircle2,
+	CreditCard,
+	Download,
+	Loader2,
+	FileText,
+} from "lucide-react";
+import { useQuery } from "@tanstack/react-query";
+import { toast } from "react-toastify";
+import { getPublicInvoice, payInvoice } from "../../lib/api/invoice";
+import { downloadInvoicePDF } from "../../lib/utils/invoicePdf";
+import { formatInvoiceAmount } from "../../lib/utils/invoiceTotals";
+
+const STATUS_BADGES = {
+	sent: { label: "Open", color: "bg-yellow-100 text-yellow-800" },
+	overdue: { label: "Overdue", color: "bg-red-100 text-red-800" },
+	paid: { label: "Paid", color: "bg-green-100 text-green-800" },
+	void: { label: "Void", color: "bg-zinc-100 text-zinc-500" },
+};
+
+const formatDate = (date) => {
+	if (!date) return "";
+	const d = new Date(date);
+	if (isNaN(d.getTime())) return "";
+	return d.toLocaleDateString("en-US", {
+		year: "numeric",
+		month: "long",
+		day: "numeric",
+	});
+};
+
+const formatParty = (party = {}) =>
+	[
+		party.name,
+		party.email,
+		party.address,
+		[party.city, party.state, party.zip].filter(Boolean).join(", "),
+		party.country,
+	].filter(Boolean);
+
+const InvoicePage = () => {
+	const router = useRouter();
+	const { token, paid } = router.query;
+	const [isPaying, setIsPaying] = useState(false);
+
+	// Coming back from checkout, wait for the payment webhook to mark it paid
+	const returnedFromCheckout = paid === "true";
+
+	const {
+		data: invoice,
+		isLoading,
+		error,
+	} = useQuery({
+		queryKey: ["publicInvoice", token],
+		queryFn: () => getPublicInvoice(token),
+		enabled: !!token,
+		retry: false,
+		refetchInterval: (query) =>
+			returnedFromCheckout && query.state.data?.status !== "paid"
+				? 3000
+				: false,
+	});
+
+	const handlePay = async () => {
+		setIsPaying(true);
+		try {
+			const { checkoutUrl } = await payInvoice(token);
+			window.location.href = checkoutUrl;
+		} catch (error) {
+			console.error("Error starting invoice payment:", error);
+			toast.error(error.message || "Failed to start payment");
+			setIsPaying(false);
+		}
+	};
+
+	const formatAmount = (amount) =>
+		formatInvoiceAmount(amount, invoice?.currency || "usd");
+
+	const renderContent = () => {
+		if (isLoading || !token) {
+			return (
+				<div className="flex justify-center py-20">
+					<Loader2 className="w-8 h-8 text-zinc-400 animate-spin" />
+				</div>
+			);
+		}
+
+		if (error || !invoice) {
+			return (
+				<div className="text-center py-20">
+					<FileText className="w-12 h-12 text-zinc-300 mx-auto mb-4" />
+					<h2 className="text-xl font-semibold text-zinc-900 mb-2">
+						Invoice not found
+					</h2>
+					<p className="text-zinc-600">
+						This link is invalid or the invoice is no longer available.
+					</p>
+				</div>
+			);
+		}
+
+		const badge = STATUS_BADGES[invoice.status];
+		const canPay = ["sent", "overdue"].includes(invoice.status);
+
+		return (
+			<motion.div
+				initial={{ opacity: 0, y: 20 }}
+				animate={{ opacity: 1, y: 0 }}
+				className="space-y-6"
+			>
+				{returnedFromCheckout && (
+					<div
+						className={`flex items-center gap-3 p-4 rounded-xl border ${
+							invoice.status === "paid"
+								? "border-green-200 bg-green-50 text-green-800"
+								: "border-zinc-200 bg-zinc-50 text-zinc-700"
+						}`}
+					>
+						{invoice.status === "paid" ? (
+							<CheckCircle2 className="w-5 h-5 shrink-0" />
+						) : (
+							<Loader2 className="w-5 h-5 shrink-0 animate-spin" />
+						)}
+						<p className="text-sm">
+							{invoice.status === "paid"
+								? "Thank you, your payment was received."
+								: "Thank you! We're confirming your payment, this takes a few seconds."}
+						</p>
+					</div>
+				)}
+
+				<div className="border border-zinc-200 rounded-2xl bg-white p-6 sm:p-8 space-y-8">
+					{/* Header */}
+					<div className="flex flex-wrap justify-between items-start gap-4">
+						<div>
+							<h2 className="text-2xl font-bold text-zinc-900 mb-2">INVOICE</h2>
+							<p className="text-sm text-zinc-600">
+								Invoice #:{" "}
+								<span className="font-mono">{invoice.invoiceNumber}</span>
+							</p>
+							<p className="text-sm text-zinc-600">
+								Date: {formatDate(invoice.invoiceDate)}
+							</p>
+							{invoice.dueDate && (
+								<p className="text-sm text-zinc-600">
+									Due: {formatDate(invoice.dueDate)}
+								</p>
+							)}
+						</div>
+						<div className="text-right">
+							<span
+								className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${
+									badge?.color || "bg-zinc-100 text-zinc-800"
+								}`}
+							>
+								{badge?.label || invoice.status}
+							</span>
+							<p className="text-3xl font-bold text-zinc-900 mt-3">
+								{formatAmount(invoice.total)}
+							</p>
+							{invoice.status === "paid" && invoice.paidAt && (
+								<p className="text-sm text-zinc-600 mt-1">
+									Paid on {formatDate(invoice.paidAt)}
+								</p>
+							)}
+						</div>
+					</div>
+
+					{/* From/To */}
+					<div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+						{[
+							["From", invoice.from],
+							["Bill to", invoice.to],
+						].map(([label, party]) => (
+							<div key={label}>
+								<h3 className="text-sm font-semibold text-zinc-900 mb-2">
+									{label}
+								</h3>
+								<div className="text-sm text-zinc-600 space-y-1">
+									{formatParty(party).map((line, index) => (
+										<p
+											key={index}
+											className={index === 0 ? "font-medium text-zinc-900" : ""}
+										>
+											{line}
+										</p>
+									))}
+								</div>
+							</div>
+						))}
+					</div>
+
+					{/* Items */}
+					<div className="border border-zinc-200 rounded-xl overflow-x-auto">
+						<table className="w-full">
+							<thead className="bg-zinc-50">
+								<tr>
+									<th className="py-3 px-4 text-left text-xs font-semibold text-zinc-700">
+										Description
+									</th>
+									<th className="py-3 px-4 text-right text-xs font-semibold text-zinc-700">
+										Qty
+									</th>
+									<th className="py-3 px-4 text-right text-xs font-semibold text-zinc-700">
+										Price
+									</th>
+									<th className="py-3 px-4 text-right text-xs font-semibold text-zinc-700">
+										Amount
+									</th>
+								</tr>
+							</thead>
+							<tbody>
+								{invoice.items.map((item, index) => (
+									<tr key={index} className="border-t border-zinc-200">
+										<td className="py-3 px-4 text-sm text-zinc-900">
+											{item.description}
+											{(item.discount > 0 || item.appliedTaxRate > 0) && (
+												<p className="text-xs text-zinc-500">
+													{[
+														item.discount > 0 && `${item.discount}% off`,
+														item.appliedTaxRate > 0 &&
+															`${item.appliedTaxRate}% tax`,
+													]
+														.filter(Boolean)
+														.join(" · ")}
+												</p>
+											)}
+										</td>
+										<td className="py-3 px-4 text-sm text-zinc-900 text-right">
+											{item.quantity}
+										</td>
+										<td className="py-3 px-4 text-sm text-zinc-900 text-right">
+											{formatAmount(item.price)}
+										</td>
+										<td className="py-3 px-4 text-sm font-semibold text-zinc-900 text-right">
+											{formatAmount(item.total)}
+										</td>
+									</tr>
+								))}
+							</tbody>
+							<tfoot className="bg-zinc-50 border-t-2 border-zinc-300 text-sm">
+								<tr>
+									<td colSpan={3} className="pt-3 pb-1 px-4 text-zinc-600">
+										Subtotal
+									</td>
+									<td className="pt-3 pb-1 px-4 text-zinc-900 text-right">
+										{formatAmount(invoice.subtotal)}
+									</td>
+								</tr>
+								{invoice.discountTotal > 0 && (
+									<tr>
+										<td colSpan={3} className="py-1 px-4 text-zinc-600">
+											Discount
+										</td>
+										<td className="py-1 px-4 text-zinc-900 text-right">
+											-{formatAmount(invoice.discountTotal)}
+										</td>
+									</tr>
+								)}
+								{invoice.taxes.map((tax) => (
+									<tr key={tax.rate}>
+										<td colSpan={3} className="py-1 px-4 text-zinc-600">
+											Tax ({tax.rate}%)
+										</td>
+										<td className="py-1 px-4 text-zinc-900 text-right">
+											{formatAmount(tax.amount)}
+										</td>
+									</tr>
+								))}
+								<tr>
+									<td
+										colSpan={3}
+										className="pt-1 pb-3 px-4 font-semibold text-zinc-900"
+									>
+										Total
+									</td>
+									<td className="pt-1 pb-3 px-4 font-bold text-zinc-900 text-right">
+										{formatAmount(invoice.total)}
+									</td>
+								</tr>
+							</tfoot>
+						</table>
+					</div>
+
+					{invoice.notes && (
+						<div>
+							<p className="text-sm font-semibold text-zinc-900 mb-1">Notes</p>
+							<p className="text-sm text-zinc-600 whitespace-pre-line">
+								{invoice.notes}
+							</p>
+						</div>
+					)}
+				</div>
+
+				{/* Actions */}
+				<div className="flex flex-wrap items-center justify-end gap-3">
+					<motion.button
+						whileHover={{ scale: 1.02 }}
+						whileTap={{ scale: 0.98 }}
+						onClick={() => downloadInvoicePDF(invoice)}
+						className="flex items-center gap-2 px-4 py-2 text-sm text-zinc-700 bg-white hover:bg-zinc-100 rounded-xl font-medium transition-colors border border-zinc-300"
+					>
+						<Download className="w-4 h-4" />
+						Download PDF
+					</motion.button>
+					{canPay && (
+						<motion.button
+							whileHover={{ scale: 1.02 }}
+							whileTap={{ scale: 0.98 }}
+							onClick={handlePay}
+							disabled={isPaying || returnedFromCheckout}
+							className="flex items-center gap-2 px-4 py-2 text-sm text-white bg-zinc-900 hover:bg-zinc-800 rounded-xl font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+						>
+							{isPaying ? (
+								<Loader2 className="w-4 h-4 animate-spin" />
+							) : (
+								<CreditCard className="w-4 h-4" />
+							)}
+							Pay {formatAmount(invoice.total)}
+						</motion.button>
+					)}
+				</div>
+			</motion.div>
+		);
+	};
+
+	return (
+		<>
+			<Head>
+				<title>
+					{invoice?.invoiceNumber
+						? `Invoice ${invoice.invoiceNumber} - YourApp`
+						: "Invoice - YourApp"}
+				</title>
+				<meta name="robots" content="noindex, nofollow" />
+			</Head>
+			<div className="min-h-screen flex flex-col">
+				<Navbar />
+
+				<section className="flex-1 py-20 px-4 sm:px-6 lg:px-8">
+					<div className="max-w-3xl mx-auto">{renderContent()}</div>
+				</section>
+
+				<Footer />
+			</div>
+		</>
+	);
+};
+
+export default InvoicePage;
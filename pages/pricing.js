@@ -1,5 +1,6 @@
 import React, { useState, useRef, useEffect } from "react";
 import Head from "next/head";
+import Link from "next/link";
 import Navbar from "../app/components/Navbar";
 import Footer from "../app/components/Footer";
 import { motion } from "framer-motion";
@@ -12,6 +13,7 @@ import {
 	Calendar,
 	CreditCard,
 	RefreshCw,
+	Ticket,
 } from "lucide-react";
 import { useQuery, useQueryClient } from "@tanstack/react-query";
 import { useAppSelector } from "../lib/store/hooks";
@@ -24,6 +26,9 @@ import {
 	setUserCookie,
 } from "../lib/utils/cookies";
 import { signInWithGoogle, onAuthStateChange } from "../lib/api/auth";
+import { cancelSubscription } from "../lib/api/billing";
+import { previewCoupon, normalizeCouponCode } from "../lib/api/coupons";
+import { authFetch } from "../lib/utils/authFetch";
 import { toast } from "react-toastify";
 
 const PricingPage = () => {
@@ -33,6 +38,9 @@ const PricingPage = () => {
 	const [showCancelModal, setShowCancelModal] = useState(false);
 	const [isCancelling, setIsCancelling] = useState(false);
 	const [isRefreshing, setIsRefreshing] = useState(false);
+	const [couponInput, setCouponInput] = useState("");
+	const [appliedCoupon, setAppliedCoupon] = useState(null); // { code, discounts: { [planId]: string } }
+	const [isApplyingCoupon, setIsApplyingCoupon] = useState(false);
 
 	// Fetch subscription data
 	useSubscription();
@@ -165,6 +173,54 @@ const PricingPage = () => {
 		},
 	];
 
+	// Check the code against every subscription plan, since coupons can be
+	// limited to some products
+	const handleApplyCoupon = async (e) => {
+		e.preventDefault();
+		const code = normalizeCouponCode(couponInput);
+		if (!code) return;
+
+		if (!getUserCookie()) {
+			setShowLoginModal(true);
+			return;
+		}
+
+		setIsApplyingCoupon(true);
+		try {
+			const subscriptionPlans = plans.filter(
+				(plan) => plan.type === "subscription"
+			);
+			const results = await Promise.allSettled(
+				subscriptionPlans.map((plan) => previewCoupon(code, plan.id))
+			);
+
+			const discounts = {};
+			results.forEach((result, index) => {
+				if (result.status === "fulfilled") {
+					discounts[subscriptionPlans[index].id] = result.value.discount;
+				}
+			});
+
+			if (Object.keys(discounts).length === 0) {
+				const rejection = results.find((result) => result.status === "rejected");
+				throw rejection?.reason || new Error("Invalid coupon code");
+			}
+
+			setAppliedCoupon({ code, discounts });
+			toast.success(`Coupon ${code} applied`);
+		} catch (error) {
+			setAppliedCoupon(null);
+			toast.error(error.message || "Invalid coupon code");
+		} finally {
+			setIsApplyingCoupon(false);
+		}
+	};
+
+	const handleRemoveCoupon = () => {
+		setAppliedCoupon(null);
+		setCouponInput("");
+	};
+
 	const handleCheckout = async (planId) => {
 		// Check if user is logged in
 		const user = getUserCookie();
@@ -184,14 +240,17 @@ const PricingPage = () => {
 		// planId is the Polar product ID stored in Firestore
 		console.log("Initiating checkout with planId:", planId);
 		try {
-			const response = await fetch("/api/polar/checkout", {
+			const response = await authFetch("/api/polar/checkout", {
 				method: "POST",
 				headers: {
 					"Content-Type": "application/json",
 				},
 				body: JSON.stringify({
 					planId: planId, // This is the Polar product ID from the plans array
-					customerId: subscription.customerId, // Optional: existing customer ID
+					// Only send the coupon to plans it applies to
+					couponCode: appliedCoupon?.discounts[planId]
+						? appliedCoupon.code
+						: undefined,
 				}),
 			});
 
@@ -204,40 +263,20 @@ const PricingPage = () => {
 			}
 		} catch (error) {
 			console.error("Error creating checkout:", error);
-			alert("Failed to start checkout. Please try again.");
+			toast.error(error.message || "Failed to start checkout. Please try again.");
 		}
 	};
 
 	const handleCancelSubscription = async () => {
-		if (!subscription.customerId) {
-			toast.error("Unable to cancel subscription. Customer ID not found.");
-			return;
-		}
-
 		setIsCancelling(true);
 		try {
-			const response = await fetch("/api/polar/cancel-subscription", {
-				method: "POST",
-				headers: {
-					"Content-Type": "application/json",
-				},
-				body: JSON.stringify({
-					customerId: subscription.customerId,
-				}),
-			});
-
-			const data = await response.json();
-
-			if (response.ok) {
-				toast.success(
-					"Subscription cancelled successfully. You'll have access until the end of your billing period."
-				);
-				setShowCancelModal(false);
-				// Invalidate subscription query to refetch updated data
-				queryClient.invalidateQueries({ queryKey: ["subscription"] });
-			} else {
-				throw new Error(data.error || "Failed to cancel subscription");
-			}
+			await cancelSubscription();
+			toast.success(
+				"Subscription cancelled successfully. You'll have access until the end of your billing period."
+			);
+			setShowCancelModal(false);
+			// Invalidate subscription query to refetch updated data
+			queryClient.invalidateQueries({ queryKey: ["subscription"] });
 		} catch (error) {
 			console.error("Error cancelling subscription:", error);
 			toast.error(
@@ -368,19 +407,71 @@ const PricingPage = () => {
 											</div>
 										)}
 									</div>
+									<div className="flex items-center gap-2">
+										<Link
+											href="/account/billing"
+											className="flex items-center gap-2 px-4 py-2 bg-white text-zinc-900 hover:bg-zinc-100 rounded-xl text-sm font-medium transition-colors"
+										>
+											Manage Billing
+											<ArrowRight className="w-4 h-4" />
+										</Link>
+										<button
+											onClick={handleRefreshSubscription}
+											disabled={isRefreshing}
+											className="p-2 bg-zinc-700 hover:bg-zinc-600 rounded-xl transition-colors disabled:opacity-50"
+											title="Refresh subscription data"
+										>
+											<RefreshCw
+												className={`w-5 h-5 ${isRefreshing ? "animate-spin" : ""}`}
+											/>
+										</button>
+									</div>
+								</div>
+							</motion.div>
+						)}
+
+						{/* Coupon Code */}
+						<div className="max-w-md mx-auto mb-10">
+							{appliedCoupon ? (
+								<div className="flex items-center justify-between gap-3 px-4 py-2.5 bg-green-50 border border-green-200 rounded-xl">
+									<div className="flex items-center gap-2 text-sm text-green-800">
+										<Ticket className="w-4 h-4" />
+										Coupon{" "}
+										<span className="font-mono font-semibold">
+											{appliedCoupon.code}
+										</span>{" "}
+										applied
+									</div>
 									<button
-										onClick={handleRefreshSubscription}
-										disabled={isRefreshing}
-										className="p-2 bg-zinc-700 hover:bg-zinc-600 rounded-xl transition-colors disabled:opacity-50"
-										title="Refresh subscription data"
+										onClick={handleRemoveCoupon}
+										className="p-1 text-green-700 hover:text-green-900 rounded-lg hover:bg-green-100 transition-colors"
+										title="Remove coupon"
 									>
-										<RefreshCw
-											className={`w-5 h-5 ${isRefreshing ? "animate-spin" : ""}`}
-										/>
+										<X className="w-4 h-4" />
 									</button>
 								</div>
-							</motion.div>
-						)}
+							) : (
+								<form onSubmit={handleApplyCoupon} className="flex gap-2">
+									<div className="relative flex-1">
+										<Ticket className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-zinc-400" />
+										<input
+											type="text"
+											value={couponInput}
+											onChange={(e) => setCouponInput(e.target.value)}
+											placeholder="Have a coupon code?"
+											className="w-full pl-10 pr-4 py-2.5 border border-zinc-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-zinc-900 text-sm font-mono uppercase placeholder:normal-case placeholder:font-sans"
+										/>
+									</div>
+									<button
+										type="submit"
+										disabled={!couponInput.trim() || isApplyingCoupon}
+										className="px-4 py-2.5 bg-zinc-900 text-white hover:bg-zinc-800 rounded-xl text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+									>
+										{isApplyingCoupon ? "Applying..." : "Apply"}
+									</button>
+								</form>
+							)}
+						</div>
 
 						<div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 max-w-6xl mx-auto">
 							{plans.map((plan, index) => (
@@ -416,6 +507,19 @@ const PricingPage = () => {
 											)}
 										</div>
 										<p className="text-sm text-zinc-600">{plan.description}</p>
+										{appliedCoupon && plan.type === "subscription" && (
+											<p
+												className={`mt-3 text-sm font-medium ${
+													appliedCoupon.discounts[plan.id]
+														? "text-green-700"
+														: "text-zinc-400"
+												}`}
+											>
+												{appliedCoupon.discounts[plan.id]
+													? `${appliedCoupon.code}: ${appliedCoupon.discounts[plan.id]}`
+													: "Coupon not valid for this plan"}
+											</p>
+										)}
 									</div>
 									<ul className="space-y-3 mb-6">
 										{plan.features.map((feature, idx) => (
@@ -0,0 +1,139 @@
+import React from "react";
+import Head from "next/head";
+import { useRouter } from "next/router";
+import Navbar from "../../app/components/Navbar";
+import Footer from "../../app/components/Footer";
+import { motion } from "framer-motion";
+import { Loader2, MailCheck, MailMinus, MailX } from "lucide-react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "react-toastify";
+import {
+	getUnsubscribeStatus,
+	unsubscribeWithToken,
+} from "../../lib/api/subscribers";
+
+const UnsubscribePage = () => {
+	const router = useRouter();
+	const { token } = router.query;
+	const queryClient = useQueryClient();
+
+	const {
+		data: subscription,
+		isLoading,
+		error,
+	} = useQuery({
+		queryKey: ["unsubscribe", token],
+		queryFn: () => getUnsubscribeStatus(token),
+		enabled: !!token,
+		retry: false,
+	});
+
+	// Unsubscribing takes a click, so link scanners that open the page
+	// don't unsubscribe anyone
+	const unsubscribeMutation = useMutation({
+		mutationFn: () => unsubscribeWithToken(token),
+		onSuccess: (data) => {
+			queryClient.setQueryData(["unsubscribe", token], data);
+		},
+		onError: (error) => {
+			console.error("Error unsubscribing:", error);
+			toast.error(error.message || "Failed to unsubscribe");
+		},
+	});
+
+	const renderContent = () => {
+		if (isLoading || !token) {
+			return (
+				<div className="flex justify-center py-20">
+					<Loader2 className="w-8 h-8 text-zinc-400 animate-spin" />
+				</div>
+			);
+		}
+
+		if (error || !subscription) {
+			return (
+				<div className="text-center py-20">
+					<MailX className="w-12 h-12 text-zinc-300 mx-auto mb-4" />
+					<h2 className="text-xl font-semibold text-zinc-900 mb-2">
+						Link not valid
+					</h2>
+					<p className="text-zinc-600">
+						This unsubscribe link is invalid or no longer available.
+					</p>
+				</div>
+			);
+		}
+
+		if (subscription.status === "unsubscribed") {
+			return (
+				<motion.div
+					initial={{ opacity: 0, y: 20 }}
+					animate={{ opacity: 1, y: 0 }}
+					className="text-center py-20"
+				>
+					<MailCheck className="w-12 h-12 text-green-600 mx-auto mb-4" />
+					<h2 className="text-xl font-semibold text-zinc-900 mb-2">
+						You&apos;re unsubscribed
+					</h2>
+					<p className="text-zinc-600">
+						<span className="font-medium text-zinc-900">
+							{subscription.email}
+						</span>{" "}
+						won&apos;t receive our newsletter anymore.
+					</p>
+				</motion.div>
+			);
+		}
+
+		return (
+			<motion.div
+				initial={{ opacity: 0, y: 20 }}
+				animate={{ opacity: 1, y: 0 }}
+				className="border border-zinc-200 rounded-2xl bg-white p-6 sm:p-8 text-center"
+			>
+				<MailMinus className="w-12 h-12 text-zinc-400 mx-auto mb-4" />
+				<h2 className="text-xl font-semibold text-zinc-900 mb-2">
+					Unsubscribe from our newsletter?
+				</h2>
+				<p className="text-zinc-600 mb-6">
+					<span className="font-medium text-zinc-900">
+						{subscription.email}
+					</span>{" "}
+					will stop receiving newsletter emails.
+				</p>
+				<motion.button
+					whileHover={{ scale: 1.02 }}
+					whileTap={{ scale: 0.98 }}
+					onClick={() => unsubscribeMutation.mutate()}
+					disabled={unsubscribeMutation.isPending}
+					className="inline-flex items-center gap-2 px-4 py-2 text-sm text-white bg-zinc-900 hover:bg-zinc-800 rounded-xl font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+				>
+					{unsubscribeMutation.isPending && (
+						<Loader2 className="w-4 h-4 animate-spin" />
+					)}
+					Unsubscribe
+				</motion.button>
+			</motion.div>
+		);
+	};
+
+	return (
+		<>
+			<Head>
+				<title>Unsubscribe - YourApp</title>
+				<meta name="robots" content="noindex, nofollow" />
+			</Head>
+			<div className="min-h-screen flex flex-col">
+				<Navbar />
+
+				<section className="flex-1 py-20 px-4 sm:px-6 lg:px-8">
+					<div className="max-w-lg mx-auto">{renderContent()}</div>
+				</section>
+
+				<Footer />
+			</div>
+		</>
+	);
+};
+
+export default UnsubscribePage;
@@ -0,0 +1,265 @@
+/**
+ * Polar webhook signing harness
+ *
+ * Signs the fixture payloads in scripts/fixtures/polar-webhooks locally with
+ * the Standard Webhooks scheme, so signature checks can be exercised without
+ * Polar.
+ *
+ * Usage:
+ *   node scripts/polar-webhook-harness.mjs check
+ *     Run the verification scenarios (valid, tampered, expired, rotated
+ *     secrets, ...) against every fixture. Exits 1 if any scenario fails.
+ *
+ *   node scripts/polar-webhook-harness.mjs send <fixture|all> [--url <url>] [--secret <secret>] [--id <id>]
+ *     Sign fixtures and POST them to a running server (default:
+ *     http://localhost:3000/api/polar/webhook). The secret defaults to
+ *     POLAR_WEBHOOK_SECRET. Sending the same fixture twice with --id shows
+ *     duplicate handling.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+	signWebhookPayload,
+	verifyWebhookSignature,
+	WEBHOOK_TOLERANCE_SECONDS,
+} from "../lib/utils/polar/webhookSignature.js";
+
+const FIXTURES_DIR = path.join(
+	path.dirname(fileURLToPath(import.meta.url)),
+	"fixtures",
+	"polar-webhooks"
+);
+const DEFAULT_URL = "http://localhost:3000/api/polar/webhook";
+
+const loadFixtures = (name = "all") => {
+	const files = fs
+		.readdirSync(FIXTURES_DIR)
+		.filter((file) => file.endsWith(".json"))
+		.filter(
+			(file) => name === "all" || file === `${name}.json` || file === name
+		);
+
+	if (files.length === 0) {
+		throw new Error(`No fixture named "${name}" in ${FIXTURES_DIR}`);
+	}
+
+	return files.map((file) => ({
+		name: file.replace(/\.json$/, ""),
+		// Sent byte for byte, exactly as stored on disk
+		payload: fs.readFileSync(path.join(FIXTURES_DIR, file), "utf8"),
+	}));
+};
+
+const getArg = (args, flag) => {
+	const index = args.indexOf(flag);
+	return index === -1 ? null : args[index + 1];
+};
+
+/**
+ * Scenarios run against every fixture: how the delivery is signed, what
+ * the verifier is configured with, and whether it should be accepted
+ */
+const SCENARIOS = [
+	{
+		name: "valid signature",
+		expectValid: true,
+		run: ({ payload, secret, now }) => ({
+			headers: signWebhookPayload({ payload, secret, timestamp: now }),
+			rawBody: payload,
+			secrets: [secret],
+		}),
+	},
+	{
+		name: "re-serialized body is rejected",
+		expectValid: false,
+		run: ({ payload, secret, now }) => ({
+			headers: signWebhookPayload({ payload, secret, timestamp: now }),
+			rawBody: JSON.stringify(JSON.parse(payload)),
+			secrets: [secret],
+		}),
+	},
+	{
+		name: "tampered body is rejected",
+		expectValid: false,
+		run: ({ payload, secret, now }) => ({
+			headers: signWebhookPayload({ payload, secret, timestamp: now }),
+			rawBody: payload.replace("jane@example.com", "attacker@example.com"),
+			secrets: [secret],
+		}),
+	},
+	{
+		name: "expired timestamp is rejected",
+		expectValid: false,
+		run: ({ payload, secret, now }) => ({
+			headers: signWebhookPayload({
+				payload,
+				secret,
+				timestamp: now - WEBHOOK_TOLERANCE_SECONDS - 1,
+			}),
+			rawBody: payload,
+			secrets: [secret],
+		}),
+	},
+	{
+		name: "future timestamp is rejected",
+		expectValid: false,
+		run: ({ payload, secret, now }) => ({
+			headers: signWebhookPayload({
+				payload,
+				secret,
+				timestamp: now + WEBHOOK_TOLERANCE_SECONDS + 1,
+			}),
+			rawBody: payload,
+			secrets: [secret],
+		}),
+	},
+	{
+		name: "wrong secret is rejected",
+		expectValid: false,
+		run: ({ payload, secret, now }) => ({
+			headers: signWebhookPayload({
+				payload,
+				secret: "some-other-secret",
+				timestamp: now,
+			}),
+			rawBody: payload,
+			secrets: [secret],
+		}),
+	},
+	{
+		name: "missing headers are rejected",
+		expectValid: false,
+		run: ({ payload, secret }) => ({
+			headers: {},
+			rawBody: payload,
+			secrets: [secret],
+		}),
+	},
+	{
+		name: "previous secret accepted during rotation",
+		expectValid: true,
+		run: ({ payload, secret, now }) => ({
+			headers: signWebhookPayload({ payload, secret, timestamp: now }),
+			rawBody: payload,
+			secrets: ["new-rotated-secret", secret],
+		}),
+	},
+	{
+		name: "any of several signatures may match",
+		expectValid: true,
+		run: ({ payload, secret, now }) => {
+			const headers = signWebhookPayload({
+				payload,
+				secret,
+				timestamp: now,
+				id: "msg_rotation",
+			});
+			const other = signWebhookPayload({
+				payload,
+				secret: "new-rotated-secret",
+				timestamp: now,
+				id: "msg_rotation",
+			});
+			return {
+				headers: {
+					...headers,
+					"webhook-signature": `${other["webhook-signature"]} ${headers["webhook-signature"]}`,
+				},
+				rawBody: payload,
+				secrets: [secret],
+			};
+		},
+	},
+	{
+		name: "base64 whsec_ secret",
+		expectValid: true,
+		run: ({ payload, now }) => {
+			const secret = `whsec_${Buffer.from("fixture-signing-key").toString(
+				"base64"
+			)}`;
+			return {
+				headers: signWebhookPayload({ payload, secret, timestamp: now }),
+				rawBody: payload,
+				secrets: [secret],
+			};
+		},
+	},
+];
+
+const check = () => {
+	const secret = "polar_whs_fixture_secret";
+	const now = Math.floor(Date.now() / 1000);
+	let failures = 0;
+
+	for (const fixture of loadFixtures()) {
+		console.log(`\n${fixture.name}`);
+		for (const scenario of SCENARIOS) {
+			const { headers, rawBody, secrets } = scenario.run({
+				payload: fixture.payload,
+				secret,
+				now,
+			});
+			const result = verifyWebhookSignature({
+				headers,
+				rawBody,
+				secrets,
+				now: now * 1000,
+			});
+			const passed = result.valid === scenario.expectValid;
+			if (!passed) failures++;
+			console.log(
+				`  ${passed ? "✓" : "✗"} ${scenario.name}${
+					result.error ? ` (${result.error})` : ""
+				}`
+			);
+		}
+	}
+
+	console.log(
+		failures === 0 ? "\nAll scenarios passed" : `\n${failures} failed`
+	);
+	process.exit(failures === 0 ? 0 : 1);
+};
+
+const send = async (args) => {
+	const url = getArg(args, "--url") || DEFAULT_URL;
+	const secret = getArg(args, "--secret") || process.env.POLAR_WEBHOOK_SECRET;
+	const id = getArg(args, "--id");
+	if (!secret) {
+		throw new Error("Pass --secret or set POLAR_WEBHOOK_SECRET");
+	}
+
+	for (const fixture of loadFixtures(args[0] || "all")) {
+		const headers = signWebhookPayload({
+			payload: fixture.payload,
+			secret,
+			...(id ? { id } : {}),
+		});
+		const response = await fetch(url, {
+			method: "POST",
+			headers: { "Content-Type": "application/json", ...headers },
+			body: fixture.payload,
+		});
+		console.log(
+			`${fixture.name} [${headers["webhook-id"]}] -> ${
+				response.status
+			} ${await response.text()}`
+		);
+	}
+};
+
+const [command = "check", ...args] = process.argv.slice(2);
+
+if (command === "check") {
+	check();
+} else if (command === "send") {
+	send(args).catch((error) => {
+		console.error(error.message);
+		process.exit(1);
+	});
+} else {
+	console.error(`Unknown command "${command}". Use "check" or "send".`);
+	process.exit(1);
+}
@@ -0,0 +1,179 @@
+/**
+ * Recurrence timezone check
+ *
+ * Computes the occurrences of a few RRULE and cron recurrences and compares
+ * them with the expected instants. A schedule must not depend on the
+ * timezone of the server it runs on, so the scenarios are run once per host
+ * timezone in HOST_TIMEZONES (each in its own process, with TZ set).
+ *
+ * Usage:
+ *   node scripts/recurrence-check.mjs
+ *     Run every scenario under every host timezone. Exits 1 if any fails.
+ */
+
+import { execFileSync } from "child_process";
+import { register } from "module";
+import { fileURLToPath } from "url";
+
+// rrule ships a CommonJS bundle whose named exports Node can't detect (Next
+// bundles its ESM build instead), so expose them to ESM imports of "rrule"
+const RRULE_HOOKS = `
+export async function load(url, context, nextLoad) {
+	if (!url.endsWith("/node_modules/rrule/dist/es5/rrule.js")) {
+		return nextLoad(url, context);
+	}
+	return {
+		format: "module",
+		shortCircuit: true,
+		source: [
+			'import { createRequire } from "module";',
+			"const rrule = createRequire(import.meta.url)(" + JSON.stringify(new URL(url).pathname) + ");",
+			"export const { RRule, RRuleSet, rrulestr } = rrule;",
+		].join("\\n"),
+	};
+}
+`;
+register(`data:text/javascript,${encodeURIComponent(RRULE_HOOKS)}`);
+
+const { getUpcomingOccurrences, normalizeRecurrence } = await import(
+	"../lib/utils/recurrence.js"
+);
+
+const HOST_TIMEZONES = [
+	"UTC",
+	"America/New_York",
+	"Asia/Kolkata",
+	"Pacific/Auckland",
+];
+
+// Wall-clock "HH:MM" of a date in a timezone
+const wallClock = (date, timezone) =>
+	new Intl.DateTimeFormat("en-GB", {
+		timeZone: timezone,
+		hour: "2-digit",
+		minute: "2-digit",
+		hourCycle: "h23",
+	}).format(date);
+
+/**
+ * Scenarios: a recurrence, where to start searching, and either the
+ * expected instants or a check on the occurrences
+ */
+const SCENARIOS = [
+	{
+		name: "weekly RRULE in Europe/Berlin across the DST start",
+		recurrence: {
+			type: "rrule",
+			expression:
+				"DTSTART;TZID=Europe/Berlin:20250106T090000\nRRULE:FREQ=WEEKLY;BYDAY=MO;BYHOUR=9",
+			timezone: "Europe/Berlin",
+		},
+		after: "2025-03-15T00:00:00Z",
+		expected: [
+			"2025-03-17T08:00:00.000Z",
+			"2025-03-24T08:00:00.000Z",
+			"2025-03-31T07:00:00.000Z",
+		],
+	},
+	{
+		name: "cron in Europe/Berlin gives the same instants",
+		recurrence: {
+			type: "cron",
+			expression: "0 9 * * 1",
+			timezone: "Europe/Berlin",
+		},
+		after: "2025-03-15T00:00:00Z",
+		expected: [
+			"2025-03-17T08:00:00.000Z",
+			"2025-03-24T08:00:00.000Z",
+			"2025-03-31T07:00:00.000Z",
+		],
+	},
+	{
+		name: "daily RRULE in America/New_York across the DST end",
+		recurrence: {
+			type: "rrule",
+			expression:
+				"DTSTART;TZID=America/New_York:20251030T090000\nRRULE:FREQ=DAILY",
+			timezone: "America/New_York",
+		},
+		after: "2025-10-31T00:00:00Z",
+		expected: [
+			"2025-10-31T13:00:00.000Z",
+			"2025-11-01T13:00:00.000Z",
+			"2025-11-02T14:00:00.000Z",
+			"2025-11-03T14:00:00.000Z",
+		],
+	},
+	{
+		name: "RRULE with a UTC DTSTART",
+		recurrence: {
+			type: "rrule",
+			expression: "DTSTART:20250101T120000Z\nRRULE:FREQ=DAILY",
+			timezone: "Asia/Tokyo",
+		},
+		after: "2025-05-01T00:00:00Z",
+		expected: ["2025-05-01T12:00:00.000Z", "2025-05-02T12:00:00.000Z"],
+	},
+	{
+		name: "normalized RRULE without DTSTART keeps its hour in Asia/Tokyo",
+		recurrence: normalizeRecurrence({
+			type: "rrule",
+			expression: "FREQ=DAILY;BYHOUR=8;BYMINUTE=30;BYSECOND=0",
+			timezone: "Asia/Tokyo",
+		}),
+		check: (occurrences) =>
+			occurrences.length === 3 &&
+			occurrences.every((date) => wallClock(date, "Asia/Tokyo") === "08:30"),
+	},
+];
+
+const runScenarios = () => {
+	let failed = 0;
+	for (const scenario of SCENARIOS) {
+		const after = scenario.after ? new Date(scenario.after) : new Date();
+		const occurrences = getUpcomingOccurrences(
+			scenario.recurrence,
+			scenario.expected?.length || 3,
+			after
+		);
+		const ok = scenario.check
+			? scenario.check(occurrences)
+			: occurrences.map((date) => date.toISOString()).join() ===
+				scenario.expected.join();
+		if (ok) {
+			console.log(`  ✓ ${scenario.name}`);
+		} else {
+			failed++;
+			console.log(`  ✗ ${scenario.name}`);
+			console.log(
+				`      got ${occurrences.map((date) => date.toISOString()).join(", ")}`
+			);
+		}
+	}
+	return failed;
+};
+
+if (process.argv[2] === "--host") {
+	process.exit(runScenarios() > 0 ? 1 : 0);
+}
+
+let failedHosts = 0;
+for (const timezone of HOST_TIMEZONES) {
+	console.log(`Host timezone ${timezone}`);
+	try {
+		execFileSync(
+			process.execPath,
+			[fileURLToPath(import.meta.url), "--host"],
+			{ env: { ...process.env, TZ: timezone }, stdio: "inherit" }
+		);
+	} catch (error) {
+		failedHosts++;
+	}
+}
+
+if (failedHosts > 0) {
+	console.error(`\nScenarios failed under ${failedHosts} host timezone(s)`);
+	process.exit(1);
+}
+console.log("\nAll scenarios passed");